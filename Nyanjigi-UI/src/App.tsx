@@ -2,6 +2,7 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import { ToastProvider } from './context/ToastContext';
+import { LanguageProvider } from './context/LanguageContext';
 import HomePage from './pages/public/HomePage';
 import AuthPage from './pages/public/AuthPage';
 import AdminLayout from './components/layout/AdminLayout';
@@ -10,6 +11,7 @@ import AdminDashboard from './pages/admin/AdminDashboard';
 import CustomerManagement from './pages/admin/CustomerManagement';
 import BillingManagement from './pages/admin/BillingManagement';
 import PaymentManagement from './pages/admin/PaymentManagement';
+import Reconciliation from './pages/admin/Reconciliation';
 import ContributionManagement from './pages/admin/ContributionManagement';
 import SystemSettings from './pages/admin/SystemSettings';
 import CustomerDashboard from './pages/customer/CustomerDashboard';
@@ -20,6 +22,9 @@ import CustomerContributions from './pages/customer/CustomerContributions';
 import CustomerFines from './pages/customer/CustomerFines';
 import AdminFines from './pages/admin/AdminFines';
 import NotificationManagement from './pages/admin/NotificationManagement';
+import UserManagement from './pages/admin/UserManagement';
+import AuditTrail from './pages/admin/AuditTrail';
+import AdminProfile from './pages/admin/AdminProfile';
 import ProtectedRoute from './components/common/ProtectedRoute';
 
 function App() {
@@ -43,16 +48,22 @@ function App() {
                 <Route path="customers" element={<CustomerManagement />} />
                 <Route path="billing" element={<BillingManagement />} />
                 <Route path="payments" element={<PaymentManagement />} />
+                <Route path="reconciliation" element={<Reconciliation />} />
                 <Route path="contributions" element={<ContributionManagement />} />
                 <Route path="fines" element={<AdminFines />} />
                 <Route path="notifications" element={<NotificationManagement />} />
+                <Route path="users" element={<UserManagement />} />
+                <Route path="audit" element={<AuditTrail />} />
                 <Route path="settings" element={<SystemSettings />} />
+                <Route path="profile" element={<AdminProfile />} />
               </Route>
 
               {/* Customer Routes */}
               <Route path="/customer" element={
                 <ProtectedRoute allowedRoles={['customer']}>
-                  <CustomerLayout />
+                  <LanguageProvider>
+                    <CustomerLayout />
+                  </LanguageProvider>
                 </ProtectedRoute>
               }>
                 <Route index element={<Navigate to="/customer/dashboard" replace />} />
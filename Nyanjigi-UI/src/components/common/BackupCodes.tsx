@@ -0,0 +1,62 @@
+import React from 'react';
+import { Copy, Download } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+
+// One-time recovery codes, shown once after enabling 2FA or generating new ones
+const BackupCodes: React.FC<{ codes: string[] }> = ({ codes }) => {
+  const { addToast } = useToast();
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      addToast('Backup codes copied', 'success');
+    } catch {
+      addToast('Could not copy; write the codes down instead', 'error');
+    }
+  };
+
+  const downloadCodes = () => {
+    const blob = new Blob([`Nyanjigi Waters admin backup codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', 'nyanjigi-backup-codes.txt');
+    document.body.appendChild(link);
+    link.click();
+    link.parentNode?.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700">
+        Keep these codes somewhere safe. Each one signs you in once if you lose your phone, and they will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 bg-white/60 border border-gray-200 rounded-lg p-4 font-mono text-sm text-gray-900">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-white/40"
+        >
+          <Copy className="w-4 h-4" />
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={downloadCodes}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-white/40"
+        >
+          <Download className="w-4 h-4" />
+          Download
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BackupCodes;
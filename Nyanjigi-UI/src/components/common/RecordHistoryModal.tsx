@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { History, X } from 'lucide-react';
+import { adminService } from '../../services/adminService';
+
+export interface AuditLogEntry {
+  id: number;
+  table_name: string;
+  record_id: number;
+  action: 'INSERT' | 'UPDATE' | 'DELETE';
+  old_values: Record<string, unknown> | null;
+  new_values: Record<string, unknown> | null;
+  user_id: number | null;
+  user_type: 'admin' | 'customer' | 'system';
+  ip_address: string | null;
+  user_agent: string | null;
+  created_at: string;
+  actor_name: string | null;
+  actor_username: string | null;
+}
+
+const formatValue = (value: unknown): string => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Old and new value of each field an audit entry touched
+export const AuditChanges: React.FC<{ entry: AuditLogEntry }> = ({ entry }) => {
+  const oldValues = entry.old_values || {};
+  const newValues = entry.new_values || {};
+  const fields = Array.from(new Set([...Object.keys(oldValues), ...Object.keys(newValues)]));
+
+  if (fields.length === 0) {
+    return <p className="text-sm text-gray-500">No field changes recorded</p>;
+  }
+
+  return (
+    <table className="w-full text-sm">
+      <tbody>
+        {fields.map(field => (
+          <tr key={field} className="align-top">
+            <td className="pr-3 py-1 font-medium text-gray-700 whitespace-nowrap">{field}</td>
+            {entry.action !== 'INSERT' && (
+              <td className="pr-3 py-1 text-red-700 line-through break-all">{formatValue(oldValues[field])}</td>
+            )}
+            {entry.action !== 'DELETE' && (
+              <td className="py-1 text-green-700 break-all">{formatValue(newValues[field])}</td>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const RecordHistoryModal: React.FC<{
+  table: string;
+  recordId: number;
+  title: string;
+  onClose: () => void;
+}> = ({ table, recordId, title, onClose }) => {
+  const [history, setHistory] = useState<AuditLogEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    adminService.getRecordHistory(table, recordId)
+      .then(response => setHistory(response.data.data?.history || []))
+      .catch(() => setError('Failed to load change history'))
+      .finally(() => setLoading(false));
+  }, [table, recordId]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold flex items-center gap-2">
+            <History className="w-5 h-5 text-blue-600" />
+            {title}
+          </h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto flex-1">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : history.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes have been recorded for this record.</p>
+          ) : (
+            <ol className="space-y-4">
+              {history.map(entry => (
+                <li key={entry.id} className="border-l-4 border-blue-200 pl-4">
+                  <div className="flex flex-wrap items-baseline gap-x-2 text-sm mb-1">
+                    <span className="font-semibold text-gray-900">{entry.actor_name || 'System'}</span>
+                    <span className="text-gray-500">{entry.action.toLowerCase()}</span>
+                    <span className="text-gray-500">{new Date(entry.created_at).toLocaleString()}</span>
+                    {entry.ip_address && <span className="text-xs text-gray-400">from {entry.ip_address}</span>}
+                  </div>
+                  <AuditChanges entry={entry} />
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordHistoryModal;
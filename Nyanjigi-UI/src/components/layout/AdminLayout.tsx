@@ -7,14 +7,18 @@ import {
   Users,
   FileText,
   CreditCard,
+  Scale,
   TrendingUp,
   Bell,
   Settings,
+  UserCog,
+  ShieldCheck,
   LogOut,
+  MonitorSmartphone,
   Menu,
   X
 } from 'lucide-react';
-import { useAuth } from '../../context/AuthContext';
+import { useAuth } from '../../context/useAuth';
 import { useToast } from '../../context/ToastContext';
 
 const AdminLayout: React.FC = () => {
@@ -30,7 +34,7 @@ const AdminLayout: React.FC = () => {
   useEffect(() => {
     setSidebarOpen(isDesktop);
   }, [isDesktop]);
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAllDevices, hasPermission } = useAuth();
   const { addToast } = useToast();
   const navigate = useNavigate();
 
@@ -40,16 +44,41 @@ const AdminLayout: React.FC = () => {
     navigate('/');
   };
 
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of Nyanjigi Waters on every device, including this one?')) {
+      return;
+    }
+    try {
+      await logoutAllDevices();
+      addToast('Logged out of all devices', 'success');
+      navigate('/');
+    } catch {
+      addToast('Failed to log out of all devices', 'error');
+    }
+  };
+
   const navItems = [
-    { icon: LayoutDashboard, label: 'Dashboard', path: '/admin/dashboard' },
-    { icon: Users, label: 'Customers', path: '/admin/customers' },
-    { icon: FileText, label: 'Billing', path: '/admin/billing' },
-    { icon: CreditCard, label: 'Payments', path: '/admin/payments' },
-    { icon: TrendingUp, label: 'Contributions', path: '/admin/contributions' },
-    { icon: Bell, label: 'Notifications', path: '/admin/notifications' },
-    { icon: FileText, label: 'Fines', path: '/admin/fines' },
-    { icon: Settings, label: 'Settings', path: '/admin/settings' },
-  ];
+    { icon: LayoutDashboard, label: 'Dashboard', path: '/admin/dashboard', permission: 'dashboard.view' },
+    { icon: Users, label: 'Customers', path: '/admin/customers', permission: 'customers.view' },
+    { icon: FileText, label: 'Billing', path: '/admin/billing', permission: 'billing.view' },
+    { icon: CreditCard, label: 'Payments', path: '/admin/payments', permission: 'payments.view' },
+    { icon: Scale, label: 'Reconciliation', path: '/admin/reconciliation', permission: 'payments.view' },
+    { icon: TrendingUp, label: 'Contributions', path: '/admin/contributions', permission: 'contributions.view' },
+    { icon: Bell, label: 'Notifications', path: '/admin/notifications', permission: 'notifications.view' },
+    { icon: FileText, label: 'Fines', path: '/admin/fines', permission: 'fines.view' },
+    { icon: UserCog, label: 'Users', path: '/admin/users', permission: 'users.manage' },
+    { icon: ShieldCheck, label: 'Audit Trail', path: '/admin/audit', permission: 'audit.view' },
+    { icon: Settings, label: 'Settings', path: '/admin/settings', permission: 'settings.view' },
+  ].filter(item => hasPermission(item.permission));
+
+  const roleLabels: Record<string, string> = {
+    superadmin: 'Superadmin',
+    treasurer: 'Treasurer',
+    billing_clerk: 'Billing clerk',
+    meter_reader: 'Meter reader',
+    sms_officer: 'SMS officer',
+    auditor: 'Auditor'
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-cyan-50 to-blue-100">
@@ -113,7 +142,12 @@ const AdminLayout: React.FC = () => {
 
           {/* User info */}
           <div className="p-4 border-t border-white/20">
-            <div className="flex items-center space-x-3 mb-3">
+            <NavLink
+              to="/admin/profile"
+              onClick={() => !isDesktop && setSidebarOpen(false)}
+              className="flex items-center space-x-3 mb-3 p-1 rounded-lg hover:bg-white/30 transition-colors"
+              title="My profile and two-factor authentication"
+            >
               <div className="w-8 h-8 bg-gradient-to-r from-blue-600 to-cyan-600 rounded-lg flex items-center justify-center">
                 <span className="text-white text-sm font-bold">
                   {user?.full_name?.charAt(0) || 'A'}
@@ -121,9 +155,11 @@ const AdminLayout: React.FC = () => {
               </div>
               <div className="flex-1">
                 <p className="text-sm font-medium text-blue-900">{user?.full_name}</p>
-                <p className="text-xs text-blue-600">Administrator</p>
+                <p className="text-xs text-blue-600">
+                  {(user?.admin_role && roleLabels[user.admin_role]) || 'Administrator'}
+                </p>
               </div>
-            </div>
+            </NavLink>
             <button
               onClick={handleLogout}
               className="flex items-center space-x-2 w-full px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
@@ -131,6 +167,13 @@ const AdminLayout: React.FC = () => {
               <LogOut className="h-4 w-4" />
               <span className="text-sm font-medium">Logout</span>
             </button>
+            <button
+              onClick={handleLogoutAll}
+              className="flex items-center space-x-2 w-full px-3 py-2 text-blue-700 hover:bg-white/30 rounded-lg transition-colors"
+            >
+              <MonitorSmartphone className="h-4 w-4" />
+              <span className="text-xs font-medium">Log out all devices</span>
+            </button>
           </div>
         </div>
       </motion.aside>
@@ -10,10 +10,14 @@ import {
   LogOut,
   Menu,
   X,
-  AlertCircle
+  AlertCircle,
+  Languages
 } from 'lucide-react';
-import { useAuth } from '../../context/AuthContext';
+import { useAuth } from '../../context/useAuth';
 import { useToast } from '../../context/ToastContext';
+import { useLanguage } from '../../context/useLanguage';
+import { Language, LANGUAGE_NAMES } from '../../i18n';
+import { customerService } from '../../services/customerService';
 
 const CustomerLayout: React.FC = () => {
   const [isDesktop, setIsDesktop] = useState(window.innerWidth >= 1024);
@@ -31,21 +35,46 @@ const CustomerLayout: React.FC = () => {
 
   const { user, logout } = useAuth();
   const { addToast } = useToast();
+  const { language, setLanguage, t } = useLanguage();
   const navigate = useNavigate();
 
+  // The language saved on the account wins over this browser's last choice
+  useEffect(() => {
+    customerService.getProfile()
+      .then(response => {
+        const profile = response.data.data?.customer || response.data.data;
+        if (profile?.language) {
+          setLanguage(profile.language);
+        }
+      })
+      .catch(() => {});
+  }, [setLanguage]);
+
+  // Switch the portal and save the choice so SMS and email follow it
+  const handleLanguageChange = async (next: Language) => {
+    const previous = language;
+    setLanguage(next);
+    try {
+      await customerService.updateNotificationPreferences({ language: next });
+    } catch {
+      setLanguage(previous);
+      addToast(t('layout.languageFailed'), 'error');
+    }
+  };
+
   const handleLogout = () => {
     logout();
-    addToast('Logged out successfully', 'success');
+    addToast(t('layout.loggedOut'), 'success');
     navigate('/');
   };
 
   const navItems = [
-    { icon: LayoutDashboard, label: 'Dashboard', path: '/customer/dashboard' },
-    { icon: FileText, label: 'Bills', path: '/customer/bills' },
-    { icon: CreditCard, label: 'Payments', path: '/customer/payments' },
-    { icon: FileText, label: 'Contributions', path: '/customer/contributions' },
-    { icon: AlertCircle, label: 'Fines', path: '/customer/fines' },
-    { icon: User, label: 'Profile', path: '/customer/profile' },
+    { icon: LayoutDashboard, label: t('nav.dashboard'), path: '/customer/dashboard' },
+    { icon: FileText, label: t('nav.bills'), path: '/customer/bills' },
+    { icon: CreditCard, label: t('nav.payments'), path: '/customer/payments' },
+    { icon: FileText, label: t('nav.contributions'), path: '/customer/contributions' },
+    { icon: AlertCircle, label: t('nav.fines'), path: '/customer/fines' },
+    { icon: User, label: t('nav.profile'), path: '/customer/profile' },
   ];
 
   return (
@@ -78,7 +107,7 @@ const CustomerLayout: React.FC = () => {
               </div>
               <div>
                 <h1 className="font-bold text-blue-900">Nyanjigi Waters</h1>
-                <p className="text-xs text-blue-600">Customer Portal</p>
+                <p className="text-xs text-blue-600">{t('layout.portal')}</p>
               </div>
             </div>
           </div>
@@ -125,7 +154,7 @@ const CustomerLayout: React.FC = () => {
               className="flex items-center space-x-2 w-full px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
             >
               <LogOut className="h-4 w-4" />
-              <span className="text-sm font-medium">Logout</span>
+              <span className="text-sm font-medium">{t('layout.logout')}</span>
             </button>
           </div>
         </div>
@@ -143,9 +172,22 @@ const CustomerLayout: React.FC = () => {
               <Menu className="h-6 w-6" />
             </button>
 
-            <div className="flex items-center space-x-4">
+            <div className="flex items-center space-x-4 ml-auto">
+              <label className="flex items-center space-x-2 text-blue-700">
+                <Languages className="h-5 w-5" />
+                <span className="sr-only">{t('layout.language')}</span>
+                <select
+                  value={language}
+                  onChange={(e) => handleLanguageChange(e.target.value as Language)}
+                  className="bg-white/40 border border-white/40 rounded-lg px-2 py-1 text-sm text-blue-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {(Object.keys(LANGUAGE_NAMES) as Language[]).map(code => (
+                    <option key={code} value={code}>{LANGUAGE_NAMES[code]}</option>
+                  ))}
+                </select>
+              </label>
               <div className="text-right">
-                <p className="text-sm font-medium text-blue-900">Welcome back,</p>
+                <p className="text-sm font-medium text-blue-900">{t('layout.welcomeBack')}</p>
                 <p className="text-lg font-bold text-blue-700">{user?.full_name}</p>
               </div>
             </div>
@@ -1,24 +1,7 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import React, { useState, useEffect, ReactNode } from 'react';
 import { authService } from '../services/authService';
-
-interface User {
-  id: number;
-  username?: string;
-  account_number?: string;
-  full_name: string;
-  email: string;
-  role: 'admin' | 'customer';
-}
-
-interface AuthContextType {
-  user: User | null;
-  token: string | null;
-  login: (credentials: any, userType: 'admin' | 'customer') => Promise<void>;
-  logout: () => void;
-  loading: boolean;
-}
-
-const AuthContext = createContext<AuthContextType | undefined>(undefined);
+import { AuthContext, TwoFactorChallenge, TwoFactorMethod, User } from './useAuth';
 
 interface AuthProviderProps {
   children: ReactNode;
@@ -40,34 +23,86 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     setLoading(false);
   }, []);
 
+  const saveSession = (data: any, userType: 'admin' | 'customer') => {
+    const { token: newToken, refresh_token: refreshToken } = data;
+    const userData = data.user || data[userType];
+
+    // The API's admin role is kept apart from the account type used for routing
+    const savedUser = userType === 'admin'
+      ? { ...userData, admin_role: userData.role, role: userType }
+      : { ...userData, role: userType };
+
+    setToken(newToken);
+    setUser(savedUser);
+
+    localStorage.setItem('water_token', newToken);
+    localStorage.setItem('water_refresh_token', refreshToken);
+    localStorage.setItem('water_user', JSON.stringify(savedUser));
+  };
+
+  // Resolves to a challenge when an admin still has to give a second factor
   const login = async (credentials: any, userType: 'admin' | 'customer') => {
     try {
       const response = await authService.login(credentials, userType);
-      const { token: newToken, user: userData } = response.data.data || response.data;
+      const data = response.data.data || response.data;
 
-      setToken(newToken);
-      setUser({ ...userData, role: userType });
+      if (data.two_factor_required || data.two_factor_setup_required) {
+        return data as TwoFactorChallenge;
+      }
 
-      localStorage.setItem('water_token', newToken);
-      localStorage.setItem('water_user', JSON.stringify({ ...userData, role: userType }));
+      saveSession(data, userType);
+      return null;
     } catch (error: any) {
       throw new Error(error.response?.data?.message || 'Login failed');
     }
   };
 
-  const logout = () => {
+  // Finishes an admin login; resolves to backup codes when an authenticator was just set up
+  const completeTwoFactor = async (challengeToken: string, code: string, method: TwoFactorMethod) => {
+    try {
+      const response = await authService.verifyAdminTwoFactor({ challenge_token: challengeToken, code, method });
+      const data = response.data.data;
+
+      saveSession(data, 'admin');
+      return data.backup_codes || null;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.message || 'Verification failed');
+    }
+  };
+
+  const clearSession = () => {
     setUser(null);
     setToken(null);
     localStorage.removeItem('water_token');
+    localStorage.removeItem('water_refresh_token');
     localStorage.removeItem('water_user');
-    authService.logout();
   };
 
+  const logout = () => {
+    const refreshToken = localStorage.getItem('water_refresh_token');
+    clearSession();
+    // The local session is gone either way; a failed server call only leaves the refresh token to expire
+    authService.logout(refreshToken).catch(() => undefined);
+  };
+
+  // Ends every session of this account, including this one
+  const logoutAllDevices = async () => {
+    await authService.logoutAllDevices();
+    clearSession();
+  };
+
+  // Sessions saved before roles existed carry no permission list; the API still enforces them
+  const hasPermission = (permission: string) =>
+    !user?.permissions || user.permissions.includes(permission);
+
   const value = {
     user,
     token,
     login,
+    completeTwoFactor,
     logout,
+    logoutAllDevices,
+    hasPermission,
     loading
   };
 
@@ -77,11 +112,3 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     </AuthContext.Provider>
   );
 };
-
-export const useAuth = () => {
-  const context = useContext(AuthContext);
-  if (context === undefined) {
-    throw new Error('useAuth must be used within an AuthProvider');
-  }
-  return context;
-};
\ No newline at end of file
@@ -0,0 +1,42 @@
+import React, { useCallback, useState, ReactNode } from 'react';
+import { DICTIONARIES, LANGUAGE_NAMES, LOCALES, Language, TranslationKey, en } from '../i18n';
+import { LanguageContext } from './useLanguage';
+
+const STORAGE_KEY = 'water_language';
+
+const isLanguage = (value: unknown): value is Language =>
+  typeof value === 'string' && value in LANGUAGE_NAMES;
+
+const getInitialLanguage = (): Language => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return isLanguage(stored) ? stored : 'en';
+};
+
+export const LanguageProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
+  const [language, setLanguageState] = useState<Language>(getInitialLanguage);
+
+  const setLanguage = useCallback((next: Language) => {
+    if (!isLanguage(next)) {
+      return;
+    }
+    localStorage.setItem(STORAGE_KEY, next);
+    setLanguageState(next);
+  }, []);
+
+  // Missing translations fall back to English
+  const t = useCallback((key: TranslationKey, values?: Record<string, string | number>) => {
+    const text = DICTIONARIES[language][key] ?? en[key] ?? key;
+    if (!values) {
+      return text;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      values[name] !== undefined ? String(values[name]) : match
+    );
+  }, [language]);
+
+  return (
+    <LanguageContext.Provider value={{ language, locale: LOCALES[language], setLanguage, t }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
@@ -0,0 +1,51 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import { createContext, useContext } from 'react';
+
+export interface User {
+  id: number;
+  username?: string;
+  account_number?: string;
+  full_name: string;
+  email: string;
+  role: 'admin' | 'customer';
+  admin_role?: string;
+  permissions?: string[];
+}
+
+export type TwoFactorMethod = 'totp' | 'backup_code' | 'sms';
+
+// Returned by an admin login that needs a second factor, or an authenticator set up first
+export interface TwoFactorChallenge {
+  challenge_token: string;
+  expires_in: number;
+  two_factor_required?: boolean;
+  two_factor_setup_required?: boolean;
+  methods?: TwoFactorMethod[];
+  phone_hint?: string | null;
+  setup?: {
+    secret: string;
+    otpauth_url: string;
+    qr_code: string;
+  };
+}
+
+export interface AuthContextType {
+  user: User | null;
+  token: string | null;
+  login: (credentials: any, userType: 'admin' | 'customer') => Promise<TwoFactorChallenge | null>;
+  completeTwoFactor: (challengeToken: string, code: string, method: TwoFactorMethod) => Promise<string[] | null>;
+  logout: () => void;
+  logoutAllDevices: () => Promise<void>;
+  hasPermission: (permission: string) => boolean;
+  loading: boolean;
+}
+
+export const AuthContext = createContext<AuthContextType | undefined>(undefined);
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (context === undefined) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
@@ -0,0 +1,19 @@
+import { createContext, useContext } from 'react';
+import { Language, TranslationKey } from '../i18n';
+
+export interface LanguageContextType {
+  language: Language;
+  locale: string;
+  setLanguage: (language: Language) => void;
+  t: (key: TranslationKey, values?: Record<string, string | number>) => string;
+}
+
+export const LanguageContext = createContext<LanguageContextType | undefined>(undefined);
+
+export const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useLanguage must be used within a LanguageProvider');
+  }
+  return context;
+};
@@ -0,0 +1,231 @@
+// English strings for the customer portal. Other languages translate these keys;
+// placeholders in braces are filled in by t().
+const en = {
+  // Shared
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.saving': 'Saving...',
+  'common.notAvailable': 'N/A',
+  'common.tryRefreshing': 'Please try refreshing the page.',
+  'common.due': 'Due: {date}',
+  'common.paidOn': 'Paid: {date}',
+  'common.includesLateFee': '(includes {amount} late fee)',
+  'common.unauthorized': 'Unauthorized access. Please login again.',
+
+  'status.paid': 'Paid',
+  'status.pending': 'Pending',
+  'status.overdue': 'Overdue',
+  'status.cancelled': 'Cancelled',
+  'status.completed': 'Completed',
+  'status.failed': 'Failed',
+  'status.reversed': 'Reversed',
+  'status.waived': 'Waived',
+  'status.partially_paid': 'Partially paid',
+  'status.partial': 'Partly paid',
+  'status.active': 'Active',
+  'status.inactive': 'Inactive',
+
+  // Layout
+  'layout.portal': 'Customer Portal',
+  'layout.welcomeBack': 'Welcome back,',
+  'layout.logout': 'Logout',
+  'layout.loggedOut': 'Logged out successfully',
+  'layout.language': 'Language',
+  'layout.languageFailed': 'Could not save your language choice',
+  'nav.dashboard': 'Dashboard',
+  'nav.bills': 'Bills',
+  'nav.payments': 'Payments',
+  'nav.contributions': 'Contributions',
+  'nav.fines': 'Fines',
+  'nav.profile': 'Profile',
+
+  // Dashboard
+  'dashboard.loadFailed': 'Failed to fetch dashboard data',
+  'dashboard.loadError': 'Failed to load dashboard',
+  'dashboard.welcome': 'Welcome back, {name}!',
+  'dashboard.account': 'Account: {account}',
+  'dashboard.connectedSince': 'Connected since {date}',
+  'dashboard.currentBalance': 'Current Balance',
+  'dashboard.amountDue': 'Amount Due',
+  'dashboard.creditBalance': 'Credit Balance',
+  'dashboard.pendingBills': 'Pending Bills',
+  'dashboard.thisMonth': 'This month',
+  'dashboard.thisMonthUsage': 'This Month Usage',
+  'dashboard.cubicMeters': 'Cubic meters',
+  'dashboard.accountStatus': 'Account Status',
+  'dashboard.serviceStatus': 'Service status',
+  'dashboard.creditHint': 'Advance payments are applied automatically to your next bill and monthly contribution.',
+  'dashboard.creditContribution': 'Contribution {month}',
+  'dashboard.creditBill': 'Bill {number}',
+  'dashboard.recentBills': 'Recent Bills',
+  'dashboard.noRecentBills': 'No recent bills',
+  'dashboard.recentPayments': 'Recent Payments',
+  'dashboard.noRecentPayments': 'No recent payments',
+  'dashboard.usageTrend': 'Water Usage Trend',
+  'dashboard.usageThisMonth': 'This Month',
+  'dashboard.usageLastMonth': 'Last Month',
+  'dashboard.usageAverage': 'Monthly Average',
+  'dashboard.usageChart': 'Usage chart will be displayed here',
+
+  // Bills
+  'bills.loadFailed': 'Failed to fetch bills',
+  'bills.downloaded': 'Bill downloaded successfully',
+  'bills.downloadFailed': 'Failed to download bill',
+  'bills.title': 'My Bills',
+  'bills.subtitle': 'View and manage your water bills',
+  'bills.total': 'Total Bills',
+  'bills.forYear': 'Bills for {year}',
+  'bills.downloadPdf': 'Download PDF',
+  'bills.viewDetails': 'View Details',
+  'bills.payNow': 'Pay Now',
+  'bills.noneFound': 'No bills found',
+  'bills.noneForYear': 'No bills available for {year}.',
+  'bills.paymentOptions': 'Payment Options',
+  'bills.billPeriod': 'Bill Period:',
+  'bills.amount': 'Amount:',
+  'bills.chooseMethod': 'Choose Payment Method:',
+  'bills.mpesa': 'Equity M-Pesa Paybill',
+  'bills.paybill': 'Paybill:',
+  'bills.account': 'Account:',
+  'bills.yourAccountNumber': 'Your Account Number',
+  'bills.steps': 'Steps:',
+  'bills.step1': 'Go to M-Pesa menu',
+  'bills.step2': 'Select Lipa na M-Pesa → Paybill',
+  'bills.step3': 'Enter Business No:',
+  'bills.step4': 'Enter Account: Your account number',
+  'bills.step5': 'Enter Amount: {amount}',
+  'bills.step6': 'Enter M-Pesa PIN',
+  'bills.branch': 'Equity Bank Branch',
+  'bills.branchHint': 'Visit any Equity Bank branch',
+  'bills.branchDetail': 'Visit any Equity Bank branch with your account number and make a cash deposit.',
+  'bills.agent': 'Equity Agent',
+  'bills.agentHint': 'Visit any Equity Bank agent',
+  'bills.agentDetail': 'Locate your nearest Equity Bank agent and make payment using your account number.',
+  'bills.equitel': 'Equitel',
+  'bills.equitelHint': 'Use your Equitel line',
+  'bills.equitelDetail': 'Dial *247# on your Equitel line and follow the prompts to make payment.',
+  'bills.app': 'Equity Mobile App',
+  'bills.appHint': 'Use Equity Mobile Banking App',
+  'bills.appDetail': 'Login to your Equity Mobile App, select payments, and enter your account number.',
+  'bills.note': 'Note:',
+  'bills.noteDetail': 'Your payment will be automatically recorded once confirmed by Equity Bank. This may take a few minutes.',
+  'bills.details': 'Bill Details',
+  'bills.billNumber': 'Bill Number:',
+  'bills.billingPeriod': 'Billing Period:',
+  'bills.dueDate': 'Due Date:',
+  'bills.totalAmount': 'Total Amount:',
+  'bills.lateFee': 'Late Fee:',
+  'bills.status': 'Status:',
+  'bills.created': 'Created:',
+  'bills.paidDate': 'Paid Date:',
+
+  // Payments
+  'payments.loadFailed': 'Failed to fetch payments',
+  'payments.receiptFailed': 'Failed to download receipt',
+  'payments.statementFailed': 'Failed to download statement',
+  'payments.title': 'My Payments',
+  'payments.subtitle': 'Track your payment history',
+  'payments.total': 'Total Payments',
+  'payments.mpesaCount': 'M-Pesa Payments',
+  'payments.statement': 'Account Statement',
+  'payments.statementHint': 'Bills, fines, contributions and payments with your running balance',
+  'payments.from': 'From',
+  'payments.to': 'To',
+  'payments.search': 'Search payments...',
+  'payments.allStatus': 'All Status',
+  'payments.allMethods': 'All Methods',
+  'payments.historyFor': 'Payment History for {year}',
+  'payments.export': 'Export',
+  'payments.methodPayment': '{method} Payment',
+  'payments.forMonth': 'For: {month}',
+  'payments.dateAt': '{date} at {time}',
+  'payments.completedOn': 'Completed: {date}',
+  'payments.receipt': 'Receipt',
+  'payments.retry': 'Retry Payment',
+  'payments.noneFound': 'No payments found',
+  'payments.adjustFilters': 'Try adjusting your filters.',
+  'payments.noneInYear': 'No payments made in {year}.',
+  'method.equity_mpesa': 'Equity M-Pesa',
+  'method.equity_branch': 'Equity Branch',
+  'method.equity_agent': 'Equity Agent',
+  'method.equity_equitel': 'Equitel',
+  'method.equity_ussd': 'Equity USSD',
+  'method.equity_app': 'Equity App',
+  'method.cash': 'Cash',
+  'method.cheque': 'Cheque',
+  'method.bank_transfer': 'Bank Transfer',
+
+  // Contributions
+  'contributions.loadFailed': 'Failed to fetch contributions',
+  'contributions.title': 'My Contributions',
+  'contributions.subtitle': 'View and manage your monthly contributions',
+  'contributions.forYear': 'Contributions for {year}',
+  'contributions.noneFound': 'No contributions found',
+  'contributions.noneForYear': 'No contributions available for {year}.',
+
+  // Fines
+  'fines.loadFailed': 'Failed to fetch fines',
+  'fines.title': 'My Fines',
+  'fines.subtitle': 'View and manage your fines',
+  'fines.heading': 'Fines',
+  'fines.fine': 'Fine: {name}',
+  'fines.reason': 'Reason: {reason}',
+  'fines.applied': 'Applied: {date}',
+  'fines.noneFound': 'No fines found',
+  'fines.noneDetail': 'You have no fines at this time.',
+
+  // Profile
+  'profile.loadFailed': 'Failed to fetch profile',
+  'profile.loadError': 'Failed to load profile',
+  'profile.updated': 'Profile updated successfully',
+  'profile.updateFailed': 'Failed to update profile',
+  'profile.passwordMismatch': 'New passwords do not match',
+  'profile.passwordChanged': 'Password changed successfully',
+  'profile.passwordFailed': 'Failed to change password',
+  'profile.title': 'My Profile',
+  'profile.subtitle': 'Manage your account information',
+  'profile.saveChanges': 'Save Changes',
+  'profile.edit': 'Edit Profile',
+  'profile.memberSince': 'Member since {date}',
+  'profile.email': 'Email Address',
+  'profile.phone': 'Phone Number',
+  'profile.fullName': 'Full Name',
+  'profile.location': 'Location',
+  'profile.zone': 'Zone',
+  'profile.accountInfo': 'Account Information',
+  'profile.connectionDate': 'Connection Date',
+  'profile.accountNumber': 'Account Number',
+  'profile.security': 'Security',
+  'profile.changePassword': 'Change Password',
+  'profile.currentPassword': 'Current Password',
+  'profile.newPassword': 'New Password',
+  'profile.confirmPassword': 'Confirm New Password',
+  'profile.logoutAll': 'Log out of all devices',
+  'profile.logoutAllConfirm': 'Log out on every phone and computer, including this one?',
+  'profile.logoutAllDone': 'Logged out of all devices',
+  'profile.logoutAllFailed': 'Failed to log out of all devices',
+  'profile.notifications': 'Notifications',
+  'profile.alwaysSent': '{types} are always sent.',
+  'profile.mandatory.payment_received': 'Payment receipts',
+  'profile.mandatory.payment_reversed': 'Payment reversals',
+  'profile.mandatory.fine_applied': 'Fines',
+  'profile.mandatory.password_notification': 'Password changes',
+  'profile.sendBy': 'Send notifications by',
+  'profile.channel.both': 'SMS and email',
+  'profile.channel.sms': 'SMS only',
+  'profile.channel.email': 'Email only',
+  'profile.quietHours': 'Quiet hours (no SMS)',
+  'profile.quietHoursTo': 'to',
+  'profile.quietHoursHint': 'Messages due in this window are sent when it ends.',
+  'profile.quietHoursBoth': 'Set both a start and an end for quiet hours, or neither',
+  'profile.announcements': 'Announcements and service notices',
+  'profile.marketing': 'Offers and promotions',
+  'profile.smsReminders': 'Reminders and other SMS (reply STOP to any message to turn off)',
+  'profile.savePreferences': 'Save Preferences',
+  'profile.preferencesSaved': 'Notification preferences saved',
+  'profile.preferencesFailed': 'Failed to save notification preferences'
+};
+
+export type TranslationKey = keyof typeof en;
+
+export default en;
@@ -0,0 +1,24 @@
+import en, { TranslationKey } from './en';
+import sw from './sw';
+import ki from './ki';
+
+export type { TranslationKey };
+
+export type Language = 'en' | 'sw' | 'ki';
+
+export const LANGUAGE_NAMES: Record<Language, string> = {
+  en: 'English',
+  sw: 'Kiswahili',
+  ki: 'Gĩkũyũ'
+};
+
+// Locales for dates and month names; browsers without Gikuyu data use their default
+export const LOCALES: Record<Language, string> = {
+  en: 'en-US',
+  sw: 'sw-KE',
+  ki: 'ki-KE'
+};
+
+export const DICTIONARIES: Record<Language, Partial<Record<TranslationKey, string>>> = { en, sw, ki };
+
+export { en };
@@ -0,0 +1,230 @@
+import type { TranslationKey } from './en';
+
+// Gikuyu strings for the customer portal
+const ki: Record<TranslationKey, string> = {
+  // Shared
+  'common.cancel': 'Tiga',
+  'common.close': 'Hinga',
+  'common.saving': 'Nĩ kũraigwo...',
+  'common.notAvailable': 'Gũtirĩ',
+  'common.tryRefreshing': 'Ndagũthaitha ũcokie rũrenda rũrũ.',
+  'common.due': 'Mũthia wa kũrĩha: {date}',
+  'common.paidOn': 'Nĩ ĩrĩhĩtwo: {date}',
+  'common.includesLateFee': '(hamwe na irĩhi rĩa gũcererwo rĩa {amount})',
+  'common.unauthorized': 'Ndwĩtĩkĩrĩtio gũtoonya. Ndagũthaitha ũtoonye rĩngĩ.',
+
+  'status.paid': 'Nĩ ĩrĩhĩtwo',
+  'status.pending': 'Ĩtarĩhĩtwo',
+  'status.overdue': 'Nĩ ĩhĩtũkĩtie mahinda',
+  'status.cancelled': 'Nĩ ĩehereirio',
+  'status.completed': 'Nĩ ĩthirĩte',
+  'status.failed': 'Ndĩhotekete',
+  'status.reversed': 'Nĩ ĩcokirio',
+  'status.waived': 'Nĩ ĩrekereirwo',
+  'status.partially_paid': 'Nĩ ĩrĩhĩtwo icunjĩ',
+  'status.partial': 'Nĩ ĩrĩhĩtwo icunjĩ',
+  'status.active': 'Nĩ ĩrarutaga wĩra',
+  'status.inactive': 'Ndĩrarutaga wĩra',
+
+  // Layout
+  'layout.portal': 'Rũrenda rwa Andũ Aitũ',
+  'layout.welcomeBack': 'Nĩ wega gũcoka,',
+  'layout.logout': 'Uma',
+  'layout.loggedOut': 'Nĩ wauma wega',
+  'layout.language': 'Rũthiomi',
+  'layout.languageFailed': 'Rũthiomi rũrĩa wathuura rũtiigĩtwo',
+  'nav.dashboard': 'Mwambĩrĩria',
+  'nav.bills': 'Mathabu',
+  'nav.payments': 'Marĩhi',
+  'nav.contributions': 'Mĩcango',
+  'nav.fines': 'Irĩhi',
+  'nav.profile': 'Ũhoro wakwa',
+
+  // Dashboard
+  'dashboard.loadFailed': 'Ũhoro wa mwambĩrĩria ndũkoneka',
+  'dashboard.loadError': 'Mwambĩrĩria ndũhotekete kuoneka',
+  'dashboard.welcome': 'Nĩ wega gũcoka, {name}!',
+  'dashboard.account': 'Akaunti: {account}',
+  'dashboard.connectedSince': 'Ũrĩ na maaĩ kuuma {date}',
+  'dashboard.currentBalance': 'Thiirĩ wa Rĩu',
+  'dashboard.amountDue': 'Mbeca cia Kũrĩha',
+  'dashboard.creditBalance': 'Mbeca Irĩa Ũrĩhĩte Mbere',
+  'dashboard.pendingBills': 'Mathabu Matarĩhĩtwo',
+  'dashboard.thisMonth': 'Mweri ũyũ',
+  'dashboard.thisMonthUsage': 'Maaĩ ma Mweri Ũyũ',
+  'dashboard.cubicMeters': 'Cubic meters',
+  'dashboard.accountStatus': 'Ũrĩa Akaunti Ĩrĩ',
+  'dashboard.serviceStatus': 'Ũrĩa ũtungata ũrĩ',
+  'dashboard.creditHint': 'Mbeca irĩa ũrĩhĩte mbere nĩ irĩtoonyagio thabu yaku ĩrĩa ĩrĩũka na mũcango wa mweri o ũndũ ũmwe.',
+  'dashboard.creditContribution': 'Mũcango wa {month}',
+  'dashboard.creditBill': 'Thabu {number}',
+  'dashboard.recentBills': 'Mathabu ma Rĩu',
+  'dashboard.noRecentBills': 'Gũtirĩ mathabu ma rĩu',
+  'dashboard.recentPayments': 'Marĩhi ma Rĩu',
+  'dashboard.noRecentPayments': 'Gũtirĩ marĩhi ma rĩu',
+  'dashboard.usageTrend': 'Ũhũthiri wa Maaĩ',
+  'dashboard.usageThisMonth': 'Mweri Ũyũ',
+  'dashboard.usageLastMonth': 'Mweri Ũrĩa Wathirire',
+  'dashboard.usageAverage': 'Gatagatĩ ka Mweri',
+  'dashboard.usageChart': 'Mbica ya ũhũthiri wa maaĩ nĩ ĩkuonekaga haha',
+
+  // Bills
+  'bills.loadFailed': 'Mathabu matikoneka',
+  'bills.downloaded': 'Thabu nĩ yakuruo wega',
+  'bills.downloadFailed': 'Thabu ndĩhotekete gũkuruo',
+  'bills.title': 'Mathabu Makwa',
+  'bills.subtitle': 'Rora na ũmenyerere mathabu maku ma maaĩ',
+  'bills.total': 'Mathabu Mothe',
+  'bills.forYear': 'Mathabu ma {year}',
+  'bills.downloadPdf': 'Kurũo PDF',
+  'bills.viewDetails': 'Rora Ũhoro Wothe',
+  'bills.payNow': 'Rĩha Rĩu',
+  'bills.noneFound': 'Gũtirĩ thabu yoneka',
+  'bills.noneForYear': 'Gũtirĩ mathabu ma {year}.',
+  'bills.paymentOptions': 'Njĩra cia Kũrĩha',
+  'bills.billPeriod': 'Mahinda ma Thabu:',
+  'bills.amount': 'Mbeca:',
+  'bills.chooseMethod': 'Thuura Njĩra ya Kũrĩha:',
+  'bills.mpesa': 'Equity M-Pesa Paybill',
+  'bills.paybill': 'Paybill:',
+  'bills.account': 'Akaunti:',
+  'bills.yourAccountNumber': 'Namba ya Akaunti Yaku',
+  'bills.steps': 'Mĩkũrũ:',
+  'bills.step1': 'Toonya menu ya M-Pesa',
+  'bills.step2': 'Thuura Lipa na M-Pesa → Paybill',
+  'bills.step3': 'Ikĩra Business No:',
+  'bills.step4': 'Ikĩra Akaunti: namba ya akaunti yaku',
+  'bills.step5': 'Ikĩra mbeca: {amount}',
+  'bills.step6': 'Ikĩra PIN ya M-Pesa',
+  'bills.branch': 'Ibengi rĩa Equity',
+  'bills.branchHint': 'Thiĩ ibengi o rĩothe rĩa Equity',
+  'bills.branchDetail': 'Thiĩ ibengi o rĩothe rĩa Equity na namba ya akaunti yaku ũige mbeca.',
+  'bills.agent': 'Agent wa Equity',
+  'bills.agentHint': 'Thiĩ kũrĩ agent o wothe wa Equity',
+  'bills.agentDetail': 'Caria agent wa Equity ũrĩa ũrĩ hakuhĩ nawe ũrĩhe ũkĩhũthĩra namba ya akaunti yaku.',
+  'bills.equitel': 'Equitel',
+  'bills.equitelHint': 'Hũthĩra laini yaku ya Equitel',
+  'bills.equitelDetail': 'Hũra *247# na laini yaku ya Equitel ũrũmĩrĩre ũrĩa ũkwĩrwo nĩguo ũrĩhe.',
+  'bills.app': 'Equity Mobile App',
+  'bills.appHint': 'Hũthĩra Equity Mobile Banking App',
+  'bills.appDetail': 'Toonya Equity Mobile App yaku, thuura marĩhi, na ũikĩre namba ya akaunti yaku.',
+  'bills.note': 'Menya:',
+  'bills.noteDetail': 'Marĩhi maku nĩ marĩandĩkagwo o ro rĩo Equity Bank yametĩkĩra. Ũndũ ũcio no ũkinye ndagĩka nini.',
+  'bills.details': 'Ũhoro wa Thabu',
+  'bills.billNumber': 'Namba ya Thabu:',
+  'bills.billingPeriod': 'Mahinda ma Thabu:',
+  'bills.dueDate': 'Mũthia wa Kũrĩha:',
+  'bills.totalAmount': 'Mbeca Ciothe:',
+  'bills.lateFee': 'Irĩhi rĩa Gũcererwo:',
+  'bills.status': 'Ũrĩa Ĩrĩ:',
+  'bills.created': 'Yathondekirwo:',
+  'bills.paidDate': 'Mũthenya wa Kũrĩhwo:',
+
+  // Payments
+  'payments.loadFailed': 'Marĩhi matikoneka',
+  'payments.receiptFailed': 'Rĩthiti rĩa marĩhi rĩtihotekete gũkuruo',
+  'payments.statementFailed': 'Statement ndĩhotekete gũkuruo',
+  'payments.title': 'Marĩhi Makwa',
+  'payments.subtitle': 'Rora marĩhi maku mothe',
+  'payments.total': 'Marĩhi Mothe',
+  'payments.mpesaCount': 'Marĩhi ma M-Pesa',
+  'payments.statement': 'Statement ya Akaunti',
+  'payments.statementHint': 'Mathabu, irĩhi, mĩcango na marĩhi hamwe na thiirĩ waku o hĩndĩ',
+  'payments.from': 'Kuuma',
+  'payments.to': 'Nginya',
+  'payments.search': 'Caria marĩhi...',
+  'payments.allStatus': 'Mothe',
+  'payments.allMethods': 'Njĩra Ciothe',
+  'payments.historyFor': 'Marĩhi ma {year}',
+  'payments.export': 'Kurũo',
+  'payments.methodPayment': 'Marĩhi ma {method}',
+  'payments.forMonth': 'Ma: {month}',
+  'payments.dateAt': '{date} saa {time}',
+  'payments.completedOn': 'Maathirire: {date}',
+  'payments.receipt': 'Rĩthiti',
+  'payments.retry': 'Geria Kũrĩha Rĩngĩ',
+  'payments.noneFound': 'Gũtirĩ marĩhi moneka',
+  'payments.adjustFilters': 'Geria gũcenjia ũrĩa ũracaria.',
+  'payments.noneInYear': 'Gũtirĩ marĩhi marĩhirwo {year}.',
+  'method.equity_mpesa': 'Equity M-Pesa',
+  'method.equity_branch': 'Ibengi rĩa Equity',
+  'method.equity_agent': 'Agent wa Equity',
+  'method.equity_equitel': 'Equitel',
+  'method.equity_ussd': 'Equity USSD',
+  'method.equity_app': 'Equity App',
+  'method.cash': 'Mbeca cia guoko',
+  'method.cheque': 'Cheque',
+  'method.bank_transfer': 'Gũtũma kuuma Ibengi',
+
+  // Contributions
+  'contributions.loadFailed': 'Mĩcango ndĩkoneka',
+  'contributions.title': 'Mĩcango Yakwa',
+  'contributions.subtitle': 'Rora na ũmenyerere mĩcango yaku ya o mweri',
+  'contributions.forYear': 'Mĩcango ya {year}',
+  'contributions.noneFound': 'Gũtirĩ mũcango woneka',
+  'contributions.noneForYear': 'Gũtirĩ mĩcango ya {year}.',
+
+  // Fines
+  'fines.loadFailed': 'Irĩhi itikoneka',
+  'fines.title': 'Irĩhi Ciakwa',
+  'fines.subtitle': 'Rora na ũmenyerere irĩhi ciaku',
+  'fines.heading': 'Irĩhi',
+  'fines.fine': 'Irĩhi: {name}',
+  'fines.reason': 'Gĩtũmi: {reason}',
+  'fines.applied': 'Rĩongereirwo: {date}',
+  'fines.noneFound': 'Gũtirĩ irĩhi yoneka',
+  'fines.noneDetail': 'Ndũrĩ na irĩhi rĩu.',
+
+  // Profile
+  'profile.loadFailed': 'Ũhoro waku ndũkoneka',
+  'profile.loadError': 'Ũhoro waku ndũhotekete kuoneka',
+  'profile.updated': 'Ũhoro waku nĩ wacenjio wega',
+  'profile.updateFailed': 'Ũhoro waku ndũhotekete gũcenjio',
+  'profile.passwordMismatch': 'Password icio njerũ itiiganaine',
+  'profile.passwordChanged': 'Password nĩ yacenjio wega',
+  'profile.passwordFailed': 'Password ndĩhotekete gũcenjio',
+  'profile.title': 'Ũhoro Wakwa',
+  'profile.subtitle': 'Menyerera ũhoro wa akaunti yaku',
+  'profile.saveChanges': 'Iga Ũrĩa Wacenjia',
+  'profile.edit': 'Cenjia Ũhoro Wakwa',
+  'profile.memberSince': 'Mũndũ witũ kuuma {date}',
+  'profile.email': 'Email',
+  'profile.phone': 'Namba ya Thimũ',
+  'profile.fullName': 'Rĩĩtwa Rĩothe',
+  'profile.location': 'Kũrĩa Ũikaraga',
+  'profile.zone': 'Rũgongo',
+  'profile.accountInfo': 'Ũhoro wa Akaunti',
+  'profile.connectionDate': 'Mũthenya wa Kũnyitithanio na Maaĩ',
+  'profile.accountNumber': 'Namba ya Akaunti',
+  'profile.security': 'Ũgitĩri',
+  'profile.changePassword': 'Cenjia Password',
+  'profile.currentPassword': 'Password ya Rĩu',
+  'profile.newPassword': 'Password Njerũ',
+  'profile.confirmPassword': 'Ikĩra Password Njerũ Rĩngĩ',
+  'profile.logoutAll': 'Uma thimũ na computer ciothe',
+  'profile.logoutAllConfirm': 'Ũume thimũ na computer ciothe, o na ĩno?',
+  'profile.logoutAllDone': 'Nĩ waumĩte thimũ na computer ciothe',
+  'profile.logoutAllFailed': 'Ndũhotetie kuuma thimũ na computer ciothe',
+  'profile.notifications': 'Ndũmĩrĩri',
+  'profile.alwaysSent': '{types} nĩ ĩtũmagwo hĩndĩ ciothe.',
+  'profile.mandatory.payment_received': 'Marĩthiti ma marĩhi',
+  'profile.mandatory.payment_reversed': 'Marĩhi macokio',
+  'profile.mandatory.fine_applied': 'Irĩhi',
+  'profile.mandatory.password_notification': 'Gũcenjio kwa password',
+  'profile.sendBy': 'Ndũmĩrĩri itũmwo na',
+  'profile.channel.both': 'SMS na email',
+  'profile.channel.sms': 'SMS tu',
+  'profile.channel.email': 'Email tu',
+  'profile.quietHours': 'Mahinda ma kĩrĩndĩ (gũtirĩ SMS)',
+  'profile.quietHoursTo': 'nginya',
+  'profile.quietHoursHint': 'Ndũmĩrĩri ingĩkinya mahinda macio itũmagwo marĩkinya mũthia.',
+  'profile.quietHoursBoth': 'Ikĩra kĩambĩrĩria na mũthia wa mahinda ma kĩrĩndĩ, kana ũtige merĩ',
+  'profile.announcements': 'Imenyithia na ũhoro wa ũtungata',
+  'profile.marketing': 'Maheo na mĩthemba mĩerũ',
+  'profile.smsReminders': 'Kũririkania na SMS ingĩ (cookia STOP harĩ ndũmĩrĩri o yothe nĩguo ũcirũgamie)',
+  'profile.savePreferences': 'Iga Ũrĩa Wendete',
+  'profile.preferencesSaved': 'Ũrĩa wendete ndũmĩrĩri itũmwo nĩ waigwo',
+  'profile.preferencesFailed': 'Ũrĩa wendete ndũmĩrĩri itũmwo ndũhotekete kũigwo'
+};
+
+export default ki;
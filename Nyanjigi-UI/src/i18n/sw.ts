@@ -0,0 +1,230 @@
+import type { TranslationKey } from './en';
+
+// Kiswahili strings for the customer portal
+const sw: Record<TranslationKey, string> = {
+  // Shared
+  'common.cancel': 'Ghairi',
+  'common.close': 'Funga',
+  'common.saving': 'Inahifadhi...',
+  'common.notAvailable': 'Haipo',
+  'common.tryRefreshing': 'Tafadhali onyesha upya ukurasa.',
+  'common.due': 'Mwisho wa kulipa: {date}',
+  'common.paidOn': 'Imelipwa: {date}',
+  'common.includesLateFee': '(pamoja na faini ya kuchelewa ya {amount})',
+  'common.unauthorized': 'Hujaruhusiwa. Tafadhali ingia tena.',
+
+  'status.paid': 'Imelipwa',
+  'status.pending': 'Inasubiri',
+  'status.overdue': 'Imechelewa',
+  'status.cancelled': 'Imeghairiwa',
+  'status.completed': 'Imekamilika',
+  'status.failed': 'Imeshindikana',
+  'status.reversed': 'Imebatilishwa',
+  'status.waived': 'Imesamehewa',
+  'status.partially_paid': 'Imelipwa kiasi',
+  'status.partial': 'Imelipwa kiasi',
+  'status.active': 'Hai',
+  'status.inactive': 'Haitumiki',
+
+  // Layout
+  'layout.portal': 'Huduma kwa Wateja',
+  'layout.welcomeBack': 'Karibu tena,',
+  'layout.logout': 'Toka',
+  'layout.loggedOut': 'Umetoka kwa mafanikio',
+  'layout.language': 'Lugha',
+  'layout.languageFailed': 'Imeshindikana kuhifadhi lugha uliyochagua',
+  'nav.dashboard': 'Muhtasari',
+  'nav.bills': 'Bili',
+  'nav.payments': 'Malipo',
+  'nav.contributions': 'Michango',
+  'nav.fines': 'Faini',
+  'nav.profile': 'Wasifu',
+
+  // Dashboard
+  'dashboard.loadFailed': 'Imeshindikana kupata taarifa za muhtasari',
+  'dashboard.loadError': 'Imeshindikana kupakia muhtasari',
+  'dashboard.welcome': 'Karibu tena, {name}!',
+  'dashboard.account': 'Akaunti: {account}',
+  'dashboard.connectedSince': 'Umeunganishwa tangu {date}',
+  'dashboard.currentBalance': 'Salio la Sasa',
+  'dashboard.amountDue': 'Kiasi Kinachodaiwa',
+  'dashboard.creditBalance': 'Salio la Ziada',
+  'dashboard.pendingBills': 'Bili Zinazosubiri',
+  'dashboard.thisMonth': 'Mwezi huu',
+  'dashboard.thisMonthUsage': 'Matumizi ya Mwezi Huu',
+  'dashboard.cubicMeters': 'Mita za ujazo',
+  'dashboard.accountStatus': 'Hali ya Akaunti',
+  'dashboard.serviceStatus': 'Hali ya huduma',
+  'dashboard.creditHint': 'Malipo ya mapema hutumika yenyewe kwa bili yako ijayo na mchango wa mwezi.',
+  'dashboard.creditContribution': 'Mchango {month}',
+  'dashboard.creditBill': 'Bili {number}',
+  'dashboard.recentBills': 'Bili za Hivi Karibuni',
+  'dashboard.noRecentBills': 'Hakuna bili za hivi karibuni',
+  'dashboard.recentPayments': 'Malipo ya Hivi Karibuni',
+  'dashboard.noRecentPayments': 'Hakuna malipo ya hivi karibuni',
+  'dashboard.usageTrend': 'Mwenendo wa Matumizi ya Maji',
+  'dashboard.usageThisMonth': 'Mwezi Huu',
+  'dashboard.usageLastMonth': 'Mwezi Uliopita',
+  'dashboard.usageAverage': 'Wastani wa Mwezi',
+  'dashboard.usageChart': 'Chati ya matumizi itaonyeshwa hapa',
+
+  // Bills
+  'bills.loadFailed': 'Imeshindikana kupata bili',
+  'bills.downloaded': 'Bili imepakuliwa',
+  'bills.downloadFailed': 'Imeshindikana kupakua bili',
+  'bills.title': 'Bili Zangu',
+  'bills.subtitle': 'Angalia na usimamie bili zako za maji',
+  'bills.total': 'Jumla ya Bili',
+  'bills.forYear': 'Bili za {year}',
+  'bills.downloadPdf': 'Pakua PDF',
+  'bills.viewDetails': 'Angalia Maelezo',
+  'bills.payNow': 'Lipa Sasa',
+  'bills.noneFound': 'Hakuna bili',
+  'bills.noneForYear': 'Hakuna bili za {year}.',
+  'bills.paymentOptions': 'Njia za Kulipa',
+  'bills.billPeriod': 'Kipindi cha Bili:',
+  'bills.amount': 'Kiasi:',
+  'bills.chooseMethod': 'Chagua Njia ya Kulipa:',
+  'bills.mpesa': 'Equity M-Pesa Paybill',
+  'bills.paybill': 'Paybill:',
+  'bills.account': 'Akaunti:',
+  'bills.yourAccountNumber': 'Nambari Yako ya Akaunti',
+  'bills.steps': 'Hatua:',
+  'bills.step1': 'Nenda kwenye menyu ya M-Pesa',
+  'bills.step2': 'Chagua Lipa na M-Pesa → Paybill',
+  'bills.step3': 'Weka Nambari ya Biashara:',
+  'bills.step4': 'Weka Akaunti: Nambari yako ya akaunti',
+  'bills.step5': 'Weka Kiasi: {amount}',
+  'bills.step6': 'Weka PIN ya M-Pesa',
+  'bills.branch': 'Tawi la Benki ya Equity',
+  'bills.branchHint': 'Tembelea tawi lolote la Benki ya Equity',
+  'bills.branchDetail': 'Tembelea tawi lolote la Benki ya Equity na nambari yako ya akaunti uweke pesa taslimu.',
+  'bills.agent': 'Wakala wa Equity',
+  'bills.agentHint': 'Tembelea wakala yeyote wa Benki ya Equity',
+  'bills.agentDetail': 'Tafuta wakala wa Benki ya Equity aliye karibu nawe ulipe ukitumia nambari yako ya akaunti.',
+  'bills.equitel': 'Equitel',
+  'bills.equitelHint': 'Tumia laini yako ya Equitel',
+  'bills.equitelDetail': 'Piga *247# kwenye laini yako ya Equitel ufuate maelekezo kulipa.',
+  'bills.app': 'Programu ya Equity Mobile',
+  'bills.appHint': 'Tumia programu ya Equity Mobile Banking',
+  'bills.appDetail': 'Ingia kwenye programu ya Equity Mobile, chagua malipo, kisha weka nambari yako ya akaunti.',
+  'bills.note': 'Kumbuka:',
+  'bills.noteDetail': 'Malipo yako yatarekodiwa yenyewe Benki ya Equity itakapoyathibitisha. Hii inaweza kuchukua dakika chache.',
+  'bills.details': 'Maelezo ya Bili',
+  'bills.billNumber': 'Nambari ya Bili:',
+  'bills.billingPeriod': 'Kipindi cha Bili:',
+  'bills.dueDate': 'Tarehe ya Mwisho:',
+  'bills.totalAmount': 'Jumla:',
+  'bills.lateFee': 'Faini ya Kuchelewa:',
+  'bills.status': 'Hali:',
+  'bills.created': 'Imetolewa:',
+  'bills.paidDate': 'Tarehe ya Malipo:',
+
+  // Payments
+  'payments.loadFailed': 'Imeshindikana kupata malipo',
+  'payments.receiptFailed': 'Imeshindikana kupakua risiti',
+  'payments.statementFailed': 'Imeshindikana kupakua taarifa ya akaunti',
+  'payments.title': 'Malipo Yangu',
+  'payments.subtitle': 'Fuatilia historia ya malipo yako',
+  'payments.total': 'Jumla ya Malipo',
+  'payments.mpesaCount': 'Malipo ya M-Pesa',
+  'payments.statement': 'Taarifa ya Akaunti',
+  'payments.statementHint': 'Bili, faini, michango na malipo pamoja na salio lako',
+  'payments.from': 'Kuanzia',
+  'payments.to': 'Hadi',
+  'payments.search': 'Tafuta malipo...',
+  'payments.allStatus': 'Hali Zote',
+  'payments.allMethods': 'Njia Zote',
+  'payments.historyFor': 'Historia ya Malipo ya {year}',
+  'payments.export': 'Hamisha',
+  'payments.methodPayment': 'Malipo ya {method}',
+  'payments.forMonth': 'Ya: {month}',
+  'payments.dateAt': '{date} saa {time}',
+  'payments.completedOn': 'Yamekamilika: {date}',
+  'payments.receipt': 'Risiti',
+  'payments.retry': 'Jaribu Kulipa Tena',
+  'payments.noneFound': 'Hakuna malipo',
+  'payments.adjustFilters': 'Jaribu kubadilisha vichujio.',
+  'payments.noneInYear': 'Hakuna malipo yaliyofanywa {year}.',
+  'method.equity_mpesa': 'Equity M-Pesa',
+  'method.equity_branch': 'Tawi la Equity',
+  'method.equity_agent': 'Wakala wa Equity',
+  'method.equity_equitel': 'Equitel',
+  'method.equity_ussd': 'Equity USSD',
+  'method.equity_app': 'Programu ya Equity',
+  'method.cash': 'Pesa Taslimu',
+  'method.cheque': 'Hundi',
+  'method.bank_transfer': 'Uhamisho wa Benki',
+
+  // Contributions
+  'contributions.loadFailed': 'Imeshindikana kupata michango',
+  'contributions.title': 'Michango Yangu',
+  'contributions.subtitle': 'Angalia na usimamie michango yako ya kila mwezi',
+  'contributions.forYear': 'Michango ya {year}',
+  'contributions.noneFound': 'Hakuna michango',
+  'contributions.noneForYear': 'Hakuna michango ya {year}.',
+
+  // Fines
+  'fines.loadFailed': 'Imeshindikana kupata faini',
+  'fines.title': 'Faini Zangu',
+  'fines.subtitle': 'Angalia na usimamie faini zako',
+  'fines.heading': 'Faini',
+  'fines.fine': 'Faini: {name}',
+  'fines.reason': 'Sababu: {reason}',
+  'fines.applied': 'Imetozwa: {date}',
+  'fines.noneFound': 'Hakuna faini',
+  'fines.noneDetail': 'Huna faini kwa sasa.',
+
+  // Profile
+  'profile.loadFailed': 'Imeshindikana kupata wasifu',
+  'profile.loadError': 'Imeshindikana kupakia wasifu',
+  'profile.updated': 'Wasifu umesasishwa',
+  'profile.updateFailed': 'Imeshindikana kusasisha wasifu',
+  'profile.passwordMismatch': 'Manenosiri mapya hayalingani',
+  'profile.passwordChanged': 'Nenosiri limebadilishwa',
+  'profile.passwordFailed': 'Imeshindikana kubadilisha nenosiri',
+  'profile.title': 'Wasifu Wangu',
+  'profile.subtitle': 'Simamia taarifa za akaunti yako',
+  'profile.saveChanges': 'Hifadhi Mabadiliko',
+  'profile.edit': 'Hariri Wasifu',
+  'profile.memberSince': 'Mwanachama tangu {date}',
+  'profile.email': 'Barua Pepe',
+  'profile.phone': 'Nambari ya Simu',
+  'profile.fullName': 'Jina Kamili',
+  'profile.location': 'Mahali',
+  'profile.zone': 'Eneo',
+  'profile.accountInfo': 'Taarifa za Akaunti',
+  'profile.connectionDate': 'Tarehe ya Kuunganishwa',
+  'profile.accountNumber': 'Nambari ya Akaunti',
+  'profile.security': 'Usalama',
+  'profile.changePassword': 'Badilisha Nenosiri',
+  'profile.currentPassword': 'Nenosiri la Sasa',
+  'profile.newPassword': 'Nenosiri Jipya',
+  'profile.confirmPassword': 'Thibitisha Nenosiri Jipya',
+  'profile.logoutAll': 'Ondoka kwenye vifaa vyote',
+  'profile.logoutAllConfirm': 'Ondoka kwenye kila simu na kompyuta, ikiwemo hii?',
+  'profile.logoutAllDone': 'Umeondoka kwenye vifaa vyote',
+  'profile.logoutAllFailed': 'Imeshindikana kuondoka kwenye vifaa vyote',
+  'profile.notifications': 'Arifa',
+  'profile.alwaysSent': '{types} hutumwa kila wakati.',
+  'profile.mandatory.payment_received': 'Risiti za malipo',
+  'profile.mandatory.payment_reversed': 'Malipo yaliyobatilishwa',
+  'profile.mandatory.fine_applied': 'Faini',
+  'profile.mandatory.password_notification': 'Mabadiliko ya nenosiri',
+  'profile.sendBy': 'Tuma arifa kwa',
+  'profile.channel.both': 'SMS na barua pepe',
+  'profile.channel.sms': 'SMS pekee',
+  'profile.channel.email': 'Barua pepe pekee',
+  'profile.quietHours': 'Saa za utulivu (bila SMS)',
+  'profile.quietHoursTo': 'hadi',
+  'profile.quietHoursHint': 'Ujumbe unaotakiwa kutumwa katika muda huu utatumwa muda ukiisha.',
+  'profile.quietHoursBoth': 'Weka mwanzo na mwisho wa saa za utulivu, au usiweke kimoja wapo',
+  'profile.announcements': 'Matangazo na taarifa za huduma',
+  'profile.marketing': 'Ofa na promosheni',
+  'profile.smsReminders': 'Vikumbusho na SMS nyingine (jibu STOP kwa ujumbe wowote kuzizima)',
+  'profile.savePreferences': 'Hifadhi Mapendeleo',
+  'profile.preferencesSaved': 'Mapendeleo ya arifa yamehifadhiwa',
+  'profile.preferencesFailed': 'Imeshindikana kuhifadhi mapendeleo ya arifa'
+};
+
+export default sw;
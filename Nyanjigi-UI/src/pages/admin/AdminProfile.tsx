@@ -0,0 +1,406 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserCircle, ShieldCheck, ShieldAlert, Save, KeyRound, MessageSquare } from 'lucide-react';
+import { authService } from '../../services/authService';
+import { useToast } from '../../context/ToastContext';
+import BackupCodes from '../../components/common/BackupCodes';
+
+interface AdminProfileData {
+  id: number;
+  username: string;
+  email: string;
+  phone: string | null;
+  full_name: string;
+  role: string;
+  two_factor_enabled: boolean;
+  last_login: string | null;
+}
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabled_at: string | null;
+  required: boolean;
+  backup_codes_remaining: number;
+  phone: string | null;
+  sms_available: boolean;
+}
+
+interface TwoFactorSetup {
+  secret: string;
+  otpauth_url: string;
+  qr_code: string;
+}
+
+const roleLabels: Record<string, string> = {
+  superadmin: 'Superadmin',
+  treasurer: 'Treasurer',
+  billing_clerk: 'Billing clerk',
+  meter_reader: 'Meter reader',
+  sms_officer: 'SMS officer',
+  auditor: 'Auditor'
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Authenticator setup, backup codes and turning 2FA off
+const TwoFactorSection: React.FC<{ status: TwoFactorStatus; onChange: () => void }> = ({ status, onChange }) => {
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [backupCodes, setBackupCodes] = useState<string[] | null>(null);
+  const [action, setAction] = useState<'regenerate' | 'disable' | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+  const { addToast } = useToast();
+
+  const resetForm = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const startSetup = async () => {
+    setWorking(true);
+    try {
+      const response = await authService.beginTwoFactorSetup();
+      setSetup(response.data.data);
+      setBackupCodes(null);
+      setCode('');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to start setup', 'error');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const confirmSetup = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      const response = await authService.enableTwoFactor(code);
+      setBackupCodes(response.data.data.backup_codes);
+      setSetup(null);
+      setCode('');
+      addToast('Two-factor authentication enabled', 'success');
+      onChange();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to enable two-factor authentication', 'error');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const submitAction = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      if (action === 'regenerate') {
+        const response = await authService.regenerateBackupCodes(code);
+        setBackupCodes(response.data.data.backup_codes);
+        addToast('New backup codes generated', 'success');
+      } else {
+        await authService.disableTwoFactor({ password, code });
+        setBackupCodes(null);
+        addToast('Two-factor authentication turned off', 'success');
+      }
+      resetForm();
+      onChange();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Request failed', 'error');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 p-6 space-y-5">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-center gap-3">
+          {status.enabled
+            ? <ShieldCheck className="w-8 h-8 text-green-600" />
+            : <ShieldAlert className="w-8 h-8 text-yellow-600" />}
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h2>
+            <p className="text-sm text-gray-600">
+              {status.enabled
+                ? `On since ${status.enabled_at ? new Date(status.enabled_at).toLocaleDateString() : 'setup'}. Signing in needs a code from your authenticator app.`
+                : 'Protect your account with a code from an authenticator app as well as your password.'}
+            </p>
+          </div>
+        </div>
+        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full whitespace-nowrap ${
+          status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+        }`}>
+          {status.enabled ? 'Enabled' : 'Off'}
+        </span>
+      </div>
+
+      {status.required && (
+        <p className="text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-lg p-3">
+          Your role requires two-factor authentication{status.enabled ? ', so it cannot be turned off.' : '.'}
+        </p>
+      )}
+
+      {backupCodes && <BackupCodes codes={backupCodes} />}
+
+      {!status.enabled && !setup && (
+        <button
+          onClick={startSetup}
+          disabled={working}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors disabled:opacity-50"
+        >
+          {working ? 'Preparing...' : 'Set up authenticator app'}
+        </button>
+      )}
+
+      {setup && (
+        <form onSubmit={confirmSetup} className="grid grid-cols-1 md:grid-cols-2 gap-6 items-start">
+          <div className="text-center">
+            <img src={setup.qr_code} alt="Authenticator QR code" className="mx-auto w-48 h-48 bg-white rounded-lg p-2 border border-gray-200" />
+            <p className="text-xs text-gray-600 mt-2">Can't scan it? Enter this key:</p>
+            <p className="font-mono text-sm text-gray-900 break-all">{setup.secret}</p>
+          </div>
+          <div className="space-y-3">
+            <p className="text-sm text-gray-700">
+              Scan the QR code with Google Authenticator, Microsoft Authenticator or a similar app, then enter the
+              6-digit code it shows to finish.
+            </p>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className={`${inputClass} tracking-widest`}
+              required
+            />
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={working}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {working ? 'Verifying...' : 'Enable'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setSetup(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-white/40"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+            <div className="flex items-center gap-2 text-gray-700">
+              <KeyRound className="w-4 h-4 text-gray-500" />
+              {status.backup_codes_remaining} unused backup code{status.backup_codes_remaining === 1 ? '' : 's'}
+            </div>
+            <div className="flex items-center gap-2 text-gray-700">
+              <MessageSquare className="w-4 h-4 text-gray-500" />
+              {status.sms_available
+                ? `SMS codes can be sent to ${status.phone}`
+                : 'Add a phone number above to receive sign-in codes by SMS'}
+            </div>
+          </div>
+
+          {action ? (
+            <form onSubmit={submitAction} className="space-y-3 max-w-sm">
+              {action === 'disable' && (
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Your password"
+                  className={inputClass}
+                  required
+                />
+              )}
+              <input
+                type="text"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={action === 'disable' ? 'Authenticator or backup code' : 'Authenticator code'}
+                className={inputClass}
+                required
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={working}
+                  className={`text-white px-4 py-2 rounded-lg transition-colors disabled:opacity-50 ${
+                    action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  {action === 'disable' ? 'Turn off' : 'Generate codes'}
+                </button>
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-white/40"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => setAction('regenerate')}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-white/40"
+              >
+                Generate new backup codes
+              </button>
+              {!status.required && (
+                <button
+                  onClick={() => setAction('disable')}
+                  className="px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50"
+                >
+                  Turn off two-factor authentication
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AdminProfile: React.FC = () => {
+  const [profile, setProfile] = useState<AdminProfileData | null>(null);
+  const [twoFactor, setTwoFactor] = useState<TwoFactorStatus | null>(null);
+  const [form, setForm] = useState({ full_name: '', email: '', phone: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const { addToast } = useToast();
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      const [profileResponse, twoFactorResponse] = await Promise.all([
+        authService.getAdminProfile(),
+        authService.getTwoFactorStatus()
+      ]);
+      const data: AdminProfileData = profileResponse.data.data;
+      setProfile(data);
+      setForm({ full_name: data.full_name, email: data.email, phone: data.phone || '' });
+      setTwoFactor(twoFactorResponse.data.data);
+    } catch (error) {
+      console.error('Error fetching profile:', error);
+      addToast('Failed to load your profile', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  const fetchTwoFactorStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setTwoFactor(response.data.data);
+    } catch {
+      addToast('Failed to refresh two-factor status', 'error');
+    }
+  };
+
+  const saveProfile = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await authService.updateAdminProfile(form);
+      addToast('Profile updated successfully', 'success');
+      await fetchProfile();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to update profile', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">My Profile</h1>
+        <p className="text-gray-600 mt-1">Your account details and sign-in security</p>
+      </div>
+
+      {profile && (
+        <form onSubmit={saveProfile} className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 p-6 space-y-4">
+          <div className="flex items-center gap-3">
+            <UserCircle className="w-8 h-8 text-blue-600" />
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">{profile.username}</h2>
+              <p className="text-sm text-gray-600">
+                {roleLabels[profile.role] || profile.role}
+                {profile.last_login ? ` · Last active ${new Date(profile.last_login).toLocaleString()}` : ''}
+              </p>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Full Name</label>
+              <input
+                type="text"
+                value={form.full_name}
+                onChange={(e) => setForm({ ...form, full_name: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                value={form.email}
+                onChange={(e) => setForm({ ...form, email: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+              <input
+                type="tel"
+                value={form.phone}
+                onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                placeholder="+2547XXXXXXXX"
+                className={inputClass}
+              />
+              <p className="text-xs text-gray-500 mt-1">Used for SMS sign-in codes when your authenticator is unavailable</p>
+            </div>
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
+          >
+            <Save className="w-4 h-4" />
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </form>
+      )}
+
+      {twoFactor && <TwoFactorSection status={twoFactor} onChange={fetchTwoFactorStatus} />}
+    </div>
+  );
+};
+
+export default AdminProfile;
@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck, Download, History, ChevronDown, ChevronRight, Search } from 'lucide-react';
+import { adminService } from '../../services/adminService';
+import { useToast } from '../../context/ToastContext';
+import RecordHistoryModal, { AuditChanges, AuditLogEntry } from '../../components/common/RecordHistoryModal';
+
+interface Pagination {
+  current_page: number;
+  per_page: number;
+  total: number;
+  total_pages: number;
+}
+
+interface Filters {
+  table_name: string;
+  record_id: string;
+  action: string;
+  user_type: string;
+  date_from: string;
+  date_to: string;
+}
+
+const EMPTY_FILTERS: Filters = {
+  table_name: '',
+  record_id: '',
+  action: '',
+  user_type: '',
+  date_from: '',
+  date_to: ''
+};
+
+const ACTION_STYLES: Record<string, string> = {
+  INSERT: 'bg-green-100 text-green-800',
+  UPDATE: 'bg-blue-100 text-blue-800',
+  DELETE: 'bg-red-100 text-red-800'
+};
+
+// Only the filters that have a value are sent to the API
+const activeFilters = (filters: Filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+
+const AuditTrail: React.FC = () => {
+  const [logs, setLogs] = useState<AuditLogEntry[]>([]);
+  const [tables, setTables] = useState<Record<string, string>>({});
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [expanded, setExpanded] = useState<number | null>(null);
+  const [historyRecord, setHistoryRecord] = useState<{ table: string; id: number } | null>(null);
+  const { addToast } = useToast();
+
+  const fetchLogs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await adminService.getAuditLogs({ ...activeFilters(appliedFilters), page, limit: 50 });
+      const data = response.data.data;
+      setLogs(data.logs || []);
+      setTables(data.tables || {});
+      setPagination(data.pagination || null);
+    } catch (error) {
+      console.error('Error fetching audit logs:', error);
+      addToast('Failed to fetch audit logs', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, appliedFilters, addToast]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const applyFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const exportCsv = async () => {
+    setExporting(true);
+    try {
+      const response = await adminService.exportAuditLogs(activeFilters(appliedFilters));
+
+      const blob = new Blob([response.data], { type: 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode?.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch {
+      addToast('Failed to export audit logs', 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const updateFilter = (field: keyof Filters, value: string) =>
+    setFilters(prev => ({ ...prev, [field]: value }));
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Audit Trail</h1>
+          <p className="text-gray-600 mt-1">Who changed what, when and from where</p>
+        </div>
+        <button
+          onClick={exportCsv}
+          disabled={exporting}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={applyFilters}
+        className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 p-4 grid grid-cols-1 md:grid-cols-3 lg:grid-cols-7 gap-3 items-end"
+      >
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Table</label>
+          <select value={filters.table_name} onChange={(e) => updateFilter('table_name', e.target.value)} className={inputClass}>
+            <option value="">All tables</option>
+            {Object.entries(tables).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Record ID</label>
+          <input
+            type="number"
+            min={1}
+            value={filters.record_id}
+            onChange={(e) => updateFilter('record_id', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Action</label>
+          <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className={inputClass}>
+            <option value="">All actions</option>
+            <option value="INSERT">Created</option>
+            <option value="UPDATE">Updated</option>
+            <option value="DELETE">Deleted</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Changed by</label>
+          <select value={filters.user_type} onChange={(e) => updateFilter('user_type', e.target.value)} className={inputClass}>
+            <option value="">Anyone</option>
+            <option value="admin">Admin</option>
+            <option value="customer">Customer</option>
+            <option value="system">System</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.date_from}
+            max={filters.date_to || undefined}
+            onChange={(e) => updateFilter('date_from', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.date_to}
+            min={filters.date_from || undefined}
+            onChange={(e) => updateFilter('date_to', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            className="flex-1 bg-gray-700 hover:bg-gray-800 text-white px-3 py-2 rounded-lg flex items-center justify-center gap-1"
+          >
+            <Search className="w-4 h-4" />
+            Filter
+          </button>
+          <button
+            type="button"
+            onClick={clearFilters}
+            className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-white/40"
+          >
+            Clear
+          </button>
+        </div>
+      </form>
+
+      {/* Log Table */}
+      <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : logs.length === 0 ? (
+          <div className="text-center py-12">
+            <ShieldCheck className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No audit entries found</h3>
+            <p className="mt-1 text-sm text-gray-500">Changes appear here as they are made.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-blue-50/50">
+                <tr>
+                  <th className="px-4 py-3"></th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changed By</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">History</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {logs.map(log => (
+                  <React.Fragment key={log.id}>
+                    <tr
+                      className="hover:bg-blue-50/30 transition-colors cursor-pointer"
+                      onClick={() => setExpanded(expanded === log.id ? null : log.id)}
+                    >
+                      <td className="px-4 py-3 text-gray-400">
+                        {expanded === log.id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {new Date(log.created_at).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {tables[log.table_name] || log.table_name} #{log.record_id}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${ACTION_STYLES[log.action]}`}>
+                          {log.action}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{log.actor_name || 'System'}</div>
+                        <div className="text-xs text-gray-500 capitalize">
+                          {log.user_type}{log.actor_username ? ` · ${log.actor_username}` : ''}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500" title={log.user_agent || undefined}>
+                        {log.ip_address || '—'}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setHistoryRecord({ table: log.table_name, id: log.record_id });
+                          }}
+                          className="text-blue-600 hover:text-blue-900 transition-colors"
+                          title="Full history of this record"
+                        >
+                          <History className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                    {expanded === log.id && (
+                      <tr className="bg-white/30">
+                        <td></td>
+                        <td colSpan={6} className="px-4 py-3">
+                          <AuditChanges entry={log} />
+                          {log.user_agent && (
+                            <p className="mt-2 text-xs text-gray-400 break-all">{log.user_agent}</p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {pagination && pagination.total_pages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            Page {pagination.current_page} of {pagination.total_pages} ({pagination.total} entries)
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.total_pages}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {historyRecord && (
+        <RecordHistoryModal
+          table={historyRecord.table}
+          recordId={historyRecord.id}
+          title={`${tables[historyRecord.table] || historyRecord.table} #${historyRecord.id} history`}
+          onClose={() => setHistoryRecord(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AuditTrail;
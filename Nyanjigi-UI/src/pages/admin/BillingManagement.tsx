@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { FileText, Calendar, DollarSign, AlertCircle, Download, Plus } from 'lucide-react';
 import { adminService } from '../../services/adminService';
 import { useToast } from '../../context/ToastContext';
@@ -58,10 +59,11 @@ const EditBillModal: React.FC<EditBillModalProps> = ({ bill, onClose, onSave })
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="pending">Pending</option>
-              <option value="paid">Paid</option>
+              <option value="paid" disabled>Paid</option>
               <option value="overdue">Overdue</option>
               <option value="cancelled">Cancelled</option>
             </select>
+            <p className="text-xs text-gray-500 mt-1">Bills are marked paid by recording a payment on the Payments page.</p>
           </div>
         </div>
         <div className="mt-6 flex justify-end gap-3">
@@ -95,6 +97,7 @@ const BillingManagement: React.FC = () => {
   const [selectedMonth, setSelectedMonth] = useState(new Date().toISOString().slice(0, 7));
   const [showGenerateModal, setShowGenerateModal] = useState(false);
   const { addToast } = useToast();
+  const navigate = useNavigate();
 
   // New state for modals
   const [showViewModal, setShowViewModal] = useState(false);
@@ -197,29 +200,6 @@ const BillingManagement: React.FC = () => {
     }
   };
 
-  const handleBulkMarkPaid = async (billIds: number[]) => {
-    try {
-      await adminService.bulkUpdateBillStatus({
-        bill_ids: billIds,
-        status: 'paid'
-      });
-      addToast(`${billIds.length} bills marked as paid`, 'success');
-      await fetchBills();
-    } catch (error) {
-      addToast('Failed to update bills', 'error');
-    }
-  };
-
-  const handleMarkPaid = async (billId: number) => {
-    try {
-      await adminService.updateBillStatus(billId, { status: 'paid' });
-      addToast('Bill marked as paid', 'success');
-      await fetchBills();
-    } catch (error) {
-      addToast('Failed to mark bill as paid', 'error');
-    }
-  };
-
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'paid': return 'bg-green-100 text-green-800';
@@ -274,19 +254,6 @@ const BillingManagement: React.FC = () => {
             onChange={(e) => setSelectedMonth(e.target.value)}
             className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           />
-          <button
-            onClick={() => {
-              const pendingBills = bills.filter(b => getDisplayStatus(b) === 'pending').map(b => b.id);
-              if (pendingBills.length > 0) {
-                handleBulkMarkPaid(pendingBills);
-              } else {
-                addToast('No pending bills to mark as paid', 'warning');
-              }
-            }}
-            className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
-          >
-            Bulk Mark Paid
-          </button>
           <button
             onClick={() => setShowGenerateModal(true)}
             className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
@@ -473,11 +440,11 @@ const BillingManagement: React.FC = () => {
                         Edit
                       </button>
                       <button
-                        onClick={() => handleMarkPaid(bill.id)}
+                        onClick={() => navigate('/admin/payments')}
                         className="text-green-600 hover:text-green-900 transition-colors"
-                        title="Mark as paid"
+                        title="Record a payment against this bill"
                       >
-                        Mark Paid
+                        Record Payment
                       </button>
                       <button
                         onClick={() => handleDeleteBill(bill.id)}
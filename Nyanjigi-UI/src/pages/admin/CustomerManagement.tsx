@@ -1,8 +1,10 @@
 /* eslint-disable @typescript-eslint/no-unused-vars */
 import React, { useState, useEffect } from 'react';
-import { Users, Search, Plus, ToggleLeft, ToggleRight, RefreshCw } from 'lucide-react';
+import { Users, Search, Plus, ToggleLeft, ToggleRight, RefreshCw, Download, History } from 'lucide-react';
 import { adminService } from '../../services/adminService';
 import { useToast } from '../../context/ToastContext';
+import { useAuth } from '../../context/useAuth';
+import RecordHistoryModal from '../../components/common/RecordHistoryModal';
 
 interface Customer {
   id: number;
@@ -282,8 +284,40 @@ const ViewCustomerModal: React.FC<{
   customer: Customer | null; 
   onClose: () => void 
 }> = ({ customer, onClose }) => {
+  const [statementFrom, setStatementFrom] = useState(`${new Date().getFullYear()}-01-01`);
+  const [statementTo, setStatementTo] = useState(new Date().toISOString().split('T')[0]);
+  const [downloading, setDownloading] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const { addToast } = useToast();
+  const { hasPermission } = useAuth();
+
   if (!customer) return null;
 
+  const downloadStatement = async (format: 'csv' | 'pdf') => {
+    setDownloading(true);
+    try {
+      const response = await adminService.downloadCustomerStatement(customer.id, {
+        from: statementFrom,
+        to: statementTo,
+        format
+      });
+
+      const blob = new Blob([response.data], { type: format === 'pdf' ? 'application/pdf' : 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `statement-${customer.account_number}-${statementFrom}-${statementTo}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode?.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch {
+      addToast('Failed to download statement', 'error');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg p-6 w-full max-w-lg">
@@ -347,8 +381,54 @@ const ViewCustomerModal: React.FC<{
               KES {customer.outstanding_balance.toLocaleString()}
             </p>
           </div>
+          <div className="border-t pt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Account Statement</label>
+            <div className="grid grid-cols-2 gap-4">
+              <input
+                type="date"
+                value={statementFrom}
+                max={statementTo}
+                onChange={(e) => setStatementFrom(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="date"
+                value={statementTo}
+                min={statementFrom}
+                onChange={(e) => setStatementTo(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="flex space-x-2 mt-3">
+              <button
+                onClick={() => downloadStatement('pdf')}
+                disabled={downloading}
+                className="flex items-center px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Download className="w-4 h-4 mr-1" />
+                PDF
+              </button>
+              <button
+                onClick={() => downloadStatement('csv')}
+                disabled={downloading}
+                className="flex items-center px-3 py-2 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Download className="w-4 h-4 mr-1" />
+                CSV
+              </button>
+            </div>
+          </div>
         </div>
-        <div className="flex justify-end mt-6">
+        <div className="flex justify-end gap-3 mt-6">
+          {hasPermission('audit.view') && (
+            <button
+              onClick={() => setShowHistory(true)}
+              className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              <History className="w-4 h-4 mr-1" />
+              Change History
+            </button>
+          )}
           <button
             onClick={onClose}
             className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
@@ -357,6 +437,14 @@ const ViewCustomerModal: React.FC<{
           </button>
         </div>
       </div>
+      {showHistory && (
+        <RecordHistoryModal
+          table="customers"
+          recordId={customer.id}
+          title={`${customer.full_name} - change history`}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
     </div>
   );
 };
@@ -10,10 +10,829 @@ import {
   RefreshCw,
   Bell,
   Package,
+  Layers,
+  Inbox,
+  CalendarDays,
+  ChevronLeft,
+  ChevronRight,
+  Plus,
+  PenSquare,
+  History,
+  Trash2,
+  Save,
+  Eye,
   X
 } from 'lucide-react';
 import { adminService } from '../../services/adminService';
 import { useToast } from '../../context/ToastContext';
+import { countSmsSegments } from '../../utils/sms';
+
+// Character and segment count shown under SMS message boxes
+const SegmentCounter: React.FC<{ message: string; maxSegments: number }> = ({ message, maxSegments }) => {
+  const count = countSmsSegments(message);
+  const overLimit = count.segments > maxSegments;
+
+  return (
+    <p className={`text-xs ${overLimit ? 'text-red-600' : 'text-blue-600'}`}>
+      {count.length} chars · {count.segments} {count.segments === 1 ? 'segment' : 'segments'} ({count.encoding}) · {count.remaining} left in segment
+      {overLimit && ` · exceeds the ${maxSegments} segment limit`}
+    </p>
+  );
+};
+
+const ZONES = ['Nyakahura', 'G3', 'Githunguri'];
+const CUSTOMER_TYPES = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'institution', label: 'Institution' }
+];
+const ARREARS_BUCKETS = [
+  { value: 'current', label: 'Not overdue' },
+  { value: '1_30', label: '1-30 days' },
+  { value: '31_60', label: '31-60 days' },
+  { value: '61_90', label: '61-90 days' },
+  { value: '90_plus', label: 'Over 90 days' }
+];
+
+const pad = (value: number) => String(value).padStart(2, '0');
+const toDateInput = (date: Date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const toDateTimeInput = (date: Date) => `${toDateInput(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+interface CampaignModalProps {
+  campaign: any | null;
+  maxSegments: number;
+  onClose: () => void;
+  onSaved: () => void;
+}
+
+// Create or edit a scheduled campaign
+const CampaignModal: React.FC<CampaignModalProps> = ({ campaign, maxSegments, onClose, onSaved }) => {
+  const { addToast } = useToast();
+  const [saving, setSaving] = useState(false);
+  const [audienceCount, setAudienceCount] = useState<any>(null);
+  const [form, setForm] = useState(() => ({
+    title: campaign?.title || '',
+    message: campaign?.message || '',
+    email_subject: campaign?.email_subject || '',
+    channel: (campaign?.channel || 'sms') as 'sms' | 'email' | 'both',
+    scheduled_time: campaign
+      ? toDateTimeInput(new Date(campaign.scheduled_time))
+      : toDateTimeInput(new Date(Date.now() + 60 * 60 * 1000)),
+    recurrence: (campaign?.recurrence || 'none') as 'none' | 'daily' | 'weekly' | 'monthly',
+    recurrence_end_date: campaign?.recurrence_end_date ? toDateInput(new Date(campaign.recurrence_end_date)) : '',
+    audience: {
+      zones: campaign?.audience?.zones || [],
+      customer_types: campaign?.audience?.customer_types || [],
+      arrears_buckets: campaign?.audience?.arrears_buckets || []
+    } as Record<string, string[]>
+  }));
+
+  const toggleAudience = (key: string, value: string) => {
+    setAudienceCount(null);
+    setForm(prev => {
+      const selected = prev.audience[key];
+      return {
+        ...prev,
+        audience: {
+          ...prev.audience,
+          [key]: selected.includes(value) ? selected.filter(item => item !== value) : [...selected, value]
+        }
+      };
+    });
+  };
+
+  const handleCountAudience = async () => {
+    try {
+      const response = await adminService.countScheduledAudience(form.audience);
+      setAudienceCount(response.data.data);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to count audience', 'error');
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = {
+      ...form,
+      email_subject: form.email_subject || undefined,
+      scheduled_time: new Date(form.scheduled_time).toISOString(),
+      recurrence_end_date: form.recurrence !== 'none' && form.recurrence_end_date ? form.recurrence_end_date : null
+    };
+
+    try {
+      setSaving(true);
+      if (campaign) {
+        await adminService.updateScheduledNotification(campaign.id, data);
+        addToast('Scheduled notification updated', 'success');
+      } else {
+        await adminService.createScheduledNotification(data);
+        addToast('Notification scheduled', 'success');
+      }
+      onSaved();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to save scheduled notification', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const audienceGroups = [
+    { key: 'zones', label: 'Zones', options: ZONES.map(zone => ({ value: zone, label: zone })) },
+    { key: 'customer_types', label: 'Customer Type', options: CUSTOMER_TYPES },
+    { key: 'arrears_buckets', label: 'Arrears', options: ARREARS_BUCKETS }
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            {campaign ? 'Edit Scheduled Notification' : 'Schedule Notification'}
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Title</label>
+            <input
+              type="text"
+              value={form.title}
+              onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="e.g. Water rationing in G3"
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Channel</label>
+              <select
+                value={form.channel}
+                onChange={(e) => setForm(prev => ({ ...prev, channel: e.target.value as 'sms' | 'email' | 'both' }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="sms">SMS</option>
+                <option value="email">Email</option>
+                <option value="both">SMS and Email</option>
+              </select>
+            </div>
+            {form.channel !== 'sms' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Email Subject</label>
+                <input
+                  type="text"
+                  value={form.email_subject}
+                  onChange={(e) => setForm(prev => ({ ...prev, email_subject: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Defaults to the title"
+                />
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Message</label>
+            <textarea
+              value={form.message}
+              onChange={(e) => setForm(prev => ({ ...prev, message: e.target.value }))}
+              rows={4}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="Dear {{customer_name}}, ..."
+              required
+            />
+            <SegmentCounter message={form.message} maxSegments={maxSegments} />
+            <p className="text-xs text-gray-500 mt-1">
+              Variables: {'{{customer_name}}'}, {'{{account_number}}'}, {'{{zone}}'}, {'{{balance}}'}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Send At</label>
+              <input
+                type="datetime-local"
+                value={form.scheduled_time}
+                onChange={(e) => setForm(prev => ({ ...prev, scheduled_time: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Repeat</label>
+              <select
+                value={form.recurrence}
+                onChange={(e) => setForm(prev => ({ ...prev, recurrence: e.target.value as 'none' | 'daily' | 'weekly' | 'monthly' }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="none">Once</option>
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+              </select>
+            </div>
+            {form.recurrence !== 'none' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Until</label>
+                <input
+                  type="date"
+                  value={form.recurrence_end_date}
+                  onChange={(e) => setForm(prev => ({ ...prev, recurrence_end_date: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <label className="block text-sm font-medium text-gray-700">Audience</label>
+              <button
+                type="button"
+                onClick={handleCountAudience}
+                className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                Count recipients
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">Leave a group empty to include everyone. All active customers are included by default.</p>
+            {audienceGroups.map(group => (
+              <div key={group.key}>
+                <p className="text-xs font-medium text-gray-600 mb-1">{group.label}</p>
+                <div className="flex flex-wrap gap-3">
+                  {group.options.map(option => (
+                    <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.audience[group.key].includes(option.value)}
+                        onChange={() => toggleAudience(group.key, option.value)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      {option.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+            {audienceCount && (
+              <p className="text-sm text-blue-700">
+                {audienceCount.total} customers · {audienceCount.with_phone} with a phone number · {audienceCount.with_email} with an email address
+              </p>
+            )}
+          </div>
+
+          <div className="mt-6 flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Close
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : campaign ? 'Save Changes' : 'Schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const emptyTemplate = {
+  name: '',
+  type: 'sms' as 'sms' | 'email',
+  trigger_event: '',
+  language: 'en',
+  subject: '',
+  message_template: '',
+  is_active: true,
+  change_note: ''
+};
+
+interface TemplateEditorProps {
+  templates: any[];
+  triggerEvents: Record<string, string[]>;
+  languages: Record<string, string>;
+  maxSegments: number;
+  onRefresh: () => Promise<void>;
+}
+
+// Template editor with version history, customer preview and test send
+const TemplateEditor: React.FC<TemplateEditorProps> = ({ templates, triggerEvents, languages, maxSegments, onRefresh }) => {
+  const { addToast } = useToast();
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState<any>(null);
+  const [form, setForm] = useState(emptyTemplate);
+  const [versions, setVersions] = useState<any[] | null>(null);
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [customerMatches, setCustomerMatches] = useState<any[]>([]);
+  const [previewCustomer, setPreviewCustomer] = useState<any>(null);
+  const [preview, setPreview] = useState<any>(null);
+  const [testRecipient, setTestRecipient] = useState('');
+
+  const selectTemplate = (template: any = null) => {
+    setSelected(template);
+    setForm(template ? {
+      name: template.name,
+      type: template.type,
+      trigger_event: template.trigger_event,
+      language: template.language || 'en',
+      subject: template.subject || '',
+      message_template: template.message_template,
+      is_active: template.is_active,
+      change_note: ''
+    } : emptyTemplate);
+    setVersions(null);
+    setPreview(null);
+  };
+
+  const supportedVariables = triggerEvents[form.trigger_event] || selected?.supported_variables || null;
+  const usedPlaceholders = Array.from(`${form.subject} ${form.message_template}`.matchAll(/\{\{\s*([^}]+?)\s*\}\}/g), match => match[1]);
+  const unsupported = supportedVariables
+    ? Array.from(new Set(usedPlaceholders.filter(name => !supportedVariables.includes(name))))
+    : [];
+
+  const insertVariable = (name: string) => {
+    setForm(prev => ({ ...prev, message_template: `${prev.message_template}{{${name}}}` }));
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const content = {
+        name: form.name,
+        subject: form.type === 'email' ? form.subject : null,
+        message_template: form.message_template,
+        is_active: form.is_active,
+        change_note: form.change_note || undefined
+      };
+      const response = selected
+        ? await adminService.updateNotificationTemplate(selected.id, content)
+        : await adminService.createNotificationTemplate({
+          ...content,
+          type: form.type,
+          trigger_event: form.trigger_event,
+          language: form.language
+        });
+      addToast(response.data.message || 'Template saved', 'success');
+      await onRefresh();
+      selectTemplate(response.data.data);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to save template', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !window.confirm(`Delete the template "${selected.name}"? Its version history is deleted too.`)) {
+      return;
+    }
+    try {
+      setLoading(true);
+      await adminService.deleteNotificationTemplate(selected.id);
+      addToast('Template deleted', 'success');
+      selectTemplate();
+      onRefresh();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to delete template', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchVersions = async () => {
+    if (!selected) return;
+    try {
+      const response = await adminService.getNotificationTemplateVersions(selected.id);
+      setVersions(response.data.data?.versions || []);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to load version history', 'error');
+    }
+  };
+
+  const handleRestore = async (version: number) => {
+    if (!selected || !window.confirm(`Restore version ${version}? The current wording is kept in the history.`)) {
+      return;
+    }
+    try {
+      setLoading(true);
+      const response = await adminService.restoreNotificationTemplateVersion(selected.id, version);
+      addToast(response.data.message || 'Version restored', 'success');
+      await onRefresh();
+      selectTemplate(response.data.data);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to restore version', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const searchCustomers = async () => {
+    if (!customerSearch.trim()) return;
+    try {
+      const response = await adminService.getCustomers({ search: customerSearch.trim(), limit: 5 });
+      const apiData = response.data.data || response.data;
+      setCustomerMatches(apiData.customers || []);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to search customers', 'error');
+    }
+  };
+
+  const renderRequest = () => ({
+    type: form.type,
+    trigger_event: form.trigger_event,
+    subject: form.type === 'email' ? form.subject : null,
+    message_template: form.message_template,
+    customer_id: previewCustomer.id
+  });
+
+  const handlePreview = async () => {
+    if (!previewCustomer) {
+      addToast('Choose a customer to preview with', 'error');
+      return;
+    }
+    try {
+      setLoading(true);
+      const response = await adminService.previewNotificationTemplate(renderRequest());
+      setPreview(response.data.data);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to preview template', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTestSend = async () => {
+    if (!previewCustomer || !testRecipient.trim()) {
+      addToast('Choose a customer and enter a test recipient', 'error');
+      return;
+    }
+    try {
+      setLoading(true);
+      const response = await adminService.sendNotificationTemplateTest({ ...renderRequest(), recipient: testRecipient.trim() });
+      setPreview(response.data.data?.preview || preview);
+      addToast(response.data.message || 'Test sent', 'success');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to send test', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="backdrop-blur-xl bg-white/20 rounded-2xl p-6 border border-white/30">
+      <div className="flex items-center justify-between gap-3 mb-6">
+        <div className="flex items-center gap-3">
+          <PenSquare className="h-6 w-6 text-blue-600" />
+          <div>
+            <h3 className="text-xl font-semibold text-blue-900">Template Editor</h3>
+            <p className="text-blue-700">Edit SMS and email wording. Every save is kept as a version.</p>
+          </div>
+        </div>
+        <button
+          onClick={() => selectTemplate()}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
+        >
+          <Plus className="h-4 w-4" />
+          New Template
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        <div className="space-y-2 max-h-[700px] overflow-y-auto">
+          {templates.map(template => (
+            <button
+              key={template.id}
+              onClick={() => selectTemplate(template)}
+              className={`w-full text-left rounded-xl p-3 border transition-colors ${
+                selected?.id === template.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white/40 border-white/40 hover:bg-white/60'
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium truncate">{template.name}</span>
+                <span className="text-xs uppercase">{template.type}</span>
+              </div>
+              <p className={`text-xs ${selected?.id === template.id ? 'text-blue-100' : 'text-blue-600'}`}>
+                {template.trigger_event} · {languages[template.language] || template.language} · v{template.version || 1}
+                {!template.is_active && ' · inactive'}
+                {template.unsupported_placeholders?.length > 0 && ' · unsupported placeholders'}
+              </p>
+            </button>
+          ))}
+          {templates.length === 0 && (
+            <p className="text-center py-8 text-blue-600">No templates found.</p>
+          )}
+        </div>
+
+        <div className="xl:col-span-2 space-y-6">
+          <form onSubmit={handleSave} className="bg-white/40 rounded-xl p-4 border border-white/40 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-blue-900 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-blue-900 mb-2">Channel</label>
+                <select
+                  value={form.type}
+                  onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value as 'sms' | 'email' }))}
+                  disabled={Boolean(selected)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                >
+                  <option value="sms">SMS</option>
+                  <option value="email">Email</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-blue-900 mb-2">Trigger Event</label>
+                <select
+                  value={form.trigger_event}
+                  onChange={(e) => setForm(prev => ({ ...prev, trigger_event: e.target.value }))}
+                  disabled={Boolean(selected)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                  required
+                >
+                  <option value="">Select event</option>
+                  {Object.keys(triggerEvents).map(event => (
+                    <option key={event} value={event}>{event.replace(/_/g, ' ')}</option>
+                  ))}
+                  {selected && !triggerEvents[selected.trigger_event] && (
+                    <option value={selected.trigger_event}>{selected.trigger_event.replace(/_/g, ' ')}</option>
+                  )}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-blue-900 mb-2">Language</label>
+                <select
+                  value={form.language}
+                  onChange={(e) => setForm(prev => ({ ...prev, language: e.target.value }))}
+                  disabled={Boolean(selected)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                >
+                  {Object.entries(languages).map(([code, label]) => (
+                    <option key={code} value={code}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {form.type === 'email' && (
+              <div>
+                <label className="block text-sm font-medium text-blue-900 mb-2">Subject</label>
+                <input
+                  type="text"
+                  value={form.subject}
+                  onChange={(e) => setForm(prev => ({ ...prev, subject: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-blue-900 mb-2">
+                {form.type === 'email' ? 'Message (HTML)' : 'Message'}
+              </label>
+              <textarea
+                value={form.message_template}
+                onChange={(e) => setForm(prev => ({ ...prev, message_template: e.target.value }))}
+                rows={form.type === 'email' ? 10 : 5}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono text-sm"
+                required
+              />
+              {form.type === 'sms' && <SegmentCounter message={form.message_template} maxSegments={maxSegments} />}
+              {supportedVariables ? (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {supportedVariables.map((name: string) => (
+                    <button
+                      key={name}
+                      type="button"
+                      onClick={() => insertVariable(name)}
+                      className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs hover:bg-blue-200"
+                    >
+                      {`{{${name}}}`}
+                    </button>
+                  ))}
+                </div>
+              ) : form.trigger_event && (
+                <p className="text-xs text-yellow-700 mt-2">No sender uses this trigger event, so placeholders are not checked.</p>
+              )}
+              {unsupported.length > 0 && (
+                <p className="text-xs text-red-600 mt-1">
+                  Not available for this event: {unsupported.map(name => `{{${name}}}`).join(', ')}
+                </p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+              <div>
+                <label className="block text-sm font-medium text-blue-900 mb-2">Change Note</label>
+                <input
+                  type="text"
+                  value={form.change_note}
+                  onChange={(e) => setForm(prev => ({ ...prev, change_note: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="What changed and why"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-blue-900">
+                <input
+                  type="checkbox"
+                  checked={form.is_active}
+                  onChange={(e) => setForm(prev => ({ ...prev, is_active: e.target.checked }))}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Active (replaces the current template for this event and channel)
+              </label>
+            </div>
+
+            <div className="flex flex-wrap justify-end gap-2">
+              {selected && (
+                <>
+                  <button
+                    type="button"
+                    onClick={fetchVersions}
+                    className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+                  >
+                    <History className="h-4 w-4" />
+                    History
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleDelete}
+                    disabled={loading || selected.is_active}
+                    title={selected.is_active ? 'Deactivate the template before deleting it' : undefined}
+                    className="px-4 py-2 text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                    Delete
+                  </button>
+                </>
+              )}
+              <button
+                type="submit"
+                disabled={loading || unsupported.length > 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+              >
+                <Save className="h-4 w-4" />
+                {selected ? `Save as Version ${(selected.version || 1) + 1}` : 'Create Template'}
+              </button>
+            </div>
+          </form>
+
+          {versions && (
+            <div className="bg-white/40 rounded-xl p-4 border border-white/40">
+              <h4 className="font-semibold text-blue-900 mb-3">Version History</h4>
+              <div className="space-y-3 max-h-80 overflow-y-auto">
+                {versions.map(version => (
+                  <div key={version.id} className="border-b border-white/40 pb-3">
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="text-sm font-medium text-blue-900">
+                        Version {version.version}
+                        <span className="text-xs font-normal text-blue-600">
+                          {' '}· {new Date(version.created_at).toLocaleString()}
+                          {version.changed_by_name && ` · ${version.changed_by_name}`}
+                          {version.change_note && ` · ${version.change_note}`}
+                        </span>
+                      </p>
+                      {version.version !== selected?.version && (
+                        <button
+                          onClick={() => handleRestore(version.version)}
+                          disabled={loading}
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50"
+                        >
+                          Restore
+                        </button>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-700 whitespace-pre-wrap mt-1">{version.message_template}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white/40 rounded-xl p-4 border border-white/40 space-y-4">
+            <h4 className="font-semibold text-blue-900">Preview and Test</h4>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={customerSearch}
+                onChange={(e) => setCustomerSearch(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    searchCustomers();
+                  }
+                }}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Search customer by name or account number"
+              />
+              <button
+                type="button"
+                onClick={searchCustomers}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
+              >
+                Find
+              </button>
+            </div>
+            {customerMatches.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {customerMatches.map(customer => (
+                  <button
+                    key={customer.id}
+                    type="button"
+                    onClick={() => {
+                      setPreviewCustomer(customer);
+                      setCustomerMatches([]);
+                    }}
+                    className="px-3 py-1 rounded-full bg-blue-100 text-blue-800 text-sm hover:bg-blue-200"
+                  >
+                    {customer.account_number} · {customer.full_name}
+                  </button>
+                ))}
+              </div>
+            )}
+            {previewCustomer && (
+              <p className="text-sm text-blue-900">
+                Previewing for <strong>{previewCustomer.full_name}</strong> ({previewCustomer.account_number})
+              </p>
+            )}
+
+            <div className="flex flex-col md:flex-row gap-2">
+              <button
+                type="button"
+                onClick={handlePreview}
+                disabled={loading || !form.message_template || !form.trigger_event}
+                className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                <Eye className="h-4 w-4" />
+                Preview
+              </button>
+              <input
+                type="text"
+                value={testRecipient}
+                onChange={(e) => setTestRecipient(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder={form.type === 'email' ? 'Send test to email address' : 'Send test to phone number'}
+              />
+              <button
+                type="button"
+                onClick={handleTestSend}
+                disabled={loading || !form.message_template || !form.trigger_event}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                <Send className="h-4 w-4" />
+                Send Test
+              </button>
+            </div>
+
+            {preview && (
+              <div className="space-y-2">
+                {preview.subject && <p className="text-sm text-blue-900"><strong>Subject:</strong> {preview.subject}</p>}
+                {preview.html ? (
+                  <iframe
+                    title="Email preview"
+                    srcDoc={preview.html}
+                    sandbox=""
+                    className="w-full h-96 bg-white rounded-lg border border-gray-200"
+                  />
+                ) : (
+                  <>
+                    <p className="text-sm text-gray-800 whitespace-pre-wrap bg-white rounded-lg p-3">{preview.message}</p>
+                    <p className="text-xs text-blue-600">
+                      {preview.length} chars · {preview.segments} {preview.segments === 1 ? 'segment' : 'segments'} ({preview.encoding}) · KES {Number(preview.estimated_cost).toFixed(2)}
+                      {preview.exceeds_limit && ' · longer than the segment limit, will be shortened when sent'}
+                    </p>
+                  </>
+                )}
+                {preview.unused_variables?.length > 0 && (
+                  <p className="text-xs text-blue-600">
+                    Also available: {preview.unused_variables.map((name: string) => `{{${name}}}`).join(', ')}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
 const NotificationManagement: React.FC = () => {
   const { addToast } = useToast();
@@ -22,6 +841,27 @@ const NotificationManagement: React.FC = () => {
 
   // SMS Status State
   const [smsStatus, setSmsStatus] = useState<any>(null);
+  const [maxSegments, setMaxSegments] = useState(3);
+
+  // Outbox State
+  const [outbox, setOutbox] = useState<any>(null);
+  const [outboxStatus, setOutboxStatus] = useState('dead');
+
+  // Scheduled Campaigns State
+  const [calendarMonth, setCalendarMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [calendar, setCalendar] = useState<any[] | null>(null);
+  const [campaigns, setCampaigns] = useState<any[]>([]);
+  const [editingCampaign, setEditingCampaign] = useState<any>(null);
+  const [showCampaignModal, setShowCampaignModal] = useState(false);
+
+  // Template Editor State
+  const [templateList, setTemplateList] = useState<any>(null);
+
+  // Template Preview State
+  const [templatePreviews, setTemplatePreviews] = useState<any[]>([]);
 
   // Single SMS State
   const [singleSms, setSingleSms] = useState({ phone_number: '', message: '', sender_id: '' });
@@ -48,12 +888,55 @@ const NotificationManagement: React.FC = () => {
   // Delivery Status State
   const [deliveryMessageId, setDeliveryMessageId] = useState('');
   const [deliveryStatus, setDeliveryStatus] = useState<any>(null);
+  const [deliveryStats, setDeliveryStats] = useState<any>(null);
+  const [deliveryPeriod, setDeliveryPeriod] = useState(() => {
+    const to = new Date();
+    const from = new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    return { from: from.toISOString().split('T')[0], to: to.toISOString().split('T')[0] };
+  });
 
   // Fetch SMS Status on mount
   useEffect(() => {
     fetchSmsStatus();
+    fetchSegmentLimit();
   }, []);
 
+  const fetchSegmentLimit = async () => {
+    try {
+      const response = await adminService.getNotificationConfig();
+      const settings = response.data.data || response.data;
+      if (settings?.sms_max_segments) {
+        setMaxSegments(settings.sms_max_segments);
+      }
+    } catch {
+      // Keep the default limit; the server still validates message length
+    }
+  };
+
+  const fetchTemplatePreviews = async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.previewSmsTemplates();
+      setTemplatePreviews(response.data.data || []);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to load template previews', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTemplateList = async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getNotificationTemplates();
+      setTemplateList(response.data.data || null);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to load templates', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const fetchSmsStatus = async () => {
     try {
       setLoading(true);
@@ -196,6 +1079,105 @@ const NotificationManagement: React.FC = () => {
     }
   };
 
+  const fetchDeliveryStats = async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getDeliveryStats(deliveryPeriod);
+      setDeliveryStats(response.data.data || null);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to load delivery statistics', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOutbox = async (status = outboxStatus) => {
+    try {
+      setLoading(true);
+      const response = await adminService.getNotificationOutbox({ status: status || undefined, limit: 50 });
+      setOutbox(response.data.data || null);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to load the outbox', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRequeue = async (ids?: number[]) => {
+    try {
+      setLoading(true);
+      const response = await adminService.requeueOutboxMessages(ids ? { ids } : {});
+      addToast(response.data.message || 'Messages requeued', 'success');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to requeue messages', 'error');
+    } finally {
+      setLoading(false);
+    }
+    fetchOutbox();
+  };
+
+  const fetchScheduled = async (month = calendarMonth) => {
+    try {
+      setLoading(true);
+      const from = toDateInput(month);
+      const to = toDateInput(new Date(month.getFullYear(), month.getMonth() + 1, 0));
+      const [calendarResponse, campaignsResponse] = await Promise.all([
+        adminService.getScheduledCalendar({ from, to }),
+        adminService.getScheduledNotifications({ status: 'pending', limit: 50 })
+      ]);
+      setCalendar(calendarResponse.data.data?.occurrences || []);
+      setCampaigns(campaignsResponse.data.data?.campaigns || []);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to load scheduled notifications', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeCalendarMonth = (offset: number) => {
+    const month = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + offset, 1);
+    setCalendarMonth(month);
+    fetchScheduled(month);
+  };
+
+  const openCampaign = (campaign: any = null) => {
+    setEditingCampaign(campaign);
+    setShowCampaignModal(true);
+  };
+
+  const handleCancelCampaign = async (campaign: any) => {
+    if (!window.confirm(`Cancel "${campaign.title}"? It will not be sent.`)) {
+      return;
+    }
+    try {
+      setLoading(true);
+      await adminService.cancelScheduledNotification(campaign.id);
+      addToast('Scheduled notification cancelled', 'success');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to cancel scheduled notification', 'error');
+    } finally {
+      setLoading(false);
+    }
+    fetchScheduled();
+  };
+
+  // Days shown in the calendar grid, padded to whole weeks starting on Monday
+  const calendarDays = () => {
+    const leading = (calendarMonth.getDay() + 6) % 7;
+    const daysInMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + 1, 0).getDate();
+    const cells: (Date | null)[] = Array(leading).fill(null);
+    for (let day = 1; day <= daysInMonth; day++) {
+      cells.push(new Date(calendarMonth.getFullYear(), calendarMonth.getMonth(), day));
+    }
+    while (cells.length % 7 !== 0) {
+      cells.push(null);
+    }
+    return cells;
+  };
+
+  const rateClass = (rate: number) =>
+    rate >= 90 ? 'text-green-700' : rate >= 70 ? 'text-yellow-700' : 'text-red-700';
+
   const tabs = [
     { id: 'status', label: 'SMS Status', icon: Phone },
     { id: 'single', label: 'Single SMS', icon: MessageSquare },
@@ -204,6 +1186,10 @@ const NotificationManagement: React.FC = () => {
     { id: 'payments', label: 'Payment Confirmations', icon: Package },
     { id: 'custom', label: 'Custom Notifications', icon: Bell },
     { id: 'delivery', label: 'Delivery Status', icon: CheckCircle },
+    { id: 'templates', label: 'Template Preview', icon: Layers },
+    { id: 'editor', label: 'Template Editor', icon: PenSquare },
+    { id: 'scheduled', label: 'Scheduled', icon: CalendarDays },
+    { id: 'outbox', label: 'Outbox', icon: Inbox },
   ];
 
   return (
@@ -226,11 +1212,28 @@ const NotificationManagement: React.FC = () => {
 
       {/* Tab Navigation */}
       <div className="bg-white/20 backdrop-blur-xl rounded-2xl p-1 border border-white/30">
-        <div className="grid grid-cols-2 lg:grid-cols-4 xl:grid-cols-7 gap-1">
+        <div className="grid grid-cols-2 lg:grid-cols-4 xl:grid-cols-11 gap-1">
           {tabs.map((tab) => (
             <button
               key={tab.id}
-              onClick={() => setActiveTab(tab.id)}
+              onClick={() => {
+                setActiveTab(tab.id);
+                if (tab.id === 'templates' && templatePreviews.length === 0) {
+                  fetchTemplatePreviews();
+                }
+                if (tab.id === 'delivery' && !deliveryStats) {
+                  fetchDeliveryStats();
+                }
+                if (tab.id === 'outbox' && !outbox) {
+                  fetchOutbox();
+                }
+                if (tab.id === 'editor' && !templateList) {
+                  fetchTemplateList();
+                }
+                if (tab.id === 'scheduled' && !calendar) {
+                  fetchScheduled();
+                }
+              }}
               className={`flex items-center justify-center gap-2 px-3 py-3 rounded-xl text-sm font-medium transition-all duration-200 ${
                 activeTab === tab.id
                   ? 'bg-blue-600 text-white shadow-lg'
@@ -317,19 +1320,16 @@ const NotificationManagement: React.FC = () => {
                 />
               </div>
               <div className="space-y-2">
-                <label className="block text-sm font-medium text-blue-700">Message (max 160 chars)</label>
+                <label className="block text-sm font-medium text-blue-700">Message</label>
                 <textarea
                   placeholder="Enter your message here..."
                   value={singleSms.message}
                   onChange={(e) => setSingleSms(prev => ({ ...prev, message: e.target.value }))}
-                  maxLength={160}
                   rows={3}
                   required
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
-                <p className="text-xs text-blue-600">
-                  {singleSms.message.length}/160 characters
-                </p>
+                <SegmentCounter message={singleSms.message} maxSegments={maxSegments} />
               </div>
               <div className="space-y-2">
                 <label className="block text-sm font-medium text-blue-700">Sender ID (optional)</label>
@@ -404,19 +1404,16 @@ const NotificationManagement: React.FC = () => {
                 </div>
               </div>
               <div className="space-y-2">
-                <label className="block text-sm font-medium text-blue-700">Message (max 160 chars)</label>
+                <label className="block text-sm font-medium text-blue-700">Message</label>
                 <textarea
                   placeholder="Enter your bulk message here..."
                   value={bulkSms.message}
                   onChange={(e) => setBulkSms(prev => ({ ...prev, message: e.target.value }))}
-                  maxLength={160}
                   rows={3}
                   required
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
-                <p className="text-xs text-blue-600">
-                  {bulkSms.message.length}/160 characters
-                </p>
+                <SegmentCounter message={bulkSms.message} maxSegments={maxSegments} />
               </div>
               <div className="space-y-2">
                 <label className="block text-sm font-medium text-blue-700">Sender ID (optional)</label>
@@ -553,19 +1550,16 @@ const NotificationManagement: React.FC = () => {
                 <p className="text-xs text-blue-600">Selected: {selectedCustomCustomers.length} customers</p>
               </div>
               <div className="space-y-2">
-                <label className="block text-sm font-medium text-blue-700">Message (max 160 chars)</label>
+                <label className="block text-sm font-medium text-blue-700">Message</label>
                 <textarea
                   placeholder="Enter custom message..."
                   value={customNotifications.message}
                   onChange={(e) => setCustomNotifications(prev => ({ ...prev, message: e.target.value }))}
-                  maxLength={160}
                   rows={3}
                   required
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
-                <p className="text-xs text-blue-600">
-                  {customNotifications.message.length}/160 characters
-                </p>
+                <SegmentCounter message={customNotifications.message} maxSegments={maxSegments} />
               </div>
               <div className="space-y-2">
                 <label className="block text-sm font-medium text-blue-700">Notification Type</label>
@@ -655,9 +1649,507 @@ const NotificationManagement: React.FC = () => {
                 </div>
               </div>
             )}
+
+            {/* Delivery Rates */}
+            <div className="mt-8 space-y-6">
+              <div className="flex flex-col md:flex-row md:items-end justify-between gap-4">
+                <div>
+                  <h4 className="text-lg font-semibold text-blue-900">Delivery Rates</h4>
+                  <p className="text-sm text-blue-700">From Africa's Talking delivery reports for SMS sent in the period</p>
+                </div>
+                <div className="flex flex-wrap items-end gap-2">
+                  <div>
+                    <label className="block text-xs font-medium text-blue-700">From</label>
+                    <input
+                      type="date"
+                      value={deliveryPeriod.from}
+                      onChange={(e) => setDeliveryPeriod(prev => ({ ...prev, from: e.target.value }))}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-blue-700">To</label>
+                    <input
+                      type="date"
+                      value={deliveryPeriod.to}
+                      onChange={(e) => setDeliveryPeriod(prev => ({ ...prev, to: e.target.value }))}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={fetchDeliveryStats}
+                    disabled={loading}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors disabled:opacity-50"
+                  >
+                    <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                    Load
+                  </button>
+                </div>
+              </div>
+
+              {deliveryStats ? (
+                <>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                    {[
+                      { label: 'Sent', value: deliveryStats.totals.total },
+                      { label: 'Delivered', value: deliveryStats.totals.delivered },
+                      { label: 'Failed', value: deliveryStats.totals.failed },
+                      { label: 'Awaiting Report', value: deliveryStats.totals.pending },
+                      { label: 'Delivery Rate', value: `${deliveryStats.totals.delivery_rate}%` }
+                    ].map(item => (
+                      <div key={item.label} className="bg-white/40 rounded-xl p-4 border border-white/40">
+                        <p className="text-xs font-medium text-blue-700">{item.label}</p>
+                        <p className="text-2xl font-bold text-blue-900">{item.value}</p>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                    <div className="overflow-x-auto">
+                      <h5 className="font-semibold text-blue-900 mb-2">By Campaign</h5>
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-blue-700 border-b border-white/40">
+                            <th className="py-2 pr-4">Date</th>
+                            <th className="py-2 pr-4">Notification</th>
+                            <th className="py-2 pr-4 text-right">Sent</th>
+                            <th className="py-2 pr-4 text-right">Delivered</th>
+                            <th className="py-2 pr-4 text-right">Failed</th>
+                            <th className="py-2 text-right">Rate</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {deliveryStats.campaigns.map((campaign: any) => (
+                            <tr key={`${campaign.sent_date}-${campaign.notification_type}`} className="border-b border-white/20">
+                              <td className="py-2 pr-4">{campaign.sent_date}</td>
+                              <td className="py-2 pr-4">{(campaign.notification_type || 'other').replace(/_/g, ' ')}</td>
+                              <td className="py-2 pr-4 text-right">{campaign.total}</td>
+                              <td className="py-2 pr-4 text-right">{campaign.delivered}</td>
+                              <td className="py-2 pr-4 text-right">{campaign.failed}</td>
+                              <td className={`py-2 text-right font-semibold ${rateClass(campaign.delivery_rate)}`}>{campaign.delivery_rate}%</td>
+                            </tr>
+                          ))}
+                          {deliveryStats.campaigns.length === 0 && (
+                            <tr><td colSpan={6} className="py-4 text-center text-blue-600">No SMS sent in this period</td></tr>
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                      <h5 className="font-semibold text-blue-900 mb-2">By Zone</h5>
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-blue-700 border-b border-white/40">
+                            <th className="py-2 pr-4">Zone</th>
+                            <th className="py-2 pr-4 text-right">Sent</th>
+                            <th className="py-2 pr-4 text-right">Delivered</th>
+                            <th className="py-2 pr-4 text-right">Failed</th>
+                            <th className="py-2 pr-4 text-right">Cost (KES)</th>
+                            <th className="py-2 text-right">Rate</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {deliveryStats.zones.map((zone: any) => (
+                            <tr key={zone.zone} className="border-b border-white/20">
+                              <td className="py-2 pr-4">{zone.zone}</td>
+                              <td className="py-2 pr-4 text-right">{zone.total}</td>
+                              <td className="py-2 pr-4 text-right">{zone.delivered}</td>
+                              <td className="py-2 pr-4 text-right">{zone.failed}</td>
+                              <td className="py-2 pr-4 text-right">{zone.cost.toFixed(2)}</td>
+                              <td className={`py-2 text-right font-semibold ${rateClass(zone.delivery_rate)}`}>{zone.delivery_rate}%</td>
+                            </tr>
+                          ))}
+                          {deliveryStats.zones.length === 0 && (
+                            <tr><td colSpan={6} className="py-4 text-center text-blue-600">No SMS sent in this period</td></tr>
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="overflow-x-auto">
+                    <h5 className="font-semibold text-blue-900">Households With No Delivered SMS</h5>
+                    <p className="text-xs text-blue-600 mb-2">Customers whose messages in this period all failed or are still unconfirmed, with at least one failure</p>
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-blue-700 border-b border-white/40">
+                          <th className="py-2 pr-4">Account</th>
+                          <th className="py-2 pr-4">Customer</th>
+                          <th className="py-2 pr-4">Phone</th>
+                          <th className="py-2 pr-4">Zone</th>
+                          <th className="py-2 pr-4 text-right">Attempts</th>
+                          <th className="py-2">Last Failure</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {deliveryStats.undelivered_households.map((household: any) => (
+                          <tr key={household.customer_id} className="border-b border-white/20">
+                            <td className="py-2 pr-4">{household.account_number}</td>
+                            <td className="py-2 pr-4">{household.full_name}</td>
+                            <td className="py-2 pr-4">{household.phone}</td>
+                            <td className="py-2 pr-4">{household.zone}</td>
+                            <td className="py-2 pr-4 text-right">{household.attempts}</td>
+                            <td className="py-2 text-red-600">{household.last_failure_reason || 'Unknown'}</td>
+                          </tr>
+                        ))}
+                        {deliveryStats.undelivered_households.length === 0 && (
+                          <tr><td colSpan={6} className="py-4 text-center text-blue-600">Every household received at least one message</td></tr>
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              ) : (
+                <div className="text-center py-8 text-blue-600">
+                  {loading ? 'Loading delivery statistics...' : 'No delivery statistics loaded.'}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Scheduled Campaigns Tab */}
+        {activeTab === 'scheduled' && (
+          <div className="backdrop-blur-xl bg-white/20 rounded-2xl p-6 border border-white/30">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+              <div className="flex items-center gap-3">
+                <CalendarDays className="h-6 w-6 text-blue-600" />
+                <div>
+                  <h3 className="text-xl font-semibold text-blue-900">Scheduled Notifications</h3>
+                  <p className="text-blue-700">One-off and recurring announcements to selected zones, customer types or arrears groups</p>
+                </div>
+              </div>
+              <button
+                onClick={() => openCampaign()}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
+              >
+                <Plus className="h-4 w-4" />
+                Schedule Notification
+              </button>
+            </div>
+
+            <div className="flex items-center justify-between mb-4">
+              <button
+                onClick={() => changeCalendarMonth(-1)}
+                disabled={loading}
+                className="p-2 rounded-lg text-blue-700 hover:bg-white/30 disabled:opacity-50"
+              >
+                <ChevronLeft className="h-5 w-5" />
+              </button>
+              <h4 className="text-lg font-semibold text-blue-900">
+                {calendarMonth.toLocaleDateString('en-KE', { month: 'long', year: 'numeric' })}
+              </h4>
+              <button
+                onClick={() => changeCalendarMonth(1)}
+                disabled={loading}
+                className="p-2 rounded-lg text-blue-700 hover:bg-white/30 disabled:opacity-50"
+              >
+                <ChevronRight className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-7 gap-1 mb-8">
+              {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => (
+                <div key={day} className="text-center text-xs font-semibold text-blue-700 py-1">{day}</div>
+              ))}
+              {calendarDays().map((date, index) => {
+                const key = date ? toDateInput(date) : '';
+                const dayOccurrences = date ? (calendar || []).filter(occurrence => occurrence.scheduled_time.startsWith(key)) : [];
+                const isToday = key === toDateInput(new Date());
+
+                return (
+                  <div
+                    key={index}
+                    className={`min-h-[90px] rounded-lg p-1 border ${
+                      date ? 'bg-white/40 border-white/40' : 'border-transparent'
+                    } ${isToday ? 'ring-2 ring-blue-500' : ''}`}
+                  >
+                    {date && (
+                      <>
+                        <p className="text-xs font-medium text-blue-900 mb-1">{date.getDate()}</p>
+                        <div className="space-y-1">
+                          {dayOccurrences.map(occurrence => {
+                            const campaign = campaigns.find(item => item.id === occurrence.campaign_id);
+                            return (
+                              <button
+                                key={`${occurrence.campaign_id}-${occurrence.scheduled_time}`}
+                                onClick={() => campaign && openCampaign(campaign)}
+                                disabled={!campaign}
+                                title={`${occurrence.title} (${occurrence.channel.toUpperCase()}${occurrence.recurrence !== 'none' ? `, ${occurrence.recurrence}` : ''})`}
+                                className={`w-full text-left truncate text-xs px-1 py-0.5 rounded ${
+                                  occurrence.status === 'pending' ? 'bg-blue-100 text-blue-800 hover:bg-blue-200' :
+                                  occurrence.status === 'failed' ? 'bg-red-100 text-red-800' :
+                                  'bg-green-100 text-green-800'
+                                }`}
+                              >
+                                {occurrence.scheduled_time.slice(11, 16)} {occurrence.title}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            <h4 className="font-semibold text-blue-900 mb-3">Upcoming</h4>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-blue-700 border-b border-white/40">
+                    <th className="py-2 pr-4">Title</th>
+                    <th className="py-2 pr-4">Next Send</th>
+                    <th className="py-2 pr-4">Repeat</th>
+                    <th className="py-2 pr-4">Channel</th>
+                    <th className="py-2 pr-4">Audience</th>
+                    <th className="py-2 pr-4 text-right">Runs</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {campaigns.map(campaign => {
+                    const audience = [
+                      ...(campaign.audience.zones || []),
+                      ...(campaign.audience.customer_types || []),
+                      ...(campaign.audience.arrears_buckets || []).map((bucket: string) =>
+                        ARREARS_BUCKETS.find(item => item.value === bucket)?.label || bucket)
+                    ];
+                    return (
+                      <tr key={campaign.id} className="border-b border-white/20">
+                        <td className="py-2 pr-4 font-medium text-blue-900">{campaign.title}</td>
+                        <td className="py-2 pr-4">{new Date(campaign.scheduled_time).toLocaleString()}</td>
+                        <td className="py-2 pr-4 capitalize">
+                          {campaign.recurrence === 'none' ? 'Once' : campaign.recurrence}
+                          {campaign.recurrence_end_date && ` until ${new Date(campaign.recurrence_end_date).toLocaleDateString()}`}
+                        </td>
+                        <td className="py-2 pr-4 uppercase">{campaign.channel}</td>
+                        <td className="py-2 pr-4">{audience.length > 0 ? audience.join(', ') : 'All customers'}</td>
+                        <td className="py-2 pr-4 text-right">{campaign.run_count}</td>
+                        <td className="py-2 text-right whitespace-nowrap">
+                          <button
+                            onClick={() => openCampaign(campaign)}
+                            className="text-blue-600 hover:text-blue-800 font-medium mr-3"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleCancelCampaign(campaign)}
+                            disabled={loading}
+                            className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {campaigns.length === 0 && (
+                    <tr><td colSpan={7} className="py-4 text-center text-blue-600">
+                      {loading ? 'Loading...' : 'No upcoming scheduled notifications'}
+                    </td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Outbox Tab */}
+        {activeTab === 'outbox' && (
+          <div className="backdrop-blur-xl bg-white/20 rounded-2xl p-6 border border-white/30">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+              <div className="flex items-center gap-3">
+                <Inbox className="h-6 w-6 text-blue-600" />
+                <div>
+                  <h3 className="text-xl font-semibold text-blue-900">Notification Outbox</h3>
+                  <p className="text-blue-700">Queued bulk messages. Failed sends are retried, then dead-lettered.</p>
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <select
+                  value={outboxStatus}
+                  onChange={(e) => {
+                    setOutboxStatus(e.target.value);
+                    fetchOutbox(e.target.value);
+                  }}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="dead">Dead-lettered</option>
+                  <option value="pending">Pending</option>
+                  <option value="processing">Processing</option>
+                  <option value="sent">Sent</option>
+                  <option value="suppressed">Opted out</option>
+                  <option value="">All</option>
+                </select>
+                <button
+                  onClick={() => handleRequeue()}
+                  disabled={loading || !outbox?.summary?.dead}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors disabled:opacity-50"
+                >
+                  <RefreshCw className="h-4 w-4" />
+                  Requeue All Dead
+                </button>
+              </div>
+            </div>
+
+            {outbox ? (
+              <>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                  {['pending', 'processing', 'sent', 'dead', 'suppressed'].map(status => (
+                    <div key={status} className="bg-white/40 rounded-xl p-4 border border-white/40">
+                      <p className="text-xs font-medium text-blue-700 capitalize">
+                        {status === 'dead' ? 'Dead-lettered' : status === 'suppressed' ? 'Opted out' : status}
+                      </p>
+                      <p className="text-2xl font-bold text-blue-900">{outbox.summary[status] || 0}</p>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-blue-700 border-b border-white/40">
+                        <th className="py-2 pr-4">Notification</th>
+                        <th className="py-2 pr-4">Recipient</th>
+                        <th className="py-2 pr-4">Channel</th>
+                        <th className="py-2 pr-4">Status</th>
+                        <th className="py-2 pr-4 text-right">Attempts</th>
+                        <th className="py-2 pr-4">Last Error</th>
+                        <th className="py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {outbox.messages.map((message: any) => (
+                        <tr key={message.id} className="border-b border-white/20">
+                          <td className="py-2 pr-4">{message.notification_type.replace(/_/g, ' ')}</td>
+                          <td className="py-2 pr-4">{message.recipient}</td>
+                          <td className="py-2 pr-4 uppercase">{message.channel}</td>
+                          <td className="py-2 pr-4">{message.status}</td>
+                          <td className="py-2 pr-4 text-right">{message.attempts}/{message.max_attempts}</td>
+                          <td className="py-2 pr-4 text-red-600">{message.last_error || '-'}</td>
+                          <td className="py-2 text-right">
+                            {message.status === 'dead' && (
+                              <button
+                                onClick={() => handleRequeue([message.id])}
+                                disabled={loading}
+                                className="text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+                              >
+                                Requeue
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                      {outbox.messages.length === 0 && (
+                        <tr><td colSpan={7} className="py-4 text-center text-blue-600">No messages</td></tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            ) : (
+              <div className="text-center py-8 text-blue-600">
+                {loading ? 'Loading outbox...' : 'Outbox not loaded.'}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Template Editor Tab */}
+        {activeTab === 'editor' && (
+          templateList ? (
+            <TemplateEditor
+              templates={templateList.templates}
+              triggerEvents={templateList.trigger_events}
+              languages={templateList.languages || { en: 'English' }}
+              maxSegments={maxSegments}
+              onRefresh={fetchTemplateList}
+            />
+          ) : (
+            <div className="backdrop-blur-xl bg-white/20 rounded-2xl p-6 border border-white/30 text-center text-blue-600">
+              {loading ? 'Loading templates...' : 'Templates not loaded.'}
+            </div>
+          )
+        )}
+
+        {/* Template Preview Tab */}
+        {activeTab === 'templates' && (
+          <div className="backdrop-blur-xl bg-white/20 rounded-2xl p-6 border border-white/30">
+            <div className="flex items-center justify-between gap-3 mb-6">
+              <div className="flex items-center gap-3">
+                <Layers className="h-6 w-6 text-blue-600" />
+                <div>
+                  <h3 className="text-xl font-semibold text-blue-900">SMS Template Preview</h3>
+                  <p className="text-blue-700">
+                    Each active template rendered with sample values. Messages are sent in up to {maxSegments} segments.
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={fetchTemplatePreviews}
+                disabled={loading}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-2 rounded-lg flex items-center gap-2 transition-colors disabled:opacity-50"
+              >
+                <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                Refresh
+              </button>
+            </div>
+
+            {templatePreviews.length === 0 ? (
+              <div className="text-center py-8 text-blue-600">
+                {loading ? 'Loading previews...' : 'No active SMS templates found.'}
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {templatePreviews.map((preview) => (
+                  <div key={`${preview.trigger_event}-${preview.id}`} className="bg-white/40 rounded-xl p-4 border border-white/40">
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                      <div>
+                        <h4 className="font-semibold text-blue-900">{preview.name}</h4>
+                        <p className="text-xs text-blue-600">{preview.trigger_event} · {preview.language}</p>
+                      </div>
+                      <div className="flex flex-wrap gap-2 text-xs font-semibold">
+                        <span className={`px-2 py-1 rounded-full ${
+                          preview.exceeds_limit ? 'bg-red-100 text-red-800' :
+                          preview.segments > 1 ? 'bg-yellow-100 text-yellow-800' :
+                          'bg-green-100 text-green-800'
+                        }`}>
+                          {preview.segments} {preview.segments === 1 ? 'segment' : 'segments'}
+                        </span>
+                        <span className="px-2 py-1 rounded-full bg-blue-100 text-blue-800">{preview.encoding}</span>
+                        <span className="px-2 py-1 rounded-full bg-blue-100 text-blue-800">
+                          KES {Number(preview.estimated_cost).toFixed(2)} per recipient
+                        </span>
+                      </div>
+                    </div>
+                    <p className="text-sm text-gray-800 whitespace-pre-wrap">{preview.message}</p>
+                    <p className="text-xs text-blue-600 mt-2">
+                      {preview.length} chars
+                      {preview.exceeds_limit && ' · longer than the segment limit, will be shortened when sent'}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         )}
       </div>
+
+      {showCampaignModal && (
+        <CampaignModal
+          campaign={editingCampaign}
+          maxSegments={maxSegments}
+          onClose={() => setShowCampaignModal(false)}
+          onSaved={() => {
+            setShowCampaignModal(false);
+            fetchScheduled();
+          }}
+        />
+      )}
     </div>
   );
 };
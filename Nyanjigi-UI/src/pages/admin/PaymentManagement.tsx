@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { CreditCard, Smartphone, CheckCircle, Clock, XCircle, Search, Filter } from 'lucide-react';
+import { CreditCard, Smartphone, CheckCircle, Clock, XCircle, Search, Filter, RotateCcw, AlertTriangle, UserCheck, Plus } from 'lucide-react';
 import { adminService } from '../../services/adminService';
 import { useToast } from '../../context/ToastContext';
 
@@ -11,24 +11,94 @@ interface Payment {
   amount: string; 
   payment_method: string; 
   transaction_id: string;
-  status: 'pending' | 'completed' | 'failed' | 'cancelled';
+  receipt_number?: string | null;
+  payment_reference?: string | null;
+  status: 'pending' | 'completed' | 'failed' | 'reversed' | 'cancelled';
   created_at: string;
   completed_at?: string;
 }
 
+interface SuspensePayment {
+  id: number;
+  transaction_id: string;
+  member_number: string | null;
+  payer_name: string | null;
+  phone_number: string | null;
+  payment_method: string;
+  amount: string;
+  payment_date: string;
+  narrative: string | null;
+  status: 'unmatched' | 'assigned' | 'reversed';
+  customer_id: number | null;
+  account_number: string | null;
+  customer_name: string | null;
+  assigned_by_name: string | null;
+  assigned_at: string | null;
+}
+
+interface MatchCandidate {
+  id: number;
+  account_number: string;
+  full_name: string;
+  phone: string;
+  zone: string;
+  score?: number;
+  reasons?: string[];
+}
+
+const matchReasonLabels: Record<string, string> = {
+  account_number: 'Account number',
+  similar_account_number: 'Similar account number',
+  phone: 'Phone',
+  name: 'Name'
+};
+
+type ManualPaymentMethod = 'cash' | 'cheque' | 'bank_transfer';
+
+const emptyManualPayment = () => ({
+  amount: '',
+  payment_method: 'cash' as ManualPaymentMethod,
+  payment_reference: '',
+  payment_date: new Date().toISOString().split('T')[0],
+  reference_type: 'general',
+  notes: ''
+});
+
 const PaymentManagement: React.FC = () => {
   const [payments, setPayments] = useState<Payment[]>([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [methodFilter, setMethodFilter] = useState('all');
-  const { showToast } = useToast();
+  const { addToast: showToast } = useToast();
 
   const [selectedPayment, setSelectedPayment] = useState<Payment | null>(null);
   const [showModal, setShowModal] = useState(false);
+  const [reversingPayment, setReversingPayment] = useState<Payment | null>(null);
+  const [reversalReason, setReversalReason] = useState('');
+  const [notifyCustomer, setNotifyCustomer] = useState(true);
+  const [reversing, setReversing] = useState(false);
+
+  const [activeTab, setActiveTab] = useState<'payments' | 'suspense'>('payments');
+  const [suspensePayments, setSuspensePayments] = useState<SuspensePayment[]>([]);
+  const [suspenseStatus, setSuspenseStatus] = useState<'unmatched' | 'assigned' | 'reversed' | 'all'>('unmatched');
+  const [suspenseSummary, setSuspenseSummary] = useState({ unmatched_count: 0, unmatched_amount: 0 });
+  const [suspenseLoading, setSuspenseLoading] = useState(false);
+  const [matchingPayment, setMatchingPayment] = useState<SuspensePayment | null>(null);
+  const [candidates, setCandidates] = useState<MatchCandidate[]>([]);
+  const [candidatesLoading, setCandidatesLoading] = useState(false);
+  const [customerQuery, setCustomerQuery] = useState('');
+  const [customerResults, setCustomerResults] = useState<MatchCandidate[]>([]);
+  const [selectedCustomerId, setSelectedCustomerId] = useState<number | null>(null);
+  const [assignNotes, setAssignNotes] = useState('');
+  const [assigning, setAssigning] = useState(false);
+  const [showManualForm, setShowManualForm] = useState(false);
+  const [manualPayment, setManualPayment] = useState(emptyManualPayment());
+  const [recording, setRecording] = useState(false);
 
   useEffect(() => {
     fetchPayments();
+    fetchSuspensePayments();
   }, []);
 
   const fetchPayments = async () => {
@@ -52,11 +122,149 @@ const PaymentManagement: React.FC = () => {
     }
   };
 
+  const fetchSuspensePayments = async (status = suspenseStatus) => {
+    setSuspenseLoading(true);
+    try {
+      const response = await adminService.getSuspensePayments({ status, limit: 100 });
+      setSuspensePayments(response.data?.data?.payments || []);
+      setSuspenseSummary(response.data?.data?.summary || { unmatched_count: 0, unmatched_amount: 0 });
+    } catch {
+      showToast('Failed to fetch suspense payments', 'error');
+    } finally {
+      setSuspenseLoading(false);
+    }
+  };
+
+  const openMatching = async (payment: SuspensePayment) => {
+    setMatchingPayment(payment);
+    setCandidates([]);
+    setCustomerQuery('');
+    setCustomerResults([]);
+    setSelectedCustomerId(null);
+    setAssignNotes('');
+    setNotifyCustomer(true);
+
+    setCandidatesLoading(true);
+    try {
+      const response = await adminService.getSuspenseCandidates(payment.id);
+      const found: MatchCandidate[] = response.data?.data?.candidates || [];
+      setCandidates(found);
+      if (found.length > 0) setSelectedCustomerId(found[0].id);
+    } catch {
+      showToast('Failed to load candidate matches', 'error');
+    } finally {
+      setCandidatesLoading(false);
+    }
+  };
+
+  const searchCustomers = async () => {
+    if (customerQuery.trim().length < 2) return;
+    try {
+      const response = await adminService.searchCustomers(customerQuery.trim());
+      setCustomerResults(response.data?.data?.customers || []);
+    } catch {
+      showToast('Failed to search customers', 'error');
+    }
+  };
+
+  const assignSuspensePayment = async () => {
+    if (!matchingPayment || !selectedCustomerId) return;
+
+    setAssigning(true);
+    try {
+      await adminService.assignSuspensePayment(matchingPayment.id, {
+        customer_id: selectedCustomerId,
+        notes: assignNotes.trim() || undefined,
+        notify_customer: notifyCustomer
+      });
+      setMatchingPayment(null);
+      await Promise.all([fetchSuspensePayments(), fetchPayments()]);
+      showToast('Payment assigned and allocated successfully', 'success');
+    } catch {
+      showToast('Failed to assign payment', 'error');
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  const openManualForm = () => {
+    setManualPayment(emptyManualPayment());
+    setCustomerQuery('');
+    setCustomerResults([]);
+    setSelectedCustomerId(null);
+    setNotifyCustomer(true);
+    setShowManualForm(true);
+  };
+
+  const recordManualPayment = async () => {
+    if (!selectedCustomerId) return;
+    const amount = parseFloat(manualPayment.amount);
+    if (isNaN(amount) || amount < 1) {
+      showToast('Enter a valid amount', 'error');
+      return;
+    }
+    if (manualPayment.payment_method !== 'cash' && !manualPayment.payment_reference.trim()) {
+      showToast('Enter the cheque number or bank reference', 'error');
+      return;
+    }
+
+    setRecording(true);
+    try {
+      const response = await adminService.recordManualPayment({
+        customer_id: selectedCustomerId,
+        amount,
+        payment_method: manualPayment.payment_method,
+        payment_reference: manualPayment.payment_method !== 'cash' ? manualPayment.payment_reference.trim() : undefined,
+        payment_date: manualPayment.payment_date,
+        reference_type: manualPayment.reference_type,
+        notes: manualPayment.notes.trim() || undefined,
+        notify_customer: notifyCustomer
+      });
+      setShowManualForm(false);
+      await fetchPayments();
+      showToast(`Payment recorded, receipt ${response.data?.data?.receipt_number}`, 'success');
+    } catch {
+      showToast('Failed to record payment', 'error');
+    } finally {
+      setRecording(false);
+    }
+  };
+
+  const openReversal = (payment: Payment) => {
+    setReversingPayment(payment);
+    setReversalReason('');
+    setNotifyCustomer(true);
+  };
+
+  const reversePayment = async () => {
+    if (!reversingPayment) return;
+    if (reversalReason.trim().length < 5) {
+      showToast('Please give a reason for the reversal', 'error');
+      return;
+    }
+
+    setReversing(true);
+    try {
+      await adminService.reversePayment(reversingPayment.id, {
+        reason: reversalReason.trim(),
+        notify_customer: notifyCustomer
+      });
+      setReversingPayment(null);
+      await fetchPayments();
+      showToast('Payment reversed successfully', 'success');
+    } catch {
+      showToast('Failed to reverse payment', 'error');
+    } finally {
+      setReversing(false);
+    }
+  };
+
   const getStatusIcon = (status: string) => {
     switch (status) {
       case 'completed': return <CheckCircle className="w-4 h-4 text-green-600" />;
       case 'pending': return <Clock className="w-4 h-4 text-yellow-600" />;
       case 'failed': return <XCircle className="w-4 h-4 text-red-600" />;
+      case 'reversed': return <RotateCcw className="w-4 h-4 text-orange-600" />;
       case 'cancelled': return <XCircle className="w-4 h-4 text-gray-600" />;
       default: return <Clock className="w-4 h-4 text-gray-600" />;
     }
@@ -67,6 +275,7 @@ const PaymentManagement: React.FC = () => {
       case 'completed': return 'bg-green-100 text-green-800';
       case 'pending': return 'bg-yellow-100 text-yellow-800';
       case 'failed': return 'bg-red-100 text-red-800';
+      case 'reversed': return 'bg-orange-100 text-orange-800';
       case 'cancelled': return 'bg-gray-100 text-gray-800';
       default: return 'bg-gray-100 text-gray-800';
     }
@@ -122,6 +331,13 @@ const PaymentManagement: React.FC = () => {
           <h1 className="text-3xl font-bold text-gray-900">Payment Management</h1>
           <p className="text-gray-600 mt-1">Track and manage customer payments</p>
         </div>
+        <button
+          onClick={openManualForm}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+        >
+          <Plus className="w-4 h-4" />
+          Record Payment
+        </button>
       </div>
 
       {/* Stats Cards */}
@@ -164,6 +380,37 @@ const PaymentManagement: React.FC = () => {
         </div>
       </div>
 
+      {/* Tabs */}
+      <div className="flex gap-2 border-b border-gray-200">
+        <button
+          onClick={() => setActiveTab('payments')}
+          className={`px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+            activeTab === 'payments'
+              ? 'border-blue-600 text-blue-600'
+              : 'border-transparent text-gray-600 hover:text-gray-900'
+          }`}
+        >
+          Payments
+        </button>
+        <button
+          onClick={() => setActiveTab('suspense')}
+          className={`flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+            activeTab === 'suspense'
+              ? 'border-blue-600 text-blue-600'
+              : 'border-transparent text-gray-600 hover:text-gray-900'
+          }`}
+        >
+          Unmatched
+          {suspenseSummary.unmatched_count > 0 && (
+            <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-orange-100 text-orange-800">
+              {suspenseSummary.unmatched_count}
+            </span>
+          )}
+        </button>
+      </div>
+
+      {activeTab === 'payments' && (
+      <>
       {/* Filters */}
       <div className="bg-white/20 backdrop-blur-sm rounded-lg p-4 border border-white/30">
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -186,6 +433,7 @@ const PaymentManagement: React.FC = () => {
             <option value="completed">Completed</option>
             <option value="pending">Pending</option>
             <option value="failed">Failed</option>
+            <option value="reversed">Reversed</option>
             <option value="cancelled">Cancelled</option>
           </select>
           <select
@@ -198,6 +446,9 @@ const PaymentManagement: React.FC = () => {
             <option value="equity_branch">Equity Branch</option>
             <option value="equity_agent">Equity Agent</option>
             <option value="equity_equitel">Equitel</option>
+            <option value="cash">Cash</option>
+            <option value="cheque">Cheque</option>
+            <option value="bank_transfer">Bank Transfer</option>
           </select>
         </div>
       </div>
@@ -286,9 +537,14 @@ const PaymentManagement: React.FC = () => {
                           Verify
                         </button>
                       )}
-                      <button className="text-red-600 hover:text-red-900 transition-colors">
-                        Cancel
-                      </button>
+                      {payment.status === 'completed' && (
+                        <button
+                          onClick={() => openReversal(payment)}
+                          className="text-red-600 hover:text-red-900 transition-colors"
+                        >
+                          Reverse
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -309,6 +565,113 @@ const PaymentManagement: React.FC = () => {
           </p>
         </div>
       )}
+      </>
+      )}
+
+      {activeTab === 'suspense' && (
+        <div className="space-y-4">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div className="flex items-center gap-3 bg-orange-50 border border-orange-200 rounded-lg px-4 py-3">
+              <AlertTriangle className="w-5 h-5 text-orange-600" />
+              <p className="text-sm text-orange-800">
+                {suspenseSummary.unmatched_count} unmatched payment{suspenseSummary.unmatched_count === 1 ? '' : 's'} holding
+                KES {suspenseSummary.unmatched_amount.toLocaleString()}
+              </p>
+            </div>
+            <select
+              value={suspenseStatus}
+              onChange={(e) => {
+                const status = e.target.value as typeof suspenseStatus;
+                setSuspenseStatus(status);
+                fetchSuspensePayments(status);
+              }}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="unmatched">Unmatched</option>
+              <option value="assigned">Assigned</option>
+              <option value="reversed">Reversed</option>
+              <option value="all">All</option>
+            </select>
+          </div>
+
+          <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-blue-50/50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transaction</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entered Account</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payer</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {suspensePayments.map((payment) => (
+                    <tr key={payment.id} className="hover:bg-blue-50/30 transition-colors">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-mono text-gray-900">{payment.transaction_id}</div>
+                        <div className="text-sm text-gray-500 capitalize">{payment.payment_method.replace('_', ' ')}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-mono text-gray-900">{payment.member_number || '-'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{payment.payer_name || '-'}</div>
+                        <div className="text-sm text-gray-500">{payment.phone_number || ''}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">KES {parseFloat(payment.amount).toLocaleString()}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{new Date(payment.payment_date).toLocaleDateString()}</div>
+                        <div className="text-sm text-gray-500">{new Date(payment.payment_date).toLocaleTimeString()}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {payment.status === 'assigned' ? (
+                          <div>
+                            <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">assigned</span>
+                            <div className="text-sm text-gray-500 mt-1">{payment.customer_name} ({payment.account_number})</div>
+                          </div>
+                        ) : (
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                            payment.status === 'reversed' ? 'bg-orange-100 text-orange-800' : 'bg-yellow-100 text-yellow-800'
+                          }`}>
+                            {payment.status}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        {payment.status === 'unmatched' && (
+                          <button
+                            onClick={() => openMatching(payment)}
+                            className="flex items-center gap-1 text-blue-600 hover:text-blue-900 transition-colors"
+                          >
+                            <UserCheck className="w-4 h-4" />
+                            Match
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {!suspenseLoading && suspensePayments.length === 0 && (
+            <div className="text-center py-12">
+              <CheckCircle className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No suspense payments</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Payments with an unrecognised account number will appear here for matching.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Payment Details Modal */}
       {showModal && selectedPayment && (
@@ -336,6 +699,18 @@ const PaymentManagement: React.FC = () => {
                 <span className="text-gray-600">Method:</span>
                 <span className="capitalize">{selectedPayment.payment_method.replace('_', ' ')}</span>
               </div>
+              {selectedPayment.receipt_number && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Receipt:</span>
+                  <span className="font-mono">{selectedPayment.receipt_number}</span>
+                </div>
+              )}
+              {selectedPayment.payment_reference && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Reference:</span>
+                  <span className="font-mono">{selectedPayment.payment_reference}</span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span className="text-gray-600">Status:</span>
                 <span className={`px-2 py-1 rounded ${getStatusColor(selectedPayment.status)}`}>
@@ -356,6 +731,331 @@ const PaymentManagement: React.FC = () => {
           </div>
         </div>
       )}
+
+      {/* Match Suspense Payment Modal */}
+      {matchingPayment && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-2xl font-bold mb-2">Match Payment</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              KES {parseFloat(matchingPayment.amount).toLocaleString()} from {matchingPayment.payer_name || 'unknown payer'} ({matchingPayment.transaction_id}),
+              entered account <span className="font-mono">{matchingPayment.member_number || '-'}</span>.
+            </p>
+
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Suggested customers</h3>
+            {candidatesLoading ? (
+              <p className="text-sm text-gray-500 mb-4">Finding matches...</p>
+            ) : candidates.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">No likely matches found. Search for the customer below.</p>
+            ) : (
+              <div className="space-y-2 mb-4">
+                {candidates.map((candidate) => (
+                  <label
+                    key={candidate.id}
+                    className={`flex items-center justify-between gap-3 p-3 border rounded-lg cursor-pointer ${
+                      selectedCustomerId === candidate.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex items-center gap-3">
+                      <input
+                        type="radio"
+                        checked={selectedCustomerId === candidate.id}
+                        onChange={() => setSelectedCustomerId(candidate.id)}
+                      />
+                      <div>
+                        <div className="text-sm font-medium text-gray-900">{candidate.full_name}</div>
+                        <div className="text-sm text-gray-500">
+                          <span className="font-mono">{candidate.account_number}</span> · {candidate.phone} · {candidate.zone}
+                        </div>
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <div className="text-sm font-semibold text-gray-900">{candidate.score}%</div>
+                      <div className="text-xs text-gray-500">
+                        {(candidate.reasons || []).map(reason => matchReasonLabels[reason] || reason).join(', ')}
+                      </div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Search customers</h3>
+            <div className="flex gap-2 mb-2">
+              <input
+                type="text"
+                value={customerQuery}
+                onChange={(e) => setCustomerQuery(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && searchCustomers()}
+                placeholder="Name, account number or phone"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={searchCustomers}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                <Search className="w-4 h-4" />
+              </button>
+            </div>
+            {customerResults.length > 0 && (
+              <div className="space-y-2 mb-4">
+                {customerResults.map((customer) => (
+                  <label
+                    key={customer.id}
+                    className={`flex items-center gap-3 p-3 border rounded-lg cursor-pointer ${
+                      selectedCustomerId === customer.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      checked={selectedCustomerId === customer.id}
+                      onChange={() => setSelectedCustomerId(customer.id)}
+                    />
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{customer.full_name}</div>
+                      <div className="text-sm text-gray-500">
+                        <span className="font-mono">{customer.account_number}</span> · {customer.phone} · {customer.zone}
+                      </div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mb-1 mt-4">Notes (optional)</label>
+            <textarea
+              value={assignNotes}
+              onChange={(e) => setAssignNotes(e.target.value)}
+              rows={2}
+              maxLength={500}
+              placeholder="e.g. Confirmed with customer by phone"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={notifyCustomer}
+                onChange={(e) => setNotifyCustomer(e.target.checked)}
+              />
+              Send payment confirmation SMS
+            </label>
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setMatchingPayment(null)}
+                disabled={assigning}
+                className="flex-1 border border-gray-300 py-2 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={assignSuspensePayment}
+                disabled={assigning || !selectedCustomerId}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {assigning ? 'Assigning...' : 'Assign & Allocate'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Record Manual Payment Modal */}
+      {showManualForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-2xl font-bold mb-2">Record Payment</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Cash, cheque or bank transfer collected at the office. A receipt number is issued and the
+              amount is allocated the same way as Equity payments.
+            </p>
+
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Customer</h3>
+            <div className="flex gap-2 mb-2">
+              <input
+                type="text"
+                value={customerQuery}
+                onChange={(e) => setCustomerQuery(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && searchCustomers()}
+                placeholder="Name, account number or phone"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={searchCustomers}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                <Search className="w-4 h-4" />
+              </button>
+            </div>
+            {customerResults.length > 0 && (
+              <div className="space-y-2 mb-4">
+                {customerResults.map((customer) => (
+                  <label
+                    key={customer.id}
+                    className={`flex items-center gap-3 p-3 border rounded-lg cursor-pointer ${
+                      selectedCustomerId === customer.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      checked={selectedCustomerId === customer.id}
+                      onChange={() => setSelectedCustomerId(customer.id)}
+                    />
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{customer.full_name}</div>
+                      <div className="text-sm text-gray-500">
+                        <span className="font-mono">{customer.account_number}</span> · {customer.phone} · {customer.zone}
+                      </div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Amount (KES)</label>
+                <input
+                  type="number"
+                  min="1"
+                  step="0.01"
+                  value={manualPayment.amount}
+                  onChange={(e) => setManualPayment({ ...manualPayment, amount: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+                <select
+                  value={manualPayment.payment_method}
+                  onChange={(e) => setManualPayment({ ...manualPayment, payment_method: e.target.value as ManualPaymentMethod })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="cash">Cash</option>
+                  <option value="cheque">Cheque</option>
+                  <option value="bank_transfer">Bank Transfer</option>
+                </select>
+              </div>
+              {manualPayment.payment_method !== 'cash' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {manualPayment.payment_method === 'cheque' ? 'Cheque Number' : 'Bank Reference'}
+                  </label>
+                  <input
+                    type="text"
+                    maxLength={100}
+                    value={manualPayment.payment_reference}
+                    onChange={(e) => setManualPayment({ ...manualPayment, payment_reference: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Date Received</label>
+                <input
+                  type="date"
+                  max={new Date().toISOString().split('T')[0]}
+                  value={manualPayment.payment_date}
+                  onChange={(e) => setManualPayment({ ...manualPayment, payment_date: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Pay Towards</label>
+                <select
+                  value={manualPayment.reference_type}
+                  onChange={(e) => setManualPayment({ ...manualPayment, reference_type: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="general">Allocation policy</option>
+                  <option value="bill">Bills first</option>
+                  <option value="fine">Fines first</option>
+                  <option value="contribution">Contributions first</option>
+                </select>
+              </div>
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mb-1 mt-4">Notes (optional)</label>
+            <textarea
+              value={manualPayment.notes}
+              onChange={(e) => setManualPayment({ ...manualPayment, notes: e.target.value })}
+              rows={2}
+              maxLength={500}
+              placeholder="e.g. Collected at the March committee meeting"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={notifyCustomer}
+                onChange={(e) => setNotifyCustomer(e.target.checked)}
+              />
+              Send payment confirmation SMS
+            </label>
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowManualForm(false)}
+                disabled={recording}
+                className="flex-1 border border-gray-300 py-2 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={recordManualPayment}
+                disabled={recording || !selectedCustomerId || !manualPayment.amount}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {recording ? 'Recording...' : 'Record & Allocate'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Reverse Payment Modal */}
+      {reversingPayment && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-lg w-full mx-4">
+            <h2 className="text-2xl font-bold mb-2">Reverse Payment</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              KES {parseFloat(reversingPayment.amount).toLocaleString()} from {reversingPayment.customer_name} ({reversingPayment.transaction_id}).
+              Bills, fines and contributions settled by this payment will be reopened.
+            </p>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <textarea
+              value={reversalReason}
+              onChange={(e) => setReversalReason(e.target.value)}
+              rows={3}
+              maxLength={500}
+              placeholder="e.g. Duplicate deposit refunded at branch"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={notifyCustomer}
+                onChange={(e) => setNotifyCustomer(e.target.checked)}
+              />
+              Notify customer by SMS
+            </label>
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setReversingPayment(null)}
+                disabled={reversing}
+                className="flex-1 border border-gray-300 py-2 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={reversePayment}
+                disabled={reversing}
+                className="flex-1 bg-red-600 text-white py-2 rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                {reversing ? 'Reversing...' : 'Reverse Payment'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,435 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Upload, CheckCircle, AlertTriangle, XCircle, HelpCircle, FileText } from 'lucide-react';
+import { adminService } from '../../services/adminService';
+import { useToast } from '../../context/ToastContext';
+
+interface StatementImport {
+  id: number;
+  file_name: string | null;
+  format: 'csv' | 'mt940';
+  period_start: string;
+  period_end: string;
+  credit_lines: number;
+  total_credits: string;
+  created_at: string;
+  imported_by_name?: string;
+  matched_count?: number;
+  missed_count?: number;
+  mismatch_count?: number;
+  imported_count?: number;
+}
+
+interface StatementLine {
+  id: number;
+  line_number: number;
+  transaction_date: string;
+  reference: string | null;
+  narrative: string | null;
+  member_number: string | null;
+  amount: string;
+  match_status: 'matched' | 'missed' | 'amount_mismatch' | 'imported';
+  payment_id: number | null;
+  suspense_id: number | null;
+  callback_amount: string | null;
+  account_number: string | null;
+  customer_name: string | null;
+}
+
+interface UnmatchedCallback {
+  source: 'payment' | 'suspense';
+  id: number;
+  transaction_id: string;
+  reference: string;
+  amount: string;
+  payment_date: string;
+  status: string;
+  account_number: string | null;
+  customer_name: string | null;
+}
+
+interface ReconciliationReport {
+  import: StatementImport;
+  summary: {
+    matched_count: number;
+    matched_amount: number;
+    missed_count: number;
+    missed_amount: number;
+    unmatched_callback_count: number;
+    unmatched_callback_amount: number;
+    mismatch_count: number;
+    mismatch_difference: number;
+  };
+  matched: StatementLine[];
+  missed: StatementLine[];
+  unmatched_callbacks: UnmatchedCallback[];
+  amount_mismatches: StatementLine[];
+}
+
+const formatAmount = (amount: number | string | null) =>
+  `KES ${parseFloat(String(amount ?? 0)).toLocaleString()}`;
+
+const Reconciliation: React.FC = () => {
+  const [imports, setImports] = useState<StatementImport[]>([]);
+  const [report, setReport] = useState<ReconciliationReport | null>(null);
+  const [file, setFile] = useState<File | null>(null);
+  const [format, setFormat] = useState<'csv' | 'mt940'>('csv');
+  const [uploading, setUploading] = useState(false);
+  const [importingLine, setImportingLine] = useState<number | null>(null);
+  const [importingAll, setImportingAll] = useState(false);
+  const { addToast } = useToast();
+
+  const fetchImports = useCallback(async () => {
+    try {
+      const response = await adminService.getStatementImports({ limit: 20 });
+      setImports(response.data?.data?.imports || []);
+    } catch {
+      addToast('Failed to fetch statement imports', 'error');
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    fetchImports();
+  }, [fetchImports]);
+
+  const loadReport = async (importId: number) => {
+    try {
+      const response = await adminService.getReconciliationReport(importId);
+      setReport(response.data?.data || null);
+    } catch {
+      addToast('Failed to load reconciliation report', 'error');
+    }
+  };
+
+  const handleFileChange = (selected: File | null) => {
+    setFile(selected);
+    if (selected && /\.(sta|mt940|940)$/i.test(selected.name)) {
+      setFormat('mt940');
+    } else if (selected && /\.csv$/i.test(selected.name)) {
+      setFormat('csv');
+    }
+  };
+
+  const uploadStatement = async () => {
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      const content = await file.text();
+      const response = await adminService.uploadStatement({ format, content, file_name: file.name });
+      setReport(response.data?.data || null);
+      setFile(null);
+      await fetchImports();
+      addToast(response.data?.message || 'Statement reconciled', 'success');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to upload statement', 'error');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const importLine = async (line: StatementLine) => {
+    if (!report) return;
+
+    setImportingLine(line.id);
+    try {
+      const response = await adminService.importStatementLine(report.import.id, line.id);
+      await Promise.all([loadReport(report.import.id), fetchImports()]);
+      addToast(response.data?.message || 'Line imported', 'success');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to import line', 'error');
+    } finally {
+      setImportingLine(null);
+    }
+  };
+
+  const importAllMissed = async () => {
+    if (!report) return;
+
+    setImportingAll(true);
+    try {
+      const response = await adminService.importAllMissedLines(report.import.id);
+      await Promise.all([loadReport(report.import.id), fetchImports()]);
+      addToast(response.data?.message || 'Missed lines imported', 'success');
+    } catch {
+      addToast('Failed to import missed lines', 'error');
+    } finally {
+      setImportingAll(false);
+    }
+  };
+
+  const renderLineTable = (lines: StatementLine[], options: { showCallback?: boolean; showImport?: boolean } = {}) => (
+    <div className="overflow-x-auto">
+      <table className="w-full">
+        <thead className="bg-blue-50/50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Narrative</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Bank Amount</th>
+            {options.showCallback && (
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Callback Amount</th>
+            )}
+            {!options.showImport && (
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+            )}
+            {options.showImport && (
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            )}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {lines.map(line => (
+            <tr key={line.id} className="hover:bg-blue-50/30 transition-colors">
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                {new Date(line.transaction_date).toLocaleDateString()}
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{line.reference || '-'}</td>
+              <td className="px-4 py-3 text-sm text-gray-600 max-w-xs truncate" title={line.narrative || ''}>
+                {line.narrative || '-'}
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{formatAmount(line.amount)}</td>
+              {options.showCallback && (
+                <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-red-600">{formatAmount(line.callback_amount)}</td>
+              )}
+              {!options.showImport && (
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                  {line.customer_name
+                    ? <>{line.customer_name} <span className="text-gray-500 font-mono">({line.account_number})</span></>
+                    : line.suspense_id ? <span className="text-orange-600">In suspense</span> : '-'}
+                  {line.match_status === 'imported' && (
+                    <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">imported</span>
+                  )}
+                </td>
+              )}
+              {options.showImport && (
+                <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => importLine(line)}
+                    disabled={importingLine === line.id || !line.reference}
+                    className="text-blue-600 hover:text-blue-900 transition-colors disabled:opacity-50"
+                    title={line.reference ? undefined : 'Line has no reference'}
+                  >
+                    {importingLine === line.id ? 'Importing...' : 'Import'}
+                  </button>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Statement Reconciliation</h1>
+        <p className="text-gray-600 mt-1">Match Equity Bank statements against payment callbacks</p>
+      </div>
+
+      {/* Upload */}
+      <div className="bg-white/20 backdrop-blur-sm rounded-lg p-6 border border-white/30">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Statement file</label>
+            <input
+              type="file"
+              accept=".csv,.txt,.sta,.mt940,.940"
+              onChange={(e) => handleFileChange(e.target.files?.[0] || null)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value as 'csv' | 'mt940')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="csv">CSV export</option>
+              <option value="mt940">MT940</option>
+            </select>
+          </div>
+          <button
+            onClick={uploadStatement}
+            disabled={!file || uploading}
+            className="flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Upload className="w-4 h-4" />
+            {uploading ? 'Reconciling...' : 'Upload & Reconcile'}
+          </button>
+        </div>
+      </div>
+
+      {/* Previous imports */}
+      {imports.length > 0 && (
+        <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 overflow-hidden">
+          <div className="px-6 py-4 border-b border-white/30">
+            <h2 className="text-lg font-semibold text-gray-900">Recent Statements</h2>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {imports.map(item => (
+              <button
+                key={item.id}
+                onClick={() => loadReport(item.id)}
+                className={`w-full flex items-center justify-between px-6 py-3 text-left hover:bg-blue-50/30 transition-colors ${
+                  report?.import.id === item.id ? 'bg-blue-50/50' : ''
+                }`}
+              >
+                <div className="flex items-center gap-3">
+                  <FileText className="w-5 h-5 text-gray-500" />
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">{item.file_name || `Statement #${item.id}`}</div>
+                    <div className="text-sm text-gray-500">
+                      {new Date(item.period_start).toLocaleDateString()} - {new Date(item.period_end).toLocaleDateString()} · {item.credit_lines} credits · {formatAmount(item.total_credits)}
+                    </div>
+                  </div>
+                </div>
+                <div className="flex gap-2 text-xs font-semibold">
+                  <span className="px-2 py-1 rounded-full bg-green-100 text-green-800">{(item.matched_count || 0) + (item.imported_count || 0)} matched</span>
+                  {(item.missed_count || 0) > 0 && (
+                    <span className="px-2 py-1 rounded-full bg-yellow-100 text-yellow-800">{item.missed_count} missed</span>
+                  )}
+                  {(item.mismatch_count || 0) > 0 && (
+                    <span className="px-2 py-1 rounded-full bg-red-100 text-red-800">{item.mismatch_count} mismatched</span>
+                  )}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg p-6 border border-white/30">
+              <div className="flex items-center gap-3">
+                <CheckCircle className="w-8 h-8 text-green-600" />
+                <div>
+                  <p className="text-sm text-gray-600">Matched ({report.summary.matched_count})</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatAmount(report.summary.matched_amount)}</p>
+                </div>
+              </div>
+            </div>
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg p-6 border border-white/30">
+              <div className="flex items-center gap-3">
+                <HelpCircle className="w-8 h-8 text-yellow-600" />
+                <div>
+                  <p className="text-sm text-gray-600">Missed Callbacks ({report.summary.missed_count})</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatAmount(report.summary.missed_amount)}</p>
+                </div>
+              </div>
+            </div>
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg p-6 border border-white/30">
+              <div className="flex items-center gap-3">
+                <XCircle className="w-8 h-8 text-red-600" />
+                <div>
+                  <p className="text-sm text-gray-600">No Bank Line ({report.summary.unmatched_callback_count})</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatAmount(report.summary.unmatched_callback_amount)}</p>
+                </div>
+              </div>
+            </div>
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg p-6 border border-white/30">
+              <div className="flex items-center gap-3">
+                <AlertTriangle className="w-8 h-8 text-orange-600" />
+                <div>
+                  <p className="text-sm text-gray-600">Amount Mismatches ({report.summary.mismatch_count})</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatAmount(report.summary.mismatch_difference)}</p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Missed */}
+          {report.missed.length > 0 && (
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 overflow-hidden">
+              <div className="flex items-center justify-between px-6 py-4 border-b border-white/30">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">Bank Lines Without a Callback</h2>
+                  <p className="text-sm text-gray-600">Money received that was never notified. Lines with no matching account go to the suspense queue.</p>
+                </div>
+                <button
+                  onClick={importAllMissed}
+                  disabled={importingAll}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {importingAll ? 'Importing...' : 'Import All'}
+                </button>
+              </div>
+              {renderLineTable(report.missed, { showImport: true })}
+            </div>
+          )}
+
+          {/* Callbacks with no bank line */}
+          {report.unmatched_callbacks.length > 0 && (
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 overflow-hidden">
+              <div className="px-6 py-4 border-b border-white/30">
+                <h2 className="text-lg font-semibold text-gray-900">Callbacks Without a Bank Line</h2>
+                <p className="text-sm text-gray-600">Payments we recorded in this period that the statement does not show. Investigate before relying on them.</p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-blue-50/50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {report.unmatched_callbacks.map(callback => (
+                      <tr key={`${callback.source}-${callback.id}`} className="hover:bg-blue-50/30 transition-colors">
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                          {new Date(callback.payment_date).toLocaleDateString()}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{callback.reference}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                          {callback.customer_name || '-'} <span className="text-gray-500 font-mono">({callback.account_number || '-'})</span>
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{formatAmount(callback.amount)}</td>
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-800">
+                            {callback.source === 'suspense' ? 'suspense' : callback.status}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Amount mismatches */}
+          {report.amount_mismatches.length > 0 && (
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 overflow-hidden">
+              <div className="px-6 py-4 border-b border-white/30">
+                <h2 className="text-lg font-semibold text-gray-900">Amount Mismatches</h2>
+                <p className="text-sm text-gray-600">The bank and the callback disagree on how much was paid.</p>
+              </div>
+              {renderLineTable(report.amount_mismatches, { showCallback: true })}
+            </div>
+          )}
+
+          {/* Matched */}
+          {report.matched.length > 0 && (
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 overflow-hidden">
+              <div className="px-6 py-4 border-b border-white/30">
+                <h2 className="text-lg font-semibold text-gray-900">Matched</h2>
+              </div>
+              {renderLineTable(report.matched)}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Reconciliation;
@@ -1,6 +1,6 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
 import React, { useState, useEffect } from 'react';
-import { Settings, DollarSign, Calendar, Bell, Database, Shield, Save } from 'lucide-react';
+import { Settings, DollarSign, Calendar, Bell, Database, Shield, Save, Mail, Lock } from 'lucide-react';
 import { useToast } from '../../context/ToastContext';
 import { adminService } from '../../services/adminService';
 
@@ -13,12 +13,52 @@ interface SystemSetting {
   data_type: 'string' | 'number' | 'boolean' | 'json';
 }
 
+interface AllocationPreview {
+  policy: string;
+  total_outstanding: number;
+  total_allocated: number;
+  advance_payment: number;
+  customer_name: string;
+  account_number: string;
+  allocations: {
+    type: 'bill' | 'fine' | 'contribution';
+    id: number;
+    description: string;
+    outstanding: number;
+    amount: number;
+    balance_after: number;
+  }[];
+}
+
+const allocationPolicies = [
+  { value: 'bills_first', label: 'Bills first, then fines, then contributions' },
+  { value: 'fines_first', label: 'Fines first, then bills, then contributions' },
+  { value: 'contributions_first', label: 'Contributions first, then bills, then fines' },
+  { value: 'oldest_first', label: 'Oldest item first across bills, fines and contributions' },
+  { value: 'contributions_split', label: 'Fixed share to contributions, remainder bills first' }
+];
+
+const adminRoles = [
+  { value: 'superadmin', label: 'Superadmin' },
+  { value: 'treasurer', label: 'Treasurer' },
+  { value: 'billing_clerk', label: 'Billing clerk' },
+  { value: 'meter_reader', label: 'Meter reader' },
+  { value: 'sms_officer', label: 'SMS officer' },
+  { value: 'auditor', label: 'Auditor' }
+];
+
 const SystemSettings: React.FC = () => {
   const [settings, setSettings] = useState<SystemSetting[]>([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [activeTab, setActiveTab] = useState('billing');
+  const [previewCustomerId, setPreviewCustomerId] = useState('');
+  const [previewAmount, setPreviewAmount] = useState('');
+  const [allocationPreview, setAllocationPreview] = useState<AllocationPreview | null>(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [testEmail, setTestEmail] = useState('');
+  const [sendingTestEmail, setSendingTestEmail] = useState(false);
   const { addToast } = useToast();
 
   // Fetch settings from backend
@@ -258,6 +298,40 @@ const SystemSettings: React.FC = () => {
     }
   };
 
+  // Preview the allocation policy as currently edited, before it is saved
+  const previewAllocation = async () => {
+    const policy = settings.find(s => s.setting_key === 'payment_allocation_policy')?.setting_value;
+    const splitPercent = settings.find(s => s.setting_key === 'payment_allocation_split_percent')?.setting_value;
+
+    try {
+      setPreviewing(true);
+      const response = await adminService.previewAllocation({
+        customer_id: parseInt(previewCustomerId),
+        amount: parseFloat(previewAmount),
+        policy,
+        split_percent: splitPercent ? parseFloat(splitPercent) : undefined
+      });
+      setAllocationPreview(response.data?.data || null);
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to preview allocation', 'error');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  // Uses the saved settings, so save changes before testing
+  const sendTestEmail = async () => {
+    try {
+      setSendingTestEmail(true);
+      await adminService.testEmailConnection(testEmail);
+      addToast(`Test email sent to ${testEmail}`, 'success');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to send test email', 'error');
+    } finally {
+      setSendingTestEmail(false);
+    }
+  };
+
   const getSettingsByCategory = (category: string) => {
     return settings.filter(setting => setting.category === category);
   };
@@ -279,7 +353,18 @@ const SystemSettings: React.FC = () => {
       'jenga_consumer_key': 'Jenga Consumer Key',
       'jenga_consumer_secret': 'Jenga Consumer Secret',
       'stk_callback_url': 'STK Callback URL',
-      'stk_push_shortcode': 'STK Push Shortcode'
+      'stk_push_shortcode': 'STK Push Shortcode',
+      'payment_allocation_policy': 'Payment Allocation Policy',
+      'payment_allocation_split_percent': 'Contribution Share (%)',
+      'smtp_host': 'SMTP Host',
+      'smtp_port': 'SMTP Port',
+      'smtp_secure': 'Use SSL/TLS',
+      'smtp_username': 'SMTP Username',
+      'smtp_password': 'SMTP Password',
+      'smtp_from_email': 'From Email',
+      'smtp_from_name': 'From Name',
+      'email_attach_documents': 'Attach Bills and Receipts',
+      'two_factor_required_roles': 'Roles Requiring Two-Factor Authentication'
     };
     return labels[settingKey] || settingKey.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
   };
@@ -289,7 +374,60 @@ const SystemSettings: React.FC = () => {
       updateSetting(setting.setting_key, value);
     };
 
-    switch (setting.data_type) {
+    if (setting.setting_key === 'payment_allocation_policy') {
+      return (
+        <select
+          value={setting.setting_value}
+          onChange={(e) => handleChange(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {allocationPolicies.map(policy => (
+            <option key={policy.value} value={policy.value}>{policy.label}</option>
+          ))}
+        </select>
+      );
+    }
+
+    // Stored as a comma separated list of roles
+    if (setting.setting_key === 'two_factor_required_roles') {
+      const selected = setting.setting_value.split(',').map(role => role.trim()).filter(Boolean);
+      const toggleRole = (role: string) => {
+        const next = selected.includes(role) ? selected.filter(r => r !== role) : [...selected, role];
+        handleChange(adminRoles.map(r => r.value).filter(r => next.includes(r)).join(','));
+      };
+
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          {adminRoles.map(role => (
+            <label key={role.value} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={selected.includes(role.value)}
+                onChange={() => toggleRole(role.value)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {role.label}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    if (setting.setting_key === 'smtp_password') {
+      return (
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={setting.setting_value}
+          onChange={(e) => handleChange(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      );
+    }
+
+    const dataType = ['smtp_secure', 'email_attach_documents'].includes(setting.setting_key) ? 'boolean' : setting.data_type;
+
+    switch (dataType) {
       case 'boolean':
         return (
           <select
@@ -327,7 +465,9 @@ const SystemSettings: React.FC = () => {
     { id: 'contributions', name: 'Contributions', icon: Calendar },
     { id: 'general', name: 'General', icon: Database },
     { id: 'notifications', name: 'Notifications', icon: Bell },
+    { id: 'email', name: 'Email', icon: Mail },
     { id: 'payments', name: 'Payments', icon: Shield },
+    { id: 'security', name: 'Security', icon: Lock },
   ];
 
   if (loading) {
@@ -404,6 +544,100 @@ const SystemSettings: React.FC = () => {
             ))}
           </div>
 
+          {activeTab === 'payments' && (
+            <div className="mt-8 pt-6 border-t border-white/30">
+              <h3 className="text-lg font-semibold text-gray-900">Allocation Preview</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                See how a payment would be split for a customer under the policy selected above. Nothing is recorded.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <input
+                  type="number"
+                  value={previewCustomerId}
+                  onChange={(e) => setPreviewCustomerId(e.target.value)}
+                  placeholder="Customer ID"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <input
+                  type="number"
+                  value={previewAmount}
+                  onChange={(e) => setPreviewAmount(e.target.value)}
+                  placeholder="Amount (KES)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  onClick={previewAllocation}
+                  disabled={previewing || !previewCustomerId || !previewAmount}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white px-4 py-2 rounded-lg transition-colors"
+                >
+                  {previewing ? 'Calculating...' : 'Preview'}
+                </button>
+              </div>
+
+              {allocationPreview && (
+                <div className="mt-4">
+                  <p className="text-sm text-gray-700 mb-2">
+                    {allocationPreview.customer_name} ({allocationPreview.account_number}) owes
+                    KES {allocationPreview.total_outstanding.toLocaleString()}
+                  </p>
+                  <table className="w-full">
+                    <thead className="bg-blue-50/50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Allocated</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance After</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {allocationPreview.allocations.map(line => (
+                        <tr key={`${line.type}-${line.id}`}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{line.description}</td>
+                          <td className="px-4 py-2 text-sm text-gray-600 text-right">{line.outstanding.toLocaleString()}</td>
+                          <td className="px-4 py-2 text-sm font-medium text-gray-900 text-right">{line.amount.toLocaleString()}</td>
+                          <td className="px-4 py-2 text-sm text-gray-600 text-right">{line.balance_after.toLocaleString()}</td>
+                        </tr>
+                      ))}
+                      {allocationPreview.advance_payment > 0 && (
+                        <tr>
+                          <td className="px-4 py-2 text-sm text-gray-900">Advance (credit for future bills)</td>
+                          <td className="px-4 py-2 text-sm text-gray-600 text-right">-</td>
+                          <td className="px-4 py-2 text-sm font-medium text-gray-900 text-right">{allocationPreview.advance_payment.toLocaleString()}</td>
+                          <td className="px-4 py-2 text-sm text-gray-600 text-right">-</td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'email' && (
+            <div className="mt-8 pt-6 border-t border-white/30">
+              <h3 className="text-lg font-semibold text-gray-900">Send Test Email</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Save your changes first. The test uses the saved SMTP settings.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <input
+                  type="email"
+                  value={testEmail}
+                  onChange={(e) => setTestEmail(e.target.value)}
+                  placeholder="Recipient email"
+                  className="md:col-span-2 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  onClick={sendTestEmail}
+                  disabled={sendingTestEmail || !testEmail}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white px-4 py-2 rounded-lg transition-colors"
+                >
+                  {sendingTestEmail ? 'Sending...' : 'Send Test'}
+                </button>
+              </div>
+            </div>
+          )}
+
           {getSettingsByCategory(activeTab).length === 0 && (
             <div className="text-center py-12">
               <Settings className="mx-auto h-12 w-12 text-gray-400" />
@@ -0,0 +1,460 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserCog, Plus, Edit, KeyRound, Trash2, ToggleLeft, ToggleRight, RefreshCw, ShieldCheck, ShieldOff } from 'lucide-react';
+import { adminService } from '../../services/adminService';
+import { useAuth } from '../../context/useAuth';
+import { useToast } from '../../context/ToastContext';
+
+interface AdminUser {
+  id: number;
+  username: string;
+  email: string;
+  full_name: string;
+  role: string;
+  two_factor_enabled: number | boolean;
+  is_active: number | boolean;
+  last_login: string | null;
+  created_at: string;
+}
+
+interface RoleData {
+  roles: Record<string, string>;
+  permissions: Record<string, string>;
+  role_permissions: Record<string, string[]>;
+}
+
+const UserFormModal: React.FC<{
+  user: AdminUser | null;
+  roles: Record<string, string>;
+  onClose: () => void;
+  onSaved: () => void;
+}> = ({ user, roles, onClose, onSaved }) => {
+  const [username, setUsername] = useState(user?.username || '');
+  const [fullName, setFullName] = useState(user?.full_name || '');
+  const [email, setEmail] = useState(user?.email || '');
+  const [role, setRole] = useState(user?.role || 'auditor');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { addToast } = useToast();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      if (user) {
+        await adminService.updateAdminUser(user.id, { full_name: fullName, email, role });
+        addToast('User updated successfully', 'success');
+      } else {
+        await adminService.createAdminUser({ username, full_name: fullName, email, password, role });
+        addToast('User created successfully', 'success');
+      }
+      onSaved();
+      onClose();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to save user', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <h2 className="text-xl font-semibold mb-4">{user ? 'Edit User' : 'Add Committee Member'}</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Username</label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              disabled={!!user}
+              required
+              minLength={3}
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2 disabled:bg-gray-100"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Full Name</label>
+            <input
+              type="text"
+              value={fullName}
+              onChange={(e) => setFullName(e.target.value)}
+              required
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Role</label>
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2"
+            >
+              {Object.entries(roles).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {!user && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="At least 8 characters"
+                required
+                minLength={8}
+                className="mt-1 block w-full border border-gray-300 rounded-md p-2"
+              />
+            </div>
+          )}
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {loading ? 'Saving...' : user ? 'Save Changes' : 'Create User'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ResetPasswordModal: React.FC<{ user: AdminUser; onClose: () => void }> = ({ user, onClose }) => {
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { addToast } = useToast();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await adminService.resetAdminUserPassword(user.id, password);
+      addToast(`Password reset for ${user.full_name}`, 'success');
+      onClose();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to reset password', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <h2 className="text-xl font-semibold mb-4">Reset Password</h2>
+        <p className="text-sm text-gray-600 mb-4">Set a new password for {user.full_name} ({user.username}).</p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="At least 8 characters"
+            required
+            minLength={8}
+            className="block w-full border border-gray-300 rounded-md p-2"
+          />
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const UserManagement: React.FC = () => {
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [roleData, setRoleData] = useState<RoleData>({ roles: {}, permissions: {}, role_permissions: {} });
+  const [loading, setLoading] = useState(true);
+  const [editingUser, setEditingUser] = useState<AdminUser | null>(null);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [passwordUser, setPasswordUser] = useState<AdminUser | null>(null);
+  const { user: currentUser } = useAuth();
+  const { addToast } = useToast();
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await adminService.getAdminUsers();
+      const data = response.data.data;
+      setUsers(data.users || []);
+      setRoleData({
+        roles: data.roles || {},
+        permissions: data.permissions || {},
+        role_permissions: data.role_permissions || {}
+      });
+    } catch (error) {
+      console.error('Error fetching admin users:', error);
+      addToast('Failed to fetch users', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const toggleStatus = async (user: AdminUser) => {
+    try {
+      const response = await adminService.toggleAdminUserStatus(user.id);
+      addToast(response.data.message || 'User status updated', 'success');
+      await fetchUsers();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to update user status', 'error');
+    }
+  };
+
+  const resetTwoFactor = async (user: AdminUser) => {
+    if (!window.confirm(`Remove ${user.full_name}'s authenticator and backup codes? Use this when they have lost their phone.`)) {
+      return;
+    }
+    try {
+      const response = await adminService.resetAdminUserTwoFactor(user.id);
+      addToast(response.data.message || 'Two-factor authentication reset', 'success');
+      await fetchUsers();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to reset two-factor authentication', 'error');
+    }
+  };
+
+  const deleteUser = async (user: AdminUser) => {
+    if (!window.confirm(`Delete ${user.full_name}? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await adminService.deleteAdminUser(user.id);
+      addToast('User deleted successfully', 'success');
+      await fetchUsers();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to delete user', 'error');
+    }
+  };
+
+  const openForm = (user: AdminUser | null) => {
+    setEditingUser(user);
+    setShowFormModal(true);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">User Management</h1>
+          <p className="text-gray-600 mt-1">Committee member logins and what each role can do</p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={fetchUsers}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+          <button
+            onClick={() => openForm(null)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add User
+          </button>
+        </div>
+      </div>
+
+      {/* Users Table */}
+      <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-blue-50/50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">2FA</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Login</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {users.map((user) => {
+                const isSelf = user.id === currentUser?.id;
+                return (
+                  <tr key={user.id} className="hover:bg-blue-50/30 transition-colors">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">
+                        {user.full_name}{isSelf && <span className="text-gray-500"> (you)</span>}
+                      </div>
+                      <div className="text-sm text-gray-500">{user.username} · {user.email}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                        user.role === 'superadmin' ? 'bg-purple-100 text-purple-800' : 'bg-blue-100 text-blue-800'
+                      }`}>
+                        {roleData.roles[user.role] || user.role}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                        user.is_active ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                        {user.is_active ? 'active' : 'inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                        user.two_factor_enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {user.two_factor_enabled ? 'on' : 'off'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {user.last_login ? new Date(user.last_login).toLocaleString() : 'Never'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => openForm(user)}
+                          className="text-blue-600 hover:text-blue-900 transition-colors"
+                          title="Edit"
+                        >
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setPasswordUser(user)}
+                          className="text-amber-600 hover:text-amber-900 transition-colors"
+                          title="Reset Password"
+                        >
+                          <KeyRound className="w-4 h-4" />
+                        </button>
+                        {!isSelf && Boolean(user.two_factor_enabled) && (
+                          <button
+                            onClick={() => resetTwoFactor(user)}
+                            className="text-amber-600 hover:text-amber-900 transition-colors"
+                            title="Reset Two-Factor Authentication"
+                          >
+                            <ShieldOff className="w-4 h-4" />
+                          </button>
+                        )}
+                        {!isSelf && (
+                          <>
+                            <button
+                              onClick={() => toggleStatus(user)}
+                              className="text-blue-600 hover:text-blue-900 transition-colors"
+                              title={user.is_active ? 'Deactivate' : 'Activate'}
+                            >
+                              {user.is_active ? <ToggleRight className="w-4 h-4" /> : <ToggleLeft className="w-4 h-4" />}
+                            </button>
+                            <button
+                              onClick={() => deleteUser(user)}
+                              className="text-red-600 hover:text-red-900 transition-colors"
+                              title="Delete"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        {users.length === 0 && (
+          <div className="text-center py-12">
+            <UserCog className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No users found</h3>
+          </div>
+        )}
+      </div>
+
+      {/* Role permissions reference */}
+      <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30">
+        <div className="px-6 py-4 border-b border-white/30 flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Role Permissions</h3>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 p-6">
+          {Object.entries(roleData.roles).map(([role, label]) => (
+            <div key={role} className="bg-white/40 rounded-lg p-4">
+              <h4 className="font-semibold text-gray-900 mb-2">{label}</h4>
+              <ul className="space-y-1">
+                {(roleData.role_permissions[role] || []).map(permission => (
+                  <li key={permission} className="text-xs text-gray-600">
+                    {roleData.permissions[permission] || permission}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {showFormModal && (
+        <UserFormModal
+          user={editingUser}
+          roles={roleData.roles}
+          onClose={() => {
+            setShowFormModal(false);
+            setEditingUser(null);
+          }}
+          onSaved={fetchUsers}
+        />
+      )}
+
+      {passwordUser && (
+        <ResetPasswordModal
+          user={passwordUser}
+          onClose={() => setPasswordUser(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { FileText, Download, Eye, CreditCard, Calendar, AlertCircle, Smartphone } from 'lucide-react';
 import { useToast } from '../../context/ToastContext';
+import { useLanguage } from '../../context/useLanguage';
+import { TranslationKey } from '../../i18n';
 import { customerService } from '../../services/customerService';
 
 interface Bill {
@@ -25,6 +27,7 @@ const CustomerBills: React.FC = () => {
   const [showViewModal, setShowViewModal] = useState(false);
   const [selectedBillForView, setSelectedBillForView] = useState<Bill | null>(null);
   const { addToast } = useToast();
+  const { t, locale } = useLanguage();
 
   useEffect(() => {
     fetchBills();
@@ -36,10 +39,10 @@ const CustomerBills: React.FC = () => {
       setBills(response.data.data?.bills || []);
     } catch (error: any) {
       if (error.response?.status === 401) {
-        addToast('Unauthorized access. Please login again.', 'error');
+        addToast(t('common.unauthorized'), 'error');
         window.location.href = '/auth';
       } else {
-        addToast('Failed to fetch bills', 'error');
+        addToast(t('bills.loadFailed'), 'error');
       }
     } finally {
       setLoading(false);
@@ -67,33 +70,21 @@ const CustomerBills: React.FC = () => {
 
   const downloadBill = async (bill: Bill) => {
     try {
-      // Create a simple bill summary for download
-      const billData = {
-        billNumber: bill.bill_number,
-        customerName: 'Customer', // This would come from customer context
-        billingPeriod: `${new Date(bill.billing_period_start).toLocaleDateString()} - ${new Date(bill.billing_period_end).toLocaleDateString()}`,
-        dueDate: new Date(bill.due_date).toLocaleDateString(),
-        totalAmount: Number(bill.total_amount),
-        finesApplied: Number(bill.fines_applied),
-        status: getDisplayStatus(bill),
-        createdAt: new Date(bill.created_at).toLocaleDateString()
-      };
-
-      const csvContent = `Bill Details\nBill Number,${billData.billNumber}\nBilling Period,${billData.billingPeriod}\nDue Date,${billData.dueDate}\nTotal Amount,KES ${billData.totalAmount}\nFines Applied,KES ${billData.finesApplied}\nStatus,${billData.status}\nCreated At,${billData.createdAt}`;
-
-      const blob = new Blob([csvContent], { type: 'text/csv' });
+      const response = await customerService.downloadBillPdf(bill.id);
+
+      const blob = new Blob([response.data], { type: 'application/pdf' });
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', `bill_${bill.bill_number}.csv`);
+      link.setAttribute('download', `bill-${bill.bill_number}.pdf`);
       document.body.appendChild(link);
       link.click();
       link.parentNode?.removeChild(link);
       window.URL.revokeObjectURL(url);
 
-      addToast('Bill downloaded successfully', 'success');
+      addToast(t('bills.downloaded'), 'success');
     } catch (error) {
-      addToast('Failed to download bill', 'error');
+      addToast(t('bills.downloadFailed'), 'error');
     }
   };
 
@@ -168,8 +159,8 @@ const CustomerBills: React.FC = () => {
       {/* Header */}
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">My Bills</h1>
-          <p className="text-gray-600 mt-1">View and manage your water bills</p>
+          <h1 className="text-3xl font-bold text-gray-900">{t('bills.title')}</h1>
+          <p className="text-gray-600 mt-1">{t('bills.subtitle')}</p>
         </div>
         <select
           value={selectedYear}
@@ -188,7 +179,7 @@ const CustomerBills: React.FC = () => {
           <div className="flex items-center gap-3">
             <FileText className="w-8 h-8 text-blue-600" />
             <div>
-              <p className="text-sm text-gray-600">Total Bills</p>
+              <p className="text-sm text-gray-600">{t('bills.total')}</p>
               <p className="text-2xl font-bold text-gray-900">{bills.length}</p>
             </div>
           </div>
@@ -197,7 +188,7 @@ const CustomerBills: React.FC = () => {
           <div className="flex items-center gap-3">
             <CreditCard className="w-8 h-8 text-green-600" />
             <div>
-              <p className="text-sm text-gray-600">Paid</p>
+              <p className="text-sm text-gray-600">{t('status.paid')}</p>
               <p className="text-2xl font-bold text-green-600">{formatCurrency(paidAmount)}</p>
             </div>
           </div>
@@ -206,7 +197,7 @@ const CustomerBills: React.FC = () => {
           <div className="flex items-center gap-3">
             <Calendar className="w-8 h-8 text-yellow-600" />
             <div>
-              <p className="text-sm text-gray-600">Pending</p>
+              <p className="text-sm text-gray-600">{t('status.pending')}</p>
               <p className="text-2xl font-bold text-yellow-600">{formatCurrency(pendingAmount)}</p>
             </div>
           </div>
@@ -215,7 +206,7 @@ const CustomerBills: React.FC = () => {
           <div className="flex items-center gap-3">
             <AlertCircle className="w-8 h-8 text-red-600" />
             <div>
-              <p className="text-sm text-gray-600">Overdue</p>
+              <p className="text-sm text-gray-600">{t('status.overdue')}</p>
               <p className="text-2xl font-bold text-red-600">{formatCurrency(overdueAmount)}</p>
             </div>
           </div>
@@ -225,7 +216,7 @@ const CustomerBills: React.FC = () => {
       {/* Bills List */}
       <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30">
         <div className="px-6 py-4 border-b border-white/30">
-          <h3 className="text-lg font-semibold text-gray-900">Bills for {selectedYear}</h3>
+          <h3 className="text-lg font-semibold text-gray-900">{t('bills.forYear', { year: selectedYear })}</h3>
         </div>
         
         {bills.length > 0 ? (
@@ -244,17 +235,17 @@ const CustomerBills: React.FC = () => {
                       </div>
                       <div>
                         <h4 className="text-lg font-semibold text-gray-900">
-                          {new Date(bill.billing_period_start).toLocaleDateString('en-US', {
+                          {new Date(bill.billing_period_start).toLocaleDateString(locale, {
                             month: 'long',
                             year: 'numeric'
                           })}
                         </h4>
                         <p className="text-sm text-gray-600">
-                          Due: {new Date(bill.due_date).toLocaleDateString()}
+                          {t('common.due', { date: new Date(bill.due_date).toLocaleDateString(locale) })}
                         </p>
                         {bill.paid_at && (
                           <p className="text-sm text-green-600">
-                            Paid: {new Date(bill.paid_at).toLocaleDateString()}
+                            {t('common.paidOn', { date: new Date(bill.paid_at).toLocaleDateString(locale) })}
                           </p>
                         )}
                       </div>
@@ -263,7 +254,7 @@ const CustomerBills: React.FC = () => {
                     <div className="text-right">
                       <div className="flex items-center gap-3 mb-2">
                         <span className={`inline-flex px-3 py-1 text-sm font-semibold rounded-full ${getStatusColor(getDisplayStatus(bill))}`}>
-                          {getDisplayStatus(bill).toUpperCase()}
+                          {t(`status.${getDisplayStatus(bill)}` as TranslationKey).toUpperCase()}
                         </span>
                       </div>
                       <p className="text-2xl font-bold text-gray-900">
@@ -271,7 +262,7 @@ const CustomerBills: React.FC = () => {
                       </p>
                       {finesTotal > 0 && (
                         <p className="text-sm text-red-600">
-                          (includes {formatCurrency(finesTotal)} late fee)
+                          {t('common.includesLateFee', { amount: formatCurrency(finesTotal) })}
                         </p>
                       )}
                     </div>
@@ -283,14 +274,14 @@ const CustomerBills: React.FC = () => {
                       className="flex items-center gap-2 px-3 py-1 text-sm text-blue-600 hover:text-blue-800 transition-colors"
                     >
                       <Download className="w-4 h-4" />
-                      Download
+                      {t('bills.downloadPdf')}
                     </button>
                     <button
                       onClick={() => viewBillDetails(bill)}
                       className="flex items-center gap-2 px-3 py-1 text-sm text-gray-600 hover:text-gray-800 transition-colors"
                     >
                       <Eye className="w-4 h-4" />
-                      View Details
+                      {t('bills.viewDetails')}
                     </button>
                     {(getDisplayStatus(bill) === 'pending' || getDisplayStatus(bill) === 'overdue') && (
                       <button
@@ -298,7 +289,7 @@ const CustomerBills: React.FC = () => {
                         className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors"
                       >
                         <CreditCard className="w-4 h-4" />
-                        Pay Now
+                        {t('bills.payNow')}
                       </button>
                     )}
                   </div>
@@ -309,9 +300,9 @@ const CustomerBills: React.FC = () => {
         ) : (
           <div className="text-center py-12">
             <FileText className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-sm font-medium text-gray-900">No bills found</h3>
+            <h3 className="mt-2 text-sm font-medium text-gray-900">{t('bills.noneFound')}</h3>
             <p className="mt-1 text-sm text-gray-500">
-              No bills available for {selectedYear}.
+              {t('bills.noneForYear', { year: selectedYear })}
             </p>
           </div>
         )}
@@ -327,43 +318,43 @@ const CustomerBills: React.FC = () => {
                 className="bg-white rounded-lg p-6 w-full max-w-md"
                 onClick={(e) => e.stopPropagation()}
               >
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Payment Options</h3>
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('bills.paymentOptions')}</h3>
               
               <div className="mb-4 bg-blue-50 p-3 rounded-lg">
                 <p className="text-sm text-gray-600">
-                  Bill Period: <span className="font-semibold">
-                    {new Date(selectedBillForPayment.billing_period_start).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+                  {t('bills.billPeriod')} <span className="font-semibold">
+                    {new Date(selectedBillForPayment.billing_period_start).toLocaleDateString(locale, { month: 'long', year: 'numeric' })}
                   </span>
                 </p>
                 <p className="text-sm text-gray-600">
-                  Amount: <span className="font-semibold text-blue-600">
+                  {t('bills.amount')} <span className="font-semibold text-blue-600">
                     {formatCurrency(Number(selectedBillForPayment.total_amount) + Number(selectedBillForPayment.fines_applied))}
                   </span>
                 </p>
               </div>
 
               <div className="space-y-3">
-                <h4 className="text-sm font-medium text-gray-700">Choose Payment Method:</h4>
+                <h4 className="text-sm font-medium text-gray-700">{t('bills.chooseMethod')}</h4>
                 
                 {/* Equity M-Pesa Paybill */}
                 <div className="border border-gray-200 rounded-lg p-4 hover:border-green-500 hover:bg-green-50 transition-all cursor-pointer">
                   <div className="flex items-center gap-3">
                     <Smartphone className="w-6 h-6 text-green-600" />
                     <div className="flex-1">
-                      <p className="font-semibold text-gray-900">Equity M-Pesa Paybill</p>
-                      <p className="text-xs text-gray-600 mt-1">Paybill: <span className="font-mono font-semibold">247247</span></p>
-                      <p className="text-xs text-gray-600">Account: <span className="font-mono font-semibold">Your Account Number</span></p>
+                      <p className="font-semibold text-gray-900">{t('bills.mpesa')}</p>
+                      <p className="text-xs text-gray-600 mt-1">{t('bills.paybill')} <span className="font-mono font-semibold">247247</span></p>
+                      <p className="text-xs text-gray-600">{t('bills.account')} <span className="font-mono font-semibold">{t('bills.yourAccountNumber')}</span></p>
                     </div>
                   </div>
                   <div className="mt-3 text-xs text-gray-500 bg-white p-2 rounded">
-                    <p className="font-semibold mb-1">Steps:</p>
+                    <p className="font-semibold mb-1">{t('bills.steps')}</p>
                     <ol className="list-decimal list-inside space-y-1">
-                      <li>Go to M-Pesa menu</li>
-                      <li>Select Lipa na M-Pesa → Paybill</li>
-                      <li>Enter Business No: <span className="font-mono">247247</span></li>
-                      <li>Enter Account: Your account number</li>
-                      <li>Enter Amount: {formatCurrency(Number(selectedBillForPayment.total_amount) + Number(selectedBillForPayment.fines_applied))}</li>
-                      <li>Enter M-Pesa PIN</li>
+                      <li>{t('bills.step1')}</li>
+                      <li>{t('bills.step2')}</li>
+                      <li>{t('bills.step3')} <span className="font-mono">247247</span></li>
+                      <li>{t('bills.step4')}</li>
+                      <li>{t('bills.step5', { amount: formatCurrency(Number(selectedBillForPayment.total_amount) + Number(selectedBillForPayment.fines_applied)) })}</li>
+                      <li>{t('bills.step6')}</li>
                     </ol>
                   </div>
                 </div>
@@ -373,12 +364,12 @@ const CustomerBills: React.FC = () => {
                   <div className="flex items-center gap-3">
                     <CreditCard className="w-6 h-6 text-blue-600" />
                     <div className="flex-1">
-                      <p className="font-semibold text-gray-900">Equity Bank Branch</p>
-                      <p className="text-xs text-gray-600 mt-1">Visit any Equity Bank branch</p>
+                      <p className="font-semibold text-gray-900">{t('bills.branch')}</p>
+                      <p className="text-xs text-gray-600 mt-1">{t('bills.branchHint')}</p>
                     </div>
                   </div>
                   <div className="mt-3 text-xs text-gray-500 bg-white p-2 rounded">
-                    <p>Visit any Equity Bank branch with your account number and make a cash deposit.</p>
+                    <p>{t('bills.branchDetail')}</p>
                   </div>
                 </div>
 
@@ -387,12 +378,12 @@ const CustomerBills: React.FC = () => {
                   <div className="flex items-center gap-3">
                     <CreditCard className="w-6 h-6 text-purple-600" />
                     <div className="flex-1">
-                      <p className="font-semibold text-gray-900">Equity Agent</p>
-                      <p className="text-xs text-gray-600 mt-1">Visit any Equity Bank agent</p>
+                      <p className="font-semibold text-gray-900">{t('bills.agent')}</p>
+                      <p className="text-xs text-gray-600 mt-1">{t('bills.agentHint')}</p>
                     </div>
                   </div>
                   <div className="mt-3 text-xs text-gray-500 bg-white p-2 rounded">
-                    <p>Locate your nearest Equity Bank agent and make payment using your account number.</p>
+                    <p>{t('bills.agentDetail')}</p>
                   </div>
                 </div>
 
@@ -401,12 +392,12 @@ const CustomerBills: React.FC = () => {
                   <div className="flex items-center gap-3">
                     <Smartphone className="w-6 h-6 text-orange-600" />
                     <div className="flex-1">
-                      <p className="font-semibold text-gray-900">Equitel</p>
-                      <p className="text-xs text-gray-600 mt-1">Use your Equitel line</p>
+                      <p className="font-semibold text-gray-900">{t('bills.equitel')}</p>
+                      <p className="text-xs text-gray-600 mt-1">{t('bills.equitelHint')}</p>
                     </div>
                   </div>
                   <div className="mt-3 text-xs text-gray-500 bg-white p-2 rounded">
-                    <p>Dial *247# on your Equitel line and follow the prompts to make payment.</p>
+                    <p>{t('bills.equitelDetail')}</p>
                   </div>
                 </div>
 
@@ -415,19 +406,19 @@ const CustomerBills: React.FC = () => {
                   <div className="flex items-center gap-3">
                     <Smartphone className="w-6 h-6 text-red-600" />
                     <div className="flex-1">
-                      <p className="font-semibold text-gray-900">Equity Mobile App</p>
-                      <p className="text-xs text-gray-600 mt-1">Use Equity Mobile Banking App</p>
+                      <p className="font-semibold text-gray-900">{t('bills.app')}</p>
+                      <p className="text-xs text-gray-600 mt-1">{t('bills.appHint')}</p>
                     </div>
                   </div>
                   <div className="mt-3 text-xs text-gray-500 bg-white p-2 rounded">
-                    <p>Login to your Equity Mobile App, select payments, and enter your account number.</p>
+                    <p>{t('bills.appDetail')}</p>
                   </div>
                 </div>
               </div>
 
               <div className="mt-6 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
                 <p className="text-xs text-yellow-800">
-                  <span className="font-semibold">Note:</span> Your payment will be automatically recorded once confirmed by Equity Bank. This may take a few minutes.
+                  <span className="font-semibold">{t('bills.note')}</span> {t('bills.noteDetail')}
                 </p>
               </div>
 
@@ -436,7 +427,7 @@ const CustomerBills: React.FC = () => {
                   onClick={() => setShowPaymentModal(false)}
                   className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
                 >
-                  Close
+                  {t('common.close')}
                 </button>
               </div>
             </div>
@@ -446,52 +437,52 @@ const CustomerBills: React.FC = () => {
       {showViewModal && selectedBillForView && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 w-full max-w-lg">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Bill Details</h3>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('bills.details')}</h3>
             <div className="space-y-3">
               <div className="flex justify-between">
-                <span className="text-gray-600">Bill Number:</span>
+                <span className="text-gray-600">{t('bills.billNumber')}</span>
                 <span className="font-medium">{selectedBillForView.bill_number}</span>
               </div>
               <div className="flex justify-between">
-                <span className="text-gray-600">Billing Period:</span>
+                <span className="text-gray-600">{t('bills.billingPeriod')}</span>
                 <span className="font-medium">
-                  {new Date(selectedBillForView.billing_period_start).toLocaleDateString('en-US', {
+                  {new Date(selectedBillForView.billing_period_start).toLocaleDateString(locale, {
                     month: 'short',
                     year: 'numeric'
-                  })} - {new Date(selectedBillForView.billing_period_end).toLocaleDateString('en-US', {
+                  })} - {new Date(selectedBillForView.billing_period_end).toLocaleDateString(locale, {
                     month: 'short',
                     year: 'numeric'
                   })}
                 </span>
               </div>
               <div className="flex justify-between">
-                <span className="text-gray-600">Due Date:</span>
-                <span className="font-medium">{new Date(selectedBillForView.due_date).toLocaleDateString()}</span>
+                <span className="text-gray-600">{t('bills.dueDate')}</span>
+                <span className="font-medium">{new Date(selectedBillForView.due_date).toLocaleDateString(locale)}</span>
               </div>
               <div className="flex justify-between">
-                <span className="text-gray-600">Total Amount:</span>
+                <span className="text-gray-600">{t('bills.totalAmount')}</span>
                 <span className="font-medium">KES {Number(selectedBillForView.total_amount).toLocaleString()}</span>
               </div>
               {Number(selectedBillForView.fines_applied) > 0 && (
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Late Fee:</span>
+                  <span className="text-gray-600">{t('bills.lateFee')}</span>
                   <span className="font-medium text-red-600">KES {Number(selectedBillForView.fines_applied).toLocaleString()}</span>
                 </div>
               )}
               <div className="flex justify-between">
-                <span className="text-gray-600">Status:</span>
+                <span className="text-gray-600">{t('bills.status')}</span>
                 <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(getDisplayStatus(selectedBillForView))}`}>
-                  {getDisplayStatus(selectedBillForView).toUpperCase()}
+                  {t(`status.${getDisplayStatus(selectedBillForView)}` as TranslationKey).toUpperCase()}
                 </span>
               </div>
               <div className="flex justify-between">
-                <span className="text-gray-600">Created:</span>
-                <span className="font-medium">{new Date(selectedBillForView.created_at).toLocaleDateString()}</span>
+                <span className="text-gray-600">{t('bills.created')}</span>
+                <span className="font-medium">{new Date(selectedBillForView.created_at).toLocaleDateString(locale)}</span>
               </div>
               {selectedBillForView.paid_at && (
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Paid Date:</span>
-                  <span className="font-medium text-green-600">{new Date(selectedBillForView.paid_at).toLocaleDateString()}</span>
+                  <span className="text-gray-600">{t('bills.paidDate')}</span>
+                  <span className="font-medium text-green-600">{new Date(selectedBillForView.paid_at).toLocaleDateString(locale)}</span>
                 </div>
               )}
             </div>
@@ -500,7 +491,7 @@ const CustomerBills: React.FC = () => {
                 onClick={() => setShowViewModal(false)}
                 className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400"
               >
-                Close
+                {t('common.close')}
               </button>
             </div>
           </div>
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { FileText, Download, Calendar, AlertCircle } from 'lucide-react';
 import { useToast } from '../../context/ToastContext';
+import { useLanguage } from '../../context/useLanguage';
+import { TranslationKey } from '../../i18n';
 import { customerService } from '../../services/customerService';
 
 interface Contribution {
@@ -20,6 +22,7 @@ const CustomerContributions: React.FC = () => {
   const [loading, setLoading] = useState(true);
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const { addToast } = useToast();
+  const { t, locale } = useLanguage();
 
   useEffect(() => {
     fetchContributions();
@@ -30,7 +33,7 @@ const CustomerContributions: React.FC = () => {
       const response = await customerService.getContributions({ year: selectedYear });
       setContributions(response.data.data?.contributions || []);
     } catch (error) {
-      addToast('Failed to fetch contributions', 'error');
+      addToast(t('contributions.loadFailed'), 'error');
     } finally {
       setLoading(false);
     }
@@ -53,8 +56,8 @@ const CustomerContributions: React.FC = () => {
       {/* Header */}
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">My Contributions</h1>
-          <p className="text-gray-600 mt-1">View and manage your monthly contributions</p>
+          <h1 className="text-3xl font-bold text-gray-900">{t('contributions.title')}</h1>
+          <p className="text-gray-600 mt-1">{t('contributions.subtitle')}</p>
         </div>
         <select
           value={selectedYear}
@@ -70,7 +73,7 @@ const CustomerContributions: React.FC = () => {
       {/* Contributions List */}
       <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30">
         <div className="px-6 py-4 border-b border-white/30">
-          <h3 className="text-lg font-semibold text-gray-900">Contributions for {selectedYear}</h3>
+          <h3 className="text-lg font-semibold text-gray-900">{t('contributions.forYear', { year: selectedYear })}</h3>
         </div>
         
         {contributions.length > 0 ? (
@@ -82,17 +85,17 @@ const CustomerContributions: React.FC = () => {
                   <div className="flex items-center justify-between">
                     <div>
                       <h4 className="text-lg font-semibold text-gray-900">
-                        {new Date(contribution.contribution_month).toLocaleDateString('en-US', {
+                        {new Date(contribution.contribution_month).toLocaleDateString(locale, {
                           month: 'long',
                           year: 'numeric'
                         })}
                       </h4>
                       <p className="text-sm text-gray-600">
-                        Due: {new Date(contribution.due_date).toLocaleDateString()}
+                        {t('common.due', { date: new Date(contribution.due_date).toLocaleDateString(locale) })}
                       </p>
                       {contribution.paid_date && (
                         <p className="text-sm text-green-600">
-                          Paid: {new Date(contribution.paid_date).toLocaleDateString()}
+                          {t('common.paidOn', { date: new Date(contribution.paid_date).toLocaleDateString(locale) })}
                         </p>
                       )}
                     </div>
@@ -103,7 +106,7 @@ const CustomerContributions: React.FC = () => {
                           contribution.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                           contribution.status === 'overdue' ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'
                         }`}>
-                          {contribution.status.toUpperCase()}
+                          {t(`status.${contribution.status}` as TranslationKey).toUpperCase()}
                         </span>
                       </div>
                       <p className="text-2xl font-bold text-gray-900">
@@ -111,7 +114,7 @@ const CustomerContributions: React.FC = () => {
                       </p>
                       {contribution.fines_applied > 0 && (
                         <p className="text-sm text-red-600">
-                          (includes {formatCurrency(contribution.fines_applied)} late fee)
+                          {t('common.includesLateFee', { amount: formatCurrency(contribution.fines_applied) })}
                         </p>
                       )}
                     </div>
@@ -123,9 +126,9 @@ const CustomerContributions: React.FC = () => {
         ) : (
           <div className="text-center py-12">
             <FileText className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-sm font-medium text-gray-900">No contributions found</h3>
+            <h3 className="mt-2 text-sm font-medium text-gray-900">{t('contributions.noneFound')}</h3>
             <p className="mt-1 text-sm text-gray-500">
-              No contributions available for {selectedYear}.
+              {t('contributions.noneForYear', { year: selectedYear })}
             </p>
           </div>
         )}
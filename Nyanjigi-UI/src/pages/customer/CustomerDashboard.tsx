@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { Droplets, CreditCard, FileText, AlertCircle, Calendar, TrendingUp } from 'lucide-react';
+import { Droplets, CreditCard, FileText, AlertCircle, Calendar, TrendingUp, Wallet } from 'lucide-react';
 import { customerService } from '../../services/customerService';
 import { useToast } from '../../context/ToastContext';
+import { useLanguage } from '../../context/useLanguage';
+import { TranslationKey } from '../../i18n';
 
 interface DashboardData {
   customer: {
@@ -14,6 +16,8 @@ interface DashboardData {
     status: string;
     connection_date: string;
     current_balance?: number;
+    credit_balance?: number;
+    available_credit?: number;
   };
   recent_bills: Array<{
     id: number;
@@ -32,6 +36,14 @@ interface DashboardData {
     created_at: string;
     status: string;
   }>;
+  credit_applications?: Array<{
+    id: number;
+    allocation_type: string;
+    amount: number;
+    bill_number?: string | null;
+    contribution_month?: string | null;
+    created_at: string;
+  }>;
   usage_stats?: {
     this_month: number;
     last_month: number;
@@ -43,6 +55,7 @@ const CustomerDashboard: React.FC = () => {
   const [dashboardData, setDashboardData] = useState<DashboardData | null>(null);
   const [loading, setLoading] = useState(true);
   const { addToast } = useToast();
+  const { t, locale } = useLanguage();
 
   useEffect(() => {
     fetchDashboardData();
@@ -54,7 +67,7 @@ const CustomerDashboard: React.FC = () => {
       console.log('Dashboard API response data:', response.data.data);
       setDashboardData(response.data.data || response.data);
     } catch {
-      addToast('Failed to fetch dashboard data', 'error');
+      addToast(t('dashboard.loadFailed'), 'error');
     } finally {
       setLoading(false);
     }
@@ -72,13 +85,13 @@ const CustomerDashboard: React.FC = () => {
     return (
       <div className="text-center py-12">
         <AlertCircle className="mx-auto h-12 w-12 text-red-400" />
-        <h3 className="mt-2 text-sm font-medium text-gray-900">Failed to load dashboard</h3>
-        <p className="mt-1 text-sm text-gray-500">Please try refreshing the page.</p>
+        <h3 className="mt-2 text-sm font-medium text-gray-900">{t('dashboard.loadError')}</h3>
+        <p className="mt-1 text-sm text-gray-500">{t('common.tryRefreshing')}</p>
       </div>
     );
   }
 
-  const { customer, recent_bills, recent_payments, usage_stats } = dashboardData;
+  const { customer, recent_bills, recent_payments, usage_stats, credit_applications = [] } = dashboardData;
 
   // Defensive checks for usage_stats and customer.status
   const safeUsageStats = usage_stats || { this_month: 0, last_month: 0, average_monthly: 0 };
@@ -87,12 +100,15 @@ const CustomerDashboard: React.FC = () => {
   // Use current_balance from customer.current_balance or fallback to 0
   const displayCurrentBalance = customer.current_balance ?? 0;
 
+  // Unapplied advance credit, used automatically on the next bill or contribution
+  const availableCredit = Number(customer.available_credit ?? customer.credit_balance ?? 0);
+
   // Defensive date parsing for connection_date
-  let connectionDateStr = 'N/A';
+  let connectionDateStr = t('common.notAvailable');
   if (customer.connection_date) {
     const dateObj = new Date(customer.connection_date);
     if (!isNaN(dateObj.getTime())) {
-      connectionDateStr = dateObj.toLocaleDateString();
+      connectionDateStr = dateObj.toLocaleDateString(locale);
     }
   }
 
@@ -105,9 +121,9 @@ const CustomerDashboard: React.FC = () => {
             <Droplets className="w-8 h-8" />
           </div>
           <div>
-            <h1 className="text-2xl font-bold">Welcome back, {customer.full_name}!</h1>
-            <p className="text-blue-100">Account: {customer.account_number}</p>
-            <p className="text-blue-100">Connected since {connectionDateStr}</p>
+            <h1 className="text-2xl font-bold">{t('dashboard.welcome', { name: customer.full_name })}</h1>
+            <p className="text-blue-100">{t('dashboard.account', { account: customer.account_number })}</p>
+            <p className="text-blue-100">{t('dashboard.connectedSince', { date: connectionDateStr })}</p>
           </div>
         </div>
       </div>
@@ -122,12 +138,12 @@ const CustomerDashboard: React.FC = () => {
               <CreditCard className={`w-6 h-6 ${displayCurrentBalance > 0 ? 'text-red-600' : 'text-green-600'}`} />
             </div>
             <div>
-              <p className="text-sm text-gray-600">Current Balance</p>
+              <p className="text-sm text-gray-600">{t('dashboard.currentBalance')}</p>
               <p className={`text-2xl font-bold ${displayCurrentBalance > 0 ? 'text-red-600' : 'text-green-600'}`}>
                 KES {Math.abs(displayCurrentBalance).toLocaleString()}
               </p>
               <p className="text-xs text-gray-500">
-                {displayCurrentBalance > 0 ? 'Amount Due' : 'Credit Balance'}
+                {displayCurrentBalance > 0 ? t('dashboard.amountDue') : t('dashboard.creditBalance')}
               </p>
             </div>
           </div>
@@ -139,11 +155,11 @@ const CustomerDashboard: React.FC = () => {
               <FileText className="w-6 h-6 text-blue-600" />
             </div>
             <div>
-              <p className="text-sm text-gray-600">Pending Bills</p>
+              <p className="text-sm text-gray-600">{t('dashboard.pendingBills')}</p>
               <p className="text-2xl font-bold text-gray-900">
                 {recent_bills.filter(b => b.status === 'pending').length}
               </p>
-              <p className="text-xs text-gray-500">This month</p>
+              <p className="text-xs text-gray-500">{t('dashboard.thisMonth')}</p>
             </div>
           </div>
         </div>
@@ -154,9 +170,9 @@ const CustomerDashboard: React.FC = () => {
               <TrendingUp className="w-6 h-6 text-green-600" />
             </div>
             <div>
-              <p className="text-sm text-gray-600">This Month Usage</p>
+              <p className="text-sm text-gray-600">{t('dashboard.thisMonthUsage')}</p>
               <p className="text-2xl font-bold text-gray-900">{safeUsageStats.this_month}</p>
-              <p className="text-xs text-gray-500">Cubic meters</p>
+              <p className="text-xs text-gray-500">{t('dashboard.cubicMeters')}</p>
             </div>
           </div>
         </div>
@@ -167,16 +183,53 @@ const CustomerDashboard: React.FC = () => {
               <Calendar className="w-6 h-6 text-purple-600" />
             </div>
             <div>
-              <p className="text-sm text-gray-600">Account Status</p>
+              <p className="text-sm text-gray-600">{t('dashboard.accountStatus')}</p>
               <p className={`text-lg font-bold ${safeCustomerStatus === 'active' ? 'text-green-600' : 'text-red-600'}`}>
-                {safeCustomerStatus.toUpperCase()}
+                {t(`status.${safeCustomerStatus}` as TranslationKey).toUpperCase()}
               </p>
-              <p className="text-xs text-gray-500">Service status</p>
+              <p className="text-xs text-gray-500">{t('dashboard.serviceStatus')}</p>
             </div>
           </div>
         </div>
       </div>
 
+      {/* Advance Credit */}
+      {(availableCredit > 0 || credit_applications.length > 0) && (
+        <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30">
+          <div className="px-6 py-4 border-b border-white/30 flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+              <Wallet className="w-5 h-5" />
+              {t('dashboard.creditBalance')}
+            </h3>
+            <p className="text-2xl font-bold text-green-600">KES {availableCredit.toLocaleString()}</p>
+          </div>
+          <div className="p-6">
+            <p className="text-sm text-gray-600 mb-4">
+              {t('dashboard.creditHint')}
+            </p>
+            {credit_applications.length > 0 && (
+              <div className="space-y-3">
+                {credit_applications.slice(0, 3).map((application) => (
+                  <div key={application.id} className="flex items-center justify-between p-3 bg-white/30 rounded-lg">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {application.allocation_type === 'contribution'
+                          ? t('dashboard.creditContribution', { month: application.contribution_month ? new Date(application.contribution_month).toLocaleDateString(locale, { month: 'long', year: 'numeric' }) : '' })
+                          : t('dashboard.creditBill', { number: application.bill_number ?? '' })}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {new Date(application.created_at).toLocaleDateString(locale)}
+                      </p>
+                    </div>
+                    <p className="font-bold text-green-600">KES {Number(application.amount).toLocaleString()}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Recent Activity */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Recent Bills */}
@@ -184,7 +237,7 @@ const CustomerDashboard: React.FC = () => {
           <div className="px-6 py-4 border-b border-white/30">
             <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
               <FileText className="w-5 h-5" />
-              Recent Bills
+              {t('dashboard.recentBills')}
             </h3>
           </div>
           <div className="p-6">
@@ -194,10 +247,10 @@ const CustomerDashboard: React.FC = () => {
                   <div key={bill.id} className="flex items-center justify-between p-3 bg-white/30 rounded-lg">
                     <div>
                       <p className="font-medium text-gray-900">
-                        {bill.bill_number ? bill.bill_number : (bill.billing_period_start && bill.billing_period_end) ? `${new Date(bill.billing_period_start).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })} - ${new Date(bill.billing_period_end).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}` : 'N/A'}
+                        {bill.bill_number ? bill.bill_number : (bill.billing_period_start && bill.billing_period_end) ? `${new Date(bill.billing_period_start).toLocaleDateString(locale, { month: 'long', year: 'numeric' })} - ${new Date(bill.billing_period_end).toLocaleDateString(locale, { month: 'long', year: 'numeric' })}` : t('common.notAvailable')}
                       </p>
                       <p className="text-sm text-gray-600">
-                        Due: {bill.due_date ? new Date(bill.due_date).toLocaleDateString() : 'N/A'}
+                        {t('common.due', { date: bill.due_date ? new Date(bill.due_date).toLocaleDateString(locale) : t('common.notAvailable') })}
                       </p>
                     </div>
                     <div className="text-right">
@@ -207,14 +260,14 @@ const CustomerDashboard: React.FC = () => {
                         bill.status === 'overdue' ? 'bg-red-100 text-red-800' :
                         'bg-yellow-100 text-yellow-800'
                       }`}>
-                        {bill.status}
+                        {t(`status.${bill.status}` as TranslationKey)}
                       </span>
                     </div>
                   </div>
                 ))}
               </div>
             ) : (
-              <p className="text-gray-500 text-center py-4">No recent bills</p>
+              <p className="text-gray-500 text-center py-4">{t('dashboard.noRecentBills')}</p>
             )}
           </div>
         </div>
@@ -224,7 +277,7 @@ const CustomerDashboard: React.FC = () => {
           <div className="px-6 py-4 border-b border-white/30">
             <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
               <CreditCard className="w-5 h-5" />
-              Recent Payments
+              {t('dashboard.recentPayments')}
             </h3>
           </div>
           <div className="p-6">
@@ -234,13 +287,13 @@ const CustomerDashboard: React.FC = () => {
                   <div key={payment.id} className="flex items-center justify-between p-3 bg-white/30 rounded-lg">
                     <div>
                       <p className="font-medium text-gray-900">
-                        {payment.payment_method ? payment.payment_method.replace('_', ' ').toUpperCase() : 'N/A'}
+                        {payment.payment_method ? t(`method.${payment.payment_method}` as TranslationKey) : t('common.notAvailable')}
                       </p>
                       <p className="text-sm text-gray-600 font-mono">
-                        {payment.transaction_id ?? 'N/A'}
+                        {payment.transaction_id ?? t('common.notAvailable')}
                       </p>
                       <p className="text-sm text-gray-600">
-                        {payment.created_at ? new Date(payment.created_at).toLocaleDateString() : 'N/A'}
+                        {payment.created_at ? new Date(payment.created_at).toLocaleDateString(locale) : t('common.notAvailable')}
                       </p>
                     </div>
                     <div className="text-right">
@@ -250,14 +303,14 @@ const CustomerDashboard: React.FC = () => {
                         payment.status === 'failed' ? 'bg-red-100 text-red-800' :
                         'bg-yellow-100 text-yellow-800'
                       }`}>
-                        {payment.status}
+                        {t(`status.${payment.status}` as TranslationKey)}
                       </span>
                     </div>
                   </div>
                 ))}
               </div>
             ) : (
-              <p className="text-gray-500 text-center py-4">No recent payments</p>
+              <p className="text-gray-500 text-center py-4">{t('dashboard.noRecentPayments')}</p>
             )}
           </div>
         </div>
@@ -268,26 +321,26 @@ const CustomerDashboard: React.FC = () => {
         <div className="px-6 py-4 border-b border-white/30">
           <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
             <TrendingUp className="w-5 h-5" />
-            Water Usage Trend
+            {t('dashboard.usageTrend')}
           </h3>
         </div>
         <div className="p-6">
           <div className="grid grid-cols-3 gap-6 mb-6">
             <div className="text-center">
               <p className="text-2xl font-bold text-blue-600">{safeUsageStats.this_month}</p>
-              <p className="text-sm text-gray-600">This Month</p>
+              <p className="text-sm text-gray-600">{t('dashboard.usageThisMonth')}</p>
             </div>
             <div className="text-center">
               <p className="text-2xl font-bold text-gray-600">{safeUsageStats.last_month}</p>
-              <p className="text-sm text-gray-600">Last Month</p>
+              <p className="text-sm text-gray-600">{t('dashboard.usageLastMonth')}</p>
             </div>
             <div className="text-center">
               <p className="text-2xl font-bold text-green-600">{safeUsageStats.average_monthly}</p>
-              <p className="text-sm text-gray-600">Monthly Average</p>
+              <p className="text-sm text-gray-600">{t('dashboard.usageAverage')}</p>
             </div>
           </div>
           <div className="h-32 bg-gradient-to-r from-blue-100 to-cyan-100 rounded-lg flex items-center justify-center">
-            <p className="text-gray-600">Usage chart will be displayed here</p>
+            <p className="text-gray-600">{t('dashboard.usageChart')}</p>
           </div>
         </div>
       </div>
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { FileText } from 'lucide-react';
 import { useToast } from '../../context/ToastContext';
+import { useLanguage } from '../../context/useLanguage';
+import { TranslationKey } from '../../i18n';
 import { customerService } from '../../services/customerService';
 
 interface Fine {
@@ -23,6 +25,7 @@ const CustomerFines: React.FC = () => {
   const [fines, setFines] = useState<Fine[]>([]);
   const [loading, setLoading] = useState(true);
   const { addToast } = useToast();
+  const { t, locale } = useLanguage();
 
   useEffect(() => {
     fetchFines();
@@ -34,7 +37,7 @@ const CustomerFines: React.FC = () => {
       setFines(response?.data?.data || []);
     } catch (error) {
       console.error('Error fetching fines:', error);
-      addToast('Failed to fetch fines', 'error');
+      addToast(t('fines.loadFailed'), 'error');
     } finally {
       setLoading(false);
     }
@@ -58,15 +61,15 @@ const CustomerFines: React.FC = () => {
       {/* Header */}
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">My Fines</h1>
-          <p className="text-gray-600 mt-1">View and manage your fines</p>
+          <h1 className="text-3xl font-bold text-gray-900">{t('fines.title')}</h1>
+          <p className="text-gray-600 mt-1">{t('fines.subtitle')}</p>
         </div>
       </div>
 
       {/* Fines List */}
       <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30">
         <div className="px-6 py-4 border-b border-white/30">
-          <h3 className="text-lg font-semibold text-gray-900">Fines</h3>
+          <h3 className="text-lg font-semibold text-gray-900">{t('fines.heading')}</h3>
         </div>
         
         {fines.length > 0 ? (
@@ -76,13 +79,13 @@ const CustomerFines: React.FC = () => {
                 <div className="flex items-center justify-between">
                   <div>
                     <h4 className="text-lg font-semibold text-gray-900">
-                      Fine: {fine.fine_name}
+                      {t('fines.fine', { name: fine.fine_name })}
                     </h4>
                     <p className="text-sm text-gray-600">
-                      Reason: {fine.reason}
+                      {t('fines.reason', { reason: fine.reason })}
                     </p>
                     <p className="text-sm text-gray-600">
-                      Applied: {new Date(fine.applied_date).toLocaleDateString()}
+                      {t('fines.applied', { date: new Date(fine.applied_date).toLocaleDateString(locale) })}
                     </p>
                   </div>
                   <div className="text-right">
@@ -91,7 +94,7 @@ const CustomerFines: React.FC = () => {
                       fine.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                       fine.status === 'waived' ? 'bg-gray-100 text-gray-800' : 'bg-gray-100 text-gray-800'
                     }`}>
-                      {fine.status.toUpperCase()}
+                      {t(`status.${fine.status}` as TranslationKey).toUpperCase()}
                     </span>
                     <p className="text-2xl font-bold text-gray-900 mt-2">
                       {formatCurrency(fine.amount)}
@@ -104,9 +107,9 @@ const CustomerFines: React.FC = () => {
         ) : (
           <div className="text-center py-12">
             <FileText className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-sm font-medium text-gray-900">No fines found</h3>
+            <h3 className="mt-2 text-sm font-medium text-gray-900">{t('fines.noneFound')}</h3>
             <p className="mt-1 text-sm text-gray-500">
-              You have no fines at this time.
+              {t('fines.noneDetail')}
             </p>
           </div>
         )}
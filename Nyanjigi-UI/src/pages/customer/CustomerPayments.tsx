@@ -1,14 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { CreditCard, Smartphone, CheckCircle, Clock, XCircle, Search, Filter, Download } from 'lucide-react';
+import { CreditCard, Smartphone, CheckCircle, Clock, XCircle, Search, Filter, Download, FileText } from 'lucide-react';
 import { customerService } from '../../services/customerService';
 import { useToast } from '../../context/ToastContext';
+import { useLanguage } from '../../context/useLanguage';
+import { TranslationKey } from '../../i18n';
 
 interface Payment {
   id: number;
   amount: string; 
   payment_method: string; 
   transaction_id: string;
-  status: 'pending' | 'completed' | 'failed' | 'cancelled';
+  status: 'pending' | 'completed' | 'failed' | 'reversed' | 'cancelled';
+  receipt_number?: string | null;
   created_at: string;
   completed_at?: string;
   bill_id?: number;
@@ -22,7 +25,11 @@ const CustomerPayments: React.FC = () => {
   const [statusFilter, setStatusFilter] = useState('all');
   const [methodFilter, setMethodFilter] = useState('all');
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
+  const [statementFrom, setStatementFrom] = useState(`${new Date().getFullYear()}-01-01`);
+  const [statementTo, setStatementTo] = useState(new Date().toISOString().split('T')[0]);
+  const [downloadingStatement, setDownloadingStatement] = useState(false);
   const { addToast } = useToast();
+  const { t, locale } = useLanguage();
 
   useEffect(() => {
     fetchPayments();
@@ -33,12 +40,51 @@ const CustomerPayments: React.FC = () => {
       const response = await customerService.getPayments({ year: selectedYear });
       setPayments(response.data.data?.payments || response.data.data || []);
     } catch (error) {
-      addToast('Failed to fetch payments', 'error');
+      addToast(t('payments.loadFailed'), 'error');
     } finally {
       setLoading(false);
     }
   };
 
+  const downloadReceipt = async (payment: Payment) => {
+    try {
+      const response = await customerService.downloadReceipt(payment.id);
+
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `receipt-${payment.receipt_number || payment.transaction_id}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode?.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch {
+      addToast(t('payments.receiptFailed'), 'error');
+    }
+  };
+
+  const downloadStatement = async (format: 'csv' | 'pdf') => {
+    setDownloadingStatement(true);
+    try {
+      const response = await customerService.downloadStatement({ from: statementFrom, to: statementTo, format });
+
+      const blob = new Blob([response.data], { type: format === 'pdf' ? 'application/pdf' : 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `statement-${statementFrom}-${statementTo}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode?.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch {
+      addToast(t('payments.statementFailed'), 'error');
+    } finally {
+      setDownloadingStatement(false);
+    }
+  };
+
   const getStatusIcon = (status: string) => {
     switch (status) {
       case 'completed': return <CheckCircle className="w-5 h-5 text-green-600" />;
@@ -102,8 +148,8 @@ const CustomerPayments: React.FC = () => {
       {/* Header */}
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">My Payments</h1>
-          <p className="text-gray-600 mt-1">Track your payment history</p>
+          <h1 className="text-3xl font-bold text-gray-900">{t('payments.title')}</h1>
+          <p className="text-gray-600 mt-1">{t('payments.subtitle')}</p>
         </div>
         <select
           value={selectedYear}
@@ -122,7 +168,7 @@ const CustomerPayments: React.FC = () => {
           <div className="flex items-center gap-3">
             <CreditCard className="w-8 h-8 text-blue-600" />
             <div>
-              <p className="text-sm text-gray-600">Total Payments</p>
+              <p className="text-sm text-gray-600">{t('payments.total')}</p>
               <p className="text-2xl font-bold text-gray-900">{payments.length}</p>
             </div>
           </div>
@@ -131,7 +177,7 @@ const CustomerPayments: React.FC = () => {
           <div className="flex items-center gap-3">
             <CheckCircle className="w-8 h-8 text-green-600" />
             <div>
-              <p className="text-sm text-gray-600">Completed</p>
+              <p className="text-sm text-gray-600">{t('status.completed')}</p>
               <p className="text-2xl font-bold text-green-600">KES {completedAmount.toLocaleString()}</p>
             </div>
           </div>
@@ -140,7 +186,7 @@ const CustomerPayments: React.FC = () => {
           <div className="flex items-center gap-3">
             <Clock className="w-8 h-8 text-yellow-600" />
             <div>
-              <p className="text-sm text-gray-600">Pending</p>
+              <p className="text-sm text-gray-600">{t('status.pending')}</p>
               <p className="text-2xl font-bold text-yellow-600">KES {pendingAmount.toLocaleString()}</p>
             </div>
           </div>
@@ -149,7 +195,7 @@ const CustomerPayments: React.FC = () => {
           <div className="flex items-center gap-3">
             <Smartphone className="w-8 h-8 text-green-600" />
             <div>
-              <p className="text-sm text-gray-600">M-Pesa Payments</p>
+              <p className="text-sm text-gray-600">{t('payments.mpesaCount')}</p>
               <p className="text-2xl font-bold text-gray-900">
                 {payments.filter(p => p.payment_method === 'mpesa').length}
               </p>
@@ -158,6 +204,57 @@ const CustomerPayments: React.FC = () => {
         </div>
       </div>
 
+      {/* Account Statement */}
+      <div className="bg-white/20 backdrop-blur-sm rounded-lg p-4 border border-white/30">
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex items-center gap-3 md:flex-1">
+            <FileText className="w-6 h-6 text-blue-600" />
+            <div>
+              <p className="font-semibold text-gray-900">{t('payments.statement')}</p>
+              <p className="text-sm text-gray-600">{t('payments.statementHint')}</p>
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">{t('payments.from')}</label>
+            <input
+              type="date"
+              value={statementFrom}
+              max={statementTo}
+              onChange={(e) => setStatementFrom(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">{t('payments.to')}</label>
+            <input
+              type="date"
+              value={statementTo}
+              min={statementFrom}
+              onChange={(e) => setStatementTo(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => downloadStatement('pdf')}
+              disabled={downloadingStatement}
+              className="flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              PDF
+            </button>
+            <button
+              onClick={() => downloadStatement('csv')}
+              disabled={downloadingStatement}
+              className="flex items-center gap-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              CSV
+            </button>
+          </div>
+        </div>
+      </div>
+
       {/* Filters */}
       <div className="bg-white/20 backdrop-blur-sm rounded-lg p-4 border border-white/30">
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -165,7 +262,7 @@ const CustomerPayments: React.FC = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
             <input
               type="text"
-              placeholder="Search payments..."
+              placeholder={t('payments.search')}
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -176,22 +273,25 @@ const CustomerPayments: React.FC = () => {
             onChange={(e) => setStatusFilter(e.target.value)}
             className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
-            <option value="all">All Status</option>
-            <option value="completed">Completed</option>
-            <option value="pending">Pending</option>
-            <option value="failed">Failed</option>
-            <option value="cancelled">Cancelled</option>
+            <option value="all">{t('payments.allStatus')}</option>
+            <option value="completed">{t('status.completed')}</option>
+            <option value="pending">{t('status.pending')}</option>
+            <option value="failed">{t('status.failed')}</option>
+            <option value="cancelled">{t('status.cancelled')}</option>
           </select>
             <select
               value={methodFilter}
               onChange={(e) => setMethodFilter(e.target.value)}
               className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
-              <option value="all">All Methods</option>
-              <option value="equity_mpesa">Equity M-Pesa</option>
-              <option value="equity_branch">Equity Branch</option>
-              <option value="equity_agent">Equity Agent</option>
-              <option value="equity_equitel">Equitel</option>
+              <option value="all">{t('payments.allMethods')}</option>
+              <option value="equity_mpesa">{t('method.equity_mpesa')}</option>
+              <option value="equity_branch">{t('method.equity_branch')}</option>
+              <option value="equity_agent">{t('method.equity_agent')}</option>
+              <option value="equity_equitel">{t('method.equity_equitel')}</option>
+              <option value="cash">{t('method.cash')}</option>
+              <option value="cheque">{t('method.cheque')}</option>
+              <option value="bank_transfer">{t('method.bank_transfer')}</option>
             </select>
         </div>
       </div>
@@ -199,10 +299,10 @@ const CustomerPayments: React.FC = () => {
       {/* Payments List */}
       <div className="bg-white/20 backdrop-blur-sm rounded-lg border border-white/30">
         <div className="px-6 py-4 border-b border-white/30 flex justify-between items-center">
-          <h3 className="text-lg font-semibold text-gray-900">Payment History for {selectedYear}</h3>
+          <h3 className="text-lg font-semibold text-gray-900">{t('payments.historyFor', { year: selectedYear })}</h3>
           <button className="text-blue-600 hover:text-blue-800 flex items-center gap-2">
             <Download className="w-4 h-4" />
-            Export
+            {t('payments.export')}
           </button>
         </div>
         
@@ -217,25 +317,27 @@ const CustomerPayments: React.FC = () => {
                     </div>
                     <div>
                       <h4 className="text-lg font-semibold text-gray-900">
-                        {payment.payment_method.replace('_', ' ').toUpperCase()} Payment
+                        {t('payments.methodPayment', { method: t(`method.${payment.payment_method}` as TranslationKey) })}
                       </h4>
                       <p className="text-sm text-gray-600 font-mono">
                         {payment.transaction_id}
                       </p>
                       {payment.bill_month && (
                         <p className="text-sm text-gray-600">
-                          For: {new Date(payment.bill_month).toLocaleDateString('en-US', { 
-                            month: 'long', 
-                            year: 'numeric' 
+                          {t('payments.forMonth', {
+                            month: new Date(payment.bill_month).toLocaleDateString(locale, { month: 'long', year: 'numeric' })
                           })}
                         </p>
                       )}
                       <p className="text-sm text-gray-600">
-                        {new Date(payment.created_at).toLocaleDateString()} at {new Date(payment.created_at).toLocaleTimeString()}
+                        {t('payments.dateAt', {
+                          date: new Date(payment.created_at).toLocaleDateString(locale),
+                          time: new Date(payment.created_at).toLocaleTimeString(locale)
+                        })}
                       </p>
                       {payment.completed_at && (
                         <p className="text-sm text-green-600">
-                          Completed: {new Date(payment.completed_at).toLocaleDateString()}
+                          {t('payments.completedOn', { date: new Date(payment.completed_at).toLocaleDateString(locale) })}
                         </p>
                       )}
                     </div>
@@ -245,7 +347,7 @@ const CustomerPayments: React.FC = () => {
                     <div className="flex items-center gap-3 mb-2">
                       {getStatusIcon(payment.status)}
                       <span className={`inline-flex px-3 py-1 text-sm font-semibold rounded-full ${getStatusColor(payment.status)}`}>
-                        {payment.status.toUpperCase()}
+                        {t(`status.${payment.status}` as TranslationKey).toUpperCase()}
                       </span>
                     </div>
                     <p className="text-2xl font-bold text-gray-900">
@@ -255,13 +357,18 @@ const CustomerPayments: React.FC = () => {
                 </div>
                 
                 <div className="mt-4 flex items-center gap-3">
-                  {/* <button className="flex items-center gap-2 px-3 py-1 text-sm text-blue-600 hover:text-blue-800 transition-colors">
-                    <Download className="w-4 h-4" />
-                    Receipt
-                  </button> */}
+                  {(payment.status === 'completed' || payment.status === 'reversed') && (
+                    <button
+                      onClick={() => downloadReceipt(payment)}
+                      className="flex items-center gap-2 px-3 py-1 text-sm text-blue-600 hover:text-blue-800 transition-colors"
+                    >
+                      <Download className="w-4 h-4" />
+                      {t('payments.receipt')}
+                    </button>
+                  )}
                   {payment.status === 'failed' && (
                     <button className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors">
-                      Retry Payment
+                      {t('payments.retry')}
                     </button>
                   )}
                 </div>
@@ -271,11 +378,11 @@ const CustomerPayments: React.FC = () => {
         ) : (
           <div className="text-center py-12">
             <CreditCard className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-sm font-medium text-gray-900">No payments found</h3>
+            <h3 className="mt-2 text-sm font-medium text-gray-900">{t('payments.noneFound')}</h3>
             <p className="mt-1 text-sm text-gray-500">
               {searchTerm || statusFilter !== 'all' || methodFilter !== 'all' 
-                ? 'Try adjusting your filters.' 
-                : `No payments made in ${selectedYear}.`}
+                ? t('payments.adjustFilters')
+                : t('payments.noneInYear', { year: selectedYear })}
             </p>
           </div>
         )}
@@ -1,7 +1,12 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
 import React, { useState, useEffect } from 'react';
-import { User, Mail, Phone, MapPin, Calendar, Key, Save, Edit } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { User, Mail, Phone, MapPin, Calendar, Key, Save, Edit, Bell, MonitorSmartphone } from 'lucide-react';
 import { customerService } from '../../services/customerService';
 import { useToast } from '../../context/ToastContext';
+import { useAuth } from '../../context/useAuth';
+import { useLanguage } from '../../context/useLanguage';
+import { TranslationKey } from '../../i18n';
 
 interface CustomerProfile {
   id: number;
@@ -16,18 +21,41 @@ interface CustomerProfile {
   created_at: string;
 }
 
+interface NotificationPreferences {
+  channel: 'sms' | 'email' | 'both';
+  quiet_hours_start: string | null;
+  quiet_hours_end: string | null;
+  marketing_opt_out: boolean;
+  announcements_opt_out: boolean;
+  sms_opt_out: boolean;
+  mandatory_notifications: string[];
+}
+
+// Notices sent whatever the preferences, as customers see them
+const MANDATORY_LABELS: Record<string, TranslationKey> = {
+  payment_received: 'profile.mandatory.payment_received',
+  payment_reversed: 'profile.mandatory.payment_reversed',
+  fine_applied: 'profile.mandatory.fine_applied',
+  password_notification: 'profile.mandatory.password_notification'
+};
+
 const CustomerProfile: React.FC = () => {
   const [profile, setProfile] = useState<CustomerProfile | null>(null);
   const [loading, setLoading] = useState(true);
   const [editing, setEditing] = useState(false);
   const [saving, setSaving] = useState(false);
   const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+  const [savingPreferences, setSavingPreferences] = useState(false);
   const [passwordData, setPasswordData] = useState({
     current_password: '',
     new_password: '',
     confirm_password: ''
   });
   const { addToast } = useToast();
+  const { t, locale } = useLanguage();
+  const { logoutAllDevices } = useAuth();
+  const navigate = useNavigate();
 
   useEffect(() => {
     fetchProfile();
@@ -35,10 +63,14 @@ const CustomerProfile: React.FC = () => {
 
   const fetchProfile = async () => {
     try {
-      const response = await customerService.getProfile();
+      const [response, preferencesResponse] = await Promise.all([
+        customerService.getProfile(),
+        customerService.getNotificationPreferences()
+      ]);
       setProfile(response.data.data?.customer || response.data.data || response.data);
+      setPreferences(preferencesResponse.data.data);
     } catch (error) {
-      addToast('Failed to fetch profile', 'error');
+      addToast(t('profile.loadFailed'), 'error');
     } finally {
       setLoading(false);
     }
@@ -56,17 +88,30 @@ const CustomerProfile: React.FC = () => {
         location: profile.location
       });
       setEditing(false);
-      addToast('Profile updated successfully', 'success');
+      addToast(t('profile.updated'), 'success');
     } catch (error) {
-      addToast('Failed to update profile', 'error');
+      addToast(t('profile.updateFailed'), 'error');
     } finally {
       setSaving(false);
     }
   };
 
+  const handleLogoutAll = async () => {
+    if (!window.confirm(t('profile.logoutAllConfirm'))) {
+      return;
+    }
+    try {
+      await logoutAllDevices();
+      addToast(t('profile.logoutAllDone'), 'success');
+      navigate('/');
+    } catch {
+      addToast(t('profile.logoutAllFailed'), 'error');
+    }
+  };
+
   const changePassword = async () => {
     if (passwordData.new_password !== passwordData.confirm_password) {
-      addToast('New passwords do not match', 'error');
+      addToast(t('profile.passwordMismatch'), 'error');
       return;
     }
 
@@ -77,9 +122,42 @@ const CustomerProfile: React.FC = () => {
       });
       setShowPasswordModal(false);
       setPasswordData({ current_password: '', new_password: '', confirm_password: '' });
-      addToast('Password changed successfully', 'success');
+      addToast(t('profile.passwordChanged'), 'success');
     } catch (error) {
-      addToast('Failed to change password', 'error');
+      addToast(t('profile.passwordFailed'), 'error');
+    }
+  };
+
+  const updatePreferences = async () => {
+    if (!preferences) return;
+
+    if (Boolean(preferences.quiet_hours_start) !== Boolean(preferences.quiet_hours_end)) {
+      addToast(t('profile.quietHoursBoth'), 'error');
+      return;
+    }
+
+    try {
+      setSavingPreferences(true);
+      const response = await customerService.updateNotificationPreferences({
+        channel: preferences.channel,
+        quiet_hours_start: preferences.quiet_hours_start || null,
+        quiet_hours_end: preferences.quiet_hours_end || null,
+        marketing_opt_out: preferences.marketing_opt_out,
+        announcements_opt_out: preferences.announcements_opt_out,
+        sms_opt_out: preferences.sms_opt_out
+      });
+      setPreferences(response.data.data);
+      addToast(t('profile.preferencesSaved'), 'success');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || t('profile.preferencesFailed'), 'error');
+    } finally {
+      setSavingPreferences(false);
+    }
+  };
+
+  const handlePreferenceChange = <K extends keyof NotificationPreferences>(field: K, value: NotificationPreferences[K]) => {
+    if (preferences) {
+      setPreferences({ ...preferences, [field]: value });
     }
   };
 
@@ -101,8 +179,8 @@ const CustomerProfile: React.FC = () => {
     return (
       <div className="text-center py-12">
         <User className="mx-auto h-12 w-12 text-gray-400" />
-        <h3 className="mt-2 text-sm font-medium text-gray-900">Failed to load profile</h3>
-        <p className="mt-1 text-sm text-gray-500">Please try refreshing the page.</p>
+        <h3 className="mt-2 text-sm font-medium text-gray-900">{t('profile.loadError')}</h3>
+        <p className="mt-1 text-sm text-gray-500">{t('common.tryRefreshing')}</p>
       </div>
     );
   }
@@ -112,8 +190,8 @@ const CustomerProfile: React.FC = () => {
       {/* Header */}
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">My Profile</h1>
-          <p className="text-gray-600 mt-1">Manage your account information</p>
+          <h1 className="text-3xl font-bold text-gray-900">{t('profile.title')}</h1>
+          <p className="text-gray-600 mt-1">{t('profile.subtitle')}</p>
         </div>
           <div className="flex items-center gap-3">
           {editing ? (
@@ -122,7 +200,7 @@ const CustomerProfile: React.FC = () => {
                 onClick={() => setEditing(false)}
                 className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
               >
-                Cancel
+                {t('common.cancel')}
               </button>
               <button
                 onClick={updateProfile}
@@ -130,7 +208,7 @@ const CustomerProfile: React.FC = () => {
                 className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
               >
                 <Save className="w-4 h-4" />
-                {saving ? 'Saving...' : 'Save Changes'}
+                {saving ? t('common.saving') : t('profile.saveChanges')}
               </button>
             </>
           ) : (
@@ -140,13 +218,13 @@ const CustomerProfile: React.FC = () => {
                 className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
               >
                 <Edit className="w-4 h-4" />
-                Edit Profile
+                {t('profile.edit')}
               </button>
               <button
                 onClick={() => window.location.href = '/customer/contributions'}
                 className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
               >
-                Contributions
+                {t('nav.contributions')}
               </button>
             </>
           )}
@@ -168,10 +246,10 @@ const CustomerProfile: React.FC = () => {
                 <span className={`inline-flex px-3 py-1 text-sm font-semibold rounded-full ${
                   profile.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
                 }`}>
-                  {profile.status?.toUpperCase() || 'ACTIVE'}
+                  {t(profile.status === 'inactive' ? 'status.inactive' : 'status.active').toUpperCase()}
                 </span>
                 <span className="text-blue-100 text-sm">
-                  Member since {new Date(profile.connection_date).toLocaleDateString()}
+                  {t('profile.memberSince', { date: new Date(profile.connection_date).toLocaleDateString(locale) })}
                 </span>
               </div>
             </div>
@@ -185,7 +263,7 @@ const CustomerProfile: React.FC = () => {
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   <Mail className="w-4 h-4 inline mr-2" />
-                  Email Address
+                  {t('profile.email')}
                 </label>
                 {editing ? (
                   <input
@@ -202,7 +280,7 @@ const CustomerProfile: React.FC = () => {
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   <Phone className="w-4 h-4 inline mr-2" />
-                  Phone Number
+                  {t('profile.phone')}
                 </label>
                 {editing ? (
                   <input
@@ -221,7 +299,7 @@ const CustomerProfile: React.FC = () => {
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   <User className="w-4 h-4 inline mr-2" />
-                  Full Name
+                  {t('profile.fullName')}
                 </label>
                 {editing ? (
                   <input
@@ -238,7 +316,7 @@ const CustomerProfile: React.FC = () => {
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   <MapPin className="w-4 h-4 inline mr-2" />
-                  Location
+                  {t('profile.location')}
                 </label>
                 {editing ? (
                   <input
@@ -253,7 +331,7 @@ const CustomerProfile: React.FC = () => {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Zone
+                  {t('profile.zone')}
                 </label>
                 <p className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg">{profile.zone}</p>
               </div>
@@ -262,20 +340,20 @@ const CustomerProfile: React.FC = () => {
 
           {/* Account Information */}
           <div className="mt-8 pt-6 border-t border-gray-200">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Account Information</h3>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('profile.accountInfo')}</h3>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   <Calendar className="w-4 h-4 inline mr-2" />
-                  Connection Date
+                  {t('profile.connectionDate')}
                 </label>
                 <p className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg">
-                  {new Date(profile.connection_date).toLocaleDateString()}
+                  {new Date(profile.connection_date).toLocaleDateString(locale)}
                 </p>
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Account Number
+                  {t('profile.accountNumber')}
                 </label>
                 <p className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg font-mono">
                   {profile.account_number}
@@ -286,15 +364,114 @@ const CustomerProfile: React.FC = () => {
 
           {/* Security Section */}
           <div className="mt-8 pt-6 border-t border-gray-200">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Security</h3>
-            <button
-              onClick={() => setShowPasswordModal(true)}
-              className="flex items-center gap-2 px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
-            >
-              <Key className="w-4 h-4" />
-              Change Password
-            </button>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('profile.security')}</h3>
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={() => setShowPasswordModal(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
+              >
+                <Key className="w-4 h-4" />
+                {t('profile.changePassword')}
+              </button>
+              <button
+                onClick={handleLogoutAll}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 hover:bg-gray-50 rounded-lg transition-colors"
+              >
+                <MonitorSmartphone className="w-4 h-4" />
+                {t('profile.logoutAll')}
+              </button>
+            </div>
           </div>
+
+          {/* Notification Preferences */}
+          {preferences && (
+            <div className="mt-8 pt-6 border-t border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1 flex items-center gap-2">
+                <Bell className="w-5 h-5" />
+                {t('profile.notifications')}
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                {t('profile.alwaysSent', {
+                  types: preferences.mandatory_notifications
+                    .filter(type => MANDATORY_LABELS[type])
+                    .map(type => t(MANDATORY_LABELS[type]))
+                    .join(', ')
+                })}
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.sendBy')}</label>
+                  <select
+                    value={preferences.channel}
+                    onChange={(e) => handlePreferenceChange('channel', e.target.value as NotificationPreferences['channel'])}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="both">{t('profile.channel.both')}</option>
+                    <option value="sms">{t('profile.channel.sms')}</option>
+                    <option value="email" disabled={!profile.email}>{t('profile.channel.email')}</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.quietHours')}</label>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="time"
+                      value={preferences.quiet_hours_start || ''}
+                      onChange={(e) => handlePreferenceChange('quiet_hours_start', e.target.value || null)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <span className="text-gray-500">{t('profile.quietHoursTo')}</span>
+                    <input
+                      type="time"
+                      value={preferences.quiet_hours_end || ''}
+                      onChange={(e) => handlePreferenceChange('quiet_hours_end', e.target.value || null)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">{t('profile.quietHoursHint')}</p>
+                </div>
+                <div className="space-y-3">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!preferences.announcements_opt_out}
+                      onChange={(e) => handlePreferenceChange('announcements_opt_out', !e.target.checked)}
+                      className="rounded border-gray-300"
+                    />
+                    {t('profile.announcements')}
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!preferences.marketing_opt_out}
+                      onChange={(e) => handlePreferenceChange('marketing_opt_out', !e.target.checked)}
+                      className="rounded border-gray-300"
+                    />
+                    {t('profile.marketing')}
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!preferences.sms_opt_out}
+                      onChange={(e) => handlePreferenceChange('sms_opt_out', !e.target.checked)}
+                      className="rounded border-gray-300"
+                    />
+                    {t('profile.smsReminders')}
+                  </label>
+                </div>
+              </div>
+
+              <button
+                onClick={updatePreferences}
+                disabled={savingPreferences}
+                className="mt-6 flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white rounded-lg transition-colors"
+              >
+                <Save className="w-4 h-4" />
+                {savingPreferences ? t('common.saving') : t('profile.savePreferences')}
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -302,11 +479,11 @@ const CustomerProfile: React.FC = () => {
       {showPasswordModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 w-full max-w-md">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Change Password</h3>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('profile.changePassword')}</h3>
             <div className="space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Current Password
+                  {t('profile.currentPassword')}
                 </label>
                 <input
                   type="password"
@@ -317,7 +494,7 @@ const CustomerProfile: React.FC = () => {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  New Password
+                  {t('profile.newPassword')}
                 </label>
                 <input
                   type="password"
@@ -328,7 +505,7 @@ const CustomerProfile: React.FC = () => {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Confirm New Password
+                  {t('profile.confirmPassword')}
                 </label>
                 <input
                   type="password"
@@ -343,13 +520,13 @@ const CustomerProfile: React.FC = () => {
                 onClick={() => setShowPasswordModal(false)}
                 className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
               >
-                Cancel
+                {t('common.cancel')}
               </button>
               <button
                 onClick={changePassword}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
               >
-                Change Password
+                {t('profile.changePassword')}
               </button>
             </div>
           </div>
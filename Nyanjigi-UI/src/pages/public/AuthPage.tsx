@@ -1,9 +1,18 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Link, useNavigate } from 'react-router-dom';
-import { Droplets, Eye, EyeOff, User, Shield } from 'lucide-react';
-import { useAuth } from '../../context/AuthContext';
+import { Droplets, Eye, EyeOff, User, Shield, Smartphone, KeyRound, MessageSquare, ArrowLeft } from 'lucide-react';
+import { useAuth, TwoFactorChallenge, TwoFactorMethod } from '../../context/useAuth';
 import { useToast } from '../../context/ToastContext';
+import { authService } from '../../services/authService';
+import BackupCodes from '../../components/common/BackupCodes';
+
+const twoFactorMethods: { id: TwoFactorMethod; label: string; icon: typeof Smartphone }[] = [
+  { id: 'totp', label: 'Authenticator', icon: Smartphone },
+  { id: 'backup_code', label: 'Backup code', icon: KeyRound },
+  { id: 'sms', label: 'SMS', icon: MessageSquare }
+];
 
 const AuthPage: React.FC = () => {
   const [activeTab, setActiveTab] = useState<'customer' | 'admin'>('customer');
@@ -15,7 +24,23 @@ const AuthPage: React.FC = () => {
     password: ''
   });
 
-  const { login } = useAuth();
+  // Second login step for admins with two-factor authentication
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [twoFactorMethod, setTwoFactorMethod] = useState<TwoFactorMethod>('totp');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [smsSent, setSmsSent] = useState(false);
+  const [sendingCode, setSendingCode] = useState(false);
+  const [backupCodes, setBackupCodes] = useState<string[] | null>(null);
+
+  // Customer forgot-password: request a code by SMS, then set a new password with it
+  const [resetStep, setResetStep] = useState<'request' | 'verify' | null>(null);
+  const [resetData, setResetData] = useState({
+    code: '',
+    new_password: '',
+    confirm_password: ''
+  });
+
+  const { login, completeTwoFactor } = useAuth();
   const { addToast } = useToast();
   const navigate = useNavigate();
 
@@ -35,7 +60,15 @@ const AuthPage: React.FC = () => {
         ? { username: formData.username, password: formData.password }
         : { account_number: formData.account_number, password: formData.password };
 
-      await login(credentials, activeTab);
+      const pending = await login(credentials, activeTab);
+      if (pending) {
+        setChallenge(pending);
+        setTwoFactorMethod('totp');
+        setTwoFactorCode('');
+        setSmsSent(false);
+        return;
+      }
+
       addToast('Login successful!', 'success');
       navigate(activeTab === 'admin' ? '/admin' : '/customer');
     } catch (error: any) {
@@ -45,6 +78,102 @@ const AuthPage: React.FC = () => {
     }
   };
 
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challenge) return;
+    setLoading(true);
+
+    try {
+      const codes = await completeTwoFactor(challenge.challenge_token, twoFactorCode, twoFactorMethod);
+      addToast('Login successful!', 'success');
+
+      // A newly set up authenticator comes with backup codes, shown before continuing
+      if (codes) {
+        setBackupCodes(codes);
+        return;
+      }
+      navigate('/admin');
+    } catch (error: any) {
+      addToast(error.message, 'error');
+      setTwoFactorCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSendCode = async () => {
+    if (!challenge) return;
+    setSendingCode(true);
+
+    try {
+      const response = await authService.sendAdminTwoFactorCode(challenge.challenge_token);
+      setSmsSent(true);
+      addToast(`Code sent to ${response.data.data.phone_hint}`, 'success');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to send code', 'error');
+    } finally {
+      setSendingCode(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallenge(null);
+    setTwoFactorCode('');
+    setFormData({ ...formData, password: '' });
+  };
+
+  const startPasswordReset = () => {
+    setResetStep('request');
+    setResetData({ code: '', new_password: '', confirm_password: '' });
+  };
+
+  const cancelPasswordReset = () => {
+    setResetStep(null);
+    setResetData({ code: '', new_password: '', confirm_password: '' });
+  };
+
+  const handleRequestReset = async (e?: React.FormEvent) => {
+    e?.preventDefault();
+    setSendingCode(true);
+
+    try {
+      const response = await authService.requestCustomerPasswordReset(formData.account_number);
+      addToast(response.data.message || 'Reset code sent', 'success');
+      setResetStep('verify');
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to send reset code', 'error');
+    } finally {
+      setSendingCode(false);
+    }
+  };
+
+  const handleResetPassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (resetData.new_password !== resetData.confirm_password) {
+      addToast('Passwords do not match', 'error');
+      return;
+    }
+    setLoading(true);
+
+    try {
+      await authService.resetCustomerPassword({
+        account_number: formData.account_number,
+        code: resetData.code,
+        new_password: resetData.new_password
+      });
+      addToast('Password reset. Sign in with your new password', 'success');
+      setFormData({ ...formData, password: '' });
+      cancelPasswordReset();
+    } catch (error: any) {
+      addToast(error.response?.data?.message || 'Failed to reset password', 'error');
+      setResetData({ ...resetData, code: '' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-white/50 border border-white/30 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent backdrop-blur-sm text-blue-900 placeholder-blue-600/60';
+
   const tabVariants = {
     inactive: { 
       opacity: 0.6, 
@@ -144,131 +273,360 @@ const AuthPage: React.FC = () => {
                 <Droplets className="h-8 w-8 text-white" />
               </motion.div>
             </div>
-            <h1 className="text-2xl font-bold text-blue-900 mb-2">Welcome Back</h1>
-            <p className="text-blue-700">Sign in to your account</p>
+            <h1 className="text-2xl font-bold text-blue-900 mb-2">
+              {challenge ? 'Two-Step Verification' : resetStep ? 'Reset Password' : 'Welcome Back'}
+            </h1>
+            <p className="text-blue-700">
+              {backupCodes
+                ? 'Two-factor authentication is now on'
+                : challenge?.two_factor_setup_required
+                  ? 'Set up an authenticator app to continue'
+                  : challenge
+                    ? 'Confirm it is you to finish signing in'
+                    : resetStep === 'request'
+                      ? 'We will text a reset code to the phone number on your account'
+                      : resetStep === 'verify'
+                        ? 'Enter the code from the SMS and choose a new password'
+                        : 'Sign in to your account'}
+            </p>
           </motion.div>
 
-          {/* Tab selector */}
-          <motion.div 
-            className="flex bg-white/20 rounded-2xl p-1 mb-6 backdrop-blur-sm"
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.6, delay: 0.3 }}
-          >
-            {(['customer', 'admin'] as const).map((tab) => (
+          {backupCodes ? (
+            <div className="space-y-6">
+              <BackupCodes codes={backupCodes} />
               <motion.button
-                key={tab}
-                className={`flex-1 py-3 px-4 rounded-xl font-medium transition-all duration-300 flex items-center justify-center space-x-2 ${
-                  activeTab === tab
-                    ? 'bg-white text-blue-900 shadow-lg'
-                    : 'text-blue-700 hover:text-blue-900 hover:bg-white/10'
-                }`}
-                onClick={() => setActiveTab(tab)}
-                variants={tabVariants}
-                animate={activeTab === tab ? 'active' : 'inactive'}
-                whileHover={{ scale: 1.02 }}
+                type="button"
+                onClick={() => navigate('/admin')}
+                className="w-full bg-gradient-to-r from-blue-600 to-cyan-600 text-white py-3 px-6 rounded-xl font-medium shadow-lg hover:shadow-xl transition-all duration-300"
+                whileHover={{ scale: 1.02, y: -2 }}
                 whileTap={{ scale: 0.98 }}
               >
-                {tab === 'customer' ? (
-                  <User className="h-4 w-4" />
-                ) : (
-                  <Shield className="h-4 w-4" />
-                )}
-                <span className="capitalize">{tab}</span>
+                I have saved my backup codes
               </motion.button>
-            ))}
-          </motion.div>
-
-          {/* Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <AnimatePresence mode="wait">
-              <motion.div
-                key={activeTab}
-                variants={formVariants}
-                initial="hidden"
-                animate="visible"
-                exit="exit"
-                className="space-y-6"
-              >
-                {/* Username/Account Number field */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-blue-900">
-                    {activeTab === 'admin' ? 'Username' : 'Account Number'}
-                  </label>
-                  <motion.input
-                    type="text"
-                    name={activeTab === 'admin' ? 'username' : 'account_number'}
-                    value={activeTab === 'admin' ? formData.username : formData.account_number}
-                    onChange={handleInputChange}
-                    placeholder={activeTab === 'admin' ? 'Enter username' : 'e.g., NyWs-00001'}
-                    className="w-full px-4 py-3 bg-white/50 border border-white/30 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent backdrop-blur-sm text-blue-900 placeholder-blue-600/60"
-                    required
-                    whileFocus={{ scale: 1.02 }}
-                    transition={{ type: "spring", stiffness: 300 }}
+            </div>
+          ) : challenge ? (
+            <form onSubmit={handleVerify} className="space-y-6">
+              {challenge.two_factor_setup_required && challenge.setup ? (
+                <div className="space-y-3 text-center">
+                  <p className="text-sm text-blue-800">
+                    Your role requires two-factor authentication. Scan this code with an authenticator app such as
+                    Google Authenticator or Microsoft Authenticator, then enter the 6-digit code it shows.
+                  </p>
+                  <img
+                    src={challenge.setup.qr_code}
+                    alt="Authenticator QR code"
+                    className="mx-auto w-48 h-48 bg-white rounded-xl p-2"
                   />
+                  <p className="text-xs text-blue-700">
+                    Can't scan it? Enter this key instead:
+                    <span className="block font-mono text-sm text-blue-900 break-all mt-1">{challenge.setup.secret}</span>
+                  </p>
+                </div>
+              ) : (
+                <div className="flex bg-white/20 rounded-2xl p-1 backdrop-blur-sm">
+                  {twoFactorMethods
+                    .filter(method => challenge.methods?.includes(method.id))
+                    .map(method => (
+                      <button
+                        key={method.id}
+                        type="button"
+                        onClick={() => {
+                          setTwoFactorMethod(method.id);
+                          setTwoFactorCode('');
+                        }}
+                        className={`flex-1 py-2 px-2 rounded-xl text-sm font-medium transition-all duration-300 flex items-center justify-center space-x-1 ${
+                          twoFactorMethod === method.id
+                            ? 'bg-white text-blue-900 shadow-lg'
+                            : 'text-blue-700 hover:text-blue-900 hover:bg-white/10'
+                        }`}
+                      >
+                        <method.icon className="h-4 w-4" />
+                        <span>{method.label}</span>
+                      </button>
+                    ))}
                 </div>
+              )}
+
+              {twoFactorMethod === 'sms' && (
+                <button
+                  type="button"
+                  onClick={handleSendCode}
+                  disabled={sendingCode}
+                  className="w-full py-2 px-4 rounded-xl border border-blue-300 text-blue-700 text-sm font-medium hover:bg-white/30 disabled:opacity-50"
+                >
+                  {sendingCode
+                    ? 'Sending...'
+                    : smsSent
+                      ? 'Send a new code'
+                      : `Text a code to ${challenge.phone_hint}`}
+                </button>
+              )}
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-blue-900">
+                  {twoFactorMethod === 'backup_code' ? 'Backup code' : '6-digit code'}
+                </label>
+                <input
+                  type="text"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  placeholder={twoFactorMethod === 'backup_code' ? 'e.g., a1b2c-3d4e5' : '123456'}
+                  inputMode={twoFactorMethod === 'backup_code' ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  className={`${inputClass} text-center tracking-widest`}
+                  required
+                  autoFocus
+                />
+              </div>
+
+              <motion.button
+                type="submit"
+                disabled={loading || (twoFactorMethod === 'sms' && !smsSent)}
+                className="w-full bg-gradient-to-r from-blue-600 to-cyan-600 text-white py-3 px-6 rounded-xl font-medium shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                whileHover={{ scale: 1.02, y: -2 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </motion.button>
+
+              <button
+                type="button"
+                onClick={cancelTwoFactor}
+                className="w-full flex items-center justify-center space-x-2 text-sm text-blue-700 hover:text-blue-900"
+              >
+                <ArrowLeft className="h-4 w-4" />
+                <span>Back to sign in</span>
+              </button>
+            </form>
+          ) : resetStep ? (
+            <form onSubmit={resetStep === 'request' ? handleRequestReset : handleResetPassword} className="space-y-6">
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-blue-900">Account Number</label>
+                <input
+                  type="text"
+                  name="account_number"
+                  value={formData.account_number}
+                  onChange={handleInputChange}
+                  placeholder="e.g., NyWs-00001"
+                  className={inputClass}
+                  disabled={resetStep === 'verify'}
+                  required
+                  autoFocus={resetStep === 'request'}
+                />
+              </div>
+
+              {resetStep === 'verify' && (
+                <>
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-blue-900">Reset code</label>
+                    <input
+                      type="text"
+                      value={resetData.code}
+                      onChange={(e) => setResetData({ ...resetData, code: e.target.value })}
+                      placeholder="123456"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      className={`${inputClass} text-center tracking-widest`}
+                      required
+                      autoFocus
+                    />
+                  </div>
 
-                {/* Password field */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-blue-900">
-                    Password
-                  </label>
-                  <div className="relative">
-                    <motion.input
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-blue-900">New Password</label>
+                    <input
                       type={showPassword ? 'text' : 'password'}
-                      name="password"
-                      value={formData.password}
-                      onChange={handleInputChange}
-                      placeholder="Enter password"
-                      className="w-full px-4 py-3 bg-white/50 border border-white/30 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent backdrop-blur-sm text-blue-900 placeholder-blue-600/60 pr-12"
+                      value={resetData.new_password}
+                      onChange={(e) => setResetData({ ...resetData, new_password: e.target.value })}
+                      placeholder="At least 6 characters"
+                      autoComplete="new-password"
+                      minLength={6}
+                      className={inputClass}
                       required
-                      whileFocus={{ scale: 1.02 }}
-                      transition={{ type: "spring", stiffness: 300 }}
                     />
-                    <motion.button
-                      type="button"
-                      className="absolute right-3 top-1/2 transform -translate-y-1/2 text-blue-600 hover:text-blue-800"
-                      onClick={() => setShowPassword(!showPassword)}
-                      whileHover={{ scale: 1.1 }}
-                      whileTap={{ scale: 0.9 }}
-                    >
-                      {showPassword ? (
-                        <EyeOff className="h-5 w-5" />
-                      ) : (
-                        <Eye className="h-5 w-5" />
-                      )}
-                    </motion.button>
                   </div>
-                </div>
-              </motion.div>
-            </AnimatePresence>
-
-            {/* Submit button */}
-            <motion.button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-gradient-to-r from-blue-600 to-cyan-600 text-white py-3 px-6 rounded-xl font-medium shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
-              whileHover={{ scale: 1.02, y: -2 }}
-              whileTap={{ scale: 0.98 }}
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.6, delay: 0.4 }}
-            >
-              {loading ? (
-                <motion.div
-                  className="flex items-center justify-center"
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                >
-                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin mr-2"></div>
-                  Signing in...
-                </motion.div>
-              ) : (
-                'Sign In'
+
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-blue-900">Confirm New Password</label>
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      value={resetData.confirm_password}
+                      onChange={(e) => setResetData({ ...resetData, confirm_password: e.target.value })}
+                      placeholder="Repeat the new password"
+                      autoComplete="new-password"
+                      minLength={6}
+                      className={inputClass}
+                      required
+                    />
+                  </div>
+
+                  <button
+                    type="button"
+                    onClick={() => handleRequestReset()}
+                    disabled={sendingCode}
+                    className="w-full py-2 px-4 rounded-xl border border-blue-300 text-blue-700 text-sm font-medium hover:bg-white/30 disabled:opacity-50"
+                  >
+                    {sendingCode ? 'Sending...' : 'Send a new code'}
+                  </button>
+                </>
               )}
-            </motion.button>
-          </form>
 
+              <motion.button
+                type="submit"
+                disabled={loading || sendingCode}
+                className="w-full bg-gradient-to-r from-blue-600 to-cyan-600 text-white py-3 px-6 rounded-xl font-medium shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                whileHover={{ scale: 1.02, y: -2 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                {resetStep === 'request'
+                  ? (sendingCode ? 'Sending...' : 'Send Reset Code')
+                  : (loading ? 'Resetting...' : 'Reset Password')}
+              </motion.button>
+
+              <button
+                type="button"
+                onClick={cancelPasswordReset}
+                className="w-full flex items-center justify-center space-x-2 text-sm text-blue-700 hover:text-blue-900"
+              >
+                <ArrowLeft className="h-4 w-4" />
+                <span>Back to sign in</span>
+              </button>
+            </form>
+          ) : (
+            <>
+              {/* Tab selector */}
+              <motion.div 
+                className="flex bg-white/20 rounded-2xl p-1 mb-6 backdrop-blur-sm"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.6, delay: 0.3 }}
+              >
+                {(['customer', 'admin'] as const).map((tab) => (
+                  <motion.button
+                    key={tab}
+                    className={`flex-1 py-3 px-4 rounded-xl font-medium transition-all duration-300 flex items-center justify-center space-x-2 ${
+                      activeTab === tab
+                        ? 'bg-white text-blue-900 shadow-lg'
+                        : 'text-blue-700 hover:text-blue-900 hover:bg-white/10'
+                    }`}
+                    onClick={() => setActiveTab(tab)}
+                    variants={tabVariants}
+                    animate={activeTab === tab ? 'active' : 'inactive'}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                  >
+                    {tab === 'customer' ? (
+                      <User className="h-4 w-4" />
+                    ) : (
+                      <Shield className="h-4 w-4" />
+                    )}
+                    <span className="capitalize">{tab}</span>
+                  </motion.button>
+                ))}
+              </motion.div>
+
+              {/* Form */}
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <AnimatePresence mode="wait">
+                  <motion.div
+                    key={activeTab}
+                    variants={formVariants}
+                    initial="hidden"
+                    animate="visible"
+                    exit="exit"
+                    className="space-y-6"
+                  >
+                    {/* Username/Account Number field */}
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium text-blue-900">
+                        {activeTab === 'admin' ? 'Username' : 'Account Number'}
+                      </label>
+                      <motion.input
+                        type="text"
+                        name={activeTab === 'admin' ? 'username' : 'account_number'}
+                        value={activeTab === 'admin' ? formData.username : formData.account_number}
+                        onChange={handleInputChange}
+                        placeholder={activeTab === 'admin' ? 'Enter username' : 'e.g., NyWs-00001'}
+                        className="w-full px-4 py-3 bg-white/50 border border-white/30 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent backdrop-blur-sm text-blue-900 placeholder-blue-600/60"
+                        required
+                        whileFocus={{ scale: 1.02 }}
+                        transition={{ type: "spring", stiffness: 300 }}
+                      />
+                    </div>
+
+                    {/* Password field */}
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium text-blue-900">
+                        Password
+                      </label>
+                      <div className="relative">
+                        <motion.input
+                          type={showPassword ? 'text' : 'password'}
+                          name="password"
+                          value={formData.password}
+                          onChange={handleInputChange}
+                          placeholder="Enter password"
+                          className="w-full px-4 py-3 bg-white/50 border border-white/30 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent backdrop-blur-sm text-blue-900 placeholder-blue-600/60 pr-12"
+                          required
+                          whileFocus={{ scale: 1.02 }}
+                          transition={{ type: "spring", stiffness: 300 }}
+                        />
+                        <motion.button
+                          type="button"
+                          className="absolute right-3 top-1/2 transform -translate-y-1/2 text-blue-600 hover:text-blue-800"
+                          onClick={() => setShowPassword(!showPassword)}
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                        >
+                          {showPassword ? (
+                            <EyeOff className="h-5 w-5" />
+                          ) : (
+                            <Eye className="h-5 w-5" />
+                          )}
+                        </motion.button>
+                      </div>
+                      {activeTab === 'customer' && (
+                        <div className="text-right">
+                          <button
+                            type="button"
+                            onClick={startPasswordReset}
+                            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+                          >
+                            Forgot password?
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  </motion.div>
+                </AnimatePresence>
+
+                {/* Submit button */}
+                <motion.button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full bg-gradient-to-r from-blue-600 to-cyan-600 text-white py-3 px-6 rounded-xl font-medium shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  whileHover={{ scale: 1.02, y: -2 }}
+                  whileTap={{ scale: 0.98 }}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.6, delay: 0.4 }}
+                >
+                  {loading ? (
+                    <motion.div
+                      className="flex items-center justify-center"
+                      initial={{ opacity: 0 }}
+                      animate={{ opacity: 1 }}
+                    >
+                      <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin mr-2"></div>
+                      Signing in...
+                    </motion.div>
+                  ) : (
+                    'Sign In'
+                  )}
+                </motion.button>
+              </form>
+            </>
+          )}
 
 
           {/* Link to sign up
@@ -80,6 +80,10 @@ export const adminService = {
   resetCustomerPassword: (id: number) => 
     api.post(`/customers/${id}/reset-password`),
 
+  // Download a customer's statement for a date range (YYYY-MM-DD)
+  downloadCustomerStatement: (id: number, params: { from: string; to: string; format: 'csv' | 'pdf' }) =>
+    api.get(`/customers/${id}/statement`, { params, responseType: 'blob' }),
+
   // ========================================
   // BILLING MANAGEMENT
   // ========================================
@@ -150,7 +154,7 @@ export const adminService = {
 
   // Update bill status
   updateBillStatus: (billId: number, data: { 
-    status: 'paid' | 'pending' | 'overdue' | 'partially_paid';
+    status: 'pending' | 'overdue';
   }) => api.put(`/bills/${billId}/status`, data),
 
   // Delete bill (use with caution)
@@ -160,7 +164,7 @@ export const adminService = {
   // Bulk update bill status
   bulkUpdateBillStatus: (data: { 
     bill_ids: number[]; 
-    status: 'paid' | 'pending' | 'overdue' | 'partially_paid';
+    status: 'pending' | 'overdue';
   }) => api.put('/bills/bulk/status', data),
 
   // Get bills for specific customer
@@ -230,7 +234,7 @@ export const adminService = {
   getPayments: (params?: { 
     page?: number; 
     limit?: number; 
-    status?: 'completed' | 'pending' | 'failed';
+    status?: 'completed' | 'pending' | 'failed' | 'reversed';
     start_date?: string;
     end_date?: string;
   }) => {
@@ -250,6 +254,61 @@ export const adminService = {
   getPaymentMethods: () => 
     api.get('/payments/methods'),
 
+  // Preview how an amount would be allocated for a customer
+  previewAllocation: (params: { customer_id: number; amount: number; policy?: string; split_percent?: number; reference_type?: string }) => {
+    const query = new URLSearchParams({
+      customer_id: params.customer_id.toString(),
+      amount: params.amount.toString()
+    });
+    if (params.policy) query.append('policy', params.policy);
+    if (params.split_percent !== undefined) query.append('split_percent', params.split_percent.toString());
+    if (params.reference_type) query.append('reference_type', params.reference_type);
+    return api.get(`/payments/allocation-preview?${query.toString()}`);
+  },
+
+  // Record a cash, cheque or bank transfer payment collected at the office
+  recordManualPayment: (data: {
+    customer_id: number;
+    amount: number;
+    payment_method: 'cash' | 'cheque' | 'bank_transfer';
+    payment_reference?: string;
+    payment_date?: string;
+    reference_type?: string;
+    notes?: string;
+    notify_customer?: boolean;
+  }) => api.post('/payments/manual', data),
+
+  // Reverse a completed payment
+  reversePayment: (paymentId: number, data: { reason: string; notify_customer?: boolean }) =>
+    api.post(`/payments/${paymentId}/reverse`, data),
+
+  // Get unmatched (suspense) payments
+  getSuspensePayments: (params?: { page?: number; limit?: number; status?: 'unmatched' | 'assigned' | 'reversed' | 'all'; search?: string }) => {
+    const query = new URLSearchParams();
+    if (params?.page) query.append('page', params.page.toString());
+    if (params?.limit) query.append('limit', params.limit.toString());
+    if (params?.status) query.append('status', params.status);
+    if (params?.search) query.append('search', params.search);
+    return api.get(`/payments/suspense?${query.toString()}`);
+  },
+
+  // Get likely customer matches for a suspense payment
+  getSuspenseCandidates: (suspenseId: number) =>
+    api.get(`/payments/suspense/${suspenseId}/candidates`),
+
+  // Assign a suspense payment to a customer
+  assignSuspensePayment: (suspenseId: number, data: { customer_id: number; notes?: string; notify_customer?: boolean }) =>
+    api.post(`/payments/suspense/${suspenseId}/assign`, data),
+
+  // Get payment reversal history
+  getPaymentReversals: (params?: { page?: number; limit?: number; customer_id?: number }) => {
+    const query = new URLSearchParams();
+    if (params?.page) query.append('page', params.page.toString());
+    if (params?.limit) query.append('limit', params.limit.toString());
+    if (params?.customer_id) query.append('customer_id', params.customer_id.toString());
+    return api.get(`/payments/reversals?${query.toString()}`);
+  },
+
   // ========================================
   // EQUITY BANK INTEGRATION
   // ========================================
@@ -262,6 +321,30 @@ export const adminService = {
     return api.get(`/equity/payment-history/${customerId}?${query.toString()}`);
   },
 
+  // Upload an Equity statement (CSV or MT940) for reconciliation
+  uploadStatement: (data: { format: 'csv' | 'mt940'; content: string; file_name?: string }) =>
+    api.post('/reconciliation/statements', data),
+
+  // Get statement import history
+  getStatementImports: (params?: { page?: number; limit?: number }) => {
+    const query = new URLSearchParams();
+    if (params?.page) query.append('page', params.page.toString());
+    if (params?.limit) query.append('limit', params.limit.toString());
+    return api.get(`/reconciliation/statements?${query.toString()}`);
+  },
+
+  // Get reconciliation report for a statement import
+  getReconciliationReport: (importId: number) =>
+    api.get(`/reconciliation/statements/${importId}`),
+
+  // Import a missed statement line as a payment
+  importStatementLine: (importId: number, lineId: number, data?: { customer_id?: number }) =>
+    api.post(`/reconciliation/statements/${importId}/lines/${lineId}/import`, data || {}),
+
+  // Import all missed statement lines as payments
+  importAllMissedLines: (importId: number) =>
+    api.post(`/reconciliation/statements/${importId}/import-missed`),
+
   // ========================================
   // CONTRIBUTION MANAGEMENT
   // ========================================
@@ -362,6 +445,10 @@ export const adminService = {
   testEquityConnection: () => 
     api.post('/settings/payments/test-equity'),
 
+  // Send a test email with the saved SMTP settings
+  testEmailConnection: (email: string) =>
+    api.post('/settings/email/test', { email }),
+
   // Contribution Settings
   getContributionConfig: () => 
     api.get('/settings/contributions/config'),
@@ -379,6 +466,11 @@ export const adminService = {
     sms_sender_id?: string;
     sms_enabled?: boolean;
     email_enabled?: boolean;
+    sms_max_segments?: number;
+    sms_cost_per_segment?: number;
+    outbox_rate_limit_per_minute?: number;
+    outbox_max_attempts?: number;
+    outbox_retry_base_seconds?: number;
   }) => api.put('/settings/notifications/config', data),
 
   // Company Settings
@@ -431,6 +523,16 @@ export const adminService = {
   getActivityLog: (page: number = 1, limit: number = 20) => 
     api.get(`/admin/activity-log?page=${page}&limit=${limit}`),
 
+  // Audit trail
+  getAuditLogs: (params: Record<string, string | number> = {}) =>
+    api.get('/admin/audit-logs', { params }),
+
+  exportAuditLogs: (params: Record<string, string | number> = {}) =>
+    api.get('/admin/audit-logs/export', { params, responseType: 'blob' }),
+
+  getRecordHistory: (table: string, recordId: number) =>
+    api.get(`/admin/audit-logs/${table}/${recordId}`),
+
   // ========================================
   // NOTIFICATIONS & SMS
   // ========================================
@@ -453,6 +555,14 @@ export const adminService = {
     sender_id?: string;
   }) => api.post('/admin/sms/bulk-send', data),
 
+  // Preview segment count and cost of an SMS message
+  previewSms: (message: string) =>
+    api.post('/admin/sms/preview', { message }),
+
+  // Preview every active SMS template with segment count and cost
+  previewSmsTemplates: () =>
+    api.get('/admin/sms/templates/preview'),
+
   // Send bill reminders
   sendBillReminders: (data: { 
     days_overdue?: number; 
@@ -473,4 +583,127 @@ export const adminService = {
   // Get SMS delivery status
   getSmsDeliveryStatus: (messageId: string) =>
     api.get(`/admin/sms/delivery-status/${messageId}`),
+
+  // Get SMS delivery rates per campaign and zone
+  getDeliveryStats: (params?: { from?: string; to?: string }) =>
+    api.get('/admin/notifications/delivery-stats', { params }),
+
+  // Get queued outgoing messages
+  getNotificationOutbox: (params?: { status?: string; notification_type?: string; page?: number; limit?: number }) =>
+    api.get('/admin/notifications/outbox', { params }),
+
+  // Requeue dead-lettered messages
+  requeueOutboxMessages: (data: { ids?: number[]; notification_type?: string } = {}) =>
+    api.post('/admin/notifications/outbox/requeue', data),
+
+  // Notification templates
+  getNotificationTemplates: (params?: { type?: 'sms' | 'email'; trigger_event?: string; language?: string }) =>
+    api.get('/admin/notifications/templates', { params }),
+
+  createNotificationTemplate: (data: {
+    name: string;
+    type: 'sms' | 'email';
+    trigger_event: string;
+    language?: string;
+    subject?: string | null;
+    message_template: string;
+    is_active?: boolean;
+    change_note?: string;
+  }) =>
+    api.post('/admin/notifications/templates', data),
+
+  updateNotificationTemplate: (id: number, data: {
+    name?: string;
+    subject?: string | null;
+    message_template?: string;
+    is_active?: boolean;
+    change_note?: string;
+  }) =>
+    api.put(`/admin/notifications/templates/${id}`, data),
+
+  deleteNotificationTemplate: (id: number) =>
+    api.delete(`/admin/notifications/templates/${id}`),
+
+  getNotificationTemplateVersions: (id: number) =>
+    api.get(`/admin/notifications/templates/${id}/versions`),
+
+  restoreNotificationTemplateVersion: (id: number, version: number) =>
+    api.post(`/admin/notifications/templates/${id}/versions/${version}/restore`),
+
+  // Render unsaved template content for a real customer
+  previewNotificationTemplate: (data: {
+    type: 'sms' | 'email';
+    trigger_event: string;
+    subject?: string | null;
+    message_template: string;
+    customer_id: number;
+  }) =>
+    api.post('/admin/notifications/templates/preview', data),
+
+  // Send the rendered template to a test phone number or email address
+  sendNotificationTemplateTest: (data: {
+    type: 'sms' | 'email';
+    trigger_event: string;
+    subject?: string | null;
+    message_template: string;
+    customer_id: number;
+    recipient: string;
+  }) =>
+    api.post('/admin/notifications/templates/test-send', data),
+
+  // Scheduled notification campaigns
+  getScheduledNotifications: (params?: { status?: string; page?: number; limit?: number }) =>
+    api.get('/admin/notifications/scheduled', { params }),
+
+  getScheduledCalendar: (params: { from: string; to: string }) =>
+    api.get('/admin/notifications/scheduled/calendar', { params }),
+
+  countScheduledAudience: (audience: { zones?: string[]; customer_types?: string[]; arrears_buckets?: string[] }) =>
+    api.post('/admin/notifications/scheduled/audience', { audience }),
+
+  createScheduledNotification: (data: {
+    title: string;
+    message: string;
+    email_subject?: string;
+    channel: 'sms' | 'email' | 'both';
+    audience: { zones?: string[]; customer_types?: string[]; arrears_buckets?: string[] };
+    scheduled_time: string;
+    recurrence: 'none' | 'daily' | 'weekly' | 'monthly';
+    recurrence_end_date?: string | null;
+  }) =>
+    api.post('/admin/notifications/scheduled', data),
+
+  updateScheduledNotification: (id: number, data: Record<string, any>) =>
+    api.put(`/admin/notifications/scheduled/${id}`, data),
+
+  cancelScheduledNotification: (id: number) =>
+    api.delete(`/admin/notifications/scheduled/${id}`),
+
+  // Admin Users
+  getAdminUsers: () =>
+    api.get('/admin/users'),
+
+  createAdminUser: (data: {
+    username: string;
+    email: string;
+    full_name: string;
+    password: string;
+    role: string;
+  }) =>
+    api.post('/admin/users', data),
+
+  updateAdminUser: (id: number, data: { email?: string; full_name?: string; role?: string }) =>
+    api.put(`/admin/users/${id}`, data),
+
+  toggleAdminUserStatus: (id: number) =>
+    api.post(`/admin/users/${id}/toggle-status`),
+
+  resetAdminUserPassword: (id: number, new_password: string) =>
+    api.post(`/admin/users/${id}/reset-password`, { new_password }),
+
+  resetAdminUserTwoFactor: (id: number) =>
+    api.post(`/admin/users/${id}/reset-2fa`),
+
+  deleteAdminUser: (id: number) =>
+    api.delete(`/admin/users/${id}`),
 };
\ No newline at end of file
@@ -1,4 +1,4 @@
-import axios from 'axios';
+import axios, { InternalAxiosRequestConfig } from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL;
 
@@ -24,15 +24,70 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for error handling
+// Shared by every request that hits an expired token while a refresh is in flight
+let refreshPromise: Promise<string> | null = null;
+
+// Swap the refresh token for a new pair. Sent with plain axios so a failure
+// here does not come back through the interceptor.
+const refreshAccessToken = async (): Promise<string> => {
+  const refreshToken = localStorage.getItem('water_refresh_token');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  try {
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken });
+    const { token, refresh_token } = response.data.data;
+
+    localStorage.setItem('water_token', token);
+    localStorage.setItem('water_refresh_token', refresh_token);
+    return token;
+  } catch (error) {
+    // Another tab may have rotated the token first; use the pair it stored
+    const current = localStorage.getItem('water_refresh_token');
+    const currentToken = localStorage.getItem('water_token');
+    if (current && current !== refreshToken && currentToken) {
+      return currentToken;
+    }
+    throw error;
+  }
+};
+
+const endSession = () => {
+  localStorage.removeItem('water_token');
+  localStorage.removeItem('water_refresh_token');
+  localStorage.removeItem('water_user');
+  window.location.href = '/auth';
+};
+
+// Response interceptor: renew an expired access token once, then retry the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('water_token');
-      localStorage.removeItem('water_user');
-      window.location.href = '/auth';
+  async (error) => {
+    const original = error.config as (InternalAxiosRequestConfig & { _retry?: boolean }) | undefined;
+    const url = original?.url || '';
+
+    // A wrong password or code, or a failed logout, is reported to the caller, not treated as an expired session
+    if (error.response?.status !== 401 || /\/login$|\/2fa\/(verify|send-code)$|\/auth\/logout$/.test(url)) {
+      return Promise.reject(error);
     }
+
+    if (original && !original._retry && localStorage.getItem('water_refresh_token')) {
+      original._retry = true;
+      try {
+        refreshPromise = refreshPromise || refreshAccessToken().finally(() => {
+          refreshPromise = null;
+        });
+        const token = await refreshPromise;
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch {
+        endSession();
+        return Promise.reject(error);
+      }
+    }
+
+    endSession();
     return Promise.reject(error);
   }
-);
\ No newline at end of file
+);
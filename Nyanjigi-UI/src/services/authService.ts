@@ -9,12 +9,35 @@ export const authService = {
   getAdminProfile: () => 
     api.get('/auth/admin/profile'),
   
-  updateAdminProfile: (data: { username?: string; email?: string }) => 
+  updateAdminProfile: (data: { full_name?: string; email?: string; phone?: string }) => 
     api.put('/auth/admin/profile', data),
   
   changeAdminPassword: (data: { current_password: string; new_password: string }) => 
     api.post('/auth/admin/change-password', data),
 
+  // Admin two-factor authentication: the second login step
+  verifyAdminTwoFactor: (data: { challenge_token: string; code: string; method: 'totp' | 'backup_code' | 'sms' }) =>
+    api.post('/auth/admin/2fa/verify', data),
+
+  sendAdminTwoFactorCode: (challengeToken: string) =>
+    api.post('/auth/admin/2fa/send-code', { challenge_token: challengeToken }),
+
+  // Admin two-factor authentication: profile management
+  getTwoFactorStatus: () =>
+    api.get('/auth/admin/2fa'),
+
+  beginTwoFactorSetup: () =>
+    api.post('/auth/admin/2fa/setup'),
+
+  enableTwoFactor: (code: string) =>
+    api.post('/auth/admin/2fa/enable', { code }),
+
+  disableTwoFactor: (data: { password: string; code: string }) =>
+    api.post('/auth/admin/2fa/disable', data),
+
+  regenerateBackupCodes: (code: string) =>
+    api.post('/auth/admin/2fa/backup-codes', { code }),
+
   // Customer Authentication
   customerLogin: (credentials: { account_number: string; password: string }) => 
     api.post('/auth/customer/login', credentials),
@@ -28,6 +51,13 @@ export const authService = {
   changeCustomerPassword: (data: { current_password: string; new_password: string }) => 
     api.post('/auth/customer/change-password', data),
 
+  // Forgot password: a code is texted to the account's registered phone
+  requestCustomerPasswordReset: (account_number: string) =>
+    api.post('/auth/customer/forgot-password', { account_number }),
+
+  resetCustomerPassword: (data: { account_number: string; code: string; new_password: string }) =>
+    api.post('/auth/customer/reset-password', data),
+
   // Customer Dashboard
   getCustomerDashboard: () => 
     api.get('/auth/customer/dashboard'),
@@ -40,11 +70,12 @@ export const authService = {
     return authService.customerLogin(credentials);
   },
 
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    return Promise.resolve();
-  },
+  // Ends the session on the server; the caller clears local storage
+  logout: (refreshToken?: string | null) =>
+    api.post('/auth/logout', refreshToken ? { refresh_token: refreshToken } : {}),
+
+  logoutAllDevices: () =>
+    api.post('/auth/logout-all'),
 
   getProfile: (userType: 'admin' | 'customer') => {
     if (userType === 'admin') {
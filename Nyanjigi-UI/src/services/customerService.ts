@@ -18,6 +18,21 @@ export const customerService = {
   getDashboard: () => 
     api.get('/auth/customer/dashboard'),
 
+  // Notification channel, language, quiet hours and opt-outs
+  getNotificationPreferences: () =>
+    api.get('/auth/customer/profile/notifications'),
+
+  updateNotificationPreferences: (data: {
+    channel?: 'sms' | 'email' | 'both';
+    language?: 'en' | 'sw' | 'ki';
+    quiet_hours_start?: string | null;
+    quiet_hours_end?: string | null;
+    marketing_opt_out?: boolean;
+    announcements_opt_out?: boolean;
+    sms_opt_out?: boolean;
+  }) =>
+    api.put('/auth/customer/profile/notifications', data),
+
   // Bills Management
   getBills: (params?: { 
     page?: number; 
@@ -42,6 +57,10 @@ export const customerService = {
   getBillById: (billId: number) => 
     api.get(`/customers/me/bills/${billId}`),
 
+  // Printable PDF of a bill
+  downloadBillPdf: (billId: number) =>
+    api.get(`/customers/me/bills/${billId}/pdf`, { responseType: 'blob' }),
+
   // Payments Management
   getPayments: (params?: { 
     page?: number; 
@@ -58,6 +77,14 @@ export const customerService = {
   getPaymentById: (paymentId: number) => 
     api.get(`/customers/me/payments/${paymentId}`),
 
+  // Printable PDF receipt for a payment
+  downloadReceipt: (paymentId: number) =>
+    api.get(`/customers/me/payments/${paymentId}/receipt`, { responseType: 'blob' }),
+
+  // Account statement for a date range (YYYY-MM-DD)
+  downloadStatement: (params: { from: string; to: string; format: 'csv' | 'pdf' }) =>
+    api.get('/customers/me/statement', { params, responseType: 'blob' }),
+
   // Payment History (from payments endpoint)
   getPaymentHistory: (params?: {
     page?: number;
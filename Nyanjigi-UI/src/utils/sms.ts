@@ -0,0 +1,57 @@
+// SMS segment counting for GSM-7 and UCS-2 messages (mirrors the API's utils/sms.js)
+
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+  + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extension table characters take two septets each
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+export type SmsEncoding = keyof typeof LIMITS;
+
+export interface SmsSegmentCount {
+  encoding: SmsEncoding;
+  length: number;
+  segments: number;
+  per_segment: number;
+  remaining: number;
+}
+
+export const getSmsEncoding = (text: string): SmsEncoding => {
+  for (const char of text) {
+    if (!GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)) {
+      return 'UCS-2';
+    }
+  }
+  return 'GSM-7';
+};
+
+export const countSmsSegments = (text: string): SmsSegmentCount => {
+  const encoding = getSmsEncoding(text);
+  const limits = LIMITS[encoding];
+
+  let length = text.length;
+  if (encoding === 'GSM-7') {
+    length = 0;
+    for (const char of text) {
+      length += GSM_EXTENDED.has(char) ? 2 : 1;
+    }
+  }
+
+  const segments = length === 0 ? 0 : length <= limits.single ? 1 : Math.ceil(length / limits.multipart);
+  const perSegment = segments > 1 ? limits.multipart : limits.single;
+
+  return {
+    encoding,
+    length,
+    segments,
+    per_segment: perSegment,
+    remaining: segments === 0 ? limits.single : segments * perSegment - length
+  };
+};
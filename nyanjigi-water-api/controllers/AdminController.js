@@ -1,6 +1,7 @@
-const { Admin, Customer, Bill, Payment } = require('../models');
+const { Admin, Customer, Bill, Payment, AuditLog, AuthSession, TwoFactor } = require('../models');
 const AuthUtils = require('../utils/auth');
 const ApiResponse = require('../utils/response');
+const { getPermissions } = require('../utils/permissions');
 
 /**
  * Admin Controller - Handles admin authentication and management operations
@@ -14,37 +15,56 @@ class AdminController {
       // Authenticate admin
       const admin = await Admin.authenticateAdmin(username, password);
 
-      // Generate JWT token
-      const token = AuthUtils.generateToken({
-        id: admin.id,
-        username: admin.username,
-        type: 'admin'
-      });
+      // Admins with 2FA, or whose role requires it, finish signing in with a second factor
+      if (admin.two_factor_enabled || await TwoFactor.isRequired(admin.role)) {
+        const challenge = await TwoFactor.startLoginChallenge(admin, req.ip);
+        return ApiResponse.success(res, challenge, 'Two-factor authentication required');
+      }
 
-      return ApiResponse.success(res, {
-        admin: {
-          id: admin.id,
-          username: admin.username,
-          email: admin.email,
-          full_name: admin.full_name
-        },
-        token,
-        expires_in: process.env.JWT_EXPIRE || '24h'
-      }, 'Login successful');
+      return AdminController.signIn(req, res, admin);
     } catch (error) {
       return ApiResponse.error(res, error.message, 401);
     }
   }
 
+  // Open a session for an authenticated admin and send the login response
+  static async signIn(req, res, admin, extra = {}) {
+    // Short-lived access token plus a rotating refresh token
+    const tokens = await AuthSession.startSession('admin', admin.id, {
+      username: admin.username
+    }, {
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    return ApiResponse.success(res, {
+      admin: {
+        id: admin.id,
+        username: admin.username,
+        email: admin.email,
+        full_name: admin.full_name,
+        role: admin.role,
+        permissions: getPermissions(admin.role),
+        two_factor_enabled: Boolean(admin.two_factor_enabled)
+      },
+      ...tokens,
+      ...extra
+    }, 'Login successful');
+  }
+
   // Get admin profile
   static async getProfile(req, res) {
     try {
-      const admin = req.admin;
+      const admin = await Admin.getAdmin(req.admin.id);
       return ApiResponse.success(res, {
         id: admin.id,
         username: admin.username,
         email: admin.email,
+        phone: admin.phone,
         full_name: admin.full_name,
+        role: admin.role,
+        permissions: req.admin.permissions,
+        two_factor_enabled: Boolean(admin.two_factor_enabled),
         is_active: admin.is_active,
         last_login: admin.last_login
       }, 'Profile retrieved successfully');
@@ -83,6 +103,7 @@ class AdminController {
 
       // Update password
       await Admin.changePassword(adminId, new_password);
+      await AuthSession.revokeAll('admin', adminId, 'password_changed', req.sessionId);
 
       return ApiResponse.success(res, null, 'Password changed successfully');
     } catch (error) {
@@ -234,50 +255,27 @@ class AdminController {
   static async getActivityLog(req, res) {
     try {
       const { page = 1, limit = 20 } = req.query;
-      const offset = (page - 1) * limit;
-
-      // This would require an audit_logs table implementation
-      // For now, return recent admin actions based on updated records
-      const recentActivities = await Admin.rawQuery(`
-        SELECT 
-          'customer_created' as action,
-          c.full_name as target,
-          c.created_at as timestamp,
-          'Created new customer' as description
-        FROM customers c
-        WHERE c.created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
-        
-        UNION ALL
-        
-        SELECT 
-          'bill_generated' as action,
-          CONCAT(cust.full_name, ' - ', b.bill_number) as target,
-          b.generated_at as timestamp,
-          'Generated monthly bill' as description
-        FROM bills b
-        JOIN customers cust ON b.customer_id = cust.id
-        WHERE b.generated_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
-        
-        ORDER BY timestamp DESC
-        LIMIT ${parseInt(offset)}, ${parseInt(limit)}
-      `);
-
-      const totalCount = await Admin.rawQuery(`
-        SELECT COUNT(*) as total FROM (
-          SELECT created_at FROM customers WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
-          UNION ALL
-          SELECT generated_at FROM bills WHERE generated_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
-        ) as activities
-      `);
+
+      const { logs, pagination } = await AuditLog.getLogs(page, limit);
+
+      const verbs = { INSERT: 'created', UPDATE: 'updated', DELETE: 'deleted' };
+      const activities = logs.map(log => {
+        const target = `${AuditLog.TABLE_LABELS[log.table_name] || log.table_name} #${log.record_id}`;
+        const fields = Object.keys(log.new_values || {}).join(', ');
+
+        return {
+          id: log.id,
+          action: `${log.table_name}.${log.action.toLowerCase()}`,
+          target,
+          timestamp: log.created_at,
+          description: `${log.actor_name || 'System'} ${verbs[log.action]} ${target}${fields ? ` (${fields})` : ''}`,
+          user_type: log.user_type
+        };
+      });
 
       return ApiResponse.success(res, {
-        activities: recentActivities,
-        pagination: {
-          current_page: parseInt(page),
-          per_page: parseInt(limit),
-          total: totalCount[0].total,
-          total_pages: Math.ceil(totalCount[0].total / limit)
-        }
+        activities,
+        pagination
       }, 'Activity log retrieved successfully');
     } catch (error) {
       return ApiResponse.error(res, error.message, 500);
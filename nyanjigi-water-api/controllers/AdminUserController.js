@@ -0,0 +1,239 @@
+const { Admin, AuditLog, AuthSession, TwoFactor } = require('../models');
+const ApiResponse = require('../utils/response');
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../utils/permissions');
+
+/**
+ * Admin User Controller - Committee member accounts and their roles
+ */
+class AdminUserController {
+  // Refuse changes that would leave no active superadmin; returns true when a response was sent
+  static async rejectLastSuperadmin(res, admin) {
+    if (admin.role !== 'superadmin' || !admin.is_active) {
+      return false;
+    }
+
+    const others = await Admin.countOtherActiveSuperadmins(admin.id);
+    if (others > 0) {
+      return false;
+    }
+
+    ApiResponse.error(res, 'At least one active superadmin is required', 400);
+    return true;
+  }
+
+  // List admin users with the available roles (Superadmin only)
+  static async getUsers(req, res) {
+    try {
+      const users = await Admin.getAdmins();
+
+      return ApiResponse.success(res, {
+        users,
+        roles: ROLES,
+        permissions: PERMISSIONS,
+        role_permissions: ROLE_PERMISSIONS
+      }, 'Admin users retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Create an admin user (Superadmin only)
+  static async createUser(req, res) {
+    try {
+      const { username, email } = req.body;
+
+      if (await Admin.findByUsername(username)) {
+        return ApiResponse.error(res, 'Username is already taken', 400);
+      }
+      if (await Admin.findByEmail(email)) {
+        return ApiResponse.error(res, 'Email is already in use', 400);
+      }
+
+      const user = await Admin.createAdmin(req.body);
+
+      await AuditLog.record({
+        table_name: 'admins',
+        record_id: user.id,
+        action: 'INSERT',
+        new_values: user
+      }, AuditLog.actorFromRequest(req));
+
+      return ApiResponse.success(res, user, 'Admin user created successfully', 201);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Update an admin user's name, email or role (Superadmin only)
+  static async updateUser(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const user = await Admin.getAdmin(id);
+      if (!user) {
+        return ApiResponse.notFound(res, 'Admin user not found');
+      }
+
+      if (req.body.email && req.body.email !== user.email) {
+        const existing = await Admin.findByEmail(req.body.email);
+        if (existing && existing.id !== id) {
+          return ApiResponse.error(res, 'Email is already in use', 400);
+        }
+      }
+
+      if (req.body.role && req.body.role !== user.role) {
+        if (id === req.admin.id) {
+          return ApiResponse.error(res, 'You cannot change your own role', 400);
+        }
+        if (await AdminUserController.rejectLastSuperadmin(res, user)) {
+          return;
+        }
+      }
+
+      const updated = await Admin.updateAdmin(id, req.body);
+
+      await AuditLog.record({
+        table_name: 'admins',
+        record_id: id,
+        action: 'UPDATE',
+        old_values: user,
+        new_values: updated
+      }, AuditLog.actorFromRequest(req));
+
+      return ApiResponse.success(res, updated, 'Admin user updated successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Activate or deactivate an admin user (Superadmin only)
+  static async toggleUserStatus(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const user = await Admin.getAdmin(id);
+      if (!user) {
+        return ApiResponse.notFound(res, 'Admin user not found');
+      }
+
+      if (id === req.admin.id) {
+        return ApiResponse.error(res, 'You cannot deactivate your own account', 400);
+      }
+      if (await AdminUserController.rejectLastSuperadmin(res, user)) {
+        return;
+      }
+
+      await Admin.setActive(id, !user.is_active);
+      const updated = await Admin.getAdmin(id);
+
+      if (!updated.is_active) {
+        await AuthSession.revokeAll('admin', id, 'account_deactivated');
+      }
+
+      await AuditLog.record({
+        table_name: 'admins',
+        record_id: id,
+        action: 'UPDATE',
+        old_values: user,
+        new_values: updated
+      }, AuditLog.actorFromRequest(req));
+
+      return ApiResponse.success(res, updated,
+        `Admin user ${updated.is_active ? 'activated' : 'deactivated'} successfully`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Set a new password for an admin user (Superadmin only)
+  static async resetUserPassword(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const user = await Admin.getAdmin(id);
+      if (!user) {
+        return ApiResponse.notFound(res, 'Admin user not found');
+      }
+
+      await Admin.changePassword(id, req.body.new_password);
+      await AuthSession.revokeAll('admin', id, 'password_reset');
+
+      await AuditLog.record({
+        table_name: 'admins',
+        record_id: id,
+        action: 'UPDATE',
+        old_values: { password: '[hidden]' },
+        new_values: { password: '[changed]' }
+      }, AuditLog.actorFromRequest(req));
+
+      return ApiResponse.success(res, null, 'Password reset successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Remove an admin's authenticator and backup codes, e.g. after a lost phone (Superadmin only)
+  static async resetUserTwoFactor(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const user = await Admin.getAdmin(id);
+      if (!user) {
+        return ApiResponse.notFound(res, 'Admin user not found');
+      }
+      if (!user.two_factor_enabled) {
+        return ApiResponse.error(res, 'Two-factor authentication is not enabled for this user', 400);
+      }
+
+      await TwoFactor.disable(id);
+
+      await AuditLog.record({
+        table_name: 'admins',
+        record_id: id,
+        action: 'UPDATE',
+        old_values: { two_factor_enabled: true },
+        new_values: { two_factor_enabled: false }
+      }, AuditLog.actorFromRequest(req));
+
+      const required = await TwoFactor.isRequired(user.role);
+      return ApiResponse.success(res, null, required
+        ? 'Two-factor authentication reset; the user sets it up again at their next login'
+        : 'Two-factor authentication reset');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Delete an admin user with no recorded activity (Superadmin only)
+  static async deleteUser(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const user = await Admin.getAdmin(id);
+      if (!user) {
+        return ApiResponse.notFound(res, 'Admin user not found');
+      }
+
+      if (id === req.admin.id) {
+        return ApiResponse.error(res, 'You cannot delete your own account', 400);
+      }
+      if (await AdminUserController.rejectLastSuperadmin(res, user)) {
+        return;
+      }
+
+      await Admin.delete(id);
+      await AuthSession.revokeAll('admin', id, 'account_deactivated');
+
+      await AuditLog.record({
+        table_name: 'admins',
+        record_id: id,
+        action: 'DELETE',
+        old_values: user
+      }, AuditLog.actorFromRequest(req));
+
+      return ApiResponse.success(res, null, 'Admin user deleted successfully');
+    } catch (error) {
+      if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+        return ApiResponse.error(res, 'This user has recorded activity; deactivate the account instead', 400);
+      }
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = AdminUserController;
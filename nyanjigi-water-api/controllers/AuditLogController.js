@@ -0,0 +1,99 @@
+const { AuditLog } = require('../models');
+const ApiResponse = require('../utils/response');
+const CsvUtils = require('../utils/csv');
+const moment = require('moment');
+
+const FILTER_FIELDS = ['table_name', 'record_id', 'action', 'user_type', 'user_id', 'date_from', 'date_to'];
+
+/**
+ * Audit Log Controller - Viewing and exporting the audit trail
+ */
+class AuditLogController {
+  static getFilters(query) {
+    const filters = {};
+    FILTER_FIELDS.forEach(field => {
+      if (query[field]) {
+        filters[field] = query[field];
+      }
+    });
+    return filters;
+  }
+
+  // Changed fields as "field: old -> new" for one CSV cell
+  static describeChanges(log) {
+    const oldValues = log.old_values || {};
+    const newValues = log.new_values || {};
+    const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+
+    const format = value => {
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+
+    return fields
+      .map(field => `${field}: ${format(oldValues[field])} -> ${format(newValues[field])}`)
+      .join('; ');
+  }
+
+  // List audit entries with filters (Admin: audit.view)
+  static async getLogs(req, res) {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const result = await AuditLog.getLogs(page, limit, AuditLogController.getFilters(req.query));
+
+      return ApiResponse.success(res, {
+        ...result,
+        tables: AuditLog.TABLE_LABELS
+      }, 'Audit logs retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Every change to a single record (Admin: audit.view)
+  static async getRecordHistory(req, res) {
+    try {
+      const { table, recordId } = req.params;
+      const history = await AuditLog.getRecordHistory(table, parseInt(recordId));
+
+      return ApiResponse.success(res, {
+        table_name: table,
+        record_id: parseInt(recordId),
+        history
+      }, 'Record history retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Download filtered audit entries as CSV (Admin: audit.view)
+  static async exportLogs(req, res) {
+    try {
+      const logs = await AuditLog.getLogsForExport(AuditLogController.getFilters(req.query));
+      const row = values => values.map(value => CsvUtils.escape(value)).join(',');
+
+      const csv = [
+        row(['Date', 'Table', 'Record ID', 'Action', 'User Type', 'User', 'IP Address', 'User Agent', 'Changes']),
+        ...logs.map(log => row([
+          moment(log.created_at).format('YYYY-MM-DD HH:mm:ss'),
+          AuditLog.TABLE_LABELS[log.table_name] || log.table_name,
+          log.record_id,
+          log.action,
+          log.user_type,
+          log.actor_name ? `${log.actor_name} (${log.actor_username})` : '',
+          log.ip_address,
+          log.user_agent,
+          AuditLogController.describeChanges(log)
+        ]))
+      ].join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=audit-log-${moment().format('YYYY-MM-DD')}.csv`);
+      return res.send(csv);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = AuditLogController;
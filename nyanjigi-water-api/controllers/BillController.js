@@ -1,7 +1,12 @@
-const { Bill, Customer, SystemSettings } = require('../models');
+const { Bill, BillingRate, Customer, MeterReading, Ledger, AuditLog } = require('../models');
 const ApiResponse = require('../utils/response');
 const moment = require('moment');
 const NotificationService = require('../services/NotificationService');
+const DocumentService = require('../services/DocumentService');
+
+// Set only by recording payments, so a bill's balance and the ledger always agree with its status
+const PAYMENT_STATUSES = ['paid', 'partially_paid'];
+const PAYMENT_STATUS_MESSAGE = 'Bills are marked paid by recording a payment against them';
 
 /**
  * Bill Controller - Handles billing operations and management
@@ -94,6 +99,7 @@ class BillController {
         status,
         billing_month,
         overdue,
+        estimated,
         search
       } = req.query;
 
@@ -102,6 +108,7 @@ class BillController {
       if (status) filters.status = status;
       if (billing_month) filters.billing_month = billing_month;
       if (overdue === 'true') filters.overdue = true;
+      if (estimated === 'true') filters.estimated = true;
       if (search) filters.search = search;
 
       const result = await Bill.getBillsWithPagination(
@@ -132,19 +139,42 @@ class BillController {
     }
   }
 
+  // Download a printable PDF of a bill (Admin only)
+  static async downloadBillPdf(req, res) {
+    try {
+      const { billId } = req.params;
+      const bill = await Bill.getBillWithCustomer(parseInt(billId));
+
+      if (!bill) {
+        return ApiResponse.notFound(res, 'Bill not found');
+      }
+
+      const { filename, buffer } = await DocumentService.renderBill(bill);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      return res.send(buffer);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
   // Update bill status (Admin only)
   static async updateBillStatus(req, res) {
     try {
       const { billId } = req.params;
       const { status } = req.body;
 
-      const validStatuses = ['pending', 'paid', 'overdue', 'partially_paid'];
+      if (PAYMENT_STATUSES.includes(status)) {
+        return ApiResponse.error(res, PAYMENT_STATUS_MESSAGE, 400);
+      }
+
+      const validStatuses = ['pending', 'overdue'];
       if (!validStatuses.includes(status)) {
         return ApiResponse.error(res, 'Invalid bill status', 400);
       }
 
-      const paidAt = status === 'paid' ? new Date() : null;
-      const updatedBill = await Bill.updateBillStatus(parseInt(billId), status, paidAt);
+      const updatedBill = await Bill.updateBillStatus(parseInt(billId), status, null, AuditLog.actorFromRequest(req));
 
       if (!updatedBill) {
         return ApiResponse.notFound(res, 'Bill not found');
@@ -182,21 +212,20 @@ class BillController {
 
       // Calculate totals for all bills regardless of period
       const totalPaidAmountResult = await Bill.rawQuery(`
-        SELECT COALESCE(SUM(total_amount), 0) as total_paid_amount
+        SELECT COALESCE(SUM(amount_paid), 0) as total_paid_amount
         FROM bills
-        WHERE status = 'paid'
       `);
 
       const totalPendingAmountResult = await Bill.rawQuery(`
-        SELECT COALESCE(SUM(total_amount), 0) as total_pending_amount
+        SELECT COALESCE(SUM(balance_due), 0) as total_pending_amount
         FROM bills
-        WHERE status = 'pending'
+        WHERE status IN ('pending', 'partially_paid') AND balance_due > 0
       `);
 
       const totalOverdueAmountResult = await Bill.rawQuery(`
-        SELECT COALESCE(SUM(total_amount), 0) as total_overdue_amount
+        SELECT COALESCE(SUM(balance_due), 0) as total_overdue_amount
         FROM bills
-        WHERE status = 'overdue'
+        WHERE status = 'overdue' AND balance_due > 0
       `);
 
       const totalPaidAmount = parseFloat(totalPaidAmountResult[0].total_paid_amount);
@@ -291,7 +320,11 @@ class BillController {
         return ApiResponse.error(res, 'Bill IDs array is required', 400);
       }
 
-      const validStatuses = ['pending', 'paid', 'overdue', 'partially_paid'];
+      if (PAYMENT_STATUSES.includes(status)) {
+        return ApiResponse.error(res, PAYMENT_STATUS_MESSAGE, 400);
+      }
+
+      const validStatuses = ['pending', 'overdue'];
       if (!validStatuses.includes(status)) {
         return ApiResponse.error(res, 'Invalid bill status', 400);
       }
@@ -301,8 +334,7 @@ class BillController {
 
       for (const billId of bill_ids) {
         try {
-          const paidAt = status === 'paid' ? new Date() : null;
-          const updatedBill = await Bill.updateBillStatus(parseInt(billId), status, paidAt);
+          const updatedBill = await Bill.updateBillStatus(parseInt(billId), status, null, AuditLog.actorFromRequest(req));
           
           if (updatedBill) {
             results.push({
@@ -341,7 +373,7 @@ class BillController {
   // Generate bill preview (Admin only)
   static async generateBillPreview(req, res) {
     try {
-      const { customer_id, billing_month } = req.body;
+      const { customer_id, billing_month, meter_reading } = req.body;
 
       if (!customer_id || !billing_month) {
         return ApiResponse.error(res, 'Customer ID and billing month are required', 400);
@@ -352,14 +384,34 @@ class BillController {
         return ApiResponse.notFound(res, 'Customer not found');
       }
 
-      // Get billing settings
-      const billingSettings = await SystemSettings.getBillingSettings();
       const billingDate = moment(billing_month);
+      const periodStart = billingDate.clone().startOf('month').format('YYYY-MM-DD');
+      const periodEnd = billingDate.clone().endOf('month').format('YYYY-MM-DD');
 
       // Calculate due date as end of previous month + 5 days
       const previousMonthEnd = billingDate.clone().subtract(1, 'month').endOf('month');
       const dueDate = previousMonthEnd.clone().add(5, 'days').format('YYYY-MM-DD');
 
+      // Use a hypothetical reading when supplied, otherwise the one recorded for the period
+      let reading = null;
+      if (meter_reading !== undefined && meter_reading !== null) {
+        const evaluation = await MeterReading.evaluateReading(customer.id, periodStart, meter_reading);
+        reading = { ...evaluation, reading_value: parseFloat(meter_reading) };
+      } else {
+        const periodReadings = await MeterReading.getReadingsForPeriod(periodStart, [customer.id]);
+        reading = periodReadings[customer.id] || null;
+      }
+
+      let charge;
+      try {
+        const estimatedBills = reading && reading.consumption !== null
+          ? await Bill.getUntruedEstimatedBills(customer.id, periodStart)
+          : [];
+        charge = await Bill.calculateCustomerCharge(customer, periodStart, periodEnd, reading, new Map(), { estimatedBills });
+      } catch (error) {
+        return ApiResponse.error(res, error.message, 400);
+      }
+
       const preview = {
         customer: {
           id: customer.id,
@@ -368,17 +420,27 @@ class BillController {
           phone: customer.phone
         },
         billing_period: {
-          start: billingDate.clone().startOf('month').format('YYYY-MM-DD'),
-          end: billingDate.clone().endOf('month').format('YYYY-MM-DD'),
+          start: periodStart,
+          end: periodEnd,
           month_year: billingDate.format('MMMM YYYY')
         },
         amounts: {
           previous_balance: parseFloat(customer.outstanding_bills),
-          current_charges: billingSettings.flat_rate,
-          total_amount: parseFloat(customer.outstanding_bills) + billingSettings.flat_rate
+          current_charges: charge.total,
+          total_amount: parseFloat(customer.outstanding_bills) + charge.total
         },
+        consumption: {
+          reading_flags: reading ? reading.flags : [],
+          meter_reading_previous: charge.meter_reading_previous,
+          meter_reading_current: charge.meter_reading_current,
+          units_consumed: charge.units_consumed,
+          rate_per_unit: charge.rate_per_unit
+        },
+        items: charge.items,
+        rate_version: charge.rate_version,
         due_date: dueDate,
-        bill_type: 'flat_rate'
+        bill_type: charge.bill_type,
+        is_estimated: charge.is_estimated
       };
 
       return ApiResponse.success(res, preview, 'Bill preview generated successfully');
@@ -387,6 +449,69 @@ class BillController {
     }
   }
 
+  // Get billing rate versions (Admin only)
+  static async getBillingRates(req, res) {
+    try {
+      const includeInactive = req.query.include_inactive === 'true';
+      const versions = await BillingRate.getRateVersions(includeInactive);
+
+      return ApiResponse.success(res, versions, 'Billing rates retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Create a new billing rate version (Admin only)
+  static async createBillingRate(req, res) {
+    try {
+      const version = await BillingRate.createRateVersion(req.body, req.admin.id);
+
+      return ApiResponse.success(res, version, 'Billing rate version created successfully', 201);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 400);
+    }
+  }
+
+  // Deactivate a billing rate version (Admin only)
+  static async deactivateBillingRate(req, res) {
+    try {
+      const { rateVersion } = req.params;
+      const deactivated = await BillingRate.deactivateRateVersion(rateVersion);
+
+      if (!deactivated) {
+        return ApiResponse.notFound(res, 'Billing rate version not found');
+      }
+
+      return ApiResponse.success(res, null, 'Billing rate version deactivated successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Calculate charges for a consumption figure using the active tariff (Admin only)
+  static async calculateCharges(req, res) {
+    try {
+      const { units, customer_type = 'normal', billing_month } = req.body;
+
+      const billingDate = billing_month ? moment(billing_month) : moment();
+      const periodStart = billingDate.clone().startOf('month').format('YYYY-MM-DD');
+      const periodEnd = billingDate.clone().endOf('month').format('YYYY-MM-DD');
+
+      const rateVersion = await BillingRate.getActiveRates(periodStart, periodEnd, {
+        customerType: customer_type,
+        metered: true
+      });
+
+      if (!rateVersion) {
+        return ApiResponse.notFound(res, 'No active metered tariff for this period');
+      }
+
+      return ApiResponse.success(res, BillingRate.calculateCharges(rateVersion, units), 'Charges calculated successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
   // Get monthly billing summary (Admin only)
   static async getMonthlyBillingSummary(req, res) {
     try {
@@ -409,7 +534,8 @@ class BillController {
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_bills,
           COUNT(CASE WHEN status = 'overdue' OR (due_date < CURDATE() AND status != 'paid') THEN 1 END) as overdue_bills,
           SUM(total_amount) as total_billed,
-          SUM(CASE WHEN status = 'paid' THEN total_amount ELSE 0 END) as total_collected,
+          SUM(amount_paid) as total_collected,
+          SUM(CASE WHEN balance_due > 0 THEN balance_due ELSE 0 END) as total_outstanding,
           AVG(total_amount) as average_bill_amount
         FROM bills 
         WHERE billing_period_start >= ? AND billing_period_start <= ?
@@ -435,7 +561,7 @@ class BillController {
           total_collected: parseFloat(monthlyData.total_collected || 0),
           average_bill_amount: parseFloat(monthlyData.average_bill_amount || 0),
           collection_rate: collectionRate,
-          outstanding_amount: parseFloat(monthlyData.total_billed || 0) - parseFloat(monthlyData.total_collected || 0)
+          outstanding_amount: parseFloat(monthlyData.total_outstanding || 0)
         }
       }, 'Monthly billing summary retrieved successfully');
     } catch (error) {
@@ -531,6 +657,7 @@ class BillController {
       const deleted = await Bill.delete(parseInt(billId));
 
       if (deleted) {
+        await Ledger.recordBillReversal(bill, req.admin.id);
         return ApiResponse.success(res, null, 'Bill deleted successfully');
       } else {
         return ApiResponse.error(res, 'Failed to delete bill', 500);
@@ -1,4 +1,4 @@
-const { Contribution, Customer, SystemSettings } = require('../models');
+const { Contribution, Customer, SystemSettings, Ledger } = require('../models');
 const ApiResponse = require('../utils/response');
 const moment = require('moment');
 
@@ -310,13 +310,19 @@ class ContributionController {
 
       const updatedContribution = await Contribution.update(parseInt(contributionId), updateData);
 
-      // Log the manual payment in notes
-      if (payment_notes) {
-        await Contribution.rawQuery(
-          'INSERT INTO payment_allocations (payment_id, allocation_type, amount, notes) VALUES (NULL, ?, ?, ?)',
-          ['contribution', paymentAmount, `Manual payment: ${payment_notes}. Admin: ${req.admin.id}`]
-        );
-      }
+      // Record the manual payment in the customer's ledger
+      await Ledger.recordPayment({
+        customer_id: contribution.customer_id,
+        amount: paymentAmount,
+        reference_type: 'contribution',
+        reference_id: contribution.id,
+        description: payment_notes
+          ? `Manual contribution payment: ${payment_notes}`
+          : `Manual contribution payment for ${moment(contribution.contribution_month).format('MMMM YYYY')}`
+      }, {
+        account: Ledger.ACCOUNTS.CASH,
+        createdBy: req.admin.id
+      });
 
       return ApiResponse.success(res, {
         contribution: updatedContribution,
@@ -1,7 +1,9 @@
-const { Customer, Bill, Payment, Contribution, Fine } = require('../models');
+const { Customer, Bill, Payment, Contribution, Fine, Ledger, CustomerStatement, NotificationPreference, AuditLog, AuthSession } = require('../models');
 const AuthUtils = require('../utils/auth');
 const ApiResponse = require('../utils/response');
 const SMSService = require('../services/SMSService');
+const DocumentService = require('../services/DocumentService');
+const NotificationService = require('../services/NotificationService');
 
 /**
  * Customer Controller - Handles customer authentication and account management
@@ -15,11 +17,12 @@ class CustomerController {
       // Authenticate customer
       const customer = await Customer.authenticateCustomer(account_number, password);
 
-      // Generate JWT token
-      const token = AuthUtils.generateToken({
-        id: customer.id,
-        account_number: customer.account_number,
-        type: 'customer'
+      // Open a session: short-lived access token plus a rotating refresh token
+      const tokens = await AuthSession.startSession('customer', customer.id, {
+        account_number: customer.account_number
+      }, {
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
       });
 
       return ApiResponse.success(res, {
@@ -29,10 +32,10 @@ class CustomerController {
           full_name: customer.full_name,
           phone: customer.phone,
           email: customer.email,
-          zone: customer.zone
+          zone: customer.zone,
+          language: customer.language
         },
-        token,
-        expires_in: process.env.JWT_EXPIRE || '24h'
+        ...tokens
       }, 'Login successful');
     } catch (error) {
       return ApiResponse.error(res, error.message, 401);
@@ -67,6 +70,7 @@ class CustomerController {
         full_name: customer.full_name,
         phone: customer.phone,
         email: customer.email,
+        language: customer.language,
         location: customer.location,
         zone: customer.zone,
         meter_number: customer.meter_number,
@@ -94,7 +98,7 @@ class CustomerController {
       if (phone) updateData.phone = phone;
       if (email) updateData.email = email;
 
-      const updatedCustomer = await Customer.updateCustomer(customerId, updateData);
+      const updatedCustomer = await Customer.updateCustomer(customerId, updateData, AuditLog.actorFromRequest(req));
 
       return ApiResponse.success(res, {
         id: updatedCustomer.id,
@@ -108,6 +112,44 @@ class CustomerController {
     }
   }
 
+  // Get customer notification preferences
+  static async getNotificationPreferences(req, res) {
+    try {
+      const preferences = await NotificationPreference.getPreferences(req.customer.id);
+
+      return ApiResponse.success(res, {
+        ...preferences,
+        mandatory_notifications: NotificationService.getMandatoryNotifications()
+      }, 'Notification preferences retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Update customer notification preferences
+  static async updateNotificationPreferences(req, res) {
+    try {
+      const customerId = req.customer.id;
+      const { channel } = req.body;
+
+      if (channel === 'email') {
+        const customer = await Customer.findById(customerId);
+        if (!customer.email) {
+          return ApiResponse.error(res, 'Add an email address to your profile before choosing email notifications', 400);
+        }
+      }
+
+      const preferences = await NotificationPreference.updatePreferences(customerId, req.body);
+
+      return ApiResponse.success(res, {
+        ...preferences,
+        mandatory_notifications: NotificationService.getMandatoryNotifications()
+      }, 'Notification preferences updated successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
   // Change customer password
   static async changePassword(req, res) {
     try {
@@ -128,6 +170,7 @@ class CustomerController {
       }
 
       await Customer.changePassword(customerId, new_password);
+      await AuthSession.revokeAll('customer', customerId, 'password_changed', req.sessionId);
 
       return ApiResponse.success(res, null, 'Password changed successfully');
     } catch (error) {
@@ -179,6 +222,28 @@ class CustomerController {
     }
   }
 
+  // Download a printable PDF of the customer's own bill
+  static async downloadBillPdf(req, res) {
+    try {
+      const customerId = req.customer.id;
+      const { billId } = req.params;
+
+      const bill = await Bill.getBillWithCustomer(parseInt(billId));
+
+      if (!bill || bill.customer_id !== customerId) {
+        return ApiResponse.notFound(res, 'Bill not found');
+      }
+
+      const { filename, buffer } = await DocumentService.renderBill(bill);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      return res.send(buffer);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
   // Get customer payments
   static async getPayments(req, res) {
     try {
@@ -211,6 +276,28 @@ class CustomerController {
     }
   }
 
+  // Download a printable PDF receipt for the customer's own payment
+  static async downloadReceipt(req, res) {
+    try {
+      const customerId = req.customer.id;
+      const { paymentId } = req.params;
+
+      const payment = await Payment.getPaymentWithAllocations(parseInt(paymentId));
+
+      if (!payment || payment.customer_id !== customerId) {
+        return ApiResponse.notFound(res, 'Payment not found');
+      }
+
+      const { filename, buffer } = await DocumentService.renderReceipt(payment);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      return res.send(buffer);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
   // Get customer contributions
   static async getContributions(req, res) {
     try {
@@ -242,21 +329,28 @@ class CustomerController {
   // Get customer account summary
   static async getAccountSummary(req, res) {
     try {
-      const customerId = req.customer.id;
+      let customerId;
+      if (req.customer) {
+        customerId = req.customer.id;
+      } else if (req.params.customerId) {
+        customerId = parseInt(req.params.customerId);
+      } else {
+        return ApiResponse.error(res, 'Customer ID required', 400);
+      }
 
       const [
+        balance,
         billSummary,
         contributionSummary,
         recentPayments
       ] = await Promise.all([
+        Ledger.getBalanceBreakdown(customerId),
         Bill.getCustomerBillSummary(customerId),
         Contribution.getCustomerContributionSummary(customerId),
         Payment.getCustomerPayments(customerId, 1, 5)
       ]);
 
-      const totalOutstanding =
-        billSummary.outstanding_amount +
-        contributionSummary.outstanding_amount;
+      const totalOutstanding = Math.max(0, balance.total_balance);
 
       const totalPaid =
         billSummary.total_paid +
@@ -265,6 +359,8 @@ class CustomerController {
       return ApiResponse.success(res, {
         account_summary: {
           total_outstanding: totalOutstanding,
+          credit_balance: balance.credit_balance,
+          outstanding_fines: balance.fines,
           total_paid: totalPaid,
           account_status: totalOutstanding > 0 ? 'outstanding' : 'current'
         },
@@ -277,6 +373,72 @@ class CustomerController {
     }
   }
 
+  // Get customer ledger with running balance
+  static async getLedger(req, res) {
+    try {
+      let customerId;
+      if (req.customer) {
+        customerId = req.customer.id;
+      } else if (req.params.customerId) {
+        customerId = parseInt(req.params.customerId);
+      } else {
+        return ApiResponse.error(res, 'Customer ID required', 400);
+      }
+
+      if (!req.customer) {
+        const customer = await Customer.findById(customerId);
+        if (!customer) {
+          return ApiResponse.notFound(res, 'Customer not found');
+        }
+      }
+
+      const { from, to } = req.query;
+      const ledger = await Ledger.getCustomerEntries(customerId, { from, to });
+      const balance = await Ledger.getBalanceBreakdown(customerId);
+
+      return ApiResponse.success(res, {
+        ...ledger,
+        balance
+      }, 'Customer ledger retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get account statement for a date range as JSON, CSV or PDF (Customer or Admin)
+  static async getStatement(req, res) {
+    try {
+      const customerId = req.customer ? req.customer.id : parseInt(req.params.customerId);
+      const { from, to, format = 'json' } = req.query;
+
+      const statement = await CustomerStatement.generate(customerId, { from, to });
+      if (!statement) {
+        return ApiResponse.notFound(res, 'Customer not found');
+      }
+
+      if (format === 'csv') {
+        const { filename, content } = DocumentService.renderStatementCsv(statement);
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+        return res.send(content);
+      }
+
+      if (format === 'pdf') {
+        const { filename, buffer } = await DocumentService.renderStatement(statement);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+        return res.send(buffer);
+      }
+
+      return ApiResponse.success(res, statement, 'Statement retrieved successfully');
+    } catch (error) {
+      if (error.message.includes('must be before')) {
+        return ApiResponse.error(res, error.message, 400);
+      }
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
   // ===== ADMIN FUNCTIONS FOR CUSTOMER MANAGEMENT =====
 
   // Create new customer (Admin only)
@@ -359,14 +521,15 @@ class CustomerController {
 
       // Soft delete logic
       if (updateData.deleted === true) {
-        const updatedCustomer = await Customer.updateCustomer(parseInt(customerId), { deleted: true });
+        const updatedCustomer = await Customer.updateCustomer(parseInt(customerId), { deleted: true }, AuditLog.actorFromRequest(req));
         if (!updatedCustomer) {
           return ApiResponse.notFound(res, 'Customer not found');
         }
+        await AuthSession.revokeAll('customer', updatedCustomer.id, 'account_deactivated');
         return ApiResponse.success(res, updatedCustomer, 'Customer soft deleted successfully');
       }
 
-      const updatedCustomer = await Customer.updateCustomer(parseInt(customerId), updateData);
+      const updatedCustomer = await Customer.updateCustomer(parseInt(customerId), updateData, AuditLog.actorFromRequest(req));
 
       if (!updatedCustomer) {
         return ApiResponse.notFound(res, 'Customer not found');
@@ -390,6 +553,15 @@ class CustomerController {
       }
 
       await Customer.changePassword(parseInt(customerId), password);
+      await AuthSession.revokeAll('customer', parseInt(customerId), 'password_reset');
+
+      await AuditLog.record({
+        table_name: 'customers',
+        record_id: parseInt(customerId),
+        action: 'UPDATE',
+        old_values: { password: '[hidden]' },
+        new_values: { password: '[changed]' }
+      }, AuditLog.actorFromRequest(req));
 
       return ApiResponse.success(res, {
         customer_id: customerId,
@@ -413,7 +585,12 @@ class CustomerController {
       const newStatus = !customer.is_active;
       const updatedCustomer = await Customer.updateCustomer(parseInt(id), {
         is_active: newStatus
-      });
+      }, AuditLog.actorFromRequest(req));
+
+      // A deactivated customer is signed out everywhere straight away
+      if (!newStatus) {
+        await AuthSession.revokeAll('customer', customer.id, 'account_deactivated');
+      }
       
       return ApiResponse.success(res, updatedCustomer,
         `Customer ${newStatus ? 'activated' : 'deactivated'} successfully`);
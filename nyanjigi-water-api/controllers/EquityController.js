@@ -17,7 +17,7 @@
 // 1. EQUITY CONTROLLER (controllers/EquityController.js)
 // ============================================
 
-const { Customer, Bill, Contribution, Fine, Payment } = require('../models');
+const { Customer, Bill, Contribution, Fine, Payment, Ledger, SuspensePayment, SystemSettings, AuditLog } = require('../models');
 const { executeQuery, executeTransaction } = require('../config/database');
 const ApiResponse = require('../utils/response');
 const moment = require('moment');
@@ -131,60 +131,9 @@ async login(req, res) {
         // Don't fail, just log warning
       }
 
-      // Calculate total outstanding balance
-      const balanceQuery = `
-        SELECT 
-          COALESCE(SUM(outstanding), 0) as total_outstanding 
-        FROM (
-          -- Outstanding bills
-          SELECT SUM(total_amount) as outstanding
-          FROM bills
-          WHERE customer_id = ? 
-          AND status IN ('pending', 'overdue', 'partially_paid')
-          
-          UNION ALL
-          
-          -- Outstanding fines
-          SELECT SUM(amount) as outstanding
-          FROM applied_fines
-          WHERE customer_id = ? 
-          AND status = 'pending'
-          
-          UNION ALL
-          
-          -- Outstanding contributions
-          SELECT SUM(amount_required - amount_paid) as outstanding
-          FROM contributions
-          WHERE customer_id = ? 
-          AND status IN ('pending', 'partial', 'overdue')
-        ) as totals
-      `;
-
-      const balanceResult = await executeQuery(balanceQuery, [
-        customer.id, 
-        customer.id, 
-        customer.id
-      ]);
-      
-      const outstandingBalance = parseFloat(balanceResult[0]?.total_outstanding || 0);
-
-      // Get breakdown for customer info
-      const breakdownQuery = `
-        SELECT 
-          COALESCE(SUM(CASE WHEN status IN ('pending', 'overdue', 'partially_paid') THEN total_amount ELSE 0 END), 0) as bills,
-          COALESCE((SELECT SUM(amount) FROM applied_fines WHERE customer_id = ? AND status = 'pending'), 0) as fines,
-          COALESCE((SELECT SUM(amount_required - amount_paid) FROM contributions WHERE customer_id = ? AND status IN ('pending', 'partial', 'overdue')), 0) as contributions
-        FROM bills
-        WHERE customer_id = ?
-      `;
-      
-      const breakdownResult = await executeQuery(breakdownQuery, [
-        customer.id, 
-        customer.id, 
-        customer.id
-      ]);
-      
-      const breakdown = breakdownResult[0];
+      // Outstanding balance and breakdown come from the customer ledger
+      const balance = await Ledger.getBalanceBreakdown(customer.id);
+      const outstandingBalance = Math.max(0, balance.total_balance);
 
       // Success response to Equity
       const response = {
@@ -198,9 +147,10 @@ async login(req, res) {
           status: 'active',
           outstanding_balance: parseFloat(outstandingBalance.toFixed(2)),
           balance_breakdown: {
-            bills: parseFloat(breakdown.bills || 0),
-            fines: parseFloat(breakdown.fines || 0),
-            contributions: parseFloat(breakdown.contributions || 0)
+            bills: balance.bills,
+            fines: balance.fines,
+            contributions: balance.contributions,
+            credit: balance.credit_balance
           }
         }
       };
@@ -238,7 +188,9 @@ async login(req, res) {
         payment_method,
         status,
         timestamp,
-        narrative
+        narrative,
+        original_transaction_id,
+        phone
       } = req.body;
 
       // Log callback received
@@ -286,7 +238,9 @@ async login(req, res) {
         payment_method,
         status,
         timestamp: timestamp || new Date().toISOString(),
-        narrative
+        narrative,
+        original_transaction_id,
+        phone
       }).catch(error => {
         console.error('[Equity Callback] Processing error:', error);
       });
@@ -324,7 +278,11 @@ async processEquityPayment(callbackData) {
       
       if (status && status.trim() !== '') {
         const providedStatus = status.toLowerCase();
-         if (providedStatus === 'failed' || providedStatus === 'reversed') {
+         if (providedStatus === 'reversed') {
+             // Equity reversed a transaction, undo the payment we recorded for it
+             return await this.processEquityReversal(callbackData);
+         }
+         if (providedStatus === 'failed') {
              finalStatus = 'failed';
          }
       }
@@ -354,14 +312,16 @@ async processEquityPayment(callbackData) {
       const customers = await executeQuery(customerQuery, [member_number]);
 
       if (!customers || customers.length === 0) {
-        console.error('[Equity Process] Customer not found:', member_number);
+        // Hold the money in suspense until an admin matches it to a customer
+        console.warn('[Equity Process] Customer not found, moved to suspense:', member_number);
+        const suspense = await SuspensePayment.recordUnmatched(callbackData);
         await this.logPaymentAttempt({
           transaction_id,
           member_number,
           amount,
           payment_method,
-          status: 'error',
-          reason: 'Customer not found',
+          status: 'suspense',
+          reason: `Customer not found, held as suspense payment #${suspense.id}`,
           timestamp
         });
         return;
@@ -421,13 +381,22 @@ async processEquityPayment(callbackData) {
 
       const paymentId = insertResult.insertId;
 
+      // Credit the full amount to the customer's ledger
+      await Ledger.recordPayment({
+        id: paymentId,
+        customer_id: customer.id,
+        amount: parseFloat(amount),
+        payment_date: paymentDate,
+        transaction_id: `EQ-${transaction_id}`
+      });
+
       console.log('[Equity Process] Payment recorded:', {
         payment_id: paymentId,
         customer_id: customer.id,
         amount: amount
       });
 
-      // Allocate payment to outstanding items
+      // Allocate payment to outstanding items; callbacks are recorded as the system
       const allocationResult = await this.allocatePayment(
         paymentId,
         customer.id,
@@ -463,7 +432,8 @@ async processEquityPayment(callbackData) {
           email: customer.email
         },
         'payment_received',
-        variables
+        variables,
+        { documents: { payment_id: paymentId } }
       );
 
       await this.logPaymentAttempt({
@@ -491,55 +461,189 @@ async processEquityPayment(callbackData) {
     }
   }
 
+  /**
+   * STEP 3b: Process Reversal (Async)
+   * Equity sends status 'reversed' for a transaction it has pulled back.
+   * The original payment is reversed and the customer notified. A reversal
+   * whose amount differs from the original is logged for review instead.
+   */
+  async processEquityReversal(callbackData) {
+    const {
+      transaction_id,
+      original_transaction_id,
+      member_number,
+      amount,
+      payment_method,
+      timestamp,
+      narrative
+    } = callbackData;
+    const originalId = original_transaction_id || transaction_id;
+
+    try {
+      console.log('[Equity Reversal] Starting:', { transaction_id, original_transaction_id: originalId });
+
+      const paymentQuery = `
+        SELECT id, status, amount FROM payments 
+        WHERE transaction_id = ? 
+        OR equity_reference = ?
+        LIMIT 1
+      `;
+      const payments = await executeQuery(paymentQuery, [`EQ-${originalId}`, originalId]);
+
+      if (!payments || payments.length === 0) {
+        const suspense = await SuspensePayment.findByTransactionId(originalId);
+        if (suspense && !this.reversalAmountMatches(amount, suspense.amount)) {
+          await this.logReversalForReview(callbackData, originalId, suspense.amount);
+          return;
+        }
+
+        // An unassigned suspense payment only needs to leave the queue
+        const suspenseReversed = await SuspensePayment.markReversed(
+          originalId,
+          narrative || 'Transaction reversed by Equity Bank'
+        );
+        if (suspenseReversed) {
+          console.log('[Equity Reversal] Suspense payment reversed:', originalId);
+          await this.logPaymentAttempt({
+            transaction_id,
+            member_number,
+            amount,
+            payment_method,
+            status: 'reversed',
+            reason: `Unassigned suspense payment ${originalId} reversed`,
+            timestamp
+          });
+          return;
+        }
+
+        console.warn('[Equity Reversal] Original payment not found:', originalId);
+        await this.logPaymentAttempt({
+          transaction_id,
+          member_number,
+          amount,
+          payment_method,
+          status: 'failed',
+          reason: `Reversal received for unknown transaction ${originalId}`,
+          timestamp
+        });
+        return;
+      }
+
+      const payment = payments[0];
+
+      // Idempotency: Equity may resend the reversal
+      if (payment.status === 'reversed') {
+        console.warn('[Equity Reversal] Already reversed:', originalId);
+        return;
+      }
+
+      if (!this.reversalAmountMatches(amount, payment.amount)) {
+        await this.logReversalForReview(callbackData, originalId, payment.amount, payment.id);
+        return;
+      }
+
+      const reversal = await Payment.reversePayment(payment.id, {
+        reason: narrative || 'Transaction reversed by Equity Bank',
+        source: 'equity_callback',
+        externalReference: transaction_id
+      });
+
+      const NotificationService = require('../services/NotificationService');
+      await NotificationService.sendPaymentReversalMessage(reversal);
+
+      await this.logPaymentAttempt({
+        transaction_id,
+        member_number,
+        amount,
+        payment_method,
+        status: 'reversed',
+        reason: reversal.reason,
+        payment_id: payment.id,
+        timestamp
+      });
+
+      console.log('[Equity Reversal] Complete:', {
+        payment_id: payment.id,
+        amount: reversal.amount
+      });
+    } catch (error) {
+      console.error('[Equity Reversal] Error:', error);
+
+      await this.logPaymentAttempt({
+        transaction_id,
+        member_number,
+        amount,
+        payment_method,
+        status: 'error',
+        reason: `Reversal failed: ${error.message}`,
+        timestamp
+      }).catch(e => console.error('Error logging failed reversal:', e));
+    }
+  }
+
+  // Only a reversal of the whole original amount is applied automatically; Equity may sign it
+  reversalAmountMatches(reversalAmount, originalAmount) {
+    return this.roundAmount(Math.abs(parseFloat(reversalAmount))) === this.roundAmount(parseFloat(originalAmount));
+  }
+
+  // Leave the original untouched and log the reversal for staff to resolve by hand
+  async logReversalForReview(callbackData, originalId, originalAmount, paymentId = null) {
+    const { transaction_id, member_number, amount, payment_method, timestamp } = callbackData;
+
+    console.warn('[Equity Reversal] Amount mismatch, needs review:', {
+      original_transaction_id: originalId,
+      reversal_amount: amount,
+      original_amount: originalAmount
+    });
+
+    await this.logPaymentAttempt({
+      transaction_id,
+      member_number,
+      amount,
+      payment_method,
+      status: 'review',
+      reason: `Reversal of ${amount} does not match ${originalId} amount ${originalAmount}; not reversed`,
+      payment_id: paymentId,
+      timestamp
+    });
+  }
+
   /**
    * STEP 4: Payment Allocation Logic
-   * Priority: Bills (by due date) → Fines → Contributions → Advance
+   * Order comes from the payment_allocation_policy setting; a payer-chosen
+   * reference_type is always settled first. Whatever remains is advance.
    */
-  async allocatePayment(paymentId, customerId, amount, referenceType = 'general') {
+  async allocatePayment(paymentId, customerId, amount, referenceType = 'general', actor = null) {
     try {
-      let remainingAmount = amount;
-      const allocations = [];
+      const settings = await SystemSettings.getAllocationSettings();
 
       console.log('[Allocation] Starting:', {
         payment_id: paymentId,
         customer_id: customerId,
         amount,
-        reference_type: referenceType
+        reference_type: referenceType,
+        policy: settings.allocation_policy
       });
 
-      // Priority-based allocation based on reference type
-      if (referenceType === 'bill') {
-        const billAlloc = await this.allocateToBills(paymentId, customerId, remainingAmount);
-        remainingAmount -= billAlloc.allocated;
-        allocations.push(...billAlloc.allocations);
-      } else if (referenceType === 'fine') {
-        const fineAlloc = await this.allocateToFines(paymentId, customerId, remainingAmount);
-        remainingAmount -= fineAlloc.allocated;
-        allocations.push(...fineAlloc.allocations);
-      } else if (referenceType === 'contribution') {
-        const contribAlloc = await this.allocateToContributions(paymentId, customerId, remainingAmount);
-        remainingAmount -= contribAlloc.allocated;
-        allocations.push(...contribAlloc.allocations);
-      }
-
-      // Default allocation order: Bills → Fines → Contributions
-      if (remainingAmount > 0) {
-        const billAlloc = await this.allocateToBills(paymentId, customerId, remainingAmount);
-        remainingAmount -= billAlloc.allocated;
-        allocations.push(...billAlloc.allocations);
-      }
+      const items = await this.getOutstandingItems(customerId);
+      const plan = this.planAllocation(items, amount, {
+        policy: settings.allocation_policy,
+        splitPercent: settings.allocation_split_percent,
+        referenceType
+      });
 
-      if (remainingAmount > 0) {
-        const fineAlloc = await this.allocateToFines(paymentId, customerId, remainingAmount);
-        remainingAmount -= fineAlloc.allocated;
-        allocations.push(...fineAlloc.allocations);
+      const allocations = [];
+      for (const line of plan.lines) {
+        if (line.type === 'bill') {
+          allocations.push(await this.allocateToBill(paymentId, line.item, line.amount));
+        } else if (line.type === 'fine') {
+          allocations.push(await this.allocateToFine(paymentId, line.item, line.amount));
+        } else {
+          allocations.push(await this.allocateToContribution(paymentId, line.item, line.amount));
+        }
       }
 
-      if (remainingAmount > 0) {
-        const contribAlloc = await this.allocateToContributions(paymentId, customerId, remainingAmount);
-        remainingAmount -= contribAlloc.allocated;
-        allocations.push(...contribAlloc.allocations);
-      }
+      const remainingAmount = plan.advance;
 
       // Record advance payment if money remains
       if (remainingAmount > 0.01) { // Use 0.01 to handle floating point precision
@@ -558,8 +662,23 @@ async processEquityPayment(callbackData) {
         console.log('[Allocation] Advance payment:', remainingAmount);
       }
 
+      await AuditLog.record({
+        table_name: 'payment_allocations',
+        record_id: paymentId,
+        action: 'INSERT',
+        new_values: {
+          customer_id: customerId,
+          amount,
+          reference_type: referenceType,
+          policy: settings.allocation_policy,
+          allocations,
+          advance_payment: remainingAmount
+        }
+      }, actor);
+
       return {
         success: true,
+        policy: settings.allocation_policy,
         total_allocated: amount - remainingAmount,
         advance_payment: remainingAmount,
         allocations: allocations
@@ -572,63 +691,199 @@ async processEquityPayment(callbackData) {
   }
 
   /**
-   * Allocate to Bills (oldest due date first)
+   * Preview how an amount would be allocated for a customer without
+   * recording anything. Defaults to the configured policy.
    */
-  async allocateToBills(paymentId, customerId, availableAmount) {
+  async previewAllocation(customerId, amount, options = {}) {
     try {
-      if (availableAmount <= 0) {
-        return { allocated: 0, allocations: [] };
-      }
+      const settings = await SystemSettings.getAllocationSettings();
+      const policy = options.policy || settings.allocation_policy;
+      const splitPercent = options.splitPercent !== undefined ? options.splitPercent : settings.allocation_split_percent;
+
+      const items = await this.getOutstandingItems(customerId);
+      const plan = this.planAllocation(items, amount, {
+        policy,
+        splitPercent,
+        referenceType: options.referenceType || 'general'
+      });
 
-      const billsQuery = `
-        SELECT id, bill_number, total_amount, due_date, status
-        FROM bills
-        WHERE customer_id = ? 
-        AND status IN ('pending', 'overdue', 'partially_paid')
-        ORDER BY due_date ASC, id ASC
-        LIMIT 20
-      `;
+      const totalOutstanding = [...items.bills, ...items.fines, ...items.contributions]
+        .reduce((sum, item) => sum + item.outstanding, 0);
 
-      const bills = await executeQuery(billsQuery, [customerId]);
-      let allocated = 0;
-      const allocations = [];
+      return {
+        customer_id: customerId,
+        amount,
+        policy,
+        split_percent: policy === 'contributions_split' ? splitPercent : null,
+        reference_type: options.referenceType || 'general',
+        total_outstanding: this.roundAmount(totalOutstanding),
+        allocations: plan.lines.map(line => ({
+          type: line.type,
+          id: line.item.id,
+          description: line.item.description,
+          due_date: line.item.due_date,
+          outstanding: line.item.outstanding,
+          amount: line.amount,
+          balance_after: this.roundAmount(line.item.outstanding - line.amount)
+        })),
+        total_allocated: this.roundAmount(amount - plan.advance),
+        advance_payment: plan.advance
+      };
+    } catch (error) {
+      console.error('[Allocation Preview] Error:', error);
+      throw error;
+    }
+  }
 
-      for (const bill of bills) {
-        if (availableAmount <= 0) break;
+  roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
 
-        const billOutstanding = parseFloat(bill.total_amount);
-        const allocationAmount = Math.min(availableAmount, billOutstanding);
+  /**
+   * Outstanding bills, fines and contributions for a customer, each oldest first
+   */
+  async getOutstandingItems(customerId) {
+    const bills = await executeQuery(`
+      SELECT id, bill_number, balance_due, due_date, status
+      FROM bills
+      WHERE customer_id = ? 
+      AND status IN ('pending', 'overdue', 'partially_paid')
+      AND balance_due > 0
+      ORDER BY due_date ASC, id ASC
+      LIMIT 20
+    `, [customerId]);
+
+    const fines = await executeQuery(`
+      SELECT af.id, af.amount, af.applied_date, af.reason,
+             af.amount - COALESCE((
+               SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.fine_id = af.id
+             ), 0) as outstanding
+      FROM applied_fines af
+      WHERE af.customer_id = ? 
+      AND af.status = 'pending'
+      HAVING outstanding > 0
+      ORDER BY af.applied_date ASC, af.id ASC
+      LIMIT 10
+    `, [customerId]);
+
+    const contributions = await executeQuery(`
+      SELECT id, contribution_month, amount_required, amount_paid, due_date
+      FROM contributions
+      WHERE customer_id = ? 
+      AND status IN ('pending', 'partial', 'overdue')
+      AND amount_required > amount_paid
+      ORDER BY contribution_month ASC
+      LIMIT 10
+    `, [customerId]);
+
+    return {
+      bills: bills.map(bill => ({
+        ...bill,
+        type: 'bill',
+        description: `Bill ${bill.bill_number}`,
+        outstanding: parseFloat(bill.balance_due)
+      })),
+      fines: fines.map(fine => ({
+        ...fine,
+        type: 'fine',
+        description: `Fine: ${fine.reason}`,
+        due_date: fine.applied_date,
+        outstanding: parseFloat(fine.outstanding)
+      })),
+      contributions: contributions.map(contribution => ({
+        ...contribution,
+        type: 'contribution',
+        description: `Contribution for ${moment(contribution.contribution_month).format('MMMM YYYY')}`,
+        due_date: contribution.due_date || contribution.contribution_month,
+        outstanding: parseFloat(contribution.amount_required) - parseFloat(contribution.amount_paid)
+      }))
+    };
+  }
 
-        // Insert allocation record
-        const allocationQuery = `
-          INSERT INTO payment_allocations 
-          (payment_id, bill_id, allocation_type, amount)
-          VALUES (?, ?, 'bill_payment', ?)
-        `;
-        await executeQuery(allocationQuery, [paymentId, bill.id, allocationAmount]);
+  /**
+   * Split an amount across outstanding items according to a policy.
+   * Pure calculation, shared by allocation and preview.
+   */
+  planAllocation(items, amount, { policy = 'bills_first', splitPercent = 0, referenceType = 'general' } = {}) {
+    const order = SystemSettings.ALLOCATION_POLICIES[policy] || SystemSettings.ALLOCATION_POLICIES.bills_first;
+    const queues = {
+      bill: items.bills.map(item => ({ item, remaining: item.outstanding })),
+      fine: items.fines.map(item => ({ item, remaining: item.outstanding })),
+      contribution: items.contributions.map(item => ({ item, remaining: item.outstanding }))
+    };
+    const lines = [];
+    let remainingAmount = this.roundAmount(amount);
+
+    const settle = (entries, budget) => {
+      let available = Math.min(budget, remainingAmount);
+      for (const entry of entries) {
+        if (available <= 0) break;
+        if (entry.remaining <= 0) continue;
+
+        const allocationAmount = this.roundAmount(Math.min(available, entry.remaining));
+        const existing = lines.find(line => line.item === entry.item);
+        if (existing) {
+          existing.amount = this.roundAmount(existing.amount + allocationAmount);
+        } else {
+          lines.push({ type: entry.item.type, item: entry.item, amount: allocationAmount });
+        }
 
-        // Update bill status
-        const newStatus = allocationAmount >= billOutstanding ? 'paid' : 'partially_paid';
-        const paidAt = newStatus === 'paid' ? new Date() : null;
-        
-        const Bill = require('../models/Bill');
-        await Bill.updateBillStatus(bill.id, newStatus, paidAt);
+        entry.remaining = this.roundAmount(entry.remaining - allocationAmount);
+        available = this.roundAmount(available - allocationAmount);
+        remainingAmount = this.roundAmount(remainingAmount - allocationAmount);
+      }
+    };
 
-        availableAmount -= allocationAmount;
-        allocated += allocationAmount;
+    // A fixed share goes to contributions before anything else
+    if (policy === 'contributions_split' && splitPercent > 0) {
+      settle(queues.contribution, this.roundAmount(amount * splitPercent / 100));
+    }
 
-        allocations.push({
-          type: 'bill',
-          bill_id: bill.id,
-          bill_number: bill.bill_number,
-          amount: allocationAmount,
-          new_status: newStatus
-        });
+    // The payer's chosen reference type is honoured first
+    if (queues[referenceType]) {
+      settle(queues[referenceType], remainingAmount);
+    }
 
-        console.log(`[Allocation] Bill ${bill.bill_number}: KES ${allocationAmount} (${newStatus})`);
-      }
+    if (policy === 'oldest_first') {
+      const byAge = [...queues.bill, ...queues.fine, ...queues.contribution].sort((a, b) =>
+        moment(a.item.due_date).diff(moment(b.item.due_date)) ||
+        order.indexOf(a.item.type) - order.indexOf(b.item.type)
+      );
+      settle(byAge, remainingAmount);
+    } else {
+      order.forEach(type => settle(queues[type], remainingAmount));
+    }
+
+    return { lines, advance: remainingAmount };
+  }
+
+  /**
+   * Apply an allocation to a bill
+   */
+  async allocateToBill(paymentId, bill, allocationAmount) {
+    try {
+      // Insert allocation record
+      const allocationQuery = `
+        INSERT INTO payment_allocations 
+        (payment_id, bill_id, allocation_type, amount)
+        VALUES (?, ?, 'bill_payment', ?)
+      `;
+      await executeQuery(allocationQuery, [paymentId, bill.id, allocationAmount]);
 
-      return { allocated, allocations };
+      // Update amount paid and status
+      const billResult = await Bill.applyPaymentToBill(bill.id, allocationAmount);
+      const newStatus = billResult.new_status;
+
+      console.log(`[Allocation] Bill ${bill.bill_number}: KES ${allocationAmount} (${newStatus})`);
+
+      return {
+        type: 'bill',
+        bill_id: bill.id,
+        bill_number: bill.bill_number,
+        amount: allocationAmount,
+        balance_due: billResult.balance_due,
+        new_status: newStatus
+      };
     } catch (error) {
       console.error('[Allocation] Bills error:', error);
       throw error;
@@ -636,68 +891,40 @@ async processEquityPayment(callbackData) {
   }
 
   /**
-   * Allocate to Fines (oldest first)
+   * Apply an allocation to a fine
    */
-  async allocateToFines(paymentId, customerId, availableAmount) {
+  async allocateToFine(paymentId, fine, allocationAmount) {
     try {
-      if (availableAmount <= 0) {
-        return { allocated: 0, allocations: [] };
-      }
-
-      const finesQuery = `
-        SELECT id, amount, applied_date, reason
-        FROM applied_fines
-        WHERE customer_id = ? 
-        AND status = 'pending'
-        ORDER BY applied_date ASC
-        LIMIT 10
+      // Insert allocation
+      const allocationQuery = `
+        INSERT INTO payment_allocations 
+        (payment_id, fine_id, allocation_type, amount, notes)
+        VALUES (?, ?, 'fine', ?, ?)
       `;
+      await executeQuery(allocationQuery, [
+        paymentId, 
+        fine.id,
+        allocationAmount,
+        `Fine payment: ${fine.reason}`
+      ]);
 
-      const fines = await executeQuery(finesQuery, [customerId]);
-      let allocated = 0;
-      const allocations = [];
-
-      for (const fine of fines) {
-        if (availableAmount <= 0) break;
-
-        const fineAmount = parseFloat(fine.amount);
-        const allocationAmount = Math.min(availableAmount, fineAmount);
-
-        // Insert allocation
-        const allocationQuery = `
-          INSERT INTO payment_allocations 
-          (payment_id, allocation_type, amount, notes)
-          VALUES (?, 'fine', ?, ?)
+      // Update fine status once fully paid
+      if (allocationAmount >= fine.outstanding) {
+        const fineUpdateQuery = `
+          UPDATE applied_fines 
+          SET status = 'paid' 
+          WHERE id = ?
         `;
-        await executeQuery(allocationQuery, [
-          paymentId, 
-          allocationAmount,
-          `Fine payment: ${fine.reason}`
-        ]);
-
-        // Update fine status if fully paid
-        if (allocationAmount >= fineAmount) {
-          const fineUpdateQuery = `
-            UPDATE applied_fines 
-            SET status = 'paid' 
-            WHERE id = ?
-          `;
-          await executeQuery(fineUpdateQuery, [fine.id]);
-        }
-
-        availableAmount -= allocationAmount;
-        allocated += allocationAmount;
-
-        allocations.push({
-          type: 'fine',
-          fine_id: fine.id,
-          amount: allocationAmount
-        });
-
-        console.log(`[Allocation] Fine ${fine.id}: KES ${allocationAmount}`);
+        await executeQuery(fineUpdateQuery, [fine.id]);
       }
 
-      return { allocated, allocations };
+      console.log(`[Allocation] Fine ${fine.id}: KES ${allocationAmount}`);
+
+      return {
+        type: 'fine',
+        fine_id: fine.id,
+        amount: allocationAmount
+      };
     } catch (error) {
       console.error('[Allocation] Fines error:', error);
       throw error;
@@ -705,81 +932,52 @@ async processEquityPayment(callbackData) {
   }
 
   /**
-   * Allocate to Contributions (oldest month first)
+   * Apply an allocation to a contribution
    */
-  async allocateToContributions(paymentId, customerId, availableAmount) {
+  async allocateToContribution(paymentId, contribution, allocationAmount) {
     try {
-      if (availableAmount <= 0) {
-        return { allocated: 0, allocations: [] };
-      }
-
-      const contributionsQuery = `
-        SELECT id, contribution_month, amount_required, amount_paid
-        FROM contributions
-        WHERE customer_id = ? 
-        AND status IN ('pending', 'partial', 'overdue')
-        ORDER BY contribution_month ASC
-        LIMIT 10
+      // Insert allocation
+      const allocationQuery = `
+        INSERT INTO payment_allocations 
+        (payment_id, contribution_id, allocation_type, amount, notes)
+        VALUES (?, ?, 'contribution', ?, ?)
       `;
+      await executeQuery(allocationQuery, [
+        paymentId,
+        contribution.id,
+        allocationAmount,
+        contribution.description
+      ]);
 
-      const contributions = await executeQuery(contributionsQuery, [customerId]);
-      let allocated = 0;
-      const allocations = [];
-
-      for (const contribution of contributions) {
-        if (availableAmount <= 0) break;
-
-        const outstanding = parseFloat(contribution.amount_required) - 
-                          parseFloat(contribution.amount_paid);
-        const allocationAmount = Math.min(availableAmount, outstanding);
-
-        // Insert allocation
-        const allocationQuery = `
-          INSERT INTO payment_allocations 
-          (payment_id, allocation_type, amount, notes)
-          VALUES (?, 'contribution', ?, ?)
-        `;
-        await executeQuery(allocationQuery, [
-          paymentId,
-          allocationAmount,
-          `Contribution for ${moment(contribution.contribution_month).format('MMMM YYYY')}`
-        ]);
-
-        // Update contribution
-        const newPaid = parseFloat(contribution.amount_paid) + allocationAmount;
-        const newStatus = newPaid >= parseFloat(contribution.amount_required) 
-          ? 'completed' 
-          : 'partial';
-        
-        const contributionUpdateQuery = `
-          UPDATE contributions 
-          SET 
-            amount_paid = ?,
-            status = ?,
-            completed_at = CASE WHEN ? = 'completed' THEN NOW() ELSE NULL END
-          WHERE id = ?
-        `;
-        await executeQuery(contributionUpdateQuery, [
-          newPaid,
-          newStatus,
-          newStatus,
-          contribution.id
-        ]);
-
-        availableAmount -= allocationAmount;
-        allocated += allocationAmount;
-
-        allocations.push({
-          type: 'contribution',
-          contribution_id: contribution.id,
-          amount: allocationAmount,
-          new_status: newStatus
-        });
+      // Update contribution
+      const newPaid = parseFloat(contribution.amount_paid) + allocationAmount;
+      const newStatus = newPaid >= parseFloat(contribution.amount_required) 
+        ? 'completed' 
+        : 'partial';
+      
+      const contributionUpdateQuery = `
+        UPDATE contributions 
+        SET 
+          amount_paid = ?,
+          status = ?,
+          completed_at = CASE WHEN ? = 'completed' THEN NOW() ELSE NULL END
+        WHERE id = ?
+      `;
+      await executeQuery(contributionUpdateQuery, [
+        newPaid,
+        newStatus,
+        newStatus,
+        contribution.id
+      ]);
 
-        console.log(`[Allocation] Contribution ${contribution.id}: KES ${allocationAmount}`);
-      }
+      console.log(`[Allocation] Contribution ${contribution.id}: KES ${allocationAmount}`);
 
-      return { allocated, allocations };
+      return {
+        type: 'contribution',
+        contribution_id: contribution.id,
+        amount: allocationAmount,
+        new_status: newStatus
+      };
     } catch (error) {
       console.error('[Allocation] Contributions error:', error);
       throw error;
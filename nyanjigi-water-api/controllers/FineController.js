@@ -1,5 +1,5 @@
 // ...existing code...
-const { Fine } = require('../models');
+const { Fine, AuditLog } = require('../models');
 
 const ApiResponse = require('../utils/response');
 
@@ -66,12 +66,21 @@ class FineController {
   static async updateFineStatus(req, res) {
     try {
       const { fineId } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
       if (!fineId || !status) {
         return ApiResponse.error(res, 'Fine ID and status are required', 400);
       }
 
-      await Fine.updateFineStatus(parseInt(fineId), status);
+      const fine = await Fine.findById(parseInt(fineId));
+      if (!fine) {
+        return ApiResponse.notFound(res, 'Fine not found');
+      }
+
+      await Fine.updateFineStatus(parseInt(fineId), status, {
+        waivedBy: req.admin.id,
+        waivedReason: reason || null,
+        actor: AuditLog.actorFromRequest(req)
+      });
       return ApiResponse.success(res, null, 'Fine status updated successfully');
     } catch (error) {
       return ApiResponse.error(res, error.message, 500);
@@ -0,0 +1,225 @@
+const { MeterReading, Customer } = require('../models');
+const ApiResponse = require('../utils/response');
+const CsvUtils = require('../utils/csv');
+const moment = require('moment');
+
+/**
+ * Meter Reading Controller - Reading capture, review queue and history
+ */
+class MeterReadingController {
+  // Record a single meter reading (Admin only)
+  static async recordReading(req, res) {
+    try {
+      const { customer_id, meter_number, reading_value, reading_date, reading_period, notes } = req.body;
+
+      if (!customer_id && !meter_number) {
+        return ApiResponse.error(res, 'Customer ID or meter number is required', 400);
+      }
+
+      const reading = await MeterReading.recordReading({
+        customer_id: customer_id ? parseInt(customer_id) : null,
+        meter_number,
+        reading_value,
+        reading_date,
+        reading_period,
+        notes
+      }, req.admin.id);
+
+      const message = reading.status === 'flagged'
+        ? `Reading recorded and flagged for review: ${reading.flags.join(', ')}`
+        : 'Meter reading recorded successfully';
+
+      return ApiResponse.success(res, reading, message, reading.updated ? 200 : 201);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 400);
+    }
+  }
+
+  // Bulk upload readings for a zone from CSV (Admin only)
+  static async bulkUploadReadings(req, res) {
+    try {
+      const { zone, csv, reading_period } = req.body;
+
+      const rows = CsvUtils.parse(csv);
+      if (rows.length === 0) {
+        return ApiResponse.error(res, 'CSV contains no readings', 400);
+      }
+
+      if (!('meter_number' in rows[0]) && !('meter' in rows[0])) {
+        return ApiResponse.error(res, 'CSV must have a meter_number column', 400);
+      }
+
+      if (!('reading_value' in rows[0]) && !('reading' in rows[0])) {
+        return ApiResponse.error(res, 'CSV must have a reading column', 400);
+      }
+
+      const result = await MeterReading.bulkRecordReadings(zone, rows, {
+        readingPeriod: reading_period || null,
+        recordedBy: req.admin.id
+      });
+
+      return ApiResponse.success(res, result,
+        `Processed ${result.total_rows} readings for ${zone}: ${result.recorded_count} recorded, ${result.flagged_count} flagged, ${result.error_count} errors`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get readings with pagination and filters (Admin only)
+  static async getAllReadings(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        customer_id,
+        zone,
+        status,
+        reading_period,
+        search
+      } = req.query;
+
+      const filters = {};
+      if (customer_id) filters.customer_id = parseInt(customer_id);
+      if (zone) filters.zone = zone;
+      if (status) filters.status = status;
+      if (reading_period) filters.reading_period = reading_period;
+      if (search) filters.search = search;
+
+      const result = await MeterReading.getReadingsWithPagination(
+        parseInt(page),
+        parseInt(limit),
+        filters
+      );
+
+      return ApiResponse.success(res, result, 'Meter readings retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get flagged readings awaiting review (Admin only)
+  static async getReviewQueue(req, res) {
+    try {
+      const { page = 1, limit = 50, zone, reading_period } = req.query;
+
+      const filters = { status: 'flagged' };
+      if (zone) filters.zone = zone;
+      if (reading_period) filters.reading_period = reading_period;
+
+      const result = await MeterReading.getReadingsWithPagination(
+        parseInt(page),
+        parseInt(limit),
+        filters
+      );
+
+      return ApiResponse.success(res, result, 'Flagged meter readings retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get metered customers missing a reading for a period (Admin only)
+  static async getMissingReadings(req, res) {
+    try {
+      const { reading_period, zone } = req.query;
+      const period = reading_period ? moment(reading_period) : moment().subtract(1, 'month');
+
+      const customers = await MeterReading.getMissingReadings(period, zone || null);
+
+      return ApiResponse.success(res, {
+        reading_period: period.clone().startOf('month').format('YYYY-MM-DD'),
+        zone: zone || null,
+        count: customers.length,
+        customers
+      }, 'Missing meter readings retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get capture summary per zone for a period (Admin only)
+  static async getReadingSummary(req, res) {
+    try {
+      const { reading_period } = req.query;
+      const period = reading_period ? moment(reading_period) : moment().subtract(1, 'month');
+
+      const zones = await MeterReading.getReadingSummary(period);
+      const missing = await MeterReading.getMissingReadings(period);
+
+      return ApiResponse.success(res, {
+        reading_period: period.clone().startOf('month').format('YYYY-MM-DD'),
+        zones,
+        missing_count: missing.length
+      }, 'Meter reading summary retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get reading history for a customer (Admin only)
+  static async getCustomerReadings(req, res) {
+    try {
+      const { customerId } = req.params;
+      const { limit = 24 } = req.query;
+
+      const customer = await Customer.findById(parseInt(customerId));
+      if (!customer) {
+        return ApiResponse.notFound(res, 'Customer not found');
+      }
+
+      const readings = await MeterReading.getCustomerReadingHistory(parseInt(customerId), parseInt(limit));
+
+      return ApiResponse.success(res, {
+        customer: {
+          id: customer.id,
+          account_number: customer.account_number,
+          full_name: customer.full_name,
+          meter_number: customer.meter_number
+        },
+        readings
+      }, 'Customer meter readings retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get single reading (Admin only)
+  static async getReadingDetails(req, res) {
+    try {
+      const { readingId } = req.params;
+      const reading = await MeterReading.getReadingById(parseInt(readingId));
+
+      if (!reading) {
+        return ApiResponse.notFound(res, 'Meter reading not found');
+      }
+
+      return ApiResponse.success(res, reading, 'Meter reading retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Approve or reject a flagged reading (Admin only)
+  static async reviewReading(req, res) {
+    try {
+      const { readingId } = req.params;
+      const { action, notes, adjusted_consumption } = req.body;
+
+      const reading = await MeterReading.reviewReading(parseInt(readingId), action, req.admin.id, {
+        notes,
+        adjusted_consumption
+      });
+
+      if (!reading) {
+        return ApiResponse.notFound(res, 'Meter reading not found');
+      }
+
+      return ApiResponse.success(res, reading,
+        `Meter reading ${action === 'approve' ? 'approved' : 'rejected'} successfully`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 400);
+    }
+  }
+}
+
+module.exports = MeterReadingController;
@@ -0,0 +1,195 @@
+const { NotificationTemplate } = require('../models');
+const NotificationService = require('../services/NotificationService');
+const ApiResponse = require('../utils/response');
+
+/**
+ * Notification Template Controller - Edit, version, preview and test SMS and email templates
+ */
+class NotificationTemplateController {
+  // Reject placeholders the trigger event does not supply; returns true when a response was sent
+  static rejectUnsupportedPlaceholders(res, triggerEvent, subject, messageTemplate) {
+    const unsupported = NotificationTemplate.getUnsupportedPlaceholders(triggerEvent, subject, messageTemplate);
+    if (unsupported.length === 0) {
+      return false;
+    }
+
+    const supported = NotificationTemplate.getSupportedVariables(triggerEvent);
+    ApiResponse.error(res,
+      `Unsupported placeholders for ${triggerEvent}: ${unsupported.map(name => `{{${name}}}`).join(', ')}. ` +
+      `Available: ${supported.map(name => `{{${name}}}`).join(', ')}`,
+      400);
+    return true;
+  }
+
+  // List templates with the variables each trigger event supports (Admin only)
+  static async getTemplates(req, res) {
+    try {
+      const { type, trigger_event, language } = req.query;
+
+      const templates = await NotificationTemplate.getTemplates({ type, triggerEvent: trigger_event, language });
+
+      return ApiResponse.success(res, {
+        templates,
+        trigger_events: NotificationTemplate.getTriggerEvents(),
+        languages: NotificationTemplate.getLanguages()
+      }, 'Notification templates retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get a template (Admin only)
+  static async getTemplate(req, res) {
+    try {
+      const template = await NotificationTemplate.getTemplate(parseInt(req.params.id));
+      if (!template) {
+        return ApiResponse.notFound(res, 'Notification template not found');
+      }
+
+      return ApiResponse.success(res, template, 'Notification template retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Create a template; an active template replaces the current one for its trigger and channel (Admin only)
+  static async createTemplate(req, res) {
+    try {
+      const { trigger_event, subject, message_template } = req.body;
+
+      if (NotificationTemplateController.rejectUnsupportedPlaceholders(res, trigger_event, subject, message_template)) {
+        return;
+      }
+
+      const template = await NotificationTemplate.createTemplate(req.body, req.admin.id);
+
+      return ApiResponse.success(res, template, 'Notification template created successfully', 201);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Save changes to a template as a new version (Admin only)
+  static async updateTemplate(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const current = await NotificationTemplate.getTemplate(id);
+      if (!current) {
+        return ApiResponse.notFound(res, 'Notification template not found');
+      }
+
+      const subject = req.body.subject !== undefined ? req.body.subject : current.subject;
+      const messageTemplate = req.body.message_template !== undefined ? req.body.message_template : current.message_template;
+      if (NotificationTemplateController.rejectUnsupportedPlaceholders(res, current.trigger_event, subject, messageTemplate)) {
+        return;
+      }
+
+      const template = await NotificationTemplate.updateTemplate(id, req.body, req.admin.id);
+
+      return ApiResponse.success(res, template, `Notification template saved as version ${template.version}`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Delete an inactive template (Admin only)
+  static async deleteTemplate(req, res) {
+    try {
+      const deleted = await NotificationTemplate.deleteTemplate(parseInt(req.params.id));
+      if (!deleted) {
+        return ApiResponse.notFound(res, 'Notification template not found');
+      }
+
+      return ApiResponse.success(res, null, 'Notification template deleted successfully');
+    } catch (error) {
+      const status = error.message === 'Deactivate the template before deleting it' ? 400 : 500;
+      return ApiResponse.error(res, error.message, status);
+    }
+  }
+
+  // Version history of a template, newest first (Admin only)
+  static async getVersions(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const template = await NotificationTemplate.getTemplate(id);
+      if (!template) {
+        return ApiResponse.notFound(res, 'Notification template not found');
+      }
+
+      const versions = await NotificationTemplate.getVersions(id);
+
+      return ApiResponse.success(res, { template, versions }, 'Template versions retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Restore an earlier version's wording as a new version (Admin only)
+  static async restoreVersion(req, res) {
+    try {
+      const template = await NotificationTemplate.restoreVersion(
+        parseInt(req.params.id),
+        parseInt(req.params.version),
+        req.admin.id
+      );
+      if (!template) {
+        return ApiResponse.notFound(res, 'Template version not found');
+      }
+
+      return ApiResponse.success(res, template, `Version ${req.params.version} restored as version ${template.version}`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Render template content, saved or not, against a real customer (Admin only)
+  static async previewTemplate(req, res) {
+    try {
+      const { customer_id, ...template } = req.body;
+
+      if (NotificationTemplateController.rejectUnsupportedPlaceholders(res, template.trigger_event, template.subject, template.message_template)) {
+        return;
+      }
+
+      const preview = await NotificationService.renderTemplate(template, parseInt(customer_id));
+      if (!preview) {
+        return ApiResponse.notFound(res, 'Customer not found');
+      }
+
+      const used = NotificationTemplate.findPlaceholders(template.subject, template.message_template);
+      const supported = NotificationTemplate.getSupportedVariables(template.trigger_event) || [];
+
+      return ApiResponse.success(res, {
+        ...preview,
+        unused_variables: supported.filter(name => !used.includes(name))
+      }, 'Template preview generated');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Send template content rendered for a customer to a test phone number or email (Admin only)
+  static async sendTest(req, res) {
+    try {
+      const { customer_id, recipient, ...template } = req.body;
+
+      if (NotificationTemplateController.rejectUnsupportedPlaceholders(res, template.trigger_event, template.subject, template.message_template)) {
+        return;
+      }
+
+      const result = await NotificationService.sendTemplateTest(template, parseInt(customer_id), recipient);
+      if (!result) {
+        return ApiResponse.notFound(res, 'Customer not found');
+      }
+      if (!result.success) {
+        return ApiResponse.error(res, `Test ${template.type === 'sms' ? 'SMS' : 'email'} failed: ${result.error}`, 400);
+      }
+
+      return ApiResponse.success(res, result, `Test ${template.type === 'sms' ? 'SMS' : 'email'} sent to ${recipient}`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = NotificationTemplateController;
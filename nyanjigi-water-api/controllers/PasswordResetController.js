@@ -0,0 +1,89 @@
+const { Customer, AuditLog, AuthSession, PasswordReset } = require('../models');
+const SMSService = require('../services/SMSService');
+const ApiResponse = require('../utils/response');
+
+// Same answer whether or not the account exists, so account numbers cannot be probed
+const CODE_SENT_MESSAGE = 'If the account has a registered phone number, a reset code has been sent to it';
+const INVALID_CODE_MESSAGE = 'This code has expired or is no longer valid; please request a new one';
+
+/**
+ * Password Reset Controller - Customer forgot-password flow by SMS code
+ */
+class PasswordResetController {
+  // Text a reset code to the phone registered on the account (Public)
+  static async requestCode(req, res) {
+    try {
+      const accountNumber = req.body.account_number;
+
+      const limitReason = await PasswordReset.requestLimitReason(accountNumber, req.ip);
+      if (limitReason) {
+        return ApiResponse.error(res, limitReason, 429);
+      }
+
+      const customer = await Customer.findByAccountNumber(accountNumber);
+      const canReset = customer && customer.is_active && customer.phone;
+
+      const { code, expires_in } = await PasswordReset.createReset(accountNumber, canReset ? customer : null, req.ip);
+
+      // A failed send is only logged; answering differently would show the account exists
+      if (canReset) {
+        const result = await SMSService.sendPasswordResetCode(customer, code, expires_in / 60);
+        if (!result.success) {
+          console.error('Password reset SMS failed:', { account_number: accountNumber, error: result.error });
+        }
+      }
+
+      return ApiResponse.success(res, { expires_in }, CODE_SENT_MESSAGE);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Set a new password with the code from the SMS; signs the account out everywhere (Public)
+  static async resetPassword(req, res) {
+    try {
+      const { account_number, code, new_password } = req.body;
+
+      if (!(await PasswordReset.claimIpCheck(account_number, req.ip))) {
+        return ApiResponse.error(res, 'Too many reset attempts from this device. Please try again later', 429);
+      }
+
+      const reset = await PasswordReset.getOpenReset(account_number);
+      if (!reset || !(await PasswordReset.claimAttempt(reset))) {
+        return ApiResponse.error(res, INVALID_CODE_MESSAGE, 400);
+      }
+
+      if (!PasswordReset.verifyCode(reset, code)) {
+        const remaining = PasswordReset.remainingAttempts(reset);
+        return ApiResponse.error(res, remaining > 0
+          ? `Invalid code. ${remaining} attempt${remaining === 1 ? '' : 's'} left`
+          : 'Too many invalid codes; please request a new one', 400);
+      }
+
+      if (!(await PasswordReset.markUsed(reset.id))) {
+        return ApiResponse.error(res, INVALID_CODE_MESSAGE, 400);
+      }
+
+      await Customer.changePassword(reset.customer_id, new_password);
+      await AuthSession.revokeAll('customer', reset.customer_id, 'password_reset');
+
+      await AuditLog.record({
+        table_name: 'customers',
+        record_id: reset.customer_id,
+        action: 'UPDATE',
+        old_values: { password: '[hidden]' },
+        new_values: { password: '[reset by SMS code]' }
+      }, {
+        ...AuditLog.actorFromRequest(req),
+        user_id: reset.customer_id,
+        user_type: 'customer'
+      });
+
+      return ApiResponse.success(res, null, 'Password reset successfully. You can now log in');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = PasswordResetController;
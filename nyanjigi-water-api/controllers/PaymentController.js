@@ -1,5 +1,8 @@
-const { Payment } = require('../models');
+const { Payment, Customer, SuspensePayment, AuditLog } = require('../models');
 const ApiResponse = require('../utils/response');
+const NotificationService = require('../services/NotificationService');
+const DocumentService = require('../services/DocumentService');
+const EquityController = require('./EquityController');
 
 class PaymentController {
   /**
@@ -56,6 +59,17 @@ class PaymentController {
             '4. Complete the payment',
             '5. Your account will be updated automatically'
           ]
+        },
+        office: {
+          name: 'Office Payment',
+          description: 'Pay at the water office or a committee meeting and collect a receipt',
+          channels: [
+            { id: 'cash', name: 'Cash', description: 'Cash handed to the treasurer or office clerk' },
+            { id: 'cheque', name: 'Cheque', description: 'Cheque payable to the water project' },
+            { id: 'bank_transfer', name: 'Bank Transfer', description: 'Direct transfer to the project bank account' }
+          ],
+          currency: 'KES',
+          minimum_amount: 1
         }
       };
 
@@ -77,7 +91,8 @@ static async getAllPayments(req, res) {
       status,
       date_from,
       date_to,
-      search
+      search,
+      payment_method
     } = req.query;
 
     const filters = {};
@@ -86,6 +101,7 @@ static async getAllPayments(req, res) {
     if (date_from) filters.date_from = date_from;
     if (date_to) filters.date_to = date_to;
     if (search) filters.search = search;
+    if (payment_method) filters.payment_method = payment_method;
 
     const result = await Payment.getPaymentsWithPagination(
       parseInt(page),
@@ -123,6 +139,28 @@ static async getAllPayments(req, res) {
     }
   }
 
+  /**
+   * Download a printable PDF receipt for a payment (Admin)
+   */
+  static async downloadReceipt(req, res) {
+    try {
+      const { paymentId } = req.params;
+      const payment = await Payment.getPaymentWithAllocations(parseInt(paymentId));
+
+      if (!payment) {
+        return ApiResponse.notFound(res, 'Payment not found');
+      }
+
+      const { filename, buffer } = await DocumentService.renderReceipt(payment);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      return res.send(buffer);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
   /**
    * Get payment statistics (Admin)
    */
@@ -166,6 +204,261 @@ static async getAllPayments(req, res) {
     return ApiResponse.error(res, error.message, 500);
   }
 }
+
+  /**
+   * Reverse a completed payment (Admin)
+   */
+  static async reversePayment(req, res) {
+    try {
+      const { paymentId } = req.params;
+      const { reason, notify_customer = true } = req.body;
+
+      const reversal = await Payment.reversePayment(parseInt(paymentId), {
+        reason: reason.trim(),
+        reversedBy: req.admin.id,
+        source: 'admin'
+      });
+
+      let notification = null;
+      if (notify_customer) {
+        notification = await NotificationService.sendPaymentReversalMessage(reversal);
+      }
+
+      return ApiResponse.success(res, {
+        ...reversal,
+        notification_sent: Boolean(notification && notification.success)
+      }, 'Payment reversed successfully');
+    } catch (error) {
+      const status = error.message === 'Payment not found' ? 404 : 400;
+      return ApiResponse.error(res, error.message, status);
+    }
+  }
+
+  /**
+   * Get payment reversal history (Admin)
+   */
+  static async getReversals(req, res) {
+    try {
+      const { page = 1, limit = 20, customer_id, source } = req.query;
+
+      const filters = {};
+      if (customer_id) filters.customer_id = parseInt(customer_id);
+      if (source) filters.source = source;
+
+      const result = await Payment.getReversals(parseInt(page), parseInt(limit), filters);
+
+      return ApiResponse.success(res, result, 'Payment reversals retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Preview how an amount would be allocated for a customer (Admin)
+   */
+  static async previewAllocation(req, res) {
+    try {
+      const { customer_id, amount, policy, split_percent, reference_type } = req.query;
+
+      const customer = await Customer.findById(parseInt(customer_id));
+      if (!customer) {
+        return ApiResponse.notFound(res, 'Customer not found');
+      }
+
+      const preview = await EquityController.previewAllocation(customer.id, parseFloat(amount), {
+        policy,
+        splitPercent: split_percent !== undefined ? parseFloat(split_percent) : undefined,
+        referenceType: reference_type
+      });
+
+      return ApiResponse.success(res, {
+        ...preview,
+        customer_name: customer.full_name,
+        account_number: customer.account_number
+      }, 'Allocation preview generated successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get unmatched (suspense) payments (Admin)
+   */
+  static async getSuspensePayments(req, res) {
+    try {
+      const { page = 1, limit = 20, status = 'unmatched', search } = req.query;
+
+      const filters = {};
+      if (status && status !== 'all') filters.status = status;
+      if (search) filters.search = search;
+
+      const result = await SuspensePayment.getSuspensePayments(parseInt(page), parseInt(limit), filters);
+
+      return ApiResponse.success(res, result, 'Suspense payments retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get likely customer matches for a suspense payment (Admin)
+   */
+  static async getSuspenseCandidates(req, res) {
+    try {
+      const { suspenseId } = req.params;
+
+      const suspense = await SuspensePayment.findById(parseInt(suspenseId));
+      if (!suspense) {
+        return ApiResponse.notFound(res, 'Suspense payment not found');
+      }
+
+      const candidates = await SuspensePayment.findCandidates(suspense);
+
+      return ApiResponse.success(res, {
+        suspense_payment: suspense,
+        candidates
+      }, 'Candidate matches retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Assign a suspense payment to a customer and allocate it (Admin)
+   */
+  static async assignSuspensePayment(req, res) {
+    try {
+      const { suspenseId } = req.params;
+      const { customer_id, notes, notify_customer = true } = req.body;
+
+      const customer = await Customer.findById(parseInt(customer_id));
+      if (!customer) {
+        return ApiResponse.notFound(res, 'Customer not found');
+      }
+
+      const assignment = await SuspensePayment.assignToCustomer(parseInt(suspenseId), customer.id, {
+        assignedBy: req.admin.id,
+        notes: notes ? notes.trim() : null
+      });
+
+      // Allocate exactly as if the callback had matched in the first place
+      const allocation = await EquityController.allocatePayment(
+        assignment.payment_id,
+        customer.id,
+        assignment.amount,
+        assignment.reference_type,
+        AuditLog.actorFromRequest(req)
+      );
+
+      let notificationSent = false;
+      if (notify_customer) {
+        const notification = await NotificationService.sendNotification(
+          {
+            id: customer.id,
+            phone: customer.phone,
+            email: customer.email
+          },
+          'payment_received',
+          {
+            customer_name: customer.full_name,
+            amount: assignment.amount,
+            transaction_id: assignment.transaction_id,
+            payment_date: new Date().toLocaleString(),
+            account_number: customer.account_number
+          },
+          { documents: { payment_id: assignment.payment_id } }
+        );
+        notificationSent = Boolean(notification && notification.success);
+      }
+
+      return ApiResponse.success(res, {
+        ...assignment,
+        total_allocated: allocation.total_allocated,
+        advance_payment: allocation.advance_payment,
+        allocations: allocation.allocations,
+        notification_sent: notificationSent
+      }, 'Suspense payment assigned successfully');
+    } catch (error) {
+      const status = error.message === 'Suspense payment not found' ? 404 : 400;
+      return ApiResponse.error(res, error.message, status);
+    }
+  }
+
+  /**
+   * Record a cash, cheque or bank transfer payment and allocate it (Admin)
+   */
+  static async recordManualPayment(req, res) {
+    try {
+      const {
+        customer_id,
+        amount,
+        payment_method,
+        payment_date,
+        payment_reference,
+        reference_type = 'general',
+        notes,
+        notify_customer = true
+      } = req.body;
+
+      const customer = await Customer.findById(parseInt(customer_id));
+      if (!customer) {
+        return ApiResponse.notFound(res, 'Customer not found');
+      }
+
+      const payment = await Payment.recordManualPayment({
+        customerId: customer.id,
+        amount: parseFloat(amount),
+        paymentMethod: payment_method,
+        paymentDate: payment_date,
+        paymentReference: payment_reference ? payment_reference.trim() : null,
+        phoneNumber: customer.phone,
+        notes: notes ? notes.trim() : null,
+        processedBy: req.admin.id
+      });
+
+      // Same allocation as an Equity callback for this customer
+      const allocation = await EquityController.allocatePayment(
+        payment.id,
+        customer.id,
+        parseFloat(payment.amount),
+        reference_type,
+        AuditLog.actorFromRequest(req)
+      );
+
+      let notificationSent = false;
+      if (notify_customer) {
+        const notification = await NotificationService.sendNotification(
+          {
+            id: customer.id,
+            phone: customer.phone,
+            email: customer.email
+          },
+          'payment_received',
+          {
+            customer_name: customer.full_name,
+            amount: payment.amount,
+            transaction_id: payment.receipt_number,
+            payment_date: new Date(payment.payment_date).toLocaleString(),
+            account_number: customer.account_number
+          },
+          { documents: { payment_id: payment.id } }
+        );
+        notificationSent = Boolean(notification && notification.success);
+      }
+
+      return ApiResponse.success(res, {
+        payment,
+        receipt_number: payment.receipt_number,
+        total_allocated: allocation.total_allocated,
+        advance_payment: allocation.advance_payment,
+        allocations: allocation.allocations,
+        notification_sent: notificationSent
+      }, `Payment recorded, receipt ${payment.receipt_number}`, 201);
+    } catch (error) {
+      const status = error.message.includes('already recorded') ? 409 : 500;
+      return ApiResponse.error(res, error.message, status);
+    }
+  }
 }
 
-module.exports = PaymentController;
\ No newline at end of file
+module.exports = PaymentController;
@@ -0,0 +1,203 @@
+const { StatementReconciliation, Customer } = require('../models');
+const ApiResponse = require('../utils/response');
+const StatementParser = require('../utils/statement');
+const EquityController = require('./EquityController');
+
+/**
+ * Reconciliation Controller - Equity statement imports and missed payment recovery
+ */
+class ReconciliationController {
+  // Upload an Equity statement (CSV or MT940) and reconcile it (Admin only)
+  static async uploadStatement(req, res) {
+    try {
+      const { format, content, file_name } = req.body;
+
+      let parsed;
+      try {
+        parsed = StatementParser.parse(content, format);
+      } catch (error) {
+        return ApiResponse.error(res, error.message, 400);
+      }
+
+      if (parsed.entries.length === 0) {
+        return ApiResponse.error(res, 'Statement contains no transactions', 400);
+      }
+
+      const report = await StatementReconciliation.createImport({
+        fileName: file_name,
+        format,
+        bankAccount: parsed.account_number,
+        entries: parsed.entries,
+        importedBy: req.admin.id
+      });
+
+      const { summary } = report;
+      return ApiResponse.success(res, report,
+        `Statement reconciled: ${summary.matched_count} matched, ${summary.missed_count} missed, ${summary.unmatched_callback_count} callbacks without a bank line, ${summary.mismatch_count} amount mismatches`,
+        201);
+    } catch (error) {
+      const status = error.message === 'Statement contains no credit lines' ? 400 : 500;
+      return ApiResponse.error(res, error.message, status);
+    }
+  }
+
+  // Get statement import history (Admin only)
+  static async getImports(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await StatementReconciliation.getImports(parseInt(page), parseInt(limit));
+
+      return ApiResponse.success(res, result, 'Statement imports retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Get the reconciliation report for an import (Admin only)
+  static async getReport(req, res) {
+    try {
+      const { importId } = req.params;
+
+      const report = await StatementReconciliation.getReport(parseInt(importId));
+      if (!report) {
+        return ApiResponse.notFound(res, 'Statement import not found');
+      }
+
+      return ApiResponse.success(res, report, 'Reconciliation report retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Import a missed statement line as a payment (Admin only)
+  static async importMissedLine(req, res) {
+    try {
+      const { importId, lineId } = req.params;
+      const { customer_id } = req.body;
+
+      const line = await StatementReconciliation.getLine(parseInt(importId), parseInt(lineId));
+      if (!line) {
+        return ApiResponse.notFound(res, 'Statement line not found');
+      }
+
+      let customer = null;
+      if (customer_id) {
+        customer = await Customer.findById(parseInt(customer_id));
+        if (!customer) {
+          return ApiResponse.notFound(res, 'Customer not found');
+        }
+      }
+
+      const result = await ReconciliationController.importLine(line, customer, req.admin.id);
+
+      const message = result.suspense_id
+        ? 'No customer matches this line, payment moved to the suspense queue'
+        : 'Statement line imported as a payment';
+      return ApiResponse.success(res, result, message);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 400);
+    }
+  }
+
+  // Import every missed line of a statement (Admin only)
+  static async importAllMissed(req, res) {
+    try {
+      const { importId } = req.params;
+
+      const statementImport = await StatementReconciliation.findById(parseInt(importId));
+      if (!statementImport) {
+        return ApiResponse.notFound(res, 'Statement import not found');
+      }
+
+      const lines = await StatementReconciliation.getMissedLines(statementImport.id);
+      const results = [];
+      const errors = [];
+
+      for (const line of lines) {
+        try {
+          results.push(await ReconciliationController.importLine(line, null, req.admin.id));
+        } catch (error) {
+          errors.push({ line_id: line.id, line_number: line.line_number, reference: line.reference, error: error.message });
+        }
+      }
+
+      const suspenseCount = results.filter(result => result.suspense_id).length;
+      return ApiResponse.success(res, {
+        imported_count: results.length - suspenseCount,
+        suspense_count: suspenseCount,
+        error_count: errors.length,
+        results,
+        errors
+      }, `Imported ${results.length - suspenseCount} payments, ${suspenseCount} moved to suspense, ${errors.length} errors`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Replay a missed line through the Equity callback pipeline so it is
+   * recorded, allocated and confirmed exactly like a live callback
+   */
+  static async importLine(line, customer, adminId) {
+    if (line.match_status !== 'missed') {
+      throw new Error('Only missed lines can be imported');
+    }
+
+    if (!line.reference) {
+      throw new Error('Line has no transaction reference to import');
+    }
+
+    // The callback may have arrived since the statement was uploaded
+    let callbacks = await StatementReconciliation.findCallbacksByReference([line.reference]);
+    const lateMatch = StatementReconciliation.classifyLine(
+      { reference: line.reference, amount: parseFloat(line.amount) },
+      callbacks
+    );
+
+    if (lateMatch.match_status === 'missed') {
+      await EquityController.processEquityPayment({
+        transaction_id: line.reference,
+        member_number: customer ? customer.account_number : line.member_number,
+        customer_name: customer ? customer.full_name : null,
+        amount: parseFloat(line.amount),
+        reference_type: 'general',
+        payment_method: StatementParser.inferPaymentMethod(line.narrative),
+        status: 'completed',
+        timestamp: line.transaction_date,
+        narrative: line.narrative || `Imported from bank statement line ${line.line_number}`
+      });
+
+      callbacks = await StatementReconciliation.findCallbacksByReference([line.reference]);
+      const imported = StatementReconciliation.classifyLine(
+        { reference: line.reference, amount: parseFloat(line.amount) },
+        callbacks
+      );
+
+      if (imported.match_status === 'missed') {
+        throw new Error('Payment could not be imported, check the payment logs');
+      }
+
+      await StatementReconciliation.resolveLine(line.id, {
+        matchStatus: 'imported',
+        paymentId: imported.payment_id,
+        suspenseId: imported.suspense_id,
+        callbackAmount: imported.callback_amount,
+        importedBy: adminId
+      });
+
+      return { line_id: line.id, reference: line.reference, ...imported, match_status: 'imported' };
+    }
+
+    await StatementReconciliation.resolveLine(line.id, {
+      matchStatus: lateMatch.match_status,
+      paymentId: lateMatch.payment_id,
+      suspenseId: lateMatch.suspense_id,
+      callbackAmount: lateMatch.callback_amount
+    });
+
+    return { line_id: line.id, reference: line.reference, ...lateMatch };
+  }
+}
+
+module.exports = ReconciliationController;
@@ -0,0 +1,62 @@
+const { AuthSession } = require('../models');
+const AuthUtils = require('../utils/auth');
+const ApiResponse = require('../utils/response');
+
+/**
+ * Session Controller - Token refresh and logout for admins and customers
+ */
+class SessionController {
+  // Exchange a refresh token for new access and refresh tokens (Public)
+  static async refresh(req, res) {
+    try {
+      const tokens = await AuthSession.rotate(req.body.refresh_token, {
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      });
+
+      return ApiResponse.success(res, tokens, 'Token refreshed successfully');
+    } catch (error) {
+      return ApiResponse.unauthorized(res, error.message);
+    }
+  }
+
+  // End the current session (Public; identified by refresh token or access token)
+  static async logout(req, res) {
+    try {
+      const { refresh_token } = req.body;
+
+      if (refresh_token) {
+        await AuthSession.revokeByToken(refresh_token, 'logout');
+      } else {
+        const token = AuthUtils.extractToken(req);
+        if (token) {
+          try {
+            const decoded = AuthUtils.verifyToken(token);
+            if (decoded.sid) {
+              await AuthSession.revoke(decoded.sid, 'logout');
+            }
+          } catch (error) {
+            // An expired access token has nothing left to revoke
+          }
+        }
+      }
+
+      return ApiResponse.success(res, null, 'Logged out successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // End every session of the signed-in user, on all devices (Admin or Customer)
+  static async logoutAll(req, res) {
+    try {
+      const revoked = await AuthSession.revokeAll(req.userType, req.user.id, 'logout_all');
+
+      return ApiResponse.success(res, { sessions_ended: revoked }, 'Logged out of all devices');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = SessionController;
@@ -0,0 +1,31 @@
+const NotificationService = require('../services/NotificationService');
+const ApiResponse = require('../utils/response');
+
+/**
+ * SMS Webhook Controller - Callbacks posted by Africa's Talking
+ */
+class SmsWebhookController {
+  // Delivery report for a sent message (id, status, phoneNumber, failureReason, ...)
+  static async handleDeliveryReport(req, res) {
+    try {
+      const result = await NotificationService.recordDeliveryReport(req.body);
+      return ApiResponse.success(res, result, 'Delivery report recorded');
+    } catch (error) {
+      console.error('Delivery report processing failed:', error);
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Message a customer sent to the shortcode (id, from, to, text, date, ...)
+  static async handleInboundMessage(req, res) {
+    try {
+      const result = await NotificationService.handleInboundSms(req.body);
+      return ApiResponse.success(res, result, 'Inbound message recorded');
+    } catch (error) {
+      console.error('Inbound SMS processing failed:', error);
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = SmsWebhookController;
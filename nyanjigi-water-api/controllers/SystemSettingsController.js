@@ -1,4 +1,4 @@
-const { SystemSettings } = require('../models');
+const { SystemSettings, AuditLog } = require('../models');
 const ApiResponse = require('../utils/response');
 
 /**
@@ -40,7 +40,10 @@ class SystemSettingsController {
         jenga_consumer_key, 
         jenga_consumer_secret, 
         stk_push_shortcode, 
-        stk_callback_url 
+        stk_callback_url,
+        allocation_policy,
+        allocation_split_percent,
+        receipt_number_prefix
       } = req.body;
 
       const updates = {};
@@ -49,12 +52,15 @@ class SystemSettingsController {
       if (jenga_consumer_secret !== undefined) updates.jenga_consumer_secret = jenga_consumer_secret;
       if (stk_push_shortcode !== undefined) updates.stk_push_shortcode = stk_push_shortcode;
       if (stk_callback_url !== undefined) updates.stk_callback_url = stk_callback_url;
+      if (allocation_policy !== undefined) updates.payment_allocation_policy = allocation_policy;
+      if (allocation_split_percent !== undefined) updates.payment_allocation_split_percent = allocation_split_percent;
+      if (receipt_number_prefix !== undefined) updates.receipt_number_prefix = receipt_number_prefix;
 
       if (Object.keys(updates).length === 0) {
         return ApiResponse.error(res, 'No payment settings provided to update', 400);
       }
 
-      const results = await SystemSettings.updateSettings(updates, req.admin.id);
+      const results = await SystemSettings.updateSettings(updates, req.admin.id, AuditLog.actorFromRequest(req));
 
       // Don't return sensitive data in response
       const safeResults = results.map(result => ({
@@ -94,7 +100,7 @@ class SystemSettingsController {
         return ApiResponse.error(res, 'No contribution settings provided to update', 400);
       }
 
-      const results = await SystemSettings.updateSettings(updates, req.admin.id);
+      const results = await SystemSettings.updateSettings(updates, req.admin.id, AuditLog.actorFromRequest(req));
 
       return ApiResponse.success(res, {
         updated_settings: results
@@ -117,18 +123,32 @@ class SystemSettingsController {
   // Update notification settings (Admin only)
   static async updateNotificationSettings(req, res) {
     try {
-      const { sms_sender_id, sms_enabled, email_enabled } = req.body;
+      const {
+        sms_sender_id,
+        sms_enabled,
+        email_enabled,
+        sms_max_segments,
+        sms_cost_per_segment,
+        outbox_rate_limit_per_minute,
+        outbox_max_attempts,
+        outbox_retry_base_seconds
+      } = req.body;
 
       const updates = {};
       if (sms_sender_id !== undefined) updates.sms_sender_id = sms_sender_id;
       if (sms_enabled !== undefined) updates.sms_enabled = sms_enabled.toString();
       if (email_enabled !== undefined) updates.email_enabled = email_enabled.toString();
+      if (sms_max_segments !== undefined) updates.sms_max_segments = sms_max_segments.toString();
+      if (sms_cost_per_segment !== undefined) updates.sms_cost_per_segment = sms_cost_per_segment.toString();
+      if (outbox_rate_limit_per_minute !== undefined) updates.outbox_rate_limit_per_minute = outbox_rate_limit_per_minute.toString();
+      if (outbox_max_attempts !== undefined) updates.outbox_max_attempts = outbox_max_attempts.toString();
+      if (outbox_retry_base_seconds !== undefined) updates.outbox_retry_base_seconds = outbox_retry_base_seconds.toString();
 
       if (Object.keys(updates).length === 0) {
         return ApiResponse.error(res, 'No notification settings provided to update', 400);
       }
 
-      const results = await SystemSettings.updateSettings(updates, req.admin.id);
+      const results = await SystemSettings.updateSettings(updates, req.admin.id, AuditLog.actorFromRequest(req));
 
       return ApiResponse.success(res, {
         updated_settings: results
@@ -138,6 +158,62 @@ class SystemSettingsController {
     }
   }
 
+  // Get email (SMTP) settings (Admin only)
+  static async getEmailSettings(req, res) {
+    try {
+      const { smtp_password, ...settings } = await SystemSettings.getEmailSettings();
+      return ApiResponse.success(res, {
+        ...settings,
+        smtp_password_set: Boolean(smtp_password)
+      }, 'Email settings retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Update email (SMTP) settings (Admin only)
+  static async updateEmailSettings(req, res) {
+    try {
+      const keys = [
+        'smtp_host', 'smtp_port', 'smtp_secure', 'smtp_username', 'smtp_password',
+        'smtp_from_email', 'smtp_from_name', 'email_attach_documents'
+      ];
+
+      const updates = {};
+      keys.forEach(key => {
+        if (req.body[key] !== undefined) updates[key] = req.body[key].toString();
+      });
+
+      if (Object.keys(updates).length === 0) {
+        return ApiResponse.error(res, 'No email settings provided to update', 400);
+      }
+
+      const results = await SystemSettings.updateSettings(updates, req.admin.id, AuditLog.actorFromRequest(req));
+
+      return ApiResponse.success(res, {
+        updated_settings: results
+      }, 'Email settings updated successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Send a test email with the saved SMTP settings (Admin only)
+  static async testEmailConnection(req, res) {
+    try {
+      const EmailService = require('../services/EmailService');
+      const result = await EmailService.testConnection(req.body.email);
+
+      if (!result.success) {
+        return ApiResponse.error(res, result.error || result.message, result.configured ? 502 : 400);
+      }
+
+      return ApiResponse.success(res, result, `Test email sent to ${req.body.email}`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
   // Get company settings (Admin only)
   static async getCompanySettings(req, res) {
     try {
@@ -170,7 +246,7 @@ class SystemSettingsController {
         return ApiResponse.error(res, 'No company settings provided to update', 400);
       }
 
-      const results = await SystemSettings.updateSettings(updates, req.admin.id);
+      const results = await SystemSettings.updateSettings(updates, req.admin.id, AuditLog.actorFromRequest(req));
 
       return ApiResponse.success(res, {
         updated_settings: results
@@ -437,7 +513,8 @@ class SystemSettingsController {
         value,
         description,
         category || 'general',
-        req.admin.id
+        req.admin.id,
+        AuditLog.actorFromRequest(req)
       );
 
       return ApiResponse.success(res, updatedSetting, 'Setting updated successfully');
@@ -471,7 +548,7 @@ class SystemSettingsController {
         return ApiResponse.validationError(res, validationErrors);
       }
 
-      const results = await SystemSettings.updateSettings(settings, req.admin.id);
+      const results = await SystemSettings.updateSettings(settings, req.admin.id, AuditLog.actorFromRequest(req));
 
       return ApiResponse.success(res, {
         updated_settings: results,
@@ -507,7 +584,7 @@ class SystemSettingsController {
         return ApiResponse.error(res, 'No billing settings provided to update', 400);
       }
 
-      const results = await SystemSettings.updateSettings(updates, req.admin.id);
+      const results = await SystemSettings.updateSettings(updates, req.admin.id, AuditLog.actorFromRequest(req));
 
       return ApiResponse.success(res, {
         updated_settings: results
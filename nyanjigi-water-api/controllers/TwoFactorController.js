@@ -0,0 +1,218 @@
+const { Admin, AuditLog, TwoFactor } = require('../models');
+const SMSService = require('../services/SMSService');
+const AdminController = require('./AdminController');
+const AuthUtils = require('../utils/auth');
+const ApiResponse = require('../utils/response');
+
+/**
+ * Two-Factor Controller - Second login step and authenticator management for admins
+ */
+class TwoFactorController {
+  // Audit entry for turning 2FA on or off; the secret itself is never recorded
+  static async recordChange(req, adminId, enabled, actor = null) {
+    await AuditLog.record({
+      table_name: 'admins',
+      record_id: adminId,
+      action: 'UPDATE',
+      old_values: { two_factor_enabled: !enabled },
+      new_values: { two_factor_enabled: enabled }
+    }, actor || AuditLog.actorFromRequest(req));
+  }
+
+  // Finish a login with an authenticator code, backup code or SMS code (Public; challenge token)
+  static async verifyLogin(req, res) {
+    try {
+      const { challenge_token, code, method = 'totp' } = req.body;
+
+      const challenge = await TwoFactor.getChallenge(challenge_token);
+      if (!challenge) {
+        return ApiResponse.unauthorized(res, 'Sign-in has expired; please log in again');
+      }
+
+      const admin = await Admin.getAdmin(challenge.admin_id);
+      if (!admin || !admin.is_active) {
+        return ApiResponse.unauthorized(res, 'Account is deactivated');
+      }
+
+      if (!(await TwoFactor.claimAttempt(challenge))) {
+        return ApiResponse.unauthorized(res, 'Too many invalid codes; please log in again');
+      }
+
+      // Enrolling at login: the first code from the new authenticator confirms it
+      const enrolling = challenge.purpose === 'enroll';
+      const verified = enrolling
+        ? await TwoFactor.verifyTotp(admin.id, code)
+        : await TwoFactor.verifyChallengeCode(challenge, method, code);
+
+      if (!verified) {
+        const remaining = TwoFactor.remainingAttempts(challenge);
+        return ApiResponse.unauthorized(res, remaining > 0
+          ? `Invalid code. ${remaining} attempt${remaining === 1 ? '' : 's'} left`
+          : 'Too many invalid codes; please log in again');
+      }
+
+      if (!(await TwoFactor.completeChallenge(challenge.id))) {
+        return ApiResponse.unauthorized(res, 'Sign-in has expired; please log in again');
+      }
+
+      if (!enrolling) {
+        return AdminController.signIn(req, res, admin);
+      }
+
+      const backupCodes = await TwoFactor.activate(admin.id);
+      await TwoFactorController.recordChange(req, admin.id, true, {
+        ...AuditLog.actorFromRequest(req),
+        user_id: admin.id,
+        user_type: 'admin'
+      });
+
+      return AdminController.signIn(req, res, { ...admin, two_factor_enabled: true }, {
+        backup_codes: backupCodes
+      });
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Text a one-time code for a login challenge, the fallback when the authenticator is unavailable (Public; challenge token)
+  static async sendLoginCode(req, res) {
+    try {
+      const challenge = await TwoFactor.getChallenge(req.body.challenge_token);
+      if (!challenge) {
+        return ApiResponse.unauthorized(res, 'Sign-in has expired; please log in again');
+      }
+      if (challenge.purpose !== 'verify') {
+        return ApiResponse.error(res, 'Set up an authenticator app to finish signing in', 400);
+      }
+
+      const admin = await Admin.getAdmin(challenge.admin_id);
+      if (!admin || !admin.phone) {
+        return ApiResponse.error(res, 'No phone number is set up for SMS codes', 400);
+      }
+
+      const limitReason = TwoFactor.smsLimitReason(challenge);
+      if (limitReason) {
+        return ApiResponse.error(res, limitReason, 429);
+      }
+
+      const { code, expires_in } = await TwoFactor.createSmsCode(challenge);
+      const result = await SMSService.sendSMS(
+        admin.phone,
+        `Your Nyanjigi Waters admin sign-in code is ${code}. It expires in ${expires_in / 60} minutes. Do not share it.`
+      );
+
+      if (!result.success) {
+        return ApiResponse.error(res, 'Failed to send the code by SMS', 502);
+      }
+
+      return ApiResponse.success(res, {
+        phone_hint: TwoFactor.maskPhone(admin.phone),
+        expires_in
+      }, 'Code sent by SMS');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // 2FA status for the signed-in admin (Admin)
+  static async getStatus(req, res) {
+    try {
+      const status = await TwoFactor.getStatus(req.admin.id);
+      return ApiResponse.success(res, status, 'Two-factor status retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // New authenticator secret with its QR code (Admin)
+  static async beginSetup(req, res) {
+    try {
+      const admin = await Admin.getAdmin(req.admin.id);
+      if (admin.two_factor_enabled) {
+        return ApiResponse.error(res, 'Two-factor authentication is already enabled', 400);
+      }
+
+      const setup = await TwoFactor.beginSetup(admin);
+      return ApiResponse.success(res, setup, 'Scan the QR code with your authenticator app');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Confirm the authenticator with its first code and receive backup codes (Admin)
+  static async enable(req, res) {
+    try {
+      const admin = await Admin.getAdmin(req.admin.id);
+      if (admin.two_factor_enabled) {
+        return ApiResponse.error(res, 'Two-factor authentication is already enabled', 400);
+      }
+
+      if (!(await TwoFactor.verifyTotp(admin.id, req.body.code))) {
+        return ApiResponse.error(res, 'Invalid authentication code', 400);
+      }
+
+      const backupCodes = await TwoFactor.activate(admin.id);
+      await TwoFactorController.recordChange(req, admin.id, true);
+
+      return ApiResponse.success(res, {
+        backup_codes: backupCodes
+      }, 'Two-factor authentication enabled');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Turn 2FA off with the password and a current code; not allowed where the role requires it (Admin)
+  static async disable(req, res) {
+    try {
+      const { password, code } = req.body;
+      const admin = await Admin.findById(req.admin.id);
+
+      if (!admin.two_factor_enabled) {
+        return ApiResponse.error(res, 'Two-factor authentication is not enabled', 400);
+      }
+      if (await TwoFactor.isRequired(admin.role)) {
+        return ApiResponse.forbidden(res, 'Your role requires two-factor authentication');
+      }
+
+      if (!(await AuthUtils.comparePassword(password, admin.password_hash))) {
+        return ApiResponse.error(res, 'Password is incorrect', 400);
+      }
+      const verified = await TwoFactor.verifyTotp(admin.id, code) || await TwoFactor.useBackupCode(admin.id, code);
+      if (!verified) {
+        return ApiResponse.error(res, 'Invalid authentication code', 400);
+      }
+
+      await TwoFactor.disable(admin.id);
+      await TwoFactorController.recordChange(req, admin.id, false);
+
+      return ApiResponse.success(res, null, 'Two-factor authentication disabled');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+
+  // Replace the backup codes after confirming a current authenticator code (Admin)
+  static async regenerateBackupCodes(req, res) {
+    try {
+      const status = await TwoFactor.getStatus(req.admin.id);
+      if (!status.enabled) {
+        return ApiResponse.error(res, 'Two-factor authentication is not enabled', 400);
+      }
+
+      if (!(await TwoFactor.verifyTotp(req.admin.id, req.body.code))) {
+        return ApiResponse.error(res, 'Invalid authentication code', 400);
+      }
+
+      const backupCodes = await TwoFactor.regenerateBackupCodes(req.admin.id);
+
+      return ApiResponse.success(res, {
+        backup_codes: backupCodes
+      }, 'New backup codes generated; the old ones no longer work');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = TwoFactorController;
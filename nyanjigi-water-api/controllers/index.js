@@ -9,6 +9,15 @@ const PaymentController = require('./PaymentController');
 const ContributionController = require('./ContributionController');
 const SystemSettingsController = require('./SystemSettingsController');
 const EquityController = require('./EquityController');
+const MeterReadingController = require('./MeterReadingController');
+const ReconciliationController = require('./ReconciliationController');
+const SmsWebhookController = require('./SmsWebhookController');
+const NotificationTemplateController = require('./NotificationTemplateController');
+const AdminUserController = require('./AdminUserController');
+const AuditLogController = require('./AuditLogController');
+const SessionController = require('./SessionController');
+const TwoFactorController = require('./TwoFactorController');
+const PasswordResetController = require('./PasswordResetController');
 
 module.exports = {
   AdminController,
@@ -17,5 +26,14 @@ module.exports = {
   PaymentController,
   ContributionController,
   SystemSettingsController,
-  EquityController
+  EquityController,
+  MeterReadingController,
+  ReconciliationController,
+  SmsWebhookController,
+  NotificationTemplateController,
+  AdminUserController,
+  AuditLogController,
+  SessionController,
+  TwoFactorController,
+  PasswordResetController
 };
\ No newline at end of file
@@ -1,6 +1,8 @@
 const AuthUtils = require('../utils/auth');
 const ApiResponse = require('../utils/response');
 const { executeQuery } = require('../config/database');
+const { getPermissions } = require('../utils/permissions');
+const { AuthSession } = require('../models');
 
 /**
  * Authentication middleware
@@ -22,9 +24,14 @@ const verifyAdmin = async (req, res, next) => {
     if (decoded.type !== 'admin') {
       return ApiResponse.unauthorized(res, 'Invalid admin token');
     }
+
+    // Tokens from logged-out or revoked sessions (and pre-session tokens) are refused
+    if (!(await AuthSession.isActive(decoded))) {
+      return ApiResponse.unauthorized(res, 'Session has ended');
+    }
     
     // Check if admin exists and is active
-    const adminQuery = 'SELECT id, username, email, full_name, is_active FROM admins WHERE id = ? AND is_active = TRUE';
+    const adminQuery = 'SELECT id, username, email, full_name, role, is_active FROM admins WHERE id = ? AND is_active = TRUE';
     const admin = await executeQuery(adminQuery, [decoded.id]);
     
     if (!admin || admin.length === 0) {
@@ -35,7 +42,8 @@ const verifyAdmin = async (req, res, next) => {
     await executeQuery('UPDATE admins SET last_login = NOW() WHERE id = ?', [decoded.id]);
 
     // Add admin info to request
-    req.admin = admin[0];
+    req.admin = { ...admin[0], permissions: getPermissions(admin[0].role) };
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Admin auth error:', error);
@@ -43,6 +51,27 @@ const verifyAdmin = async (req, res, next) => {
   }
 };
 
+// Require one of the given permissions; use after verifyAdmin
+const requirePermission = (...permissions) => (req, res, next) => {
+  const granted = req.admin?.permissions || [];
+
+  if (!permissions.some(permission => granted.includes(permission))) {
+    return ApiResponse.forbidden(res, 'Your role does not allow this action');
+  }
+
+  next();
+};
+
+// Require one of the given permissions from admins; customers pass through to
+// handlers that limit them to their own records. Use after verifyToken.
+const requirePermissionForAdmins = (...permissions) => (req, res, next) => {
+  if (!req.admin) {
+    return next();
+  }
+
+  return requirePermission(...permissions)(req, res, next);
+};
+
 // Verify customer authentication
 const verifyCustomer = async (req, res, next) => {
   try {
@@ -59,6 +88,10 @@ const verifyCustomer = async (req, res, next) => {
     if (decoded.type !== 'customer') {
       return ApiResponse.unauthorized(res, 'Invalid customer token');
     }
+
+    if (!(await AuthSession.isActive(decoded))) {
+      return ApiResponse.unauthorized(res, 'Session has ended');
+    }
     
     // Check if customer exists and is active
     const customerQuery = `
@@ -77,6 +110,7 @@ const verifyCustomer = async (req, res, next) => {
 
     // Add customer info to request
     req.customer = customer[0];
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Customer auth error:', error);
@@ -96,18 +130,23 @@ const verifyToken = async (req, res, next) => {
     // Verify token
     const decoded = AuthUtils.verifyToken(token);
 
+    if (!(await AuthSession.isActive(decoded))) {
+      return ApiResponse.unauthorized(res, 'Session has ended');
+    }
+
     // Try to get admin first
-    const adminQuery = 'SELECT id, username, email, full_name, is_active FROM admins WHERE id = ? AND is_active = TRUE';
-    const admin = await executeQuery(adminQuery, [decoded.id]);
+    const adminQuery = 'SELECT id, username, email, full_name, role, is_active FROM admins WHERE id = ? AND is_active = TRUE';
+    const admin = decoded.type === 'admin' ? await executeQuery(adminQuery, [decoded.id]) : [];
 
     if (admin && admin.length > 0) {
       // Update last login
       await executeQuery('UPDATE admins SET last_login = NOW() WHERE id = ?', [decoded.id]);
 
       // Add admin info to request
-      req.admin = admin[0];
+      req.admin = { ...admin[0], permissions: getPermissions(admin[0].role) };
       req.userType = 'admin';
       req.user = admin[0];
+      req.sessionId = decoded.sid;
       next();
     } else {
       // Try customer
@@ -116,7 +155,7 @@ const verifyToken = async (req, res, next) => {
         FROM customers
         WHERE id = ? AND is_active = TRUE
       `;
-      const customer = await executeQuery(customerQuery, [decoded.id]);
+      const customer = decoded.type === 'customer' ? await executeQuery(customerQuery, [decoded.id]) : [];
 
       if (customer && customer.length > 0) {
         // Update last login
@@ -126,6 +165,7 @@ const verifyToken = async (req, res, next) => {
         req.customer = customer[0];
         req.userType = 'customer';
         req.user = customer[0];
+        req.sessionId = decoded.sid;
         next();
       } else {
         return ApiResponse.unauthorized(res, 'Invalid user account');
@@ -145,6 +185,10 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = AuthUtils.verifyToken(token);
 
+      if (!(await AuthSession.isActive(decoded))) {
+        return next();
+      }
+
       // Try to get admin first
       const adminQuery = 'SELECT id, username, full_name FROM admins WHERE id = ? AND is_active = TRUE';
       const admin = await executeQuery(adminQuery, [decoded.id]);
@@ -173,6 +217,8 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   verifyAdmin,
+  requirePermission,
+  requirePermissionForAdmins,
   verifyCustomer,
   verifyToken,
   optionalAuth
@@ -1,6 +1,7 @@
 const BaseModel = require('./BaseModel');
 const { executeQuery } = require('../config/database');
 const AuthUtils = require('../utils/auth');
+const Ledger = require('./Ledger');
 
 /**
  * Admin Model
@@ -20,6 +21,7 @@ class Admin extends BaseModel {
         email: adminData.email,
         password_hash: hashedPassword,
         full_name: adminData.full_name,
+        role: adminData.role || 'superadmin',
         is_active: true
       };
 
@@ -73,8 +75,8 @@ class Admin extends BaseModel {
         throw new Error('Invalid username or password');
       }
 
-      // Remove password from returned object
-      const { password_hash, ...adminData } = admin;
+      // Remove password and 2FA secret from returned object
+      const { password_hash, two_factor_secret, ...adminData } = admin;
       return adminData;
     } catch (error) {
       console.error('Error authenticating admin:', error);
@@ -97,7 +99,7 @@ class Admin extends BaseModel {
   async updateProfile(adminId, updateData) {
     try {
       // Remove sensitive fields that shouldn't be updated directly
-      const allowedFields = ['full_name', 'email'];
+      const allowedFields = ['full_name', 'email', 'phone'];
       
       const filteredData = {};
       Object.keys(updateData).forEach(key => {
@@ -108,8 +110,8 @@ class Admin extends BaseModel {
 
       const admin = await this.update(adminId, filteredData);
       
-      // Remove password hash from response
-      const { password_hash, ...adminResponse } = admin;
+      // Remove password hash and 2FA secret from response
+      const { password_hash, two_factor_secret, ...adminResponse } = admin;
       return adminResponse;
     } catch (error) {
       console.error('Error updating admin profile:', error);
@@ -117,6 +119,82 @@ class Admin extends BaseModel {
     }
   }
 
+  // List admin users, without password hashes or 2FA secrets
+  async getAdmins() {
+    try {
+      return await executeQuery(`
+        SELECT id, username, email, phone, full_name, role, two_factor_enabled, is_active, last_login, created_at
+        FROM admins
+        ORDER BY is_active DESC, full_name ASC
+      `);
+    } catch (error) {
+      console.error('Error getting admin users:', error);
+      throw error;
+    }
+  }
+
+  // Get an admin user without the password hash or 2FA secret
+  async getAdmin(adminId) {
+    try {
+      const admin = await this.findById(adminId);
+      if (!admin) {
+        return null;
+      }
+
+      const { password_hash, two_factor_secret, ...adminData } = admin;
+      return adminData;
+    } catch (error) {
+      console.error('Error getting admin user:', error);
+      throw error;
+    }
+  }
+
+  // Update another admin's details and role
+  async updateAdmin(adminId, updateData) {
+    try {
+      const allowedFields = ['full_name', 'email', 'role'];
+
+      const filteredData = {};
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key)) {
+          filteredData[key] = updateData[key];
+        }
+      });
+
+      const admin = await this.update(adminId, filteredData);
+
+      const { password_hash, two_factor_secret, ...adminResponse } = admin;
+      return adminResponse;
+    } catch (error) {
+      console.error('Error updating admin user:', error);
+      throw error;
+    }
+  }
+
+  // Activate or deactivate an admin account
+  async setActive(adminId, isActive) {
+    try {
+      return await this.update(adminId, { is_active: isActive });
+    } catch (error) {
+      console.error('Error updating admin status:', error);
+      throw error;
+    }
+  }
+
+  // Active superadmins other than the given admin; guards against locking everyone out
+  async countOtherActiveSuperadmins(adminId) {
+    try {
+      const result = await executeQuery(
+        "SELECT COUNT(*) as count FROM admins WHERE role = 'superadmin' AND is_active = TRUE AND id != ?",
+        [adminId]
+      );
+      return result[0].count;
+    } catch (error) {
+      console.error('Error counting superadmins:', error);
+      throw error;
+    }
+  }
+
   // Get admin dashboard statistics
   async getDashboardStats() {
     try {
@@ -127,9 +205,9 @@ class Admin extends BaseModel {
         // Total outstanding bills
         `SELECT 
           COUNT(*) as count, 
-          COALESCE(SUM(total_amount), 0) as amount 
+          COALESCE(SUM(balance_due), 0) as amount 
          FROM bills 
-         WHERE status IN ('pending', 'overdue')`,
+         WHERE status != 'paid' AND balance_due > 0`,
         
         // Today's payments
         `SELECT 
@@ -150,9 +228,9 @@ class Admin extends BaseModel {
         // Overdue bills
         `SELECT 
           COUNT(*) as count, 
-          COALESCE(SUM(total_amount), 0) as amount 
+          COALESCE(SUM(balance_due), 0) as amount 
          FROM bills 
-         WHERE due_date < CURDATE() AND status != 'paid'`,
+         WHERE due_date < CURDATE() AND status != 'paid' AND balance_due > 0`,
         
         // Recent bills generated
         `SELECT COUNT(*) as count 
@@ -169,8 +247,12 @@ class Admin extends BaseModel {
         recentBills
       ] = await Promise.all(queries.map(query => executeQuery(query)));
 
+      // Customer balances come from the ledger
+      const outstandingBalance = await Ledger.getTotalOutstanding();
+
       return {
         total_customers: totalCustomers[0].total,
+        outstanding_balance: outstandingBalance,
         outstanding_bills: {
           count: outstandingBills[0].count,
           amount: parseFloat(outstandingBills[0].amount)
@@ -343,8 +425,11 @@ class Admin extends BaseModel {
 
       // Format payment methods
       const formattedPaymentMethods = paymentMethods.map(method => ({
-        method: method.payment_method === 'mpesa' ? 'M-Pesa' :
-                method.payment_method === 'bank' ? 'Bank Transfer' : 'Cash',
+        method: method.payment_method === 'equity_mpesa' ? 'M-Pesa' :
+                method.payment_method === 'bank_transfer' ? 'Bank Transfer' :
+                method.payment_method === 'cheque' ? 'Cheque' :
+                method.payment_method === 'cash' ? 'Cash' :
+                method.payment_method.replace('equity_', 'Equity ').replace('_', ' '),
         count: method.count,
         total: parseFloat(method.total)
       }));
@@ -377,47 +462,14 @@ class Admin extends BaseModel {
   }
 
   // Get customers with outstanding balances
-async getOutstandingCustomers(limit = 50) {
-  try {
-    const limitInt = parseInt(limit); // Parse to integer
-    
-    const query = `
-      SELECT 
-        c.id,
-        c.account_number,
-        c.full_name,
-        c.phone,
-        COALESCE(SUM(b.total_amount), 0) as outstanding_bills,
-        COALESCE(SUM(f.amount), 0) as outstanding_fines,
-        COALESCE(SUM(cont.amount_required - cont.amount_paid), 0) as outstanding_contributions,
-        (COALESCE(SUM(b.total_amount), 0) + 
-         COALESCE(SUM(f.amount), 0) + 
-         COALESCE(SUM(cont.amount_required - cont.amount_paid), 0)) as total_outstanding
-      FROM customers c
-      LEFT JOIN bills b ON c.id = b.customer_id AND b.status != 'paid'
-      LEFT JOIN applied_fines f ON c.id = f.customer_id AND f.status != 'paid'
-      LEFT JOIN contributions cont ON c.id = cont.customer_id AND cont.status != 'completed'
-      WHERE c.is_active = TRUE
-      GROUP BY c.id, c.account_number, c.full_name, c.phone
-      HAVING total_outstanding > 0
-      ORDER BY total_outstanding DESC
-      LIMIT ${limitInt}
-    `;
-
-    const customers = await executeQuery(query); // Remove [limit] parameter
-    
-    return customers.map(customer => ({
-      ...customer,
-      outstanding_bills: parseFloat(customer.outstanding_bills),
-      outstanding_fines: parseFloat(customer.outstanding_fines),
-      outstanding_contributions: parseFloat(customer.outstanding_contributions),
-      total_outstanding: parseFloat(customer.total_outstanding)
-    }));
-  } catch (error) {
-    console.error('Error getting outstanding customers:', error);
-    throw error;
+  async getOutstandingCustomers(limit = 50) {
+    try {
+      return await Ledger.getOutstandingCustomers(limit);
+    } catch (error) {
+      console.error('Error getting outstanding customers:', error);
+      throw error;
+    }
   }
 }
-}
 
 module.exports = new Admin();
\ No newline at end of file
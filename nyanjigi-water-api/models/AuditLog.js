@@ -0,0 +1,268 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+
+// Never written to the trail, even when a caller passes a full row
+const HIDDEN_FIELDS = ['password_hash', 'two_factor_secret'];
+
+// Change on every write, so they never count as a change on their own
+const IGNORED_FIELDS = ['updated_at'];
+
+// Largest number of rows a single CSV export returns
+const EXPORT_LIMIT = 10000;
+
+/**
+ * Audit Log Model - Who changed what, from where
+ *
+ * Model methods that mutate audited records call record() with the values
+ * before and after the change and an actor built by actorFromRequest().
+ * Callers without a request (scheduler, payment callbacks) pass no actor and
+ * are recorded as the system.
+ */
+class AuditLog extends BaseModel {
+  constructor() {
+    super('audit_logs');
+
+    this.TABLE_LABELS = {
+      customers: 'Customers',
+      bills: 'Bills',
+      applied_fines: 'Fines',
+      system_settings: 'Settings',
+      payment_allocations: 'Payment allocations',
+      admins: 'Admin users'
+    };
+  }
+
+  // Actor details for the admin or customer making a request
+  actorFromRequest(req) {
+    const actor = {
+      user_id: null,
+      user_type: 'system',
+      ip_address: req.ip || null,
+      user_agent: req.get('User-Agent') || null
+    };
+
+    if (req.admin) {
+      actor.user_id = req.admin.id;
+      actor.user_type = 'admin';
+    } else if (req.customer) {
+      actor.user_id = req.customer.id;
+      actor.user_type = 'customer';
+    }
+
+    return actor;
+  }
+
+  // Comparable form of a column value: dates as ISO strings, booleans as 1/0
+  normalize(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  // Drop hidden fields and make values JSON-safe
+  sanitize(values) {
+    if (!values) return null;
+
+    const clean = {};
+    Object.keys(values).forEach(key => {
+      if (!HIDDEN_FIELDS.includes(key)) {
+        clean[key] = this.normalize(values[key]);
+      }
+    });
+    return clean;
+  }
+
+  // Keep only the fields whose value changed, on both sides
+  diff(oldValues, newValues) {
+    const before = {};
+    const after = {};
+
+    Object.keys(newValues).forEach(key => {
+      if (IGNORED_FIELDS.includes(key)) return;
+      const oldValue = oldValues[key] === undefined ? null : oldValues[key];
+      if (String(oldValue) !== String(newValues[key])) {
+        before[key] = oldValue;
+        after[key] = newValues[key];
+      }
+    });
+
+    return { before, after };
+  }
+
+  /**
+   * Record a change. Updates store only the fields that changed and are
+   * skipped when nothing did; payment allocations are recorded against the
+   * payment id. Failures are logged rather than thrown because the change
+   * itself has already been made.
+   */
+  async record(entry, actor = null) {
+    try {
+      const { table_name, record_id, action } = entry;
+      let oldValues = this.sanitize(entry.old_values);
+      let newValues = this.sanitize(entry.new_values);
+
+      if (!oldValues && !newValues) {
+        return null;
+      }
+
+      if (action === 'UPDATE' && oldValues && newValues) {
+        const { before, after } = this.diff(oldValues, newValues);
+        if (Object.keys(after).length === 0) {
+          return null;
+        }
+        oldValues = before;
+        newValues = after;
+      }
+
+      const who = actor || {};
+      const result = await executeQuery(`
+        INSERT INTO audit_logs
+        (table_name, record_id, action, old_values, new_values, user_id, user_type, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        table_name,
+        record_id,
+        action,
+        oldValues ? JSON.stringify(oldValues) : null,
+        newValues ? JSON.stringify(newValues) : null,
+        who.user_id || null,
+        who.user_type || 'system',
+        who.ip_address || null,
+        who.user_agent ? String(who.user_agent).slice(0, 500) : null
+      ]);
+
+      return result.insertId;
+    } catch (error) {
+      console.error('Error recording audit log:', error);
+      return null;
+    }
+  }
+
+  buildFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.table_name) {
+      conditions.push('al.table_name = ?');
+      params.push(filters.table_name);
+    }
+
+    if (filters.record_id) {
+      conditions.push('al.record_id = ?');
+      params.push(parseInt(filters.record_id));
+    }
+
+    if (filters.action) {
+      conditions.push('al.action = ?');
+      params.push(filters.action);
+    }
+
+    if (filters.user_type) {
+      conditions.push('al.user_type = ?');
+      params.push(filters.user_type);
+    }
+
+    if (filters.user_id) {
+      conditions.push('al.user_id = ?');
+      params.push(parseInt(filters.user_id));
+    }
+
+    if (filters.date_from) {
+      conditions.push('al.created_at >= ?');
+      params.push(`${filters.date_from} 00:00:00`);
+    }
+
+    if (filters.date_to) {
+      conditions.push('al.created_at <= ?');
+      params.push(`${filters.date_to} 23:59:59`);
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  formatLog(row) {
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value || null);
+    return {
+      ...row,
+      old_values: parse(row.old_values),
+      new_values: parse(row.new_values)
+    };
+  }
+
+  selectLogs(whereClause) {
+    return `
+      SELECT
+        al.*,
+        COALESCE(a.full_name, c.full_name) as actor_name,
+        COALESCE(a.username, c.account_number) as actor_username
+      FROM audit_logs al
+      LEFT JOIN admins a ON al.user_type = 'admin' AND al.user_id = a.id
+      LEFT JOIN customers c ON al.user_type = 'customer' AND al.user_id = c.id
+      ${whereClause}
+      ORDER BY al.created_at DESC, al.id DESC
+    `;
+  }
+
+  async getLogs(page = 1, limit = 50, filters = {}) {
+    try {
+      const pageInt = parseInt(page);
+      const limitInt = parseInt(limit);
+      const offset = (pageInt - 1) * limitInt;
+      const { whereClause, params } = this.buildFilters(filters);
+
+      const logs = await executeQuery(
+        `${this.selectLogs(whereClause)} LIMIT ${limitInt} OFFSET ${offset}`,
+        params
+      );
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM audit_logs al ${whereClause}`,
+        params
+      );
+      const total = countResult[0].total;
+
+      return {
+        logs: logs.map(log => this.formatLog(log)),
+        pagination: {
+          current_page: pageInt,
+          per_page: limitInt,
+          total,
+          total_pages: Math.ceil(total / limitInt)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting audit logs:', error);
+      throw error;
+    }
+  }
+
+  // Every change to one record, newest first
+  async getRecordHistory(tableName, recordId) {
+    try {
+      const { whereClause, params } = this.buildFilters({ table_name: tableName, record_id: recordId });
+      const logs = await executeQuery(this.selectLogs(whereClause), params);
+      return logs.map(log => this.formatLog(log));
+    } catch (error) {
+      console.error('Error getting record history:', error);
+      throw error;
+    }
+  }
+
+  async getLogsForExport(filters = {}) {
+    try {
+      const { whereClause, params } = this.buildFilters(filters);
+      const logs = await executeQuery(`${this.selectLogs(whereClause)} LIMIT ${EXPORT_LIMIT}`, params);
+      return logs.map(log => this.formatLog(log));
+    } catch (error) {
+      console.error('Error exporting audit logs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditLog();
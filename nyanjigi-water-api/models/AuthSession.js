@@ -0,0 +1,247 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+const AuthUtils = require('../utils/auth');
+const moment = require('moment');
+
+// How long a session survives without being refreshed
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Two tabs refreshing at once both present the same token; the loser is turned
+// away without revoking the session if it arrives within this window
+const REUSE_GRACE_SECONDS = 30;
+
+/**
+ * Auth Session Model - Logins, rotating refresh tokens and revocation
+ *
+ * Access tokens are short-lived JWTs carrying the session id (sid). Each
+ * refresh swaps the refresh token for a new one; presenting a rotated-out
+ * token again outside the grace window is treated as theft and revokes the
+ * session.
+ */
+class AuthSession extends BaseModel {
+  constructor() {
+    super('auth_sessions');
+  }
+
+  // Claims for the access token, or null when the account is missing or inactive
+  async getTokenClaims(userType, userId) {
+    if (userType === 'admin') {
+      const admins = await executeQuery(
+        'SELECT id, username FROM admins WHERE id = ? AND is_active = TRUE',
+        [userId]
+      );
+      return admins.length > 0 ? { username: admins[0].username } : null;
+    }
+
+    const customers = await executeQuery(
+      'SELECT id, account_number FROM customers WHERE id = ? AND is_active = TRUE',
+      [userId]
+    );
+    return customers.length > 0 ? { account_number: customers[0].account_number } : null;
+  }
+
+  issueTokens(session, refreshToken, claims) {
+    const token = AuthUtils.generateToken({
+      id: session.user_id,
+      type: session.user_type,
+      sid: session.id,
+      ...claims
+    });
+
+    return {
+      token,
+      refresh_token: refreshToken,
+      expires_in: process.env.JWT_EXPIRE || '15m',
+      refresh_expires_at: session.expires_at
+    };
+  }
+
+  // Open a session after a successful login and return its tokens
+  async startSession(userType, userId, claims, meta = {}) {
+    try {
+      const refreshToken = AuthUtils.generateRefreshToken();
+      const expiresAt = moment().add(REFRESH_TOKEN_DAYS, 'days').toDate();
+
+      const result = await executeQuery(`
+        INSERT INTO auth_sessions
+        (user_type, user_id, refresh_token_hash, ip_address, user_agent, expires_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?, ?, NOW())
+      `, [
+        userType,
+        userId,
+        AuthUtils.hashToken(refreshToken),
+        meta.ip_address || null,
+        meta.user_agent ? String(meta.user_agent).slice(0, 500) : null,
+        expiresAt
+      ]);
+
+      return this.issueTokens(
+        { id: result.insertId, user_type: userType, user_id: userId, expires_at: expiresAt },
+        refreshToken,
+        claims
+      );
+    } catch (error) {
+      console.error('Error starting session:', error);
+      throw error;
+    }
+  }
+
+  // Swap a refresh token for a new one plus a fresh access token
+  async rotate(refreshToken, meta = {}) {
+    try {
+      const hash = AuthUtils.hashToken(refreshToken);
+      const sessions = await executeQuery('SELECT * FROM auth_sessions WHERE refresh_token_hash = ?', [hash]);
+
+      if (sessions.length === 0) {
+        const reused = await executeQuery(
+          'SELECT * FROM auth_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+          [hash]
+        );
+
+        if (reused.length > 0) {
+          const session = reused[0];
+          const withinGrace = session.last_used_at &&
+            moment().diff(moment(session.last_used_at), 'seconds') <= REUSE_GRACE_SECONDS;
+
+          if (!withinGrace) {
+            await this.revoke(session.id, 'token_reuse');
+          }
+          throw new Error('Refresh token has already been used');
+        }
+
+        throw new Error('Invalid refresh token');
+      }
+
+      const session = sessions[0];
+
+      if (session.revoked_at) {
+        throw new Error('Session has been revoked');
+      }
+      if (moment(session.expires_at).isBefore(moment())) {
+        throw new Error('Session has expired');
+      }
+
+      const claims = await this.getTokenClaims(session.user_type, session.user_id);
+      if (!claims) {
+        await this.revoke(session.id, 'account_deactivated');
+        throw new Error('Account is inactive');
+      }
+
+      const newToken = AuthUtils.generateRefreshToken();
+      const expiresAt = moment().add(REFRESH_TOKEN_DAYS, 'days').toDate();
+
+      // Conditional on the old hash so two concurrent refreshes cannot both succeed
+      const result = await executeQuery(`
+        UPDATE auth_sessions
+        SET previous_token_hash = refresh_token_hash,
+            refresh_token_hash = ?,
+            expires_at = ?,
+            last_used_at = NOW(),
+            ip_address = COALESCE(?, ip_address),
+            user_agent = COALESCE(?, user_agent)
+        WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+      `, [
+        AuthUtils.hashToken(newToken),
+        expiresAt,
+        meta.ip_address || null,
+        meta.user_agent ? String(meta.user_agent).slice(0, 500) : null,
+        session.id,
+        hash
+      ]);
+
+      if (result.affectedRows === 0) {
+        throw new Error('Refresh token has already been used');
+      }
+
+      return this.issueTokens({ ...session, expires_at: expiresAt }, newToken, claims);
+    } catch (error) {
+      console.error('Error rotating refresh token:', error.message);
+      throw error;
+    }
+  }
+
+  // Whether the session behind an access token is still usable
+  async isActive(decoded) {
+    try {
+      if (!decoded || !decoded.sid) {
+        return false;
+      }
+
+      const sessions = await executeQuery(`
+        SELECT id FROM auth_sessions
+        WHERE id = ? AND user_type = ? AND user_id = ?
+        AND revoked_at IS NULL AND expires_at > NOW()
+      `, [decoded.sid, decoded.type, decoded.id]);
+
+      return sessions.length > 0;
+    } catch (error) {
+      console.error('Error checking session:', error);
+      throw error;
+    }
+  }
+
+  async revoke(sessionId, reason = 'logout') {
+    try {
+      const result = await executeQuery(
+        'UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+        [reason, sessionId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  async revokeByToken(refreshToken, reason = 'logout') {
+    try {
+      const result = await executeQuery(
+        'UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+        [reason, AuthUtils.hashToken(refreshToken)]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  // End every session of a user, e.g. logout from all devices or a deactivated account.
+  // A password change passes the session it was made from as keepSessionId so that
+  // device stays signed in.
+  async revokeAll(userType, userId, reason = 'logout_all', keepSessionId = null) {
+    try {
+      const params = [reason, userType, userId];
+      let query = `
+        UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+        WHERE user_type = ? AND user_id = ? AND revoked_at IS NULL
+      `;
+      if (keepSessionId) {
+        query += ' AND id != ?';
+        params.push(keepSessionId);
+      }
+      const result = await executeQuery(query, params);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      throw error;
+    }
+  }
+
+  // Delete sessions that ended more than the given number of days ago
+  async purgeEnded(days = 30) {
+    try {
+      const result = await executeQuery(`
+        DELETE FROM auth_sessions
+        WHERE revoked_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+        OR expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      `, [days, days]);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error purging sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuthSession();
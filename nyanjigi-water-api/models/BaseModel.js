@@ -164,24 +164,29 @@ class BaseModel {
     }
   }
 
-  // Bulk insert
-  async bulkInsert(dataArray) {
-    try {
-      if (!dataArray || dataArray.length === 0) {
-        throw new Error('Data array is empty');
-      }
+  // Bulk insert statement, for running on its own or inside a transaction
+  bulkInsertQuery(dataArray) {
+    if (!dataArray || dataArray.length === 0) {
+      throw new Error('Data array is empty');
+    }
 
-      const fields = Object.keys(dataArray[0]);
-      const placeholders = fields.map(() => '?').join(', ');
-      
-      const query = `
+    const fields = Object.keys(dataArray[0]);
+    const placeholders = fields.map(() => '?').join(', ');
+
+    return {
+      query: `
         INSERT INTO ${this.tableName} (${fields.join(', ')}) 
         VALUES ${dataArray.map(() => `(${placeholders})`).join(', ')}
-      `;
-      
-      const values = dataArray.flatMap(item => Object.values(item));
-      
-      return await executeQuery(query, values);
+      `,
+      params: dataArray.flatMap(item => Object.values(item))
+    };
+  }
+
+  // Bulk insert
+  async bulkInsert(dataArray) {
+    try {
+      const { query, params } = this.bulkInsertQuery(dataArray);
+      return await executeQuery(query, params);
     } catch (error) {
       console.error(`Error in ${this.tableName} bulkInsert:`, error);
       throw error;
@@ -1,6 +1,11 @@
 const BaseModel = require('./BaseModel');
 const { executeQuery, executeTransaction } = require('../config/database');
 const moment = require('moment');
+const BillingRate = require('./BillingRate');
+const MeterReading = require('./MeterReading');
+const Ledger = require('./Ledger');
+const CustomerCredit = require('./CustomerCredit');
+const AuditLog = require('./AuditLog');
 
 /**
  * Bill Model
@@ -20,6 +25,130 @@ class Bill extends BaseModel {
     return `BILL-${year}${month}-${customerPadded}-${timestamp}`;
   }
 
+  // Calculate the current month charge for a customer from the active tariff
+  async calculateCustomerCharge(customer, periodStart, periodEnd, reading = null, rateCache = new Map(), options = {}) {
+    const customerType = customer.customer_type || 'normal';
+    // A baseline (first) reading has no consumption yet and is billed at the flat rate
+    const metered = Boolean(reading) && reading.consumption !== null && reading.consumption !== undefined;
+    const cacheKey = `${customerType}:${metered ? 'metered' : 'flat'}`;
+
+    if (!rateCache.has(cacheKey)) {
+      rateCache.set(cacheKey, await BillingRate.getActiveRates(periodStart, periodEnd, { customerType, metered }));
+    }
+
+    const rateVersion = rateCache.get(cacheKey);
+    if (!rateVersion) {
+      throw new Error(`No active ${metered ? 'metered' : 'flat rate'} tariff for ${customerType} customers in ${periodStart} to ${periodEnd}`);
+    }
+
+    if (!metered) {
+      return {
+        ...BillingRate.calculateCharges(rateVersion),
+        bill_type: 'flat_rate',
+        is_estimated: false,
+        meter_reading_previous: null,
+        meter_reading_current: reading ? parseFloat(reading.reading_value) : null,
+        trued_up_bill_ids: []
+      };
+    }
+
+    const consumption = parseFloat(reading.consumption);
+    if (consumption < 0) {
+      throw new Error(`Meter reading ${reading.reading_value} is lower than previous reading ${reading.previous_reading}`);
+    }
+
+    const meterReadingPrevious = reading.previous_reading === null ? null : parseFloat(reading.previous_reading);
+
+    // No reading this period: bill the historical average and mark the bill estimated
+    if (reading.estimated) {
+      const charge = BillingRate.calculateCharges(rateVersion, consumption);
+      return {
+        ...charge,
+        items: charge.items.map(item => ({ ...item, description: `${item.description} - estimated` })),
+        bill_type: 'metered',
+        is_estimated: true,
+        meter_reading_previous: meterReadingPrevious,
+        meter_reading_current: null,
+        trued_up_bill_ids: []
+      };
+    }
+
+    const estimatedBills = options.estimatedBills || [];
+    if (estimatedBills.length === 0) {
+      return {
+        ...BillingRate.calculateCharges(rateVersion, consumption),
+        bill_type: 'metered',
+        is_estimated: false,
+        meter_reading_previous: meterReadingPrevious,
+        meter_reading_current: parseFloat(reading.reading_value),
+        trued_up_bill_ids: []
+      };
+    }
+
+    // True-up: the actual consumption covers this period and the estimated ones, so spread it
+    // evenly, bill this period's share and correct the estimated charges with an adjustment line
+    const monthsCovered = estimatedBills.length + 1;
+    const monthlyUnits = BillingRate.round(consumption / monthsCovered);
+    const charge = BillingRate.calculateCharges(rateVersion, monthlyUnits);
+
+    let correctedCharges = 0;
+    let estimatedCharges = 0;
+    let estimatedUnits = 0;
+    for (const estimatedBill of estimatedBills) {
+      const start = moment(estimatedBill.billing_period_start).format('YYYY-MM-DD');
+      const end = moment(estimatedBill.billing_period_end).format('YYYY-MM-DD');
+      const estimateRates = await BillingRate.getActiveRates(start, end, { customerType, metered: true });
+
+      correctedCharges += BillingRate.calculateCharges(estimateRates || rateVersion, monthlyUnits).total;
+      estimatedCharges += parseFloat(estimatedBill.current_charges);
+      estimatedUnits += parseFloat(estimatedBill.units_consumed || 0);
+    }
+
+    const adjustment = BillingRate.round(correctedCharges - estimatedCharges);
+    const periodsLabel = estimatedBills
+      .map(estimatedBill => moment(estimatedBill.billing_period_start).format('MMM YYYY'))
+      .join(', ');
+
+    const items = [...charge.items, {
+      item_type: 'adjustment',
+      description: `True-up for estimated bills (${periodsLabel}): ${BillingRate.round(monthlyUnits * estimatedBills.length)} actual vs ${BillingRate.round(estimatedUnits)} estimated units`,
+      tier_min: null,
+      tier_max: null,
+      units: BillingRate.round(monthlyUnits * estimatedBills.length - estimatedUnits),
+      rate: null,
+      amount: adjustment,
+      rate_version: charge.rate_version
+    }];
+
+    return {
+      ...charge,
+      total: BillingRate.round(charge.total + adjustment),
+      items,
+      bill_type: 'metered',
+      is_estimated: false,
+      meter_reading_previous: meterReadingPrevious,
+      meter_reading_current: parseFloat(reading.reading_value),
+      trued_up_bill_ids: estimatedBills.map(estimatedBill => estimatedBill.id)
+    };
+  }
+
+  // Estimated bills awaiting a true-up from the customer's next actual reading
+  async getUntruedEstimatedBills(customerId, beforePeriod) {
+    try {
+      return await executeQuery(`
+        SELECT id, billing_period_start, billing_period_end, current_charges, units_consumed
+        FROM bills
+        WHERE customer_id = ? AND is_estimated = TRUE
+        AND trued_up_by_bill_id IS NULL
+        AND billing_period_start < ?
+        ORDER BY billing_period_start ASC
+      `, [customerId, beforePeriod]);
+    } catch (error) {
+      console.error('Error getting estimated bills:', error);
+      throw error;
+    }
+  }
+
   // Generate monthly bills for all active customers
   async generateMonthlyBills(billingMonth, customerIds = null) {
     try {
@@ -30,7 +159,10 @@ class Bill extends BaseModel {
       const settingsQuery = `
         SELECT setting_key, setting_value 
         FROM system_settings 
-        WHERE setting_key IN ('payment_due_days', 'monthly_contribution_amount', 'total_contribution_target')
+        WHERE setting_key IN (
+          'payment_due_days', 'monthly_contribution_amount', 'total_contribution_target',
+          'estimated_billing_enabled', 'estimate_average_periods'
+        )
       `;
       const settings = await executeQuery(settingsQuery);
       const settingsMap = {};
@@ -39,35 +171,45 @@ class Bill extends BaseModel {
       const paymentDueDays = parseInt(settingsMap.payment_due_days, 10) || 5;
       const monthlyContributionAmount = parseFloat(settingsMap.monthly_contribution_amount) || 0;
       const totalContributionTarget = parseFloat(settingsMap.total_contribution_target) || 18500.00;
+      const estimatedBillingEnabled = settingsMap.estimated_billing_enabled !== 'false';
+      const estimateAveragePeriods = parseInt(settingsMap.estimate_average_periods, 10) || 6;
 
-      // Get customers to bill with their connection date and type
+      // Get customers to bill with their connection date, type and metering status
       let customerQuery = `
-        SELECT c.id, c.account_number, c.full_name, c.phone, c.customer_type,
+        SELECT c.id, c.account_number, c.full_name, c.phone, c.email, c.customer_type, c.meter_number,
                COALESCE(
-                 (SELECT SUM(total_amount) FROM bills
-                  WHERE customer_id = c.id AND status != 'paid'), 0
+                 (SELECT SUM(balance_due) FROM bills
+                  WHERE customer_id = c.id AND balance_due > 0), 0
                ) as previous_balance,
                COALESCE(
-                 (SELECT SUM(amount) FROM applied_fines
-                  WHERE customer_id = c.id AND status != 'paid'), 0
+                 (SELECT SUM(af.amount - COALESCE(
+                    (SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.fine_id = af.id), 0))
+                  FROM applied_fines af
+                  WHERE af.customer_id = c.id AND af.status = 'pending'), 0
                ) as outstanding_fines,
                COALESCE(
                  (SELECT SUM(amount_paid) FROM contributions
                   WHERE customer_id = c.id), 0
-               ) as total_contributions_paid
+               ) as total_contributions_paid,
+               EXISTS (
+                 SELECT 1 FROM meter_readings
+                 WHERE customer_id = c.id AND reading_period < ? AND status != 'rejected'
+               ) as is_metered
         FROM customers c
         WHERE c.is_active = TRUE
       `;
 
-      const params = [];
+      // Billing period covers the previous month
+      const periodStart = previousMonth.clone().startOf('month').format('YYYY-MM-DD');
+      const periodEnd = previousMonth.clone().endOf('month').format('YYYY-MM-DD');
+
+      const params = [periodStart];
       if (customerIds && customerIds.length > 0) {
         customerQuery += ` AND c.id IN (${customerIds.map(() => '?').join(',')})`;
         params.push(...customerIds);
       }
 
       // Check for existing bills for this period and customer
-      const periodStart = previousMonth.clone().startOf('month').format('YYYY-MM-DD');
-      const periodEnd = previousMonth.clone().endOf('month').format('YYYY-MM-DD');
       customerQuery += `
         AND NOT EXISTS (
           SELECT 1 FROM bills
@@ -90,60 +232,177 @@ class Bill extends BaseModel {
 
       const dueDate = billingDate.clone().add(paymentDueDays, 'days').format('YYYY-MM-DD');
       const notifications = [];
+      const billsData = [];
+      const billItems = {};
+      const billedCustomers = [];
+      const skipped = [];
+      const readingsByBill = {};
+      const trueUps = {};
+      const rateCache = new Map();
+      const periodReadings = await MeterReading.getReadingsForPeriod(periodStart, customers.map(c => c.id));
+
+      // Prepare bill data for bulk insert using the tariff in force for the period
+      for (const customer of customers) {
+        let reading = periodReadings[customer.id] || null;
+        let charge;
+        try {
+          // Flagged readings are held until reviewed
+          if (reading && reading.status === 'flagged') {
+            throw new Error(`Meter reading flagged for review (${reading.flags.join(', ')})`);
+          }
+
+          // Metered customers without a reading are billed on their average consumption
+          if (!reading && parseInt(customer.is_metered)) {
+            const average = estimatedBillingEnabled
+              ? await MeterReading.getAverageConsumption(customer.id, periodStart, estimateAveragePeriods)
+              : null;
+
+            if (!average) {
+              throw new Error(estimatedBillingEnabled
+                ? 'No meter reading recorded for this period and no consumption history to estimate from'
+                : 'No meter reading recorded for this period');
+            }
+
+            reading = {
+              estimated: true,
+              consumption: average.average,
+              previous_reading: average.last_reading,
+              reading_value: null
+            };
+          }
+
+          const estimatedBills = reading && !reading.estimated && reading.consumption !== null
+            ? await this.getUntruedEstimatedBills(customer.id, periodStart)
+            : [];
+
+          charge = await this.calculateCustomerCharge(
+            customer,
+            periodStart,
+            periodEnd,
+            reading,
+            rateCache,
+            { estimatedBills }
+          );
+        } catch (error) {
+          skipped.push({
+            id: customer.id,
+            account_number: customer.account_number,
+            name: customer.full_name,
+            reason: error.message
+          });
+          continue;
+        }
 
-      // Prepare bill data for bulk insert with flat rate based on customer type
-      const billsData = customers.map(customer => {
-        const flatRate = customer.customer_type === 'institution' ? 1000.00 : 300.00;
-
+        const currentCharge = charge.total;
         const previousOutstanding = parseFloat(customer.previous_balance || 0);
         const outstandingFines = parseFloat(customer.outstanding_fines || 0);
         const contributionsPaid = parseFloat(customer.total_contributions_paid || 0);
         const contributionOutstanding = Math.max(0, totalContributionTarget - contributionsPaid);
-        const totalAmount = previousOutstanding + flatRate;
+        const totalAmount = previousOutstanding + currentCharge;
+        const billNumber = this.generateBillNumber(customer.id, billingDate.toDate());
 
         notifications.push({
           customer_id: customer.id,
           customer_name: customer.full_name,
           phone: customer.phone,
+          email: customer.email,
           account_number: customer.account_number,
+          bill_number: billNumber,
           billing_month_label: previousMonth.format('MMMM YYYY'),
-          current_month_charge: flatRate,
+          current_month_charge: currentCharge,
           previous_outstanding: previousOutstanding,
           outstanding_fines: outstandingFines,
           monthly_contribution_amount: monthlyContributionAmount,
           contribution_outstanding: contributionOutstanding,
           contribution_target: totalContributionTarget,
-          payment_grace_days: paymentDueDays
+          payment_grace_days: paymentDueDays,
+          bill_type: charge.bill_type,
+          units_consumed: charge.units_consumed,
+          is_estimated: charge.is_estimated
         });
 
-        return {
+        billItems[billNumber] = charge.items;
+        if (reading && reading.id) {
+          readingsByBill[billNumber] = reading.id;
+        }
+        if (charge.trued_up_bill_ids.length > 0) {
+          trueUps[billNumber] = charge.trued_up_bill_ids;
+        }
+        billedCustomers.push(customer);
+
+        // Every row must carry the same columns for bulk insert
+        billsData.push({
           customer_id: customer.id,
-          bill_number: this.generateBillNumber(customer.id, billingDate.toDate()),
+          bill_number: billNumber,
           billing_period_start: periodStart,
           billing_period_end: periodEnd,
           previous_balance: previousOutstanding,
-          current_charges: flatRate,
+          current_charges: currentCharge,
           fines_applied: 0,
           total_amount: totalAmount,
           due_date: dueDate,
           status: 'pending',
-          bill_type: 'flat_rate'
+          meter_reading_previous: charge.meter_reading_previous,
+          meter_reading_current: charge.meter_reading_current,
+          units_consumed: charge.units_consumed,
+          rate_per_unit: charge.rate_per_unit,
+          bill_type: charge.bill_type,
+          is_estimated: charge.is_estimated
+        });
+      }
+
+      if (billsData.length === 0) {
+        return {
+          generated_count: 0,
+          message: 'No bills could be generated for this period',
+          skipped,
+          notifications: []
         };
-      });
+      }
 
-      // Bulk insert bills
+      // Bulk insert bills, their itemised lines and link the consumed readings
       await this.bulkInsert(billsData);
+      const billIds = await this.getBillIdsByNumber(Object.keys(billItems));
+      await this.insertBillItems(billIds, billItems);
+      await Ledger.recordBillCharges(Object.values(billIds));
+      const creditApplied = await this.applyAdvanceCredit(Object.values(billIds));
+      await MeterReading.markReadingsBilled(
+        Object.keys(readingsByBill)
+          .filter(billNumber => billIds[billNumber])
+          .map(billNumber => ({ reading_id: readingsByBill[billNumber], bill_id: billIds[billNumber] }))
+      );
+
+      // Close out estimated bills corrected by this run
+      for (const billNumber of Object.keys(trueUps)) {
+        if (!billIds[billNumber]) {
+          continue;
+        }
+        await executeQuery(
+          `UPDATE bills SET trued_up_by_bill_id = ? WHERE id IN (${trueUps[billNumber].map(() => '?').join(',')})`,
+          [billIds[billNumber], ...trueUps[billNumber]]
+        );
+      }
 
       return {
         generated_count: billsData.length,
         billing_period: `${periodStart} to ${periodEnd}`,
-        customers_billed: customers.map(c => ({
+        customers_billed: billedCustomers.map(c => ({
           id: c.id,
           account_number: c.account_number,
           name: c.full_name,
           due_date: dueDate
         })),
-        notifications
+        estimated_count: billsData.filter(bill => bill.is_estimated).length,
+        trued_up_count: Object.keys(trueUps).length,
+        credit_applied: CustomerCredit.summarize(creditApplied),
+        skipped,
+        notifications: notifications.map(notification => ({
+          ...notification,
+          bill_id: billIds[notification.bill_number] || null,
+          credit_applied: CustomerCredit.round(creditApplied
+            .filter(entry => entry.customer_id === notification.customer_id)
+            .reduce((sum, entry) => sum + entry.amount, 0))
+        }))
       };
     } catch (error) {
       console.error('Error generating monthly bills:', error);
@@ -151,6 +410,83 @@ class Bill extends BaseModel {
     }
   }
 
+  // Map bill numbers to their IDs after a bulk insert
+  async getBillIdsByNumber(billNumbers) {
+    try {
+      if (billNumbers.length === 0) {
+        return {};
+      }
+
+      const bills = await executeQuery(
+        `SELECT id, bill_number FROM bills WHERE bill_number IN (${billNumbers.map(() => '?').join(',')})`,
+        billNumbers
+      );
+
+      const billIds = {};
+      bills.forEach(bill => {
+        billIds[bill.bill_number] = bill.id;
+      });
+      return billIds;
+    } catch (error) {
+      console.error('Error getting bill IDs by number:', error);
+      throw error;
+    }
+  }
+
+  // Insert itemised lines keyed by bill number
+  async insertBillItems(billIds, itemsByBillNumber) {
+    try {
+      const rows = [];
+      Object.keys(itemsByBillNumber).forEach(billNumber => {
+        if (!billIds[billNumber]) {
+          return;
+        }
+
+        itemsByBillNumber[billNumber].forEach(item => {
+          rows.push([
+            billIds[billNumber],
+            item.item_type,
+            item.description,
+            item.tier_min,
+            item.tier_max,
+            item.units,
+            item.rate,
+            item.amount,
+            item.rate_version
+          ]);
+        });
+      });
+
+      if (rows.length === 0) {
+        return 0;
+      }
+
+      const query = `
+        INSERT INTO bill_items
+        (bill_id, item_type, description, tier_min, tier_max, units, rate, amount, rate_version)
+        VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+      `;
+      const result = await executeQuery(query, rows.flat());
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error inserting bill items:', error);
+      throw error;
+    }
+  }
+
+  // Get itemised lines for a bill
+  async getBillItems(billId) {
+    try {
+      return await executeQuery(
+        'SELECT * FROM bill_items WHERE bill_id = ? ORDER BY id ASC',
+        [billId]
+      );
+    } catch (error) {
+      console.error('Error getting bill items:', error);
+      throw error;
+    }
+  }
+
   // Get bills with pagination and filters
   async getBillsWithPagination(page = 1, limit = 50, filters = {}) {
     try {
@@ -179,6 +515,10 @@ class Bill extends BaseModel {
         conditions.push("b.due_date < CURDATE() AND b.status != 'paid'");
       }
 
+      if (filters.estimated) {
+        conditions.push('b.is_estimated = TRUE');
+      }
+
       if (filters.search) {
         conditions.push(`(
           b.bill_number LIKE ? OR 
@@ -296,7 +636,13 @@ class Bill extends BaseModel {
       `;
 
       const result = await executeQuery(query, [billId]);
-      return result.length > 0 ? result[0] : null;
+      if (result.length === 0) {
+        return null;
+      }
+
+      const bill = result[0];
+      bill.items = await this.getBillItems(bill.id);
+      return bill;
     } catch (error) {
       console.error('Error getting bill with customer:', error);
       throw error;
@@ -323,8 +669,9 @@ class Bill extends BaseModel {
 
   // Add this method to your Bill class in Bill.js
 
-  async updateBillStatus(billId, status, paidAt = null) {
+  async updateBillStatus(billId, status, paidAt = null, actor = null) {
     try {
+      const before = await this.findById(billId);
       const query = `
         UPDATE bills 
         SET status = ?, paid_at = ?, updated_at = NOW()
@@ -332,7 +679,17 @@ class Bill extends BaseModel {
       `;
       
       await executeQuery(query, [status, paidAt, billId]);
-      return await this.findById(billId);
+      const updated = await this.findById(billId);
+
+      await AuditLog.record({
+        table_name: 'bills',
+        record_id: billId,
+        action: 'UPDATE',
+        old_values: before,
+        new_values: updated
+      }, actor);
+
+      return updated;
     } catch (error) {
       console.error('Error updating bill status:', error);
       throw error;
@@ -380,8 +737,8 @@ async getOverdueBills(limit = 100) {
           COUNT(CASE WHEN status = 'paid' THEN 1 END) as paid_bills,
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_bills,
           COUNT(CASE WHEN status = 'overdue' OR (due_date < CURDATE() AND status != 'paid') THEN 1 END) as overdue_bills,
-          COALESCE(SUM(CASE WHEN status != 'paid' THEN total_amount ELSE 0 END), 0) as outstanding_amount,
-          COALESCE(SUM(CASE WHEN status = 'paid' THEN total_amount ELSE 0 END), 0) as total_paid
+          COALESCE(SUM(CASE WHEN balance_due > 0 THEN balance_due ELSE 0 END), 0) as outstanding_amount,
+          COALESCE(SUM(amount_paid), 0) as total_paid
         FROM bills 
         WHERE customer_id = ?
       `;
@@ -452,23 +809,90 @@ async getOverdueBills(limit = 100) {
     }
   }
 
-  // Process bill payment
-  async processBillPayment(billId, paymentAmount, paymentId) {
+  // Settle newly generated bills from any advance credit their customers hold
+  async applyAdvanceCredit(billIds) {
+    try {
+      if (!billIds || billIds.length === 0) {
+        return [];
+      }
+
+      const bills = await executeQuery(
+        `SELECT id, customer_id, balance_due FROM bills
+         WHERE id IN (${billIds.map(() => '?').join(',')}) AND balance_due > 0
+         ORDER BY id`,
+        billIds
+      );
+
+      const applied = await CustomerCredit.applyToItems(bills.map(bill => ({
+        customer_id: bill.customer_id,
+        bill_id: bill.id,
+        allocation_type: 'bill_payment',
+        outstanding: bill.balance_due
+      })));
+
+      for (const entry of applied) {
+        await this.applyPaymentToBill(entry.bill_id, entry.amount);
+      }
+
+      return applied;
+    } catch (error) {
+      console.error('Error applying advance credit to bills:', error);
+      throw error;
+    }
+  }
+
+  // Update moving a bill's amount paid and status on by an amount (negative to
+  // take a payment back off), with the outcome it will have
+  paymentUpdate(bill, amount) {
+    const amountDue = parseFloat(bill.current_charges) + parseFloat(bill.fines_applied || 0);
+    const amountPaid = Math.round((parseFloat(bill.amount_paid || 0) + amount) * 100) / 100;
+    const balanceDue = Math.round((amountDue - amountPaid) * 100) / 100;
+
+    let newStatus;
+    if (balanceDue <= 0) {
+      newStatus = 'paid';
+    } else if (amountPaid > 0) {
+      newStatus = 'partially_paid';
+    } else {
+      newStatus = moment(bill.due_date).isBefore(moment(), 'day') ? 'overdue' : 'pending';
+    }
+
+    return {
+      query: `UPDATE bills
+         SET amount_paid = ?, status = ?, paid_at = ?, updated_at = NOW()
+         WHERE id = ?`,
+      params: [amountPaid, newStatus, newStatus === 'paid' ? new Date() : null, bill.id],
+      result: {
+        bill_id: bill.id,
+        new_status: newStatus,
+        amount_paid: amountPaid,
+        balance_due: Math.max(0, balanceDue)
+      }
+    };
+  }
+
+  // Apply an amount paid against a bill and move its status on
+  async applyPaymentToBill(billId, amount) {
     try {
       const bill = await this.findById(billId);
       if (!bill) {
         throw new Error('Bill not found');
       }
 
-      const remainingAmount = parseFloat(bill.total_amount) - paymentAmount;
-      let newStatus = 'paid';
+      const { query, params, result } = this.paymentUpdate(bill, amount);
+      await executeQuery(query, params);
 
-      if (remainingAmount > 0) {
-        newStatus = 'partially_paid';
-      }
+      return result;
+    } catch (error) {
+      console.error('Error applying payment to bill:', error);
+      throw error;
+    }
+  }
 
-      // Update bill status
-      await this.updateBillStatus(billId, newStatus, new Date());
+  // Process bill payment
+  async processBillPayment(billId, paymentAmount, paymentId) {
+    try {
+      const result = await this.applyPaymentToBill(billId, paymentAmount);
 
       // Create payment allocation record
       const allocationQuery = `
@@ -479,9 +903,9 @@ async getOverdueBills(limit = 100) {
 
       return {
         bill_id: billId,
-        new_status: newStatus,
+        new_status: result.new_status,
         amount_paid: paymentAmount,
-        remaining_amount: Math.max(0, remainingAmount)
+        remaining_amount: result.balance_due
       };
     } catch (error) {
       console.error('Error processing bill payment:', error);
@@ -0,0 +1,306 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery, executeTransaction } = require('../config/database');
+const moment = require('moment');
+
+/**
+ * Billing Rate Model - Versioned tariffs and the charge calculation engine
+ *
+ * A rate version is a group of billing_rates rows sharing `rate_version`.
+ * flat_rate and uniform versions have a single row, tiered versions have one
+ * row per tier (tier_min inclusive, tier_max exclusive, NULL = no upper bound).
+ */
+class BillingRate extends BaseModel {
+  constructor() {
+    super('billing_rates');
+  }
+
+  // Round currency values to 2 decimal places
+  round(value) {
+    return Math.round((parseFloat(value) + Number.EPSILON) * 100) / 100;
+  }
+
+  // Get the active rate version for a billing period
+  async getActiveRates(periodStart, periodEnd, options = {}) {
+    try {
+      const { customerType = 'normal', metered = false } = options;
+      const rateTypes = metered ? ['tiered', 'uniform'] : ['flat_rate'];
+
+      // Latest version in force during the period, customer-type specific rates win over generic ones
+      const versionQuery = `
+        SELECT rate_version
+        FROM billing_rates
+        WHERE is_active = TRUE
+        AND rate_type IN (${rateTypes.map(() => '?').join(',')})
+        AND effective_from <= ?
+        AND (effective_to IS NULL OR effective_to >= ?)
+        AND (customer_type IS NULL OR customer_type = ?)
+        ORDER BY (customer_type IS NULL) ASC, effective_from DESC, id DESC
+        LIMIT 1
+      `;
+      const versions = await executeQuery(versionQuery, [...rateTypes, periodEnd, periodStart, customerType]);
+
+      if (versions.length === 0) {
+        return null;
+      }
+
+      const rates = await executeQuery(`
+        SELECT * FROM billing_rates
+        WHERE rate_version = ? AND is_active = TRUE
+        ORDER BY COALESCE(tier_min, 0) ASC
+      `, [versions[0].rate_version]);
+
+      return {
+        rate_version: versions[0].rate_version,
+        rate_type: rates[0].rate_type,
+        rate_name: rates[0].rate_name,
+        rates
+      };
+    } catch (error) {
+      console.error('Error getting active billing rates:', error);
+      throw error;
+    }
+  }
+
+  // Calculate charges for a rate version and consumption
+  calculateCharges(rateVersion, units = 0) {
+    const consumed = Math.max(0, parseFloat(units) || 0);
+    const { rate_type: rateType, rates } = rateVersion;
+    const items = [];
+
+    if (rateType === 'flat_rate') {
+      const rate = rates[0];
+      items.push({
+        item_type: 'flat_rate',
+        description: rate.rate_name,
+        tier_min: null,
+        tier_max: null,
+        units: null,
+        rate: parseFloat(rate.rate_value),
+        amount: this.round(rate.rate_value),
+        rate_version: rateVersion.rate_version
+      });
+    } else if (rateType === 'uniform') {
+      const rate = rates[0];
+      items.push({
+        item_type: 'uniform',
+        description: `${rate.rate_name} (${consumed} units @ ${parseFloat(rate.rate_value)})`,
+        tier_min: null,
+        tier_max: null,
+        units: consumed,
+        rate: parseFloat(rate.rate_value),
+        amount: this.round(consumed * parseFloat(rate.rate_value)),
+        rate_version: rateVersion.rate_version
+      });
+    } else if (rateType === 'tiered') {
+      rates.forEach(tier => {
+        const tierMin = parseFloat(tier.tier_min || 0);
+        const tierMax = tier.tier_max === null ? null : parseFloat(tier.tier_max);
+        const upper = tierMax === null ? consumed : Math.min(consumed, tierMax);
+        const tierUnits = this.round(Math.max(0, upper - tierMin));
+
+        if (tierUnits <= 0) {
+          return;
+        }
+
+        items.push({
+          item_type: 'tier',
+          description: tierMax === null
+            ? `${tier.rate_name} (above ${tierMin} units)`
+            : `${tier.rate_name} (${tierMin} - ${tierMax} units)`,
+          tier_min: tierMin,
+          tier_max: tierMax,
+          units: tierUnits,
+          rate: parseFloat(tier.rate_value),
+          amount: this.round(tierUnits * parseFloat(tier.rate_value)),
+          rate_version: rateVersion.rate_version
+        });
+      });
+    } else {
+      throw new Error(`Unsupported rate type: ${rateType}`);
+    }
+
+    const total = this.round(items.reduce((sum, item) => sum + item.amount, 0));
+    let ratePerUnit = null;
+    if (rateType === 'uniform') {
+      ratePerUnit = parseFloat(rates[0].rate_value);
+    } else if (rateType === 'tiered' && consumed > 0) {
+      ratePerUnit = Math.round((total / consumed) * 10000) / 10000;
+    }
+
+    return {
+      rate_version: rateVersion.rate_version,
+      rate_type: rateType,
+      units_consumed: rateType === 'flat_rate' ? null : consumed,
+      rate_per_unit: ratePerUnit,
+      total,
+      items
+    };
+  }
+
+  // Get rate versions grouped with their tiers
+  async getRateVersions(includeInactive = false) {
+    try {
+      const rates = await executeQuery(`
+        SELECT * FROM billing_rates
+        ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+        ORDER BY effective_from DESC, rate_version, COALESCE(tier_min, 0) ASC
+      `);
+
+      const versions = new Map();
+      rates.forEach(rate => {
+        const key = rate.rate_version || `RATE-${rate.id}`;
+        if (!versions.has(key)) {
+          versions.set(key, {
+            rate_version: key,
+            rate_name: rate.rate_name,
+            rate_type: rate.rate_type,
+            customer_type: rate.customer_type,
+            effective_from: rate.effective_from,
+            effective_to: rate.effective_to,
+            is_active: rate.is_active,
+            tiers: []
+          });
+        }
+        versions.get(key).tiers.push({
+          id: rate.id,
+          tier_min: rate.tier_min,
+          tier_max: rate.tier_max,
+          rate_value: rate.rate_value
+        });
+      });
+
+      return Array.from(versions.values());
+    } catch (error) {
+      console.error('Error getting rate versions:', error);
+      throw error;
+    }
+  }
+
+  // Create a new rate version, closing the previous version of the same kind
+  async createRateVersion(data, createdBy = null) {
+    try {
+      const {
+        rate_name,
+        rate_type,
+        customer_type = null,
+        effective_from,
+        effective_to = null,
+        rate_value,
+        tiers = []
+      } = data;
+
+      const effectiveFrom = moment(effective_from).format('YYYY-MM-DD');
+      const rateVersion = `${rate_type.toUpperCase()}-${moment(effective_from).format('YYYYMMDD')}-${Date.now().toString().slice(-6)}`;
+
+      const rows = rate_type === 'tiered'
+        ? [...tiers]
+            .sort((a, b) => parseFloat(a.tier_min) - parseFloat(b.tier_min))
+            .map(tier => ({
+              tier_min: parseFloat(tier.tier_min),
+              tier_max: tier.tier_max === null || tier.tier_max === undefined || tier.tier_max === ''
+                ? null
+                : parseFloat(tier.tier_max),
+              rate_value: parseFloat(tier.rate_value)
+            }))
+        : [{ tier_min: null, tier_max: null, rate_value: parseFloat(rate_value) }];
+
+      if (rate_type === 'tiered') {
+        this.validateTiers(rows);
+      }
+
+      const rateTypes = rate_type === 'flat_rate' ? ['flat_rate'] : ['tiered', 'uniform'];
+      const queries = [{
+        // End the version currently in force so history stays readable
+        query: `
+          UPDATE billing_rates
+          SET effective_to = DATE_SUB(?, INTERVAL 1 DAY)
+          WHERE is_active = TRUE
+          AND rate_type IN (${rateTypes.map(() => '?').join(',')})
+          AND customer_type ${customer_type ? '= ?' : 'IS NULL'}
+          AND effective_from < ?
+          AND (effective_to IS NULL OR effective_to >= ?)
+        `,
+        params: [
+          effectiveFrom,
+          ...rateTypes,
+          ...(customer_type ? [customer_type] : []),
+          effectiveFrom,
+          effectiveFrom
+        ]
+      }];
+
+      rows.forEach(row => {
+        queries.push({
+          query: `
+            INSERT INTO billing_rates
+            (rate_name, rate_version, customer_type, rate_type, rate_value, tier_min, tier_max, is_active, effective_from, effective_to, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, TRUE, ?, ?, ?)
+          `,
+          params: [
+            rate_name,
+            rateVersion,
+            customer_type,
+            rate_type,
+            row.rate_value,
+            row.tier_min,
+            row.tier_max,
+            effectiveFrom,
+            effective_to ? moment(effective_to).format('YYYY-MM-DD') : null,
+            createdBy
+          ]
+        });
+      });
+
+      await executeTransaction(queries);
+
+      const versions = await this.getRateVersions(true);
+      return versions.find(v => v.rate_version === rateVersion);
+    } catch (error) {
+      console.error('Error creating rate version:', error);
+      throw error;
+    }
+  }
+
+  // Tiers must start at 0, be contiguous and only the last may be open-ended
+  validateTiers(tiers) {
+    if (tiers.length === 0) {
+      throw new Error('Tiered rates require at least one tier');
+    }
+
+    if (tiers[0].tier_min !== 0) {
+      throw new Error('The first tier must start at 0 units');
+    }
+
+    tiers.forEach((tier, index) => {
+      const isLast = index === tiers.length - 1;
+
+      if (tier.tier_max === null && !isLast) {
+        throw new Error('Only the last tier may have no upper limit');
+      }
+
+      if (tier.tier_max !== null && tier.tier_max <= tier.tier_min) {
+        throw new Error(`Tier ${index + 1} upper limit must be greater than its lower limit`);
+      }
+
+      if (!isLast && tiers[index + 1].tier_min !== tier.tier_max) {
+        throw new Error(`Tier ${index + 2} must start where tier ${index + 1} ends`);
+      }
+    });
+  }
+
+  // Deactivate a rate version
+  async deactivateRateVersion(rateVersion) {
+    try {
+      const result = await executeQuery(
+        'UPDATE billing_rates SET is_active = FALSE WHERE rate_version = ?',
+        [rateVersion]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deactivating rate version:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BillingRate();
@@ -1,6 +1,8 @@
 const BaseModel = require('./BaseModel');
 const { executeQuery } = require('../config/database');
 const moment = require('moment');
+const Ledger = require('./Ledger');
+const CustomerCredit = require('./CustomerCredit');
 
 /**
  * Contribution Model - Handles monthly uniform contributions
@@ -72,8 +74,10 @@ class Contribution extends BaseModel {
         due_date: dueDate
       }));
 
-      // Bulk insert contributions
+      // Bulk insert contributions and post them to each customer's ledger
       await this.bulkInsert(contributionsData);
+      await Ledger.recordContributions(firstDay, customers.map(c => c.id));
+      const creditApplied = await this.applyAdvanceCredit(firstDay, customers.map(c => c.id));
 
       return {
         generated_count: contributionsData.length,
@@ -81,6 +85,7 @@ class Contribution extends BaseModel {
         amount_per_customer: contributionAmount,
         due_date: dueDate,
         total_expected: contributionsData.length * contributionAmount,
+        credit_applied: CustomerCredit.summarize(creditApplied),
         customers_assigned: customers.map(c => ({
           id: c.id,
           account_number: c.account_number,
@@ -93,6 +98,51 @@ class Contribution extends BaseModel {
     }
   }
 
+  // Settle a month's new contributions from any advance credit the customers hold
+  async applyAdvanceCredit(contributionMonth, customerIds) {
+    try {
+      if (!customerIds || customerIds.length === 0) {
+        return [];
+      }
+
+      const contributions = await executeQuery(`
+        SELECT id, customer_id, amount_required, amount_paid
+        FROM contributions
+        WHERE contribution_month = ?
+        AND customer_id IN (${customerIds.map(() => '?').join(',')})
+        AND status != 'completed'
+        ORDER BY id
+      `, [contributionMonth, ...customerIds]);
+
+      const byId = new Map(contributions.map(contribution => [contribution.id, contribution]));
+
+      const applied = await CustomerCredit.applyToItems(contributions.map(contribution => ({
+        customer_id: contribution.customer_id,
+        contribution_id: contribution.id,
+        allocation_type: 'contribution',
+        outstanding: parseFloat(contribution.amount_required) - parseFloat(contribution.amount_paid)
+      })));
+
+      for (const entry of applied) {
+        const contribution = byId.get(entry.contribution_id);
+        const newPaid = Math.round((parseFloat(contribution.amount_paid) + entry.amount) * 100) / 100;
+        const newStatus = newPaid >= parseFloat(contribution.amount_required) ? 'completed' : 'partial';
+
+        await executeQuery(`
+          UPDATE contributions
+          SET amount_paid = ?, status = ?,
+              completed_at = CASE WHEN ? = 'completed' THEN NOW() ELSE NULL END
+          WHERE id = ?
+        `, [newPaid, newStatus, newStatus, contribution.id]);
+      }
+
+      return applied;
+    } catch (error) {
+      console.error('Error applying advance credit to contributions:', error);
+      throw error;
+    }
+  }
+
   // Get contributions with pagination and filters
   async getContributionsWithPagination(page = 1, limit = 10, filters = {}) {
     try {
@@ -253,11 +303,11 @@ class Contribution extends BaseModel {
 
       // Create payment allocation record
       const allocationQuery = `
-        INSERT INTO payment_allocations (payment_id, allocation_type, amount, notes) 
-        VALUES (?, 'contribution', ?, ?)
+        INSERT INTO payment_allocations (payment_id, contribution_id, allocation_type, amount, notes) 
+        VALUES (?, ?, 'contribution', ?, ?)
       `;
       const notes = `Contribution for ${moment(contribution.contribution_month).format('MMMM YYYY')}`;
-      await executeQuery(allocationQuery, [paymentId, paymentAmount, notes]);
+      await executeQuery(allocationQuery, [paymentId, contributionId, paymentAmount, notes]);
 
       return {
         contribution_id: contributionId,
@@ -403,6 +453,13 @@ class Contribution extends BaseModel {
       );
 
       // Update future contributions that haven't been paid yet
+      const affected = await executeQuery(
+        `SELECT id, customer_id, contribution_month, amount_required
+         FROM contributions
+         WHERE contribution_month >= ? AND status = 'pending' AND amount_paid = 0`,
+        [effectiveDate]
+      );
+
       const updateQuery = `
         UPDATE contributions 
         SET amount_required = ? 
@@ -413,6 +470,18 @@ class Contribution extends BaseModel {
       
       const result = await executeQuery(updateQuery, [newAmount, effectiveDate]);
 
+      // Post the difference for contributions already charged to the ledger
+      await Ledger.postEntries(affected.map(contribution => ({
+        customer_id: contribution.customer_id,
+        entry_type: 'adjustment',
+        debit_account: Ledger.ACCOUNTS.RECEIVABLE,
+        credit_account: Ledger.ACCOUNTS.CONTRIBUTIONS_FUND,
+        amount: newAmount - parseFloat(contribution.amount_required),
+        reference_type: 'contribution',
+        reference_id: contribution.id,
+        description: `Contribution for ${moment(contribution.contribution_month).format('MMMM YYYY')} changed to KES ${newAmount}`
+      })));
+
       return {
         new_amount: newAmount,
         effective_from: effectiveDate,
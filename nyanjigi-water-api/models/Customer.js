@@ -1,6 +1,9 @@
 const BaseModel = require('./BaseModel');
 const { executeQuery, getNextAccountNumber } = require('../config/database');
 const AuthUtils = require('../utils/auth');
+const Ledger = require('./Ledger');
+const CustomerCredit = require('./CustomerCredit');
+const AuditLog = require('./AuditLog');
 
 /**
  * Customer Model
@@ -42,7 +45,8 @@ class Customer extends BaseModel {
         meter_number: customerData.meter_number || null,
         password_hash: hashedPassword,
         is_active: true,
-        customer_type: customerData.customer_type || 'normal'
+        customer_type: customerData.customer_type || 'normal',
+        language: customerData.language || 'en'
       };
 
       const customer = await this.create(data);
@@ -79,12 +83,12 @@ class Customer extends BaseModel {
   }
 
   // Update customer (excludes sensitive fields, but allows soft delete)
-  async updateCustomer(id, updateData) {
+  async updateCustomer(id, updateData, actor = null) {
     try {
       // Remove sensitive fields that shouldn't be updated directly
       const allowedFields = [
         'full_name', 'phone', 'email', 'location', 
-        'meter_number', 'is_active', 'deleted'
+        'meter_number', 'is_active', 'deleted', 'language'
       ];
       
       const filteredData = {};
@@ -94,13 +98,57 @@ class Customer extends BaseModel {
         }
       });
 
-      return await this.update(id, filteredData);
+      const before = await this.findById(id);
+      const updated = await this.update(id, filteredData);
+
+      await AuditLog.record({
+        table_name: 'customers',
+        record_id: id,
+        action: 'UPDATE',
+        old_values: before,
+        new_values: updated
+      }, actor);
+
+      return updated;
     } catch (error) {
       console.error('Error updating customer:', error);
       throw error;
     }
   }
 
+  // Language for a customer's notifications; English when unknown
+  async getLanguage(customerId) {
+    try {
+      if (!customerId) {
+        return 'en';
+      }
+      const result = await executeQuery('SELECT language FROM customers WHERE id = ?', [customerId]);
+      return result[0]?.language || 'en';
+    } catch (error) {
+      console.error('Error getting customer language:', error);
+      throw error;
+    }
+  }
+
+  // Languages of several customers, keyed by customer ID
+  async getLanguages(customerIds) {
+    try {
+      const ids = [...new Set(customerIds.filter(Boolean))];
+      if (ids.length === 0) {
+        return {};
+      }
+
+      const rows = await executeQuery(
+        `SELECT id, language FROM customers WHERE id IN (${ids.map(() => '?').join(',')})`,
+        ids
+      );
+      return Object.fromEntries(rows.map(row => [row.id, row.language]));
+    } catch (error) {
+      console.error('Error getting customer languages:', error);
+      throw error;
+    }
+  }
+
   // Change customer password
   async changePassword(customerId, newPassword) {
     try {
@@ -186,36 +234,19 @@ class Customer extends BaseModel {
     }
   }
 
-  // Get customer with current balance
+  // Get customer with current balance from the ledger
   async getCustomerWithBalance(customerId) {
     try {
-      const query = `
-        SELECT 
-          c.*,
-          COALESCE(
-            (SELECT SUM(total_amount) FROM bills WHERE customer_id = c.id AND status != 'paid'),
-            0
-          ) as outstanding_bills,
-          COALESCE(
-            (SELECT SUM(amount) FROM applied_fines WHERE customer_id = c.id AND status != 'paid'),
-            0
-          ) as outstanding_fines,
-          COALESCE(
-            (SELECT SUM(amount_required - amount_paid) FROM contributions WHERE customer_id = c.id AND status != 'completed'),
-            0
-          ) as outstanding_contributions
-        FROM customers c
-        WHERE c.id = ?
-      `;
+      const customer = await this.findById(customerId);
+      if (!customer) return null;
 
-      const result = await executeQuery(query, [customerId]);
-      if (result.length === 0) return null;
+      const balance = await Ledger.getBalanceBreakdown(customerId);
 
-      const customer = result[0];
-      customer.total_balance = 
-        parseFloat(customer.outstanding_bills) + 
-        parseFloat(customer.outstanding_fines) + 
-        parseFloat(customer.outstanding_contributions);
+      customer.outstanding_bills = balance.bills;
+      customer.outstanding_fines = balance.fines;
+      customer.outstanding_contributions = balance.contributions;
+      customer.credit_balance = balance.credit_balance;
+      customer.total_balance = balance.total_balance;
 
       return customer;
     } catch (error) {
@@ -234,7 +265,7 @@ class Customer extends BaseModel {
       // Get recent bills
       const recentBillsQuery = `
         SELECT id, bill_number, billing_period_start, billing_period_end, 
-               total_amount, status, due_date
+               total_amount, amount_paid, balance_due, status, due_date
         FROM bills 
         WHERE customer_id = ? 
         ORDER BY created_at DESC 
@@ -261,6 +292,10 @@ class Customer extends BaseModel {
       `;
       const contributions = await executeQuery(contributionsQuery, [customerId]);
 
+      // Advance credit still to be applied, and where earlier credit went
+      const credit = await CustomerCredit.getCreditBalance(customerId);
+      const creditApplications = await CustomerCredit.getAppliedCredit(customerId, 5);
+
       return {
         customer: {
           id: customer.id,
@@ -271,6 +306,8 @@ class Customer extends BaseModel {
           connection_date: customer.connection_date,
           status: customer.is_active ? 'active' : 'inactive',
           current_balance: customer.total_balance,
+          credit_balance: customer.credit_balance,
+          available_credit: credit.available_credit,
           outstanding_bills: customer.outstanding_bills,
           outstanding_fines: customer.outstanding_fines,
           outstanding_contributions: customer.outstanding_contributions
@@ -278,6 +315,7 @@ class Customer extends BaseModel {
         recent_bills: recentBills,
         recent_payments: recentPayments,
         pending_contributions: contributions,
+        credit_applications: creditApplications,
         usage_stats: {
           this_month: 0,
           last_month: 0,
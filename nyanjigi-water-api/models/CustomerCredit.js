@@ -0,0 +1,189 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+
+/**
+ * Customer Credit Model - Advance payment credit held in payment_allocations
+ *
+ * Money left over after allocation is stored as 'advance' allocation rows.
+ * Applying credit moves part of an advance row onto a bill or contribution
+ * under the same payment, so the ledger (already credited when the payment
+ * was received) does not change.
+ */
+class CustomerCredit extends BaseModel {
+  constructor() {
+    super('payment_allocations');
+  }
+
+  round(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+  }
+
+  // Get unapplied advance rows for a set of customers, oldest payment first
+  async getAdvanceCredits(customerIds) {
+    try {
+      if (!customerIds || customerIds.length === 0) {
+        return [];
+      }
+
+      return await executeQuery(`
+        SELECT
+          pa.id, pa.payment_id, pa.amount, p.customer_id,
+          p.transaction_id, p.payment_date
+        FROM payment_allocations pa
+        INNER JOIN payments p ON pa.payment_id = p.id
+        WHERE pa.allocation_type = 'advance'
+        AND pa.amount > 0
+        AND p.status = 'completed'
+        AND p.customer_id IN (${customerIds.map(() => '?').join(',')})
+        ORDER BY p.payment_date ASC, pa.id ASC
+      `, customerIds);
+    } catch (error) {
+      console.error('Error getting advance credits:', error);
+      throw error;
+    }
+  }
+
+  // Get a customer's unapplied advance credit
+  async getCreditBalance(customerId) {
+    try {
+      const credits = await this.getAdvanceCredits([customerId]);
+
+      return {
+        available_credit: this.round(credits.reduce((sum, credit) => sum + parseFloat(credit.amount), 0)),
+        credits: credits.map(credit => ({
+          payment_id: credit.payment_id,
+          transaction_id: credit.transaction_id,
+          payment_date: credit.payment_date,
+          amount: this.round(credit.amount)
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting credit balance:', error);
+      throw error;
+    }
+  }
+
+  // Get the advance credit applied to bills and contributions for a customer
+  async getAppliedCredit(customerId, limit = 10) {
+    try {
+      const limitInt = parseInt(limit);
+
+      return await executeQuery(`
+        SELECT
+          pa.id, pa.payment_id, pa.bill_id, pa.contribution_id, pa.allocation_type,
+          pa.amount, pa.created_at, p.transaction_id,
+          b.bill_number, cont.contribution_month
+        FROM payment_allocations pa
+        INNER JOIN payments p ON pa.payment_id = p.id
+        LEFT JOIN bills b ON pa.bill_id = b.id
+        LEFT JOIN contributions cont ON pa.contribution_id = cont.id
+        WHERE p.customer_id = ?
+        AND pa.notes = 'Applied from advance payment'
+        ORDER BY pa.created_at DESC, pa.id DESC
+        LIMIT ${limitInt}
+      `, [customerId]);
+    } catch (error) {
+      console.error('Error getting applied credit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply advance credit to newly charged items. Each item is
+   * { customer_id, outstanding, bill_id | contribution_id, allocation_type }.
+   * Returns the amounts applied per item; the caller updates the item itself.
+   */
+  async applyToItems(items) {
+    try {
+      const customerIds = [...new Set(items.map(item => item.customer_id))];
+      const credits = await this.getAdvanceCredits(customerIds);
+
+      const creditsByCustomer = new Map();
+      credits.forEach(credit => {
+        const list = creditsByCustomer.get(credit.customer_id) || [];
+        list.push({ ...credit, amount: this.round(credit.amount) });
+        creditsByCustomer.set(credit.customer_id, list);
+      });
+
+      const applied = [];
+
+      for (const item of items) {
+        const available = creditsByCustomer.get(item.customer_id);
+        let remaining = this.round(item.outstanding);
+
+        if (!available || remaining <= 0) {
+          continue;
+        }
+
+        let itemApplied = 0;
+
+        for (const credit of available) {
+          if (remaining <= 0) break;
+          if (credit.amount <= 0) continue;
+
+          const amount = Math.min(credit.amount, remaining);
+          const taken = await this.takeFromAdvance(credit, amount);
+          if (!taken) continue;
+
+          await executeQuery(`
+            INSERT INTO payment_allocations
+            (payment_id, bill_id, contribution_id, allocation_type, amount, notes)
+            VALUES (?, ?, ?, ?, ?, 'Applied from advance payment')
+          `, [
+            credit.payment_id,
+            item.bill_id || null,
+            item.contribution_id || null,
+            item.allocation_type,
+            amount
+          ]);
+
+          credit.amount = this.round(credit.amount - amount);
+          remaining = this.round(remaining - amount);
+          itemApplied = this.round(itemApplied + amount);
+        }
+
+        if (itemApplied > 0) {
+          applied.push({
+            customer_id: item.customer_id,
+            bill_id: item.bill_id || null,
+            contribution_id: item.contribution_id || null,
+            amount: itemApplied
+          });
+        }
+      }
+
+      return applied;
+    } catch (error) {
+      console.error('Error applying advance credit:', error);
+      throw error;
+    }
+  }
+
+  // Reduce an advance row, removing it once fully used. False if it changed underneath us.
+  async takeFromAdvance(credit, amount) {
+    if (amount >= credit.amount) {
+      const result = await executeQuery(
+        "DELETE FROM payment_allocations WHERE id = ? AND allocation_type = 'advance' AND amount = ?",
+        [credit.id, credit.amount]
+      );
+      return result.affectedRows > 0;
+    }
+
+    const result = await executeQuery(
+      "UPDATE payment_allocations SET amount = amount - ? WHERE id = ? AND allocation_type = 'advance' AND amount >= ?",
+      [amount, credit.id, amount]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Summarise applications for generation results
+  summarize(applied) {
+    return {
+      applied_count: applied.length,
+      customers_count: new Set(applied.map(entry => entry.customer_id)).size,
+      total_applied: this.round(applied.reduce((sum, entry) => sum + entry.amount, 0))
+    };
+  }
+}
+
+module.exports = new CustomerCredit();
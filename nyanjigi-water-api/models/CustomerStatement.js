@@ -0,0 +1,191 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+const moment = require('moment');
+const Ledger = require('./Ledger');
+
+/**
+ * Customer Statement Model - Customer account statements over a date range
+ *
+ * Built from the customer ledger (bills, fines, contributions, payments,
+ * reversals and adjustments in posting order) with each payment's
+ * allocations attached, so a disputed balance can be traced line by line.
+ */
+class CustomerStatement extends BaseModel {
+  constructor() {
+    super('ledger_entries');
+  }
+
+  // Default period is the current year to date
+  resolvePeriod(from, to) {
+    const end = to ? moment(to) : moment();
+    const start = from ? moment(from) : end.clone().startOf('year');
+
+    if (start.isAfter(end)) {
+      throw new Error('Statement start date must be before the end date');
+    }
+
+    return { from: start.format('YYYY-MM-DD'), to: end.format('YYYY-MM-DD') };
+  }
+
+  // Look up what each ledger entry refers to
+  async getReferences(entries) {
+    const idsOf = type => [...new Set(entries.filter(entry => entry.reference_type === type).map(entry => entry.reference_id))];
+    const inList = ids => ids.map(() => '?').join(',');
+    const references = { bill: new Map(), payment: new Map(), contribution: new Map(), fine: new Map() };
+
+    const billIds = idsOf('bill');
+    if (billIds.length > 0) {
+      const bills = await executeQuery(
+        `SELECT id, bill_number FROM bills WHERE id IN (${inList(billIds)})`,
+        billIds
+      );
+      bills.forEach(bill => references.bill.set(bill.id, bill.bill_number));
+    }
+
+    const paymentIds = idsOf('payment');
+    if (paymentIds.length > 0) {
+      const payments = await executeQuery(
+        `SELECT id, transaction_id, receipt_number FROM payments WHERE id IN (${inList(paymentIds)})`,
+        paymentIds
+      );
+      payments.forEach(payment => references.payment.set(payment.id, payment.receipt_number || payment.transaction_id));
+    }
+
+    const contributionIds = idsOf('contribution');
+    if (contributionIds.length > 0) {
+      const contributions = await executeQuery(
+        `SELECT id, contribution_month FROM contributions WHERE id IN (${inList(contributionIds)})`,
+        contributionIds
+      );
+      contributions.forEach(contribution => references.contribution.set(
+        contribution.id,
+        `Contribution ${moment(contribution.contribution_month).format('MMM YYYY')}`
+      ));
+    }
+
+    idsOf('fine').forEach(id => references.fine.set(id, `Fine #${id}`));
+
+    return references;
+  }
+
+  // Allocations of the payments on the statement, grouped by payment
+  async getAllocations(paymentIds) {
+    const allocations = new Map();
+    if (paymentIds.length === 0) {
+      return allocations;
+    }
+
+    const rows = await executeQuery(`
+      SELECT
+        pa.payment_id, pa.allocation_type, pa.amount, pa.notes, pa.created_at,
+        b.bill_number, cont.contribution_month, pa.fine_id
+      FROM payment_allocations pa
+      LEFT JOIN bills b ON pa.bill_id = b.id
+      LEFT JOIN contributions cont ON pa.contribution_id = cont.id
+      WHERE pa.payment_id IN (${paymentIds.map(() => '?').join(',')})
+      ORDER BY pa.payment_id, pa.id
+    `, paymentIds);
+
+    rows.forEach(row => {
+      let appliedTo;
+      switch (row.allocation_type) {
+        case 'bill_payment':
+          appliedTo = row.bill_number ? `Bill ${row.bill_number}` : 'Bill';
+          break;
+        case 'contribution':
+          appliedTo = row.contribution_month
+            ? `Contribution ${moment(row.contribution_month).format('MMM YYYY')}`
+            : 'Contribution';
+          break;
+        case 'fine':
+          appliedTo = row.fine_id ? `Fine #${row.fine_id}` : 'Fine';
+          break;
+        default:
+          appliedTo = 'Advance (credit)';
+      }
+
+      const list = allocations.get(row.payment_id) || [];
+      list.push({
+        allocation_type: row.allocation_type,
+        applied_to: appliedTo,
+        amount: Ledger.round(row.amount),
+        notes: row.notes,
+        allocated_at: row.created_at
+      });
+      allocations.set(row.payment_id, list);
+    });
+
+    return allocations;
+  }
+
+  /**
+   * Build a statement for a customer between two dates (inclusive) with
+   * opening balance, chronological lines and closing balance
+   */
+  async generate(customerId, options = {}) {
+    try {
+      const customerResult = await executeQuery(
+        'SELECT id, account_number, full_name, phone, email, location FROM customers WHERE id = ?',
+        [customerId]
+      );
+      if (customerResult.length === 0) {
+        return null;
+      }
+
+      const period = this.resolvePeriod(options.from, options.to);
+      const ledger = await Ledger.getCustomerEntries(customerId, period);
+      const references = await this.getReferences(ledger.entries);
+
+      const paymentIds = [...new Set(ledger.entries
+        .filter(entry => entry.reference_type === 'payment' && entry.entry_type === 'payment')
+        .map(entry => entry.reference_id))];
+      const allocations = await this.getAllocations(paymentIds);
+
+      const lines = ledger.entries.map(entry => {
+        const referenceMap = references[entry.reference_type];
+        return {
+          date: moment(entry.entry_date).format('YYYY-MM-DD'),
+          type: entry.entry_type,
+          reference: referenceMap ? referenceMap.get(entry.reference_id) || null : null,
+          description: entry.description,
+          debit: entry.debit,
+          credit: entry.credit,
+          balance: entry.running_balance,
+          allocations: entry.entry_type === 'payment' && entry.reference_type === 'payment'
+            ? allocations.get(entry.reference_id) || []
+            : []
+        };
+      });
+
+      // Totals per entry type; adjustments can go either way so they are netted
+      const sumOf = (type, net = false) => Ledger.round(lines
+        .filter(line => line.type === type)
+        .reduce((sum, line) => sum + line.debit + (net ? -line.credit : line.credit), 0));
+
+      return {
+        customer: customerResult[0],
+        period,
+        opening_balance: ledger.opening_balance,
+        closing_balance: ledger.closing_balance,
+        total_debits: ledger.total_debits,
+        total_credits: ledger.total_credits,
+        summary: {
+          charges: sumOf('charge'),
+          fines: sumOf('fine'),
+          contributions: sumOf('contribution'),
+          payments: sumOf('payment'),
+          reversals: sumOf('reversal'),
+          adjustments: sumOf('adjustment', true),
+          waivers: sumOf('waiver')
+        },
+        lines,
+        generated_at: new Date()
+      };
+    } catch (error) {
+      console.error('Error generating customer statement:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CustomerStatement();
@@ -1,5 +1,7 @@
 const BaseModel = require('./BaseModel');
 const { executeQuery } = require('../config/database');
+const Ledger = require('./Ledger');
+const AuditLog = require('./AuditLog');
 
 /**
  * Fine Model - Handles fine types and applied fines
@@ -44,20 +46,84 @@ class Fine extends BaseModel {
     return await executeQuery(query, [customerId]);
   }
 
-  // Apply a new fine to a customer
-  async applyFine(customerId, fineTypeId, amount, reason, appliedDate) {
+  // Apply a new fine to a customer and post it to the ledger
+  async applyFine(customerId, fineTypeId, amount, reason, appliedDate, billId = null) {
     const query = `
-      INSERT INTO applied_fines (customer_id, fine_type_id, amount, reason, applied_date, status)
-      VALUES (?, ?, ?, ?, ?, 'pending')
+      INSERT INTO applied_fines (customer_id, bill_id, fine_type_id, amount, reason, applied_date, status)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending')
     `;
-    const result = await executeQuery(query, [customerId, fineTypeId, amount, reason, appliedDate]);
+    const result = await executeQuery(query, [customerId, billId, fineTypeId, amount, reason, appliedDate]);
+
+    await Ledger.recordFine({
+      id: result.insertId,
+      customer_id: customerId,
+      amount,
+      reason,
+      applied_date: appliedDate
+    });
+
     return result.insertId;
   }
 
-  // Update fine status (e.g., paid, waived)
-  async updateFineStatus(fineId, status) {
-    const query = 'UPDATE applied_fines SET status = ? WHERE id = ?';
-    await executeQuery(query, [status, fineId]);
+  // Get what is still owed on a fine after payment allocations
+  async getFineOutstanding(fineId) {
+    const query = `
+      SELECT af.amount - COALESCE(SUM(pa.amount), 0) as outstanding
+      FROM applied_fines af
+      LEFT JOIN payment_allocations pa ON pa.fine_id = af.id
+      WHERE af.id = ?
+      GROUP BY af.id, af.amount
+    `;
+    const result = await executeQuery(query, [fineId]);
+    return result.length > 0 ? Math.max(0, parseFloat(result[0].outstanding)) : 0;
+  }
+
+  // Update fine status (e.g., paid, waived). Waiving writes off the unpaid amount in the ledger.
+  async updateFineStatus(fineId, status, options = {}) {
+    const { waivedBy = null, waivedReason = null, actor = null } = options;
+    const fine = await this.findById(fineId);
+    if (!fine) {
+      throw new Error('Fine not found');
+    }
+
+    if (status === 'waived') {
+      const query = 'UPDATE applied_fines SET status = ?, waived_by = ?, waived_reason = ? WHERE id = ?';
+      await executeQuery(query, [status, waivedBy, waivedReason, fineId]);
+    } else {
+      const query = 'UPDATE applied_fines SET status = ? WHERE id = ?';
+      await executeQuery(query, [status, fineId]);
+    }
+
+    await AuditLog.record({
+      table_name: 'applied_fines',
+      record_id: fineId,
+      action: 'UPDATE',
+      old_values: fine,
+      new_values: await this.findById(fineId)
+    }, actor || (waivedBy ? { user_id: waivedBy, user_type: 'admin' } : null));
+
+    if (status === fine.status) {
+      return;
+    }
+
+    const outstanding = await this.getFineOutstanding(fineId);
+
+    if (status === 'waived') {
+      await Ledger.recordFineWaiver({ ...fine, waived_reason: waivedReason }, outstanding, waivedBy);
+    } else if (fine.status === 'waived') {
+      // Reinstating a waived fine charges the unpaid amount again
+      await Ledger.postEntry({
+        customer_id: fine.customer_id,
+        entry_type: 'fine',
+        debit_account: Ledger.ACCOUNTS.RECEIVABLE,
+        credit_account: Ledger.ACCOUNTS.FINE_INCOME,
+        amount: outstanding,
+        reference_type: 'fine',
+        reference_id: fine.id,
+        description: 'Fine reinstated',
+        created_by: waivedBy
+      });
+    }
   }
 
   // Get fine by ID
@@ -5,19 +5,49 @@
 const BaseModel = require('./BaseModel');
 const Admin = require('./Admin');
 const Customer = require('./Customer');
+const MeterReading = require('./MeterReading');
 const Bill = require('./Bill');
+const BillingRate = require('./BillingRate');
 const Payment = require('./Payment');
 const Contribution = require('./Contribution');
 const SystemSettings = require('./SystemSettings');
 const Fine = require ('./Fine')
+const Ledger = require('./Ledger');
+const SuspensePayment = require('./SuspensePayment');
+const StatementReconciliation = require('./StatementReconciliation');
+const CustomerCredit = require('./CustomerCredit');
+const CustomerStatement = require('./CustomerStatement');
+const NotificationOutbox = require('./NotificationOutbox');
+const ScheduledNotification = require('./ScheduledNotification');
+const NotificationTemplate = require('./NotificationTemplate');
+const NotificationPreference = require('./NotificationPreference');
+const AuditLog = require('./AuditLog');
+const AuthSession = require('./AuthSession');
+const TwoFactor = require('./TwoFactor');
+const PasswordReset = require('./PasswordReset');
 
 module.exports = {
   BaseModel,
   Admin,
   Customer,
+  MeterReading,
   Bill,
+  BillingRate,
   Payment,
   Contribution,
   SystemSettings,
-  Fine
+  Fine,
+  Ledger,
+  SuspensePayment,
+  StatementReconciliation,
+  CustomerCredit,
+  CustomerStatement,
+  NotificationOutbox,
+  ScheduledNotification,
+  NotificationTemplate,
+  NotificationPreference,
+  AuditLog,
+  AuthSession,
+  TwoFactor,
+  PasswordReset
 };
\ No newline at end of file
@@ -0,0 +1,465 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+const moment = require('moment');
+
+/**
+ * Ledger Model - Double-entry customer ledger
+ *
+ * Every charge, fine, contribution, payment, reversal and adjustment is posted
+ * as a debit/credit pair. A customer's balance is the debits less the credits
+ * on the receivable account: positive means the customer owes, negative is
+ * credit held for future bills.
+ */
+class Ledger extends BaseModel {
+  constructor() {
+    super('ledger_entries');
+
+    this.ACCOUNTS = {
+      RECEIVABLE: 'customer_receivable',
+      WATER_REVENUE: 'water_revenue',
+      FINE_INCOME: 'fine_income',
+      CONTRIBUTIONS_FUND: 'contributions_fund',
+      EQUITY_COLLECTIONS: 'equity_collections',
+      CASH: 'cash_on_hand',
+      BANK: 'bank_deposits',
+      ADJUSTMENTS: 'billing_adjustments'
+    };
+  }
+
+  // Round currency values to 2 decimal places
+  round(value) {
+    return Math.round((parseFloat(value) + Number.EPSILON) * 100) / 100;
+  }
+
+  // Rows to insert for ledger entries; zero amounts are dropped and negative ones
+  // are posted with the accounts swapped
+  entryRows(entries) {
+    return entries
+      .filter(entry => this.round(entry.amount || 0) !== 0)
+      .map(entry => {
+        const amount = this.round(entry.amount);
+        return {
+          customer_id: entry.customer_id,
+          entry_date: moment(entry.entry_date || new Date()).format('YYYY-MM-DD'),
+          entry_type: entry.entry_type,
+          debit_account: amount > 0 ? entry.debit_account : entry.credit_account,
+          credit_account: amount > 0 ? entry.credit_account : entry.debit_account,
+          amount: Math.abs(amount),
+          reference_type: entry.reference_type || null,
+          reference_id: entry.reference_id || null,
+          description: entry.description ? String(entry.description).substring(0, 255) : null,
+          created_by: entry.created_by || null
+        };
+      });
+  }
+
+  // Post ledger entries
+  async postEntries(entries) {
+    try {
+      const rows = this.entryRows(entries);
+
+      if (rows.length === 0) {
+        return 0;
+      }
+
+      await this.bulkInsert(rows);
+      return rows.length;
+    } catch (error) {
+      console.error('Error posting ledger entries:', error);
+      throw error;
+    }
+  }
+
+  // Post a single ledger entry
+  async postEntry(entry) {
+    return await this.postEntries([entry]);
+  }
+
+  // Post the water charges of newly generated bills
+  async recordBillCharges(billIds) {
+    try {
+      if (!billIds || billIds.length === 0) {
+        return 0;
+      }
+
+      const bills = await executeQuery(
+        `SELECT id, customer_id, bill_number, billing_period_end, current_charges, fines_applied
+         FROM bills
+         WHERE id IN (${billIds.map(() => '?').join(',')})`,
+        billIds
+      );
+
+      return await this.postEntries(bills.map(bill => ({
+        customer_id: bill.customer_id,
+        entry_date: bill.billing_period_end,
+        entry_type: 'charge',
+        debit_account: this.ACCOUNTS.RECEIVABLE,
+        credit_account: this.ACCOUNTS.WATER_REVENUE,
+        amount: parseFloat(bill.current_charges) + parseFloat(bill.fines_applied || 0),
+        reference_type: 'bill',
+        reference_id: bill.id,
+        description: `Bill ${bill.bill_number}`
+      })));
+    } catch (error) {
+      console.error('Error recording bill charges:', error);
+      throw error;
+    }
+  }
+
+  // Reverse the outstanding charge of a bill that is being removed
+  async recordBillReversal(bill, createdBy = null) {
+    return await this.postEntry({
+      customer_id: bill.customer_id,
+      entry_type: 'reversal',
+      debit_account: this.ACCOUNTS.WATER_REVENUE,
+      credit_account: this.ACCOUNTS.RECEIVABLE,
+      amount: parseFloat(bill.current_charges) + parseFloat(bill.fines_applied || 0),
+      reference_type: 'bill',
+      reference_id: bill.id,
+      description: `Bill ${bill.bill_number} cancelled`,
+      created_by: createdBy
+    });
+  }
+
+  // Post an applied fine
+  async recordFine(fine) {
+    return await this.postEntry({
+      customer_id: fine.customer_id,
+      entry_date: fine.applied_date,
+      entry_type: 'fine',
+      debit_account: this.ACCOUNTS.RECEIVABLE,
+      credit_account: this.ACCOUNTS.FINE_INCOME,
+      amount: fine.amount,
+      reference_type: 'fine',
+      reference_id: fine.id,
+      description: fine.reason
+    });
+  }
+
+  // Write off what is still owed on a waived fine
+  async recordFineWaiver(fine, amount, createdBy = null) {
+    return await this.postEntry({
+      customer_id: fine.customer_id,
+      entry_type: 'waiver',
+      debit_account: this.ACCOUNTS.FINE_INCOME,
+      credit_account: this.ACCOUNTS.RECEIVABLE,
+      amount,
+      reference_type: 'fine',
+      reference_id: fine.id,
+      description: fine.waived_reason ? `Fine waived: ${fine.waived_reason}` : 'Fine waived',
+      created_by: createdBy
+    });
+  }
+
+  // Post contributions raised for a month
+  async recordContributions(contributionMonth, customerIds = null) {
+    try {
+      const month = moment(contributionMonth).startOf('month');
+      let query = `
+        SELECT cont.id, cont.customer_id, cont.contribution_month, cont.amount_required
+        FROM contributions cont
+        WHERE cont.contribution_month = ?
+        AND NOT EXISTS (
+          SELECT 1 FROM ledger_entries le
+          WHERE le.reference_type = 'contribution' AND le.reference_id = cont.id AND le.entry_type = 'contribution'
+        )
+      `;
+      const params = [month.format('YYYY-MM-DD')];
+
+      if (customerIds && customerIds.length > 0) {
+        query += ` AND cont.customer_id IN (${customerIds.map(() => '?').join(',')})`;
+        params.push(...customerIds);
+      }
+
+      const contributions = await executeQuery(query, params);
+
+      return await this.postEntries(contributions.map(contribution => ({
+        customer_id: contribution.customer_id,
+        entry_date: contribution.contribution_month,
+        entry_type: 'contribution',
+        debit_account: this.ACCOUNTS.RECEIVABLE,
+        credit_account: this.ACCOUNTS.CONTRIBUTIONS_FUND,
+        amount: contribution.amount_required,
+        reference_type: 'contribution',
+        reference_id: contribution.id,
+        description: `Contribution for ${month.format('MMMM YYYY')}`
+      })));
+    } catch (error) {
+      console.error('Error recording contributions:', error);
+      throw error;
+    }
+  }
+
+  // Post a received payment against the account it was collected into
+  async recordPayment(payment, options = {}) {
+    const { account = this.ACCOUNTS.EQUITY_COLLECTIONS, createdBy = null } = options;
+
+    return await this.postEntry({
+      customer_id: payment.customer_id,
+      entry_date: payment.payment_date,
+      entry_type: 'payment',
+      debit_account: account,
+      credit_account: this.ACCOUNTS.RECEIVABLE,
+      amount: payment.amount,
+      reference_type: payment.id ? 'payment' : payment.reference_type || null,
+      reference_id: payment.id || payment.reference_id || null,
+      description: payment.description || (payment.transaction_id ? `Payment ${payment.transaction_id}` : 'Payment received'),
+      created_by: createdBy
+    });
+  }
+
+  // Entry reversing a payment, crediting back the account it was collected into
+  async paymentReversalEntry(payment, reason, createdBy = null) {
+    const original = await executeQuery(
+      `SELECT debit_account FROM ledger_entries
+       WHERE reference_type = 'payment' AND reference_id = ? AND entry_type = 'payment'
+       ORDER BY id ASC LIMIT 1`,
+      [payment.id]
+    );
+
+    return {
+      customer_id: payment.customer_id,
+      entry_type: 'reversal',
+      debit_account: this.ACCOUNTS.RECEIVABLE,
+      credit_account: original.length > 0 ? original[0].debit_account : this.ACCOUNTS.EQUITY_COLLECTIONS,
+      amount: payment.amount,
+      reference_type: 'payment',
+      reference_id: payment.id,
+      description: `Payment ${payment.transaction_id} reversed: ${reason}`,
+      created_by: createdBy
+    };
+  }
+
+  // Post a manual adjustment (positive increases what the customer owes)
+  async recordAdjustment(customerId, amount, description, options = {}) {
+    const { referenceType = null, referenceId = null, createdBy = null, entryDate = null } = options;
+
+    return await this.postEntry({
+      customer_id: customerId,
+      entry_date: entryDate,
+      entry_type: 'adjustment',
+      debit_account: this.ACCOUNTS.RECEIVABLE,
+      credit_account: this.ACCOUNTS.ADJUSTMENTS,
+      amount,
+      reference_type: referenceType,
+      reference_id: referenceId,
+      description,
+      created_by: createdBy
+    });
+  }
+
+  // Get a customer's running balance (positive = owes, negative = credit)
+  async getCustomerBalance(customerId, asOf = null) {
+    try {
+      let query = `
+        SELECT
+          COALESCE(SUM(CASE WHEN debit_account = ? THEN amount ELSE 0 END), 0) -
+          COALESCE(SUM(CASE WHEN credit_account = ? THEN amount ELSE 0 END), 0) as balance
+        FROM ledger_entries
+        WHERE customer_id = ?
+      `;
+      const params = [this.ACCOUNTS.RECEIVABLE, this.ACCOUNTS.RECEIVABLE, customerId];
+
+      if (asOf) {
+        query += ' AND entry_date < ?';
+        params.push(moment(asOf).format('YYYY-MM-DD'));
+      }
+
+      const result = await executeQuery(query, params);
+      return this.round(result[0].balance || 0);
+    } catch (error) {
+      console.error('Error getting customer balance:', error);
+      throw error;
+    }
+  }
+
+  // Get a customer's balance with the open items that make it up
+  async getBalanceBreakdown(customerId) {
+    try {
+      const query = `
+        SELECT
+          COALESCE((
+            SELECT SUM(balance_due) FROM bills
+            WHERE customer_id = ? AND balance_due > 0
+          ), 0) as bills,
+          COALESCE((
+            SELECT SUM(af.amount - COALESCE((
+              SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.fine_id = af.id
+            ), 0))
+            FROM applied_fines af
+            WHERE af.customer_id = ? AND af.status = 'pending'
+          ), 0) as fines,
+          COALESCE((
+            SELECT SUM(amount_required - amount_paid) FROM contributions
+            WHERE customer_id = ? AND status != 'completed'
+          ), 0) as contributions
+      `;
+
+      const [result, totalBalance] = await Promise.all([
+        executeQuery(query, [customerId, customerId, customerId]),
+        this.getCustomerBalance(customerId)
+      ]);
+
+      return {
+        total_balance: totalBalance,
+        bills: this.round(result[0].bills),
+        fines: this.round(result[0].fines),
+        contributions: this.round(result[0].contributions),
+        credit_balance: totalBalance < 0 ? Math.abs(totalBalance) : 0
+      };
+    } catch (error) {
+      console.error('Error getting balance breakdown:', error);
+      throw error;
+    }
+  }
+
+  // Get ledger entries for a customer with opening, running and closing balances
+  async getCustomerEntries(customerId, options = {}) {
+    try {
+      const from = options.from ? moment(options.from).format('YYYY-MM-DD') : null;
+      const to = options.to ? moment(options.to).format('YYYY-MM-DD') : null;
+
+      let query = `
+        SELECT id, entry_date, entry_type, debit_account, credit_account, amount,
+               reference_type, reference_id, description, created_at
+        FROM ledger_entries
+        WHERE customer_id = ?
+      `;
+      const params = [customerId];
+
+      if (from) {
+        query += ' AND entry_date >= ?';
+        params.push(from);
+      }
+
+      if (to) {
+        query += ' AND entry_date <= ?';
+        params.push(to);
+      }
+
+      query += ' ORDER BY entry_date ASC, id ASC';
+
+      const openingBalance = from ? await this.getCustomerBalance(customerId, from) : 0;
+      const rows = await executeQuery(query, params);
+
+      let runningBalance = openingBalance;
+      const entries = rows.map(row => {
+        const amount = parseFloat(row.amount);
+        const debit = row.debit_account === this.ACCOUNTS.RECEIVABLE ? amount : 0;
+        const credit = row.credit_account === this.ACCOUNTS.RECEIVABLE ? amount : 0;
+        runningBalance = this.round(runningBalance + debit - credit);
+
+        return {
+          id: row.id,
+          entry_date: row.entry_date,
+          entry_type: row.entry_type,
+          description: row.description,
+          reference_type: row.reference_type,
+          reference_id: row.reference_id,
+          debit,
+          credit,
+          running_balance: runningBalance,
+          created_at: row.created_at
+        };
+      });
+
+      return {
+        from,
+        to,
+        opening_balance: openingBalance,
+        closing_balance: runningBalance,
+        total_debits: this.round(entries.reduce((sum, entry) => sum + entry.debit, 0)),
+        total_credits: this.round(entries.reduce((sum, entry) => sum + entry.credit, 0)),
+        entries
+      };
+    } catch (error) {
+      console.error('Error getting customer ledger entries:', error);
+      throw error;
+    }
+  }
+
+  // Get active customers with a positive ledger balance, largest first
+  async getOutstandingCustomers(limit = 50) {
+    try {
+      const limitInt = parseInt(limit);
+
+      const query = `
+        SELECT
+          c.id,
+          c.account_number,
+          c.full_name,
+          c.phone,
+          COALESCE((
+            SELECT SUM(balance_due) FROM bills
+            WHERE customer_id = c.id AND balance_due > 0
+          ), 0) as outstanding_bills,
+          COALESCE((
+            SELECT SUM(af.amount - COALESCE((
+              SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.fine_id = af.id
+            ), 0))
+            FROM applied_fines af
+            WHERE af.customer_id = c.id AND af.status = 'pending'
+          ), 0) as outstanding_fines,
+          COALESCE((
+            SELECT SUM(amount_required - amount_paid) FROM contributions
+            WHERE customer_id = c.id AND status != 'completed'
+          ), 0) as outstanding_contributions,
+          l.balance as total_outstanding
+        FROM customers c
+        INNER JOIN (
+          SELECT customer_id,
+                 SUM(CASE WHEN debit_account = ? THEN amount ELSE 0 END) -
+                 SUM(CASE WHEN credit_account = ? THEN amount ELSE 0 END) as balance
+          FROM ledger_entries
+          GROUP BY customer_id
+        ) l ON l.customer_id = c.id
+        WHERE c.is_active = TRUE
+        AND l.balance > 0
+        ORDER BY l.balance DESC
+        LIMIT ${limitInt}
+      `;
+
+      const customers = await executeQuery(query, [this.ACCOUNTS.RECEIVABLE, this.ACCOUNTS.RECEIVABLE]);
+
+      return customers.map(customer => ({
+        ...customer,
+        outstanding_bills: parseFloat(customer.outstanding_bills),
+        outstanding_fines: parseFloat(customer.outstanding_fines),
+        outstanding_contributions: parseFloat(customer.outstanding_contributions),
+        total_outstanding: parseFloat(customer.total_outstanding)
+      }));
+    } catch (error) {
+      console.error('Error getting outstanding customers from ledger:', error);
+      throw error;
+    }
+  }
+
+  // Get the total owed across all active customers
+  async getTotalOutstanding() {
+    try {
+      const query = `
+        SELECT COUNT(*) as count, COALESCE(SUM(l.balance), 0) as amount
+        FROM (
+          SELECT le.customer_id,
+                 SUM(CASE WHEN le.debit_account = ? THEN le.amount ELSE 0 END) -
+                 SUM(CASE WHEN le.credit_account = ? THEN le.amount ELSE 0 END) as balance
+          FROM ledger_entries le
+          INNER JOIN customers c ON le.customer_id = c.id AND c.is_active = TRUE
+          GROUP BY le.customer_id
+        ) l
+        WHERE l.balance > 0
+      `;
+
+      const result = await executeQuery(query, [this.ACCOUNTS.RECEIVABLE, this.ACCOUNTS.RECEIVABLE]);
+      return {
+        customers: parseInt(result[0].count),
+        amount: this.round(result[0].amount)
+      };
+    } catch (error) {
+      console.error('Error getting total outstanding:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new Ledger();
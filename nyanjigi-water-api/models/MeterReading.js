@@ -0,0 +1,595 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+const moment = require('moment');
+
+/**
+ * Meter Reading Model - Reading capture, anomaly flags and review queue
+ */
+class MeterReading extends BaseModel {
+  constructor() {
+    super('meter_readings');
+  }
+
+  // Get anomaly detection thresholds from settings
+  async getAnomalySettings() {
+    try {
+      const settings = await executeQuery(`
+        SELECT setting_key, setting_value FROM system_settings
+        WHERE setting_key IN ('meter_jump_multiplier', 'meter_trailing_periods')
+      `);
+      const settingsMap = {};
+      settings.forEach(s => settingsMap[s.setting_key] = s.setting_value);
+
+      return {
+        jump_multiplier: parseFloat(settingsMap.meter_jump_multiplier) || 3,
+        trailing_periods: parseInt(settingsMap.meter_trailing_periods, 10) || 3
+      };
+    } catch (error) {
+      console.error('Error getting meter anomaly settings:', error);
+      throw error;
+    }
+  }
+
+  // Resolve the customer a reading belongs to by ID or meter number
+  async findMeteredCustomer({ customer_id, meter_number, zone }) {
+    try {
+      const conditions = ['c.is_active = TRUE'];
+      const params = [];
+
+      if (customer_id) {
+        conditions.push('c.id = ?');
+        params.push(customer_id);
+      } else if (meter_number) {
+        conditions.push('c.meter_number = ?');
+        params.push(String(meter_number).trim());
+      } else {
+        return null;
+      }
+
+      if (zone) {
+        conditions.push('c.zone = ?');
+        params.push(zone);
+      }
+
+      const result = await executeQuery(`
+        SELECT c.id, c.account_number, c.full_name, c.phone, c.zone, c.meter_number, c.customer_type
+        FROM customers c
+        WHERE ${conditions.join(' AND ')}
+        LIMIT 1
+      `, params);
+
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      console.error('Error finding metered customer:', error);
+      throw error;
+    }
+  }
+
+  // Compare a new reading against the customer's history and flag anomalies
+  async evaluateReading(customerId, readingPeriod, readingValue, settings = null) {
+    try {
+      const thresholds = settings || await this.getAnomalySettings();
+      const value = parseFloat(readingValue);
+
+      const previousRows = await executeQuery(`
+        SELECT reading_period, reading_value
+        FROM meter_readings
+        WHERE customer_id = ? AND reading_period < ? AND status != 'rejected'
+        ORDER BY reading_period DESC
+        LIMIT 1
+      `, [customerId, readingPeriod]);
+
+      // First reading on the meter is the baseline
+      if (previousRows.length === 0) {
+        return {
+          previous_reading: null,
+          consumption: null,
+          trailing_average: null,
+          flags: []
+        };
+      }
+
+      const previous = previousRows[0];
+      const previousReading = parseFloat(previous.reading_value);
+      const consumption = Math.round((value - previousReading) * 100) / 100;
+      const flags = [];
+
+      if (value < previousReading) {
+        flags.push('reading_backwards');
+      }
+
+      // Gaps are only an anomaly when the skipped months were not covered by estimated bills
+      const previousPeriod = moment(previous.reading_period).format('YYYY-MM-DD');
+      const gapMonths = moment(readingPeriod).diff(moment(previousPeriod), 'months') - 1;
+      if (gapMonths > 0) {
+        const estimated = await executeQuery(`
+          SELECT COUNT(*) as total FROM bills
+          WHERE customer_id = ? AND is_estimated = TRUE
+          AND billing_period_start > ? AND billing_period_start < ?
+        `, [customerId, previousPeriod, readingPeriod]);
+
+        if (estimated[0].total < gapMonths) {
+          flags.push('missing_period');
+        }
+      }
+
+      const trailing = await executeQuery(`
+        SELECT consumption
+        FROM meter_readings
+        WHERE customer_id = ? AND reading_period < ?
+        AND status IN ('valid', 'approved') AND consumption IS NOT NULL
+        ORDER BY reading_period DESC
+        LIMIT ${parseInt(thresholds.trailing_periods)}
+      `, [customerId, readingPeriod]);
+
+      let trailingAverage = null;
+      if (trailing.length > 0) {
+        trailingAverage = Math.round(
+          (trailing.reduce((sum, row) => sum + parseFloat(row.consumption), 0) / trailing.length) * 100
+        ) / 100;
+
+        // Consumption after a gap covers several months
+        const monthsCovered = Math.max(gapMonths, 0) + 1;
+        if (trailingAverage > 0 && consumption > trailingAverage * thresholds.jump_multiplier * monthsCovered) {
+          flags.push('abnormal_jump');
+        }
+      }
+
+      return {
+        previous_reading: previousReading,
+        consumption,
+        trailing_average: trailingAverage,
+        flags
+      };
+    } catch (error) {
+      console.error('Error evaluating meter reading:', error);
+      throw error;
+    }
+  }
+
+  // Record (or correct an unbilled) reading for a customer and period
+  async recordReading(data, recordedBy = null, settings = null) {
+    try {
+      const customer = await this.findMeteredCustomer(data);
+      if (!customer) {
+        throw new Error(data.meter_number
+          ? `No active customer found for meter ${data.meter_number}${data.zone ? ` in ${data.zone}` : ''}`
+          : 'Customer not found');
+      }
+
+      if (!customer.meter_number) {
+        throw new Error(`Customer ${customer.account_number} has no meter number`);
+      }
+
+      const readingDate = moment(data.reading_date || undefined);
+      const readingPeriod = moment(data.reading_period || readingDate).startOf('month').format('YYYY-MM-DD');
+
+      const existing = await executeQuery(
+        'SELECT id, bill_id FROM meter_readings WHERE customer_id = ? AND reading_period = ?',
+        [customer.id, readingPeriod]
+      );
+
+      if (existing.length > 0 && existing[0].bill_id) {
+        throw new Error(`Reading for ${moment(readingPeriod).format('MMMM YYYY')} has already been billed`);
+      }
+
+      const evaluation = await this.evaluateReading(customer.id, readingPeriod, data.reading_value, settings);
+      const status = evaluation.flags.length > 0 ? 'flagged' : 'valid';
+
+      const values = {
+        meter_number: customer.meter_number,
+        reading_date: readingDate.format('YYYY-MM-DD'),
+        reading_value: parseFloat(data.reading_value),
+        previous_reading: evaluation.previous_reading,
+        consumption: evaluation.consumption,
+        trailing_average: evaluation.trailing_average,
+        source: data.source || 'manual',
+        status,
+        flags: evaluation.flags.length > 0 ? JSON.stringify(evaluation.flags) : null,
+        notes: data.notes || null,
+        recorded_by: recordedBy
+      };
+
+      let readingId;
+      if (existing.length > 0) {
+        readingId = existing[0].id;
+        await executeQuery(`
+          UPDATE meter_readings
+          SET ${Object.keys(values).map(key => `${key} = ?`).join(', ')},
+              review_notes = NULL, reviewed_by = NULL, reviewed_at = NULL
+          WHERE id = ?
+        `, [...Object.values(values), readingId]);
+      } else {
+        const result = await executeQuery(`
+          INSERT INTO meter_readings (customer_id, reading_period, ${Object.keys(values).join(', ')})
+          VALUES (?, ?, ${Object.keys(values).map(() => '?').join(', ')})
+        `, [customer.id, readingPeriod, ...Object.values(values)]);
+        readingId = result.insertId;
+      }
+
+      return {
+        ...(await this.getReadingById(readingId)),
+        updated: existing.length > 0
+      };
+    } catch (error) {
+      console.error('Error recording meter reading:', error);
+      throw error;
+    }
+  }
+
+  // Record readings from a parsed CSV upload for a single zone
+  async bulkRecordReadings(zone, rows, options = {}) {
+    const { readingPeriod = null, recordedBy = null } = options;
+    const settings = await this.getAnomalySettings();
+    const results = {
+      recorded: [],
+      flagged: [],
+      errors: []
+    };
+
+    for (const row of rows) {
+      const meterNumber = row.meter_number || row.meter;
+      const readingValue = row.reading_value || row.reading;
+
+      try {
+        if (!meterNumber) {
+          throw new Error('Meter number is required');
+        }
+
+        if (readingValue === undefined || readingValue === '' || isNaN(parseFloat(readingValue))) {
+          throw new Error('Valid reading is required');
+        }
+
+        if (row.reading_date && !moment(row.reading_date, moment.ISO_8601, true).isValid()) {
+          throw new Error('Reading date must be in YYYY-MM-DD format');
+        }
+
+        const reading = await this.recordReading({
+          meter_number: meterNumber,
+          zone,
+          reading_value: readingValue,
+          reading_date: row.reading_date || undefined,
+          reading_period: readingPeriod || row.reading_date || undefined,
+          notes: row.notes || null,
+          source: 'bulk_upload'
+        }, recordedBy, settings);
+
+        const summary = {
+          line: row._line,
+          reading_id: reading.id,
+          meter_number: reading.meter_number,
+          account_number: reading.account_number,
+          reading_value: reading.reading_value,
+          consumption: reading.consumption
+        };
+
+        if (reading.status === 'flagged') {
+          results.flagged.push({ ...summary, flags: reading.flags });
+        } else {
+          results.recorded.push(summary);
+        }
+      } catch (error) {
+        results.errors.push({
+          line: row._line,
+          meter_number: meterNumber || null,
+          error: error.message
+        });
+      }
+    }
+
+    return {
+      zone,
+      total_rows: rows.length,
+      recorded_count: results.recorded.length,
+      flagged_count: results.flagged.length,
+      error_count: results.errors.length,
+      ...results
+    };
+  }
+
+  // Parse stored JSON flags
+  formatReading(reading) {
+    if (!reading) {
+      return null;
+    }
+
+    let flags = reading.flags || [];
+    if (typeof flags === 'string') {
+      try {
+        flags = JSON.parse(flags);
+      } catch (e) {
+        flags = [];
+      }
+    }
+
+    return { ...reading, flags };
+  }
+
+  // Get single reading with customer info
+  async getReadingById(readingId) {
+    try {
+      const result = await executeQuery(`
+        SELECT mr.*, c.account_number, c.full_name as customer_name, c.zone
+        FROM meter_readings mr
+        INNER JOIN customers c ON mr.customer_id = c.id
+        WHERE mr.id = ?
+      `, [readingId]);
+
+      return result.length > 0 ? this.formatReading(result[0]) : null;
+    } catch (error) {
+      console.error('Error getting meter reading:', error);
+      throw error;
+    }
+  }
+
+  // Get readings with pagination and filters
+  async getReadingsWithPagination(page = 1, limit = 50, filters = {}) {
+    try {
+      const offset = (page - 1) * limit;
+      const conditions = [];
+      const params = [];
+
+      if (filters.customer_id) {
+        conditions.push('mr.customer_id = ?');
+        params.push(filters.customer_id);
+      }
+
+      if (filters.zone) {
+        conditions.push('c.zone = ?');
+        params.push(filters.zone);
+      }
+
+      if (filters.status) {
+        conditions.push('mr.status = ?');
+        params.push(filters.status);
+      }
+
+      if (filters.reading_period) {
+        conditions.push('mr.reading_period = ?');
+        params.push(moment(filters.reading_period).startOf('month').format('YYYY-MM-DD'));
+      }
+
+      if (filters.search) {
+        conditions.push('(mr.meter_number LIKE ? OR c.full_name LIKE ? OR c.account_number LIKE ?)');
+        params.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const readings = await executeQuery(`
+        SELECT mr.*, c.account_number, c.full_name as customer_name, c.zone
+        FROM meter_readings mr
+        INNER JOIN customers c ON mr.customer_id = c.id
+        ${whereClause}
+        ORDER BY mr.reading_period DESC, c.account_number ASC
+        LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+      `, params);
+
+      const countResult = await executeQuery(`
+        SELECT COUNT(*) as total
+        FROM meter_readings mr
+        INNER JOIN customers c ON mr.customer_id = c.id
+        ${whereClause}
+      `, params);
+      const total = countResult[0].total;
+
+      return {
+        readings: readings.map(reading => this.formatReading(reading)),
+        pagination: {
+          current_page: page,
+          per_page: limit,
+          total,
+          total_pages: Math.ceil(total / limit),
+          has_next: page < Math.ceil(total / limit),
+          has_prev: page > 1
+        }
+      };
+    } catch (error) {
+      console.error('Error getting meter readings with pagination:', error);
+      throw error;
+    }
+  }
+
+  // Get reading history for a customer
+  async getCustomerReadingHistory(customerId, limit = 24) {
+    try {
+      const readings = await executeQuery(`
+        SELECT mr.*, b.bill_number
+        FROM meter_readings mr
+        LEFT JOIN bills b ON mr.bill_id = b.id
+        WHERE mr.customer_id = ?
+        ORDER BY mr.reading_period DESC
+        LIMIT ${parseInt(limit)}
+      `, [customerId]);
+
+      return readings.map(reading => this.formatReading(reading));
+    } catch (error) {
+      console.error('Error getting customer reading history:', error);
+      throw error;
+    }
+  }
+
+  // Approve or reject a flagged reading
+  async reviewReading(readingId, action, reviewedBy, options = {}) {
+    try {
+      const reading = await this.getReadingById(readingId);
+      if (!reading) {
+        return null;
+      }
+
+      if (reading.bill_id) {
+        throw new Error('Reading has already been billed');
+      }
+
+      const status = action === 'approve' ? 'approved' : 'rejected';
+      let consumption = reading.consumption;
+
+      // A backwards reading (e.g. meter replacement) needs the real consumption to be billable
+      if (options.adjusted_consumption !== undefined && options.adjusted_consumption !== null) {
+        consumption = parseFloat(options.adjusted_consumption);
+      } else if (status === 'approved' && consumption !== null && parseFloat(consumption) < 0) {
+        throw new Error('Backwards readings need an adjusted consumption before approval');
+      }
+
+      await executeQuery(`
+        UPDATE meter_readings
+        SET status = ?, consumption = ?, review_notes = ?, reviewed_by = ?, reviewed_at = NOW()
+        WHERE id = ?
+      `, [status, consumption, options.notes || null, reviewedBy, readingId]);
+
+      return await this.getReadingById(readingId);
+    } catch (error) {
+      console.error('Error reviewing meter reading:', error);
+      throw error;
+    }
+  }
+
+  // Average of the customer's recent actual consumption before a period
+  async getAverageConsumption(customerId, beforePeriod, periods = 6) {
+    try {
+      const readings = await executeQuery(`
+        SELECT consumption
+        FROM meter_readings
+        WHERE customer_id = ? AND reading_period < ?
+        AND status IN ('valid', 'approved') AND consumption IS NOT NULL
+        ORDER BY reading_period DESC
+        LIMIT ${parseInt(periods)}
+      `, [customerId, moment(beforePeriod).startOf('month').format('YYYY-MM-DD')]);
+
+      const lastReading = await executeQuery(`
+        SELECT reading_value
+        FROM meter_readings
+        WHERE customer_id = ? AND reading_period < ? AND status != 'rejected'
+        ORDER BY reading_period DESC
+        LIMIT 1
+      `, [customerId, moment(beforePeriod).startOf('month').format('YYYY-MM-DD')]);
+
+      if (readings.length === 0) {
+        return null;
+      }
+
+      const total = readings.reduce((sum, row) => sum + parseFloat(row.consumption), 0);
+
+      return {
+        average: Math.round((total / readings.length) * 100) / 100,
+        periods_used: readings.length,
+        last_reading: lastReading.length > 0 ? parseFloat(lastReading[0].reading_value) : null
+      };
+    } catch (error) {
+      console.error('Error getting average consumption:', error);
+      throw error;
+    }
+  }
+
+  // Metered customers without a reading for the period
+  async getMissingReadings(readingPeriod, zone = null) {
+    try {
+      const period = moment(readingPeriod).startOf('month').format('YYYY-MM-DD');
+      const params = [period, period];
+      let zoneClause = '';
+
+      if (zone) {
+        zoneClause = 'AND c.zone = ?';
+        params.push(zone);
+      }
+
+      // A customer is metered once a baseline reading exists before the period
+      return await executeQuery(`
+        SELECT c.id, c.account_number, c.full_name, c.phone, c.zone, c.meter_number,
+               (SELECT MAX(reading_period) FROM meter_readings
+                WHERE customer_id = c.id AND status != 'rejected') as last_reading_period
+        FROM customers c
+        WHERE c.is_active = TRUE
+        AND c.meter_number IS NOT NULL
+        AND EXISTS (
+          SELECT 1 FROM meter_readings
+          WHERE customer_id = c.id AND reading_period < ? AND status != 'rejected'
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM meter_readings
+          WHERE customer_id = c.id AND reading_period = ? AND status != 'rejected'
+        )
+        ${zoneClause}
+        ORDER BY c.zone, c.account_number
+      `, params);
+    } catch (error) {
+      console.error('Error getting missing meter readings:', error);
+      throw error;
+    }
+  }
+
+  // Readings for a billing period keyed by customer ID (includes flagged ones so billing can hold them)
+  async getReadingsForPeriod(readingPeriod, customerIds = []) {
+    try {
+      const params = [moment(readingPeriod).startOf('month').format('YYYY-MM-DD')];
+      let customerClause = '';
+
+      if (customerIds.length > 0) {
+        customerClause = `AND customer_id IN (${customerIds.map(() => '?').join(',')})`;
+        params.push(...customerIds);
+      }
+
+      const readings = await executeQuery(`
+        SELECT * FROM meter_readings
+        WHERE reading_period = ? AND status != 'rejected' AND bill_id IS NULL
+        ${customerClause}
+      `, params);
+
+      const readingsMap = {};
+      readings.forEach(reading => {
+        readingsMap[reading.customer_id] = this.formatReading(reading);
+      });
+
+      return readingsMap;
+    } catch (error) {
+      console.error('Error getting readings for period:', error);
+      throw error;
+    }
+  }
+
+  // Link consumed readings to the bills generated from them
+  async markReadingsBilled(readingBills) {
+    try {
+      for (const { reading_id, bill_id } of readingBills) {
+        await executeQuery('UPDATE meter_readings SET bill_id = ? WHERE id = ?', [bill_id, reading_id]);
+      }
+      return readingBills.length;
+    } catch (error) {
+      console.error('Error marking readings as billed:', error);
+      throw error;
+    }
+  }
+
+  // Review queue and capture progress counts for a period
+  async getReadingSummary(readingPeriod) {
+    try {
+      const period = moment(readingPeriod).startOf('month').format('YYYY-MM-DD');
+      const result = await executeQuery(`
+        SELECT
+          c.zone,
+          COUNT(*) as total_readings,
+          COUNT(CASE WHEN mr.status = 'valid' THEN 1 END) as valid_readings,
+          COUNT(CASE WHEN mr.status = 'flagged' THEN 1 END) as flagged_readings,
+          COUNT(CASE WHEN mr.status = 'approved' THEN 1 END) as approved_readings,
+          COUNT(CASE WHEN mr.status = 'rejected' THEN 1 END) as rejected_readings,
+          COUNT(CASE WHEN mr.bill_id IS NOT NULL THEN 1 END) as billed_readings,
+          COALESCE(SUM(CASE WHEN mr.status IN ('valid', 'approved') THEN mr.consumption ELSE 0 END), 0) as total_consumption
+        FROM meter_readings mr
+        INNER JOIN customers c ON mr.customer_id = c.id
+        WHERE mr.reading_period = ?
+        GROUP BY c.zone
+        ORDER BY c.zone
+      `, [period]);
+
+      return result.map(row => ({
+        ...row,
+        total_consumption: parseFloat(row.total_consumption)
+      }));
+    } catch (error) {
+      console.error('Error getting reading summary:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MeterReading();
@@ -0,0 +1,305 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+
+// Messages left in 'processing' longer than this were interrupted (e.g. by a restart)
+const STALE_LOCK_MINUTES = 10;
+
+/**
+ * Notification Outbox Model - Queued outgoing messages sent by the scheduler's outbox worker
+ */
+class NotificationOutbox extends BaseModel {
+  constructor() {
+    super('notification_outbox');
+  }
+
+  // JSON columns may come back as strings depending on the driver settings
+  parseJson(value) {
+    if (!value) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  formatEntry(row) {
+    return {
+      ...row,
+      variables: this.parseJson(row.variables),
+      options: this.parseJson(row.options)
+    };
+  }
+
+  /**
+   * Queue messages: { dedupe_key, recipient_id, channel, recipient, notification_type,
+   * message, variables, options, send_after }. Messages whose dedupe key is already queued are skipped.
+   */
+  async enqueue(messages, maxAttempts = 5) {
+    try {
+      let queued = 0;
+      const chunkSize = 100;
+
+      for (let i = 0; i < messages.length; i += chunkSize) {
+        const chunk = messages.slice(i, i + chunkSize);
+        const params = [];
+
+        chunk.forEach(message => {
+          params.push(
+            message.dedupe_key || null,
+            message.recipient_id || null,
+            message.channel,
+            message.recipient,
+            message.notification_type,
+            message.message || null,
+            message.variables ? JSON.stringify(message.variables) : null,
+            message.options ? JSON.stringify(message.options) : null,
+            maxAttempts,
+            message.send_after || null
+          );
+        });
+
+        const result = await executeQuery(`
+          INSERT INTO notification_outbox
+            (dedupe_key, recipient_id, channel, recipient, notification_type, message, variables, options, max_attempts, next_attempt_at)
+          VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, NOW()))').join(', ')}
+          ON DUPLICATE KEY UPDATE id = id
+        `, params);
+
+        queued += result.affectedRows;
+      }
+
+      return {
+        total: messages.length,
+        queued,
+        duplicates: messages.length - queued
+      };
+    } catch (error) {
+      console.error('Error queueing notifications:', error);
+      throw error;
+    }
+  }
+
+  // Lock up to `limit` due messages for sending, oldest first
+  async claimDue(limit) {
+    try {
+      await executeQuery(`
+        UPDATE notification_outbox
+        SET status = 'pending', locked_at = NULL
+        WHERE status = 'processing'
+        AND locked_at < DATE_SUB(NOW(), INTERVAL ${STALE_LOCK_MINUTES} MINUTE)
+      `);
+
+      const limitInt = parseInt(limit);
+      if (!limitInt || limitInt <= 0) {
+        return [];
+      }
+
+      const due = await executeQuery(`
+        SELECT id FROM notification_outbox
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT ${limitInt}
+      `);
+
+      if (due.length === 0) {
+        return [];
+      }
+
+      const ids = due.map(row => row.id);
+      const placeholders = ids.map(() => '?').join(',');
+
+      await executeQuery(`
+        UPDATE notification_outbox
+        SET status = 'processing', locked_at = NOW()
+        WHERE id IN (${placeholders}) AND status = 'pending'
+      `, ids);
+
+      const claimed = await executeQuery(`
+        SELECT * FROM notification_outbox
+        WHERE id IN (${placeholders}) AND status = 'processing'
+        ORDER BY next_attempt_at ASC, id ASC
+      `, ids);
+
+      return claimed.map(row => this.formatEntry(row));
+    } catch (error) {
+      console.error('Error claiming outbox messages:', error);
+      throw error;
+    }
+  }
+
+  async markSent(id) {
+    try {
+      await executeQuery(`
+        UPDATE notification_outbox
+        SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), locked_at = NULL, last_error = NULL
+        WHERE id = ?
+      `, [id]);
+    } catch (error) {
+      console.error('Error marking outbox message sent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed attempt. The message is retried after retryBaseSeconds * 2^(attempt - 1)
+   * or dead-lettered once it reaches max_attempts. Returns the new status.
+   */
+  async markFailed(id, errorMessage, retryBaseSeconds = 60) {
+    try {
+      // MySQL applies single-table SET assignments left to right, so the later
+      // expressions see the incremented attempts value
+      await executeQuery(`
+        UPDATE notification_outbox
+        SET attempts = attempts + 1,
+            status = IF(attempts >= max_attempts, 'dead', 'pending'),
+            next_attempt_at = DATE_ADD(NOW(), INTERVAL ? * POW(2, attempts - 1) SECOND),
+            locked_at = NULL,
+            last_error = ?
+        WHERE id = ?
+      `, [parseInt(retryBaseSeconds) || 60, String(errorMessage || 'Unknown error').slice(0, 1000), id]);
+
+      const result = await executeQuery('SELECT status FROM notification_outbox WHERE id = ?', [id]);
+      return result.length > 0 ? result[0].status : null;
+    } catch (error) {
+      console.error('Error marking outbox message failed:', error);
+      throw error;
+    }
+  }
+
+  // Hold a message until the given time without counting an attempt (quiet hours)
+  async defer(id, sendAfter) {
+    try {
+      await executeQuery(`
+        UPDATE notification_outbox
+        SET status = 'pending', next_attempt_at = ?, locked_at = NULL
+        WHERE id = ?
+      `, [sendAfter, id]);
+    } catch (error) {
+      console.error('Error deferring outbox message:', error);
+      throw error;
+    }
+  }
+
+  // Drop a message the customer's preferences do not allow
+  async markSuppressed(id, reason) {
+    try {
+      await executeQuery(`
+        UPDATE notification_outbox
+        SET status = 'suppressed', locked_at = NULL, last_error = ?
+        WHERE id = ?
+      `, [String(reason || '').slice(0, 1000) || null, id]);
+    } catch (error) {
+      console.error('Error marking outbox message suppressed:', error);
+      throw error;
+    }
+  }
+
+  // Messages sent in the last minute, for the per-minute rate limit
+  async countSentLastMinute() {
+    try {
+      const result = await executeQuery(`
+        SELECT COUNT(*) as total FROM notification_outbox
+        WHERE sent_at >= DATE_SUB(NOW(), INTERVAL 1 MINUTE)
+      `);
+      return parseInt(result[0].total) || 0;
+    } catch (error) {
+      console.error('Error counting sent outbox messages:', error);
+      throw error;
+    }
+  }
+
+  // Put dead-lettered messages back in the queue with a fresh set of attempts
+  async requeue({ ids = [], notificationType = null } = {}) {
+    try {
+      let query = `
+        UPDATE notification_outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL
+        WHERE status = 'dead'
+      `;
+      const params = [];
+
+      if (ids.length > 0) {
+        query += ` AND id IN (${ids.map(() => '?').join(',')})`;
+        params.push(...ids);
+      }
+      if (notificationType) {
+        query += ' AND notification_type = ?';
+        params.push(notificationType);
+      }
+
+      const result = await executeQuery(query, params);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error requeueing outbox messages:', error);
+      throw error;
+    }
+  }
+
+  // Queue contents with status counts (Admin view)
+  async getMessages({ status = null, notificationType = null, page = 1, limit = 20 } = {}) {
+    try {
+      const pageInt = parseInt(page);
+      const limitInt = parseInt(limit);
+      const offset = (pageInt - 1) * limitInt;
+
+      const conditions = [];
+      const params = [];
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      if (notificationType) {
+        conditions.push('notification_type = ?');
+        params.push(notificationType);
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const messages = await executeQuery(`
+        SELECT id, dedupe_key, recipient_id, channel, recipient, notification_type, status,
+               attempts, max_attempts, next_attempt_at, last_error, sent_at, created_at
+        FROM notification_outbox
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${limitInt} OFFSET ${offset}
+      `, params);
+
+      const countResult = await executeQuery(`SELECT COUNT(*) as total FROM notification_outbox ${where}`, params);
+      const total = countResult[0].total;
+
+      const statusCounts = await executeQuery(`
+        SELECT status, COUNT(*) as count FROM notification_outbox GROUP BY status
+      `);
+      const summary = { pending: 0, processing: 0, sent: 0, dead: 0, suppressed: 0 };
+      statusCounts.forEach(row => {
+        summary[row.status] = parseInt(row.count) || 0;
+      });
+
+      return {
+        summary,
+        messages,
+        pagination: {
+          current_page: pageInt,
+          per_page: limitInt,
+          total,
+          total_pages: Math.ceil(total / limitInt)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting outbox messages:', error);
+      throw error;
+    }
+  }
+
+  // Remove sent and suppressed messages older than the given number of days
+  async purgeSent(days = 30) {
+    try {
+      const result = await executeQuery(`
+        DELETE FROM notification_outbox
+        WHERE (status = 'sent' AND sent_at < DATE_SUB(NOW(), INTERVAL ? DAY))
+        OR (status = 'suppressed' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY))
+      `, [days, days]);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error purging sent outbox messages:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new NotificationOutbox();
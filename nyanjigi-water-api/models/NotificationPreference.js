@@ -0,0 +1,166 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+const moment = require('moment');
+
+// Preferences for customers who have never changed them
+const DEFAULT_PREFERENCES = {
+  channel: 'both',
+  language: 'en',
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  marketing_opt_out: false,
+  announcements_opt_out: false,
+  sms_opt_out: false,
+  sms_opt_out_at: null
+};
+
+const EDITABLE_FIELDS = [
+  'channel', 'language', 'quiet_hours_start', 'quiet_hours_end',
+  'marketing_opt_out', 'announcements_opt_out', 'sms_opt_out'
+];
+
+
+/**
+ * Notification Preference Model - Per-customer channel, language, quiet hours and opt-outs
+ */
+class NotificationPreference extends BaseModel {
+  constructor() {
+    super('customer_notification_preferences');
+  }
+
+  // Row joins customers for the language; preference columns are null until first saved
+  formatPreferences(row) {
+    if (!row || !row.channel) {
+      return { ...DEFAULT_PREFERENCES, language: row?.language || DEFAULT_PREFERENCES.language };
+    }
+
+    return {
+      channel: row.channel,
+      language: row.language,
+      quiet_hours_start: row.quiet_hours_start ? row.quiet_hours_start.slice(0, 5) : null,
+      quiet_hours_end: row.quiet_hours_end ? row.quiet_hours_end.slice(0, 5) : null,
+      marketing_opt_out: Boolean(row.marketing_opt_out),
+      announcements_opt_out: Boolean(row.announcements_opt_out),
+      sms_opt_out: Boolean(row.sms_opt_out),
+      sms_opt_out_at: row.sms_opt_out_at
+    };
+  }
+
+  async getPreferences(customerId) {
+    try {
+      const result = await executeQuery(`
+        SELECT p.*, c.language
+        FROM customers c
+        LEFT JOIN customer_notification_preferences p ON p.customer_id = c.id
+        WHERE c.id = ?
+      `, [customerId]);
+      return this.formatPreferences(result[0]);
+    } catch (error) {
+      console.error('Error getting notification preferences:', error);
+      throw error;
+    }
+  }
+
+  // Save the given fields, keeping current values for the rest. Language is stored on the customer.
+  async updatePreferences(customerId, data) {
+    try {
+      const current = await this.getPreferences(customerId);
+      const updated = { ...current };
+      EDITABLE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+          updated[field] = data[field] === '' ? null : data[field];
+        }
+      });
+
+      const optOutChanged = updated.sms_opt_out !== current.sms_opt_out;
+
+      if (updated.language !== current.language) {
+        await executeQuery('UPDATE customers SET language = ? WHERE id = ?', [updated.language, customerId]);
+      }
+
+      await executeQuery(`
+        INSERT INTO customer_notification_preferences
+          (customer_id, channel, quiet_hours_start, quiet_hours_end,
+           marketing_opt_out, announcements_opt_out, sms_opt_out, sms_opt_out_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ${updated.sms_opt_out ? 'NOW()' : 'NULL'})
+        ON DUPLICATE KEY UPDATE
+          channel = VALUES(channel),
+          quiet_hours_start = VALUES(quiet_hours_start),
+          quiet_hours_end = VALUES(quiet_hours_end),
+          marketing_opt_out = VALUES(marketing_opt_out),
+          announcements_opt_out = VALUES(announcements_opt_out),
+          sms_opt_out = VALUES(sms_opt_out),
+          sms_opt_out_at = ${optOutChanged ? 'VALUES(sms_opt_out_at)' : 'sms_opt_out_at'}
+      `, [
+        customerId,
+        updated.channel,
+        updated.quiet_hours_start || null,
+        updated.quiet_hours_end || null,
+        Boolean(updated.marketing_opt_out),
+        Boolean(updated.announcements_opt_out),
+        Boolean(updated.sms_opt_out)
+      ]);
+
+      return this.getPreferences(customerId);
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      throw error;
+    }
+  }
+
+  // Active customers whose phone number matches, ignoring the 0 / 254 / +254 prefix
+  async findCustomersByPhone(phone) {
+    try {
+      const digits = String(phone || '').replace(/\D/g, '');
+      if (digits.length < 9) {
+        return [];
+      }
+
+      return await executeQuery(`
+        SELECT id, account_number, full_name, phone
+        FROM customers
+        WHERE RIGHT(REPLACE(REPLACE(REPLACE(phone, ' ', ''), '-', ''), '+', ''), 9) = ?
+      `, [digits.slice(-9)]);
+    } catch (error) {
+      console.error('Error finding customers by phone:', error);
+      throw error;
+    }
+  }
+
+  // Record a message received from a customer; false if the provider already delivered it
+  async recordInboundMessage({ providerMessageId, from, to, message, keyword, customerId }) {
+    try {
+      const result = await executeQuery(`
+        INSERT IGNORE INTO sms_inbound_messages
+          (provider_message_id, from_phone, to_code, message, keyword, customer_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [providerMessageId || null, from, to || null, message || null, keyword || null, customerId || null]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording inbound SMS:', error);
+      throw error;
+    }
+  }
+
+  // Whether `now` falls in the customer's quiet hours; windows may run past midnight
+  isQuietTime(preferences, now = moment()) {
+    const { quiet_hours_start: start, quiet_hours_end: end } = preferences;
+    if (!start || !end || start === end) {
+      return false;
+    }
+
+    const time = now.format('HH:mm');
+    return start < end
+      ? time >= start && time < end
+      : time >= start || time < end;
+  }
+
+  // When the current quiet period ends
+  quietHoursEnd(preferences, now = moment()) {
+    const [hour, minute] = preferences.quiet_hours_end.split(':').map(Number);
+    const end = now.clone().set({ hour, minute, second: 0, millisecond: 0 });
+    return end.isAfter(now) ? end : end.add(1, 'day');
+  }
+}
+
+module.exports = new NotificationPreference();
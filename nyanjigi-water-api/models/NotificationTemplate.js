@@ -0,0 +1,286 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery, executeTransaction } = require('../config/database');
+
+// Variables each trigger event's sender supplies; placeholders outside this list render empty
+const TEMPLATE_VARIABLES = {
+  bill_generated: ['customer_name', 'account_number', 'amount', 'period', 'due_date', 'paybill'],
+  billing_cycle: [
+    'customer_name', 'account_number', 'bill_number', 'billing_month', 'current_charge', 'estimated_note',
+    'outstanding_bills', 'contribution_outstanding', 'outstanding_fines', 'credit_note', 'grace_days', 'paybill'
+  ],
+  payment_received: ['customer_name', 'account_number', 'amount', 'transaction_id', 'payment_date'],
+  payment_reversed: ['customer_name', 'account_number', 'amount', 'transaction_id', 'reason', 'balance'],
+  fine_applied: ['customer_name', 'account_number', 'amount', 'reason', 'balance', 'days_overdue'],
+  overdue_notice: ['customer_name', 'account_number', 'amount', 'fine', 'days_overdue'],
+  password_notification: ['customer_name', 'account_number', 'password'],
+  password_reset_code: ['customer_name', 'account_number', 'code', 'minutes'],
+  contribution_notification: ['customer_name', 'account_number', 'amount', 'date']
+};
+
+// Template languages; senders fall back to English when a customer's language has no template
+const LANGUAGES = {
+  en: 'English',
+  sw: 'Kiswahili',
+  ki: 'Gikuyu'
+};
+
+/**
+ * Notification Template Model - SMS and email wording per trigger event, with version history
+ */
+class NotificationTemplate extends BaseModel {
+  constructor() {
+    super('notification_templates');
+  }
+
+  getTriggerEvents() {
+    return TEMPLATE_VARIABLES;
+  }
+
+  getLanguages() {
+    return LANGUAGES;
+  }
+
+  // Supported variables for a trigger event, or null for events no sender uses
+  getSupportedVariables(triggerEvent) {
+    return TEMPLATE_VARIABLES[triggerEvent] || null;
+  }
+
+  // Distinct {{placeholder}} names used in the given texts
+  findPlaceholders(...texts) {
+    const names = new Set();
+    texts.filter(Boolean).forEach(text => {
+      for (const match of String(text).matchAll(/\{\{\s*([^}]+?)\s*\}\}/g)) {
+        names.add(match[1]);
+      }
+    });
+    return [...names];
+  }
+
+  // Placeholders the trigger event does not supply
+  getUnsupportedPlaceholders(triggerEvent, ...texts) {
+    const supported = this.getSupportedVariables(triggerEvent);
+    if (!supported) {
+      return [];
+    }
+    return this.findPlaceholders(...texts).filter(name => !supported.includes(name));
+  }
+
+  formatTemplate(row) {
+    return {
+      ...row,
+      is_active: Boolean(row.is_active),
+      supported_variables: this.getSupportedVariables(row.trigger_event),
+      unsupported_placeholders: this.getUnsupportedPlaceholders(row.trigger_event, row.subject, row.message_template)
+    };
+  }
+
+  async getTemplates({ type = null, triggerEvent = null, language = null } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (type) {
+        conditions.push('t.type = ?');
+        params.push(type);
+      }
+      if (triggerEvent) {
+        conditions.push('t.trigger_event = ?');
+        params.push(triggerEvent);
+      }
+      if (language) {
+        conditions.push('t.language = ?');
+        params.push(language);
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const templates = await executeQuery(`
+        SELECT t.*, a.full_name as updated_by_name
+        FROM notification_templates t
+        LEFT JOIN admins a ON t.updated_by = a.id
+        ${where}
+        ORDER BY t.trigger_event, t.type, t.language = 'en' DESC, t.language, t.is_active DESC, t.name
+      `, params);
+
+      return templates.map(row => this.formatTemplate(row));
+    } catch (error) {
+      console.error('Error getting notification templates:', error);
+      throw error;
+    }
+  }
+
+  async getTemplate(id) {
+    try {
+      const template = await this.findById(id);
+      return template ? this.formatTemplate(template) : null;
+    } catch (error) {
+      console.error('Error getting notification template:', error);
+      throw error;
+    }
+  }
+
+  // Senders use the first active template for a trigger, channel and language, so keep only one active
+  deactivateOthersQuery(template) {
+    return {
+      query: `
+        UPDATE notification_templates
+        SET is_active = FALSE
+        WHERE trigger_event = ? AND type = ? AND language = ? AND id != ? AND is_active = TRUE
+      `,
+      params: [template.trigger_event, template.type, template.language || 'en', template.id]
+    };
+  }
+
+  versionQuery(template, version, changeNote, adminId) {
+    return {
+      query: `
+        INSERT INTO notification_template_versions
+          (template_id, version, name, subject, message_template, is_active, change_note, changed_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      params: [
+        template.id,
+        version,
+        template.name,
+        template.subject || null,
+        template.message_template,
+        Boolean(template.is_active),
+        changeNote || null,
+        adminId || null
+      ]
+    };
+  }
+
+  async createTemplate(data, adminId) {
+    try {
+      const isActive = data.is_active !== undefined ? Boolean(data.is_active) : true;
+
+      const result = await executeQuery(`
+        INSERT INTO notification_templates
+          (name, type, trigger_event, language, subject, message_template, is_active, version, updated_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)
+      `, [
+        data.name,
+        data.type,
+        data.trigger_event,
+        data.language || 'en',
+        data.subject || null,
+        data.message_template,
+        isActive,
+        adminId || null
+      ]);
+
+      const template = { id: result.insertId, ...data, language: data.language || 'en', is_active: isActive };
+      const queries = [this.versionQuery(template, 1, data.change_note || 'Created', adminId)];
+      if (isActive) {
+        queries.push(this.deactivateOthersQuery(template));
+      }
+      await executeTransaction(queries);
+
+      return this.getTemplate(result.insertId);
+    } catch (error) {
+      console.error('Error creating notification template:', error);
+      throw error;
+    }
+  }
+
+  // Save changes as a new version; unchanged fields keep their current values. The trigger
+  // event, channel and language identify the template and cannot be changed.
+  async updateTemplate(id, data, adminId) {
+    try {
+      const current = await this.findById(id);
+      if (!current) {
+        return null;
+      }
+
+      const updated = {
+        ...current,
+        name: data.name !== undefined ? data.name : current.name,
+        subject: data.subject !== undefined ? data.subject || null : current.subject,
+        message_template: data.message_template !== undefined ? data.message_template : current.message_template,
+        is_active: data.is_active !== undefined ? Boolean(data.is_active) : Boolean(current.is_active)
+      };
+      const version = current.version + 1;
+
+      const queries = [
+        {
+          query: `
+            UPDATE notification_templates
+            SET name = ?, subject = ?, message_template = ?, is_active = ?, version = ?, updated_by = ?, updated_at = NOW()
+            WHERE id = ?
+          `,
+          params: [updated.name, updated.subject, updated.message_template, updated.is_active, version, adminId || null, id]
+        },
+        this.versionQuery(updated, version, data.change_note, adminId)
+      ];
+      if (updated.is_active) {
+        queries.push(this.deactivateOthersQuery(updated));
+      }
+      await executeTransaction(queries);
+
+      return this.getTemplate(id);
+    } catch (error) {
+      console.error('Error updating notification template:', error);
+      throw error;
+    }
+  }
+
+  // Active templates are in use by senders and must be deactivated before deletion
+  async deleteTemplate(id) {
+    try {
+      const template = await this.findById(id);
+      if (!template) {
+        return false;
+      }
+      if (template.is_active) {
+        throw new Error('Deactivate the template before deleting it');
+      }
+
+      await executeQuery('DELETE FROM notification_templates WHERE id = ?', [id]);
+      return true;
+    } catch (error) {
+      console.error('Error deleting notification template:', error);
+      throw error;
+    }
+  }
+
+  async getVersions(id) {
+    try {
+      const versions = await executeQuery(`
+        SELECT v.*, a.full_name as changed_by_name
+        FROM notification_template_versions v
+        LEFT JOIN admins a ON v.changed_by = a.id
+        WHERE v.template_id = ?
+        ORDER BY v.version DESC
+      `, [id]);
+
+      return versions.map(row => ({ ...row, is_active: Boolean(row.is_active) }));
+    } catch (error) {
+      console.error('Error getting notification template versions:', error);
+      throw error;
+    }
+  }
+
+  // Restoring saves the old wording as a new version rather than rewriting history
+  async restoreVersion(id, version, adminId) {
+    try {
+      const result = await executeQuery(`
+        SELECT name, subject, message_template
+        FROM notification_template_versions
+        WHERE template_id = ? AND version = ?
+      `, [id, version]);
+
+      if (result.length === 0) {
+        return null;
+      }
+
+      return this.updateTemplate(id, {
+        ...result[0],
+        change_note: `Restored version ${version}`
+      }, adminId);
+    } catch (error) {
+      console.error('Error restoring notification template version:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new NotificationTemplate();
@@ -0,0 +1,203 @@
+const BaseModel = require('./BaseModel');
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const AuthUtils = require('../utils/auth');
+
+// A code must be used within this time and number of wrong tries
+const CODE_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+
+// Requests allowed per account and per IP address in any rolling hour
+const MAX_REQUESTS_PER_ACCOUNT = 3;
+const MAX_REQUESTS_PER_IP = 10;
+const RESEND_SECONDS = 60;
+
+// Codes that may be tried from one IP address in any rolling hour, across all accounts
+const MAX_CODE_CHECKS_PER_IP = 20;
+
+/**
+ * Password Reset Model - Forgot-password codes sent to customers by SMS
+ *
+ * Each request replaces any earlier open code for the account, so only the
+ * latest code works. Requests for unknown accounts are recorded without a
+ * code; they count towards the IP limit and the caller answers them the same
+ * way, so the flow does not reveal which account numbers exist.
+ */
+class PasswordReset extends BaseModel {
+  constructor() {
+    super('customer_password_resets');
+  }
+
+  // Why another code cannot be requested yet, or null when it can
+  async requestLimitReason(accountNumber, ipAddress) {
+    try {
+      if (ipAddress) {
+        const byIp = await executeQuery(`
+          SELECT COUNT(*) as count FROM customer_password_resets
+          WHERE ip_address = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)
+        `, [ipAddress]);
+        if (byIp[0].count >= MAX_REQUESTS_PER_IP) {
+          return 'Too many reset requests from this device. Please try again later';
+        }
+      }
+
+      const byAccount = await executeQuery(`
+        SELECT COUNT(*) as count, MAX(created_at) as last_requested_at
+        FROM customer_password_resets
+        WHERE account_number = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)
+      `, [accountNumber]);
+      const { count, last_requested_at } = byAccount[0];
+
+      if (count >= MAX_REQUESTS_PER_ACCOUNT) {
+        return 'Too many reset requests for this account. Please try again later';
+      }
+      if (last_requested_at) {
+        const waited = (Date.now() - new Date(last_requested_at).getTime()) / 1000;
+        if (waited < RESEND_SECONDS) {
+          return `Please wait ${Math.ceil(RESEND_SECONDS - waited)} seconds before requesting another code`;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error checking password reset limits:', error);
+      throw error;
+    }
+  }
+
+  // Record a request; the plain code is returned only when there is a customer to send it to
+  async createReset(accountNumber, customer = null, ipAddress = null) {
+    try {
+      const code = customer ? String(crypto.randomInt(0, 1000000)).padStart(6, '0') : null;
+
+      if (customer) {
+        await executeQuery(`
+          UPDATE customer_password_resets SET expires_at = NOW()
+          WHERE customer_id = ? AND used_at IS NULL AND expires_at > NOW()
+        `, [customer.id]);
+      }
+
+      await executeQuery(`
+        INSERT INTO customer_password_resets (customer_id, account_number, code_hash, ip_address, expires_at)
+        VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+      `, [
+        customer ? customer.id : null,
+        accountNumber,
+        code ? AuthUtils.hashToken(code) : null,
+        ipAddress,
+        CODE_MINUTES
+      ]);
+
+      return { code, expires_in: CODE_MINUTES * 60 };
+    } catch (error) {
+      console.error('Error creating password reset:', error);
+      throw error;
+    }
+  }
+
+  // The account's open code, or null once it has expired, been used or run out of tries
+  async getOpenReset(accountNumber) {
+    try {
+      const resets = await executeQuery(`
+        SELECT * FROM customer_password_resets
+        WHERE account_number = ? AND customer_id IS NOT NULL AND code_hash IS NOT NULL
+        AND used_at IS NULL AND expires_at > NOW() AND attempts < ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      `, [accountNumber, MAX_ATTEMPTS]);
+
+      return resets.length > 0 ? resets[0] : null;
+    } catch (error) {
+      console.error('Error getting password reset:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a code check from an IP address against its hourly limit. The check is
+   * recorded before counting, so concurrent requests cannot all slip under the
+   * limit; returns false once it is exceeded.
+   */
+  async claimIpCheck(accountNumber, ipAddress) {
+    try {
+      if (!ipAddress) {
+        return true;
+      }
+
+      await executeQuery(
+        'INSERT INTO customer_password_reset_checks (account_number, ip_address) VALUES (?, ?)',
+        [accountNumber, ipAddress]
+      );
+      const checks = await executeQuery(`
+        SELECT COUNT(*) as count FROM customer_password_reset_checks
+        WHERE ip_address = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)
+      `, [ipAddress]);
+
+      return checks[0].count <= MAX_CODE_CHECKS_PER_IP;
+    } catch (error) {
+      console.error('Error recording password reset check:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Use up one of the code's tries before it is compared, in a single statement so
+   * concurrent guesses cannot all pass the limit; returns false when none are left.
+   */
+  async claimAttempt(reset) {
+    try {
+      const result = await executeQuery(
+        'UPDATE customer_password_resets SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+        [reset.id, MAX_ATTEMPTS]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording reset attempt:', error);
+      throw error;
+    }
+  }
+
+  // Tries left after a wrong code, given the attempt already claimed for it
+  remainingAttempts(reset) {
+    return Math.max(MAX_ATTEMPTS - reset.attempts - 1, 0);
+  }
+
+  verifyCode(reset, code) {
+    return crypto.timingSafeEqual(
+      Buffer.from(reset.code_hash),
+      Buffer.from(AuthUtils.hashToken(String(code || '').trim()))
+    );
+  }
+
+  // Mark the code used; false if another request used it first
+  async markUsed(resetId) {
+    try {
+      const result = await executeQuery(
+        'UPDATE customer_password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [resetId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error completing password reset:', error);
+      throw error;
+    }
+  }
+
+  // Delete requests older than a day; the rate limits only look back an hour
+  async purgeExpired() {
+    try {
+      const result = await executeQuery(
+        'DELETE FROM customer_password_resets WHERE created_at < DATE_SUB(NOW(), INTERVAL 1 DAY)'
+      );
+      await executeQuery(
+        'DELETE FROM customer_password_reset_checks WHERE created_at < DATE_SUB(NOW(), INTERVAL 1 DAY)'
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error purging password resets:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PasswordReset();
@@ -1,10 +1,19 @@
 const BaseModel = require('./BaseModel');
-const { executeQuery } = require('../config/database');
+const { executeQuery, executeTransaction } = require('../config/database');
 const moment = require('moment');
+const Bill = require('./Bill');
+const Ledger = require('./Ledger');
 
 class Payment extends BaseModel {
   constructor() {
     super('payments');
+
+    // Payment methods an admin can record by hand
+    this.MANUAL_METHOD_LABELS = {
+      cash: 'Cash',
+      cheque: 'Cheque',
+      bank_transfer: 'Bank transfer'
+    };
   }
 
   /**
@@ -39,15 +48,22 @@ async getPaymentsWithPagination(page = 1, limit = 20, filters = {}) {
       params.push(filters.date_to);
     }
 
+    if (filters.payment_method) {
+      conditions.push('p.payment_method = ?');
+      params.push(filters.payment_method);
+    }
+
     if (filters.search) {
       conditions.push(`(
         p.transaction_id LIKE ? OR
         p.equity_reference LIKE ? OR
+        p.receipt_number LIKE ? OR
+        p.payment_reference LIKE ? OR
         c.full_name LIKE ? OR
         c.account_number LIKE ?
       )`);
       const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+      params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
     }
 
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
@@ -192,9 +208,28 @@ async getCustomerPayments(customerId, page = 1, limit = 10) {
 
       const allocations = await executeQuery(allocationsQuery, [paymentId]);
 
+      let reversal = null;
+      if (payment[0].status === 'reversed') {
+        const reversals = await executeQuery(`
+          SELECT pr.*, a.full_name as reversed_by_name
+          FROM payment_reversals pr
+          LEFT JOIN admins a ON pr.reversed_by = a.id
+          WHERE pr.payment_id = ?
+        `, [paymentId]);
+        if (reversals.length > 0) {
+          reversal = {
+            ...reversals[0],
+            allocations: typeof reversals[0].allocations === 'string'
+              ? JSON.parse(reversals[0].allocations)
+              : reversals[0].allocations || []
+          };
+        }
+      }
+
       return {
         ...payment[0],
-        allocations
+        allocations,
+        reversal
       };
     } catch (error) {
       console.error('Error getting payment details:', error);
@@ -235,7 +270,10 @@ async getCustomerPayments(customerId, page = 1, limit = 10) {
           COUNT(CASE WHEN payment_method = 'equity_mpesa' THEN 1 END) as mpesa_payments,
           COUNT(CASE WHEN payment_method = 'equity_ussd' THEN 1 END) as ussd_payments,
           COUNT(CASE WHEN payment_method = 'equity_equitel' THEN 1 END) as equitel_payments,
-          COUNT(CASE WHEN payment_method = 'equity_app' THEN 1 END) as app_payments
+          COUNT(CASE WHEN payment_method = 'equity_app' THEN 1 END) as app_payments,
+          COUNT(CASE WHEN payment_method = 'cash' THEN 1 END) as cash_payments,
+          COUNT(CASE WHEN payment_method = 'cheque' THEN 1 END) as cheque_payments,
+          COUNT(CASE WHEN payment_method = 'bank_transfer' THEN 1 END) as bank_transfer_payments
         FROM payments 
         WHERE payment_date >= ${dateRange}
         GROUP BY period
@@ -259,7 +297,10 @@ async getCustomerPayments(customerId, page = 1, limit = 10) {
           mpesa: row.mpesa_payments,
           ussd: row.ussd_payments,
           equitel: row.equitel_payments,
-          app: row.app_payments
+          app: row.app_payments,
+          cash: row.cash_payments,
+          cheque: row.cheque_payments,
+          bank_transfer: row.bank_transfer_payments
         }
       }));
     } catch (error) {
@@ -267,6 +308,341 @@ async getCustomerPayments(customerId, page = 1, limit = 10) {
       throw error;
     }
   }
+
+  /**
+   * Issue the next receipt number in a series, e.g. RCT-000042.
+   * LAST_INSERT_ID(expr) keeps the increment and read on one connection.
+   */
+  async generateReceiptNumber(series = 'manual') {
+    try {
+      const prefixResult = await executeQuery(
+        "SELECT setting_value FROM system_settings WHERE setting_key = 'receipt_number_prefix'"
+      );
+      const prefix = prefixResult.length > 0 && prefixResult[0].setting_value
+        ? prefixResult[0].setting_value
+        : 'RCT';
+
+      const results = await executeTransaction([
+        {
+          query: 'UPDATE receipt_sequence SET last_number = LAST_INSERT_ID(last_number + 1) WHERE series = ?',
+          params: [series]
+        },
+        { query: 'SELECT LAST_INSERT_ID() as next_number', params: [] }
+      ]);
+
+      if (results[0].affectedRows === 0) {
+        throw new Error(`Receipt series '${series}' is not configured`);
+      }
+
+      return `${prefix}-${String(results[1][0].next_number).padStart(6, '0')}`;
+    } catch (error) {
+      console.error('Error generating receipt number:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a cash, cheque or bank transfer payment collected by an admin.
+   * The receipt number doubles as the transaction ID; allocation is left
+   * to the caller so it runs through the same logic as Equity callbacks.
+   */
+  async recordManualPayment(data) {
+    try {
+      const {
+        customerId,
+        amount,
+        paymentMethod,
+        paymentDate = null,
+        paymentReference = null,
+        phoneNumber = null,
+        notes = null,
+        processedBy = null
+      } = data;
+
+      if (paymentReference) {
+        const duplicate = await executeQuery(
+          `SELECT receipt_number FROM payments
+           WHERE payment_method = ? AND payment_reference = ? AND status = 'completed'
+           LIMIT 1`,
+          [paymentMethod, paymentReference]
+        );
+        if (duplicate.length > 0) {
+          throw new Error(`A payment with reference ${paymentReference} is already recorded (receipt ${duplicate[0].receipt_number})`);
+        }
+      }
+
+      const receiptNumber = await this.generateReceiptNumber();
+      const paidAt = paymentDate ? moment(paymentDate).toDate() : new Date();
+
+      const result = await executeQuery(`
+        INSERT INTO payments (
+          customer_id, transaction_id, receipt_number, payment_method, amount, payment_date,
+          status, payment_reference, phone_number, notes, processed_by
+        ) VALUES (?, ?, ?, ?, ?, ?, 'completed', ?, ?, ?, ?)
+      `, [
+        customerId,
+        receiptNumber,
+        receiptNumber,
+        paymentMethod,
+        amount,
+        paidAt,
+        paymentReference,
+        phoneNumber,
+        notes,
+        processedBy
+      ]);
+
+      await Ledger.recordPayment({
+        id: result.insertId,
+        customer_id: customerId,
+        amount,
+        payment_date: paidAt,
+        description: `${this.MANUAL_METHOD_LABELS[paymentMethod]} payment, receipt ${receiptNumber}`
+      }, {
+        account: paymentMethod === 'cash' ? Ledger.ACCOUNTS.CASH : Ledger.ACCOUNTS.BANK,
+        createdBy: processedBy
+      });
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error recording manual payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reverse a completed payment
+   * Unwinds its allocations, reopens the bills, fines and contributions it
+   * settled, posts a ledger reversal and records the audit trail, all in one
+   * transaction.
+   */
+  async reversePayment(paymentId, options = {}) {
+    try {
+      const {
+        reason,
+        reversedBy = null,
+        source = 'admin',
+        externalReference = null
+      } = options;
+
+      if (!reason || String(reason).trim() === '') {
+        throw new Error('A reason is required to reverse a payment');
+      }
+
+      const payment = await this.findById(paymentId);
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.status === 'reversed') {
+        throw new Error('Payment has already been reversed');
+      }
+
+      if (payment.status !== 'completed') {
+        throw new Error(`Only completed payments can be reversed (payment is ${payment.status})`);
+      }
+
+      const allocations = await executeQuery(
+        'SELECT * FROM payment_allocations WHERE payment_id = ? ORDER BY id ASC',
+        [paymentId]
+      );
+
+      // Everything the reversal depends on is read up front so the writes below
+      // can be applied, or rolled back, together
+      const reopened = { bills: [], fines: [], contributions: [] };
+      const unmatched = [];
+      const queries = [];
+      const billsById = new Map();
+
+      for (const allocation of allocations) {
+        const amount = parseFloat(allocation.amount);
+
+        if (allocation.allocation_type === 'bill_payment' && allocation.bill_id) {
+          if (!billsById.has(allocation.bill_id)) {
+            const bill = await Bill.findById(allocation.bill_id);
+            if (!bill) {
+              throw new Error('Bill not found');
+            }
+            billsById.set(allocation.bill_id, { bill, amount: 0 });
+          }
+          billsById.get(allocation.bill_id).amount += amount;
+        } else if (allocation.allocation_type === 'fine' && allocation.fine_id) {
+          queries.push({
+            query: "UPDATE applied_fines SET status = 'pending' WHERE id = ? AND status = 'paid'",
+            params: [allocation.fine_id]
+          });
+          reopened.fines.push({ fine_id: allocation.fine_id, amount });
+        } else if (allocation.allocation_type === 'contribution' && allocation.contribution_id) {
+          const contributions = await executeQuery(
+            'SELECT id, amount_paid, due_date FROM contributions WHERE id = ?',
+            [allocation.contribution_id]
+          );
+
+          if (contributions.length > 0) {
+            const contribution = contributions[0];
+            const newPaid = Math.max(0, Math.round((parseFloat(contribution.amount_paid) - amount) * 100) / 100);
+            let newStatus = 'partial';
+            if (newPaid <= 0) {
+              newStatus = moment(contribution.due_date).isBefore(moment(), 'day') ? 'overdue' : 'pending';
+            }
+
+            queries.push({
+              query: 'UPDATE contributions SET amount_paid = ?, status = ?, completed_at = NULL WHERE id = ?',
+              params: [newPaid, newStatus, contribution.id]
+            });
+            reopened.contributions.push({ contribution_id: contribution.id, amount, new_status: newStatus });
+          }
+        } else if (allocation.allocation_type !== 'advance') {
+          // Allocations made before fines/contributions were linked cannot be traced to a record
+          unmatched.push({ allocation_id: allocation.id, type: allocation.allocation_type, amount });
+        }
+      }
+
+      // Several allocations to one bill are taken off in a single update
+      for (const [billId, { bill, amount }] of billsById) {
+        const update = Bill.paymentUpdate(bill, -amount);
+        queries.push(update);
+        reopened.bills.push({ bill_id: billId, amount, new_status: update.result.new_status });
+      }
+
+      const ledgerRows = Ledger.entryRows([await Ledger.paymentReversalEntry(payment, reason, reversedBy)]);
+
+      queries.push({ query: 'DELETE FROM payment_allocations WHERE payment_id = ?', params: [paymentId] });
+
+      queries.push({
+        query: `UPDATE payments
+         SET status = 'reversed', notes = CONCAT(COALESCE(notes, ''), ?), updated_at = NOW()
+         WHERE id = ?`,
+        params: [`${payment.notes ? '\n' : ''}Reversed: ${reason}`, paymentId]
+      });
+
+      if (ledgerRows.length > 0) {
+        queries.push(Ledger.bulkInsertQuery(ledgerRows));
+      }
+
+      queries.push({
+        query: `INSERT INTO payment_reversals
+         (payment_id, customer_id, amount, reason, source, external_reference, allocations, reversed_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        params: [
+          paymentId,
+          payment.customer_id,
+          payment.amount,
+          reason,
+          source,
+          externalReference,
+          JSON.stringify(allocations.map(allocation => ({
+            id: allocation.id,
+            allocation_type: allocation.allocation_type,
+            bill_id: allocation.bill_id,
+            fine_id: allocation.fine_id,
+            contribution_id: allocation.contribution_id,
+            amount: parseFloat(allocation.amount),
+            notes: allocation.notes
+          }))),
+          reversedBy
+        ]
+      });
+
+      const results = await executeTransaction(queries);
+      const reversalResult = results[results.length - 1];
+
+      return {
+        reversal_id: reversalResult.insertId,
+        payment_id: paymentId,
+        customer_id: payment.customer_id,
+        transaction_id: payment.transaction_id,
+        amount: parseFloat(payment.amount),
+        reason,
+        source,
+        reopened,
+        unmatched_allocations: unmatched
+      };
+    } catch (error) {
+      console.error('Error reversing payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a reversal's customer notification as sent
+   */
+  async markReversalNotified(reversalId) {
+    try {
+      await executeQuery('UPDATE payment_reversals SET notification_sent = TRUE WHERE id = ?', [reversalId]);
+    } catch (error) {
+      console.error('Error updating reversal notification status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reversal history with pagination
+   */
+  async getReversals(page = 1, limit = 20, filters = {}) {
+    try {
+      const pageInt = parseInt(page);
+      const limitInt = parseInt(limit);
+      const offset = (pageInt - 1) * limitInt;
+
+      const conditions = [];
+      const params = [];
+
+      if (filters.customer_id) {
+        conditions.push('pr.customer_id = ?');
+        params.push(parseInt(filters.customer_id));
+      }
+
+      if (filters.source) {
+        conditions.push('pr.source = ?');
+        params.push(filters.source);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const reversals = await executeQuery(`
+        SELECT
+          pr.*,
+          p.transaction_id,
+          p.payment_method,
+          p.payment_date,
+          c.account_number,
+          c.full_name as customer_name,
+          a.full_name as reversed_by_name
+        FROM payment_reversals pr
+        INNER JOIN payments p ON pr.payment_id = p.id
+        INNER JOIN customers c ON pr.customer_id = c.id
+        LEFT JOIN admins a ON pr.reversed_by = a.id
+        ${whereClause}
+        ORDER BY pr.created_at DESC
+        LIMIT ${limitInt} OFFSET ${offset}
+      `, params);
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM payment_reversals pr ${whereClause}`,
+        params
+      );
+      const total = countResult[0].total;
+
+      return {
+        reversals: reversals.map(reversal => ({
+          ...reversal,
+          allocations: typeof reversal.allocations === 'string'
+            ? JSON.parse(reversal.allocations)
+            : reversal.allocations || []
+        })),
+        pagination: {
+          current_page: pageInt,
+          per_page: limitInt,
+          total,
+          total_pages: Math.ceil(total / limitInt)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting payment reversals:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new Payment();
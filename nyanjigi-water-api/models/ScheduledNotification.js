@@ -0,0 +1,334 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+const moment = require('moment');
+
+// Days since the oldest unpaid bill fell due
+const ARREARS_BUCKETS = {
+  current: 'arrears.days_overdue IS NULL',
+  '1_30': 'arrears.days_overdue BETWEEN 1 AND 30',
+  '31_60': 'arrears.days_overdue BETWEEN 31 AND 60',
+  '61_90': 'arrears.days_overdue BETWEEN 61 AND 90',
+  '90_plus': 'arrears.days_overdue > 90'
+};
+
+const RECURRENCE_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+/**
+ * Scheduled Notification Model - One-off and recurring announcement campaigns
+ */
+class ScheduledNotification extends BaseModel {
+  constructor() {
+    super('scheduled_notifications');
+  }
+
+  // JSON columns may come back as strings depending on the driver settings
+  parseJson(value) {
+    if (!value) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  formatCampaign(row) {
+    return {
+      ...row,
+      audience: this.parseJson(row.audience) || {},
+      result: this.parseJson(row.result)
+    };
+  }
+
+  normalizeAudience(audience = {}) {
+    return {
+      zones: audience.zones || [],
+      customer_types: audience.customer_types || [],
+      arrears_buckets: audience.arrears_buckets || []
+    };
+  }
+
+  async getCampaigns({ status = null, page = 1, limit = 20 } = {}) {
+    try {
+      const pageInt = parseInt(page);
+      const limitInt = parseInt(limit);
+      const offset = (pageInt - 1) * limitInt;
+
+      const where = status ? 'WHERE sn.status = ?' : '';
+      const params = status ? [status] : [];
+
+      const campaigns = await executeQuery(`
+        SELECT sn.*, a.full_name as created_by_name
+        FROM scheduled_notifications sn
+        LEFT JOIN admins a ON sn.created_by = a.id
+        ${where}
+        ORDER BY sn.scheduled_time DESC
+        LIMIT ${limitInt} OFFSET ${offset}
+      `, params);
+
+      const countResult = await executeQuery(`SELECT COUNT(*) as total FROM scheduled_notifications sn ${where}`, params);
+      const total = countResult[0].total;
+
+      return {
+        campaigns: campaigns.map(row => this.formatCampaign(row)),
+        pagination: {
+          current_page: pageInt,
+          per_page: limitInt,
+          total,
+          total_pages: Math.ceil(total / limitInt)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting scheduled notifications:', error);
+      throw error;
+    }
+  }
+
+  async getCampaign(id) {
+    try {
+      const campaign = await this.findById(id);
+      return campaign ? this.formatCampaign(campaign) : null;
+    } catch (error) {
+      console.error('Error getting scheduled notification:', error);
+      throw error;
+    }
+  }
+
+  async createCampaign(data, adminId) {
+    try {
+      const result = await executeQuery(`
+        INSERT INTO scheduled_notifications
+          (title, message, email_subject, channel, audience, scheduled_time, recurrence, recurrence_end_date, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        data.title,
+        data.message,
+        data.email_subject || null,
+        data.channel || 'sms',
+        JSON.stringify(this.normalizeAudience(data.audience)),
+        moment(data.scheduled_time).format('YYYY-MM-DD HH:mm:ss'),
+        data.recurrence || 'none',
+        data.recurrence_end_date || null,
+        adminId || null
+      ]);
+
+      return this.getCampaign(result.insertId);
+    } catch (error) {
+      console.error('Error creating scheduled notification:', error);
+      throw error;
+    }
+  }
+
+  // Only campaigns that are still pending can be edited
+  async updateCampaign(id, data) {
+    try {
+      const campaign = await this.getCampaign(id);
+      if (!campaign) {
+        return null;
+      }
+      if (campaign.status !== 'pending') {
+        throw new Error(`Campaign is already ${campaign.status} and can no longer be edited`);
+      }
+
+      const fields = ['title', 'message', 'email_subject', 'channel', 'recurrence', 'recurrence_end_date'];
+      const updates = [];
+      const params = [];
+
+      fields.forEach(field => {
+        if (data[field] !== undefined) {
+          updates.push(`${field} = ?`);
+          params.push(data[field] === '' ? null : data[field]);
+        }
+      });
+      if (data.audience !== undefined) {
+        updates.push('audience = ?');
+        params.push(JSON.stringify(this.normalizeAudience(data.audience)));
+      }
+      if (data.scheduled_time !== undefined) {
+        updates.push('scheduled_time = ?');
+        params.push(moment(data.scheduled_time).format('YYYY-MM-DD HH:mm:ss'));
+      }
+
+      if (updates.length > 0) {
+        await executeQuery(`
+          UPDATE scheduled_notifications SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?
+        `, [...params, id]);
+      }
+
+      return this.getCampaign(id);
+    } catch (error) {
+      console.error('Error updating scheduled notification:', error);
+      throw error;
+    }
+  }
+
+  async cancelCampaign(id) {
+    try {
+      const result = await executeQuery(`
+        UPDATE scheduled_notifications
+        SET status = 'cancelled', updated_at = NOW()
+        WHERE id = ? AND status = 'pending'
+      `, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error cancelling scheduled notification:', error);
+      throw error;
+    }
+  }
+
+  // Active customers matching the audience filters, with their outstanding balance
+  async getAudience(audience = {}) {
+    try {
+      const { zones, customer_types: customerTypes, arrears_buckets: buckets } = this.normalizeAudience(audience);
+      const conditions = ['c.is_active = TRUE'];
+      const params = [];
+
+      if (zones.length > 0) {
+        conditions.push(`c.zone IN (${zones.map(() => '?').join(',')})`);
+        params.push(...zones);
+      }
+      if (customerTypes.length > 0) {
+        conditions.push(`c.customer_type IN (${customerTypes.map(() => '?').join(',')})`);
+        params.push(...customerTypes);
+      }
+      const bucketConditions = buckets.filter(bucket => ARREARS_BUCKETS[bucket]).map(bucket => ARREARS_BUCKETS[bucket]);
+      if (bucketConditions.length > 0) {
+        conditions.push(`(${bucketConditions.join(' OR ')})`);
+      }
+
+      return await executeQuery(`
+        SELECT
+          c.id, c.account_number, c.full_name, c.phone, c.email, c.zone, c.customer_type,
+          COALESCE(arrears.balance, 0) as balance,
+          arrears.days_overdue
+        FROM customers c
+        LEFT JOIN (
+          SELECT
+            customer_id,
+            SUM(balance_due) as balance,
+            DATEDIFF(CURDATE(), MIN(CASE WHEN due_date < CURDATE() THEN due_date END)) as days_overdue
+          FROM bills
+          WHERE balance_due > 0
+          GROUP BY customer_id
+        ) arrears ON arrears.customer_id = c.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY c.account_number
+      `, params);
+    } catch (error) {
+      console.error('Error getting campaign audience:', error);
+      throw error;
+    }
+  }
+
+  async getDueCampaigns(limit = 10) {
+    try {
+      const campaigns = await executeQuery(`
+        SELECT * FROM scheduled_notifications
+        WHERE status = 'pending' AND scheduled_time <= NOW()
+        ORDER BY scheduled_time ASC
+        LIMIT ${parseInt(limit)}
+      `);
+      return campaigns.map(row => this.formatCampaign(row));
+    } catch (error) {
+      console.error('Error getting due scheduled notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Next send time of a recurring campaign after `after`, or null when it has ended.
+   * Runs missed while the server was down are skipped rather than sent late in a burst.
+   */
+  nextOccurrence(campaign, after = moment()) {
+    const unit = RECURRENCE_UNITS[campaign.recurrence];
+    if (!unit) {
+      return null;
+    }
+
+    const first = moment(campaign.scheduled_time);
+    let next = first.clone();
+    for (let step = 1; !next.isAfter(after); step++) {
+      // Step from the first occurrence so monthly runs on the 31st do not drift
+      next = first.clone().add(step, unit);
+    }
+
+    if (campaign.recurrence_end_date && next.isAfter(moment(campaign.recurrence_end_date).endOf('day'))) {
+      return null;
+    }
+    return next;
+  }
+
+  // Record a run; recurring campaigns move on to their next occurrence
+  async recordRun(campaign, status, result) {
+    try {
+      const next = status === 'sent' ? this.nextOccurrence(campaign) : null;
+
+      await executeQuery(`
+        UPDATE scheduled_notifications
+        SET status = ?,
+            scheduled_time = COALESCE(?, scheduled_time),
+            run_count = run_count + 1,
+            last_run_at = NOW(),
+            processed_at = NOW(),
+            result = ?
+        WHERE id = ?
+      `, [
+        next ? 'pending' : status,
+        next ? next.format('YYYY-MM-DD HH:mm:ss') : null,
+        JSON.stringify(result),
+        campaign.id
+      ]);
+    } catch (error) {
+      console.error('Error recording scheduled notification run:', error);
+      throw error;
+    }
+  }
+
+  // Campaign occurrences between two dates for the calendar, recurring campaigns expanded
+  async getCalendar(from, to) {
+    try {
+      const start = moment(from).startOf('day');
+      const end = moment(to).endOf('day');
+
+      const campaigns = await executeQuery(`
+        SELECT id, title, channel, recurrence, recurrence_end_date, scheduled_time, status, last_run_at
+        FROM scheduled_notifications
+        WHERE status != 'cancelled'
+        AND scheduled_time <= ?
+        AND (
+          (recurrence = 'none' AND scheduled_time >= ?)
+          OR (recurrence != 'none' AND status = 'pending' AND (recurrence_end_date IS NULL OR recurrence_end_date >= ?))
+        )
+        ORDER BY scheduled_time ASC
+      `, [end.format('YYYY-MM-DD HH:mm:ss'), start.format('YYYY-MM-DD HH:mm:ss'), start.format('YYYY-MM-DD')]);
+
+      const occurrences = [];
+      campaigns.forEach(campaign => {
+        const unit = RECURRENCE_UNITS[campaign.recurrence];
+        const first = moment(campaign.scheduled_time);
+        const last = campaign.recurrence_end_date ? moment(campaign.recurrence_end_date).endOf('day') : end;
+
+        for (let step = 0, time = first.clone(); !time.isAfter(end) && !time.isAfter(last); step++) {
+          if (!time.isBefore(start)) {
+            occurrences.push({
+              campaign_id: campaign.id,
+              title: campaign.title,
+              channel: campaign.channel,
+              recurrence: campaign.recurrence,
+              status: campaign.status,
+              scheduled_time: time.format('YYYY-MM-DD HH:mm:ss')
+            });
+          }
+          if (!unit) break;
+          time = first.clone().add(step + 1, unit);
+        }
+      });
+
+      return occurrences.sort((a, b) => a.scheduled_time.localeCompare(b.scheduled_time));
+    } catch (error) {
+      console.error('Error getting scheduled notification calendar:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ScheduledNotification();
@@ -0,0 +1,314 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+const StatementParser = require('../utils/statement');
+
+/**
+ * Statement Reconciliation Model - Equity statement imports matched against callbacks
+ */
+class StatementReconciliation extends BaseModel {
+  constructor() {
+    super('statement_imports');
+  }
+
+  // Find the payments and suspense entries recorded for a set of Equity references
+  async findCallbacksByReference(references) {
+    try {
+      const payments = new Map();
+      const suspense = new Map();
+
+      if (!references || references.length === 0) {
+        return { payments, suspense };
+      }
+
+      const placeholders = references.map(() => '?').join(',');
+
+      const paymentRows = await executeQuery(`
+        SELECT id, transaction_id, equity_reference, amount, status
+        FROM payments
+        WHERE equity_reference IN (${placeholders})
+        OR transaction_id IN (${placeholders})
+      `, [...references, ...references.map(reference => `EQ-${reference}`)]);
+
+      paymentRows.forEach(payment => {
+        const reference = payment.equity_reference || payment.transaction_id.replace(/^EQ-/, '');
+        payments.set(reference, payment);
+      });
+
+      const suspenseRows = await executeQuery(`
+        SELECT id, transaction_id, amount, status
+        FROM suspense_payments
+        WHERE transaction_id IN (${placeholders})
+        AND payment_id IS NULL
+      `, references);
+
+      suspenseRows.forEach(row => suspense.set(row.transaction_id, row));
+
+      return { payments, suspense };
+    } catch (error) {
+      console.error('Error finding callbacks by reference:', error);
+      throw error;
+    }
+  }
+
+  // Work out how a statement line relates to the callbacks we received
+  classifyLine(line, callbacks) {
+    const payment = line.reference ? callbacks.payments.get(line.reference) : null;
+    const suspense = !payment && line.reference ? callbacks.suspense.get(line.reference) : null;
+    const callback = payment || suspense;
+
+    if (!callback) {
+      return { match_status: 'missed', payment_id: null, suspense_id: null, callback_amount: null };
+    }
+
+    const callbackAmount = parseFloat(callback.amount);
+    return {
+      match_status: Math.abs(callbackAmount - line.amount) < 0.01 ? 'matched' : 'amount_mismatch',
+      payment_id: payment ? payment.id : null,
+      suspense_id: suspense ? suspense.id : null,
+      callback_amount: callbackAmount
+    };
+  }
+
+  /**
+   * Store a parsed statement and match each credit line against
+   * payments.equity_reference (and unassigned suspense payments)
+   */
+  async createImport({ fileName, format, bankAccount, entries, importedBy }) {
+    try {
+      const credits = entries.filter(entry => entry.direction === 'credit');
+      if (credits.length === 0) {
+        throw new Error('Statement contains no credit lines');
+      }
+
+      const dates = credits.map(entry => entry.transaction_date).sort();
+      const references = [...new Set(credits.map(entry => entry.reference).filter(Boolean))];
+      const callbacks = await this.findCallbacksByReference(references);
+      const totalCredits = credits.reduce((sum, entry) => sum + entry.amount, 0);
+
+      const importResult = await executeQuery(`
+        INSERT INTO statement_imports (
+          file_name, format, bank_account, period_start, period_end,
+          credit_lines, total_credits, skipped_lines, imported_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        fileName || null,
+        format,
+        bankAccount || null,
+        dates[0],
+        dates[dates.length - 1],
+        credits.length,
+        Math.round(totalCredits * 100) / 100,
+        entries.length - credits.length,
+        importedBy || null
+      ]);
+
+      const importId = importResult.insertId;
+
+      const rows = credits.map(entry => {
+        const match = this.classifyLine(entry, callbacks);
+        return [
+          importId,
+          entry.line_number,
+          entry.transaction_date,
+          entry.reference,
+          entry.narrative,
+          StatementParser.extractMemberNumber(entry.narrative),
+          entry.amount,
+          match.match_status,
+          match.payment_id,
+          match.suspense_id,
+          match.callback_amount
+        ];
+      });
+
+      await executeQuery(`
+        INSERT INTO statement_lines (
+          import_id, line_number, transaction_date, reference, narrative, member_number,
+          amount, match_status, payment_id, suspense_id, callback_amount
+        ) VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+      `, rows.flat());
+
+      return await this.getReport(importId);
+    } catch (error) {
+      console.error('Error importing statement:', error);
+      throw error;
+    }
+  }
+
+  // Get statement imports with match counts
+  async getImports(page = 1, limit = 20) {
+    try {
+      const pageInt = parseInt(page);
+      const limitInt = parseInt(limit);
+      const offset = (pageInt - 1) * limitInt;
+
+      const imports = await executeQuery(`
+        SELECT
+          si.*,
+          a.full_name as imported_by_name,
+          SUM(sl.match_status = 'matched') as matched_count,
+          SUM(sl.match_status = 'missed') as missed_count,
+          SUM(sl.match_status = 'amount_mismatch') as mismatch_count,
+          SUM(sl.match_status = 'imported') as imported_count
+        FROM statement_imports si
+        LEFT JOIN statement_lines sl ON sl.import_id = si.id
+        LEFT JOIN admins a ON si.imported_by = a.id
+        GROUP BY si.id
+        ORDER BY si.created_at DESC
+        LIMIT ${limitInt} OFFSET ${offset}
+      `);
+
+      const countResult = await executeQuery('SELECT COUNT(*) as total FROM statement_imports');
+      const total = countResult[0].total;
+
+      return {
+        imports: imports.map(row => ({
+          ...row,
+          matched_count: parseInt(row.matched_count) || 0,
+          missed_count: parseInt(row.missed_count) || 0,
+          mismatch_count: parseInt(row.mismatch_count) || 0,
+          imported_count: parseInt(row.imported_count) || 0
+        })),
+        pagination: {
+          current_page: pageInt,
+          per_page: limitInt,
+          total,
+          total_pages: Math.ceil(total / limitInt)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting statement imports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconciliation report for an import: matched lines, bank lines with no
+   * callback, callbacks with no bank line and amount mismatches
+   */
+  async getReport(importId) {
+    try {
+      const statementImport = await this.findById(importId);
+      if (!statementImport) {
+        return null;
+      }
+
+      const lines = await executeQuery(`
+        SELECT
+          sl.*,
+          p.transaction_id as payment_transaction_id,
+          p.status as payment_status,
+          c.account_number,
+          c.full_name as customer_name
+        FROM statement_lines sl
+        LEFT JOIN payments p ON sl.payment_id = p.id
+        LEFT JOIN customers c ON p.customer_id = c.id
+        WHERE sl.import_id = ?
+        ORDER BY sl.line_number
+      `, [importId]);
+
+      // Callbacks in the statement period that no line of this statement accounts for
+      const unmatchedCallbacks = await executeQuery(`
+        SELECT
+          'payment' as source, p.id, p.transaction_id, p.equity_reference as reference,
+          p.amount, p.payment_date, p.status, c.account_number, c.full_name as customer_name
+        FROM payments p
+        INNER JOIN customers c ON p.customer_id = c.id
+        WHERE p.equity_reference IS NOT NULL
+        AND p.payment_method LIKE 'equity_%'
+        AND DATE(p.payment_date) BETWEEN ? AND ?
+        AND NOT EXISTS (
+          SELECT 1 FROM statement_lines sl WHERE sl.import_id = ? AND sl.payment_id = p.id
+        )
+        UNION ALL
+        SELECT
+          'suspense' as source, sp.id, sp.transaction_id, sp.transaction_id as reference,
+          sp.amount, sp.payment_date, sp.status, sp.member_number as account_number, sp.payer_name as customer_name
+        FROM suspense_payments sp
+        WHERE sp.payment_id IS NULL
+        AND sp.status = 'unmatched'
+        AND DATE(sp.payment_date) BETWEEN ? AND ?
+        AND NOT EXISTS (
+          SELECT 1 FROM statement_lines sl WHERE sl.import_id = ? AND sl.suspense_id = sp.id
+        )
+        ORDER BY payment_date
+      `, [
+        statementImport.period_start, statementImport.period_end, importId,
+        statementImport.period_start, statementImport.period_end, importId
+      ]);
+
+      const byStatus = status => lines.filter(line => line.match_status === status);
+      const matched = lines.filter(line => line.match_status === 'matched' || line.match_status === 'imported');
+      const missed = byStatus('missed');
+      const mismatches = byStatus('amount_mismatch');
+      const sum = rows => Math.round(rows.reduce((total, row) => total + parseFloat(row.amount), 0) * 100) / 100;
+
+      return {
+        import: statementImport,
+        summary: {
+          matched_count: matched.length,
+          matched_amount: sum(matched),
+          missed_count: missed.length,
+          missed_amount: sum(missed),
+          unmatched_callback_count: unmatchedCallbacks.length,
+          unmatched_callback_amount: sum(unmatchedCallbacks),
+          mismatch_count: mismatches.length,
+          mismatch_difference: Math.round(mismatches.reduce(
+            (total, line) => total + parseFloat(line.amount) - parseFloat(line.callback_amount), 0
+          ) * 100) / 100
+        },
+        matched,
+        missed,
+        unmatched_callbacks: unmatchedCallbacks,
+        amount_mismatches: mismatches
+      };
+    } catch (error) {
+      console.error('Error getting reconciliation report:', error);
+      throw error;
+    }
+  }
+
+  // Get a single statement line
+  async getLine(importId, lineId) {
+    try {
+      const result = await executeQuery(
+        'SELECT * FROM statement_lines WHERE id = ? AND import_id = ?',
+        [lineId, importId]
+      );
+      return result[0] || null;
+    } catch (error) {
+      console.error('Error getting statement line:', error);
+      throw error;
+    }
+  }
+
+  // Get the missed lines of an import
+  async getMissedLines(importId) {
+    try {
+      return await executeQuery(
+        "SELECT * FROM statement_lines WHERE import_id = ? AND match_status = 'missed' ORDER BY line_number",
+        [importId]
+      );
+    } catch (error) {
+      console.error('Error getting missed statement lines:', error);
+      throw error;
+    }
+  }
+
+  // Record what a statement line now matches
+  async resolveLine(lineId, { matchStatus, paymentId = null, suspenseId = null, callbackAmount = null, importedBy = null }) {
+    try {
+      await executeQuery(`
+        UPDATE statement_lines
+        SET match_status = ?, payment_id = ?, suspense_id = ?, callback_amount = ?,
+            imported_by = ?, imported_at = IF(? = 'imported', NOW(), imported_at)
+        WHERE id = ?
+      `, [matchStatus, paymentId, suspenseId, callbackAmount, importedBy, matchStatus, lineId]);
+    } catch (error) {
+      console.error('Error resolving statement line:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StatementReconciliation();
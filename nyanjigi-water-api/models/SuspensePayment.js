@@ -0,0 +1,251 @@
+const BaseModel = require('./BaseModel');
+const { executeQuery } = require('../config/database');
+const moment = require('moment');
+const Ledger = require('./Ledger');
+const MatchingUtils = require('../utils/matching');
+
+/**
+ * Suspense Payment Model - Equity payments that matched no customer
+ */
+class SuspensePayment extends BaseModel {
+  constructor() {
+    super('suspense_payments');
+  }
+
+  // Park an unmatched Equity callback. Resent callbacks leave the existing row untouched.
+  async recordUnmatched(callbackData) {
+    try {
+      const paymentDate = moment(callbackData.timestamp).isValid()
+        ? moment(callbackData.timestamp).toDate()
+        : new Date();
+
+      await executeQuery(`
+        INSERT INTO suspense_payments (
+          transaction_id, member_number, payer_name, phone_number, payment_method,
+          reference_type, amount, payment_date, narrative, callback_data
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE id = id
+      `, [
+        callbackData.transaction_id,
+        callbackData.member_number || null,
+        callbackData.customer_name || null,
+        callbackData.phone || null,
+        callbackData.payment_method,
+        callbackData.reference_type || 'general',
+        parseFloat(callbackData.amount),
+        paymentDate,
+        callbackData.narrative || null,
+        JSON.stringify(callbackData)
+      ]);
+
+      return await this.findByTransactionId(callbackData.transaction_id);
+    } catch (error) {
+      console.error('Error recording suspense payment:', error);
+      throw error;
+    }
+  }
+
+  // Get suspense payment by Equity transaction ID
+  async findByTransactionId(transactionId) {
+    try {
+      const result = await executeQuery(
+        'SELECT * FROM suspense_payments WHERE transaction_id = ? LIMIT 1',
+        [transactionId]
+      );
+      return result[0] || null;
+    } catch (error) {
+      console.error('Error finding suspense payment:', error);
+      throw error;
+    }
+  }
+
+  // Get suspense payments with pagination and filters
+  async getSuspensePayments(page = 1, limit = 20, filters = {}) {
+    try {
+      const pageInt = parseInt(page);
+      const limitInt = parseInt(limit);
+      const offset = (pageInt - 1) * limitInt;
+
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        conditions.push('sp.status = ?');
+        params.push(filters.status);
+      }
+
+      if (filters.search) {
+        conditions.push('(sp.transaction_id LIKE ? OR sp.member_number LIKE ? OR sp.payer_name LIKE ? OR sp.phone_number LIKE ?)');
+        const searchTerm = `%${filters.search}%`;
+        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const payments = await executeQuery(`
+        SELECT
+          sp.id, sp.transaction_id, sp.member_number, sp.payer_name, sp.phone_number,
+          sp.payment_method, sp.reference_type, sp.amount, sp.payment_date, sp.narrative,
+          sp.status, sp.customer_id, sp.payment_id, sp.assigned_at, sp.notes, sp.created_at,
+          c.account_number,
+          c.full_name as customer_name,
+          a.full_name as assigned_by_name
+        FROM suspense_payments sp
+        LEFT JOIN customers c ON sp.customer_id = c.id
+        LEFT JOIN admins a ON sp.assigned_by = a.id
+        ${whereClause}
+        ORDER BY sp.payment_date DESC
+        LIMIT ${limitInt} OFFSET ${offset}
+      `, params);
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM suspense_payments sp ${whereClause}`,
+        params
+      );
+      const total = countResult[0].total;
+
+      const summary = await executeQuery(`
+        SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as amount
+        FROM suspense_payments
+        WHERE status = 'unmatched'
+      `);
+
+      return {
+        payments,
+        summary: {
+          unmatched_count: summary[0].count,
+          unmatched_amount: parseFloat(summary[0].amount)
+        },
+        pagination: {
+          current_page: pageInt,
+          per_page: limitInt,
+          total,
+          total_pages: Math.ceil(total / limitInt)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting suspense payments:', error);
+      throw error;
+    }
+  }
+
+  // Rank customers by how closely they match what the payer entered
+  async findCandidates(suspensePayment, limit = 5) {
+    try {
+      const customers = await executeQuery(`
+        SELECT id, account_number, full_name, phone, zone, is_active
+        FROM customers
+      `);
+
+      return customers
+        .map(customer => ({
+          ...customer,
+          ...MatchingUtils.scoreCandidate(suspensePayment, customer)
+        }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score || b.is_active - a.is_active)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error finding suspense payment candidates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a suspense payment to a customer.
+   * Creates the payment and credits the ledger; allocation is left to the caller.
+   */
+  async assignToCustomer(suspenseId, customerId, options = {}) {
+    const { assignedBy = null, notes = null } = options;
+
+    try {
+      // Claim the row first so two admins can't assign the same money twice
+      const claim = await executeQuery(`
+        UPDATE suspense_payments
+        SET status = 'assigned', customer_id = ?, assigned_by = ?, assigned_at = NOW(), notes = ?
+        WHERE id = ? AND status = 'unmatched'
+      `, [customerId, assignedBy, notes, suspenseId]);
+
+      if (claim.affectedRows === 0) {
+        const existing = await this.findById(suspenseId);
+        if (!existing) {
+          throw new Error('Suspense payment not found');
+        }
+        throw new Error(`Suspense payment is already ${existing.status}`);
+      }
+
+      const suspense = await this.findById(suspenseId);
+      const transactionId = `EQ-${suspense.transaction_id}`;
+
+      let paymentId;
+      try {
+        const insertResult = await executeQuery(`
+          INSERT INTO payments (
+            customer_id, transaction_id, equity_reference, equity_member_number, phone_number,
+            payment_method, amount, payment_date, status, equity_callback_response, notes, processed_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'completed', ?, ?, ?)
+        `, [
+          customerId,
+          transactionId,
+          suspense.transaction_id,
+          suspense.member_number,
+          suspense.phone_number,
+          `equity_${suspense.payment_method}`,
+          suspense.amount,
+          suspense.payment_date,
+          typeof suspense.callback_data === 'string' ? suspense.callback_data : JSON.stringify(suspense.callback_data),
+          `Assigned from suspense (entered account: ${suspense.member_number || 'none'})${notes ? ` - ${notes}` : ''}`,
+          assignedBy
+        ]);
+        paymentId = insertResult.insertId;
+      } catch (error) {
+        // Release the claim so the payment can be assigned again
+        await executeQuery(`
+          UPDATE suspense_payments
+          SET status = 'unmatched', customer_id = NULL, assigned_by = NULL, assigned_at = NULL
+          WHERE id = ?
+        `, [suspenseId]);
+        throw error;
+      }
+
+      await Ledger.recordPayment({
+        id: paymentId,
+        customer_id: customerId,
+        amount: parseFloat(suspense.amount),
+        payment_date: suspense.payment_date,
+        transaction_id: transactionId
+      }, { createdBy: assignedBy });
+
+      await executeQuery('UPDATE suspense_payments SET payment_id = ? WHERE id = ?', [paymentId, suspenseId]);
+
+      return {
+        suspense_id: suspense.id,
+        payment_id: paymentId,
+        customer_id: customerId,
+        transaction_id: transactionId,
+        amount: parseFloat(suspense.amount),
+        reference_type: suspense.reference_type
+      };
+    } catch (error) {
+      console.error('Error assigning suspense payment:', error);
+      throw error;
+    }
+  }
+
+  // Equity pulled back a payment that was never assigned
+  async markReversed(transactionId, reason) {
+    try {
+      const result = await executeQuery(`
+        UPDATE suspense_payments
+        SET status = 'reversed', notes = ?
+        WHERE transaction_id = ? AND status = 'unmatched'
+      `, [reason, transactionId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error reversing suspense payment:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SuspensePayment();
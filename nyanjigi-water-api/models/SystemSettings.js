@@ -1,5 +1,10 @@
 const BaseModel = require('./BaseModel');
 const { executeQuery } = require('../config/database');
+const AuditLog = require('./AuditLog');
+const { ROLES } = require('../utils/permissions');
+
+// Settings whose values never appear in the audit trail
+const SECRET_SETTING_PATTERN = /(secret|password|_key)$/;
 
 /**
  * System Settings Model - Manages application configuration
@@ -7,6 +12,15 @@ const { executeQuery } = require('../config/database');
 class SystemSettings extends BaseModel {
   constructor() {
     super('system_settings');
+
+    // Payment allocation policies and the order each settles outstanding items in
+    this.ALLOCATION_POLICIES = {
+      bills_first: ['bill', 'fine', 'contribution'],
+      fines_first: ['fine', 'bill', 'contribution'],
+      contributions_first: ['contribution', 'bill', 'fine'],
+      oldest_first: ['bill', 'fine', 'contribution'], // Type order only breaks ties on equal dates
+      contributions_split: ['bill', 'fine', 'contribution'] // Applied after the contribution share
+    };
   }
 
   // Get all settings as key-value pairs
@@ -74,10 +88,21 @@ class SystemSettings extends BaseModel {
     }
   }
 
-  // Update or create setting
-  async setSetting(key, value, description = null, category = 'general', updatedBy = null) {
+  // Audit copy of a setting row; secrets show only that they changed
+  auditValues(setting, previous = null) {
+    if (!setting || !SECRET_SETTING_PATTERN.test(setting.setting_key)) {
+      return setting;
+    }
+
+    const changed = !previous || previous.setting_value !== setting.setting_value;
+    return { ...setting, setting_value: changed ? '[changed]' : '[hidden]' };
+  }
+
+  // Update or create setting. The actor defaults to the admin in updatedBy.
+  async setSetting(key, value, description = null, category = 'general', updatedBy = null, actor = null) {
     try {
       const existingSetting = await this.findOne({ setting_key: key });
+      const auditActor = actor || (updatedBy ? { user_id: updatedBy, user_type: 'admin' } : null);
       
       if (existingSetting) {
         // Update existing setting
@@ -94,7 +119,17 @@ class SystemSettings extends BaseModel {
           updateData.category = category;
         }
 
-        return await this.update(existingSetting.id, updateData);
+        const updated = await this.update(existingSetting.id, updateData);
+
+        await AuditLog.record({
+          table_name: 'system_settings',
+          record_id: existingSetting.id,
+          action: 'UPDATE',
+          old_values: this.auditValues(existingSetting, existingSetting),
+          new_values: this.auditValues(updated, existingSetting)
+        }, auditActor);
+
+        return updated;
       } else {
         // Create new setting
         const newSetting = {
@@ -105,7 +140,16 @@ class SystemSettings extends BaseModel {
           updated_by: updatedBy
         };
         
-        return await this.create(newSetting);
+        const created = await this.create(newSetting);
+
+        await AuditLog.record({
+          table_name: 'system_settings',
+          record_id: created.id,
+          action: 'INSERT',
+          new_values: this.auditValues(created)
+        }, auditActor);
+
+        return created;
       }
     } catch (error) {
       console.error('Error setting value:', error);
@@ -114,12 +158,12 @@ class SystemSettings extends BaseModel {
   }
 
   // Bulk update settings
-  async updateSettings(settingsObject, updatedBy = null) {
+  async updateSettings(settingsObject, updatedBy = null, actor = null) {
     try {
       const results = [];
       
       for (const [key, value] of Object.entries(settingsObject)) {
-        const result = await this.setSetting(key, value, null, 'general', updatedBy);
+        const result = await this.setSetting(key, value, null, 'general', updatedBy, actor);
         results.push({
           key,
           value,
@@ -161,7 +205,9 @@ async getPaymentSettings() {
       // Equity Bank external payment settings only
       equity_paybill_account: paymentSettings.equity_paybill_account?.value || '247247',
       equity_callback_url: paymentSettings.equity_callback_url?.value || '',
-      equity_webhook_secret: paymentSettings.equity_webhook_secret?.value || ''
+      equity_webhook_secret: paymentSettings.equity_webhook_secret?.value || '',
+      receipt_number_prefix: paymentSettings.receipt_number_prefix?.value || 'RCT',
+      ...(await this.getAllocationSettings())
     };
   } catch (error) {
     console.error('Error getting payment settings:', error);
@@ -169,6 +215,29 @@ async getPaymentSettings() {
   }
 }
 
+  // Get the payment allocation policy
+  async getAllocationSettings() {
+    try {
+      const settings = await executeQuery(`
+        SELECT setting_key, setting_value FROM system_settings
+        WHERE setting_key IN ('payment_allocation_policy', 'payment_allocation_split_percent')
+      `);
+      const settingsMap = {};
+      settings.forEach(s => settingsMap[s.setting_key] = s.setting_value);
+
+      const policy = settingsMap.payment_allocation_policy;
+      const splitPercent = parseFloat(settingsMap.payment_allocation_split_percent);
+
+      return {
+        allocation_policy: this.ALLOCATION_POLICIES[policy] ? policy : 'bills_first',
+        allocation_split_percent: isNaN(splitPercent) ? 20 : Math.min(Math.max(splitPercent, 0), 100)
+      };
+    } catch (error) {
+      console.error('Error getting allocation settings:', error);
+      throw error;
+    }
+  }
+
   // Get contribution settings
   async getContributionSettings() {
     try {
@@ -193,7 +262,14 @@ async getPaymentSettings() {
       return {
         sms_sender_id: notificationSettings.sms_sender_id?.value || 'NYANJIGI',
         sms_enabled: notificationSettings.sms_enabled?.value === 'true',
-        email_enabled: notificationSettings.email_enabled?.value === 'true'
+        email_enabled: notificationSettings.email_enabled?.value === 'true',
+        sms_max_segments: parseInt(notificationSettings.sms_max_segments?.value) || 3,
+        sms_cost_per_segment: notificationSettings.sms_cost_per_segment
+          ? parseFloat(notificationSettings.sms_cost_per_segment.value)
+          : 0.80,
+        outbox_rate_limit_per_minute: parseInt(notificationSettings.outbox_rate_limit_per_minute?.value) || 60,
+        outbox_max_attempts: parseInt(notificationSettings.outbox_max_attempts?.value) || 5,
+        outbox_retry_base_seconds: parseInt(notificationSettings.outbox_retry_base_seconds?.value) || 60
       };
     } catch (error) {
       console.error('Error getting notification settings:', error);
@@ -201,6 +277,42 @@ async getPaymentSettings() {
     }
   }
 
+  // Get SMTP settings for outgoing email
+  async getEmailSettings() {
+    try {
+      const emailSettings = await this.getSettingsByCategory('email');
+
+      return {
+        smtp_host: emailSettings.smtp_host?.value || '',
+        smtp_port: parseInt(emailSettings.smtp_port?.value) || 587,
+        smtp_secure: emailSettings.smtp_secure?.value === 'true',
+        smtp_username: emailSettings.smtp_username?.value || '',
+        smtp_password: emailSettings.smtp_password?.value || '',
+        smtp_from_email: emailSettings.smtp_from_email?.value || '',
+        smtp_from_name: emailSettings.smtp_from_name?.value || 'Nyanjigi Waters',
+        email_attach_documents: emailSettings.email_attach_documents?.value !== 'false'
+      };
+    } catch (error) {
+      console.error('Error getting email settings:', error);
+      throw error;
+    }
+  }
+
+  // Get sign-in security settings
+  async getSecuritySettings() {
+    try {
+      const value = await this.getSetting('two_factor_required_roles');
+      const roles = value === null ? 'superadmin,treasurer,sms_officer' : value;
+
+      return {
+        two_factor_required_roles: roles.split(',').map(role => role.trim()).filter(Boolean)
+      };
+    } catch (error) {
+      console.error('Error getting security settings:', error);
+      throw error;
+    }
+  }
+
   // Get company information
   async getCompanySettings() {
     try {
@@ -257,11 +369,82 @@ async getPaymentSettings() {
           category: 'payments',
           description: 'Secret key for validating Equity webhooks'
         },
+        {
+          key: 'payment_allocation_policy',
+          value: 'bills_first',
+          category: 'payments',
+          description: 'Order in which payments settle bills, fines and contributions'
+        },
+        {
+          key: 'payment_allocation_split_percent',
+          value: '20',
+          category: 'payments',
+          description: 'Share of each payment set aside for contributions under the contributions_split policy'
+        },
+        {
+          key: 'receipt_number_prefix',
+          value: 'RCT',
+          category: 'payments',
+          description: 'Prefix for receipt numbers issued for manual payments'
+        },
         
         // Notification settings
         { key: 'sms_sender_id', value: 'NYANJIGI', category: 'notifications', description: 'SMS sender ID for outgoing messages' },
         { key: 'sms_enabled', value: 'true', category: 'notifications', description: 'Enable/disable SMS notifications' },
-        { key: 'email_enabled', value: 'false', category: 'notifications', description: 'Enable/disable email notifications' }
+        { key: 'email_enabled', value: 'false', category: 'notifications', description: 'Enable/disable email notifications' },
+        {
+          key: 'sms_max_segments',
+          value: '3',
+          category: 'notifications',
+          description: 'Maximum SMS segments per message; longer messages are shortened'
+        },
+        {
+          key: 'sms_cost_per_segment',
+          value: '0.80',
+          category: 'notifications',
+          description: 'Cost in KES charged per SMS segment, used for previews'
+        },
+        {
+          key: 'outbox_rate_limit_per_minute',
+          value: '60',
+          category: 'notifications',
+          description: 'Maximum queued messages sent per minute'
+        },
+        {
+          key: 'outbox_max_attempts',
+          value: '5',
+          category: 'notifications',
+          description: 'Send attempts before a queued message is dead-lettered'
+        },
+        {
+          key: 'outbox_retry_base_seconds',
+          value: '60',
+          category: 'notifications',
+          description: 'First retry delay in seconds; doubles after each failed attempt'
+        },
+
+        // Email (SMTP) settings
+        { key: 'smtp_host', value: '', category: 'email', description: 'SMTP server host name' },
+        { key: 'smtp_port', value: '587', category: 'email', description: 'SMTP server port (587 for STARTTLS, 465 for SSL)' },
+        { key: 'smtp_secure', value: 'false', category: 'email', description: 'Connect with SSL/TLS from the start (port 465)' },
+        { key: 'smtp_username', value: '', category: 'email', description: 'SMTP login user name' },
+        { key: 'smtp_password', value: '', category: 'email', description: 'SMTP login password' },
+        { key: 'smtp_from_email', value: 'billing@nyanjigi.co.ke', category: 'email', description: 'Address emails are sent from' },
+        { key: 'smtp_from_name', value: 'Nyanjigi Waters', category: 'email', description: 'Sender name shown on emails' },
+        {
+          key: 'email_attach_documents',
+          value: 'true',
+          category: 'email',
+          description: 'Attach the bill or receipt PDF to billing and payment emails'
+        },
+
+        // Security settings
+        {
+          key: 'two_factor_required_roles',
+          value: 'superadmin,treasurer,sms_officer',
+          category: 'security',
+          description: 'Admin roles that must use two-factor authentication (comma separated)'
+        }
       ];
 
       const results = [];
@@ -340,13 +523,22 @@ async getPaymentSettings() {
       'payment_due_days': (val) => !isNaN(val) && parseInt(val) >= 1 && parseInt(val) <= 365,
       'contribution_due_days': (val) => !isNaN(val) && parseInt(val) >= 1 && parseInt(val) <= 365,
       'late_fine_grace_days': (val) => !isNaN(val) && parseInt(val) >= 0 && parseInt(val) <= 30,
+      'sms_max_segments': (val) => !isNaN(val) && parseInt(val) >= 1 && parseInt(val) <= 10,
+      'sms_cost_per_segment': (val) => !isNaN(val) && parseFloat(val) >= 0,
+      'outbox_rate_limit_per_minute': (val) => !isNaN(val) && parseInt(val) >= 1 && parseInt(val) <= 1000,
+      'outbox_max_attempts': (val) => !isNaN(val) && parseInt(val) >= 1 && parseInt(val) <= 20,
+      'outbox_retry_base_seconds': (val) => !isNaN(val) && parseInt(val) >= 10 && parseInt(val) <= 3600,
       
       // Boolean validations
       'sms_enabled': (val) => val === 'true' || val === 'false',
       'email_enabled': (val) => val === 'true' || val === 'false',
+      'smtp_secure': (val) => val === 'true' || val === 'false',
+      'email_attach_documents': (val) => val === 'true' || val === 'false',
+      'smtp_port': (val) => !isNaN(val) && parseInt(val) >= 1 && parseInt(val) <= 65535,
       
       // Email validation
       'company_email': (val) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(val),
+      'smtp_from_email': (val) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(val),
       
       // Phone validation (basic)
       'company_phone': (val) => /^\+?[1-9]\d{1,14}$/.test(val.replace(/\s/g, '')),
@@ -356,7 +548,16 @@ async getPaymentSettings() {
 
       // Account number validation (should be numeric)
       'equity_paybill_account': (val) => !val || /^\d+$/.test(val),
-      'equity_till_account': (val) => !val || /^\d+$/.test(val)
+      'equity_till_account': (val) => !val || /^\d+$/.test(val),
+
+      // SMTP server and login may be left blank until email is set up
+      'smtp_host': (val) => !val || /^[a-zA-Z0-9.-]+$/.test(val),
+      'smtp_username': () => true,
+      'smtp_password': () => true,
+
+      // Known admin roles, comma separated; empty leaves 2FA optional for everyone
+      'two_factor_required_roles': (val) => String(val).split(',').map(role => role.trim())
+        .filter(Boolean).every(role => Object.keys(ROLES).includes(role))
     };
 
     if (validations[key]) {
@@ -0,0 +1,389 @@
+const BaseModel = require('./BaseModel');
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const AuthUtils = require('../utils/auth');
+const TotpUtils = require('../utils/totp');
+const QRCode = require('qrcode');
+const SystemSettings = require('./SystemSettings');
+
+// Name authenticator apps show next to the code
+const ISSUER = 'Nyanjigi Waters';
+
+// A password login must be finished within this time and number of wrong codes
+const CHALLENGE_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+
+// SMS fallback codes
+const SMS_CODE_MINUTES = 5;
+const SMS_RESEND_SECONDS = 60;
+const MAX_SMS_PER_CHALLENGE = 3;
+
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Model - Admin authenticator apps, backup codes and login challenges
+ *
+ * A correct password for an admin who has 2FA, or whose role requires it,
+ * opens a challenge instead of a session. The challenge is completed with an
+ * authenticator code, an unused backup code or a code sent by SMS; admins
+ * without 2FA whose role requires it enroll an authenticator to complete it.
+ */
+class TwoFactor extends BaseModel {
+  constructor() {
+    super('admin_login_challenges');
+  }
+
+  async isRequired(role) {
+    const { two_factor_required_roles } = await SystemSettings.getSecuritySettings();
+    return two_factor_required_roles.includes(role);
+  }
+
+  // Last three digits only, for telling the admin where the SMS went
+  maskPhone(phone) {
+    if (!phone) {
+      return null;
+    }
+    const digits = String(phone).replace(/\D/g, '');
+    return `${'*'.repeat(Math.max(digits.length - 3, 0))}${digits.slice(-3)}`;
+  }
+
+  async getStatus(adminId) {
+    try {
+      const admins = await executeQuery(
+        'SELECT id, role, phone, two_factor_enabled, two_factor_enabled_at FROM admins WHERE id = ?',
+        [adminId]
+      );
+      if (admins.length === 0) {
+        return null;
+      }
+
+      const admin = admins[0];
+      const backupCodes = await executeQuery(
+        'SELECT COUNT(*) as count FROM admin_backup_codes WHERE admin_id = ? AND used_at IS NULL',
+        [adminId]
+      );
+
+      return {
+        enabled: Boolean(admin.two_factor_enabled),
+        enabled_at: admin.two_factor_enabled_at,
+        required: await this.isRequired(admin.role),
+        backup_codes_remaining: admin.two_factor_enabled ? backupCodes[0].count : 0,
+        phone: admin.phone,
+        sms_available: Boolean(admin.phone)
+      };
+    } catch (error) {
+      console.error('Error getting two-factor status:', error);
+      throw error;
+    }
+  }
+
+  // Store a new secret and return what the authenticator app needs; it takes effect once confirmed
+  async beginSetup(admin) {
+    try {
+      if (admin.two_factor_enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = TotpUtils.generateSecret();
+      await executeQuery(
+        'UPDATE admins SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ?',
+        [secret, admin.id]
+      );
+
+      return await this.setupDetails(secret, admin);
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      throw error;
+    }
+  }
+
+  // Setup for an enrollment at login: the secret already waiting to be confirmed, so a second
+  // login or tab shows the same QR code; a new one only when there is none
+  async pendingSetup(admin) {
+    try {
+      const admins = await executeQuery(
+        'SELECT two_factor_secret FROM admins WHERE id = ? AND two_factor_enabled = FALSE',
+        [admin.id]
+      );
+      if (admins.length > 0 && admins[0].two_factor_secret) {
+        return await this.setupDetails(admins[0].two_factor_secret, admin);
+      }
+      return await this.beginSetup(admin);
+    } catch (error) {
+      console.error('Error getting pending two-factor setup:', error);
+      throw error;
+    }
+  }
+
+  // What an authenticator app needs to add the account
+  async setupDetails(secret, admin) {
+    const otpauthUrl = TotpUtils.keyUri(secret, admin.username, ISSUER);
+    return {
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M', width: 240 })
+    };
+  }
+
+  // Check an authenticator code; each time step is accepted once so a seen code cannot be replayed
+  async verifyTotp(adminId, code) {
+    try {
+      const admins = await executeQuery(
+        'SELECT two_factor_secret, two_factor_last_step FROM admins WHERE id = ?',
+        [adminId]
+      );
+      if (admins.length === 0 || !admins[0].two_factor_secret) {
+        return false;
+      }
+
+      const step = TotpUtils.verify(admins[0].two_factor_secret, code);
+      if (step === null) {
+        return false;
+      }
+
+      const result = await executeQuery(`
+        UPDATE admins SET two_factor_last_step = ?
+        WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)
+      `, [step, adminId, step]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error verifying authenticator code:', error);
+      throw error;
+    }
+  }
+
+  // Turn 2FA on once the first code has been confirmed; returns the new backup codes
+  async activate(adminId) {
+    try {
+      await executeQuery(
+        'UPDATE admins SET two_factor_enabled = TRUE, two_factor_enabled_at = NOW() WHERE id = ?',
+        [adminId]
+      );
+      return await this.regenerateBackupCodes(adminId);
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  async disable(adminId) {
+    try {
+      await executeQuery(`
+        UPDATE admins
+        SET two_factor_secret = NULL, two_factor_enabled = FALSE,
+            two_factor_enabled_at = NULL, two_factor_last_step = NULL
+        WHERE id = ?
+      `, [adminId]);
+      await executeQuery('DELETE FROM admin_backup_codes WHERE admin_id = ?', [adminId]);
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  // Backup codes are compared without case, spaces or dashes
+  hashBackupCode(code) {
+    return AuthUtils.hashToken(String(code || '').toLowerCase().replace(/[^a-z0-9]/g, ''));
+  }
+
+  // Replace all backup codes; the plain codes are only ever returned here
+  async regenerateBackupCodes(adminId) {
+    try {
+      const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+      });
+
+      await executeQuery('DELETE FROM admin_backup_codes WHERE admin_id = ?', [adminId]);
+      for (const code of codes) {
+        await executeQuery(
+          'INSERT INTO admin_backup_codes (admin_id, code_hash) VALUES (?, ?)',
+          [adminId, this.hashBackupCode(code)]
+        );
+      }
+
+      return codes;
+    } catch (error) {
+      console.error('Error generating backup codes:', error);
+      throw error;
+    }
+  }
+
+  async useBackupCode(adminId, code) {
+    try {
+      const result = await executeQuery(`
+        UPDATE admin_backup_codes SET used_at = NOW()
+        WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL
+      `, [adminId, this.hashBackupCode(code)]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error using backup code:', error);
+      throw error;
+    }
+  }
+
+  // Login response for a correct password: the methods on offer, or the setup for a required enrollment
+  async startLoginChallenge(admin, ipAddress = null) {
+    try {
+      if (admin.two_factor_enabled) {
+        const challenge = await this.createChallenge(admin.id, 'verify', ipAddress);
+        return {
+          two_factor_required: true,
+          ...challenge,
+          methods: admin.phone ? ['totp', 'backup_code', 'sms'] : ['totp', 'backup_code'],
+          phone_hint: this.maskPhone(admin.phone)
+        };
+      }
+
+      const challenge = await this.createChallenge(admin.id, 'enroll', ipAddress);
+      return {
+        two_factor_setup_required: true,
+        ...challenge,
+        setup: await this.pendingSetup(admin)
+      };
+    } catch (error) {
+      console.error('Error starting login challenge:', error);
+      throw error;
+    }
+  }
+
+  // Open a challenge after a correct password; the token goes to the client
+  async createChallenge(adminId, purpose = 'verify', ipAddress = null) {
+    try {
+      const token = AuthUtils.generateRefreshToken();
+
+      await executeQuery(`
+        INSERT INTO admin_login_challenges (admin_id, token_hash, purpose, ip_address, expires_at)
+        VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+      `, [adminId, AuthUtils.hashToken(token), purpose, ipAddress, CHALLENGE_MINUTES]);
+
+      return { challenge_token: token, expires_in: CHALLENGE_MINUTES * 60 };
+    } catch (error) {
+      console.error('Error creating login challenge:', error);
+      throw error;
+    }
+  }
+
+  // An open challenge, or null once it has expired, been used up or completed
+  async getChallenge(token) {
+    try {
+      const challenges = await executeQuery(`
+        SELECT * FROM admin_login_challenges
+        WHERE token_hash = ? AND completed_at IS NULL AND expires_at > NOW() AND attempts < ?
+      `, [AuthUtils.hashToken(token), MAX_ATTEMPTS]);
+
+      return challenges.length > 0 ? challenges[0] : null;
+    } catch (error) {
+      console.error('Error getting login challenge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Use up one of the challenge's tries before a code is checked, in a single statement
+   * so concurrent guesses cannot all pass the limit; returns false when none are left.
+   */
+  async claimAttempt(challenge) {
+    try {
+      const result = await executeQuery(
+        'UPDATE admin_login_challenges SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+        [challenge.id, MAX_ATTEMPTS]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording challenge attempt:', error);
+      throw error;
+    }
+  }
+
+  // Tries left after a wrong code, given the attempt already claimed for it
+  remainingAttempts(challenge) {
+    return Math.max(MAX_ATTEMPTS - challenge.attempts - 1, 0);
+  }
+
+  // Mark the challenge done; false if another request completed it first
+  async completeChallenge(challengeId) {
+    try {
+      const result = await executeQuery(
+        'UPDATE admin_login_challenges SET completed_at = NOW() WHERE id = ? AND completed_at IS NULL',
+        [challengeId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error completing login challenge:', error);
+      throw error;
+    }
+  }
+
+  // Why another SMS code cannot be sent yet, or null when it can
+  smsLimitReason(challenge) {
+    if (challenge.sms_sent_count >= MAX_SMS_PER_CHALLENGE) {
+      return 'Too many codes requested; log in again to get a new one';
+    }
+    if (challenge.sms_last_sent_at) {
+      const waited = (Date.now() - new Date(challenge.sms_last_sent_at).getTime()) / 1000;
+      if (waited < SMS_RESEND_SECONDS) {
+        return `Please wait ${Math.ceil(SMS_RESEND_SECONDS - waited)} seconds before requesting another code`;
+      }
+    }
+    return null;
+  }
+
+  // New SMS code for a challenge; callers check smsLimitReason() first
+  async createSmsCode(challenge) {
+    try {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+      await executeQuery(`
+        UPDATE admin_login_challenges
+        SET sms_code_hash = ?, sms_code_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+            sms_sent_count = sms_sent_count + 1, sms_last_sent_at = NOW()
+        WHERE id = ?
+      `, [AuthUtils.hashToken(code), SMS_CODE_MINUTES, challenge.id]);
+
+      return { code, expires_in: SMS_CODE_MINUTES * 60 };
+    } catch (error) {
+      console.error('Error creating SMS code:', error);
+      throw error;
+    }
+  }
+
+  verifySmsCode(challenge, code) {
+    if (!challenge.sms_code_hash || new Date(challenge.sms_code_expires_at) <= new Date()) {
+      return false;
+    }
+    return crypto.timingSafeEqual(
+      Buffer.from(challenge.sms_code_hash),
+      Buffer.from(AuthUtils.hashToken(String(code || '').trim()))
+    );
+  }
+
+  // Second factor for a challenge by the chosen method
+  async verifyChallengeCode(challenge, method, code) {
+    switch (method) {
+      case 'backup_code':
+        return await this.useBackupCode(challenge.admin_id, code);
+      case 'sms':
+        return this.verifySmsCode(challenge, code);
+      default:
+        return await this.verifyTotp(challenge.admin_id, code);
+    }
+  }
+
+  // Delete login challenges that ended more than a day ago
+  async purgeExpired() {
+    try {
+      const result = await executeQuery(
+        'DELETE FROM admin_login_challenges WHERE expires_at < DATE_SUB(NOW(), INTERVAL 1 DAY)'
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error purging login challenges:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TwoFactor();
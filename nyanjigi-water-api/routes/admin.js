@@ -1,14 +1,27 @@
 const express = require('express');
-const { AdminController } = require('../controllers');
-const { verifyAdmin } = require('../middleware/auth');
+const { AdminController, NotificationTemplateController, AdminUserController, AuditLogController } = require('../controllers');
+const { verifyAdmin, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
 const SMSService = require('../services/SMSService');
 const NotificationService = require('../services/NotificationService');
-const { Customer, Bill } = require('../models');
+const { Customer, Bill, SystemSettings, NotificationOutbox, ScheduledNotification, NotificationTemplate, AuditLog } = require('../models');
 const ApiResponse = require('../utils/response');
+const ValidationSchemas = require('../utils/validation');
+const SmsUtils = require('../utils/sms');
 
 const router = express.Router();
 
+// Messages may span several SMS segments, up to the configured limit
+const withinSegmentLimit = async value => {
+  const { sms_max_segments } = await SystemSettings.getNotificationSettings();
+  const { segments, encoding } = SmsUtils.countSegments(value);
+
+  if (segments > sms_max_segments) {
+    throw new Error(`Message is ${segments} SMS segments (${encoding}); the limit is ${sms_max_segments}`);
+  }
+  return true;
+};
+
 /**
  * Admin Dashboard Routes
  * Base path: /api/v1/admin
@@ -19,30 +32,33 @@ const router = express.Router();
 /**
  * @route   GET /api/v1/admin/dashboard
  * @desc    Get admin dashboard statistics
- * @access  Private (Admin only)
+ * @access  Private (Admin: dashboard.view)
  */
 router.get('/dashboard',
   verifyAdmin,
+  requirePermission('dashboard.view'),
   asyncHandler(AdminController.getDashboard)
 );
 
 /**
  * @route   GET /api/v1/admin/system-overview
  * @desc    Get comprehensive system overview
- * @access  Private (Admin only)
+ * @access  Private (Admin: dashboard.view)
  */
 router.get('/system-overview',
   verifyAdmin,
+  requirePermission('dashboard.view'),
   asyncHandler(AdminController.getSystemOverview)
 );
 
 /**
  * @route   GET /api/v1/admin/revenue-analytics
  * @desc    Get revenue analytics
- * @access  Private (Admin only)
+ * @access  Private (Admin: dashboard.view)
  */
 router.get('/revenue-analytics',
   verifyAdmin,
+  requirePermission('dashboard.view'),
   [
     require('express-validator').query('period')
       .optional()
@@ -108,10 +124,11 @@ router.get('/revenue-analytics',
 /**
  * @route   GET /api/v1/admin/financial-summary
  * @desc    Get comprehensive financial summary
- * @access  Private (Admin only)
+ * @access  Private (Admin: dashboard.view)
  */
 router.get('/financial-summary',
   verifyAdmin,
+  requirePermission('dashboard.view'),
   [
     require('express-validator').query('period')
       .optional()
@@ -127,10 +144,11 @@ router.get('/financial-summary',
 /**
  * @route   GET /api/v1/admin/outstanding-customers
  * @desc    Get customers with outstanding balances
- * @access  Private (Admin only)
+ * @access  Private (Admin: dashboard.view)
  */
 router.get('/outstanding-customers',
   verifyAdmin,
+  requirePermission('dashboard.view'),
   [
     require('express-validator').query('limit')
       .optional()
@@ -144,10 +162,11 @@ router.get('/outstanding-customers',
 /**
  * @route   GET /api/v1/admin/customers/export
  * @desc    Export customer data
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/customers/export',
   verifyAdmin,
+  requirePermission('customers.view'),
   [
     require('express-validator').query('format')
       .optional()
@@ -167,10 +186,11 @@ router.get('/customers/export',
 /**
  * @route   GET /api/v1/admin/sms/status
  * @desc    Check SMS service status and balance
- * @access  Private (Admin only)
+ * @access  Private (Admin: notifications.view)
  */
 router.get('/sms/status',
   verifyAdmin,
+  requirePermission('notifications.view'),
   asyncHandler(async (req, res) => {
     try {
       const [connectionTest, balance] = await Promise.all([
@@ -192,10 +212,11 @@ router.get('/sms/status',
 /**
  * @route   POST /api/v1/admin/sms/send
  * @desc    Send single SMS message
- * @access  Private (Admin only)
+ * @access  Private (Admin: notifications.send)
  */
 router.post('/sms/send',
   verifyAdmin,
+  requirePermission('notifications.send'),
   [
     require('express-validator').body('phone_number')
       .notEmpty()
@@ -205,8 +226,7 @@ router.post('/sms/send',
     require('express-validator').body('message')
       .notEmpty()
       .withMessage('Message is required')
-      .isLength({ max: 160 })
-      .withMessage('Message must not exceed 160 characters'),
+      .custom(withinSegmentLimit),
     require('express-validator').body('sender_id')
       .optional()
       .isLength({ max: 11 })
@@ -246,10 +266,11 @@ router.post('/sms/send',
 /**
  * @route   POST /api/v1/admin/sms/bulk-send
  * @desc    Send bulk SMS messages
- * @access  Private (Admin only)
+ * @access  Private (Admin: notifications.send)
  */
 router.post('/sms/bulk-send',
   verifyAdmin,
+  requirePermission('notifications.send'),
   [
     require('express-validator').body('recipients')
       .isArray({ min: 1, max: 1000 })
@@ -260,8 +281,7 @@ router.post('/sms/bulk-send',
     require('express-validator').body('message')
       .notEmpty()
       .withMessage('Message is required')
-      .isLength({ max: 160 })
-      .withMessage('Message must not exceed 160 characters'),
+      .custom(withinSegmentLimit),
     require('express-validator').body('sender_id')
       .optional()
       .isLength({ max: 11 })
@@ -283,13 +303,48 @@ router.post('/sms/bulk-send',
   })
 );
 
+/**
+ * @route   POST /api/v1/admin/sms/preview
+ * @desc    Count the SMS segments and estimated cost of a message
+ * @access  Private (Admin: notifications.view)
+ */
+router.post('/sms/preview',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').body('message')
+      .isString()
+      .withMessage('Message is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const preview = await SMSService.previewMessage(req.body.message);
+    return ApiResponse.success(res, preview, 'SMS preview generated');
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/sms/templates/preview
+ * @desc    Preview each active SMS template with segment count and cost
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/sms/templates/preview',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  asyncHandler(async (req, res) => {
+    const previews = await SMSService.previewTemplates();
+    return ApiResponse.success(res, previews, 'SMS template previews generated');
+  })
+);
+
 /**
  * @route   POST /api/v1/admin/notifications/bill-reminders
  * @desc    Send bill reminder notifications to customers with overdue bills
- * @access  Private (Admin only)
+ * @access  Private (Admin: notifications.send)
  */
 router.post('/notifications/bill-reminders',
   verifyAdmin,
+  requirePermission('notifications.send'),
   [
     require('express-validator').body('days_overdue')
       .optional()
@@ -372,11 +427,32 @@ router.post('/notifications/bill-reminders',
           const oldestBill = customerData.bills.sort((a, b) => new Date(a.due_date) - new Date(b.due_date))[0];
           const daysOverdue = Math.ceil((new Date() - new Date(oldestBill.due_date)) / (1000 * 60 * 60 * 24));
           
-          const result = await SMSService.sendOverdueNotice(
-            customerData.customer,
-            oldestBill,
-            0 // fine_amount - can be calculated based on your business logic
-          );
+          // Opted-out customers are skipped; quiet hours queue the notice for the morning
+          let result = await NotificationService.holdSms(customerData.customer, 'overdue_notice', {
+            customer_name: customerData.customer.full_name,
+            account_number: customerData.customer.account_number,
+            amount: oldestBill.total_amount,
+            fine: 0,
+            days_overdue: daysOverdue
+          });
+
+          if (!result) {
+            result = await SMSService.sendOverdueNotice(
+              customerData.customer,
+              oldestBill,
+              0 // fine_amount - can be calculated based on your business logic
+            );
+
+            await NotificationService.logNotification(
+              customerData.customer.id,
+              customerData.customer.phone,
+              'overdue_notice',
+              'sms',
+              result.success ? 'sent' : 'failed',
+              result,
+              { bill_id: oldestBill.id, days_overdue: daysOverdue }
+            );
+          }
 
           notificationResults.push({
             customer_id: customerData.customer.id,
@@ -397,14 +473,16 @@ router.post('/notifications/bill-reminders',
       }
 
       const successful = notificationResults.filter(r => r.notification_result?.success).length;
-      const failed = notificationResults.length - successful;
+      const suppressed = notificationResults.filter(r => r.notification_result?.suppressed).length;
+      const failed = notificationResults.length - successful - suppressed;
 
       return ApiResponse.success(res, {
         total_processed: notificationResults.length,
         successful_notifications: successful,
         failed_notifications: failed,
+        suppressed_notifications: suppressed,
         results: notificationResults
-      }, `Bill reminder notifications processed: ${successful} successful, ${failed} failed`);
+      }, `Bill reminder notifications processed: ${successful} successful, ${failed} failed, ${suppressed} opted out`);
     } catch (error) {
       return ApiResponse.error(res, error.message, 500);
     }
@@ -414,10 +492,11 @@ router.post('/notifications/bill-reminders',
 /**
  * @route   POST /api/v1/admin/notifications/payment-confirmations
  * @desc    Send payment confirmation notifications
- * @access  Private (Admin only)
+ * @access  Private (Admin: notifications.send)
  */
 router.post('/notifications/payment-confirmations',
   verifyAdmin,
+  requirePermission('notifications.send'),
   [
     require('express-validator').body('payment_ids')
       .isArray({ min: 1 })
@@ -491,10 +570,11 @@ router.post('/notifications/payment-confirmations',
 /**
  * @route   GET /api/v1/admin/sms/delivery-status/:messageId
  * @desc    Check SMS delivery status
- * @access  Private (Admin only)
+ * @access  Private (Admin: notifications.view)
  */
 router.get('/sms/delivery-status/:messageId',
   verifyAdmin,
+  requirePermission('notifications.view'),
   [
     require('express-validator').param('messageId')
       .notEmpty()
@@ -521,10 +601,11 @@ router.get('/sms/delivery-status/:messageId',
 /**
  * @route   POST /api/v1/admin/notifications/custom
  * @desc    Send custom notification to specific customers
- * @access  Private (Admin only)
+ * @access  Private (Admin: notifications.send)
  */
 router.post('/notifications/custom',
   verifyAdmin,
+  requirePermission('notifications.send'),
   [
     require('express-validator').body('customer_ids')
       .isArray({ min: 1, max: 1000 })
@@ -535,8 +616,7 @@ router.post('/notifications/custom',
     require('express-validator').body('message')
       .notEmpty()
       .withMessage('Message is required')
-      .isLength({ max: 160 })
-      .withMessage('Message must not exceed 160 characters'),
+      .custom(withinSegmentLimit),
     require('express-validator').body('notification_type')
       .optional()
       .isIn(['sms', 'email', 'both'])
@@ -565,7 +645,19 @@ router.post('/notifications/custom',
         // Send SMS notifications
         for (const customer of customers) {
           try {
-            const result = await SMSService.sendSMS(customer.phone, message);
+            let result = await NotificationService.holdSms(customer, 'custom', { message }, message);
+            if (!result) {
+              result = await SMSService.sendSMS(customer.phone, message);
+              await NotificationService.logNotification(
+                customer.id,
+                customer.phone,
+                'custom',
+                'sms',
+                result.success ? 'sent' : 'failed',
+                result,
+                { message }
+              );
+            }
             notificationResults.push({
               customer_id: customer.id,
               customer_name: customer.full_name,
@@ -585,30 +677,842 @@ router.post('/notifications/custom',
       }
 
       const successful = notificationResults.filter(r => r.notification_result?.success).length;
-      const failed = notificationResults.length - successful;
+      const suppressed = notificationResults.filter(r => r.notification_result?.suppressed).length;
+      const failed = notificationResults.length - successful - suppressed;
 
       return ApiResponse.success(res, {
         total_processed: notificationResults.length,
         successful_notifications: successful,
         failed_notifications: failed,
+        suppressed_notifications: suppressed,
         notification_type,
         results: notificationResults
-      }, `Custom notifications processed: ${successful} successful, ${failed} failed`);
+      }, `Custom notifications processed: ${successful} successful, ${failed} failed, ${suppressed} opted out`);
     } catch (error) {
       return ApiResponse.error(res, error.message, 500);
     }
   })
 );
 
+/**
+ * @route   GET /api/v1/admin/notifications/delivery-stats
+ * @desc    SMS delivery rates per campaign and zone, and households with no delivered messages
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/notifications/delivery-stats',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    require('express-validator').query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const today = new Date();
+      const monthAgo = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+      const from = req.query.from || monthAgo.toISOString().split('T')[0];
+      const to = req.query.to || today.toISOString().split('T')[0];
+
+      if (from > to) {
+        return ApiResponse.error(res, 'From date must be before the to date', 400);
+      }
+
+      const stats = await NotificationService.getDeliveryStats({ from, to });
+      return ApiResponse.success(res, stats, 'SMS delivery statistics retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/notifications/outbox
+ * @desc    List queued outgoing messages with counts per status
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/notifications/outbox',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').query('status')
+      .optional()
+      .isIn(['pending', 'processing', 'sent', 'dead', 'suppressed'])
+      .withMessage('Status must be pending, processing, sent, dead or suppressed'),
+    require('express-validator').query('notification_type')
+      .optional()
+      .trim()
+      .isLength({ max: 50 }),
+    require('express-validator').query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    require('express-validator').query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const { status, notification_type, page = 1, limit = 20 } = req.query;
+
+      const result = await NotificationOutbox.getMessages({
+        status,
+        notificationType: notification_type,
+        page,
+        limit
+      });
+
+      return ApiResponse.success(res, result, 'Notification outbox retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/notifications/outbox/requeue
+ * @desc    Requeue dead-lettered messages (all, by ID or by notification type)
+ * @access  Private (Admin: notifications.send)
+ */
+router.post('/notifications/outbox/requeue',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  [
+    require('express-validator').body('ids')
+      .optional()
+      .isArray({ max: 1000 })
+      .withMessage('IDs must be an array (max 1000)'),
+    require('express-validator').body('ids.*')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Valid message IDs are required'),
+    require('express-validator').body('notification_type')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Notification type must not exceed 50 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const { ids = [], notification_type } = req.body;
+
+      const requeued = await NotificationOutbox.requeue({
+        ids: ids.map(id => parseInt(id)),
+        notificationType: notification_type || null
+      });
+
+      return ApiResponse.success(res, { requeued }, `${requeued} messages requeued`);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+// ===== NOTIFICATION TEMPLATES =====
+
+// Template content fields; type, trigger event and language are fixed once a template exists
+const templateContentValidators = (isUpdate = false) => {
+  const { body } = require('express-validator');
+  const field = name => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required (max 100 characters)'),
+    body('subject')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Subject must not exceed 200 characters'),
+    field('message_template')
+      .trim()
+      .notEmpty()
+      .withMessage('Message template is required'),
+    body('is_active')
+      .optional()
+      .isBoolean()
+      .withMessage('is_active must be true or false'),
+    body('change_note')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Change note must not exceed 255 characters')
+  ];
+};
+
+// Unsaved template content rendered for a customer
+const templateRenderValidators = () => {
+  const { body } = require('express-validator');
+
+  return [
+    body('type')
+      .isIn(['sms', 'email'])
+      .withMessage('Type must be sms or email'),
+    body('trigger_event')
+      .trim()
+      .notEmpty()
+      .withMessage('Trigger event is required'),
+    body('subject')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Subject must be text'),
+    body('message_template')
+      .notEmpty()
+      .withMessage('Message template is required'),
+    body('customer_id')
+      .isInt({ min: 1 })
+      .withMessage('Valid customer ID is required')
+  ];
+};
+
+/**
+ * @route   GET /api/v1/admin/notifications/templates
+ * @desc    List notification templates and the variables each trigger event supports
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/notifications/templates',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').query('type')
+      .optional()
+      .isIn(['sms', 'email'])
+      .withMessage('Type must be sms or email'),
+    require('express-validator').query('language')
+      .optional()
+      .isIn(Object.keys(NotificationTemplate.getLanguages()))
+      .withMessage(`Language must be one of: ${Object.keys(NotificationTemplate.getLanguages()).join(', ')}`)
+  ],
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.getTemplates)
+);
+
+/**
+ * @route   POST /api/v1/admin/notifications/templates/preview
+ * @desc    Render template content against a real customer
+ * @access  Private (Admin: notifications.view)
+ */
+router.post('/notifications/templates/preview',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  templateRenderValidators(),
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.previewTemplate)
+);
+
+/**
+ * @route   POST /api/v1/admin/notifications/templates/test-send
+ * @desc    Send template content rendered for a customer to a test phone number or email
+ * @access  Private (Admin: notifications.send)
+ */
+router.post('/notifications/templates/test-send',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  [
+    ...templateRenderValidators(),
+    require('express-validator').body('recipient')
+      .trim()
+      .notEmpty()
+      .withMessage('Test recipient is required')
+      .custom((value, { req }) => {
+        const valid = req.body.type === 'email'
+          ? /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+          : /^(\+254|254|0)[17]\d{8}$/.test(value);
+        if (!valid) {
+          throw new Error(req.body.type === 'email' ? 'Valid email address is required' : 'Valid Kenyan phone number is required');
+        }
+        return true;
+      })
+  ],
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.sendTest)
+);
+
+/**
+ * @route   GET /api/v1/admin/notifications/templates/:id
+ * @desc    Get a notification template
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/notifications/templates/:id',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid template ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.getTemplate)
+);
+
+/**
+ * @route   GET /api/v1/admin/notifications/templates/:id/versions
+ * @desc    Version history of a notification template
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/notifications/templates/:id/versions',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid template ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.getVersions)
+);
+
+/**
+ * @route   POST /api/v1/admin/notifications/templates
+ * @desc    Create a notification template
+ * @access  Private (Admin: notifications.send)
+ */
+router.post('/notifications/templates',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  [
+    require('express-validator').body('type')
+      .isIn(['sms', 'email'])
+      .withMessage('Type must be sms or email'),
+    require('express-validator').body('trigger_event')
+      .isIn(Object.keys(NotificationTemplate.getTriggerEvents()))
+      .withMessage(`Trigger event must be one of: ${Object.keys(NotificationTemplate.getTriggerEvents()).join(', ')}`),
+    require('express-validator').body('language')
+      .optional()
+      .isIn(Object.keys(NotificationTemplate.getLanguages()))
+      .withMessage(`Language must be one of: ${Object.keys(NotificationTemplate.getLanguages()).join(', ')}`),
+    ...templateContentValidators()
+  ],
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.createTemplate)
+);
+
+/**
+ * @route   PUT /api/v1/admin/notifications/templates/:id
+ * @desc    Update a notification template, saving a new version
+ * @access  Private (Admin: notifications.send)
+ */
+router.put('/notifications/templates/:id',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  [
+    require('express-validator').param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid template ID is required'),
+    ...templateContentValidators(true)
+  ],
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.updateTemplate)
+);
+
+/**
+ * @route   POST /api/v1/admin/notifications/templates/:id/versions/:version/restore
+ * @desc    Restore an earlier version of a notification template
+ * @access  Private (Admin: notifications.send)
+ */
+router.post('/notifications/templates/:id/versions/:version/restore',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  [
+    require('express-validator').param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid template ID is required'),
+    require('express-validator').param('version')
+      .isInt({ min: 1 })
+      .withMessage('Valid version is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.restoreVersion)
+);
+
+/**
+ * @route   DELETE /api/v1/admin/notifications/templates/:id
+ * @desc    Delete an inactive notification template
+ * @access  Private (Admin: notifications.send)
+ */
+router.delete('/notifications/templates/:id',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  [
+    require('express-validator').param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid template ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(NotificationTemplateController.deleteTemplate)
+);
+
+// ===== SCHEDULED CAMPAIGNS =====
+
+// Audience filters: any combination of zones, customer types and arrears buckets
+const audienceValidators = () => {
+  const { body } = require('express-validator');
+
+  return [
+    body('audience')
+      .optional()
+      .isObject()
+      .withMessage('Audience must be an object'),
+    body('audience.zones')
+      .optional()
+      .isArray()
+      .withMessage('Zones must be an array'),
+    body('audience.zones.*')
+      .isIn(['Nyakahura', 'G3', 'Githunguri'])
+      .withMessage('Invalid zone'),
+    body('audience.customer_types')
+      .optional()
+      .isArray()
+      .withMessage('Customer types must be an array'),
+    body('audience.customer_types.*')
+      .isIn(['normal', 'institution'])
+      .withMessage('Customer type must be normal or institution'),
+    body('audience.arrears_buckets')
+      .optional()
+      .isArray()
+      .withMessage('Arrears buckets must be an array'),
+    body('audience.arrears_buckets.*')
+      .isIn(['current', '1_30', '31_60', '61_90', '90_plus'])
+      .withMessage('Arrears bucket must be current, 1_30, 31_60, 61_90 or 90_plus')
+  ];
+};
+
+// Fields shared by campaign create and update; required on create only
+const campaignValidators = (isUpdate = false) => {
+  const { body } = require('express-validator');
+  const field = name => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 150 })
+      .withMessage('Title is required (max 150 characters)'),
+    field('message')
+      .notEmpty()
+      .withMessage('Message is required')
+      .custom(withinSegmentLimit),
+    body('email_subject')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Email subject must not exceed 200 characters'),
+    body('channel')
+      .optional()
+      .isIn(['sms', 'email', 'both'])
+      .withMessage('Channel must be sms, email, or both'),
+    ...audienceValidators(),
+    field('scheduled_time')
+      .isISO8601()
+      .withMessage('Valid scheduled time is required')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('Scheduled time must be in the future'),
+    body('recurrence')
+      .optional()
+      .isIn(['none', 'daily', 'weekly', 'monthly'])
+      .withMessage('Recurrence must be none, daily, weekly, or monthly'),
+    body('recurrence_end_date')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('Recurrence end date must be a valid date')
+  ];
+};
+
+/**
+ * @route   GET /api/v1/admin/notifications/scheduled
+ * @desc    List scheduled notification campaigns
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/notifications/scheduled',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').query('status')
+      .optional()
+      .isIn(['pending', 'sent', 'failed', 'cancelled'])
+      .withMessage('Status must be pending, sent, failed, or cancelled'),
+    require('express-validator').query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    require('express-validator').query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+      const result = await ScheduledNotification.getCampaigns({ status, page, limit });
+      return ApiResponse.success(res, result, 'Scheduled notifications retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/notifications/scheduled/calendar
+ * @desc    Campaign occurrences between two dates, recurring campaigns expanded
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/notifications/scheduled/calendar',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').query('from')
+      .isISO8601()
+      .withMessage('Valid from date is required'),
+    require('express-validator').query('to')
+      .isISO8601()
+      .withMessage('Valid to date is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      if (from > to) {
+        return ApiResponse.error(res, 'From date must be before the to date', 400);
+      }
+
+      const occurrences = await ScheduledNotification.getCalendar(from, to);
+      return ApiResponse.success(res, { from, to, occurrences }, 'Campaign calendar retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/notifications/scheduled/audience
+ * @desc    Count the customers an audience filter currently matches
+ * @access  Private (Admin: notifications.view)
+ */
+router.post('/notifications/scheduled/audience',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  audienceValidators(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const customers = await ScheduledNotification.getAudience(req.body.audience || {});
+      return ApiResponse.success(res, {
+        total: customers.length,
+        with_phone: customers.filter(customer => customer.phone).length,
+        with_email: customers.filter(customer => customer.email).length
+      }, 'Audience counted');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/notifications/scheduled/:id
+ * @desc    Get a scheduled notification campaign
+ * @access  Private (Admin: notifications.view)
+ */
+router.get('/notifications/scheduled/:id',
+  verifyAdmin,
+  requirePermission('notifications.view'),
+  [
+    require('express-validator').param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid campaign ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const campaign = await ScheduledNotification.getCampaign(parseInt(req.params.id));
+      if (!campaign) {
+        return ApiResponse.notFound(res, 'Scheduled notification not found');
+      }
+      return ApiResponse.success(res, campaign, 'Scheduled notification retrieved successfully');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/notifications/scheduled
+ * @desc    Schedule a one-off or recurring notification campaign
+ * @access  Private (Admin: notifications.send)
+ */
+router.post('/notifications/scheduled',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  campaignValidators(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const campaign = await ScheduledNotification.createCampaign(req.body, req.admin.id);
+      return ApiResponse.success(res, campaign, 'Notification scheduled successfully', 201);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+/**
+ * @route   PUT /api/v1/admin/notifications/scheduled/:id
+ * @desc    Update a pending scheduled notification campaign
+ * @access  Private (Admin: notifications.send)
+ */
+router.put('/notifications/scheduled/:id',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  [
+    require('express-validator').param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid campaign ID is required'),
+    ...campaignValidators(true)
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const campaign = await ScheduledNotification.updateCampaign(parseInt(req.params.id), req.body);
+      if (!campaign) {
+        return ApiResponse.notFound(res, 'Scheduled notification not found');
+      }
+      return ApiResponse.success(res, campaign, 'Scheduled notification updated successfully');
+    } catch (error) {
+      const status = error.message.includes('can no longer be edited') ? 400 : 500;
+      return ApiResponse.error(res, error.message, status);
+    }
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/admin/notifications/scheduled/:id
+ * @desc    Cancel a pending scheduled notification campaign
+ * @access  Private (Admin: notifications.send)
+ */
+router.delete('/notifications/scheduled/:id',
+  verifyAdmin,
+  requirePermission('notifications.send'),
+  [
+    require('express-validator').param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid campaign ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const campaign = await ScheduledNotification.getCampaign(parseInt(req.params.id));
+      if (!campaign) {
+        return ApiResponse.notFound(res, 'Scheduled notification not found');
+      }
+
+      const cancelled = await ScheduledNotification.cancelCampaign(campaign.id);
+      if (!cancelled) {
+        return ApiResponse.error(res, `Campaign is already ${campaign.status}`, 400);
+      }
+      return ApiResponse.success(res, { id: campaign.id, status: 'cancelled' }, 'Scheduled notification cancelled');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 500);
+    }
+  })
+);
+
+// ===== ADMIN USERS =====
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    List admin users with the available roles and their permissions
+ * @access  Private (Admin: users.manage)
+ */
+router.get('/users',
+  verifyAdmin,
+  requirePermission('users.manage'),
+  asyncHandler(AdminUserController.getUsers)
+);
+
+/**
+ * @route   POST /api/v1/admin/users
+ * @desc    Create an admin user with a role
+ * @access  Private (Admin: users.manage)
+ */
+router.post('/users',
+  verifyAdmin,
+  requirePermission('users.manage'),
+  ValidationSchemas.createAdminUser,
+  handleValidationErrors,
+  asyncHandler(AdminUserController.createUser)
+);
+
+/**
+ * @route   PUT /api/v1/admin/users/:id
+ * @desc    Update an admin user's name, email or role
+ * @access  Private (Admin: users.manage)
+ */
+router.put('/users/:id',
+  verifyAdmin,
+  requirePermission('users.manage'),
+  [
+    ValidationSchemas.idParam[0],
+    ...ValidationSchemas.updateAdminUser
+  ],
+  handleValidationErrors,
+  asyncHandler(AdminUserController.updateUser)
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/toggle-status
+ * @desc    Activate or deactivate an admin user
+ * @access  Private (Admin: users.manage)
+ */
+router.post('/users/:id/toggle-status',
+  verifyAdmin,
+  requirePermission('users.manage'),
+  ValidationSchemas.idParam,
+  handleValidationErrors,
+  asyncHandler(AdminUserController.toggleUserStatus)
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/reset-password
+ * @desc    Set a new password for an admin user
+ * @access  Private (Admin: users.manage)
+ */
+router.post('/users/:id/reset-password',
+  verifyAdmin,
+  requirePermission('users.manage'),
+  [
+    ValidationSchemas.idParam[0],
+    require('express-validator').body('new_password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(AdminUserController.resetUserPassword)
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/reset-2fa
+ * @desc    Remove an admin user's authenticator and backup codes (lost phone)
+ * @access  Private (Admin: users.manage)
+ */
+router.post('/users/:id/reset-2fa',
+  verifyAdmin,
+  requirePermission('users.manage'),
+  ValidationSchemas.idParam,
+  handleValidationErrors,
+  asyncHandler(AdminUserController.resetUserTwoFactor)
+);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:id
+ * @desc    Delete an admin user who has no recorded activity
+ * @access  Private (Admin: users.manage)
+ */
+router.delete('/users/:id',
+  verifyAdmin,
+  requirePermission('users.manage'),
+  ValidationSchemas.idParam,
+  handleValidationErrors,
+  asyncHandler(AdminUserController.deleteUser)
+);
+
 // ===== ACTIVITY & MONITORING =====
 
+const auditLogFilters = [
+  require('express-validator').query('table_name')
+    .optional()
+    .isIn(Object.keys(AuditLog.TABLE_LABELS))
+    .withMessage('Invalid table'),
+  require('express-validator').query('action')
+    .optional()
+    .isIn(['INSERT', 'UPDATE', 'DELETE'])
+    .withMessage('Action must be INSERT, UPDATE or DELETE'),
+  require('express-validator').query('user_type')
+    .optional()
+    .isIn(['admin', 'customer', 'system'])
+    .withMessage('User type must be admin, customer or system'),
+  require('express-validator').query(['record_id', 'user_id'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('IDs must be positive integers'),
+  require('express-validator').query(['date_from', 'date_to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid dates (YYYY-MM-DD)')
+];
+
+/**
+ * @route   GET /api/v1/admin/audit-logs
+ * @desc    List audit trail entries, filtered by table, record, action, user and date
+ * @access  Private (Admin: audit.view)
+ */
+router.get('/audit-logs',
+  verifyAdmin,
+  requirePermission('audit.view'),
+  [
+    ...auditLogFilters,
+    require('express-validator').query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    require('express-validator').query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200')
+  ],
+  handleValidationErrors,
+  asyncHandler(AuditLogController.getLogs)
+);
+
+/**
+ * @route   GET /api/v1/admin/audit-logs/export
+ * @desc    Download filtered audit trail entries as CSV
+ * @access  Private (Admin: audit.view)
+ */
+router.get('/audit-logs/export',
+  verifyAdmin,
+  requirePermission('audit.view'),
+  auditLogFilters,
+  handleValidationErrors,
+  asyncHandler(AuditLogController.exportLogs)
+);
+
+/**
+ * @route   GET /api/v1/admin/audit-logs/:table/:recordId
+ * @desc    Full change history of a single record
+ * @access  Private (Admin: audit.view)
+ */
+router.get('/audit-logs/:table/:recordId',
+  verifyAdmin,
+  requirePermission('audit.view'),
+  [
+    require('express-validator').param('table')
+      .isIn(Object.keys(AuditLog.TABLE_LABELS))
+      .withMessage('Invalid table'),
+    require('express-validator').param('recordId')
+      .isInt({ min: 1 })
+      .withMessage('Record ID must be a positive integer')
+  ],
+  handleValidationErrors,
+  asyncHandler(AuditLogController.getRecordHistory)
+);
+
 /**
  * @route   GET /api/v1/admin/activity-log
  * @desc    Get admin activity log
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/activity-log',
   verifyAdmin,
+  requirePermission('settings.view'),
   [
     require('express-validator').query('page')
       .optional()
@@ -626,10 +1530,11 @@ router.get('/activity-log',
 /**
  * @route   GET /api/v1/admin/system-health
  * @desc    Get system health check
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/system-health',
   verifyAdmin,
+  requirePermission('settings.view'),
   asyncHandler(AdminController.getSystemHealth)
 );
 
@@ -1,6 +1,6 @@
 const express = require('express');
-const { AdminController, CustomerController } = require('../controllers');
-const { verifyAdmin, verifyCustomer } = require('../middleware/auth');
+const { AdminController, CustomerController, SessionController, TwoFactorController, PasswordResetController } = require('../controllers');
+const { verifyAdmin, verifyCustomer, verifyToken } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
 const ValidationSchemas = require('../utils/validation');
 
@@ -58,6 +58,86 @@ router.post('/admin/change-password',
   asyncHandler(AdminController.changePassword)
 );
 
+// ===== ADMIN TWO-FACTOR AUTHENTICATION =====
+
+/**
+ * @route   POST /api/v1/auth/admin/2fa/verify
+ * @desc    Finish an admin login with an authenticator, backup or SMS code
+ * @access  Public (login challenge token)
+ */
+router.post('/admin/2fa/verify',
+  ValidationSchemas.twoFactorLogin,
+  handleValidationErrors,
+  asyncHandler(TwoFactorController.verifyLogin)
+);
+
+/**
+ * @route   POST /api/v1/auth/admin/2fa/send-code
+ * @desc    Send a one-time login code by SMS instead of using the authenticator
+ * @access  Public (login challenge token)
+ */
+router.post('/admin/2fa/send-code',
+  ValidationSchemas.twoFactorChallenge,
+  handleValidationErrors,
+  asyncHandler(TwoFactorController.sendLoginCode)
+);
+
+/**
+ * @route   GET /api/v1/auth/admin/2fa
+ * @desc    Two-factor status, whether the admin's role requires it and backup codes left
+ * @access  Private (Admin)
+ */
+router.get('/admin/2fa',
+  verifyAdmin,
+  asyncHandler(TwoFactorController.getStatus)
+);
+
+/**
+ * @route   POST /api/v1/auth/admin/2fa/setup
+ * @desc    Generate an authenticator secret and its QR code
+ * @access  Private (Admin)
+ */
+router.post('/admin/2fa/setup',
+  verifyAdmin,
+  asyncHandler(TwoFactorController.beginSetup)
+);
+
+/**
+ * @route   POST /api/v1/auth/admin/2fa/enable
+ * @desc    Confirm the authenticator with a code and receive backup codes
+ * @access  Private (Admin)
+ */
+router.post('/admin/2fa/enable',
+  verifyAdmin,
+  ValidationSchemas.twoFactorCode,
+  handleValidationErrors,
+  asyncHandler(TwoFactorController.enable)
+);
+
+/**
+ * @route   POST /api/v1/auth/admin/2fa/disable
+ * @desc    Turn off two-factor authentication (password and a current code required)
+ * @access  Private (Admin)
+ */
+router.post('/admin/2fa/disable',
+  verifyAdmin,
+  ValidationSchemas.disableTwoFactor,
+  handleValidationErrors,
+  asyncHandler(TwoFactorController.disable)
+);
+
+/**
+ * @route   POST /api/v1/auth/admin/2fa/backup-codes
+ * @desc    Replace the backup codes
+ * @access  Private (Admin)
+ */
+router.post('/admin/2fa/backup-codes',
+  verifyAdmin,
+  ValidationSchemas.twoFactorCode,
+  handleValidationErrors,
+  asyncHandler(TwoFactorController.regenerateBackupCodes)
+);
+
 // ===== CUSTOMER AUTHENTICATION =====
 
 /**
@@ -71,6 +151,28 @@ router.post('/customer/login',
   asyncHandler(CustomerController.login)
 );
 
+/**
+ * @route   POST /api/v1/auth/customer/forgot-password
+ * @desc    Send a password reset code to the customer's registered phone
+ * @access  Public
+ */
+router.post('/customer/forgot-password',
+  ValidationSchemas.forgotPassword,
+  handleValidationErrors,
+  asyncHandler(PasswordResetController.requestCode)
+);
+
+/**
+ * @route   POST /api/v1/auth/customer/reset-password
+ * @desc    Set a new password with the SMS reset code
+ * @access  Public
+ */
+router.post('/customer/reset-password',
+  ValidationSchemas.resetPasswordWithCode,
+  handleValidationErrors,
+  asyncHandler(PasswordResetController.resetPassword)
+);
+
 /**
  * @route   GET /api/v1/auth/customer/profile
  * @desc    Get customer profile
@@ -96,6 +198,28 @@ router.put('/customer/profile',
   asyncHandler(CustomerController.updateProfile)
 );
 
+/**
+ * @route   GET /api/v1/auth/customer/profile/notifications
+ * @desc    Get customer notification preferences
+ * @access  Private (Customer)
+ */
+router.get('/customer/profile/notifications',
+  verifyCustomer,
+  asyncHandler(CustomerController.getNotificationPreferences)
+);
+
+/**
+ * @route   PUT /api/v1/auth/customer/profile/notifications
+ * @desc    Update channel, language, quiet hours and opt-outs
+ * @access  Private (Customer)
+ */
+router.put('/customer/profile/notifications',
+  verifyCustomer,
+  ValidationSchemas.notificationPreferences,
+  handleValidationErrors,
+  asyncHandler(CustomerController.updateNotificationPreferences)
+);
+
 /**
  * @route   POST /api/v1/auth/customer/change-password
  * @desc    Change customer password
@@ -155,17 +279,36 @@ router.get('/validate', asyncHandler(async (req, res) => {
   });
 }));
 
+// ===== SESSIONS =====
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (refresh token)
+ */
+router.post('/refresh',
+  ValidationSchemas.refreshToken,
+  handleValidationErrors,
+  asyncHandler(SessionController.refresh)
+);
+
 /**
  * @route   POST /api/v1/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    End the current session (by refresh token, or the access token's session)
+ * @access  Public
+ */
+router.post('/logout',
+  asyncHandler(SessionController.logout)
+);
+
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    End every session of the signed-in user on all devices
  * @access  Private (Admin or Customer)
  */
-router.post('/logout', asyncHandler(async (req, res) => {
-  const ApiResponse = require('../utils/response');
-  
-  // Since we're using stateless JWT, logout is handled client-side
-  // This endpoint just confirms logout request
-  return ApiResponse.success(res, null, 'Logged out successfully');
-}));
+router.post('/logout-all',
+  verifyToken,
+  asyncHandler(SessionController.logoutAll)
+);
 
 module.exports = router;
\ No newline at end of file
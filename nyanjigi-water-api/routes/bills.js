@@ -1,7 +1,7 @@
 const express = require('express');
 const { BillController } = require('../controllers');
 const { Bill } = require('../models');
-const { verifyAdmin, verifyCustomer } = require('../middleware/auth');
+const { verifyAdmin, requirePermission, verifyCustomer } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
 const ValidationSchemas = require('../utils/validation');
 const ApiResponse = require('../utils/response');
@@ -18,10 +18,11 @@ const router = express.Router();
 /**
  * @route   POST /api/v1/bills/generate
  * @desc    Generate monthly bills for all or specific customers
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.manage)
  */
 router.post('/generate',
   verifyAdmin,
+  requirePermission('billing.manage'),
   ValidationSchemas.generateBills,
   handleValidationErrors,
   asyncHandler(BillController.generateMonthlyBills)
@@ -30,10 +31,11 @@ router.post('/generate',
 /**
  * @route   POST /api/v1/bills/generate/:customerId
  * @desc    Generate bill for a specific customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.manage)
  */
 router.post('/generate/:customerId',
   verifyAdmin,
+  requirePermission('billing.manage'),
   [
     ValidationSchemas.idParam[0],
     require('express-validator').body('billing_month')
@@ -47,10 +49,11 @@ router.post('/generate/:customerId',
 /**
  * @route   POST /api/v1/bills/preview
  * @desc    Generate bill preview for a customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.manage)
  */
 router.post('/preview',
   verifyAdmin,
+  requirePermission('billing.manage'),
   [
     require('express-validator').body('customer_id')
       .isInt({ min: 1 })
@@ -58,21 +61,141 @@ router.post('/preview',
     require('express-validator').body('billing_month')
       .isISO8601()
       .toDate()
-      .withMessage('Valid billing month is required')
+      .withMessage('Valid billing month is required'),
+    require('express-validator').body('meter_reading')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Meter reading must be a positive number')
   ],
   handleValidationErrors,
   asyncHandler(BillController.generateBillPreview)
 );
 
+// ===== BILLING RATES =====
+
+/**
+ * @route   GET /api/v1/bills/rates
+ * @desc    Get billing rate versions with their tiers
+ * @access  Private (Admin: billing.view)
+ */
+router.get('/rates',
+  verifyAdmin,
+  requirePermission('billing.view'),
+  [
+    require('express-validator').query('include_inactive')
+      .optional()
+      .isBoolean()
+      .withMessage('include_inactive must be boolean')
+  ],
+  handleValidationErrors,
+  asyncHandler(BillController.getBillingRates)
+);
+
+/**
+ * @route   POST /api/v1/bills/rates
+ * @desc    Create a new billing rate version (flat_rate, uniform or tiered)
+ * @access  Private (Admin: settings.manage)
+ */
+router.post('/rates',
+  verifyAdmin,
+  requirePermission('settings.manage'),
+  [
+    require('express-validator').body('rate_name')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Rate name must be between 2 and 50 characters'),
+    require('express-validator').body('rate_type')
+      .isIn(['flat_rate', 'tiered', 'uniform'])
+      .withMessage('Rate type must be flat_rate, tiered or uniform'),
+    require('express-validator').body('customer_type')
+      .optional({ nullable: true })
+      .isIn(['normal', 'institution'])
+      .withMessage('Customer type must be normal or institution'),
+    require('express-validator').body('effective_from')
+      .isISO8601()
+      .withMessage('Valid effective from date is required'),
+    require('express-validator').body('effective_to')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Valid effective to date is required'),
+    require('express-validator').body('rate_value')
+      .if(require('express-validator').body('rate_type').not().equals('tiered'))
+      .isFloat({ min: 0 })
+      .withMessage('Rate value is required for flat and uniform rates'),
+    require('express-validator').body('tiers')
+      .if(require('express-validator').body('rate_type').equals('tiered'))
+      .isArray({ min: 1 })
+      .withMessage('Tiered rates require a tiers array'),
+    require('express-validator').body('tiers.*.tier_min')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Tier minimum must be a positive number'),
+    require('express-validator').body('tiers.*.tier_max')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Tier maximum must be a positive number'),
+    require('express-validator').body('tiers.*.rate_value')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Tier rate must be a positive number')
+  ],
+  handleValidationErrors,
+  asyncHandler(BillController.createBillingRate)
+);
+
+/**
+ * @route   POST /api/v1/bills/rates/calculate
+ * @desc    Calculate charges for a consumption figure using the active metered tariff
+ * @access  Private (Admin: billing.view)
+ */
+router.post('/rates/calculate',
+  verifyAdmin,
+  requirePermission('billing.view'),
+  [
+    require('express-validator').body('units')
+      .isFloat({ min: 0 })
+      .withMessage('Units consumed must be a positive number'),
+    require('express-validator').body('customer_type')
+      .optional()
+      .isIn(['normal', 'institution'])
+      .withMessage('Customer type must be normal or institution'),
+    require('express-validator').body('billing_month')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid billing month is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(BillController.calculateCharges)
+);
+
+/**
+ * @route   PUT /api/v1/bills/rates/:rateVersion/deactivate
+ * @desc    Deactivate a billing rate version
+ * @access  Private (Admin: settings.manage)
+ */
+router.put('/rates/:rateVersion/deactivate',
+  verifyAdmin,
+  requirePermission('settings.manage'),
+  [
+    require('express-validator').param('rateVersion')
+      .trim()
+      .notEmpty()
+      .withMessage('Rate version is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(BillController.deactivateBillingRate)
+);
+
 // ===== BILL MANAGEMENT =====
 
 /**
  * @route   GET /api/v1/bills
  * @desc    Get all bills with pagination and filters
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/',
   verifyAdmin,
+  requirePermission('billing.view'),
   [
     ...ValidationSchemas.pagination,
     require('express-validator').query('customer_id')
@@ -90,7 +213,11 @@ router.get('/',
     require('express-validator').query('overdue')
       .optional()
       .isBoolean()
-      .withMessage('Overdue must be boolean')
+      .withMessage('Overdue must be boolean'),
+    require('express-validator').query('estimated')
+      .optional()
+      .isBoolean()
+      .withMessage('Estimated must be boolean')
   ],
   handleValidationErrors,
   asyncHandler(BillController.getAllBills)
@@ -99,10 +226,11 @@ router.get('/',
 /**
  * @route   GET /api/v1/bills/stats
  * @desc    Get billing statistics
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/stats',
   verifyAdmin,
+  requirePermission('billing.view'),
   [
     require('express-validator').query('period')
       .optional()
@@ -116,10 +244,11 @@ router.get('/stats',
 /**
  * @route   GET /api/v1/bills/overdue
  * @desc    Get overdue bills
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/overdue',
   verifyAdmin,
+  requirePermission('billing.view'),
   [
     require('express-validator').query('limit')
       .optional()
@@ -133,10 +262,11 @@ router.get('/overdue',
 /**
  * @route   GET /api/v1/bills/summary
  * @desc    Get monthly billing summary
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/summary',
   verifyAdmin,
+  requirePermission('billing.view'),
   [
     require('express-validator').query('year')
       .optional()
@@ -154,10 +284,11 @@ router.get('/summary',
 /**
  * @route   GET /api/v1/bills/export
  * @desc    Export bills data
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/export',
   verifyAdmin,
+  requirePermission('billing.view'),
   [
     require('express-validator').query('format')
       .optional()
@@ -182,13 +313,29 @@ router.get('/export',
 
 // ===== SPECIFIC BILL OPERATIONS =====
 
+/**
+ * @route   GET /api/v1/bills/:billId/pdf
+ * @desc    Download a printable PDF of a bill
+ * @access  Private (Admin: billing.view)
+ */
+router.get('/:billId/pdf',
+  verifyAdmin,
+  requirePermission('billing.view'),
+  [
+    require('express-validator').param('billId').isInt({ min: 1 }).withMessage('Valid bill ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(BillController.downloadBillPdf)
+);
+
 /**
  * @route   GET /api/v1/bills/:billId
  * @desc    Get specific bill details
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/:billId',
   verifyAdmin,
+  requirePermission('billing.view'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(BillController.getBillDetails)
@@ -197,10 +344,11 @@ router.get('/:billId',
 /**
  * @route   PUT /api/v1/bills/:billId/status
  * @desc    Update bill status
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.manage)
  */
 router.put('/:billId/status',
   verifyAdmin,
+  requirePermission('billing.manage'),
   [
     ValidationSchemas.idParam[0],
     require('express-validator').body('status')
@@ -214,10 +362,11 @@ router.put('/:billId/status',
 /**
  * @route   DELETE /api/v1/bills/:billId
  * @desc    Delete bill (use with caution)
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.manage)
  */
 router.delete('/:billId',
   verifyAdmin,
+  requirePermission('billing.manage'),
   [
     ValidationSchemas.idParam[0],
     require('express-validator').body('confirm')
@@ -239,10 +388,11 @@ router.delete('/:billId',
 /**
  * @route   PUT /api/v1/bills/bulk/status
  * @desc    Bulk update bill status
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.manage)
  */
 router.put('/bulk/status',
   verifyAdmin,
+  requirePermission('billing.manage'),
   [
     require('express-validator').body('bill_ids')
       .isArray({ min: 1 })
@@ -263,10 +413,11 @@ router.put('/bulk/status',
 /**
  * @route   GET /api/v1/bills/customer/:customerId
  * @desc    Get bills for specific customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/customer/:customerId',
   verifyAdmin,
+  requirePermission('billing.view'),
   [
     ValidationSchemas.idParam[0],
     ...ValidationSchemas.pagination
@@ -278,10 +429,11 @@ router.get('/customer/:customerId',
 /**
  * @route   GET /api/v1/bills/customer/:customerId/summary
  * @desc    Get billing summary for specific customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/customer/:customerId/summary',
   verifyAdmin,
+  requirePermission('billing.view'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(BillController.getCustomerBillSummary)
@@ -1,6 +1,6 @@
 const express = require('express');
 const { ContributionController } = require('../controllers');
-const { verifyAdmin, verifyCustomer } = require('../middleware/auth');
+const { verifyAdmin, requirePermission, verifyCustomer } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
 const ValidationSchemas = require('../utils/validation');
 
@@ -16,10 +16,11 @@ const router = express.Router();
 /**
  * @route   POST /api/v1/contributions/generate
  * @desc    Generate monthly contributions for all or specific customers
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.manage)
  */
 router.post('/generate',
   verifyAdmin,
+  requirePermission('contributions.manage'),
   [
     require('express-validator').body('contribution_month')
       .isISO8601()
@@ -41,10 +42,11 @@ router.post('/generate',
 /**
  * @route   POST /api/v1/contributions/bulk-generate
  * @desc    Bulk generate contributions for multiple months
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.manage)
  */
 router.post('/bulk-generate',
   verifyAdmin,
+  requirePermission('contributions.manage'),
   [
     require('express-validator').body('start_month')
       .isISO8601()
@@ -72,10 +74,11 @@ router.post('/bulk-generate',
 /**
  * @route   GET /api/v1/contributions
  * @desc    Get all contributions with pagination and filters
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/',
   verifyAdmin,
+  requirePermission('contributions.view'),
   [
     ...ValidationSchemas.pagination,
     require('express-validator').query('customer_id')
@@ -102,20 +105,22 @@ router.get('/',
 /**
  * @route   GET /api/v1/contributions/dashboard
  * @desc    Get contribution dashboard data
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/dashboard',
   verifyAdmin,
+  requirePermission('contributions.view'),
   asyncHandler(ContributionController.getContributionDashboard)
 );
 
 /**
  * @route   GET /api/v1/contributions/stats
  * @desc    Get contribution statistics
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/stats',
   verifyAdmin,
+  requirePermission('contributions.view'),
   [
     require('express-validator').query('period')
       .optional()
@@ -129,10 +134,11 @@ router.get('/stats',
 /**
  * @route   GET /api/v1/contributions/overdue
  * @desc    Get overdue contributions
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/overdue',
   verifyAdmin,
+  requirePermission('contributions.view'),
   [
     require('express-validator').query('limit')
       .optional()
@@ -146,10 +152,11 @@ router.get('/overdue',
 /**
  * @route   GET /api/v1/contributions/summary
  * @desc    Get monthly contribution summary
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/summary',
   verifyAdmin,
+  requirePermission('contributions.view'),
   [
     require('express-validator').query('year')
       .optional()
@@ -167,10 +174,11 @@ router.get('/summary',
 /**
  * @route   GET /api/v1/contributions/settings
  * @desc    Get contribution settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/settings',
   verifyAdmin,
+  requirePermission('contributions.view'),
   asyncHandler(ContributionController.getContributionSettings)
 );
 
@@ -178,10 +186,11 @@ router.get('/settings',
 /**
  * @route   PUT /api/v1/contributions/amount
  * @desc    Update contribution amount system-wide
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.put('/amount',
   verifyAdmin,
+  requirePermission('settings.manage'),
   [
     require('express-validator').body('new_amount')
       .isFloat({ min: 1 })
@@ -200,10 +209,11 @@ router.put('/amount',
 /**
  * @route   GET /api/v1/contributions/export
  * @desc    Export contributions data
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/export',
   verifyAdmin,
+  requirePermission('contributions.view'),
   [
     require('express-validator').query('format')
       .optional()
@@ -231,10 +241,11 @@ router.get('/export',
 /**
  * @route   POST /api/v1/contributions/:contributionId/mark-paid
  * @desc    Mark contribution as paid (manual payment)
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.manage)
  */
 router.post('/:contributionId/mark-paid',
   verifyAdmin,
+  requirePermission('contributions.manage'),
   [
     ValidationSchemas.idParam[0],
     require('express-validator').body('amount_paid')
@@ -256,10 +267,11 @@ router.post('/:contributionId/mark-paid',
 /**
  * @route   GET /api/v1/contributions/customer/:customerId
  * @desc    Get contributions for specific customer (Admin view)
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/customer/:customerId',
   verifyAdmin,
+  requirePermission('contributions.view'),
   [
     ValidationSchemas.idParam[0],
     ...ValidationSchemas.pagination
@@ -271,10 +283,11 @@ router.get('/customer/:customerId',
 /**
  * @route   GET /api/v1/contributions/customer/:customerId/summary
  * @desc    Get contribution summary for specific customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/customer/:customerId/summary',
   verifyAdmin,
+  requirePermission('contributions.view'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(ContributionController.getCustomerContributionSummary)
@@ -315,10 +328,11 @@ router.get('/me/summary',
 /**
  * @route   GET /api/v1/contributions/:contributionId
  * @desc    Get single contribution details
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/:contributionId',
   verifyAdmin,
+  requirePermission('contributions.view'),
   [
     require('express-validator').param('contributionId')
       .isInt({ min: 1 })
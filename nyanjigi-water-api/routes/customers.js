@@ -1,6 +1,6 @@
 const express = require('express');
 const { CustomerController } = require('../controllers');
-const { verifyAdmin, verifyCustomer } = require('../middleware/auth');
+const { verifyAdmin, requirePermission, verifyCustomer } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
 const ValidationSchemas = require('../utils/validation');
 
@@ -16,10 +16,11 @@ const router = express.Router();
 /**
  * @route   POST /api/v1/customers
  * @desc    Create new customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.post('/',
   verifyAdmin,
+  requirePermission('customers.manage'),
   ValidationSchemas.createCustomer,
   handleValidationErrors,
   asyncHandler(CustomerController.createCustomer)
@@ -28,10 +29,11 @@ router.post('/',
 /**
  * @route   POST /api/v1/customers/send-password
  * @desc    Send password to customer via SMS
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.post('/send-password',
   verifyAdmin,
+  requirePermission('customers.manage'),
   [
     require('express-validator').body('phone')
       .notEmpty()
@@ -87,10 +89,11 @@ router.post('/send-password',
 /**
  * @route   GET /api/v1/customers
  * @desc    Get all customers with pagination and search
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/',
   verifyAdmin,
+  requirePermission('customers.view'),
   ValidationSchemas.pagination,
   handleValidationErrors,
   asyncHandler(CustomerController.getAllCustomers)
@@ -99,20 +102,22 @@ router.get('/',
 /**
  * @route   GET /api/v1/customers/stats
  * @desc    Get customer statistics
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/stats',
   verifyAdmin,
+  requirePermission('customers.view'),
   asyncHandler(CustomerController.getCustomerStats)
 );
 
 /**
  * @route   GET /api/v1/customers/search
  * @desc    Search customers
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/search',
   verifyAdmin,
+  requirePermission('customers.view'),
   [
     ValidationSchemas.pagination[2] // search validation
   ],
@@ -123,10 +128,11 @@ router.get('/search',
 /**
  * @route   GET /api/v1/customers/:customerId
  * @desc    Get specific customer details
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/:customerId',
   verifyAdmin,
+  requirePermission('customers.view'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(CustomerController.getCustomerById)
@@ -135,10 +141,11 @@ router.get('/:customerId',
 /**
  * @route   PUT /api/v1/customers/:customerId
  * @desc    Update customer information
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.put('/:customerId',
   verifyAdmin,
+  requirePermission('customers.manage'),
   ValidationSchemas.updateCustomer,
   handleValidationErrors,
   asyncHandler(CustomerController.updateCustomer)
@@ -147,10 +154,11 @@ router.put('/:customerId',
 /**
  * @route   POST /api/v1/customers/:id/toggle-status
  * @desc    Activate/deactivate customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.post('/:id/toggle-status',
   verifyAdmin,
+  requirePermission('customers.manage'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(CustomerController.toggleStatus)
@@ -159,10 +167,11 @@ router.post('/:id/toggle-status',
 /**
  * @route   POST /api/v1/customers/:customerId/reset-password
  * @desc    Reset customer password
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.post('/:customerId/reset-password',
   verifyAdmin,
+  requirePermission('customers.manage'),
   [
     ValidationSchemas.idParam[0],
     require('express-validator').body('new_password')
@@ -213,6 +222,20 @@ router.get('/me/bills/:billId',
   asyncHandler(CustomerController.getBillDetails)
 );
 
+/**
+ * @route   GET /api/v1/customers/me/bills/:billId/pdf
+ * @desc    Download a printable PDF of the customer's own bill
+ * @access  Private (Customer only)
+ */
+router.get('/me/bills/:billId/pdf',
+  verifyCustomer,
+  [
+    require('express-validator').param('billId').isInt({ min: 1 }).withMessage('Valid bill ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(CustomerController.downloadBillPdf)
+);
+
 // The above customer self-service bill routes are moved before parameterized routes below
 
 
@@ -240,6 +263,20 @@ router.get('/me/payments/:paymentId',
   asyncHandler(CustomerController.getPaymentDetails)
 );
 
+/**
+ * @route   GET /api/v1/customers/me/payments/:paymentId/receipt
+ * @desc    Download a printable PDF receipt for the customer's own payment
+ * @access  Private (Customer only)
+ */
+router.get('/me/payments/:paymentId/receipt',
+  verifyCustomer,
+  [
+    require('express-validator').param('paymentId').isInt({ min: 1 }).withMessage('Valid payment ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(CustomerController.downloadReceipt)
+);
+
 /**
  * @route   GET /api/v1/customers/me/contributions
  * @desc    Get customer's own contributions
@@ -286,15 +323,47 @@ router.get('/me/account-summary',
   asyncHandler(CustomerController.getAccountSummary)
 );
 
+/**
+ * @route   GET /api/v1/customers/me/ledger
+ * @desc    Get customer's own ledger with running balance
+ * @access  Private (Customer only)
+ */
+router.get('/me/ledger',
+  verifyCustomer,
+  [
+    require('express-validator').query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    require('express-validator').query('to').optional().isISO8601().withMessage('To must be a valid date')
+  ],
+  handleValidationErrors,
+  asyncHandler(CustomerController.getLedger)
+);
+
+/**
+ * @route   GET /api/v1/customers/me/statement
+ * @desc    Get customer's own statement for a date range (format: json, csv or pdf)
+ * @access  Private (Customer only)
+ */
+router.get('/me/statement',
+  verifyCustomer,
+  [
+    require('express-validator').query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    require('express-validator').query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    require('express-validator').query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be json, csv or pdf')
+  ],
+  handleValidationErrors,
+  asyncHandler(CustomerController.getStatement)
+);
+
 // ===== ADMIN-ONLY CUSTOMER MANAGEMENT =====
 
 /**
  * @route   POST /api/v1/customers
  * @desc    Create new customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.post('/',
   verifyAdmin,
+  requirePermission('customers.manage'),
   ValidationSchemas.createCustomer,
   handleValidationErrors,
   asyncHandler(CustomerController.createCustomer)
@@ -303,10 +372,11 @@ router.post('/',
 /**
  * @route   GET /api/v1/customers
  * @desc    Get all customers with pagination and search
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/',
   verifyAdmin,
+  requirePermission('customers.view'),
   ValidationSchemas.pagination,
   handleValidationErrors,
   asyncHandler(CustomerController.getAllCustomers)
@@ -315,20 +385,22 @@ router.get('/',
 /**
  * @route   GET /api/v1/customers/stats
  * @desc    Get customer statistics
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/stats',
   verifyAdmin,
+  requirePermission('customers.view'),
   asyncHandler(CustomerController.getCustomerStats)
 );
 
 /**
  * @route   GET /api/v1/customers/search
  * @desc    Search customers
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/search',
   verifyAdmin,
+  requirePermission('customers.view'),
   [
     ValidationSchemas.pagination[2] // search validation
   ],
@@ -339,10 +411,11 @@ router.get('/search',
 /**
  * @route   GET /api/v1/customers/:customerId
  * @desc    Get specific customer details
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/:customerId',
   verifyAdmin,
+  requirePermission('customers.view'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(CustomerController.getCustomerById)
@@ -351,10 +424,11 @@ router.get('/:customerId',
 /**
  * @route   PUT /api/v1/customers/:customerId
  * @desc    Update customer information
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.put('/:customerId',
   verifyAdmin,
+  requirePermission('customers.manage'),
   ValidationSchemas.updateCustomer,
   handleValidationErrors,
   asyncHandler(CustomerController.updateCustomer)
@@ -363,10 +437,11 @@ router.put('/:customerId',
 /**
  * @route   POST /api/v1/customers/:id/toggle-status
  * @desc    Activate/deactivate customer
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.post('/:id/toggle-status',
   verifyAdmin,
+  requirePermission('customers.manage'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(CustomerController.toggleStatus)
@@ -375,10 +450,11 @@ router.post('/:id/toggle-status',
 /**
  * @route   POST /api/v1/customers/:customerId/reset-password
  * @desc    Reset customer password
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.manage)
  */
 router.post('/:customerId/reset-password',
   verifyAdmin,
+  requirePermission('customers.manage'),
   [
     ValidationSchemas.idParam[0],
     require('express-validator').body('new_password')
@@ -395,10 +471,11 @@ router.post('/:customerId/reset-password',
 /**
  * @route   GET /api/v1/customers/:customerId/bills
  * @desc    Get customer bills (Admin view)
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/:customerId/bills',
   verifyAdmin,
+  requirePermission('billing.view'),
   [
     ValidationSchemas.idParam[0],
     ...ValidationSchemas.pagination
@@ -410,10 +487,11 @@ router.get('/:customerId/bills',
 /**
  * @route   GET /api/v1/customers/:customerId/bills/summary
  * @desc    Get customer bill summary
- * @access  Private (Admin only)
+ * @access  Private (Admin: billing.view)
  */
 router.get('/:customerId/bills/summary',
   verifyAdmin,
+  requirePermission('billing.view'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(require('../controllers/BillController').getCustomerBillSummary)
@@ -424,10 +502,11 @@ router.get('/:customerId/bills/summary',
 /**
  * @route   GET /api/v1/customers/:customerId/payments
  * @desc    Get customer payments (Admin view)
- * @access  Private (Admin only)
+ * @access  Private (Admin: payments.view)
  */
 router.get('/:customerId/payments',
   verifyAdmin,
+  requirePermission('payments.view'),
   [
     ValidationSchemas.idParam[0],
     ...ValidationSchemas.pagination
@@ -441,10 +520,11 @@ router.get('/:customerId/payments',
 /**
  * @route   GET /api/v1/customers/:customerId/contributions
  * @desc    Get customer contributions (Admin view)
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/:customerId/contributions',
   verifyAdmin,
+  requirePermission('contributions.view'),
   [
     ValidationSchemas.idParam[0],
     ...ValidationSchemas.pagination
@@ -456,10 +536,11 @@ router.get('/:customerId/contributions',
 /**
  * @route   GET /api/v1/customers/:customerId/contributions/summary
  * @desc    Get customer contribution summary
- * @access  Private (Admin only)
+ * @access  Private (Admin: contributions.view)
  */
 router.get('/:customerId/contributions/summary',
   verifyAdmin,
+  requirePermission('contributions.view'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(require('../controllers/ContributionController').getCustomerContributionSummary)
@@ -470,14 +551,50 @@ router.get('/:customerId/contributions/summary',
 /**
  * @route   GET /api/v1/customers/:customerId/account-summary
  * @desc    Get complete customer account summary
- * @access  Private (Admin only)
+ * @access  Private (Admin: customers.view)
  */
 router.get('/:customerId/account-summary',
   verifyAdmin,
+  requirePermission('customers.view'),
   ValidationSchemas.idParam,
   handleValidationErrors,
   asyncHandler(CustomerController.getAccountSummary)
 );
 
+/**
+ * @route   GET /api/v1/customers/:customerId/ledger
+ * @desc    Get customer ledger with running balance
+ * @access  Private (Admin: customers.view)
+ */
+router.get('/:customerId/ledger',
+  verifyAdmin,
+  requirePermission('customers.view'),
+  [
+    require('express-validator').param('customerId').isInt({ min: 1 }).withMessage('Valid customer ID is required'),
+    require('express-validator').query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    require('express-validator').query('to').optional().isISO8601().withMessage('To must be a valid date')
+  ],
+  handleValidationErrors,
+  asyncHandler(CustomerController.getLedger)
+);
+
+/**
+ * @route   GET /api/v1/customers/:customerId/statement
+ * @desc    Get customer statement for a date range (format: json, csv or pdf)
+ * @access  Private (Admin: customers.view)
+ */
+router.get('/:customerId/statement',
+  verifyAdmin,
+  requirePermission('customers.view'),
+  [
+    require('express-validator').param('customerId').isInt({ min: 1 }).withMessage('Valid customer ID is required'),
+    require('express-validator').query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    require('express-validator').query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    require('express-validator').query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be json, csv or pdf')
+  ],
+  handleValidationErrors,
+  asyncHandler(CustomerController.getStatement)
+);
+
 module.exports = router;
 
@@ -1,6 +1,6 @@
 const express = require('express');
 const EquityController = require('../controllers/EquityController');
-const { verifyAdmin, verifyCustomer, verifyToken } = require('../middleware/auth');
+const { verifyAdmin, requirePermission, requirePermissionForAdmins, verifyCustomer, verifyToken } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
 const { body, param, query } = require('express-validator');
 const jwt = require('jsonwebtoken');
@@ -100,7 +100,9 @@ router.post('/callback',
     body('member_number').trim().notEmpty().withMessage('Member number is required'),
     body('amount').isFloat({ min: 0.01 }).withMessage('Valid amount is required'),
     body('payment_method').trim().notEmpty().withMessage('Payment method is required'),
-    body('status').optional()
+    body('status').optional(),
+    body('original_transaction_id').optional().trim(),
+    body('phone').optional().trim()
   ],
   handleValidationErrors,
   asyncHandler(EquityController.handlePaymentCallback.bind(EquityController))
@@ -112,6 +114,7 @@ router.post('/callback',
 // Get all equity payments across all customers (Admin only)
 router.get('/payments/all',
   verifyAdmin,
+  requirePermission('payments.view'),
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 })
@@ -165,9 +168,10 @@ router.get('/payments/all',
   })
 );
 
-// Get payment history - Admin sees any customer, Customer sees only their own
+// Get payment history - Admin (payments.view) sees any customer, Customer sees only their own
 router.get('/history/:customer_id',
   verifyToken,
+  requirePermissionForAdmins('payments.view'),
   [
     param('customer_id').isInt({ min: 1 }).withMessage('Valid customer ID is required'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
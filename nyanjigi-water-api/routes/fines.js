@@ -1,7 +1,7 @@
 
 const express = require('express');
 const FineController = require('../controllers/FineController');
-const { verifyAdmin, verifyCustomer } = require('../middleware/auth');
+const { verifyAdmin, requirePermission, verifyCustomer } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
 const { body, param, query } = require('express-validator');
 
@@ -10,6 +10,7 @@ const router = express.Router();
 // Get all applied fines for all customers (Admin only)
 router.get('/',
   verifyAdmin,
+  requirePermission('fines.view'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer')
@@ -31,6 +32,7 @@ router.get('/types',
 // Get applied fines for a customer (Admin or Customer)
 router.get('/customer/:customerId',
   verifyAdmin,
+  requirePermission('fines.view'),
   [
     param('customerId').isInt().withMessage('Customer ID must be an integer'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -48,6 +50,7 @@ router.get('/me',
 // Apply a new fine to a customer (Admin only)
 router.post('/',
   verifyAdmin,
+  requirePermission('fines.manage'),
   [
     body('customerId').isInt().withMessage('Customer ID must be an integer'),
     body('fineTypeId').isInt().withMessage('Fine Type ID must be an integer'),
@@ -62,9 +65,11 @@ router.post('/',
 // Update fine status (Admin only)
 router.put('/:fineId/status',
   verifyAdmin,
+  requirePermission('fines.manage'),
   [
     param('fineId').isInt().withMessage('Fine ID must be an integer'),
-    body('status').isIn(['pending', 'paid', 'waived']).withMessage('Invalid status value')
+    body('status').isIn(['pending', 'paid', 'waived']).withMessage('Invalid status value'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
   ],
   handleValidationErrors,
   asyncHandler(FineController.updateFineStatus)
@@ -73,6 +78,7 @@ router.put('/:fineId/status',
 // Get fine details by ID (Admin or Customer)
 router.get('/:fineId',
   verifyAdmin,
+  requirePermission('fines.view'),
   [
     param('fineId').isInt().withMessage('Fine ID must be an integer')
   ],
@@ -11,6 +11,9 @@ const contributionRoutes = require('./contributions');
 const settingsRoutes = require('./settings');
 const finesRoutes = require('./fines');
 const equityRoutes = require('./equity');
+const meterReadingRoutes = require('./meterReadings');
+const reconciliationRoutes = require('./reconciliation');
+const smsRoutes = require('./sms');
 
 const router = express.Router();
 
@@ -40,7 +43,9 @@ router.get('/', (req, res) => {
       admin: '/api/v1/admin',
       customers: '/api/v1/customers',
       bills: '/api/v1/bills',
+      meter_readings: '/api/v1/meter-readings',
       payments: '/api/v1/payments',
+      reconciliation: '/api/v1/reconciliation',
       contributions: '/api/v1/contributions',
       settings: '/api/v1/settings'
     },
@@ -70,6 +75,9 @@ router.use('/payments', paymentRoutes);
 router.use('/contributions', contributionRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/fines', finesRoutes);
+router.use('/meter-readings', meterReadingRoutes);
+router.use('/reconciliation', reconciliationRoutes);
+router.use('/sms', smsRoutes);
 
 
 module.exports = router;
\ No newline at end of file
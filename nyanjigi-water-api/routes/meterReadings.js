@@ -0,0 +1,247 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { MeterReadingController } = require('../controllers');
+const { verifyAdmin, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
+const ValidationSchemas = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Meter Reading Routes
+ * Base path: /api/v1/meter-readings
+ */
+
+const validZones = ['Nyakahura', 'G3', 'Githunguri'];
+
+// ===== READING CAPTURE =====
+
+/**
+ * @route   POST /api/v1/meter-readings
+ * @desc    Record a single meter reading by customer ID or meter number
+ * @access  Private (Admin: meter_readings.manage)
+ */
+router.post('/',
+  verifyAdmin,
+  requirePermission('meter_readings.manage'),
+  [
+    body('customer_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Valid customer ID is required'),
+    body('meter_number')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Meter number cannot be empty'),
+    body('reading_value')
+      .isFloat({ min: 0 })
+      .withMessage('Reading must be a positive number'),
+    body('reading_date')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid reading date is required (YYYY-MM-DD)'),
+    body('reading_period')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid reading period is required (YYYY-MM-DD)'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.recordReading)
+);
+
+/**
+ * @route   POST /api/v1/meter-readings/bulk
+ * @desc    Bulk upload readings for a zone (CSV text with meter_number,reading[,reading_date,notes])
+ * @access  Private (Admin: meter_readings.manage)
+ */
+router.post('/bulk',
+  verifyAdmin,
+  requirePermission('meter_readings.manage'),
+  [
+    body('zone')
+      .isIn(validZones)
+      .withMessage(`Zone must be one of: ${validZones.join(', ')}`),
+    body('csv')
+      .isString()
+      .notEmpty()
+      .withMessage('CSV content is required'),
+    body('reading_period')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid reading period is required (YYYY-MM-DD)')
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.bulkUploadReadings)
+);
+
+// ===== READING QUERIES =====
+
+/**
+ * @route   GET /api/v1/meter-readings
+ * @desc    Get meter readings with pagination and filters
+ * @access  Private (Admin: meter_readings.view)
+ */
+router.get('/',
+  verifyAdmin,
+  requirePermission('meter_readings.view'),
+  [
+    ...ValidationSchemas.pagination,
+    query('customer_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Valid customer ID is required'),
+    query('zone')
+      .optional()
+      .isIn(validZones)
+      .withMessage(`Zone must be one of: ${validZones.join(', ')}`),
+    query('status')
+      .optional()
+      .isIn(['valid', 'flagged', 'approved', 'rejected'])
+      .withMessage('Valid status is required'),
+    query('reading_period')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid reading period is required (YYYY-MM-DD)')
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.getAllReadings)
+);
+
+/**
+ * @route   GET /api/v1/meter-readings/review
+ * @desc    Get flagged readings awaiting review
+ * @access  Private (Admin: meter_readings.view)
+ */
+router.get('/review',
+  verifyAdmin,
+  requirePermission('meter_readings.view'),
+  [
+    ...ValidationSchemas.pagination,
+    query('zone')
+      .optional()
+      .isIn(validZones)
+      .withMessage(`Zone must be one of: ${validZones.join(', ')}`),
+    query('reading_period')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid reading period is required (YYYY-MM-DD)')
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.getReviewQueue)
+);
+
+/**
+ * @route   GET /api/v1/meter-readings/missing
+ * @desc    Get metered customers without a reading for a period
+ * @access  Private (Admin: meter_readings.view)
+ */
+router.get('/missing',
+  verifyAdmin,
+  requirePermission('meter_readings.view'),
+  [
+    query('reading_period')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid reading period is required (YYYY-MM-DD)'),
+    query('zone')
+      .optional()
+      .isIn(validZones)
+      .withMessage(`Zone must be one of: ${validZones.join(', ')}`)
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.getMissingReadings)
+);
+
+/**
+ * @route   GET /api/v1/meter-readings/summary
+ * @desc    Get reading capture and review summary per zone for a period
+ * @access  Private (Admin: meter_readings.view)
+ */
+router.get('/summary',
+  verifyAdmin,
+  requirePermission('meter_readings.view'),
+  [
+    query('reading_period')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid reading period is required (YYYY-MM-DD)')
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.getReadingSummary)
+);
+
+/**
+ * @route   GET /api/v1/meter-readings/customer/:customerId
+ * @desc    Get reading history for a customer
+ * @access  Private (Admin: meter_readings.view)
+ */
+router.get('/customer/:customerId',
+  verifyAdmin,
+  requirePermission('meter_readings.view'),
+  [
+    param('customerId')
+      .isInt({ min: 1 })
+      .withMessage('Valid customer ID is required'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 120 })
+      .withMessage('Limit must be between 1 and 120')
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.getCustomerReadings)
+);
+
+// ===== SPECIFIC READING OPERATIONS =====
+
+/**
+ * @route   GET /api/v1/meter-readings/:readingId
+ * @desc    Get meter reading details
+ * @access  Private (Admin: meter_readings.view)
+ */
+router.get('/:readingId',
+  verifyAdmin,
+  requirePermission('meter_readings.view'),
+  [
+    param('readingId')
+      .isInt({ min: 1 })
+      .withMessage('Valid reading ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.getReadingDetails)
+);
+
+/**
+ * @route   PUT /api/v1/meter-readings/:readingId/review
+ * @desc    Approve or reject a flagged reading
+ * @access  Private (Admin: meter_readings.manage)
+ */
+router.put('/:readingId/review',
+  verifyAdmin,
+  requirePermission('meter_readings.manage'),
+  [
+    param('readingId')
+      .isInt({ min: 1 })
+      .withMessage('Valid reading ID is required'),
+    body('action')
+      .isIn(['approve', 'reject'])
+      .withMessage('Action must be approve or reject'),
+    body('notes')
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('Review notes must be between 3 and 500 characters'),
+    body('adjusted_consumption')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Adjusted consumption must be a positive number')
+  ],
+  handleValidationErrors,
+  asyncHandler(MeterReadingController.reviewReading)
+);
+
+module.exports = router;
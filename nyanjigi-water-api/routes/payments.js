@@ -1,8 +1,9 @@
 const express = require('express');
 const PaymentController = require('../controllers/PaymentController');
-const { verifyAdmin, verifyToken } = require('../middleware/auth');
+const { SystemSettings } = require('../models');
+const { verifyAdmin, requirePermission, requirePermissionForAdmins, verifyCustomer, verifyToken } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
-const { query, param } = require('express-validator');
+const { query, param, body } = require('express-validator');
 const router = express.Router();
 
 
@@ -18,23 +19,63 @@ router.get('/methods',
  */
 router.get('/all',
   verifyAdmin,
+  requirePermission('payments.view'),
   [
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
     query('customer_id').optional().isInt({ min: 1 }).toInt(),
-    query('status').optional().isIn(['pending', 'completed', 'failed', 'cancelled']),
+    query('status').optional().isIn(['pending', 'completed', 'failed', 'reversed', 'cancelled']),
     query('date_from').optional().isISO8601().toDate(),
     query('date_to').optional().isISO8601().toDate(),
-    query('search').optional().isString().trim()
+    query('search').optional().isString().trim(),
+    query('payment_method').optional().isString().trim()
   ],
   handleValidationErrors,
   asyncHandler(PaymentController.getAllPayments)
 );
+
+/**
+ * Record a cash, cheque or bank transfer payment collected at the office (Admin only)
+ */
+router.post('/manual',
+  verifyAdmin,
+  requirePermission('payments.manage'),
+  [
+    body('customer_id').isInt({ min: 1 }).withMessage('Valid customer ID is required'),
+    body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least 1'),
+    body('payment_method')
+      .isIn(['cash', 'cheque', 'bank_transfer'])
+      .withMessage('Payment method must be cash, cheque or bank_transfer'),
+    body('payment_reference')
+      .if(body('payment_method').isIn(['cheque', 'bank_transfer']))
+      .trim()
+      .notEmpty()
+      .withMessage('Cheque number or bank reference is required')
+      .isLength({ max: 100 })
+      .withMessage('Reference cannot exceed 100 characters'),
+    body('payment_date')
+      .optional()
+      .isISO8601()
+      .withMessage('Payment date must be a valid date')
+      .custom(value => new Date(value) <= new Date())
+      .withMessage('Payment date cannot be in the future'),
+    body('reference_type').optional().isIn(['general', 'bill', 'fine', 'contribution']),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+    body('notify_customer').optional().isBoolean()
+  ],
+  handleValidationErrors,
+  asyncHandler(PaymentController.recordManualPayment)
+);
 /**
  * Get payment statistics (Admin only)
  */
 router.get('/stats',
   verifyAdmin,
+  requirePermission('payments.view'),
   [
     query('period').optional().isIn(['daily', 'monthly', 'yearly'])
   ],
@@ -42,6 +83,94 @@ router.get('/stats',
   asyncHandler(PaymentController.getPaymentStats)
 );
 
+/**
+ * Get payment reversal history (Admin only)
+ */
+router.get('/reversals',
+  verifyAdmin,
+  requirePermission('payments.view'),
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('customer_id').optional().isInt({ min: 1 }).toInt(),
+    query('source').optional().isIn(['admin', 'equity_callback'])
+  ],
+  handleValidationErrors,
+  asyncHandler(PaymentController.getReversals)
+);
+
+/**
+ * Preview how an amount would be allocated for a customer (Admin only)
+ */
+router.get('/allocation-preview',
+  verifyAdmin,
+  requirePermission('payments.view'),
+  [
+    query('customer_id').isInt({ min: 1 }).withMessage('Valid customer ID is required'),
+    query('amount').isFloat({ min: 0.01 }).withMessage('Valid amount is required'),
+    query('policy')
+      .optional()
+      .isIn(Object.keys(SystemSettings.ALLOCATION_POLICIES))
+      .withMessage(`Policy must be one of: ${Object.keys(SystemSettings.ALLOCATION_POLICIES).join(', ')}`),
+    query('split_percent')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Contribution split must be between 0 and 100 percent'),
+    query('reference_type').optional().isIn(['general', 'bill', 'fine', 'contribution'])
+  ],
+  handleValidationErrors,
+  asyncHandler(PaymentController.previewAllocation)
+);
+
+/**
+ * Get unmatched (suspense) payments (Admin only)
+ */
+router.get('/suspense',
+  verifyAdmin,
+  requirePermission('payments.view'),
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('status').optional().isIn(['unmatched', 'assigned', 'reversed', 'all']),
+    query('search').optional().trim()
+  ],
+  handleValidationErrors,
+  asyncHandler(PaymentController.getSuspensePayments)
+);
+
+/**
+ * Get candidate customer matches for a suspense payment (Admin only)
+ */
+router.get('/suspense/:suspenseId/candidates',
+  verifyAdmin,
+  requirePermission('payments.view'),
+  [
+    param('suspenseId').isInt({ min: 1 })
+  ],
+  handleValidationErrors,
+  asyncHandler(PaymentController.getSuspenseCandidates)
+);
+
+/**
+ * Assign a suspense payment to a customer (Admin only)
+ */
+router.post('/suspense/:suspenseId/assign',
+  verifyAdmin,
+  requirePermission('payments.manage'),
+  [
+    param('suspenseId').isInt({ min: 1 }),
+    body('customer_id').isInt({ min: 1 }).withMessage('Valid customer ID is required'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+    body('notify_customer').optional().isBoolean().toBoolean()
+  ],
+  handleValidationErrors,
+  asyncHandler(PaymentController.assignSuspensePayment)
+);
+
 /**
  * Get payment status by transaction ID
  */
@@ -57,7 +186,7 @@ router.get('/status/:transactionId',
  * Get payment history for authenticated customer
  */
 router.get('/history',
-  verifyToken,
+  verifyCustomer,
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 })
@@ -65,14 +194,8 @@ router.get('/history',
   handleValidationErrors,
   asyncHandler(async (req, res) => {
     const { page = 1, limit = 20 } = req.query;
-    const customerId = req.customer?.id || req.admin?.id;
-    
-    if (!customerId) {
-      return res.status(401).json({ success: false, message: 'Unauthorized' });
-    }
-    
     const Payment = require('../models/Payment');
-    const result = await Payment.getCustomerPayments(customerId, page, limit);
+    const result = await Payment.getCustomerPayments(req.customer.id, page, limit);
     
     const ApiResponse = require('../utils/response');
     return ApiResponse.success(res, result, 'Payment history retrieved');
@@ -80,10 +203,11 @@ router.get('/history',
 );
 
 /**
- * Get payment details
+ * Get payment details (Customer: own payments; Admin: payments.view)
  */
 router.get('/:paymentId',
   verifyToken,
+  requirePermissionForAdmins('payments.view'),
   [
     param('paymentId').isInt({ min: 1 })
   ],
@@ -91,5 +215,36 @@ router.get('/:paymentId',
   asyncHandler(PaymentController.getPaymentDetails)
 );
 
+/**
+ * Download a printable PDF receipt for a payment (Admin only)
+ */
+router.get('/:paymentId/receipt',
+  verifyAdmin,
+  requirePermission('payments.view'),
+  [
+    param('paymentId').isInt({ min: 1 })
+  ],
+  handleValidationErrors,
+  asyncHandler(PaymentController.downloadReceipt)
+);
+
+/**
+ * Reverse a completed payment (Admin only)
+ */
+router.post('/:paymentId/reverse',
+  verifyAdmin,
+  requirePermission('payments.manage'),
+  [
+    param('paymentId').isInt({ min: 1 }),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Reversal reason must be between 5 and 500 characters'),
+    body('notify_customer').optional().isBoolean().toBoolean()
+  ],
+  handleValidationErrors,
+  asyncHandler(PaymentController.reversePayment)
+);
 
 module.exports = router;
\ No newline at end of file
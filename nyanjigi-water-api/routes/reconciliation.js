@@ -0,0 +1,106 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { ReconciliationController } = require('../controllers');
+const { verifyAdmin, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Statement Reconciliation Routes
+ * Base path: /api/v1/reconciliation
+ */
+
+/**
+ * @route   POST /api/v1/reconciliation/statements
+ * @desc    Upload an Equity statement export (CSV or MT940 text) and reconcile it against callbacks
+ * @access  Private (Admin: payments.manage)
+ */
+router.post('/statements',
+  verifyAdmin,
+  requirePermission('payments.manage'),
+  [
+    body('format')
+      .isIn(['csv', 'mt940'])
+      .withMessage('Format must be csv or mt940'),
+    body('content')
+      .isString()
+      .notEmpty()
+      .withMessage('Statement content is required'),
+    body('file_name')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('File name cannot exceed 255 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(ReconciliationController.uploadStatement)
+);
+
+/**
+ * @route   GET /api/v1/reconciliation/statements
+ * @desc    Get statement import history
+ * @access  Private (Admin: payments.view)
+ */
+router.get('/statements',
+  verifyAdmin,
+  requirePermission('payments.view'),
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  handleValidationErrors,
+  asyncHandler(ReconciliationController.getImports)
+);
+
+/**
+ * @route   GET /api/v1/reconciliation/statements/:importId
+ * @desc    Get the reconciliation report for a statement import
+ * @access  Private (Admin: payments.view)
+ */
+router.get('/statements/:importId',
+  verifyAdmin,
+  requirePermission('payments.view'),
+  [
+    param('importId').isInt({ min: 1 }).withMessage('Valid import ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(ReconciliationController.getReport)
+);
+
+/**
+ * @route   POST /api/v1/reconciliation/statements/:importId/import-missed
+ * @desc    Import every missed statement line as a payment
+ * @access  Private (Admin: payments.manage)
+ */
+router.post('/statements/:importId/import-missed',
+  verifyAdmin,
+  requirePermission('payments.manage'),
+  [
+    param('importId').isInt({ min: 1 }).withMessage('Valid import ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(ReconciliationController.importAllMissed)
+);
+
+/**
+ * @route   POST /api/v1/reconciliation/statements/:importId/lines/:lineId/import
+ * @desc    Import a missed statement line as a payment, optionally for a chosen customer
+ * @access  Private (Admin: payments.manage)
+ */
+router.post('/statements/:importId/lines/:lineId/import',
+  verifyAdmin,
+  requirePermission('payments.manage'),
+  [
+    param('importId').isInt({ min: 1 }).withMessage('Valid import ID is required'),
+    param('lineId').isInt({ min: 1 }).withMessage('Valid line ID is required'),
+    body('customer_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Valid customer ID is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(ReconciliationController.importMissedLine)
+);
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const { SystemSettingsController } = require('../controllers');
-const { verifyAdmin } = require('../middleware/auth');
+const { verifyAdmin, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
 const ValidationSchemas = require('../utils/validation');
+const { SystemSettings } = require('../models');
 
 const router = express.Router();
 
@@ -16,40 +17,44 @@ const router = express.Router();
 /**
  * @route   GET /api/v1/settings
  * @desc    Get all system settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/',
   verifyAdmin,
+  requirePermission('settings.view'),
   asyncHandler(SystemSettingsController.getAllSettings)
 );
 
 /**
  * @route   GET /api/v1/settings/validation
  * @desc    Get settings with validation status
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/validation',
   verifyAdmin,
+  requirePermission('settings.view'),
   asyncHandler(SystemSettingsController.getSettingsWithValidation)
 );
 
 /**
  * @route   POST /api/v1/settings/initialize
  * @desc    Initialize default settings (for fresh installation)
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.post('/initialize',
   verifyAdmin,
+  requirePermission('settings.manage'),
   asyncHandler(SystemSettingsController.initializeSettings)
 );
 
 /**
  * @route   PUT /api/v1/settings/bulk
  * @desc    Bulk update settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.put('/bulk',
   verifyAdmin,
+  requirePermission('settings.manage'),
   ValidationSchemas.updateSettings,
   handleValidationErrors,
   asyncHandler(SystemSettingsController.updateSettings)
@@ -58,10 +63,11 @@ router.put('/bulk',
 /**
  * @route   GET /api/v1/settings/export
  * @desc    Export settings configuration
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/export',
   verifyAdmin,
+  requirePermission('settings.view'),
   [
     require('express-validator').query('format')
       .optional()
@@ -79,10 +85,11 @@ router.get('/export',
 /**
  * @route   POST /api/v1/settings/reset
  * @desc    Reset settings to defaults (use with caution)
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.post('/reset',
   verifyAdmin,
+  requirePermission('settings.manage'),
   [
     require('express-validator').body('category')
       .notEmpty()
@@ -107,10 +114,11 @@ router.post('/reset',
 /**
  * @route   GET /api/v1/settings/:category
  * @desc    Get settings by category
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/:category',
   verifyAdmin,
+  requirePermission('settings.view'),
   [
     require('express-validator').param('category')
       .isIn(['general', 'billing', 'payments', 'contributions', 'notifications'])
@@ -125,20 +133,22 @@ router.get('/:category',
 /**
  * @route   GET /api/v1/settings/billing/config
  * @desc    Get billing settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/billing/config',
   verifyAdmin,
+  requirePermission('settings.view'),
   asyncHandler(SystemSettingsController.getBillingSettings)
 );
 
 /**
  * @route   PUT /api/v1/settings/billing/config
  * @desc    Update billing settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.put('/billing/config',
   verifyAdmin,
+  requirePermission('settings.manage'),
   [
     require('express-validator').body('flat_rate')
       .optional()
@@ -166,20 +176,22 @@ router.put('/billing/config',
 /**
  * @route   GET /api/v1/settings/payments/config
  * @desc    Get payment settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/payments/config',
   verifyAdmin,
+  requirePermission('settings.view'),
   asyncHandler(SystemSettingsController.getPaymentSettings)
 );
 
 /**
  * @route   PUT /api/v1/settings/payments/config
  * @desc    Update payment settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.put('/payments/config',
   verifyAdmin,
+  requirePermission('settings.manage'),
   [
     require('express-validator').body('jenga_api_url')
       .optional()
@@ -203,7 +215,20 @@ router.put('/payments/config',
     require('express-validator').body('stk_callback_url')
       .optional()
       .isURL()
-      .withMessage('Valid callback URL is required')
+      .withMessage('Valid callback URL is required'),
+    require('express-validator').body('allocation_policy')
+      .optional()
+      .isIn(Object.keys(SystemSettings.ALLOCATION_POLICIES))
+      .withMessage(`Allocation policy must be one of: ${Object.keys(SystemSettings.ALLOCATION_POLICIES).join(', ')}`),
+    require('express-validator').body('allocation_split_percent')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Contribution split must be between 0 and 100 percent'),
+    require('express-validator').body('receipt_number_prefix')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9]{1,8}$/)
+      .withMessage('Receipt prefix must be 1-8 letters or digits')
   ],
   handleValidationErrors,
   asyncHandler(SystemSettingsController.updatePaymentSettings)
@@ -212,10 +237,11 @@ router.put('/payments/config',
 /**
  * @route   POST /api/v1/settings/payments/test-equity',
  * @desc    Test Equity External Integration
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.post('/payments/test-equity',
   verifyAdmin,
+  requirePermission('settings.manage'),
   asyncHandler(SystemSettingsController.testEquityConnection)
 );
 
@@ -224,20 +250,22 @@ router.post('/payments/test-equity',
 /**
  * @route   GET /api/v1/settings/contributions/config
  * @desc    Get contribution settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/contributions/config',
   verifyAdmin,
+  requirePermission('settings.view'),
   asyncHandler(SystemSettingsController.getContributionSettings)
 );
 
 /**
  * @route   PUT /api/v1/settings/contributions/config
  * @desc    Update contribution settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.put('/contributions/config',
   verifyAdmin,
+  requirePermission('settings.manage'),
   [
     require('express-validator').body('monthly_amount')
       .optional()
@@ -257,20 +285,22 @@ router.put('/contributions/config',
 /**
  * @route   GET /api/v1/settings/notifications/config
  * @desc    Get notification settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/notifications/config',
   verifyAdmin,
+  requirePermission('settings.view'),
   asyncHandler(SystemSettingsController.getNotificationSettings)
 );
 
 /**
  * @route   PUT /api/v1/settings/notifications/config
  * @desc    Update notification settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.put('/notifications/config',
   verifyAdmin,
+  requirePermission('settings.manage'),
   [
     require('express-validator').body('sms_sender_id')
       .optional()
@@ -284,31 +314,132 @@ router.put('/notifications/config',
     require('express-validator').body('email_enabled')
       .optional()
       .isBoolean()
-      .withMessage('Email enabled must be boolean')
+      .withMessage('Email enabled must be boolean'),
+    require('express-validator').body('sms_max_segments')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('SMS segment limit must be between 1 and 10'),
+    require('express-validator').body('sms_cost_per_segment')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('SMS cost per segment must be a positive number'),
+    require('express-validator').body('outbox_rate_limit_per_minute')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Outbox rate limit must be between 1 and 1000 messages per minute'),
+    require('express-validator').body('outbox_max_attempts')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Outbox attempts must be between 1 and 20'),
+    require('express-validator').body('outbox_retry_base_seconds')
+      .optional()
+      .isInt({ min: 10, max: 3600 })
+      .withMessage('Outbox retry delay must be between 10 and 3600 seconds')
   ],
   handleValidationErrors,
   asyncHandler(SystemSettingsController.updateNotificationSettings)
 );
 
+// ===== EMAIL SETTINGS =====
+
+/**
+ * @route   GET /api/v1/settings/email/config
+ * @desc    Get email (SMTP) settings
+ * @access  Private (Admin: settings.view)
+ */
+router.get('/email/config',
+  verifyAdmin,
+  requirePermission('settings.view'),
+  asyncHandler(SystemSettingsController.getEmailSettings)
+);
+
+/**
+ * @route   PUT /api/v1/settings/email/config
+ * @desc    Update email (SMTP) settings
+ * @access  Private (Admin: settings.manage)
+ */
+router.put('/email/config',
+  verifyAdmin,
+  requirePermission('settings.manage'),
+  [
+    require('express-validator').body('smtp_host')
+      .optional()
+      .trim()
+      .matches(/^[a-zA-Z0-9.-]*$/)
+      .withMessage('SMTP host must be a valid host name'),
+    require('express-validator').body('smtp_port')
+      .optional()
+      .isInt({ min: 1, max: 65535 })
+      .withMessage('SMTP port must be between 1 and 65535'),
+    require('express-validator').body('smtp_secure')
+      .optional()
+      .isBoolean()
+      .withMessage('SMTP secure must be boolean'),
+    require('express-validator').body('smtp_username')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('SMTP username must be less than 255 characters'),
+    require('express-validator').body('smtp_password')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('SMTP password must be less than 255 characters'),
+    require('express-validator').body('smtp_from_email')
+      .optional()
+      .isEmail()
+      .withMessage('Valid sender email is required'),
+    require('express-validator').body('smtp_from_name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Sender name must be between 1 and 100 characters'),
+    require('express-validator').body('email_attach_documents')
+      .optional()
+      .isBoolean()
+      .withMessage('Attach documents must be boolean')
+  ],
+  handleValidationErrors,
+  asyncHandler(SystemSettingsController.updateEmailSettings)
+);
+
+/**
+ * @route   POST /api/v1/settings/email/test
+ * @desc    Send a test email using the saved SMTP settings
+ * @access  Private (Admin: settings.manage)
+ */
+router.post('/email/test',
+  verifyAdmin,
+  requirePermission('settings.manage'),
+  [
+    require('express-validator').body('email')
+      .isEmail()
+      .withMessage('Valid email address is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(SystemSettingsController.testEmailConnection)
+);
+
 // ===== COMPANY SETTINGS =====
 
 /**
  * @route   GET /api/v1/settings/company/config
  * @desc    Get company settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/company/config',
   verifyAdmin,
+  requirePermission('settings.view'),
   asyncHandler(SystemSettingsController.getCompanySettings)
 );
 
 /**
  * @route   PUT /api/v1/settings/company/config
  * @desc    Update company settings
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.put('/company/config',
   verifyAdmin,
+  requirePermission('settings.manage'),
   [
     require('express-validator').body('company_name')
       .optional()
@@ -342,10 +473,11 @@ router.put('/company/config',
 /**
  * @route   GET /api/v1/settings/key/:key
  * @desc    Get single setting value
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.view)
  */
 router.get('/key/:key',
   verifyAdmin,
+  requirePermission('settings.view'),
   [
     require('express-validator').param('key')
       .trim()
@@ -359,10 +491,11 @@ router.get('/key/:key',
 /**
  * @route   PUT /api/v1/settings/key/:key
  * @desc    Update single setting
- * @access  Private (Admin only)
+ * @access  Private (Admin: settings.manage)
  */
 router.put('/key/:key',
   verifyAdmin,
+  requirePermission('settings.manage'),
   [
     require('express-validator').param('key')
       .trim()
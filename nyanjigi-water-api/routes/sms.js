@@ -0,0 +1,73 @@
+const express = require('express');
+const crypto = require('crypto');
+const { SmsWebhookController } = require('../controllers');
+const { handleValidationErrors, asyncHandler } = require('../middleware/errorHandler');
+const { body } = require('express-validator');
+
+const router = express.Router();
+
+/**
+ * SMS Provider Callback Routes
+ * Base path: /api/v1/sms
+ */
+
+// Callbacks must carry AT_CALLBACK_TOKEN as ?token=; without one configured they are refused,
+// since anyone could otherwise forge delivery reports or opt numbers out with STOP
+const verifyCallbackToken = (req, res, next) => {
+  const expected = process.env.AT_CALLBACK_TOKEN;
+  if (!expected) {
+    console.error('[SECURITY] Rejected SMS callback: AT_CALLBACK_TOKEN is not configured');
+    return res.status(503).json({
+      success: false,
+      message: 'SMS callbacks are disabled until a callback token is configured'
+    });
+  }
+
+  const provided = Buffer.from(String(req.query.token || ''));
+  const secret = Buffer.from(expected);
+  if (provided.length !== secret.length || !crypto.timingSafeEqual(provided, secret)) {
+    console.warn(`[SECURITY] Rejected SMS callback with invalid token from IP: ${req.ip}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Access Forbidden: Invalid callback token'
+    });
+  }
+  next();
+};
+
+/**
+ * @route   POST /api/v1/sms/delivery-report
+ * @desc    Africa's Talking delivery report callback
+ * @access  Public (callback token)
+ */
+router.post('/delivery-report',
+  verifyCallbackToken,
+  [
+    body('id').trim().notEmpty().withMessage('Message ID is required'),
+    body('status').trim().notEmpty().withMessage('Delivery status is required'),
+    body('phoneNumber').optional().trim(),
+    body('failureReason').optional().trim(),
+    body('networkCode').optional().trim()
+  ],
+  handleValidationErrors,
+  asyncHandler(SmsWebhookController.handleDeliveryReport)
+);
+
+/**
+ * @route   POST /api/v1/sms/inbound
+ * @desc    Africa's Talking incoming message callback (STOP / START replies)
+ * @access  Public (callback token)
+ */
+router.post('/inbound',
+  verifyCallbackToken,
+  [
+    body('from').trim().notEmpty().withMessage('Sender phone number is required'),
+    body('text').optional().trim(),
+    body('to').optional().trim(),
+    body('id').optional().trim()
+  ],
+  handleValidationErrors,
+  asyncHandler(SmsWebhookController.handleInboundMessage)
+);
+
+module.exports = router;
@@ -14,6 +14,7 @@ class MigrationTool {
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     database: process.env.DB_NAME,
+    multipleStatements: true,
   };
 
 
@@ -31,6 +32,17 @@ class MigrationTool {
     return rows;
   }
 
+  // Track applied migration files so each one only runs once
+  async ensureMigrationsTable() {
+    await this.connection.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        filename VARCHAR(255) UNIQUE NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
   async runMigrations() {
     console.log("📦 Running database migrations...");
 
@@ -39,6 +51,12 @@ class MigrationTool {
       return;
     }
 
+    await this.ensureMigrationsTable();
+    const applied = await this.executeQuery(
+      "SELECT filename FROM schema_migrations"
+    );
+    const appliedFiles = new Set(applied.map((row) => row.filename));
+
     const files = fs
       .readdirSync(this.migrationsDir)
       .filter((f) => f.endsWith(".sql"))
@@ -50,9 +68,18 @@ class MigrationTool {
     }
 
     for (const file of files) {
+      if (appliedFiles.has(file)) {
+        console.log(`⏭️ Already applied: ${file}`);
+        continue;
+      }
+
       const filePath = path.join(this.migrationsDir, file);
       const sql = fs.readFileSync(filePath, "utf8");
       await this.connection.query(sql);
+      await this.executeQuery(
+        "INSERT INTO schema_migrations (filename) VALUES (?)",
+        [file]
+      );
       console.log(`✅ Applied migration: ${file}`);
     }
   }
@@ -0,0 +1,42 @@
+-- ============================================
+-- TIERED / METERED BILLING
+-- ============================================
+
+-- Group billing_rates rows into versions (one version = one tariff, tiered
+-- tariffs have one row per tier) and allow per customer-type tariffs
+ALTER TABLE billing_rates
+    ADD COLUMN rate_version VARCHAR(50) NULL AFTER rate_name,
+    ADD COLUMN customer_type ENUM('normal', 'institution') NULL AFTER rate_version, -- NULL applies to all
+    ADD COLUMN created_by INT NULL,
+    ADD INDEX idx_rate_version (rate_version),
+    ADD INDEX idx_customer_type (customer_type);
+
+UPDATE billing_rates SET rate_version = CONCAT('RATE-', id) WHERE rate_version IS NULL;
+
+-- Institutions were billed a hardcoded 1000 flat rate; keep that as data, effective
+-- from a fixed past date so re-bills and previews of earlier periods still find it
+INSERT INTO billing_rates (rate_name, rate_version, customer_type, rate_type, rate_value, effective_from)
+SELECT 'Institution Flat Rate Monthly', 'RATE-INSTITUTION-FLAT', 'institution', 'flat_rate', 1000.0000, '2000-01-01'
+FROM DUAL
+WHERE NOT EXISTS (
+    SELECT 1 FROM billing_rates WHERE rate_type = 'flat_rate' AND customer_type = 'institution'
+);
+
+-- Itemised bill lines (tier breakdown for metered bills, single line for flat rate)
+CREATE TABLE IF NOT EXISTS bill_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    bill_id INT NOT NULL,
+    item_type ENUM('flat_rate', 'tier', 'uniform', 'adjustment') NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    tier_min DECIMAL(10,2) NULL,
+    tier_max DECIMAL(10,2) NULL,
+    units DECIMAL(10,2) NULL,
+    rate DECIMAL(10,4) NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    rate_version VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (bill_id) REFERENCES bills(id) ON DELETE CASCADE,
+    INDEX idx_bill_id (bill_id),
+    INDEX idx_item_type (item_type)
+);
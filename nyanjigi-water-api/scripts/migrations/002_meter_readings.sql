@@ -0,0 +1,42 @@
+-- ============================================
+-- METER READINGS
+-- ============================================
+
+-- One reading per customer per billing period. Flagged readings are held
+-- for review and are not consumed by bill generation until approved.
+CREATE TABLE IF NOT EXISTS meter_readings (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    customer_id INT NOT NULL,
+    meter_number VARCHAR(50) NOT NULL,
+    reading_period DATE NOT NULL, -- First day of the month the reading closes (YYYY-MM-01)
+    reading_date DATE NOT NULL,
+    reading_value DECIMAL(10,2) NOT NULL,
+    previous_reading DECIMAL(10,2) NULL, -- NULL for the first (baseline) reading
+    consumption DECIMAL(10,2) NULL,
+    trailing_average DECIMAL(10,2) NULL,
+    source ENUM('manual', 'bulk_upload') DEFAULT 'manual',
+    status ENUM('valid', 'flagged', 'approved', 'rejected') DEFAULT 'valid',
+    flags JSON NULL, -- e.g. ["reading_backwards", "abnormal_jump", "missing_period"]
+    notes TEXT NULL,
+    review_notes TEXT NULL,
+    reviewed_by INT NULL,
+    reviewed_at TIMESTAMP NULL,
+    bill_id INT NULL, -- Set once consumed by bill generation
+    recorded_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (bill_id) REFERENCES bills(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES admins(id) ON DELETE SET NULL,
+    FOREIGN KEY (recorded_by) REFERENCES admins(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_customer_period (customer_id, reading_period),
+    INDEX idx_meter_number (meter_number),
+    INDEX idx_reading_period (reading_period),
+    INDEX idx_status (status)
+);
+
+-- Anomaly detection thresholds
+INSERT IGNORE INTO system_settings (setting_key, setting_value, description, category) VALUES
+('meter_jump_multiplier', '3', 'Flag readings whose consumption exceeds the trailing average by this multiple', 'billing'),
+('meter_trailing_periods', '3', 'Number of previous readings used for the trailing average', 'billing');
@@ -0,0 +1,15 @@
+-- ============================================
+-- ESTIMATED BILLING
+-- ============================================
+
+-- Estimated bills are raised from average consumption when a metered customer
+-- has no reading, and are trued up by the next bill with an actual reading
+ALTER TABLE bills
+    ADD COLUMN is_estimated BOOLEAN DEFAULT FALSE AFTER bill_type,
+    ADD COLUMN trued_up_by_bill_id INT NULL AFTER is_estimated,
+    ADD CONSTRAINT fk_bills_trued_up_by FOREIGN KEY (trued_up_by_bill_id) REFERENCES bills(id) ON DELETE SET NULL,
+    ADD INDEX idx_is_estimated (is_estimated);
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, description, category) VALUES
+('estimated_billing_enabled', 'true', 'Bill metered customers without a reading from their average consumption', 'billing'),
+('estimate_average_periods', '6', 'Number of previous actual readings averaged for estimated bills', 'billing');
@@ -0,0 +1,118 @@
+-- ============================================
+-- CUSTOMER LEDGER
+-- ============================================
+
+-- Double-entry record of everything that moves a customer's balance.
+-- Each row debits one account and credits another; the customer's balance is
+-- debits minus credits on customer_receivable (negative = credit/advance).
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    customer_id INT NOT NULL,
+    entry_date DATE NOT NULL,
+    entry_type ENUM('charge', 'fine', 'contribution', 'payment', 'reversal', 'adjustment', 'waiver') NOT NULL,
+    debit_account VARCHAR(50) NOT NULL,
+    credit_account VARCHAR(50) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL, -- Always positive, direction is given by the accounts
+    reference_type VARCHAR(30) NULL, -- bill, fine, contribution, payment
+    reference_id INT NULL,
+    description VARCHAR(255) NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+    INDEX idx_customer_date (customer_id, entry_date, id),
+    INDEX idx_entry_type (entry_type),
+    INDEX idx_reference (reference_type, reference_id)
+);
+
+-- Per-bill payment tracking
+ALTER TABLE bills
+    ADD COLUMN amount_paid DECIMAL(10,2) DEFAULT 0.00 AFTER total_amount,
+    ADD COLUMN balance_due DECIMAL(10,2) AS (current_charges + COALESCE(fines_applied, 0) - COALESCE(amount_paid, 0)) STORED AFTER amount_paid,
+    ADD INDEX idx_balance_due (balance_due);
+
+-- Link allocations to the fine or contribution they settled
+ALTER TABLE payment_allocations
+    ADD COLUMN fine_id INT NULL AFTER bill_id,
+    ADD COLUMN contribution_id INT NULL AFTER fine_id,
+    ADD CONSTRAINT fk_allocations_fine FOREIGN KEY (fine_id) REFERENCES applied_fines(id) ON DELETE SET NULL,
+    ADD CONSTRAINT fk_allocations_contribution FOREIGN KEY (contribution_id) REFERENCES contributions(id) ON DELETE SET NULL;
+
+-- ============================================
+-- BACKFILL FROM EXISTING RECORDS
+-- ============================================
+
+UPDATE bills b
+SET b.amount_paid = COALESCE((
+    SELECT SUM(pa.amount) FROM payment_allocations pa
+    WHERE pa.bill_id = b.id AND pa.allocation_type = 'bill_payment'
+), 0);
+
+-- Bills marked paid by hand carry no allocations, settle them so they stay closed
+UPDATE bills
+SET amount_paid = current_charges + COALESCE(fines_applied, 0)
+WHERE status = 'paid' AND balance_due > 0;
+
+INSERT INTO ledger_entries (customer_id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id, description)
+SELECT customer_id, billing_period_end, 'charge',
+       IF(current_charges + COALESCE(fines_applied, 0) >= 0, 'customer_receivable', 'water_revenue'),
+       IF(current_charges + COALESCE(fines_applied, 0) >= 0, 'water_revenue', 'customer_receivable'),
+       ABS(current_charges + COALESCE(fines_applied, 0)), 'bill', id, CONCAT('Bill ', bill_number)
+FROM bills
+WHERE current_charges + COALESCE(fines_applied, 0) <> 0;
+
+INSERT INTO ledger_entries (customer_id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id, description)
+SELECT customer_id, applied_date, 'fine', 'customer_receivable', 'fine_income', amount, 'fine', id, LEFT(reason, 255)
+FROM applied_fines
+WHERE status != 'waived';
+
+INSERT INTO ledger_entries (customer_id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id, description)
+SELECT customer_id, contribution_month, 'contribution', 'customer_receivable', 'contributions_fund', amount_required, 'contribution', id,
+       CONCAT('Contribution for ', DATE_FORMAT(contribution_month, '%M %Y'))
+FROM contributions
+WHERE amount_required > 0;
+
+INSERT INTO ledger_entries (customer_id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id, description)
+SELECT customer_id, DATE(payment_date), 'payment', 'equity_collections', 'customer_receivable', amount, 'payment', id,
+       CONCAT('Payment ', transaction_id)
+FROM payments
+WHERE status = 'completed';
+
+-- Settlements recorded without a payment (manual bill/contribution updates)
+INSERT INTO ledger_entries (customer_id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id, description)
+SELECT b.customer_id, DATE(COALESCE(b.paid_at, b.updated_at)), 'adjustment', 'billing_adjustments', 'customer_receivable',
+       b.amount_paid - COALESCE((SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.bill_id = b.id AND pa.allocation_type = 'bill_payment'), 0),
+       'bill', b.id, CONCAT('Opening settlement for bill ', b.bill_number)
+FROM bills b
+WHERE b.amount_paid > COALESCE((SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.bill_id = b.id AND pa.allocation_type = 'bill_payment'), 0);
+
+-- Fines and contributions marked settled beyond what payments were allocated to them
+INSERT INTO ledger_entries (customer_id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id, description)
+SELECT t.customer_id, CURDATE(), 'adjustment', 'billing_adjustments', 'customer_receivable', t.unallocated, NULL, NULL, 'Opening settlement for fines'
+FROM (
+    SELECT af.customer_id,
+           SUM(af.amount) - COALESCE((
+               SELECT SUM(pa.amount) FROM payment_allocations pa
+               INNER JOIN payments p ON pa.payment_id = p.id
+               WHERE p.customer_id = af.customer_id AND pa.allocation_type = 'fine'
+           ), 0) as unallocated
+    FROM applied_fines af
+    WHERE af.status = 'paid'
+    GROUP BY af.customer_id
+) t
+WHERE t.unallocated > 0;
+
+INSERT INTO ledger_entries (customer_id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id, description)
+SELECT t.customer_id, CURDATE(), 'adjustment', 'billing_adjustments', 'customer_receivable', t.unallocated, NULL, NULL, 'Opening settlement for contributions'
+FROM (
+    SELECT cont.customer_id,
+           SUM(cont.amount_paid) - COALESCE((
+               SELECT SUM(pa.amount) FROM payment_allocations pa
+               INNER JOIN payments p ON pa.payment_id = p.id
+               WHERE p.customer_id = cont.customer_id AND pa.allocation_type = 'contribution'
+           ), 0) as unallocated
+    FROM contributions cont
+    GROUP BY cont.customer_id
+) t
+WHERE t.unallocated > 0;
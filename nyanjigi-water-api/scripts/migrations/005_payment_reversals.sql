@@ -0,0 +1,26 @@
+-- ============================================
+-- PAYMENT REVERSALS
+-- ============================================
+
+-- Audit trail of reversed payments. The allocations that were unwound are
+-- kept as a snapshot because the payment_allocations rows are removed.
+CREATE TABLE IF NOT EXISTS payment_reversals (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    payment_id INT NOT NULL,
+    customer_id INT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    reason TEXT NOT NULL,
+    source ENUM('admin', 'equity_callback') NOT NULL DEFAULT 'admin',
+    external_reference VARCHAR(100) NULL, -- Equity reference of the reversal, if any
+    allocations JSON NULL, -- Allocations unwound by the reversal
+    reversed_by INT NULL,
+    notification_sent BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (reversed_by) REFERENCES admins(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_payment (payment_id),
+    INDEX idx_customer_id (customer_id),
+    INDEX idx_created_at (created_at)
+);
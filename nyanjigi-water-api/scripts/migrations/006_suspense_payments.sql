@@ -0,0 +1,35 @@
+-- ============================================
+-- SUSPENSE PAYMENTS
+-- ============================================
+
+-- Equity callbacks whose member number matches no customer. The money is held
+-- here until an admin assigns it, at which point a real payment is created.
+CREATE TABLE IF NOT EXISTS suspense_payments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    transaction_id VARCHAR(100) NOT NULL, -- Equity transaction ID
+    member_number VARCHAR(50) NULL, -- Account number as entered by the payer
+    payer_name VARCHAR(100) NULL,
+    phone_number VARCHAR(15) NULL,
+    payment_method VARCHAR(30) NOT NULL,
+    reference_type VARCHAR(20) DEFAULT 'general',
+    amount DECIMAL(10,2) NOT NULL,
+    payment_date TIMESTAMP NOT NULL,
+    narrative TEXT NULL,
+    callback_data JSON NULL,
+    status ENUM('unmatched', 'assigned', 'reversed') DEFAULT 'unmatched',
+    customer_id INT NULL, -- Customer the payment was assigned to
+    payment_id INT NULL, -- Payment created on assignment
+    assigned_by INT NULL,
+    assigned_at TIMESTAMP NULL,
+    notes TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+    FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+    FOREIGN KEY (assigned_by) REFERENCES admins(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_transaction (transaction_id),
+    INDEX idx_status (status),
+    INDEX idx_member_number (member_number),
+    INDEX idx_payment_date (payment_date)
+);
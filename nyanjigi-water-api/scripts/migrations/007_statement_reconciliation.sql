@@ -0,0 +1,48 @@
+-- ============================================
+-- EQUITY STATEMENT RECONCILIATION
+-- ============================================
+
+-- One row per uploaded bank statement
+CREATE TABLE IF NOT EXISTS statement_imports (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    file_name VARCHAR(255) NULL,
+    format ENUM('csv', 'mt940') NOT NULL,
+    bank_account VARCHAR(50) NULL, -- Account number from the statement, if present
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    credit_lines INT DEFAULT 0,
+    total_credits DECIMAL(12,2) DEFAULT 0.00,
+    skipped_lines INT DEFAULT 0, -- Debits (charges, withdrawals) are not reconciled
+    imported_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (imported_by) REFERENCES admins(id) ON DELETE SET NULL,
+    INDEX idx_period (period_start, period_end)
+);
+
+-- Credit lines from a statement and what they matched
+CREATE TABLE IF NOT EXISTS statement_lines (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    import_id INT NOT NULL,
+    line_number INT NOT NULL,
+    transaction_date DATE NOT NULL,
+    reference VARCHAR(100) NULL,
+    narrative TEXT NULL,
+    member_number VARCHAR(50) NULL, -- Account number found in the narrative
+    amount DECIMAL(10,2) NOT NULL,
+    match_status ENUM('matched', 'missed', 'amount_mismatch', 'imported') NOT NULL,
+    payment_id INT NULL,
+    suspense_id INT NULL,
+    callback_amount DECIMAL(10,2) NULL, -- Amount reported by the callback
+    imported_by INT NULL,
+    imported_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (import_id) REFERENCES statement_imports(id) ON DELETE CASCADE,
+    FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+    FOREIGN KEY (suspense_id) REFERENCES suspense_payments(id) ON DELETE SET NULL,
+    FOREIGN KEY (imported_by) REFERENCES admins(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_import_line (import_id, line_number),
+    INDEX idx_match_status (match_status),
+    INDEX idx_reference (reference)
+);
@@ -0,0 +1,8 @@
+-- ============================================
+-- PAYMENT ALLOCATION POLICY
+-- ============================================
+
+-- Policies: bills_first, fines_first, contributions_first, oldest_first, contributions_split
+INSERT IGNORE INTO system_settings (setting_key, setting_value, description, category) VALUES
+('payment_allocation_policy', 'bills_first', 'Order in which payments settle bills, fines and contributions', 'payments'),
+('payment_allocation_split_percent', '20', 'Share of each payment set aside for contributions under the contributions_split policy', 'payments');
@@ -0,0 +1,25 @@
+-- ============================================
+-- MANUAL PAYMENTS AND RECEIPTS
+-- ============================================
+
+-- Payments collected at the office or a committee meeting
+ALTER TABLE payments
+    MODIFY COLUMN payment_method ENUM(
+        'equity_branch', 'equity_agent', 'equity_equitel', 'equity_mpesa', 'equity_ussd', 'equity_app',
+        'cash', 'cheque', 'bank_transfer'
+    ) NOT NULL,
+    ADD COLUMN receipt_number VARCHAR(20) NULL AFTER transaction_id,
+    ADD COLUMN payment_reference VARCHAR(100) NULL AFTER equity_member_number, -- Cheque number or bank transfer reference
+    ADD UNIQUE KEY unique_receipt_number (receipt_number);
+
+-- Sequential receipt numbers, one counter per series
+CREATE TABLE IF NOT EXISTS receipt_sequence (
+    series VARCHAR(20) PRIMARY KEY,
+    last_number INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO receipt_sequence (series, last_number) VALUES ('manual', 0);
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, description, category) VALUES
+('receipt_number_prefix', 'RCT', 'Prefix for receipt numbers issued for manual payments', 'payments');
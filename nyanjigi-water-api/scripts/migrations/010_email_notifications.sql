@@ -0,0 +1,72 @@
+-- ============================================
+-- EMAIL NOTIFICATIONS
+-- ============================================
+
+-- SMTP server used for outgoing email
+INSERT IGNORE INTO system_settings (setting_key, setting_value, description, category) VALUES
+('smtp_host', '', 'SMTP server host name', 'email'),
+('smtp_port', '587', 'SMTP server port (587 for STARTTLS, 465 for SSL)', 'email'),
+('smtp_secure', 'false', 'Connect with SSL/TLS from the start (port 465)', 'email'),
+('smtp_username', '', 'SMTP login user name', 'email'),
+('smtp_password', '', 'SMTP login password', 'email'),
+('smtp_from_email', 'billing@nyanjigi.co.ke', 'Address emails are sent from', 'email'),
+('smtp_from_name', 'Nyanjigi Waters', 'Sender name shown on emails', 'email'),
+('email_attach_documents', 'true', 'Attach the bill or receipt PDF to billing and payment emails', 'email');
+
+-- Email templates are HTML fragments placed inside the branded email layout.
+-- The subject supports the same {{variables}} as the body.
+INSERT INTO notification_templates (name, type, trigger_event, subject, message_template, is_active)
+SELECT * FROM (
+    SELECT 'Bill Generated Email' AS name, 'email' AS type, 'bill_generated' AS trigger_event,
+        'Your water bill for {{period}} - {{account_number}}' AS subject,
+        '<p>Dear {{customer_name}},</p>
+<p>Your water bill for <strong>{{period}}</strong> is <strong>KES {{amount}}</strong>, due on <strong>{{due_date}}</strong>.</p>
+<p>Pay through Equity paybill {{paybill}} using account number <strong>{{account_number}}</strong>. The bill is attached as a PDF.</p>' AS message_template,
+        TRUE AS is_active
+    UNION ALL
+    SELECT 'Billing Cycle Email', 'email', 'billing_cycle',
+        'Your {{billing_month}} water bill - {{account_number}}',
+        '<p>Dear {{customer_name}},</p>
+<p>Your bill for <strong>{{billing_month}}</strong> is <strong>{{current_charge}}</strong>{{estimated_note}}.</p>
+<table class="summary">
+<tr><td>Total outstanding bills</td><td>{{outstanding_bills}}</td></tr>
+<tr><td>Connection contribution due</td><td>{{contribution_outstanding}}</td></tr>
+<tr><td>Outstanding fines</td><td>{{outstanding_fines}}</td></tr>
+</table>
+<p>{{credit_note}}</p>
+<p>Please pay within {{grace_days}} days through any Equity branch or agent, M-Pesa paybill {{paybill}}, Equitel or USSD using account number <strong>{{account_number}}</strong>. Your bill is attached as a PDF.</p>',
+        TRUE
+    UNION ALL
+    SELECT 'Payment Received Email', 'email', 'payment_received',
+        'Payment received - {{transaction_id}}',
+        '<p>Dear {{customer_name}},</p>
+<p>We have received your payment of <strong>KES {{amount}}</strong> on {{payment_date}} (Ref: {{transaction_id}}) for account <strong>{{account_number}}</strong>.</p>
+<p>Your receipt is attached. Thank you.</p>',
+        TRUE
+    UNION ALL
+    SELECT 'Payment Reversed Email', 'email', 'payment_reversed',
+        'Payment reversed - {{transaction_id}}',
+        '<p>Dear {{customer_name}},</p>
+<p>Your payment of <strong>{{amount}}</strong> (Ref: {{transaction_id}}) to account <strong>{{account_number}}</strong> has been reversed.</p>
+<p>Reason: {{reason}}</p>
+<p>Your outstanding balance is now <strong>{{balance}}</strong>. Please contact the office if you have any questions.</p>',
+        TRUE
+    UNION ALL
+    SELECT 'Fine Applied Email', 'email', 'fine_applied',
+        'Late payment fine applied - {{account_number}}',
+        '<p>Dear {{customer_name}},</p>
+<p>A fine of <strong>KES {{amount}}</strong> has been applied to your account. Reason: {{reason}}.</p>
+<p>Your balance including the fine is <strong>KES {{balance}}</strong>. Please pay promptly to avoid further fines.</p>',
+        TRUE
+    UNION ALL
+    SELECT 'Overdue Notice Email', 'email', 'overdue_notice',
+        'Overdue water bill - {{account_number}}',
+        '<p>Dear {{customer_name}},</p>
+<p>Your water bill of <strong>KES {{amount}}</strong> is {{days_overdue}} days overdue.</p>
+<p>Please pay as soon as possible to avoid fines and disconnection.</p>',
+        TRUE
+) AS templates
+WHERE NOT EXISTS (
+    SELECT 1 FROM notification_templates t
+    WHERE t.trigger_event = templates.trigger_event AND t.type = 'email'
+);
@@ -0,0 +1,8 @@
+-- ============================================
+-- MULTIPART SMS
+-- ============================================
+
+-- Long messages are sent as concatenated SMS up to this many segments
+INSERT IGNORE INTO system_settings (setting_key, setting_value, description, category) VALUES
+('sms_max_segments', '3', 'Maximum SMS segments per message; longer messages are shortened', 'notifications'),
+('sms_cost_per_segment', '0.80', 'Cost in KES charged per SMS segment, used for previews', 'notifications');
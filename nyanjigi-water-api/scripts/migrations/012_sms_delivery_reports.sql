@@ -0,0 +1,11 @@
+-- ============================================
+-- SMS DELIVERY REPORTS
+-- ============================================
+
+-- Africa's Talking delivery reports are matched to the log by provider message ID
+ALTER TABLE notifications_sent
+    ADD COLUMN provider_message_id VARCHAR(100) NULL AFTER channel,
+    ADD COLUMN failure_reason VARCHAR(100) NULL AFTER status, -- e.g. AbsentSubscriber, DeliveryFailure
+    ADD COLUMN cost DECIMAL(10,4) NULL AFTER failure_reason,
+    ADD INDEX idx_provider_message_id (provider_message_id),
+    ADD INDEX idx_channel_created (channel, created_at);
@@ -0,0 +1,36 @@
+-- ============================================
+-- NOTIFICATION OUTBOX
+-- ============================================
+
+-- Outgoing bulk messages are queued here and sent by the scheduler's outbox worker,
+-- so a restart mid-run does not lose the rest of a billing-cycle blast.
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    dedupe_key VARCHAR(191) NULL, -- event:customer:period:channel; a repeated key is not queued again
+    recipient_id INT NULL,
+    channel ENUM('sms', 'email') NOT NULL,
+    recipient VARCHAR(100) NOT NULL, -- Phone number or email address
+    notification_type VARCHAR(50) NOT NULL,
+    message TEXT NULL, -- Pre-composed SMS text; NULL sends the template for notification_type
+    variables JSON NULL,
+    options JSON NULL, -- e.g. { "documents": { "bill_id": 12 } } for email attachments
+    status ENUM('pending', 'processing', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at DATETIME NULL,
+    last_error TEXT NULL,
+    sent_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_dedupe_key (dedupe_key),
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_sent_at (sent_at),
+    INDEX idx_recipient_id (recipient_id)
+);
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, description, category) VALUES
+('outbox_rate_limit_per_minute', '60', 'Maximum queued messages sent per minute', 'notifications'),
+('outbox_max_attempts', '5', 'Send attempts before a queued message is dead-lettered', 'notifications'),
+('outbox_retry_base_seconds', '60', 'First retry delay in seconds; doubles after each failed attempt', 'notifications');
@@ -0,0 +1,28 @@
+-- ============================================
+-- SCHEDULED NOTIFICATION CAMPAIGNS
+-- ============================================
+
+-- Announcements (water rationing, AGMs, ...) sent once or on a recurring schedule.
+-- Due campaigns are expanded to their audience and queued in notification_outbox.
+CREATE TABLE IF NOT EXISTS scheduled_notifications (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    title VARCHAR(150) NOT NULL,
+    message TEXT NOT NULL, -- Supports {{customer_name}}, {{account_number}}, {{zone}} and {{balance}}
+    email_subject VARCHAR(200) NULL,
+    channel ENUM('sms', 'email', 'both') NOT NULL DEFAULT 'sms',
+    audience JSON NULL, -- { "zones": [], "customer_types": [], "arrears_buckets": [] }; empty means all active customers
+    scheduled_time DATETIME NOT NULL, -- Next send; advanced after each run of a recurring campaign
+    recurrence ENUM('none', 'daily', 'weekly', 'monthly') NOT NULL DEFAULT 'none',
+    recurrence_end_date DATE NULL,
+    status ENUM('pending', 'sent', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+    run_count INT NOT NULL DEFAULT 0,
+    last_run_at DATETIME NULL,
+    processed_at DATETIME NULL,
+    result JSON NULL, -- Summary of the last run
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+    INDEX idx_status_scheduled_time (status, scheduled_time)
+);
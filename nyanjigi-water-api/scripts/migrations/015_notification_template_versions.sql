@@ -0,0 +1,33 @@
+-- ============================================
+-- NOTIFICATION TEMPLATE VERSIONS
+-- ============================================
+
+-- Templates are edited from the admin panel; each edit bumps the version
+ALTER TABLE notification_templates
+    ADD COLUMN version INT NOT NULL DEFAULT 1 AFTER is_active,
+    ADD COLUMN updated_by INT NULL AFTER version,
+    ADD COLUMN updated_at TIMESTAMP NULL AFTER created_at,
+    ADD CONSTRAINT fk_notification_templates_updated_by FOREIGN KEY (updated_by) REFERENCES admins(id) ON DELETE SET NULL;
+
+-- Every saved version of a template, so wording changes can be reviewed and rolled back
+CREATE TABLE IF NOT EXISTS notification_template_versions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    template_id INT NOT NULL,
+    version INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    subject VARCHAR(200) NULL,
+    message_template TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL,
+    change_note VARCHAR(255) NULL,
+    changed_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (template_id) REFERENCES notification_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES admins(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_template_version (template_id, version)
+);
+
+-- Current wording of existing templates becomes version 1
+INSERT IGNORE INTO notification_template_versions (template_id, version, name, subject, message_template, is_active, change_note)
+SELECT id, 1, name, subject, message_template, is_active, 'Initial version'
+FROM notification_templates;
@@ -0,0 +1,44 @@
+-- ============================================
+-- CUSTOMER NOTIFICATION PREFERENCES
+-- ============================================
+
+-- One row per customer who changed a preference; customers without a row use the defaults
+CREATE TABLE IF NOT EXISTS customer_notification_preferences (
+    customer_id INT PRIMARY KEY,
+    channel ENUM('sms', 'email', 'both') NOT NULL DEFAULT 'both',
+    language ENUM('en', 'sw') NOT NULL DEFAULT 'en',
+    quiet_hours_start TIME NULL, -- Non-urgent SMS are held until quiet_hours_end
+    quiet_hours_end TIME NULL,
+    marketing_opt_out BOOLEAN NOT NULL DEFAULT FALSE,
+    announcements_opt_out BOOLEAN NOT NULL DEFAULT FALSE,
+    sms_opt_out BOOLEAN NOT NULL DEFAULT FALSE, -- Set by replying STOP; payment and fine notices still go out
+    sms_opt_out_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    INDEX idx_sms_opt_out (sms_opt_out)
+);
+
+-- Messages customers send to the shortcode (STOP, START, ...)
+CREATE TABLE IF NOT EXISTS sms_inbound_messages (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    provider_message_id VARCHAR(100) NULL,
+    from_phone VARCHAR(20) NOT NULL,
+    to_code VARCHAR(20) NULL,
+    message TEXT NULL,
+    keyword VARCHAR(20) NULL,
+    customer_id INT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_provider_message (provider_message_id),
+    INDEX idx_from_phone (from_phone)
+);
+
+-- Sends skipped because of a customer's preferences are logged as 'suppressed'
+ALTER TABLE notifications_sent
+    MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'pending';
+
+ALTER TABLE notification_outbox
+    MODIFY COLUMN status ENUM('pending', 'processing', 'sent', 'dead', 'suppressed') NOT NULL DEFAULT 'pending';
@@ -0,0 +1,65 @@
+-- ============================================
+-- CUSTOMER LANGUAGE
+-- ============================================
+
+-- Language for SMS, email and the customer portal: English, Kiswahili or Gikuyu
+ALTER TABLE customers
+    ADD COLUMN language ENUM('en', 'sw', 'ki') NOT NULL DEFAULT 'en' AFTER email;
+
+-- Language was first stored with the notification preferences; it now lives on the customer
+UPDATE customers c
+JOIN customer_notification_preferences p ON p.customer_id = c.id
+SET c.language = p.language;
+
+ALTER TABLE customer_notification_preferences DROP COLUMN language;
+
+-- Templates are keyed by (trigger_event, language); senders fall back to English
+ALTER TABLE notification_templates
+    ADD COLUMN language ENUM('en', 'sw', 'ki') NOT NULL DEFAULT 'en' AFTER trigger_event,
+    ADD INDEX idx_trigger_language (trigger_event, type, language, is_active);
+
+-- Kiswahili SMS templates. Gikuyu templates are added from the template editor;
+-- until then Gikuyu speakers receive the English wording.
+INSERT INTO notification_templates (name, type, trigger_event, language, message_template, is_active)
+SELECT * FROM (
+    SELECT 'Bill Generated SMS (Kiswahili)' AS name, 'sms' AS type, 'bill_generated' AS trigger_event, 'sw' AS language,
+        'Mpendwa {{customer_name}}, bili yako ya maji ya {{period}} ni KES {{amount}}, ilipwe kufikia {{due_date}}. Lipa kupitia Equity ukitumia akaunti {{account_number}}.' AS message_template,
+        TRUE AS is_active
+    UNION ALL
+    SELECT 'Billing Cycle SMS (Kiswahili)', 'sms', 'billing_cycle', 'sw',
+        'Mpendwa {{customer_name}}, bili yako ya {{billing_month}} ni {{current_charge}}. Deni la bili ni {{outstanding_bills}}, mchango wa kuunganishiwa maji {{contribution_outstanding}} na faini {{outstanding_fines}}. Tafadhali lipa ndani ya siku {{grace_days}} kupitia wakala wa Equity, benki ya Equity, Mpesa paybill {{paybill}}, Equitel au USSD ukitumia akaunti {{account_number}}. Asante.',
+        TRUE
+    UNION ALL
+    SELECT 'Payment Received SMS (Kiswahili)', 'sms', 'payment_received', 'sw',
+        'Mpendwa {{customer_name}}, tumepokea malipo yako ya KES {{amount}} tarehe {{payment_date}} kwa akaunti {{account_number}}. Kumbukumbu: {{transaction_id}}. Asante.',
+        TRUE
+    UNION ALL
+    SELECT 'Payment Reversed SMS (Kiswahili)', 'sms', 'payment_reversed', 'sw',
+        'Mpendwa {{customer_name}}, malipo yako ya {{amount}} (Kumbukumbu: {{transaction_id}}) kwa akaunti {{account_number}} yamebatilishwa. Sababu: {{reason}}. Salio lako sasa ni {{balance}}.',
+        TRUE
+    UNION ALL
+    SELECT 'Fine Applied SMS (Kiswahili)', 'sms', 'fine_applied', 'sw',
+        'Mpendwa {{customer_name}}, faini ya KES {{amount}} imeongezwa kwenye akaunti {{account_number}} kwa sababu ya {{reason}}. Salio lako ni KES {{balance}}.',
+        TRUE
+    UNION ALL
+    SELECT 'Overdue Notice SMS (Kiswahili)', 'sms', 'overdue_notice', 'sw',
+        'Mpendwa {{customer_name}}, bili yako ya KES {{amount}} imechelewa kwa siku {{days_overdue}}. Tafadhali lipa mara moja ili kuepuka faini na kukatiwa maji. Akaunti: {{account_number}}.',
+        TRUE
+    UNION ALL
+    SELECT 'Password Notification SMS (Kiswahili)', 'sms', 'password_notification', 'sw',
+        'Habari {{customer_name}}, karibu Nyanjigi Water! Nenosiri la akaunti yako {{account_number}} ni: {{password}}. Tafadhali liweke salama.',
+        TRUE
+    UNION ALL
+    SELECT 'Contribution Received SMS (Kiswahili)', 'sms', 'contribution_notification', 'sw',
+        'Mpendwa {{customer_name}}, tumepokea mchango wako wa KES {{amount}} tarehe {{date}} kwa akaunti {{account_number}}. Asante.',
+        TRUE
+) AS templates
+WHERE NOT EXISTS (
+    SELECT 1 FROM notification_templates t
+    WHERE t.trigger_event = templates.trigger_event AND t.type = 'sms' AND t.language = templates.language
+);
+
+INSERT IGNORE INTO notification_template_versions (template_id, version, name, subject, message_template, is_active, change_note)
+SELECT id, 1, name, subject, message_template, is_active, 'Initial version'
+FROM notification_templates
+WHERE language = 'sw';
@@ -0,0 +1,10 @@
+-- ============================================
+-- ADMIN ROLES
+-- ============================================
+
+-- Committee members get their own logins; permissions per role live in utils/permissions.js.
+-- Existing admins keep full rights as superadmins.
+ALTER TABLE admins
+    ADD COLUMN role ENUM('superadmin', 'treasurer', 'billing_clerk', 'meter_reader', 'sms_officer', 'auditor')
+        NOT NULL DEFAULT 'superadmin' AFTER full_name,
+    ADD INDEX idx_role (role);
@@ -0,0 +1,11 @@
+-- ============================================
+-- AUDIT TRAIL
+-- ============================================
+
+-- audit_logs.user_id holds a customer id when user_type is 'customer', so it cannot reference admins.
+-- The constraint name is MySQL's default for the first foreign key in database/schema.sql.
+ALTER TABLE audit_logs
+    DROP FOREIGN KEY audit_logs_ibfk_1;
+
+ALTER TABLE audit_logs
+    ADD INDEX idx_table_created (table_name, created_at);
@@ -0,0 +1,25 @@
+-- ============================================
+-- LOGIN SESSIONS AND REFRESH TOKENS
+-- ============================================
+
+-- One row per login. Access tokens carry the session id and stop working once it is revoked;
+-- the refresh token is rotated on every use and only its SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_type ENUM('admin', 'customer') NOT NULL,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    previous_token_hash CHAR(64) NULL, -- The token rotated out last; presenting it again revokes the session
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(500) NULL,
+    expires_at DATETIME NOT NULL,
+    last_used_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    revoked_reason VARCHAR(50) NULL, -- logout, logout_all, account_deactivated, token_reuse
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_refresh_token_hash (refresh_token_hash),
+    INDEX idx_previous_token_hash (previous_token_hash),
+    INDEX idx_user (user_type, user_id, revoked_at),
+    INDEX idx_expires_at (expires_at)
+);
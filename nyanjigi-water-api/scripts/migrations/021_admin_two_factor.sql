@@ -0,0 +1,51 @@
+-- ============================================
+-- TWO-FACTOR AUTHENTICATION FOR ADMINS
+-- ============================================
+
+-- Authenticator app (TOTP) secret, and a phone number for the SMS fallback.
+-- The secret is only in force once two_factor_enabled is set after the first code is confirmed;
+-- two_factor_last_step stops the same code being used twice.
+ALTER TABLE admins
+    ADD COLUMN phone VARCHAR(20) NULL AFTER email,
+    ADD COLUMN two_factor_secret VARCHAR(64) NULL AFTER role,
+    ADD COLUMN two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE AFTER two_factor_secret,
+    ADD COLUMN two_factor_enabled_at DATETIME NULL AFTER two_factor_enabled,
+    ADD COLUMN two_factor_last_step BIGINT NULL AFTER two_factor_enabled_at;
+
+-- Single-use recovery codes; only SHA-256 hashes are stored
+CREATE TABLE IF NOT EXISTS admin_backup_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    admin_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+    INDEX idx_admin_unused (admin_id, used_at)
+);
+
+-- A password login waiting for its second factor. The client holds the token; the
+-- SMS code, when one was requested, is stored hashed alongside it.
+CREATE TABLE IF NOT EXISTS admin_login_challenges (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    admin_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    purpose ENUM('verify', 'enroll') NOT NULL DEFAULT 'verify', -- enroll: the role requires 2FA and none is set up yet
+    attempts INT NOT NULL DEFAULT 0,
+    sms_code_hash CHAR(64) NULL,
+    sms_code_expires_at DATETIME NULL,
+    sms_sent_count INT NOT NULL DEFAULT 0,
+    sms_last_sent_at DATETIME NULL,
+    ip_address VARCHAR(45) NULL,
+    expires_at DATETIME NOT NULL,
+    completed_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_token_hash (token_hash),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Roles that must complete two-factor sign-in; admins in them enroll at their next login
+INSERT IGNORE INTO system_settings (setting_key, setting_value, description, category) VALUES
+('two_factor_required_roles', 'superadmin,treasurer,sms_officer', 'Admin roles that must use two-factor authentication (comma separated)', 'security');
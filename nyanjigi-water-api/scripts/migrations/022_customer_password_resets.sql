@@ -0,0 +1,44 @@
+-- ============================================
+-- CUSTOMER PASSWORD RESET BY SMS
+-- ============================================
+
+-- One row per forgot-password request. Requests for unknown or unusable accounts are
+-- kept too (without a code) so they count towards the per-IP limit; only SHA-256
+-- hashes of the codes are stored.
+CREATE TABLE IF NOT EXISTS customer_password_resets (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    customer_id INT NULL,
+    account_number VARCHAR(50) NOT NULL,
+    code_hash CHAR(64) NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    ip_address VARCHAR(45) NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    INDEX idx_account_created (account_number, created_at),
+    INDEX idx_ip_created (ip_address, created_at),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Reset code SMS in English and Kiswahili; Gikuyu speakers get English until a template is added
+INSERT INTO notification_templates (name, type, trigger_event, language, message_template, is_active)
+SELECT * FROM (
+    SELECT 'Password Reset Code SMS' AS name, 'sms' AS type, 'password_reset_code' AS trigger_event, 'en' AS language,
+        'Your Nyanjigi Water password reset code for account {{account_number}} is {{code}}. It expires in {{minutes}} minutes. Do not share it with anyone.' AS message_template,
+        TRUE AS is_active
+    UNION ALL
+    SELECT 'Password Reset Code SMS (Kiswahili)', 'sms', 'password_reset_code', 'sw',
+        'Nambari yako ya kubadilisha nenosiri la Nyanjigi Water kwa akaunti {{account_number}} ni {{code}}. Itaisha baada ya dakika {{minutes}}. Usimpe mtu yeyote.',
+        TRUE
+) AS templates
+WHERE NOT EXISTS (
+    SELECT 1 FROM notification_templates t
+    WHERE t.trigger_event = templates.trigger_event AND t.type = 'sms' AND t.language = templates.language
+);
+
+INSERT IGNORE INTO notification_template_versions (template_id, version, name, subject, message_template, is_active, change_note)
+SELECT id, 1, name, subject, message_template, is_active, 'Initial version'
+FROM notification_templates
+WHERE trigger_event = 'password_reset_code';
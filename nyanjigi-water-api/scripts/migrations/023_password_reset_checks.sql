@@ -0,0 +1,15 @@
+-- ============================================
+-- PASSWORD RESET CODE CHECKS
+-- ============================================
+
+-- Every attempt to use a reset code, so the number of codes tried from one IP
+-- address can be limited across all accounts
+CREATE TABLE IF NOT EXISTS customer_password_reset_checks (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    account_number VARCHAR(50) NOT NULL,
+    ip_address VARCHAR(45) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_ip_created (ip_address, created_at),
+    INDEX idx_created_at (created_at)
+);
@@ -0,0 +1,54 @@
+-- ============================================
+-- GIKUYU SMS TEMPLATES
+-- ============================================
+
+-- Gikuyu SMS templates for every event that has a Kiswahili one. The wording is
+-- written without the tilde vowels (i, u for ĩ, ũ), as Gikuyu is usually texted,
+-- so messages stay in the GSM alphabet and are billed per 160 characters.
+INSERT INTO notification_templates (name, type, trigger_event, language, message_template, is_active)
+SELECT * FROM (
+    SELECT 'Bill Generated SMS (Gikuyu)' AS name, 'sms' AS type, 'bill_generated' AS trigger_event, 'ki' AS language,
+        'Mwendwa {{customer_name}}, thabu yaku ya maai ya {{period}} ni KES {{amount}}, irihwo mbere ya {{due_date}}. Riha na Equity ukihuthira akaunti {{account_number}}.' AS message_template,
+        TRUE AS is_active
+    UNION ALL
+    SELECT 'Billing Cycle SMS (Gikuyu)', 'sms', 'billing_cycle', 'ki',
+        'Mwendwa {{customer_name}}, thabu yaku ya {{billing_month}} ni {{current_charge}}. Thiiri wa mathabu ni {{outstanding_bills}}, mucango wa kunyitithanio na maai {{contribution_outstanding}} na irihi {{outstanding_fines}}. Ndaguthaitha uriihe thiini wa mithenya {{grace_days}} na agent wa Equity, ibengi ria Equity, Mpesa paybill {{paybill}}, Equitel kana USSD ukihuthira akaunti {{account_number}}. Ni ngaatho.',
+        TRUE
+    UNION ALL
+    SELECT 'Payment Received SMS (Gikuyu)', 'sms', 'payment_received', 'ki',
+        'Mwendwa {{customer_name}}, nitwamukira marihi maku ma KES {{amount}} muthenya wa {{payment_date}} ma akaunti {{account_number}}. Namba ya marihi: {{transaction_id}}. Ni ngaatho.',
+        TRUE
+    UNION ALL
+    SELECT 'Payment Reversed SMS (Gikuyu)', 'sms', 'payment_reversed', 'ki',
+        'Mwendwa {{customer_name}}, marihi maku ma {{amount}} (Namba: {{transaction_id}}) ma akaunti {{account_number}} ni macokio. Gitumi: {{reason}}. Thiiri waku riu ni {{balance}}.',
+        TRUE
+    UNION ALL
+    SELECT 'Fine Applied SMS (Gikuyu)', 'sms', 'fine_applied', 'ki',
+        'Mwendwa {{customer_name}}, irihi ria KES {{amount}} ni riongereirwo akaunti {{account_number}} ni undu wa {{reason}}. Thiiri waku ni KES {{balance}}.',
+        TRUE
+    UNION ALL
+    SELECT 'Overdue Notice SMS (Gikuyu)', 'sms', 'overdue_notice', 'ki',
+        'Mwendwa {{customer_name}}, thabu yaku ya KES {{amount}} ni ihitukitie mahinda na mithenya {{days_overdue}}. Ndaguthaitha uriihe o riu niguo wigitire irihi na gutinio maai. Akaunti: {{account_number}}.',
+        TRUE
+    UNION ALL
+    SELECT 'Password Notification SMS (Gikuyu)', 'sms', 'password_notification', 'ki',
+        'Uhoro {{customer_name}}, wamukirwo Nyanjigi Water! Password ya akaunti yaku {{account_number}} ni: {{password}}. Ndaguthaitha umiige wega.',
+        TRUE
+    UNION ALL
+    SELECT 'Contribution Received SMS (Gikuyu)', 'sms', 'contribution_notification', 'ki',
+        'Mwendwa {{customer_name}}, nitwamukira mucango waku wa KES {{amount}} muthenya wa {{date}} wa akaunti {{account_number}}. Ni ngaatho.',
+        TRUE
+    UNION ALL
+    SELECT 'Password Reset Code SMS (Gikuyu)', 'sms', 'password_reset_code', 'ki',
+        'Namba yaku ya gucenjia password ya Nyanjigi Water ya akaunti {{account_number}} ni {{code}}. Igathira thutha wa ndagika {{minutes}}. Ndukamihe mundu o na uriku.',
+        TRUE
+) AS templates
+WHERE NOT EXISTS (
+    SELECT 1 FROM notification_templates t
+    WHERE t.trigger_event = templates.trigger_event AND t.type = 'sms' AND t.language = templates.language
+);
+
+INSERT IGNORE INTO notification_template_versions (template_id, version, name, subject, message_template, is_active, change_note)
+SELECT id, 1, name, subject, message_template, is_active, 'Initial version'
+FROM notification_templates
+WHERE language = 'ki';
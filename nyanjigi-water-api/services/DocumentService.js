@@ -0,0 +1,440 @@
+const moment = require('moment');
+const PdfDocument = require('../utils/pdf');
+const CsvUtils = require('../utils/csv');
+const { SystemSettings, Ledger } = require('../models');
+
+const BRAND_COLOR = '#1d4ed8';
+const MUTED_COLOR = '#555555';
+
+const METHOD_LABELS = {
+  equity_branch: 'Equity Branch',
+  equity_agent: 'Equity Agent',
+  equity_equitel: 'Equitel',
+  equity_mpesa: 'M-Pesa (Equity Paybill)',
+  equity_ussd: 'Equity USSD',
+  equity_app: 'Equity Mobile App',
+  cash: 'Cash',
+  cheque: 'Cheque',
+  bank_transfer: 'Bank Transfer'
+};
+
+const ENTRY_TYPE_LABELS = {
+  charge: 'Bill',
+  fine: 'Fine',
+  contribution: 'Contribution',
+  payment: 'Payment',
+  reversal: 'Reversal',
+  adjustment: 'Adjustment',
+  waiver: 'Waiver'
+};
+
+/**
+ * Document Service - Printable PDF bills, payment receipts and statements
+ */
+class DocumentService {
+  toCurrency(amount) {
+    const value = Number(amount || 0);
+    return `KES ${value.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  // Balances in credit are shown as positive amounts marked CR
+  toBalance(amount) {
+    const value = Number(amount || 0);
+    return value < 0 ? `${this.toCurrency(Math.abs(value))} CR` : this.toCurrency(value);
+  }
+
+  formatDate(date) {
+    return date ? moment(date).format('DD MMM YYYY') : '-';
+  }
+
+  async getBranding() {
+    const [company, payment] = await Promise.all([
+      SystemSettings.getCompanySettings(),
+      SystemSettings.getPaymentSettings()
+    ]);
+    return { ...company, paybill: payment.equity_paybill_account };
+  }
+
+  // Company letterhead with the document title on the right
+  drawHeader(doc, branding, title, subtitle) {
+    const contentWidth = doc.width - doc.margin * 2;
+
+    doc.rect(0, 0, doc.width, 6, { fill: BRAND_COLOR });
+    doc.text(doc.margin, 28, branding.company_name, { size: 16, bold: true, color: BRAND_COLOR });
+
+    let y = 50;
+    [branding.company_address, branding.company_phone, branding.company_email]
+      .filter(Boolean)
+      .forEach(line => {
+        doc.text(doc.margin, y, line, { size: 9, color: MUTED_COLOR });
+        y += 12;
+      });
+
+    doc.text(doc.margin, 28, title, { size: 18, bold: true, align: 'right', width: contentWidth });
+    doc.text(doc.margin, 52, subtitle, { size: 10, align: 'right', width: contentWidth, color: MUTED_COLOR });
+
+    doc.y = Math.max(y, 70) + 10;
+    doc.line(doc.margin, doc.y, doc.width - doc.margin, doc.y, { color: '#cccccc' });
+    doc.y += 14;
+  }
+
+  // Two columns of label/value pairs
+  drawDetails(doc, left, right) {
+    const columnWidth = (doc.width - doc.margin * 2) / 2;
+    const startY = doc.y;
+
+    const drawColumn = (rows, x) => {
+      let y = startY;
+      rows.forEach(([label, value]) => {
+        doc.text(x, y, label, { size: 9, color: MUTED_COLOR });
+        doc.text(x + 95, y, value, { size: 10, bold: true });
+        y += 15;
+      });
+      return y;
+    };
+
+    doc.y = Math.max(drawColumn(left, doc.margin), drawColumn(right, doc.margin + columnWidth)) + 10;
+  }
+
+  // Right-aligned summary lines; the last one is highlighted
+  drawTotals(doc, rows) {
+    const width = 240;
+    const x = doc.width - doc.margin - width;
+
+    rows.forEach(([label, value], index) => {
+      const isTotal = index === rows.length - 1;
+      doc.ensureSpace(22);
+      if (isTotal) {
+        doc.rect(x, doc.y - 3, width, 20, { fill: '#e8eef7' });
+      }
+      doc.text(x + 6, doc.y + 1, label, { size: 10, bold: isTotal });
+      doc.text(x, doc.y + 1, value, { size: 10, bold: isTotal, align: 'right', width: width - 6 });
+      doc.y += isTotal ? 24 : 16;
+    });
+  }
+
+  drawSectionTitle(doc, title) {
+    doc.ensureSpace(40);
+    doc.y += 6;
+    doc.text(doc.margin, doc.y, title, { size: 11, bold: true, color: BRAND_COLOR });
+    doc.y += 18;
+  }
+
+  drawFooter(doc, branding) {
+    doc.ensureSpace(30);
+    doc.y += 10;
+    doc.line(doc.margin, doc.y, doc.width - doc.margin, doc.y, { color: '#cccccc' });
+    doc.y += 8;
+    doc.paragraph(
+      `Generated on ${moment().format('DD MMM YYYY HH:mm')}. Questions? Contact ${branding.company_name}`
+      + `${branding.company_phone ? ` on ${branding.company_phone}` : ''}.`,
+      { size: 8, color: MUTED_COLOR }
+    );
+  }
+
+  /**
+   * Render a bill (as returned by Bill.getBillWithCustomer) with the
+   * customer's other open balances and how to pay
+   */
+  async renderBill(bill) {
+    const branding = await this.getBranding();
+    const balance = await Ledger.getBalanceBreakdown(bill.customer_id);
+
+    const doc = new PdfDocument({ title: `Bill ${bill.bill_number}`, author: branding.company_name });
+    const contentWidth = doc.width - doc.margin * 2;
+
+    this.drawHeader(doc, branding, 'WATER BILL', bill.bill_number);
+
+    this.drawDetails(doc, [
+      ['Customer', bill.customer_name],
+      ['Account No.', bill.account_number],
+      ['Location', bill.customer_location || '-'],
+      ['Phone', bill.customer_phone || '-']
+    ], [
+      ['Billing Period', `${this.formatDate(bill.billing_period_start)} - ${this.formatDate(bill.billing_period_end)}`],
+      ['Bill Date', this.formatDate(bill.generated_at || bill.created_at)],
+      ['Due Date', this.formatDate(bill.due_date)],
+      ['Status', String(bill.display_status || bill.status).replace('_', ' ').toUpperCase()]
+    ]);
+
+    if (bill.bill_type === 'metered' && bill.meter_reading_current !== null) {
+      this.drawSectionTitle(doc, 'Meter Reading');
+      doc.table([
+        { header: 'Previous', key: 'previous', width: contentWidth / 4, align: 'right' },
+        { header: 'Current', key: 'current', width: contentWidth / 4, align: 'right' },
+        { header: 'Units Used (m3)', key: 'units', width: contentWidth / 4, align: 'right' },
+        { header: 'Reading', key: 'type', width: contentWidth / 4 }
+      ], [{
+        previous: bill.meter_reading_previous ?? '-',
+        current: bill.meter_reading_current,
+        units: bill.units_consumed ?? '-',
+        type: bill.is_estimated ? 'Estimated' : 'Actual'
+      }]);
+    }
+
+    this.drawSectionTitle(doc, 'Charges');
+    const items = bill.items && bill.items.length > 0
+      ? bill.items
+      : [{ description: 'Water charges', units: bill.units_consumed, rate: bill.rate_per_unit, amount: bill.current_charges }];
+
+    doc.table([
+      { header: 'Description', key: 'description', width: contentWidth - 270 },
+      { header: 'Units', key: 'units', width: 80, align: 'right', format: value => (value === null || value === undefined ? '-' : value) },
+      { header: 'Rate', key: 'rate', width: 80, align: 'right', format: value => (value === null || value === undefined ? '-' : Number(value).toFixed(2)) },
+      { header: 'Amount', key: 'amount', width: 110, align: 'right', format: value => this.toCurrency(value) }
+    ], items);
+    doc.y += 12;
+
+    const totalAmount = parseFloat(bill.total_amount);
+    const amountPaid = parseFloat(bill.amount_paid || 0);
+    this.drawTotals(doc, [
+      ['Previous balance', this.toCurrency(bill.previous_balance)],
+      ['Current charges', this.toCurrency(bill.current_charges)],
+      ['Fines', this.toCurrency(bill.fines_applied)],
+      ['Total billed', this.toCurrency(totalAmount)],
+      ['Less: paid', this.toCurrency(amountPaid)],
+      ['Amount due', this.toCurrency(Math.max(0, totalAmount - amountPaid))]
+    ]);
+
+    this.drawSectionTitle(doc, 'Account Position');
+    this.drawDetails(doc, [
+      ['Unpaid bills', this.toCurrency(balance.bills)],
+      ['Unpaid fines', this.toCurrency(balance.fines)]
+    ], [
+      ['Contributions owed', this.toCurrency(balance.contributions)],
+      [balance.credit_balance > 0 ? 'Account credit' : 'Total balance',
+        this.toCurrency(balance.credit_balance > 0 ? balance.credit_balance : balance.total_balance)]
+    ]);
+
+    this.drawSectionTitle(doc, 'How to Pay');
+    doc.paragraph(
+      `Pay through Equity Bank paybill ${branding.paybill} using your account number ${bill.account_number}. `
+      + 'You can pay at any Equity branch or agent, through M-Pesa paybill, your Equitel line, '
+      + 'USSD *247# or the Equity mobile app. Cash and cheque payments are accepted at the office against an official receipt.',
+      { size: 10 }
+    );
+    doc.y += 4;
+    doc.paragraph(`Please pay by ${this.formatDate(bill.due_date)} to avoid late payment fines.`, { size: 10, bold: true });
+
+    this.drawFooter(doc, branding);
+
+    return {
+      filename: `bill-${bill.bill_number}.pdf`,
+      buffer: await doc.toBuffer()
+    };
+  }
+
+  /**
+   * Render a payment receipt (as returned by Payment.getPaymentWithAllocations)
+   */
+  async renderReceipt(payment) {
+    const branding = await this.getBranding();
+    const receiptNumber = payment.receipt_number || payment.transaction_id;
+
+    const doc = new PdfDocument({ size: 'A5', margin: 30, title: `Receipt ${receiptNumber}`, author: branding.company_name });
+    const contentWidth = doc.width - doc.margin * 2;
+
+    this.drawHeader(doc, branding, 'RECEIPT', receiptNumber);
+
+    const rows = [
+      ['Received from', payment.customer_name],
+      ['Account No.', payment.account_number],
+      ['Date', moment(payment.payment_date).format('DD MMM YYYY HH:mm')],
+      ['Method', METHOD_LABELS[payment.payment_method] || payment.payment_method],
+      ['Reference', payment.equity_reference || payment.payment_reference || payment.transaction_id]
+    ];
+    rows.forEach(([label, value]) => {
+      doc.text(doc.margin, doc.y, label, { size: 9, color: MUTED_COLOR });
+      doc.text(doc.margin + 95, doc.y, value, { size: 10, bold: true });
+      doc.y += 15;
+    });
+
+    doc.y += 6;
+    doc.rect(doc.margin, doc.y, contentWidth, 30, { fill: '#e8eef7' });
+    doc.text(doc.margin + 8, doc.y + 9, 'Amount Received', { size: 11, bold: true });
+    doc.text(doc.margin, doc.y + 8, this.toCurrency(payment.amount), { size: 14, bold: true, align: 'right', width: contentWidth - 8 });
+    doc.y += 42;
+
+    if (payment.status === 'reversed') {
+      doc.text(doc.margin, doc.y, 'THIS PAYMENT HAS BEEN REVERSED', { size: 12, bold: true, color: '#c2410c', align: 'center', width: contentWidth });
+      doc.y += 20;
+    }
+
+    if (payment.allocations && payment.allocations.length > 0) {
+      this.drawSectionTitle(doc, 'Applied To');
+      doc.table([
+        { header: 'Item', key: 'item', width: contentWidth - 110 },
+        { header: 'Amount', key: 'amount', width: 110, align: 'right', format: value => this.toCurrency(value) }
+      ], payment.allocations.map(allocation => ({
+        item: allocation.bill_number
+          ? `${allocation.allocation_description} - ${allocation.bill_number}`
+          : allocation.allocation_description,
+        amount: allocation.amount
+      })));
+      doc.y += 6;
+    }
+
+    const balance = await Ledger.getCustomerBalance(payment.customer_id);
+    doc.text(doc.margin, doc.y, balance < 0 ? 'Account credit' : 'Balance outstanding', { size: 9, color: MUTED_COLOR });
+    doc.text(doc.margin, doc.y, this.toCurrency(Math.abs(balance)), { size: 10, bold: true, align: 'right', width: contentWidth });
+    doc.y += 16;
+
+    this.drawFooter(doc, branding);
+
+    return {
+      filename: `receipt-${receiptNumber}.pdf`,
+      buffer: await doc.toBuffer()
+    };
+  }
+
+  // One line per allocation, e.g. "Bill BILL-202401-0001: KES 500.00"
+  describeAllocations(allocations) {
+    return allocations
+      .map(allocation => `${allocation.applied_to}: ${this.toCurrency(allocation.amount)}`)
+      .join('; ');
+  }
+
+  /**
+   * Render a customer statement (as returned by CustomerStatement.generate)
+   */
+  async renderStatement(statement) {
+    const branding = await this.getBranding();
+    const { customer, period } = statement;
+
+    const doc = new PdfDocument({ title: `Statement ${customer.account_number}`, author: branding.company_name });
+    const contentWidth = doc.width - doc.margin * 2;
+
+    this.drawHeader(doc, branding, 'STATEMENT', `${this.formatDate(period.from)} - ${this.formatDate(period.to)}`);
+
+    this.drawDetails(doc, [
+      ['Customer', customer.full_name],
+      ['Account No.', customer.account_number],
+      ['Location', customer.location || '-']
+    ], [
+      ['Opening balance', this.toBalance(statement.opening_balance)],
+      ['Closing balance', this.toBalance(statement.closing_balance)],
+      ['Phone', customer.phone || '-']
+    ]);
+
+    this.drawSectionTitle(doc, 'Transactions');
+
+    const rows = [{
+      date: period.from,
+      type: '',
+      reference: '',
+      description: 'Opening balance',
+      debit: null,
+      credit: null,
+      balance: statement.opening_balance,
+      _bold: true
+    }];
+
+    statement.lines.forEach(line => {
+      rows.push({
+        ...line,
+        type: ENTRY_TYPE_LABELS[line.type] || line.type,
+        reference: line.reference || '-'
+      });
+      line.allocations.forEach(allocation => {
+        rows.push({
+          date: null,
+          type: '',
+          reference: '',
+          description: `  - ${allocation.applied_to}  ${Number(allocation.amount).toFixed(2)}`,
+          debit: null,
+          credit: null,
+          balance: null
+        });
+      });
+    });
+
+    rows.push({
+      date: period.to,
+      type: '',
+      reference: '',
+      description: 'Closing balance',
+      debit: statement.total_debits,
+      credit: statement.total_credits,
+      balance: statement.closing_balance,
+      _bold: true
+    });
+
+    const amount = value => (value === null || value === undefined || value === 0 ? '' : Number(value).toFixed(2));
+    doc.table([
+      { header: 'Date', key: 'date', width: 56, format: value => (value ? moment(value).format('DD/MM/YYYY') : '') },
+      { header: 'Type', key: 'type', width: 58 },
+      { header: 'Reference', key: 'reference', width: 80 },
+      { header: 'Description', key: 'description', width: contentWidth - 374 },
+      { header: 'Debit', key: 'debit', width: 60, align: 'right', format: amount },
+      { header: 'Credit', key: 'credit', width: 60, align: 'right', format: amount },
+      { header: 'Balance', key: 'balance', width: 60, align: 'right', format: value => (value === null ? '' : Number(value).toFixed(2)) }
+    ], rows.map(row => ({
+      ...row,
+      description: this.truncate(doc, row.description, contentWidth - 382, 8)
+    })), { size: 8 });
+    doc.y += 12;
+
+    const { summary } = statement;
+    this.drawTotals(doc, [
+      ['Opening balance', this.toBalance(statement.opening_balance)],
+      ['Bills', this.toCurrency(summary.charges)],
+      ['Fines', this.toCurrency(summary.fines)],
+      ['Contributions', this.toCurrency(summary.contributions)],
+      ['Less: payments', this.toCurrency(summary.payments)],
+      ...(summary.reversals ? [['Add: reversed payments', this.toCurrency(summary.reversals)]] : []),
+      ...(summary.adjustments ? [['Adjustments', this.toCurrency(summary.adjustments)]] : []),
+      ...(summary.waivers ? [['Less: waivers', this.toCurrency(summary.waivers)]] : []),
+      [statement.closing_balance < 0 ? 'Account credit' : 'Closing balance', this.toCurrency(Math.abs(statement.closing_balance))]
+    ]);
+
+    this.drawFooter(doc, branding);
+
+    return {
+      filename: `statement-${customer.account_number}-${period.from}-${period.to}.pdf`,
+      buffer: await doc.toBuffer()
+    };
+  }
+
+  // Shorten text with an ellipsis so it fits in a table cell
+  truncate(doc, text, width, size) {
+    let value = String(text || '');
+    if (doc.textWidth(value, size) <= width) {
+      return value;
+    }
+    while (value.length > 0 && doc.textWidth(`${value}...`, size) > width) {
+      value = value.slice(0, -1);
+    }
+    return `${value}...`;
+  }
+
+  /**
+   * Statement as CSV, one row per ledger line with its allocations
+   */
+  renderStatementCsv(statement) {
+    const { customer, period } = statement;
+    const row = values => values.map(value => CsvUtils.escape(value)).join(',');
+
+    const csv = [
+      row(['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance', 'Allocated To']),
+      row([period.from, '', '', 'Opening balance', '', '', statement.opening_balance.toFixed(2), '']),
+      ...statement.lines.map(line => row([
+        line.date,
+        ENTRY_TYPE_LABELS[line.type] || line.type,
+        line.reference,
+        line.description,
+        line.debit ? line.debit.toFixed(2) : '',
+        line.credit ? line.credit.toFixed(2) : '',
+        line.balance.toFixed(2),
+        this.describeAllocations(line.allocations)
+      ])),
+      row([period.to, '', '', 'Closing balance', statement.total_debits.toFixed(2), statement.total_credits.toFixed(2), statement.closing_balance.toFixed(2), ''])
+    ].join('\n');
+
+    return {
+      filename: `statement-${customer.account_number}-${period.from}-${period.to}.csv`,
+      content: csv
+    };
+  }
+}
+
+module.exports = new DocumentService();
@@ -0,0 +1,283 @@
+const nodemailer = require('nodemailer');
+const { SystemSettings } = require('../models');
+const { executeQuery } = require('../config/database');
+
+/**
+ * Email Service - Sends HTML emails through the SMTP server in system settings
+ */
+class EmailService {
+  constructor() {
+    this.settings = null;
+    this.branding = null;
+  }
+
+  // Load current SMTP settings; false if email cannot be sent
+  async initialize() {
+    try {
+      const [settings, company] = await Promise.all([
+        SystemSettings.getEmailSettings(),
+        SystemSettings.getCompanySettings()
+      ]);
+      this.settings = settings;
+      this.branding = company;
+
+      if (!settings.smtp_host || !settings.smtp_from_email) {
+        console.warn('Email Service: SMTP server not configured');
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Email Service initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
+  }
+
+  // Send a single email. Attachments are { filename, content, contentType }.
+  async sendEmail(to, subject, html, options = {}) {
+    try {
+      const initialized = await this.initialize();
+      if (!initialized) {
+        return {
+          success: false,
+          error: 'Email service not properly configured',
+          message_id: null,
+          email: to
+        };
+      }
+
+      if (!this.isValidEmail(to)) {
+        throw new Error(`Invalid email address: ${to}`);
+      }
+
+      const transporter = nodemailer.createTransport({
+        host: this.settings.smtp_host,
+        port: this.settings.smtp_port,
+        secure: this.settings.smtp_secure,
+        auth: this.settings.smtp_username
+          ? { user: this.settings.smtp_username, pass: this.settings.smtp_password }
+          : undefined
+      });
+      const info = await transporter.sendMail({
+        from: { name: this.settings.smtp_from_name, address: this.settings.smtp_from_email },
+        to: to.trim(),
+        subject,
+        html: this.renderLayout(html, subject),
+        text: options.text || this.htmlToText(html),
+        attachments: options.attachments || []
+      });
+
+      return {
+        success: true,
+        message_id: info.messageId || null,
+        status: 'sent',
+        email: to,
+        attachments: (options.attachments || []).map(attachment => attachment.filename)
+      };
+    } catch (error) {
+      console.error('Email sending failed:', { email: to, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+        message_id: null,
+        email: to
+      };
+    }
+  }
+
+  // Send an email built from the active email template for a trigger event in options.language
+  async sendTemplatedEmail(email, templateType, variables = {}, options = {}) {
+    try {
+      const template = await this.getTemplate(templateType, options.language);
+      if (!template) {
+        throw new Error(`Email template '${templateType}' not found`);
+      }
+
+      const subject = this.processTemplate(template.subject || this.defaultSubject(templateType), variables, false);
+      const html = this.processTemplate(template.message_template, variables, true);
+
+      return await this.sendEmail(email, subject, html, options);
+    } catch (error) {
+      console.error('Templated email failed:', {
+        email,
+        template: templateType,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        message_id: null,
+        email
+      };
+    }
+  }
+
+  // Get email template from database, in English when there is none in the requested language
+  async getTemplate(templateType, language = 'en') {
+    try {
+      const result = await executeQuery(`
+        SELECT subject, message_template
+        FROM notification_templates
+        WHERE trigger_event = ? AND type = 'email' AND is_active = TRUE
+        AND language IN (?, 'en')
+        ORDER BY language = ? DESC
+        LIMIT 1
+      `, [templateType, language || 'en', language || 'en']);
+
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      console.error('Email template retrieval failed:', error);
+      return null;
+    }
+  }
+
+  defaultSubject(templateType) {
+    const name = this.branding?.company_name || 'Nyanjigi Waters';
+    return `${name}: ${templateType.replace(/_/g, ' ')}`;
+  }
+
+  escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Replace {{variables}}; values are HTML-escaped in email bodies
+  processTemplate(template, variables, html = true) {
+    let content = template;
+
+    for (const [key, value] of Object.entries(variables)) {
+      const replacement = html ? this.escapeHtml(value) : String(value === null || value === undefined ? '' : value);
+      content = content.replace(new RegExp(`{{${key}}}`, 'g'), replacement);
+    }
+
+    return content.replace(/\{\{[^}]+\}\}/g, '').trim();
+  }
+
+  // Wrap a template body in the branded layout
+  renderLayout(body, title) {
+    const company = this.branding || {};
+    const contact = [company.company_phone, company.company_email].filter(Boolean).map(value => this.escapeHtml(value)).join(' | ');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${this.escapeHtml(title)}</title>
+<style>
+  body { margin: 0; padding: 0; background: #f3f4f6; font-family: Helvetica, Arial, sans-serif; color: #111827; }
+  .container { max-width: 600px; margin: 0 auto; background: #ffffff; }
+  .header { background: #1d4ed8; color: #ffffff; padding: 20px 24px; font-size: 20px; font-weight: bold; }
+  .content { padding: 24px; font-size: 15px; line-height: 1.5; }
+  .summary { width: 100%; border-collapse: collapse; margin: 12px 0; }
+  .summary td { padding: 8px; border-bottom: 1px solid #e5e7eb; }
+  .summary td:last-child { text-align: right; font-weight: bold; }
+  .footer { padding: 16px 24px; font-size: 12px; color: #6b7280; border-top: 1px solid #e5e7eb; }
+</style>
+</head>
+<body>
+<div class="container">
+  <div class="header">${this.escapeHtml(company.company_name || 'Nyanjigi Waters')}</div>
+  <div class="content">
+${body}
+  </div>
+  <div class="footer">
+    ${company.company_address ? `${this.escapeHtml(company.company_address)}<br>` : ''}${contact}
+  </div>
+</div>
+</body>
+</html>`;
+  }
+
+  // HTML body for a plain-text message, one paragraph per blank-line separated block
+  textToHtml(text) {
+    return String(text || '')
+      .split(/\n\s*\n/)
+      .map(paragraph => `<p>${this.escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+      .join('\n');
+  }
+
+  // Plain-text alternative for clients that do not show HTML
+  htmlToText(html) {
+    return String(html || '')
+      .replace(/<\/(p|tr|h\d)>/gi, '\n')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/td>\s*<td[^>]*>/gi, ': ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Build PDF attachments for a notification: { bill_id } attaches the bill,
+   * { payment_id } attaches the receipt. Skipped when disabled in settings.
+   */
+  async getDocumentAttachments(documents = {}) {
+    const attachments = [];
+
+    try {
+      if (!this.settings) {
+        await this.initialize();
+      }
+      if (!this.settings || !this.settings.email_attach_documents) {
+        return attachments;
+      }
+
+      const { Bill, Payment } = require('../models');
+      const DocumentService = require('./DocumentService');
+
+      if (documents.bill_id) {
+        const bill = await Bill.getBillWithCustomer(parseInt(documents.bill_id));
+        if (bill) {
+          const { filename, buffer } = await DocumentService.renderBill(bill);
+          attachments.push({ filename, content: buffer, contentType: 'application/pdf' });
+        }
+      }
+
+      if (documents.payment_id) {
+        const payment = await Payment.getPaymentWithAllocations(parseInt(documents.payment_id));
+        if (payment) {
+          const { filename, buffer } = await DocumentService.renderReceipt(payment);
+          attachments.push({ filename, content: buffer, contentType: 'application/pdf' });
+        }
+      }
+    } catch (error) {
+      // Send the email without the document rather than not at all
+      console.error('Email attachment generation failed:', error.message);
+    }
+
+    return attachments;
+  }
+
+  // Send a test email to check the SMTP settings
+  async testConnection(to) {
+    const result = await this.sendEmail(
+      to,
+      'Test email',
+      '<p>This is a test email. Your SMTP settings are working.</p>'
+    );
+
+    return {
+      success: result.success,
+      message: result.success ? 'Test email sent' : 'Test email failed',
+      configured: result.error !== 'Email service not properly configured',
+      error: result.error
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new EmailService();
@@ -1,6 +1,60 @@
 const SMSService = require('./SMSService');
-const { SystemSettings } = require('../models');
+const EmailService = require('./EmailService');
+const {
+  SystemSettings,
+  NotificationOutbox,
+  ScheduledNotification,
+  NotificationPreference,
+  Customer,
+  Ledger
+} = require('../models');
 const { executeQuery } = require('../config/database');
+const moment = require('moment');
+
+// Africa's Talking delivery report statuses mapped to notification log statuses
+const DELIVERY_STATUSES = {
+  Success: 'delivered',
+  Failed: 'failed',
+  Rejected: 'failed',
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent'
+};
+
+// Notices customers cannot opt out of
+const MANDATORY_NOTIFICATIONS = [
+  'payment_received',
+  'payment_reversed',
+  'fine_applied',
+  'password_notification',
+  'template_test',
+  'sms_subscription'
+];
+
+// Optional notification types and the preference that opts out of them
+const OPT_OUT_PREFERENCES = {
+  scheduled_campaign: 'announcements_opt_out',
+  custom: 'announcements_opt_out',
+  marketing: 'marketing_opt_out'
+};
+
+// First word of an inbound SMS that unsubscribes or resubscribes the sender
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'SUBSCRIBE'];
+
+// Stand-ins for values that only exist when a message is actually sent
+const PREVIEW_PLACEHOLDERS = {
+  password: '********',
+  code: '123456',
+  minutes: 10,
+  reason: 'late payment',
+  fine: '0.00',
+  estimated_note: '',
+  credit_note: '',
+  contribution_outstanding: 'KES 0.00',
+  outstanding_fines: 'KES 0.00',
+  grace_days: 5
+};
 
 /**
  * Notification Service - Orchestrates SMS and Email notifications
@@ -20,177 +74,425 @@ class NotificationService {
     }
   }
 
-async sendNotification(recipient, notificationType, variables = {}, options = {}) {
-  try {
-    await this.initialize();
+  /**
+   * Send a templated notification by SMS and/or email in the recipient's language. Pass
+   * options.documents ({ bill_id } or { payment_id }) to attach the bill or receipt to the email.
+   */
+  async sendNotification(recipient, notificationType, variables = {}, options = {}) {
+    try {
+      await this.initialize();
+      const language = recipient.language || await Customer.getLanguage(recipient.id);
 
-    const results = {
-      sms: null,
-      email: null,
-      success: false
-    };
+      const results = {
+        sms: null,
+        email: null,
+        success: false
+      };
 
-    if (this.settings.sms_enabled && recipient.phone) {
-      try {
-        results.sms = await SMSService.sendTemplatedSMS(
-          recipient.phone,
-          notificationType,
-          variables
-        );
-      } catch (error) {
-        console.error('SMS notification failed:', error);
-        results.sms = { success: false, error: error.message };
+      if (this.settings.sms_enabled && recipient.phone) {
+        results.sms = await this.holdSms(recipient, notificationType, variables);
+
+        if (!results.sms) {
+          try {
+            results.sms = await SMSService.sendTemplatedSMS(
+              recipient.phone,
+              notificationType,
+              variables,
+              language
+            );
+          } catch (error) {
+            console.error('SMS notification failed:', error);
+            results.sms = { success: false, error: error.message };
+          }
+
+          await this.logNotification(
+            recipient.id,
+            recipient.phone,
+            notificationType,
+            'sms',
+            results.sms?.success ? 'sent' : 'failed',
+            results.sms,
+            variables
+          );
+        }
       }
+
+      if (this.settings.email_enabled && recipient.email) {
+        const decision = await this.checkPreferences(recipient.id, notificationType, 'email');
+
+        results.email = decision.allowed
+          ? await this.sendEmailNotification({ ...recipient, language }, notificationType, variables, options.documents)
+          : await this.logSuppressed(recipient.id, recipient.email, notificationType, 'email', decision.reason, variables);
+      }
+
+      results.success = Boolean(results.sms?.success || results.email?.success);
+      return results;
+    } catch (error) {
+      console.error('Notification sending failed:', error);
+      return {
+        sms: null,
+        email: null,
+        success: false,
+        error: error.message
+      };
     }
+  }
 
-    if (this.settings.email_enabled && recipient.email) {
-      results.email = { success: false, error: 'Email service not implemented' };
+  getMandatoryNotifications() {
+    return MANDATORY_NOTIFICATIONS;
+  }
+
+  /**
+   * Whether a customer's preferences allow a notification on a channel. Returns { allowed: true },
+   * { allowed: false, reason } or, during quiet hours, { allowed: false, deferUntil }.
+   * Payment and fine notices are always allowed.
+   */
+  async checkPreferences(customerId, notificationType, channel) {
+    if (!customerId || MANDATORY_NOTIFICATIONS.includes(notificationType)) {
+      return { allowed: true };
+    }
+
+    const preferences = await NotificationPreference.getPreferences(customerId);
+
+    if (preferences.channel !== 'both' && preferences.channel !== channel) {
+      return { allowed: false, reason: `prefers_${preferences.channel}` };
+    }
+    if (channel === 'sms' && preferences.sms_opt_out) {
+      return { allowed: false, reason: 'sms_stop' };
     }
 
-    
+    const optOut = OPT_OUT_PREFERENCES[notificationType];
+    if (optOut && preferences[optOut]) {
+      return { allowed: false, reason: optOut };
+    }
+
+    // Quiet hours hold SMS only; an email arriving overnight disturbs no one
+    if (channel === 'sms' && NotificationPreference.isQuietTime(preferences)) {
+      return { allowed: false, deferUntil: NotificationPreference.quietHoursEnd(preferences) };
+    }
+
+    return { allowed: true };
+  }
+
+  // Log a send skipped because of the customer's preferences
+  async logSuppressed(recipientId, recipientAddress, notificationType, channel, reason, variables = null) {
+    const result = { success: false, suppressed: true, error: reason };
+    console.log(`Suppressed ${channel} ${notificationType} for customer ${recipientId}: ${reason}`);
+
+    await this.logNotification(recipientId, recipientAddress, notificationType, channel, 'suppressed', result, variables);
+    return result;
+  }
+
+  /**
+   * Apply the customer's preferences to an SMS about to be sent. Returns null when it may go
+   * now; otherwise the result of suppressing it or of queueing it until quiet hours end.
+   * `message` is pre-composed text; without it the outbox renders the template from `variables`.
+   */
+  async holdSms(recipient, notificationType, variables = null, message = null) {
+    const decision = await this.checkPreferences(recipient.id, notificationType, 'sms');
+    if (decision.allowed) {
+      return null;
+    }
+    if (!decision.deferUntil) {
+      return this.logSuppressed(recipient.id, recipient.phone, notificationType, 'sms', decision.reason, variables);
+    }
+
+    const sendAfter = decision.deferUntil.format('YYYY-MM-DD HH:mm:ss');
+    const { outbox_max_attempts } = await SystemSettings.getNotificationSettings();
+    const summary = await NotificationOutbox.enqueue([{
+      recipient_id: recipient.id,
+      channel: 'sms',
+      recipient: recipient.phone,
+      notification_type: notificationType,
+      message,
+      variables,
+      send_after: sendAfter
+    }], outbox_max_attempts);
+
+    return { success: summary.queued > 0, deferred: true, send_after: sendAfter };
+  }
+
+  /**
+   * Handle an SMS a customer sent to the shortcode. STOP opts every account on the number
+   * out of non-essential SMS and START opts back in; each is confirmed by SMS.
+   */
+  async handleInboundSms({ id, from, to, text }) {
+    const word = String(text || '').trim().split(/\s+/)[0].toUpperCase();
+    const keyword = STOP_KEYWORDS.includes(word) ? 'STOP' : START_KEYWORDS.includes(word) ? 'START' : null;
+    const customers = await NotificationPreference.findCustomersByPhone(from);
+
+    const isNew = await NotificationPreference.recordInboundMessage({
+      providerMessageId: id,
+      from,
+      to,
+      message: text,
+      keyword,
+      customerId: customers.length > 0 ? customers[0].id : null
+    });
+
+    const result = { keyword, customers: customers.length, duplicate: !isNew };
+    if (!isNew || !keyword || customers.length === 0) {
+      return result;
+    }
+
+    const optOut = keyword === 'STOP';
+    for (const customer of customers) {
+      await NotificationPreference.updatePreferences(customer.id, { sms_opt_out: optOut });
+    }
+
+    const { company_name } = await SystemSettings.getCompanySettings();
+    const confirmation = optOut
+      ? `You have unsubscribed from ${company_name} SMS. Payment and fine notices will still be sent. Reply START to subscribe again.`
+      : `You are subscribed to ${company_name} SMS again. Reply STOP to unsubscribe.`;
+
+    const smsResult = await SMSService.sendSMS(from, confirmation);
     await this.logNotification(
-      recipient.id,           
-      recipient.phone,        
-      notificationType,       
-      'sms',                  
-      results.sms?.success ? 'sent' : 'failed', 
-      results,                
-      variables               
+      customers[0].id,
+      from,
+      'sms_subscription',
+      'sms',
+      smsResult.success ? 'sent' : 'failed',
+      smsResult,
+      { keyword, customer_ids: customers.map(customer => customer.id) }
     );
-    
-    results.success = Boolean(results.sms?.success || results.email?.success);
-    return results;
-  } catch (error) {
-    console.error('Notification sending failed:', error);
-    return {
-      sms: null,
-      email: null,
-      success: false,
-      error: error.message
-    };
+
+    return result;
   }
-}
 
-  async sendBulkNotifications(recipients, notificationType, variableGenerator, options = {}) {
+  // Send and log the email version of a notification
+  async sendEmailNotification(recipient, notificationType, variables = {}, documents = null) {
+    let result;
     try {
-      await this.initialize();
+      const attachments = documents ? await EmailService.getDocumentAttachments(documents) : [];
+      result = await EmailService.sendTemplatedEmail(recipient.email, notificationType, variables, {
+        attachments,
+        language: recipient.language
+      });
+    } catch (error) {
+      console.error('Email notification failed:', error);
+      result = { success: false, error: error.message, email: recipient.email };
+    }
 
-      const results = [];
-      const batchSize = options.batchSize || 50;
+    await this.logNotification(
+      recipient.id,
+      recipient.email,
+      notificationType,
+      'email',
+      result.success ? 'sent' : 'failed',
+      result,
+      variables
+    );
 
-      for (let i = 0; i < recipients.length; i += batchSize) {
-        const batch = recipients.slice(i, i + batchSize);
+    return result;
+  }
 
-        const batchResults = await Promise.allSettled(
-          batch.map(async (recipient) => {
-            const variables = (typeof variableGenerator === 'function')
-              ? variableGenerator(recipient)
-              : variableGenerator;
-            return this.sendNotification(recipient, notificationType, variables, options);
-          })
-        );
+  /**
+   * Queue a templated notification for many recipients. Messages go to the outbox and are
+   * sent by the scheduler's outbox worker. options.period (default today) forms part of the
+   * dedupe key, so the same notification is queued once per customer per period.
+   */
+  async sendBulkNotifications(recipients, notificationType, variableGenerator, options = {}) {
+    try {
+      await this.initialize();
 
-        batchResults.forEach((result, index) => {
-          const recipient = batch[index];
-          if (result.status === 'fulfilled') {
-            results.push({
-              recipient,
-              result: result.value,
-              success: result.value.success
-            });
-          } else {
-            results.push({
-              recipient,
-              result: { success: false, error: result.reason?.message || 'Unknown error' },
-              success: false
-            });
-          }
-        });
+      const period = options.period || new Date().toISOString().split('T')[0];
+      const messages = [];
 
-        if (i + batchSize < recipients.length) {
-          await this.delay(options.batchDelayMs || 1000);
+      for (const recipient of recipients) {
+        const variables = (typeof variableGenerator === 'function')
+          ? variableGenerator(recipient)
+          : variableGenerator;
+        const base = {
+          recipient_id: recipient.id,
+          notification_type: notificationType,
+          variables
+        };
+
+        if (this.settings.sms_enabled && recipient.phone) {
+          messages.push({
+            ...base,
+            dedupe_key: this.dedupeKey(notificationType, recipient.id, period, 'sms'),
+            channel: 'sms',
+            recipient: recipient.phone
+          });
+        }
+        if (this.settings.email_enabled && recipient.email) {
+          messages.push({
+            ...base,
+            dedupe_key: this.dedupeKey(notificationType, recipient.id, period, 'email'),
+            channel: 'email',
+            recipient: recipient.email,
+            options: options.documents ? { documents: options.documents } : null
+          });
         }
       }
 
-      const summary = {
-        total: results.length,
-        successful: results.filter(r => r.success).length,
-        failed: results.filter(r => !r.success).length
-      };
+      const summary = await this.queueMessages(messages);
 
       return {
         success: true,
-        results,
-        summary
+        summary: {
+          recipients: recipients.length,
+          ...summary
+        }
       };
     } catch (error) {
       console.error('Bulk notification failed:', error);
       return {
         success: false,
         error: error.message,
-        results: []
+        summary: null
       };
     }
   }
 
+  // Queue the monthly bill SMS (and email where enabled) for each billed customer
   async sendBillingCycleMessages(payloads = []) {
     if (!payloads || payloads.length === 0) {
       return {
         success: true,
-        summary: { total: 0, successful: 0, failed: 0 }
+        summary: { total: 0, queued: 0, duplicates: 0, skipped: 0 }
       };
     }
 
     await this.initialize();
-    const results = [];
+    const paybill = await this.getPaybill();
+    const languages = await Customer.getLanguages(payloads.map(payload => payload.customer_id));
+    const smsTemplates = {};
+    const messages = [];
+    let skipped = 0;
 
     for (const payload of payloads) {
-      try {
-        if (!payload.phone) {
-          results.push({
-            customer_id: payload.customer_id,
-            success: false,
-            error: 'Missing customer phone number'
-          });
-          continue;
-        }
+      const sendEmail = this.settings.email_enabled && Boolean(payload.email);
 
-        const message = this.composeBillingMessage(payload);
-        const smsResult = await SMSService.sendSMS(payload.phone, message);
+      if (!payload.phone && !sendEmail) {
+        skipped++;
+        continue;
+      }
 
-        await this.logNotification(
-          payload.customer_id,  
-          payload.phone,        
-          'billing_cycle',      
-          'sms',                
-          smsResult.success ? 'sent' : 'failed', 
-          smsResult,            
-          payload               
-             );
-
-        results.push({
-          customer_id: payload.customer_id,
-          success: smsResult.success,
-          response: smsResult
+      if (payload.phone) {
+        // A billing_cycle SMS template, in the customer's language where there is one, replaces the built-in wording
+        const language = languages[payload.customer_id] || 'en';
+        if (smsTemplates[language] === undefined) {
+          smsTemplates[language] = await SMSService.getTemplate('billing_cycle', language);
+        }
+
+        messages.push({
+          dedupe_key: this.dedupeKey('billing_cycle', payload.customer_id, payload.billing_month_label, 'sms'),
+          recipient_id: payload.customer_id,
+          channel: 'sms',
+          recipient: payload.phone,
+          notification_type: 'billing_cycle',
+          message: smsTemplates[language]
+            ? SMSService.processTemplate(smsTemplates[language], this.composeBillingEmailVariables(payload, paybill))
+            : this.composeBillingMessage(payload),
+          variables: payload
         });
-      } catch (error) {
-        console.error('Billing SMS failed:', error);
-        results.push({
-          customer_id: payload.customer_id,
-          success: false,
-          error: error.message
+      }
+
+      if (sendEmail) {
+        messages.push({
+          dedupe_key: this.dedupeKey('billing_cycle', payload.customer_id, payload.billing_month_label, 'email'),
+          recipient_id: payload.customer_id,
+          channel: 'email',
+          recipient: payload.email,
+          notification_type: 'billing_cycle',
+          variables: this.composeBillingEmailVariables(payload, paybill),
+          options: payload.bill_id ? { documents: { bill_id: payload.bill_id } } : null
         });
       }
     }
 
+    const summary = await this.queueMessages(messages);
+
     return {
       success: true,
       summary: {
-        total: results.length,
-        successful: results.filter(r => r.success).length,
-        failed: results.filter(r => !r.success).length
-      },
-      results
+        ...summary,
+        customers: payloads.length,
+        skipped
+      }
+    };
+  }
+
+  dedupeKey(notificationType, recipientId, period, channel) {
+    return [notificationType, recipientId, period, channel].join(':');
+  }
+
+  // Add messages to the outbox with the configured attempt limit
+  async queueMessages(messages) {
+    if (messages.length === 0) {
+      return { total: 0, queued: 0, duplicates: 0 };
+    }
+
+    const summary = await NotificationOutbox.enqueue(messages, this.settings.outbox_max_attempts);
+    console.log(`Queued ${summary.queued} notifications (${summary.duplicates} already queued)`);
+    return summary;
+  }
+
+  /**
+   * Send one outbox message. Pre-composed text is sent as is; otherwise the
+   * template for the notification type is used. Returns the channel's send result.
+   */
+  async deliverQueuedMessage(entry) {
+    const decision = await this.checkPreferences(entry.recipient_id, entry.notification_type, entry.channel);
+    if (decision.deferUntil) {
+      return { success: false, deferred: true, send_after: decision.deferUntil.format('YYYY-MM-DD HH:mm:ss') };
+    }
+    if (!decision.allowed) {
+      return { success: false, suppressed: true, error: decision.reason };
+    }
+
+    const language = entry.message ? null : await Customer.getLanguage(entry.recipient_id);
+    if (entry.channel === 'sms') {
+      return entry.message
+        ? SMSService.sendSMS(entry.recipient, entry.message)
+        : SMSService.sendTemplatedSMS(entry.recipient, entry.notification_type, entry.variables || {}, language);
+    }
+
+    const documents = entry.options?.documents;
+    const attachments = documents ? await EmailService.getDocumentAttachments(documents) : [];
+    if (entry.message) {
+      return EmailService.sendEmail(entry.recipient, entry.options?.subject, EmailService.textToHtml(entry.message), {
+        text: entry.message,
+        attachments
+      });
+    }
+    return EmailService.sendTemplatedEmail(entry.recipient, entry.notification_type, entry.variables || {}, {
+      attachments,
+      language
+    });
+  }
+
+  async getPaybill() {
+    try {
+      const paymentSettings = await SystemSettings.getPaymentSettings();
+      return paymentSettings.equity_paybill_account || '247247';
+    } catch (error) {
+      console.error('Failed to get paybill account:', error.message);
+      return '247247';
+    }
+  }
+
+  // Variables for the billing_cycle email template
+  composeBillingEmailVariables(payload, paybill) {
+    return {
+      customer_name: payload.customer_name,
+      account_number: payload.account_number,
+      bill_number: payload.bill_number,
+      billing_month: payload.billing_month_label,
+      current_charge: this.toCurrency(payload.current_month_charge),
+      estimated_note: payload.is_estimated ? ' (estimated, no meter reading was taken)' : '',
+      outstanding_bills: this.toCurrency(payload.previous_outstanding),
+      contribution_outstanding: this.toCurrency(
+        payload.contribution_outstanding ?? payload.monthly_contribution_amount
+      ),
+      outstanding_fines: this.toCurrency(payload.outstanding_fines),
+      credit_note: payload.credit_applied > 0
+        ? `Advance credit of ${this.toCurrency(payload.credit_applied)} has been applied to this bill.`
+        : '',
+      grace_days: payload.payment_grace_days || 5,
+      paybill
     };
   }
 
@@ -204,7 +506,13 @@ async sendNotification(recipient, notificationType, variables = {}, options = {}
     const fines = this.toCurrency(payload.outstanding_fines);
     const grace = payload.payment_grace_days || 5;
 
-    return `Dear ${payload.customer_name}, your ${payload.billing_month_label} bill is ${flatRate}. `
+    const estimatedNote = payload.is_estimated ? ' (estimated, no meter reading was taken)' : '';
+    const creditNote = payload.credit_applied > 0
+      ? `Advance credit of ${this.toCurrency(payload.credit_applied)} has been applied to this bill. `
+      : '';
+
+    return `Dear ${payload.customer_name}, your ${payload.billing_month_label} bill is ${flatRate}${estimatedNote}. `
+      + creditNote
       + `Your total outstanding bill is ${outstandingBills}. `
       + `You are also required to make a contribution for the water connection of ${contributionOutstanding} `
       + `(remaining towards the ${contributionTarget} target). `
@@ -214,141 +522,467 @@ async sendNotification(recipient, notificationType, variables = {}, options = {}
       + `Equitel line or through USSD method. Thank you.`;
   }
 
+  async sendPaymentReversalMessage(reversal) {
+    try {
+      await this.initialize();
+
+      const { Customer, Ledger, Payment } = require('../models');
+      const customer = await Customer.findById(reversal.customer_id);
+
+      const sendEmail = Boolean(customer && this.settings.email_enabled && customer.email);
+      if (!customer || (!customer.phone && !sendEmail)) {
+        return { success: false, error: 'Missing customer phone number' };
+      }
+
+      const payload = {
+        customer_id: customer.id,
+        customer_name: customer.full_name,
+        account_number: customer.account_number,
+        phone: customer.phone,
+        amount: reversal.amount,
+        transaction_id: reversal.transaction_id,
+        reason: reversal.reason,
+        balance: await Ledger.getCustomerBalance(customer.id)
+      };
+
+      const templateVariables = {
+        ...payload,
+        amount: this.toCurrency(payload.amount),
+        balance: this.toCurrency(Math.max(0, payload.balance || 0))
+      };
+
+      let smsResult = { success: false, error: 'Missing customer phone number' };
+      if (payload.phone) {
+        const template = await SMSService.getTemplate('payment_reversed', customer.language);
+        const message = template
+          ? SMSService.processTemplate(template, templateVariables)
+          : this.composePaymentReversalMessage(payload);
+        smsResult = await SMSService.sendSMS(payload.phone, message);
+
+        await this.logNotification(
+          payload.customer_id,
+          payload.phone,
+          'payment_reversed',
+          'sms',
+          smsResult.success ? 'sent' : 'failed',
+          smsResult,
+          payload
+        );
+      }
+
+      let emailResult = null;
+      if (sendEmail) {
+        emailResult = await this.sendEmailNotification(
+          { id: customer.id, email: customer.email, language: customer.language },
+          'payment_reversed',
+          templateVariables
+        );
+      }
+
+      if ((smsResult.success || emailResult?.success) && reversal.reversal_id) {
+        await Payment.markReversalNotified(reversal.reversal_id);
+      }
+
+      return emailResult ? { ...smsResult, success: Boolean(smsResult.success || emailResult.success), email: emailResult } : smsResult;
+    } catch (error) {
+      console.error('Payment reversal SMS failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  composePaymentReversalMessage(payload) {
+    const amount = this.toCurrency(payload.amount);
+    const balance = this.toCurrency(Math.max(0, payload.balance || 0));
+
+    return `Dear ${payload.customer_name}, your payment of ${amount} (Ref: ${payload.transaction_id}) `
+      + `to account ${payload.account_number} has been reversed. Reason: ${payload.reason}. `
+      + `Your outstanding balance is now ${balance}. Contact us if you have any questions.`;
+  }
+
+  // Template variables filled in from a customer's latest bill, latest payment and balance
+  async getCustomerTemplateVariables(customerId, triggerEvent) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      return null;
+    }
+
+    const [bills, payments, balance, paybill] = await Promise.all([
+      executeQuery(`
+        SELECT bill_number, total_amount, due_date, billing_period_start
+        FROM bills
+        WHERE customer_id = ?
+        ORDER BY billing_period_start DESC
+        LIMIT 1
+      `, [customerId]),
+      executeQuery(`
+        SELECT amount, transaction_id, payment_date
+        FROM payments
+        WHERE customer_id = ? AND status = 'completed'
+        ORDER BY payment_date DESC
+        LIMIT 1
+      `, [customerId]),
+      Ledger.getCustomerBalance(customerId),
+      this.getPaybill()
+    ]);
+
+    const bill = bills[0] || {};
+    const payment = payments[0] || {};
+    const isPayment = ['payment_received', 'payment_reversed'].includes(triggerEvent);
+    const period = bill.billing_period_start ? moment(bill.billing_period_start).format('MMMM YYYY') : '';
+    const paymentDate = payment.payment_date ? moment(payment.payment_date).format('DD/MM/YYYY') : '';
+
+    return {
+      customer,
+      variables: {
+        ...PREVIEW_PLACEHOLDERS,
+        customer_name: customer.full_name,
+        account_number: customer.account_number,
+        zone: customer.zone,
+        amount: Number((isPayment ? payment.amount : bill.total_amount) || 0).toFixed(2),
+        balance: Number(balance || 0).toFixed(2),
+        period,
+        billing_month: period,
+        bill_number: bill.bill_number || '',
+        due_date: bill.due_date ? moment(bill.due_date).format('DD/MM/YYYY') : '',
+        days_overdue: bill.due_date ? Math.max(0, moment().diff(moment(bill.due_date), 'days')) : 0,
+        current_charge: this.toCurrency(bill.total_amount),
+        outstanding_bills: this.toCurrency(Math.max(0, balance || 0)),
+        transaction_id: payment.transaction_id || '',
+        payment_date: paymentDate,
+        date: paymentDate,
+        paybill
+      }
+    };
+  }
+
+  /**
+   * Render template content ({ type, trigger_event, subject, message_template }) for a real
+   * customer. Returns null when the customer does not exist.
+   */
+  async renderTemplate(template, customerId) {
+    const data = await this.getCustomerTemplateVariables(customerId, template.trigger_event);
+    if (!data) {
+      return null;
+    }
+
+    const { customer, variables } = data;
+    const recipient = {
+      id: customer.id,
+      full_name: customer.full_name,
+      account_number: customer.account_number,
+      phone: customer.phone,
+      email: customer.email
+    };
+
+    if (template.type === 'sms') {
+      const message = SMSService.processTemplate(template.message_template, variables);
+      return {
+        customer: recipient,
+        variables,
+        message,
+        ...(await SMSService.previewMessage(message))
+      };
+    }
+
+    await EmailService.initialize();
+    const subject = EmailService.processTemplate(
+      template.subject || EmailService.defaultSubject(template.trigger_event),
+      variables,
+      false
+    );
+    const body = EmailService.processTemplate(template.message_template, variables, true);
+
+    return {
+      customer: recipient,
+      variables,
+      subject,
+      body,
+      html: EmailService.renderLayout(body, subject),
+      text: EmailService.htmlToText(body)
+    };
+  }
+
+  // Send a template rendered for a customer to a test phone number or email address
+  async sendTemplateTest(template, customerId, recipient) {
+    const preview = await this.renderTemplate(template, customerId);
+    if (!preview) {
+      return null;
+    }
+
+    const result = template.type === 'sms'
+      ? await SMSService.sendSMS(recipient, preview.message)
+      : await EmailService.sendEmail(recipient, `[TEST] ${preview.subject}`, preview.body, { text: preview.text });
+
+    await this.logNotification(
+      null,
+      recipient,
+      'template_test',
+      template.type,
+      result.success ? 'sent' : 'failed',
+      result,
+      { template_id: template.id || null, trigger_event: template.trigger_event, customer_id: customerId }
+    );
+
+    return { ...result, preview };
+  }
+
   toCurrency(amount) {
     const value = Number(amount || 0);
     return `KES ${value.toFixed(2)}`;
   }
 
-async logNotification(recipientId, recipientPhone, notificationType, channel, status, payload = null, metadata = null) {
-  try {
-    const query = `
+  // Log a sent notification; the address is the phone number or email for the channel
+  async logNotification(recipientId, recipientAddress, notificationType, channel, status, payload = null, metadata = null) {
+    try {
+      const query = `
         INSERT INTO notifications_sent
-          (recipient_id, recipient_phone, recipient, notification_type, channel, status, payload, metadata)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          (recipient_id, recipient_phone, recipient, notification_type, channel, provider_message_id,
+           status, failure_reason, cost, payload, metadata)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
-    
-    // Get recipient name or use fallback
-    const recipient = recipientPhone || `Customer ${recipientId}`;
-    
-    await executeQuery(query, [
-      recipientId || null,
-      recipientPhone || null,
-      recipient,
-      notificationType || null,
-      channel || null,
-      status || null,
-      payload ? JSON.stringify(payload) : null,
-      metadata ? JSON.stringify(metadata) : null
+
+      // Get recipient address or use fallback
+      const recipient = recipientAddress || `Customer ${recipientId}`;
+      const isSms = channel !== 'email';
+
+      await executeQuery(query, [
+        recipientId || null,
+        isSms ? recipientAddress || null : null,
+        recipient,
+        notificationType || null,
+        channel || null,
+        isSms ? payload?.message_id || null : null,
+        status || null,
+        ['failed', 'suppressed'].includes(status) ? String(payload?.error || '').slice(0, 100) || null : null,
+        isSms ? this.parseCost(payload?.cost) : null,
+        payload ? JSON.stringify(payload) : null,
+        metadata ? JSON.stringify(metadata) : null
+      ]);
+    } catch (error) {
+      console.error('Notification log failed:', error.message);
+    }
+  }
+
+  // Africa's Talking reports cost as text, e.g. "KES 0.8000"
+  parseCost(cost) {
+    const value = parseFloat(String(cost || '').replace(/[^\d.]/g, ''));
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Apply an Africa's Talking delivery report to the logged notification.
+   * A late "Sent" report never overwrites a final delivered or failed status.
+   */
+  async recordDeliveryReport(report) {
+    const status = DELIVERY_STATUSES[report.status] || 'sent';
+    const failureReason = status === 'failed' ? report.failureReason || report.status : null;
+
+    const result = await executeQuery(`
+      UPDATE notifications_sent
+      SET status = IF(? = 'sent' AND status IN ('delivered', 'failed'), status, ?),
+          failure_reason = IF(? = 'sent', failure_reason, ?),
+          cost = COALESCE(?, cost),
+          delivered_at = IF(? = 'delivered', NOW(), delivered_at)
+      WHERE provider_message_id = ? AND channel = 'sms'
+    `, [
+      status, status,
+      status, failureReason,
+      this.parseCost(report.cost),
+      status,
+      report.id
     ]);
-  } catch (error) {
-    console.error('Notification log failed:', error.message);
+
+    if (result.affectedRows === 0) {
+      console.warn(`Delivery report for unknown SMS message ${report.id}`);
+    }
+
+    return {
+      message_id: report.id,
+      status,
+      failure_reason: failureReason,
+      updated: result.affectedRows
+    };
   }
-}
-  delay(ms = 1000) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+
+  /**
+   * SMS delivery rates for a period, by campaign (notification type and send date)
+   * and by zone, plus households that had no message delivered at all.
+   */
+  async getDeliveryStats({ from, to }) {
+    const period = [from, to];
+    const rate = row => {
+      const total = parseInt(row.total) || 0;
+      return {
+        total,
+        delivered: parseInt(row.delivered) || 0,
+        failed: parseInt(row.failed) || 0,
+        pending: parseInt(row.pending) || 0,
+        cost: parseFloat(row.cost) || 0,
+        delivery_rate: total > 0 ? Math.round((parseInt(row.delivered) || 0) / total * 1000) / 10 : 0
+      };
+    };
+    const counts = `
+      COUNT(*) AS total,
+      SUM(n.status = 'delivered') AS delivered,
+      SUM(n.status = 'failed') AS failed,
+      SUM(n.status = 'sent') AS pending,
+      SUM(n.cost) AS cost
+    `;
+    const inPeriod = `
+      n.channel = 'sms'
+      AND n.status != 'suppressed'
+      AND n.created_at >= ?
+      AND n.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+    `;
+
+    const [totals, campaigns, zones, undelivered] = await Promise.all([
+      executeQuery(`SELECT ${counts} FROM notifications_sent n WHERE ${inPeriod}`, period),
+      executeQuery(`
+        SELECT n.notification_type, DATE_FORMAT(n.created_at, '%Y-%m-%d') AS sent_date, ${counts}
+        FROM notifications_sent n
+        WHERE ${inPeriod}
+        GROUP BY n.notification_type, DATE_FORMAT(n.created_at, '%Y-%m-%d')
+        ORDER BY sent_date DESC, n.notification_type
+      `, period),
+      executeQuery(`
+        SELECT COALESCE(c.zone, 'Unknown') AS zone, ${counts}
+        FROM notifications_sent n
+        LEFT JOIN customers c ON c.id = n.recipient_id
+        WHERE ${inPeriod}
+        GROUP BY COALESCE(c.zone, 'Unknown')
+        ORDER BY zone
+      `, period),
+      executeQuery(`
+        SELECT
+          c.id AS customer_id, c.account_number, c.full_name, c.phone, c.zone,
+          COUNT(*) AS attempts,
+          SUM(n.status = 'failed') AS failed,
+          MAX(n.created_at) AS last_attempt,
+          SUBSTRING_INDEX(
+            GROUP_CONCAT(n.failure_reason ORDER BY n.created_at DESC SEPARATOR '|'), '|', 1
+          ) AS last_failure_reason
+        FROM notifications_sent n
+        JOIN customers c ON c.id = n.recipient_id
+        WHERE ${inPeriod}
+        GROUP BY c.id, c.account_number, c.full_name, c.phone, c.zone
+        HAVING SUM(n.status = 'delivered') = 0 AND SUM(n.status = 'failed') > 0
+        ORDER BY attempts DESC, last_attempt DESC
+        LIMIT 200
+      `, period)
+    ]);
+
+    return {
+      period: { from, to },
+      totals: rate(totals[0] || {}),
+      campaigns: campaigns.map(row => ({
+        notification_type: row.notification_type,
+        sent_date: row.sent_date,
+        ...rate(row)
+      })),
+      zones: zones.map(row => ({ zone: row.zone, ...rate(row) })),
+      undelivered_households: undelivered.map(row => ({
+        customer_id: row.customer_id,
+        account_number: row.account_number,
+        full_name: row.full_name,
+        phone: row.phone,
+        zone: row.zone,
+        attempts: parseInt(row.attempts) || 0,
+        failed: parseInt(row.failed) || 0,
+        last_attempt: row.last_attempt,
+        last_failure_reason: row.last_failure_reason || null
+      }))
+    };
   }
 
-  // Process scheduled notifications
+  /**
+   * Send due scheduled campaigns: each is expanded to its audience and queued in the
+   * outbox. Recurring campaigns are then moved to their next occurrence.
+   */
   async processScheduledNotifications() {
+    const summary = { processed: 0, successful: 0, failed: 0, queued: 0 };
+
     try {
-      // Check if scheduled_notifications table exists
-      const tableCheckQuery = `
-        SHOW TABLES LIKE 'scheduled_notifications'
-      `;
-      const tables = await executeQuery(tableCheckQuery);
-
-      if (tables.length === 0) {
-        // Table doesn't exist yet, return empty result
-        return {
-          processed: 0,
-          successful: 0,
-          failed: 0
-        };
-      }
+      await this.initialize();
+      const campaigns = await ScheduledNotification.getDueCampaigns();
 
-      // Get pending scheduled notifications
-      const pendingQuery = `
-        SELECT * FROM scheduled_notifications
-        WHERE status = 'pending'
-        AND scheduled_time <= NOW()
-        ORDER BY scheduled_time ASC
-        LIMIT 50
-      `;
-      const pendingNotifications = await executeQuery(pendingQuery);
+      for (const campaign of campaigns) {
+        summary.processed++;
 
-      if (pendingNotifications.length === 0) {
-        return {
-          processed: 0,
-          successful: 0,
-          failed: 0
-        };
-      }
+        try {
+          const customers = await ScheduledNotification.getAudience(campaign.audience);
+          const messages = this.composeCampaignMessages(campaign, customers);
+          const queued = await this.queueMessages(messages);
 
-      let successful = 0;
-      let failed = 0;
+          await ScheduledNotification.recordRun(campaign, 'sent', {
+            audience: customers.length,
+            ...queued
+          });
 
-      for (const notification of pendingNotifications) {
-        try {
-          // Send the notification
-          const recipient = {
-            id: notification.recipient_id,
-            phone: notification.recipient_phone,
-            email: notification.recipient_email
-          };
-
-          const variables = notification.variables ? JSON.parse(notification.variables) : {};
-          const result = await this.sendNotification(recipient, notification.notification_type, variables);
-
-          // Update notification status
-          const updateQuery = `
-            UPDATE scheduled_notifications
-            SET status = ?, processed_at = NOW(), result = ?
-            WHERE id = ?
-          `;
-          await executeQuery(updateQuery, [
-            result.success ? 'sent' : 'failed',
-            JSON.stringify(result),
-            notification.id
-          ]);
-
-          if (result.success) {
-            successful++;
-          } else {
-            failed++;
-          }
+          summary.successful++;
+          summary.queued += queued.queued;
         } catch (error) {
-          console.error(`Failed to process scheduled notification ${notification.id}:`, error);
-
-          // Mark as failed
-          const updateQuery = `
-            UPDATE scheduled_notifications
-            SET status = 'failed', processed_at = NOW(), result = ?
-            WHERE id = ?
-          `;
-          await executeQuery(updateQuery, [
-            JSON.stringify({ success: false, error: error.message }),
-            notification.id
-          ]);
-
-          failed++;
+          console.error(`Failed to process scheduled notification ${campaign.id}:`, error);
+          await ScheduledNotification.recordRun(campaign, 'failed', { error: error.message });
+          summary.failed++;
         }
       }
 
-      return {
-        processed: pendingNotifications.length,
-        successful,
-        failed
-      };
+      return summary;
     } catch (error) {
       console.error('Error processing scheduled notifications:', error);
       return {
-        processed: 0,
-        successful: 0,
-        failed: 0,
+        ...summary,
         error: error.message
       };
     }
   }
+
+  // Personalised outbox messages for a campaign run
+  composeCampaignMessages(campaign, customers) {
+    const sendSms = this.settings.sms_enabled && campaign.channel !== 'email';
+    const sendEmail = this.settings.email_enabled && campaign.channel !== 'sms';
+    const runDate = moment(campaign.scheduled_time).format('YYYY-MM-DD');
+    const notificationType = 'scheduled_campaign';
+    const messages = [];
+
+    for (const customer of customers) {
+      const variables = {
+        customer_name: customer.full_name,
+        account_number: customer.account_number,
+        zone: customer.zone,
+        balance: this.toCurrency(customer.balance),
+        campaign_id: campaign.id
+      };
+      const text = SMSService.processTemplate(campaign.message, variables);
+      const campaignKey = `campaign_${campaign.id}`;
+
+      if (sendSms && customer.phone) {
+        messages.push({
+          dedupe_key: this.dedupeKey(campaignKey, customer.id, runDate, 'sms'),
+          recipient_id: customer.id,
+          channel: 'sms',
+          recipient: customer.phone,
+          notification_type: notificationType,
+          message: text,
+          variables
+        });
+      }
+      if (sendEmail && customer.email) {
+        messages.push({
+          dedupe_key: this.dedupeKey(campaignKey, customer.id, runDate, 'email'),
+          recipient_id: customer.id,
+          channel: 'email',
+          recipient: customer.email,
+          notification_type: notificationType,
+          message: text,
+          variables,
+          options: { subject: campaign.email_subject || campaign.title }
+        });
+      }
+    }
+
+    return messages;
+  }
 }
 
 module.exports = new NotificationService();
@@ -1,5 +1,42 @@
 const AfricasTalking = require('africastalking');
 const { SystemSettings } = require('../models');
+const SmsUtils = require('../utils/sms');
+
+// Typical values used to preview templates; long enough to reflect real messages
+const SAMPLE_VARIABLES = {
+  customer_name: 'Jane Wanjiku Mwangi',
+  account_number: 'NYJ-00123',
+  amount: '1,250.00',
+  balance: '3,480.00',
+  period: 'October 2026',
+  month: 'October 2026',
+  billing_month: 'October 2026',
+  date: '15/10/2026',
+  payment_date: '15/10/2026',
+  due_date: '05/11/2026',
+  reference: 'QJK4H7XY2P',
+  transaction_id: 'QJK4H7XY2P',
+  fine: '200.00',
+  reason: 'late payment',
+  days_overdue: '14',
+  password: 'Xy7#pQ2m',
+  code: '482913',
+  minutes: '10',
+  paybill: '247247'
+};
+
+const SAMPLE_BILLING_PAYLOAD = {
+  customer_name: 'Jane Wanjiku Mwangi',
+  billing_month_label: 'October 2026',
+  current_month_charge: 1250,
+  previous_outstanding: 2500,
+  contribution_outstanding: 1500,
+  contribution_target: 18500,
+  outstanding_fines: 200,
+  payment_grace_days: 5,
+  credit_applied: 0,
+  is_estimated: false
+};
 
 class SMSService {
 constructor() {
@@ -11,6 +48,8 @@ constructor() {
     this.senderId = null;
     this.at = null;
     this.sms = null;
+    this.maxSegments = 3;
+    this.costPerSegment = 0.80;
     
     console.log('SMS Service Configuration:');
     console.log('AT_USERNAME:', this.username);
@@ -23,6 +62,8 @@ constructor() {
     try {
       const settings = await SystemSettings.getNotificationSettings();
       this.senderId = null; // Temporarily disable custom sender ID
+      this.maxSegments = settings.sms_max_segments;
+      this.costPerSegment = settings.sms_cost_per_segment;
       
       if (!this.apiKey || !this.username) {
         console.warn("SMS Service: Africa's Talking credentials not configured");
@@ -69,10 +110,14 @@ constructor() {
       
       const formattedPhone = this.formatPhoneNumber(phoneNumber);
       console.log('Formatted phone:', formattedPhone);
-      
+
+      // Long messages go out as concatenated SMS up to the segment limit
+      const text = this.fitToSegmentLimit(message);
+      const { segments, encoding } = SmsUtils.countSegments(text);
+
       const sendOptions = {
         to: [formattedPhone],
-        message: message
+        message: text
       };
       
       // Only add sender ID if it's provided and valid
@@ -95,7 +140,9 @@ constructor() {
             message_id: recipient.messageId,
             cost: recipient.cost,
             status: 'sent',
-            phone: formattedPhone
+            phone: formattedPhone,
+            segments,
+            encoding
           };
         } else {
           const errorMsg = recipient?.status || recipient?.statusCode || 'SMS sending failed';
@@ -142,9 +189,10 @@ constructor() {
       }
       
       const formattedRecipients = recipients.map(phone => this.formatPhoneNumber(phone));
+      const text = this.fitToSegmentLimit(message);
       const sendOptions = {
         to: formattedRecipients,
-        message: message
+        message: text
       };
       
       // Only add sender ID if not in sandbox mode and sender ID is available
@@ -171,6 +219,7 @@ constructor() {
             total: results.length,
             successful: successCount,
             failed: results.length - successCount,
+            segments_per_message: SmsUtils.countSegments(text).segments,
             total_cost: results.reduce((sum, r) => sum + parseFloat(r.cost || 0), 0)
           }
         };
@@ -204,7 +253,7 @@ constructor() {
           password: password,
           account_number: customer.account_number
         };
-        return await this.sendTemplatedSMS(customer.phone, 'password_notification', variables);
+        return await this.sendTemplatedSMS(customer.phone, 'password_notification', variables, customer.language);
       } catch (templateError) {
         console.log('Template not found, sending direct message');
         // Fallback to direct SMS sending
@@ -220,6 +269,21 @@ constructor() {
     }
   }
 
+  // Send a forgot-password code in the customer's language, with plain wording if the template is missing
+  async sendPasswordResetCode(customer, code, minutes) {
+    const template = await this.getTemplate('password_reset_code', customer.language);
+    const message = template
+      ? this.processTemplate(template, {
+        customer_name: customer.full_name,
+        account_number: customer.account_number,
+        code,
+        minutes
+      })
+      : `Your Nyanjigi Water password reset code for account ${customer.account_number} is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`;
+
+    return await this.sendSMS(customer.phone, message);
+  }
+
   // Send contribution notification
   async sendContributionNotification(customer, contribution) {
     const variables = {
@@ -228,13 +292,13 @@ constructor() {
       date: new Date(contribution.date).toLocaleDateString(),
       account_number: customer.account_number
     };
-    return await this.sendTemplatedSMS(customer.phone, 'contribution_notification', variables);
+    return await this.sendTemplatedSMS(customer.phone, 'contribution_notification', variables, customer.language);
   }
 
-  // Send templated SMS (bill notifications, payment confirmations, etc.)
-  async sendTemplatedSMS(phoneNumber, templateType, variables = {}) {
+  // Send templated SMS (bill notifications, payment confirmations, etc.) in the customer's language
+  async sendTemplatedSMS(phoneNumber, templateType, variables = {}, language = 'en') {
     try {
-      const template = await this.getTemplate(templateType);
+      const template = await this.getTemplate(templateType, language);
       if (!template) {
         throw new Error(`SMS template '${templateType}' not found`);
       }
@@ -256,18 +320,20 @@ constructor() {
     }
   }
 
-  // Get SMS template from database
-  async getTemplate(templateType) {
+  // Get SMS template from database, in English when there is none in the requested language
+  async getTemplate(templateType, language = 'en') {
     try {
       const { executeQuery } = require('../config/database');
       const query = `
         SELECT message_template 
         FROM notification_templates 
         WHERE trigger_event = ? AND type = 'sms' AND is_active = TRUE 
+        AND language IN (?, 'en')
+        ORDER BY language = ? DESC
         LIMIT 1
       `;
       
-      const result = await executeQuery(query, [templateType]);
+      const result = await executeQuery(query, [templateType, language || 'en', language || 'en']);
       return result.length > 0 ? result[0].message_template : null;
     } catch (error) {
       console.error('Template retrieval failed:', error);
@@ -287,16 +353,76 @@ constructor() {
     
     // Clean up any remaining placeholders
     message = message.replace(/\{\{[^}]+\}\}/g, '');
-    
-    // Ensure message is within SMS length limits (160 chars for single SMS)
-    if (message.length > 160) {
-      console.warn(`SMS message truncated from ${message.length} to 160 characters`);
-      message = message.substring(0, 157) + '...';
-    }
-    
+
+    // Length is checked against the segment limit when the message is sent
     return message.trim();
   }
 
+  // Shorten a message only when it would exceed the configured segment limit
+  fitToSegmentLimit(message) {
+    const { segments } = SmsUtils.countSegments(message);
+    if (segments <= this.maxSegments) {
+      return message;
+    }
+
+    console.warn(`SMS message of ${segments} segments shortened to the ${this.maxSegments} segment limit`);
+    return SmsUtils.truncateToSegments(message, this.maxSegments);
+  }
+
+  // Segment count and estimated cost of a message against the current settings
+  async previewMessage(message) {
+    const settings = await SystemSettings.getNotificationSettings();
+    const count = SmsUtils.countSegments(message);
+    const sentSegments = Math.min(count.segments, settings.sms_max_segments);
+
+    return {
+      ...count,
+      max_segments: settings.sms_max_segments,
+      exceeds_limit: count.segments > settings.sms_max_segments,
+      cost_per_segment: settings.sms_cost_per_segment,
+      estimated_cost: Math.round(sentSegments * settings.sms_cost_per_segment * 100) / 100
+    };
+  }
+
+  // Preview every active SMS template rendered with realistic sample values
+  async previewTemplates() {
+    const { executeQuery } = require('../config/database');
+    const NotificationService = require('./NotificationService');
+
+    const templates = await executeQuery(`
+      SELECT id, name, trigger_event, language, message_template
+      FROM notification_templates
+      WHERE type = 'sms' AND is_active = TRUE
+      ORDER BY trigger_event, language = 'en' DESC, language, name
+    `);
+
+    const previews = [];
+    for (const template of templates) {
+      const message = this.processTemplate(template.message_template, SAMPLE_VARIABLES);
+      previews.push({
+        id: template.id,
+        name: template.name,
+        trigger_event: template.trigger_event,
+        language: template.language,
+        message,
+        ...(await this.previewMessage(message))
+      });
+    }
+
+    // The monthly billing message is composed in code rather than from a template
+    const billingMessage = NotificationService.composeBillingMessage(SAMPLE_BILLING_PAYLOAD);
+    previews.push({
+      id: null,
+      name: 'Billing Cycle SMS (built-in)',
+      trigger_event: 'billing_cycle',
+      language: 'en',
+      message: billingMessage,
+      ...(await this.previewMessage(billingMessage))
+    });
+
+    return previews;
+  }
+
   // Format phone number for Africa's Talking
   formatPhoneNumber(phoneNumber) {
     // Remove any spaces, dashes, or special characters
@@ -462,7 +588,7 @@ constructor() {
       account_number: customer.account_number
     };
 
-    return await this.sendTemplatedSMS(customer.phone, 'bill_generated', variables);
+    return await this.sendTemplatedSMS(customer.phone, 'bill_generated', variables, customer.language);
   }
 
   // Send overdue notice
@@ -475,7 +601,7 @@ constructor() {
       account_number: customer.account_number
     };
 
-    return await this.sendTemplatedSMS(customer.phone, 'overdue_notice', variables);
+    return await this.sendTemplatedSMS(customer.phone, 'overdue_notice', variables, customer.language);
   }
 }
 
@@ -1,5 +1,5 @@
 const cron = require('node-cron');
-const { Bill, Contribution, Customer, Payment, SystemSettings } = require('../models');
+const { Bill, Contribution, Customer, Payment, SystemSettings, Fine, NotificationOutbox, AuthSession, TwoFactor, PasswordReset } = require('../models');
 const NotificationService = require('./NotificationService');
 const moment = require('moment');
 
@@ -10,6 +10,7 @@ class SchedulerService {
   constructor() {
     this.jobs = new Map();
     this.isInitialized = false;
+    this.outboxRunning = false;
   }
 
   // Initialize scheduler with all jobs
@@ -29,6 +30,7 @@ class SchedulerService {
       await this.scheduleFineApplication();
       await this.scheduleBillStatusUpdates();
       await this.scheduleScheduledNotifications();
+      await this.scheduleOutboxWorker();
       await this.scheduleSystemMaintenance();
 
       this.isInitialized = true;
@@ -55,7 +57,7 @@ class SchedulerService {
         
         if (result.notifications && result.notifications.length > 0) {
           const dispatch = await NotificationService.sendBillingCycleMessages(result.notifications);
-          console.log('Bill notifications sent', dispatch.summary);
+          console.log('Bill notifications queued', dispatch.summary);
         }
         delete result.notifications;
         
@@ -196,6 +198,7 @@ async scheduleFineApplication() {
           b.customer_id,
           c.full_name,
           c.phone,
+          c.email,
           c.account_number,
           DATEDIFF(CURDATE(), b.due_date) as days_past_due,
           -- Check if fine already applied
@@ -272,24 +275,19 @@ async scheduleFineApplication() {
             continue;
           }
           
-          // Apply fine
-          const applyFineQuery = `
-            INSERT INTO applied_fines 
-            (customer_id, bill_id, fine_type_id, amount, reason, applied_date, status) 
-            VALUES (?, ?, ?, ?, ?, CURDATE(), 'pending')
-          `;
-          
           const reason = `Late payment fine for bill ${bill.bill_number}. ` +
                         `Due: ${moment(bill.due_date).format('MMM DD, YYYY')}. ` +
                         `${bill.days_past_due} days overdue (${graceDays} days grace period).`;
           
-          await executeQuery(applyFineQuery, [
+          // Apply fine and post it to the customer's ledger
+          await Fine.applyFine(
             bill.customer_id,
-            bill.bill_id,
             fineType.id,
             fineAmount,
-            reason
-          ]);
+            reason,
+            moment().format('YYYY-MM-DD'),
+            bill.bill_id
+          );
           
           // Update bill status to overdue if still pending
           if (bill.status === 'pending') {
@@ -339,6 +337,7 @@ async scheduleFineApplication() {
               id: bill.customer_id,
               full_name: bill.full_name,
               phone: bill.phone,
+              email: bill.email,
               account_number: bill.account_number
             };
             
@@ -351,6 +350,7 @@ async scheduleFineApplication() {
               'fine_applied',
               {
                 customer_name: bill.full_name,
+                account_number: bill.account_number,
                 amount: fineAmount.toFixed(2),
                 reason: `Late payment for bill ${bill.bill_number}`,
                 balance: (parseFloat(bill.total_amount) + fineAmount).toFixed(2),
@@ -484,6 +484,104 @@ async validateFineApplication(billId) {
     console.log('📅 Scheduled notifications job scheduled (every 5 minutes)');
   }
 
+  // Schedule the notification outbox worker (every minute)
+  async scheduleOutboxWorker() {
+    const task = cron.schedule('* * * * *', async () => {
+      try {
+        const result = await this.processOutbox();
+
+        if (result.processed > 0) {
+          console.log(`📨 Outbox: ${result.sent} sent, ${result.retrying} retrying, ${result.dead} dead-lettered, ` +
+            `${result.deferred} deferred, ${result.suppressed} suppressed`);
+        }
+      } catch (error) {
+        console.error('❌ Outbox processing failed:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Africa/Nairobi'
+    });
+
+    this.jobs.set('notification_outbox', task);
+    console.log('📅 Notification outbox worker scheduled (every minute)');
+  }
+
+  /**
+   * Send due outbox messages within the per-minute rate limit. Failed sends are
+   * retried with exponential backoff and dead-lettered after the attempt limit;
+   * the final outcome is written to the notification log. Messages caught by a
+   * customer's quiet hours wait for them to end; opted-out ones are suppressed.
+   */
+  async processOutbox() {
+    const result = { processed: 0, sent: 0, retrying: 0, dead: 0, deferred: 0, suppressed: 0 };
+
+    // A slow run can overlap the next tick; only one run sends at a time
+    if (this.outboxRunning) {
+      return result;
+    }
+    this.outboxRunning = true;
+
+    try {
+      const settings = await SystemSettings.getNotificationSettings();
+      const sentLastMinute = await NotificationOutbox.countSentLastMinute();
+      const available = settings.outbox_rate_limit_per_minute - sentLastMinute;
+
+      const entries = await NotificationOutbox.claimDue(available);
+
+      for (const entry of entries) {
+        result.processed++;
+
+        let sendResult;
+        try {
+          sendResult = await NotificationService.deliverQueuedMessage(entry);
+        } catch (error) {
+          sendResult = { success: false, error: error.message };
+        }
+
+        if (sendResult.deferred) {
+          await NotificationOutbox.defer(entry.id, sendResult.send_after);
+          result.deferred++;
+          continue;
+        }
+
+        let status = sendResult.success ? 'sent' : 'failed';
+        if (sendResult.suppressed) {
+          await NotificationOutbox.markSuppressed(entry.id, sendResult.error);
+          result.suppressed++;
+          status = 'suppressed';
+        } else if (sendResult.success) {
+          await NotificationOutbox.markSent(entry.id);
+          result.sent++;
+        } else {
+          const outboxStatus = await NotificationOutbox.markFailed(
+            entry.id,
+            sendResult.error,
+            settings.outbox_retry_base_seconds
+          );
+          if (outboxStatus !== 'dead') {
+            result.retrying++;
+            continue;
+          }
+          result.dead++;
+        }
+
+        await NotificationService.logNotification(
+          entry.recipient_id,
+          entry.recipient,
+          entry.notification_type,
+          entry.channel,
+          status,
+          sendResult,
+          entry.variables
+        );
+      }
+
+      return result;
+    } finally {
+      this.outboxRunning = false;
+    }
+  }
+
   // Schedule system maintenance tasks (daily at 2:00 AM)
   async scheduleSystemMaintenance() {
     const task = cron.schedule('0 2 * * *', async () => {
@@ -510,6 +608,19 @@ async validateFineApplication(billId) {
         `;
         const paymentCleanup = await executeQuery(oldPaymentsQuery);
         maintenanceTasks.push(`Auto-failed ${paymentCleanup.affectedRows} old pending payments`);
+
+        // Sent outbox messages are kept long enough for their dedupe keys to cover a billing period
+        const purgedOutbox = await NotificationOutbox.purgeSent(90);
+        maintenanceTasks.push(`Purged ${purgedOutbox} sent outbox messages`);
+
+        const purgedSessions = await AuthSession.purgeEnded(30);
+        maintenanceTasks.push(`Purged ${purgedSessions} ended login sessions`);
+
+        const purgedChallenges = await TwoFactor.purgeExpired();
+        maintenanceTasks.push(`Purged ${purgedChallenges} expired two-factor login challenges`);
+
+        const purgedResets = await PasswordReset.purgeExpired();
+        maintenanceTasks.push(`Purged ${purgedResets} old password reset requests`);
         
         // Clean up processed scheduled notifications (older than 30 days)
         // const scheduledCleanupQuery = `
@@ -641,6 +752,9 @@ async validateFineApplication(billId) {
         case 'scheduled_notifications':
           await NotificationService.processScheduledNotifications();
           break;
+        case 'notification_outbox':
+          await this.processOutbox();
+          break;
         case 'system_maintenance':
           await this.runSystemMaintenance();
           break;
@@ -743,19 +857,14 @@ async validateFineApplication(billId) {
               fineAmount = (parseFloat(bill.total_amount) * fineAmount) / 100;
             }
             
-            const applyFineQuery = `
-              INSERT INTO applied_fines 
-              (customer_id, bill_id, fine_type_id, amount, reason, applied_date, status) 
-              VALUES (?, ?, ?, ?, ?, CURDATE(), 'pending')
-            `;
-            
-            await executeQuery(applyFineQuery, [
+            await Fine.applyFine(
               bill.customer_id,
-              bill.id,
               fineType.id,
               fineAmount,
-              `Late payment fine for bill ${bill.bill_number}`
-            ]);
+              `Late payment fine for bill ${bill.bill_number}`,
+              moment().format('YYYY-MM-DD'),
+              bill.id
+            );
             
             await Bill.updateBillStatus(bill.id, 'overdue');
             appliedFines++;
@@ -791,6 +900,9 @@ async validateFineApplication(billId) {
     `;
     const paymentCleanup = await executeQuery(oldPaymentsQuery);
     tasks.push(`Auto-failed ${paymentCleanup.affectedRows} old pending payments`);
+
+    const purgedOutbox = await NotificationOutbox.purgeSent(90);
+    tasks.push(`Purged ${purgedOutbox} sent outbox messages`);
     
     return { tasks_completed: tasks.length, tasks };
   }
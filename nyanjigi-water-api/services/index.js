@@ -5,9 +5,13 @@
 const SMSService = require('./SMSService');
 const NotificationService = require('./NotificationService');
 const SchedulerService = require('./SchedulerService');
+const DocumentService = require('./DocumentService');
+const EmailService = require('./EmailService');
 
 module.exports = {
   SMSService,
   NotificationService,
-  SchedulerService
+  SchedulerService,
+  DocumentService,
+  EmailService
 };
@@ -0,0 +1,87 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { Bill, Contribution, CustomerCredit } = require('../models');
+
+const advance = (id, payment_id, customer_id, amount) => ({
+  id, payment_id, customer_id, amount, transaction_id: `EQ${payment_id}`, payment_date: '2024-03-01'
+});
+
+const appliedRows = () => db.queries(/Applied from advance payment/).map(({ params }) => params);
+
+describe('CustomerCredit.applyToItems', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('draws on the oldest advance first and shrinks what is left of it', async () => {
+    db.on(/WHERE pa\.allocation_type = 'advance'/, [advance(11, 90, 7, '300.00'), advance(12, 91, 7, '500.00')]);
+
+    const applied = await CustomerCredit.applyToItems([
+      { customer_id: 7, bill_id: 40, allocation_type: 'bill_payment', outstanding: '650.00' }
+    ]);
+
+    expect(applied).toEqual([{ customer_id: 7, bill_id: 40, contribution_id: null, amount: 650 }]);
+    expect(db.queries(/DELETE FROM payment_allocations/)[0].params).toEqual([11, 300]);
+    expect(db.queries(/SET amount = amount - \?/)[0].params).toEqual([350, 12, 350]);
+    expect(appliedRows()).toEqual([
+      [90, 40, null, 'bill_payment', 300],
+      [91, 40, null, 'bill_payment', 350]
+    ]);
+  });
+
+  it('only applies a customer\'s own credit', async () => {
+    db.on(/WHERE pa\.allocation_type = 'advance'/, [advance(11, 90, 7, '300.00')]);
+
+    const applied = await CustomerCredit.applyToItems([
+      { customer_id: 8, bill_id: 41, allocation_type: 'bill_payment', outstanding: '200.00' }
+    ]);
+
+    expect(applied).toEqual([]);
+    expect(appliedRows()).toHaveLength(0);
+  });
+
+  it('skips an advance row that was used up elsewhere in the meantime', async () => {
+    db.on(/WHERE pa\.allocation_type = 'advance'/, [advance(11, 90, 7, '300.00'), advance(12, 91, 7, '500.00')])
+      .on(/DELETE FROM payment_allocations/, params => ({ affectedRows: params[0] === 11 ? 0 : 1 }));
+
+    const applied = await CustomerCredit.applyToItems([
+      { customer_id: 7, contribution_id: 60, allocation_type: 'contribution', outstanding: '100.00' },
+      { customer_id: 7, bill_id: 40, allocation_type: 'bill_payment', outstanding: '500.00' }
+    ]);
+
+    expect(applied.map(entry => entry.amount)).toEqual([100, 500]);
+    expect(appliedRows().map(params => params[0])).toEqual([90, 91]);
+  });
+
+  it('reports nothing to a customer without credit', async () => {
+    expect(await CustomerCredit.getCreditBalance(7)).toEqual({ available_credit: 0, credits: [] });
+  });
+});
+
+describe('applying advance credit when charges are raised', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/WHERE pa\.allocation_type = 'advance'/, [advance(11, 90, 7, '1500.00')]);
+  });
+
+  it('pays new bills from credit and moves their status on', async () => {
+    db.on(/SELECT id, customer_id, balance_due FROM bills/, [{ id: 40, customer_id: 7, balance_due: '1200.00' }])
+      .on(/SELECT \* FROM bills WHERE id = \?/, [{ id: 40, current_charges: '1200.00', fines_applied: '0.00', amount_paid: '0.00', due_date: '2024-04-30' }]);
+
+    const applied = await Bill.applyAdvanceCredit([40]);
+
+    expect(applied.map(entry => entry.amount)).toEqual([1200]);
+    expect(db.queries(/UPDATE bills\s+SET amount_paid/)[0].params.slice(0, 2)).toEqual([1200, 'paid']);
+  });
+
+  it('completes new contributions from credit', async () => {
+    db.on(/SELECT id, customer_id, amount_required, amount_paid\s+FROM contributions/, [
+      { id: 60, customer_id: 7, amount_required: '100.00', amount_paid: '0.00' }
+    ]);
+
+    await Contribution.applyAdvanceCredit('2024-04-01', [7]);
+
+    expect(db.queries(/UPDATE contributions\s+SET amount_paid/)[0].params).toEqual([100, 'completed', 'completed', 60]);
+  });
+});
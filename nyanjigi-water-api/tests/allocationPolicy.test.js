@@ -0,0 +1,82 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const EquityController = require('../controllers/EquityController');
+
+const item = (type, id, outstanding, due_date) => ({ type, id, outstanding, due_date, description: `${type} ${id}` });
+
+const outstanding = () => ({
+  bills: [item('bill', 1, 1000, '2024-04-30'), item('bill', 2, 800, '2024-05-31')],
+  fines: [item('fine', 3, 200, '2024-03-15')],
+  contributions: [item('contribution', 4, 100, '2024-05-01')]
+});
+
+const plan = (amount, options) => {
+  const { lines, advance } = EquityController.planAllocation(outstanding(), amount, options);
+  return { lines: lines.map(line => [line.type, line.item.id, line.amount]), advance };
+};
+
+describe('EquityController.planAllocation', () => {
+  it('settles bills, then fines, then contributions by default', () => {
+    expect(plan(1500)).toEqual({ lines: [['bill', 1, 1000], ['bill', 2, 500]], advance: 0 });
+  });
+
+  it('puts fines ahead of bills under fines_first', () => {
+    expect(plan(1500, { policy: 'fines_first' }).lines).toEqual([['fine', 3, 200], ['bill', 1, 1000], ['bill', 2, 300]]);
+  });
+
+  it('puts contributions ahead of bills under contributions_first', () => {
+    expect(plan(500, { policy: 'contributions_first' }).lines).toEqual([['contribution', 4, 100], ['bill', 1, 400]]);
+  });
+
+  it('settles whatever fell due first under oldest_first', () => {
+    expect(plan(1300, { policy: 'oldest_first' }).lines).toEqual([['fine', 3, 200], ['bill', 1, 1000], ['contribution', 4, 100]]);
+  });
+
+  it('sets the contribution share aside before bills under contributions_split', () => {
+    expect(plan(400, { policy: 'contributions_split', splitPercent: 20 }).lines).toEqual([['contribution', 4, 80], ['bill', 1, 320]]);
+  });
+
+  it('honours the reference type the payer chose before the policy', () => {
+    expect(plan(300, { referenceType: 'fine' }).lines).toEqual([['fine', 3, 200], ['bill', 1, 100]]);
+  });
+
+  it('keeps what is left after everything is settled as advance', () => {
+    const result = plan(2500.5);
+
+    expect(result.lines).toHaveLength(4);
+    expect(result.advance).toBe(400.5);
+  });
+
+  it('falls back to bills_first for a policy it does not know', () => {
+    expect(plan(1200, { policy: 'newest_first' }).lines).toEqual([['bill', 1, 1000], ['bill', 2, 200]]);
+  });
+});
+
+describe('EquityController.previewAllocation', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/WHERE setting_key IN \('payment_allocation_policy'/, [
+      { setting_key: 'payment_allocation_policy', setting_value: 'fines_first' },
+      { setting_key: 'payment_allocation_split_percent', setting_value: '20' }
+    ])
+      .on(/FROM bills\s+WHERE customer_id = \?/, [{ id: 1, bill_number: 'BILL-0001', balance_due: '1000.00', due_date: '2024-04-30', status: 'pending' }])
+      .on(/FROM applied_fines af/, [{ id: 3, amount: '200.00', applied_date: '2024-03-15', reason: 'Late payment', outstanding: '200.00' }]);
+  });
+
+  it('previews the configured policy without recording anything', async () => {
+    const preview = await EquityController.previewAllocation(7, 500);
+
+    expect(preview.policy).toBe('fines_first');
+    expect(preview.total_outstanding).toBe(1200);
+    expect(preview.allocations.map(line => [line.type, line.amount, line.balance_after])).toEqual([['fine', 200, 0], ['bill', 300, 700]]);
+    expect(db.queries(/^\s*(INSERT|UPDATE|DELETE)/)).toHaveLength(0);
+  });
+
+  it('lets the caller try another policy', async () => {
+    const preview = await EquityController.previewAllocation(7, 500, { policy: 'bills_first' });
+
+    expect(preview.allocations.map(line => line.type)).toEqual(['bill']);
+    expect(preview.split_percent).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { AuditLog } = require('../models');
+const AuditLogController = require('../controllers/AuditLogController');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+// old_values and new_values of the single audit row written
+const recorded = () => {
+  const [insert] = db.queries(/INSERT INTO audit_logs/);
+  return [JSON.parse(insert.params[3]), JSON.parse(insert.params[4])];
+};
+
+describe('AuditLog.actorFromRequest', () => {
+  it('names the admin or customer behind a request, with where it came from', () => {
+    const headers = { 'user-agent': 'Mozilla/5.0' };
+
+    expect(AuditLog.actorFromRequest(mockRequest({ headers, admin: { id: 2 } })))
+      .toEqual({ user_id: 2, user_type: 'admin', ip_address: '203.0.113.10', user_agent: 'Mozilla/5.0' });
+    expect(AuditLog.actorFromRequest(mockRequest({ customer: { id: 7 } })))
+      .toEqual(expect.objectContaining({ user_id: 7, user_type: 'customer' }));
+    expect(AuditLog.actorFromRequest(mockRequest()))
+      .toEqual(expect.objectContaining({ user_id: null, user_type: 'system' }));
+  });
+});
+
+describe('AuditLog.record', () => {
+  const actor = { user_id: 2, user_type: 'admin', ip_address: '203.0.113.10', user_agent: 'x'.repeat(600) };
+
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only the fields an update changed', async () => {
+    await AuditLog.record({
+      table_name: 'customers',
+      record_id: 7,
+      action: 'UPDATE',
+      old_values: { full_name: 'Wanjiku', zone: 'Kiambu', is_active: true, updated_at: '2024-04-01 08:00:00' },
+      new_values: { full_name: 'Wanjiku', zone: 'Gatundu', is_active: 1, updated_at: '2024-04-02 09:00:00' }
+    }, actor);
+
+    const [insert] = db.queries(/INSERT INTO audit_logs/);
+    expect(insert.params.slice(0, 3)).toEqual(['customers', 7, 'UPDATE']);
+    expect(recorded()).toEqual([{ zone: 'Kiambu' }, { zone: 'Gatundu' }]);
+    expect(insert.params.slice(5, 8)).toEqual([2, 'admin', '203.0.113.10']);
+    expect(insert.params[8]).toHaveLength(500);
+  });
+
+  it('skips an update that changed nothing', async () => {
+    const result = await AuditLog.record({
+      table_name: 'system_settings',
+      record_id: 4,
+      action: 'UPDATE',
+      old_values: { setting_value: '50', updated_at: '2024-04-01 08:00:00' },
+      new_values: { setting_value: 50, updated_at: '2024-04-02 09:00:00' }
+    }, actor);
+
+    expect(result).toBeNull();
+    expect(db.queries(/INSERT INTO audit_logs/)).toHaveLength(0);
+  });
+
+  it('never writes password hashes or two-factor secrets', async () => {
+    await AuditLog.record({
+      table_name: 'admins',
+      record_id: 3,
+      action: 'CREATE',
+      new_values: { username: 'mwangi', password_hash: '$2a$10$abc', two_factor_secret: 'JBSWY3DP', created_at: new Date('2024-04-02T06:00:00Z') }
+    }, actor);
+
+    const [insert] = db.queries(/INSERT INTO audit_logs/);
+    expect(insert.params[3]).toBeNull();
+    expect(JSON.parse(insert.params[4])).toEqual({ username: 'mwangi', created_at: '2024-04-02T06:00:00.000Z' });
+  });
+
+  it('records changes made without a request as the system', async () => {
+    await AuditLog.record({ table_name: 'bills', record_id: 11, action: 'DELETE', old_values: { amount: 1200 } });
+
+    expect(db.queries(/INSERT INTO audit_logs/)[0].params.slice(5)).toEqual([null, 'system', null, null]);
+  });
+
+  it('does not fail the change when the trail cannot be written', async () => {
+    db.on(/INSERT INTO audit_logs/, new Error('Table is read only'));
+
+    await expect(AuditLog.record({ table_name: 'bills', record_id: 11, action: 'DELETE', old_values: { amount: 1200 } }, actor))
+      .resolves.toBeNull();
+  });
+});
+
+describe('audit log filters and export', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('turns date filters into whole days and ids into numbers', () => {
+    expect(AuditLog.buildFilters({ table_name: 'bills', record_id: '11', date_from: '2024-04-01', date_to: '2024-04-30' })).toEqual({
+      whereClause: 'WHERE al.table_name = ? AND al.record_id = ? AND al.created_at >= ? AND al.created_at <= ?',
+      params: ['bills', 11, '2024-04-01 00:00:00', '2024-04-30 23:59:59']
+    });
+  });
+
+  it('exports the filtered entries as CSV with one cell describing the changes', async () => {
+    db.on(/FROM audit_logs al/, [{
+      created_at: '2024-04-02 09:15:00',
+      table_name: 'customers',
+      record_id: 7,
+      action: 'UPDATE',
+      user_type: 'admin',
+      actor_name: 'Mary Njeri',
+      actor_username: 'mnjeri',
+      ip_address: '203.0.113.10',
+      user_agent: 'Mozilla/5.0',
+      old_values: '{"zone":"Kiambu"}',
+      new_values: '{"zone":"Gatundu"}'
+    }]);
+    const res = mockResponse();
+    res.setHeader = jest.fn();
+    res.send = jest.fn();
+
+    await AuditLogController.exportLogs(mockRequest({ query: { table_name: 'customers', page: '2' } }), res);
+
+    const [lookup] = db.queries(/FROM audit_logs al/);
+    expect(lookup.params).toEqual(['customers']);
+    expect(lookup.query).toMatch(/LIMIT 10000/);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv');
+    expect(res.send.mock.calls[0][0].split('\n')[1])
+      .toBe('2024-04-02 09:15:00,Customers,7,UPDATE,admin,Mary Njeri (mnjeri),203.0.113.10,Mozilla/5.0,zone: Kiambu -> Gatundu');
+  });
+});
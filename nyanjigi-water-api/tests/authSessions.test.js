@@ -0,0 +1,215 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const moment = require('moment');
+const db = require('../config/database');
+const AuthUtils = require('../utils/auth');
+const { AuthSession } = require('../models');
+const { verifyAdmin } = require('../middleware/auth');
+const SessionController = require('../controllers/SessionController');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+const CustomerController = require('../controllers/CustomerController');
+const AdminController = require('../controllers/AdminController');
+const AdminUserController = require('../controllers/AdminUserController');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+const session = overrides => ({
+  id: 12,
+  user_type: 'customer',
+  user_id: 7,
+  refresh_token_hash: AuthUtils.hashToken('old-token'),
+  revoked_at: null,
+  expires_at: moment().add(20, 'days').toDate(),
+  last_used_at: moment().subtract(1, 'day').toDate(),
+  ...overrides
+});
+
+const revocations = () => db.queries(/SET revoked_at = NOW\(\)/).map(call => call.params);
+
+describe('AuthSession', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only a hash of the refresh token it hands out', async () => {
+    db.on(/INSERT INTO auth_sessions/, { insertId: 12, affectedRows: 1 });
+
+    const tokens = await AuthSession.startSession('customer', 7, { account_number: 'NWP-0007' }, { ip_address: '203.0.113.10' });
+
+    const [insert] = db.queries(/INSERT INTO auth_sessions/);
+    expect(insert.params[2]).toBe(AuthUtils.hashToken(tokens.refresh_token));
+    expect(insert.params).not.toContain(tokens.refresh_token);
+    expect(AuthUtils.verifyToken(tokens.token)).toEqual(expect.objectContaining({ id: 7, type: 'customer', sid: 12 }));
+  });
+
+  it('swaps the refresh token for a new one on every refresh', async () => {
+    db.on(/WHERE refresh_token_hash = \?/, [session()])
+      .on(/FROM customers WHERE id = \? AND is_active = TRUE/, [{ id: 7, account_number: 'NWP-0007' }]);
+
+    const tokens = await AuthSession.rotate('old-token');
+
+    const [update] = db.queries(/SET previous_token_hash = refresh_token_hash/);
+    expect(tokens.refresh_token).not.toBe('old-token');
+    expect(update.params[0]).toBe(AuthUtils.hashToken(tokens.refresh_token));
+    expect(update.params.slice(4)).toEqual([12, AuthUtils.hashToken('old-token')]);
+  });
+
+  it('turns away the second of two refreshes racing with the same token', async () => {
+    db.on(/WHERE refresh_token_hash = \?/, [session()])
+      .on(/FROM customers WHERE id = \? AND is_active = TRUE/, [{ id: 7, account_number: 'NWP-0007' }])
+      .on(/SET previous_token_hash = refresh_token_hash/, { affectedRows: 0 });
+
+    await expect(AuthSession.rotate('old-token')).rejects.toThrow('Refresh token has already been used');
+  });
+
+  it('revokes the session when a rotated-out token is replayed later', async () => {
+    db.on(/WHERE previous_token_hash = \?/, [session()]);
+
+    await expect(AuthSession.rotate('old-token')).rejects.toThrow('Refresh token has already been used');
+    expect(revocations()).toEqual([['token_reuse', 12]]);
+  });
+
+  it('keeps the session when another tab replays the token within the grace window', async () => {
+    db.on(/WHERE previous_token_hash = \?/, [session({ last_used_at: moment().subtract(5, 'seconds').toDate() })]);
+
+    await expect(AuthSession.rotate('old-token')).rejects.toThrow('Refresh token has already been used');
+    expect(revocations()).toEqual([]);
+  });
+
+  it('refuses revoked and expired sessions and ends those of inactive accounts', async () => {
+    db.on(/WHERE refresh_token_hash = \?/, [session({ revoked_at: new Date() })]);
+    await expect(AuthSession.rotate('old-token')).rejects.toThrow('Session has been revoked');
+
+    db.on(/WHERE refresh_token_hash = \?/, [session({ expires_at: moment().subtract(1, 'minute').toDate() })]);
+    await expect(AuthSession.rotate('old-token')).rejects.toThrow('Session has expired');
+
+    db.on(/WHERE refresh_token_hash = \?/, [session()]);
+    await expect(AuthSession.rotate('old-token')).rejects.toThrow('Account is inactive');
+    expect(revocations()).toEqual([['account_deactivated', 12]]);
+  });
+
+  it('treats access tokens without a session id as ended', async () => {
+    expect(await AuthSession.isActive({ id: 7, type: 'customer' })).toBe(false);
+    expect(db.calls).toHaveLength(0);
+  });
+});
+
+describe('session endpoints', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers a bad refresh token with 401', async () => {
+    const res = mockResponse();
+
+    await SessionController.refresh(mockRequest({ body: { refresh_token: 'unknown' } }), res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Invalid refresh token');
+  });
+
+  it('ends the session behind the access token on logout', async () => {
+    const token = AuthUtils.generateToken({ id: 2, type: 'admin', sid: 30 });
+    const res = mockResponse();
+
+    await SessionController.logout(mockRequest({ headers: { authorization: `Bearer ${token}` } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(revocations()).toEqual([['logout', 30]]);
+  });
+
+  it('signs the user out of every device', async () => {
+    db.on(/WHERE user_type = \? AND user_id = \? AND revoked_at IS NULL/, { affectedRows: 3 });
+    const res = mockResponse();
+
+    await SessionController.logoutAll(mockRequest({ userType: 'customer', user: { id: 7 } }), res);
+
+    expect(res.body.data).toEqual({ sessions_ended: 3 });
+    expect(revocations()).toEqual([['logout_all', 'customer', 7]]);
+  });
+
+  it('refuses an access token whose session was revoked', async () => {
+    const token = AuthUtils.generateToken({ id: 2, type: 'admin', sid: 30 });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await verifyAdmin(mockRequest({ headers: { authorization: `Bearer ${token}` } }), res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Session has ended');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('signs a customer out everywhere when an admin deactivates them', async () => {
+    db.on(/SELECT \* FROM customers WHERE id = \?/, [{ id: 7, full_name: 'Wanjiku', is_active: 1 }]);
+    const res = mockResponse();
+
+    await CustomerController.toggleStatus(mockRequest({ params: { id: '7' }, admin: { id: 2 } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(revocations()).toEqual([['account_deactivated', 'customer', 7]]);
+  });
+
+  it('keeps only the current session when a customer changes their password', async () => {
+    db.on(/SELECT \* FROM customers WHERE id = \?/, [{ id: 7, password_hash: await AuthUtils.hashPassword('old-pass') }]);
+    const res = mockResponse();
+
+    await CustomerController.changePassword(mockRequest({
+      customer: { id: 7 },
+      sessionId: 12,
+      body: { current_password: 'old-pass', new_password: 'new-pass-123' }
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(revocations()).toEqual([['password_changed', 'customer', 7, 12]]);
+  });
+
+  it('keeps only the current session when an admin changes their password', async () => {
+    db.on(/SELECT \* FROM admins WHERE id = \?/, [{ id: 2, password_hash: await AuthUtils.hashPassword('old-pass') }]);
+    const res = mockResponse();
+
+    await AdminController.changePassword(mockRequest({
+      admin: { id: 2 },
+      sessionId: 30,
+      body: { current_password: 'old-pass', new_password: 'new-pass-123' }
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(revocations()).toEqual([['password_changed', 'admin', 2, 30]]);
+  });
+
+  it('signs a customer out everywhere when an admin resets their password', async () => {
+    const res = mockResponse();
+
+    await CustomerController.resetPassword(mockRequest({ params: { customerId: '7' }, body: {}, admin: { id: 2 } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(revocations()).toEqual([['password_reset', 'customer', 7]]);
+  });
+
+  it('signs an admin out everywhere when another admin resets their password', async () => {
+    db.on(/FROM admins/, [{ id: 5, username: 'clerk', role: 'staff' }]);
+    const res = mockResponse();
+
+    await AdminUserController.resetUserPassword(mockRequest({
+      params: { id: '5' },
+      body: { new_password: 'new-pass-123' },
+      admin: { id: 2 }
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(revocations()).toEqual([['password_reset', 'admin', 5]]);
+  });
+});
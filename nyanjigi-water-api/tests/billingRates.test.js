@@ -0,0 +1,117 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { BillingRate } = require('../models');
+
+const tieredVersion = {
+  rate_version: 'TIER-2024',
+  rate_type: 'tiered',
+  rates: [
+    { rate_name: 'Lifeline', tier_min: 0, tier_max: 6, rate_value: '50.00', rate_type: 'tiered' },
+    { rate_name: 'Domestic', tier_min: 6, tier_max: 20, rate_value: '80.00', rate_type: 'tiered' },
+    { rate_name: 'High use', tier_min: 20, tier_max: null, rate_value: '120.00', rate_type: 'tiered' }
+  ]
+};
+
+describe('BillingRate.calculateCharges', () => {
+  it('charges each band of a tiered tariff at its own rate', () => {
+    const result = BillingRate.calculateCharges(tieredVersion, 25);
+
+    expect(result.items.map(item => [item.units, item.rate, item.amount])).toEqual([
+      [6, 50, 300],
+      [14, 80, 1120],
+      [5, 120, 600]
+    ]);
+    expect(result.total).toBe(2020);
+    expect(result.units_consumed).toBe(25);
+    expect(result.rate_per_unit).toBe(80.8);
+  });
+
+  it('only uses the bands the consumption reaches', () => {
+    const result = BillingRate.calculateCharges(tieredVersion, 4.5);
+
+    expect(result.items).toHaveLength(1);
+    expect(result.total).toBe(225);
+  });
+
+  it('bills nothing and no average rate for zero units on a tiered tariff', () => {
+    const result = BillingRate.calculateCharges(tieredVersion, 0);
+
+    expect(result.items).toEqual([]);
+    expect(result.total).toBe(0);
+    expect(result.rate_per_unit).toBeNull();
+  });
+
+  it('treats negative or missing consumption as zero', () => {
+    expect(BillingRate.calculateCharges(tieredVersion, -3).units_consumed).toBe(0);
+    expect(BillingRate.calculateCharges(tieredVersion, undefined).total).toBe(0);
+  });
+
+  it('charges a uniform tariff per unit', () => {
+    const result = BillingRate.calculateCharges({
+      rate_version: 'UNI-2024',
+      rate_type: 'uniform',
+      rates: [{ rate_name: 'Standard', rate_value: '75.50' }]
+    }, 12);
+
+    expect(result.total).toBe(906);
+    expect(result.rate_per_unit).toBe(75.5);
+  });
+
+  it('charges a flat rate whatever the consumption', () => {
+    const result = BillingRate.calculateCharges({
+      rate_version: 'FLAT-2024',
+      rate_type: 'flat_rate',
+      rates: [{ rate_name: 'Unmetered', rate_value: '500' }]
+    }, 40);
+
+    expect(result.total).toBe(500);
+    expect(result.units_consumed).toBeNull();
+  });
+
+  it('rejects a rate type it does not know', () => {
+    expect(() => BillingRate.calculateCharges({ rate_type: 'seasonal', rates: [] }, 5))
+      .toThrow('Unsupported rate type: seasonal');
+  });
+});
+
+describe('BillingRate.validateTiers', () => {
+  const tier = (tier_min, tier_max) => ({ tier_min, tier_max, rate_value: 50 });
+
+  it('accepts contiguous tiers from zero with an open last tier', () => {
+    expect(() => BillingRate.validateTiers([tier(0, 6), tier(6, 20), tier(20, null)])).not.toThrow();
+  });
+
+  it.each([
+    ['no tiers', [], 'at least one tier'],
+    ['a first tier above zero', [tier(1, 6), tier(6, null)], 'must start at 0'],
+    ['an open tier before the last', [tier(0, null), tier(6, null)], 'Only the last tier'],
+    ['an empty band', [tier(0, 6), tier(6, 6)], 'greater than its lower limit'],
+    ['a gap between bands', [tier(0, 6), tier(8, null)], 'Tier 2 must start where tier 1 ends']
+  ])('rejects %s', (_, tiers, message) => {
+    expect(() => BillingRate.validateTiers(tiers)).toThrow(message);
+  });
+});
+
+describe('BillingRate.getActiveRates', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('prefers rates for the customer type over generic ones in force for the period', async () => {
+    db.on(/SELECT rate_version\s+FROM billing_rates/, [{ rate_version: 'TIER-2024' }])
+      .on(/SELECT \* FROM billing_rates\s+WHERE rate_version = \?/, tieredVersion.rates);
+
+    const result = await BillingRate.getActiveRates('2024-01-01', '2024-01-31', { customerType: 'institution', metered: true });
+
+    const [lookup] = db.queries(/SELECT rate_version/);
+    expect(lookup.query).toMatch(/ORDER BY \(customer_type IS NULL\) ASC/);
+    expect(lookup.params).toEqual(['tiered', 'uniform', '2024-01-31', '2024-01-01', 'institution']);
+    expect(result).toEqual(expect.objectContaining({ rate_version: 'TIER-2024', rate_type: 'tiered' }));
+  });
+
+  it('returns null when no tariff covers the period', async () => {
+    expect(await BillingRate.getActiveRates('2024-01-01', '2024-01-31')).toBeNull();
+    expect(db.queries(/SELECT rate_version/)[0].params.slice(0, 1)).toEqual(['flat_rate']);
+  });
+});
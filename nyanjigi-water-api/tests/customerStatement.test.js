@@ -0,0 +1,78 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { CustomerStatement } = require('../models');
+
+const entry = (id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id) => ({
+  id, entry_date, entry_type, debit_account, credit_account, amount, reference_type, reference_id, description: null
+});
+
+describe('CustomerStatement.resolvePeriod', () => {
+  it('refuses a start date after the end date', () => {
+    expect(() => CustomerStatement.resolvePeriod('2024-05-01', '2024-04-01'))
+      .toThrow('Statement start date must be before the end date');
+  });
+
+  it('runs from the start of the end date\'s year when no start is given', () => {
+    expect(CustomerStatement.resolvePeriod(null, '2024-04-30')).toEqual({ from: '2024-01-01', to: '2024-04-30' });
+  });
+});
+
+describe('CustomerStatement.generate', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/FROM customers WHERE id = \?/, [{ id: 7, account_number: 'NYJ-00123', full_name: 'Jane Wanjiku' }])
+      .on(/as balance\s+FROM ledger_entries/, [{ balance: '250.00' }])
+      .on(/SELECT id, entry_date, entry_type/, [
+        entry(1, '2024-03-31', 'charge', 'customer_receivable', 'water_revenue', '1200.00', 'bill', 40),
+        entry(2, '2024-04-01', 'contribution', 'customer_receivable', 'contributions_fund', '100.00', 'contribution', 60),
+        entry(3, '2024-04-02', 'payment', 'equity_collections', 'customer_receivable', '1600.00', 'payment', 90),
+        entry(4, '2024-04-10', 'adjustment', 'billing_adjustments', 'customer_receivable', '50.00', null, null)
+      ])
+      .on(/SELECT id, bill_number FROM bills/, [{ id: 40, bill_number: 'BILL-202403-0001' }])
+      .on(/SELECT id, transaction_id, receipt_number FROM payments/, [{ id: 90, transaction_id: 'EQ-TXN100', receipt_number: null }])
+      .on(/SELECT id, contribution_month FROM contributions/, [{ id: 60, contribution_month: '2024-04-01' }])
+      .on(/FROM payment_allocations pa/, [
+        { payment_id: 90, allocation_type: 'bill_payment', amount: '1450.00', bill_number: 'BILL-202403-0001' },
+        { payment_id: 90, allocation_type: 'contribution', amount: '100.00', contribution_month: '2024-04-01' },
+        { payment_id: 90, allocation_type: 'advance', amount: '50.00' }
+      ]);
+  });
+
+  it('carries the opening balance through every line to the closing balance', async () => {
+    const statement = await CustomerStatement.generate(7, { from: '2024-03-01', to: '2024-04-30' });
+
+    expect(statement.period).toEqual({ from: '2024-03-01', to: '2024-04-30' });
+    expect(statement.opening_balance).toBe(250);
+    expect(statement.lines.map(line => [line.reference, line.debit, line.credit, line.balance])).toEqual([
+      ['BILL-202403-0001', 1200, 0, 1450],
+      ['Contribution Apr 2024', 100, 0, 1550],
+      ['EQ-TXN100', 0, 1600, -50],
+      [null, 0, 50, -100]
+    ]);
+    expect(statement.closing_balance).toBe(-100);
+  });
+
+  it('shows what each payment was applied to', async () => {
+    const statement = await CustomerStatement.generate(7, { from: '2024-03-01', to: '2024-04-30' });
+
+    expect(statement.lines[2].allocations.map(allocation => [allocation.applied_to, allocation.amount])).toEqual([
+      ['Bill BILL-202403-0001', 1450],
+      ['Contribution Apr 2024', 100],
+      ['Advance (credit)', 50]
+    ]);
+    expect(statement.lines[0].allocations).toEqual([]);
+  });
+
+  it('totals each kind of line and nets adjustments', async () => {
+    const { summary } = await CustomerStatement.generate(7, { from: '2024-03-01', to: '2024-04-30' });
+
+    expect(summary).toEqual(expect.objectContaining({ charges: 1200, contributions: 100, payments: 1600, adjustments: -50 }));
+  });
+
+  it('has no statement for an unknown customer', async () => {
+    db.on(/FROM customers WHERE id = \?/, []);
+
+    expect(await CustomerStatement.generate(404)).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { Ledger } = require('../models');
+const DocumentService = require('../services/DocumentService');
+
+// Page objects in a PDFKit file, which keeps its object dictionaries uncompressed
+const pageCount = buffer => (buffer.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+const expectPdf = buffer => {
+  const text = buffer.toString('latin1');
+  expect(text.startsWith('%PDF-')).toBe(true);
+  expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+
+  // The cross-reference table points at each object's real position in the file
+  const xrefOffset = parseInt(text.match(/startxref\s+(\d+)\s+%%EOF\s*$/)[1], 10);
+  expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+  const offsets = text.slice(xrefOffset).match(/^\d{10} 00000 n/gm).map(entry => parseInt(entry, 10));
+  offsets.forEach((offset, index) => {
+    expect(text.slice(offset, offset + 20)).toMatch(new RegExp(`^${index + 1} 0 obj`));
+  });
+};
+
+const bill = {
+  id: 40,
+  bill_number: 'BILL-202401-0001',
+  customer_id: 7,
+  customer_name: 'Jane Wanjiku',
+  account_number: 'NYJ-00123',
+  customer_location: 'Kiambu',
+  customer_phone: '254712345678',
+  billing_period_start: '2024-01-01',
+  billing_period_end: '2024-01-31',
+  generated_at: '2024-02-01',
+  due_date: '2024-02-15',
+  status: 'partially_paid',
+  bill_type: 'metered',
+  meter_reading_previous: 120,
+  meter_reading_current: 134,
+  units_consumed: 14,
+  rate_per_unit: '100.00',
+  current_charges: '1400.00',
+  previous_balance: '0.00',
+  fines_applied: '0.00',
+  total_amount: '1400.00',
+  amount_paid: '400.00',
+  items: []
+};
+
+describe('DocumentService PDFs', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(Ledger, 'getBalanceBreakdown').mockResolvedValue({
+      bills: 1000, fines: 0, contributions: 0, credit_balance: 0, total_balance: 1000
+    });
+    jest.spyOn(Ledger, 'getCustomerBalance').mockResolvedValue(1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('renders a bill as a single-page PDF', async () => {
+    const { filename, buffer } = await DocumentService.renderBill(bill);
+
+    expect(filename).toBe('bill-BILL-202401-0001.pdf');
+    expectPdf(buffer);
+    expect(pageCount(buffer)).toBe(1);
+    expect(buffer.toString('latin1')).toContain('(Bill BILL-202401-0001)');
+  });
+
+  it('renders a receipt on A5', async () => {
+    const { buffer } = await DocumentService.renderReceipt({
+      customer_id: 7,
+      customer_name: 'Jane Wanjiku',
+      account_number: 'NYJ-00123',
+      receipt_number: 'RCT-000042',
+      transaction_id: 'EQ-778812',
+      payment_date: '2024-02-03 10:15:00',
+      payment_method: 'cash',
+      amount: '400.00',
+      status: 'completed',
+      allocations: [{ allocation_description: 'Bill payment', bill_number: 'BILL-202401-0001', amount: '400.00' }]
+    });
+
+    expectPdf(buffer);
+    expect(buffer.toString('latin1')).toMatch(/\/MediaBox \[0 0 419\.53 595\.28\]/);
+  });
+
+  it('carries a long statement over several pages', async () => {
+    const lines = Array.from({ length: 80 }, (_, index) => ({
+      date: '2024-01-15',
+      type: index % 2 ? 'payment' : 'charge',
+      reference: `REF-${index}`,
+      description: `Line ${index} with a description long enough to be shortened to fit its column`,
+      debit: index % 2 ? null : 500,
+      credit: index % 2 ? 500 : null,
+      balance: index % 2 ? 0 : 500,
+      allocations: []
+    }));
+
+    const { buffer } = await DocumentService.renderStatement({
+      customer: { full_name: 'Jane Wanjiku', account_number: 'NYJ-00123', location: 'Kiambu', phone: null },
+      period: { from: '2024-01-01', to: '2024-12-31' },
+      opening_balance: 0,
+      closing_balance: 0,
+      total_debits: 20000,
+      total_credits: 20000,
+      summary: { charges: 20000, fines: 0, contributions: 0, payments: 20000 },
+      lines
+    });
+
+    expectPdf(buffer);
+    expect(pageCount(buffer)).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,126 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const net = require('net');
+const { SystemSettings } = require('../models');
+const EmailService = require('../services/EmailService');
+
+/**
+ * Plain-text SMTP server that accepts one message per connection and keeps
+ * the commands and message data it received. `replies` overrides the answer
+ * to a command, e.g. { RCPT: '550 5.1.1 Mailbox unavailable' }.
+ */
+const startSmtpServer = (replies = {}) => {
+  const received = { commands: [], data: '' };
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 test.local ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          received.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          reply('250 2.0.0 Ok: queued as 4F2A1');
+          continue;
+        }
+
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        received.commands.push(line);
+
+        const verb = line.split(/[\s:]/)[0].toUpperCase();
+        if (replies[verb]) {
+          reply(replies[verb]);
+        } else if (verb === 'EHLO') {
+          reply('250-test.local');
+          reply('250 8BITMIME');
+        } else if (verb === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 Ok');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+};
+
+describe('EmailService.sendEmail over SMTP', () => {
+  let smtp;
+
+  const useServer = async replies => {
+    smtp = await startSmtpServer(replies);
+    jest.spyOn(SystemSettings, 'getEmailSettings').mockResolvedValue({
+      smtp_host: '127.0.0.1',
+      smtp_port: smtp.port,
+      smtp_secure: false,
+      smtp_username: '',
+      smtp_password: '',
+      smtp_from_email: 'billing@nyanjigi.co.ke',
+      smtp_from_name: 'Nyanjigi Waters',
+      email_attach_documents: true
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(SystemSettings, 'getCompanySettings').mockResolvedValue({ company_name: 'Nyanjigi Waters' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => smtp.server.close(resolve));
+  });
+
+  it('delivers the message with its attachment to the configured server', async () => {
+    await useServer();
+
+    const result = await EmailService.sendEmail('jane@example.com', 'Your January bill', '<p>Amount due: KES 1,000</p>', {
+      attachments: [{ filename: 'bill-BILL-202401-0001.pdf', content: Buffer.from('%PDF-1.3'), contentType: 'application/pdf' }]
+    });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: true,
+      email: 'jane@example.com',
+      attachments: ['bill-BILL-202401-0001.pdf']
+    }));
+    expect(result.message_id).toEqual(expect.any(String));
+
+    expect(smtp.received.commands).toEqual(expect.arrayContaining([
+      'MAIL FROM:<billing@nyanjigi.co.ke>',
+      'RCPT TO:<jane@example.com>',
+      'DATA'
+    ]));
+    expect(smtp.received.data).toMatch(/^Subject: Your January bill$/m);
+    expect(smtp.received.data).toMatch(/^From: Nyanjigi Waters <billing@nyanjigi\.co\.ke>$/m);
+    expect(smtp.received.data).toMatch(/^Content-Type: text\/plain/m);
+    expect(smtp.received.data).toMatch(/filename=bill-BILL-202401-0001\.pdf/);
+  });
+
+  it('reports a recipient the server refuses as not sent', async () => {
+    await useServer({ RCPT: '550 5.1.1 Mailbox unavailable' });
+
+    const result = await EmailService.sendEmail('gone@example.com', 'Your January bill', '<p>Hello</p>');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Mailbox unavailable/);
+    expect(smtp.received.commands).not.toContain('DATA');
+  });
+});
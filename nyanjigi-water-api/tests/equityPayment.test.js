@@ -0,0 +1,95 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+jest.mock('../services/NotificationService', () => ({
+  sendNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPaymentReversalMessage: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const db = require('../config/database');
+const NotificationService = require('../services/NotificationService');
+const EquityController = require('../controllers/EquityController');
+
+const callback = {
+  transaction_id: 'TXN123',
+  member_number: 'NYJ-00123',
+  customer_name: 'Jane Wanjiku',
+  amount: '1500',
+  reference_type: 'general',
+  payment_method: 'paybill',
+  status: 'completed',
+  timestamp: '2026-10-15T08:30:00Z'
+};
+
+const customer = { id: 7, account_number: 'NYJ-00123', full_name: 'Jane Wanjiku', phone: '254712345678' };
+const bill = {
+  id: 31,
+  bill_number: 'BILL-0031',
+  balance_due: '1000.00',
+  current_charges: '1000.00',
+  fines_applied: '0.00',
+  amount_paid: '0.00',
+  due_date: '2026-10-30',
+  status: 'pending'
+};
+
+describe('EquityController.processEquityPayment', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    db.on(/FROM customers\s+WHERE account_number = \?/, [customer])
+      .on(/INSERT INTO payments/, { insertId: 501, affectedRows: 1 })
+      .on(/FROM bills\s+WHERE customer_id = \?/, [bill])
+      .on(/SELECT \* FROM bills WHERE id = \?/, [bill]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records, credits, allocates and confirms a payment for a matched customer', async () => {
+    await EquityController.processEquityPayment(callback);
+
+    const [payment] = db.queries(/INSERT INTO payments/);
+    expect(payment.params.slice(0, 6)).toEqual([7, 'EQ-TXN123', 'TXN123', 'NYJ-00123', 'equity_paybill', 1500]);
+
+    const [ledger] = db.queries(/INSERT INTO ledger_entries/);
+    expect(ledger.params).toEqual(expect.arrayContaining(['equity_collections', 'customer_receivable', 1500, 'payment', 501]));
+
+    const [billAllocation] = db.queries(/INSERT INTO payment_allocations[\s\S]*'bill_payment'/);
+    expect(billAllocation.params).toEqual([501, 31, 1000]);
+
+    const [advance] = db.queries(/'advance'/);
+    expect(advance.params).toEqual([501, 500]);
+
+    const [billUpdate] = db.queries(/UPDATE bills/);
+    expect(billUpdate.params.slice(0, 2)).toEqual([1000, 'paid']);
+
+    // Allocation is audited as the system, not an admin
+    const [audit] = db.queries(/INSERT INTO audit_logs/);
+    expect(audit.params[0]).toBe('payment_allocations');
+    expect(audit.params.slice(5, 7)).toEqual([null, 'system']);
+
+    expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 7, phone: '254712345678' }),
+      'payment_received',
+      expect.objectContaining({ transaction_id: 'TXN123', account_number: 'NYJ-00123' }),
+      { documents: { payment_id: 501 } }
+    );
+
+    const logs = db.queries(/INSERT INTO payment_logs/);
+    expect(logs).toHaveLength(1);
+    expect(logs[0].params[4]).toBe('processed');
+  });
+
+  it('ignores a callback it has already recorded', async () => {
+    db.on(/FROM payments\s+WHERE transaction_id = \?/, [{ id: 501 }]);
+
+    await EquityController.processEquityPayment(callback);
+
+    expect(db.queries(/INSERT INTO payments/)).toHaveLength(0);
+    expect(db.queries(/INSERT INTO ledger_entries/)).toHaveLength(0);
+    expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+  });
+});
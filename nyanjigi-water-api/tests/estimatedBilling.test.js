@@ -0,0 +1,99 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { Bill, MeterReading } = require('../models');
+
+// Uniform KES 100 per unit keeps the arithmetic readable
+const uniform = {
+  rate_version: 'UNI-2024',
+  rate_type: 'uniform',
+  rate_name: 'Standard',
+  rates: [{ rate_name: 'Standard', rate_value: '100.00', rate_type: 'uniform' }]
+};
+
+const customer = { id: 7, customer_type: 'normal' };
+const rateCache = () => new Map([['normal:metered', uniform]]);
+
+describe('Bill.calculateCustomerCharge for estimated and trued-up bills', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('bills the average consumption and marks the bill estimated', async () => {
+    const charge = await Bill.calculateCustomerCharge(customer, '2024-03-01', '2024-03-31', {
+      estimated: true,
+      consumption: 12,
+      previous_reading: 100,
+      reading_value: null
+    }, rateCache());
+
+    expect(charge.is_estimated).toBe(true);
+    expect(charge.total).toBe(1200);
+    expect(charge.meter_reading_current).toBeNull();
+    expect(charge.items[0].description).toMatch(/ - estimated$/);
+  });
+
+  it('spreads the next actual reading over the estimated months and corrects them', async () => {
+    const estimatedBills = [
+      { id: 41, billing_period_start: '2024-03-01', billing_period_end: '2024-03-31', current_charges: '1200.00', units_consumed: '12' },
+      { id: 42, billing_period_start: '2024-04-01', billing_period_end: '2024-04-30', current_charges: '1200.00', units_consumed: '12' }
+    ];
+
+    // 30 units since the last actual reading: 10 a month for March, April and May
+    const charge = await Bill.calculateCustomerCharge(customer, '2024-05-01', '2024-05-31', {
+      consumption: 30,
+      previous_reading: 100,
+      reading_value: 130
+    }, rateCache(), { estimatedBills });
+
+    const adjustment = charge.items.find(item => item.item_type === 'adjustment');
+    expect(charge.items[0].units).toBe(10);
+    expect(adjustment.amount).toBe(-400);
+    expect(adjustment.units).toBe(-4);
+    expect(adjustment.description).toContain('Mar 2024, Apr 2024');
+    expect(charge.total).toBe(600);
+    expect(charge.is_estimated).toBe(false);
+    expect(charge.trued_up_bill_ids).toEqual([41, 42]);
+  });
+
+  it('refuses a reading lower than the one before', async () => {
+    await expect(Bill.calculateCustomerCharge(customer, '2024-05-01', '2024-05-31', {
+      consumption: -5,
+      previous_reading: 100,
+      reading_value: 95
+    }, rateCache())).rejects.toThrow('lower than previous reading');
+  });
+
+  it('bills a first reading at the flat rate', async () => {
+    const flat = { rate_version: 'FLAT', rate_type: 'flat_rate', rates: [{ rate_name: 'Flat', rate_value: '500' }] };
+
+    const charge = await Bill.calculateCustomerCharge(customer, '2024-05-01', '2024-05-31', {
+      consumption: null,
+      previous_reading: null,
+      reading_value: 100
+    }, new Map([['normal:flat', flat]]));
+
+    expect(charge.bill_type).toBe('flat_rate');
+    expect(charge.total).toBe(500);
+  });
+});
+
+describe('MeterReading.getAverageConsumption', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('averages recent actual consumption and reports the last reading', async () => {
+    db.on(/SELECT consumption\s+FROM meter_readings/, [{ consumption: '10' }, { consumption: '14' }, { consumption: '15' }])
+      .on(/SELECT reading_value\s+FROM meter_readings/, [{ reading_value: '139' }]);
+
+    const result = await MeterReading.getAverageConsumption(7, '2024-03-15', 6);
+
+    expect(result).toEqual({ average: 13, periods_used: 3, last_reading: 139 });
+    expect(db.queries(/SELECT consumption/)[0].params).toEqual([7, '2024-03-01']);
+  });
+
+  it('has nothing to estimate from without history', async () => {
+    expect(await MeterReading.getAverageConsumption(7, '2024-03-01')).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * In-memory stand-in for config/database
+ *
+ * Every query is recorded. It is answered by the most recently registered
+ * handler whose pattern matches; unmatched SELECTs return no rows and other
+ * statements report one affected row. Use it from a test with:
+ *
+ *   jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+ *   const db = require('../config/database');
+ */
+const create = () => {
+  const calls = [];
+  let handlers = [];
+  let nextInsertId = 1;
+
+  const respond = (query, params = [], transaction = null) => {
+    calls.push({ query, params, transaction });
+
+    const handler = handlers.find(entry => entry.pattern.test(query));
+    if (handler) {
+      const result = typeof handler.result === 'function' ? handler.result(params, query) : handler.result;
+      if (result instanceof Error) {
+        throw result;
+      }
+      return result;
+    }
+
+    if (/^\s*SELECT/i.test(query)) {
+      return [];
+    }
+    return { insertId: nextInsertId++, affectedRows: 1 };
+  };
+
+  let transactionCount = 0;
+
+  return {
+    calls,
+
+    // Answer queries matching the pattern with rows, a result object, an Error to throw,
+    // or a function of (params, query) returning one of those
+    on(pattern, result) {
+      handlers.unshift({ pattern, result });
+      return this;
+    },
+
+    reset() {
+      calls.length = 0;
+      handlers = [];
+      nextInsertId = 1;
+      transactionCount = 0;
+    },
+
+    // Recorded calls whose SQL matches the pattern
+    queries(pattern) {
+      return calls.filter(call => pattern.test(call.query));
+    },
+
+    pool: {},
+    testConnection: jest.fn(),
+    getNextAccountNumber: jest.fn(),
+
+    executeQuery: jest.fn(async (query, params) => respond(query, params)),
+
+    // All statements of one transaction share a number; a throwing statement rolls the whole batch back
+    executeTransaction: jest.fn(async queries => {
+      const transaction = ++transactionCount;
+      const start = calls.length;
+      try {
+        return queries.map(({ query, params }) => respond(query, params, transaction));
+      } catch (error) {
+        calls.splice(start).forEach(call => calls.push({ ...call, rolledBack: true }));
+        throw error;
+      }
+    })
+  };
+};
+
+module.exports = { create };
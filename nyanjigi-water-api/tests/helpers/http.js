@@ -0,0 +1,32 @@
+/**
+ * Minimal Express request and response doubles for calling controllers directly
+ */
+const mockRequest = (overrides = {}) => {
+  const headers = overrides.headers || {};
+  return {
+    body: {},
+    params: {},
+    query: {},
+    ip: '203.0.113.10',
+    get: name => headers[name.toLowerCase()],
+    ...overrides
+  };
+};
+
+// Captures the status code and JSON body the controller sends
+const mockResponse = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+module.exports = { mockRequest, mockResponse };
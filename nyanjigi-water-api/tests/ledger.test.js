@@ -0,0 +1,176 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { Ledger } = require('../models');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+const BillController = require('../controllers/BillController');
+
+const FIELDS = [
+  'customer_id', 'entry_date', 'entry_type', 'debit_account', 'credit_account',
+  'amount', 'reference_type', 'reference_id', 'description', 'created_by'
+];
+
+// Rows written by the ledger INSERTs, rebuilt from the flattened parameters
+const postedRows = () => db.queries(/INSERT INTO ledger_entries/).flatMap(({ params }) => {
+  const rows = [];
+  for (let i = 0; i < params.length; i += FIELDS.length) {
+    rows.push(Object.fromEntries(FIELDS.map((field, j) => [field, params[i + j]])));
+  }
+  return rows;
+});
+
+describe('Ledger postings', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('posts every entry as one debit/credit pair and drops zero amounts', async () => {
+    const posted = await Ledger.postEntries([
+      { customer_id: 7, entry_date: '2024-03-31', entry_type: 'charge', debit_account: 'customer_receivable', credit_account: 'water_revenue', amount: 1200.004 },
+      { customer_id: 7, entry_type: 'charge', debit_account: 'customer_receivable', credit_account: 'water_revenue', amount: 0 }
+    ]);
+
+    expect(posted).toBe(1);
+    expect(postedRows()).toEqual([expect.objectContaining({
+      entry_date: '2024-03-31',
+      debit_account: 'customer_receivable',
+      credit_account: 'water_revenue',
+      amount: 1200
+    })]);
+  });
+
+  it('swaps the accounts of a negative amount', () => {
+    const [row] = Ledger.entryRows([
+      { customer_id: 7, entry_type: 'adjustment', debit_account: 'customer_receivable', credit_account: 'billing_adjustments', amount: -250 }
+    ]);
+
+    expect(row).toEqual(expect.objectContaining({
+      debit_account: 'billing_adjustments',
+      credit_account: 'customer_receivable',
+      amount: 250
+    }));
+  });
+
+  it('writes nothing when every amount is zero', async () => {
+    expect(await Ledger.postEntries([{ customer_id: 7, amount: 0 }])).toBe(0);
+    expect(db.calls).toHaveLength(0);
+  });
+
+  it('charges a bill with its fines to the receivable', async () => {
+    db.on(/FROM bills\s+WHERE id IN/, [
+      { id: 40, customer_id: 7, bill_number: 'BILL-202403-0001', billing_period_end: '2024-03-31', current_charges: '1200.00', fines_applied: '50.00' }
+    ]);
+
+    await Ledger.recordBillCharges([40]);
+
+    expect(postedRows()).toEqual([expect.objectContaining({
+      entry_type: 'charge',
+      debit_account: 'customer_receivable',
+      credit_account: 'water_revenue',
+      amount: 1250,
+      reference_type: 'bill',
+      reference_id: 40
+    })]);
+  });
+
+  it('credits the receivable from the account a payment was collected into', async () => {
+    await Ledger.recordPayment(
+      { id: 90, customer_id: 7, amount: '800.00', payment_date: '2024-04-02', transaction_id: 'EQ123' },
+      { account: Ledger.ACCOUNTS.CASH, createdBy: 2 }
+    );
+
+    expect(postedRows()).toEqual([{
+      customer_id: 7,
+      entry_date: '2024-04-02',
+      entry_type: 'payment',
+      debit_account: 'cash_on_hand',
+      credit_account: 'customer_receivable',
+      amount: 800,
+      reference_type: 'payment',
+      reference_id: 90,
+      description: 'Payment EQ123',
+      created_by: 2
+    }]);
+  });
+
+  it('reverses a payment against the account it was first posted to', async () => {
+    db.on(/SELECT debit_account FROM ledger_entries/, [{ debit_account: 'bank_deposits' }]);
+
+    const entry = await Ledger.paymentReversalEntry({ id: 90, customer_id: 7, amount: '800.00', transaction_id: 'EQ123' }, 'Bounced', 2);
+
+    expect(entry).toEqual(expect.objectContaining({
+      entry_type: 'reversal',
+      debit_account: 'customer_receivable',
+      credit_account: 'bank_deposits',
+      description: 'Payment EQ123 reversed: Bounced'
+    }));
+  });
+});
+
+describe('Ledger balances', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('nets receivable debits against credits before a date', async () => {
+    db.on(/as balance\s+FROM ledger_entries/, [{ balance: '-150.50' }]);
+
+    expect(await Ledger.getCustomerBalance(7, '2024-04-15')).toBe(-150.5);
+    expect(db.queries(/as balance/)[0].params).toEqual(['customer_receivable', 'customer_receivable', 7, '2024-04-15']);
+  });
+
+  it('reports a negative balance as credit held', async () => {
+    db.on(/as balance\s+FROM ledger_entries/, [{ balance: '-300' }])
+      .on(/as bills/, [{ bills: '0', fines: '0', contributions: '0' }]);
+
+    expect(await Ledger.getBalanceBreakdown(7)).toEqual({
+      total_balance: -300, bills: 0, fines: 0, contributions: 0, credit_balance: 300
+    });
+  });
+
+  it('runs a statement from the opening balance', async () => {
+    db.on(/as balance\s+FROM ledger_entries/, [{ balance: '100' }])
+      .on(/SELECT id, entry_date, entry_type/, [
+        { id: 1, entry_date: '2024-03-31', entry_type: 'charge', debit_account: 'customer_receivable', credit_account: 'water_revenue', amount: '1200.00' },
+        { id: 2, entry_date: '2024-04-02', entry_type: 'payment', debit_account: 'equity_collections', credit_account: 'customer_receivable', amount: '1000.00' }
+      ]);
+
+    const statement = await Ledger.getCustomerEntries(7, { from: '2024-03-01', to: '2024-04-30' });
+
+    expect(statement.opening_balance).toBe(100);
+    expect(statement.entries.map(entry => entry.running_balance)).toEqual([1300, 300]);
+    expect(statement.closing_balance).toBe(300);
+    expect(statement.total_debits).toBe(1200);
+    expect(statement.total_credits).toBe(1000);
+  });
+});
+
+describe('manual bill status changes', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('refuses to mark a bill paid without a payment behind it', async () => {
+    const single = mockResponse();
+    const bulk = mockResponse();
+
+    await BillController.updateBillStatus(mockRequest({ params: { billId: '40' }, body: { status: 'paid' } }), single);
+    await BillController.bulkUpdateBillStatus(mockRequest({ body: { bill_ids: [40, 41], status: 'partially_paid' } }), bulk);
+
+    expect([single.statusCode, bulk.statusCode]).toEqual([400, 400]);
+    expect(single.body.message).toBe('Bills are marked paid by recording a payment against them');
+    expect(db.queries(/UPDATE bills/)).toHaveLength(0);
+  });
+
+  it('still lets staff move an unpaid bill between pending and overdue', async () => {
+    db.on(/SELECT \* FROM bills WHERE id = \?/, [{ id: 40, status: 'pending' }]);
+    const res = mockResponse();
+
+    await BillController.updateBillStatus(mockRequest({ params: { billId: '40' }, body: { status: 'overdue' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(db.queries(/UPDATE bills/)[0].params).toEqual(['overdue', null, 40]);
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const { NotificationTemplate } = require('../models');
+const SmsUtils = require('../utils/sms');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+const SMSService = require('../services/SMSService');
+
+// SMS templates seeded by the migrations: { name, trigger_event, language, message }
+const seededSmsTemplates = () => {
+  const dir = path.join(__dirname, '../scripts/migrations');
+  const row = /SELECT '([^']+)'(?: AS name)?, 'sms'(?: AS type)?, '(\w+)'(?: AS trigger_event)?, '(\w+)'(?: AS language)?,\s*'((?:[^']|'')*)'/g;
+
+  return fs.readdirSync(dir).filter(file => file.endsWith('.sql')).flatMap(file =>
+    [...fs.readFileSync(path.join(dir, file), 'utf8').matchAll(row)].map(([, name, trigger_event, language, message]) => ({
+      name, trigger_event, language, message: message.replace(/''/g, "'")
+    }))
+  );
+};
+
+describe('seeded SMS templates', () => {
+  const templates = seededSmsTemplates();
+  const byLanguage = language => templates.filter(template => template.language === language);
+
+  it('has a Gikuyu template for every Kiswahili one', () => {
+    const kiswahili = byLanguage('sw').map(template => template.trigger_event).sort();
+
+    expect(kiswahili.length).toBeGreaterThan(0);
+    expect(byLanguage('ki').map(template => template.trigger_event).sort()).toEqual(kiswahili);
+  });
+
+  it('only uses placeholders their trigger event supplies', () => {
+    byLanguage('sw').concat(byLanguage('ki')).forEach(template => {
+      expect([template.name, NotificationTemplate.getUnsupportedPlaceholders(template.trigger_event, template.message)])
+        .toEqual([template.name, []]);
+    });
+  });
+
+  it('keeps Gikuyu wording in the GSM alphabet', () => {
+    byLanguage('ki').forEach(template => {
+      expect([template.name, SmsUtils.getEncoding(template.message)]).toEqual([template.name, 'GSM-7']);
+    });
+  });
+});
+
+describe('SMSService templates by language', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prefers the customer\'s language and falls back to English', async () => {
+    await SMSService.getTemplate('bill_generated', 'ki');
+    await SMSService.getTemplate('bill_generated', null);
+
+    const [gikuyu, unset] = db.queries(/FROM notification_templates/);
+    expect(gikuyu.query).toMatch(/AND language IN \(\?, 'en'\)\s+ORDER BY language = \? DESC/);
+    expect(gikuyu.params).toEqual(['bill_generated', 'ki', 'ki']);
+    expect(unset.params).toEqual(['bill_generated', 'en', 'en']);
+  });
+
+  it('fills in the template found for the customer\'s language', async () => {
+    db.on(/FROM notification_templates/, [{ message_template: 'Mwendwa {{customer_name}}, thabu yaku ni KES {{amount}}.' }]);
+    const sendSMS = jest.spyOn(SMSService, 'sendSMS').mockResolvedValue({ success: true });
+
+    await SMSService.sendTemplatedSMS('254712345678', 'bill_generated', { customer_name: 'Wanjiku', amount: '1200.00' }, 'ki');
+
+    expect(sendSMS).toHaveBeenCalledWith('254712345678', 'Mwendwa Wanjiku, thabu yaku ni KES 1200.00.');
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+jest.mock('../services/NotificationService', () => ({
+  sendNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const db = require('../config/database');
+const { Payment } = require('../models');
+const PaymentController = require('../controllers/PaymentController');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+const receiptSequence = next => db.on(/SELECT LAST_INSERT_ID\(\)/, [{ next_number: next }]);
+
+describe('Payment.generateReceiptNumber', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues the next number in the series with the configured prefix', async () => {
+    db.on(/setting_key = 'receipt_number_prefix'/, [{ setting_value: 'NYJ' }]);
+    receiptSequence(42);
+
+    expect(await Payment.generateReceiptNumber()).toBe('NYJ-000042');
+
+    const [increment, read] = db.queries(/receipt_sequence|LAST_INSERT_ID\(\) as/);
+    expect(increment.params).toEqual(['manual']);
+    expect(read.transaction).toBe(increment.transaction);
+  });
+
+  it('falls back to the RCT prefix', async () => {
+    receiptSequence(7);
+
+    expect(await Payment.generateReceiptNumber()).toBe('RCT-000007');
+  });
+
+  it('refuses a series that has no sequence row', async () => {
+    db.on(/UPDATE receipt_sequence/, { affectedRows: 0 });
+
+    await expect(Payment.generateReceiptNumber('refunds')).rejects.toThrow("Receipt series 'refunds' is not configured");
+  });
+});
+
+describe('Payment.recordManualPayment', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    receiptSequence(42);
+    db.on(/INSERT INTO payments/, { insertId: 77, affectedRows: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts cash to cash on hand under its receipt number', async () => {
+    await Payment.recordManualPayment({ customerId: 7, amount: 500, paymentMethod: 'cash', paymentDate: '2024-04-02', processedBy: 2 });
+
+    expect(db.queries(/INSERT INTO payments/)[0].params.slice(0, 5)).toEqual([7, 'RCT-000042', 'RCT-000042', 'cash', 500]);
+    expect(db.queries(/INSERT INTO ledger_entries/)[0].params).toEqual(expect.arrayContaining([
+      'cash_on_hand', 'customer_receivable', 500, 'payment', 77, 'Cash payment, receipt RCT-000042', 2
+    ]));
+  });
+
+  it('posts cheques and transfers to the bank', async () => {
+    await Payment.recordManualPayment({ customerId: 7, amount: 500, paymentMethod: 'cheque', paymentReference: 'CHQ-1001' });
+
+    expect(db.queries(/INSERT INTO ledger_entries/)[0].params).toEqual(expect.arrayContaining(['bank_deposits']));
+  });
+
+  it('refuses a reference that was already recorded', async () => {
+    db.on(/WHERE payment_method = \? AND payment_reference = \?/, [{ receipt_number: 'RCT-000041' }]);
+
+    await expect(Payment.recordManualPayment({ customerId: 7, amount: 500, paymentMethod: 'cheque', paymentReference: 'CHQ-1001' }))
+      .rejects.toThrow('A payment with reference CHQ-1001 is already recorded (receipt RCT-000041)');
+    expect(db.queries(/receipt_sequence/)).toHaveLength(0);
+    expect(db.queries(/INSERT INTO payments/)).toHaveLength(0);
+  });
+});
+
+describe('PaymentController.recordManualPayment', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.on(/SELECT \* FROM customers WHERE id = \?/, [{ id: 7, account_number: 'NYJ-00123', full_name: 'Jane Wanjiku', phone: '254712345678' }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers a duplicate reference with a conflict', async () => {
+    db.on(/WHERE payment_method = \? AND payment_reference = \?/, [{ receipt_number: 'RCT-000041' }]);
+    const res = mockResponse();
+
+    await PaymentController.recordManualPayment(mockRequest({
+      body: { customer_id: '7', amount: '500', payment_method: 'cheque', payment_reference: ' CHQ-1001 ' },
+      admin: { id: 2 }
+    }), res);
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('allocates the payment and returns the receipt number', async () => {
+    receiptSequence(42);
+    db.on(/INSERT INTO payments/, { insertId: 77, affectedRows: 1 })
+      .on(/SELECT \* FROM payments WHERE id = \?/, [{ id: 77, receipt_number: 'RCT-000042', amount: '500.00', payment_date: '2024-04-02' }]);
+    const res = mockResponse();
+
+    await PaymentController.recordManualPayment(mockRequest({
+      body: { customer_id: '7', amount: '500', payment_method: 'cash', notify_customer: false },
+      admin: { id: 2 }
+    }), res);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toEqual(expect.objectContaining({ receipt_number: 'RCT-000042', advance_payment: 500 }));
+  });
+});
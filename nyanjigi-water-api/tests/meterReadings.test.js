@@ -0,0 +1,128 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { MeterReading } = require('../models');
+const CsvUtils = require('../utils/csv');
+
+const settings = { jump_multiplier: 3, trailing_periods: 3 };
+
+const previousReading = (reading_period, reading_value) =>
+  db.on(/WHERE customer_id = \? AND reading_period < \? AND status != 'rejected'/, [{ reading_period, reading_value }]);
+
+const trailingConsumption = values =>
+  db.on(/SELECT consumption\s+FROM meter_readings/, values.map(consumption => ({ consumption })));
+
+describe('MeterReading.evaluateReading', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('takes the first reading on a meter as the baseline', async () => {
+    const result = await MeterReading.evaluateReading(7, '2024-03-01', 120, settings);
+
+    expect(result).toEqual({ previous_reading: null, consumption: null, trailing_average: null, flags: [] });
+  });
+
+  it('passes a reading in line with recent use', async () => {
+    previousReading('2024-02-01', '100');
+    trailingConsumption(['10', '12', '14']);
+
+    const result = await MeterReading.evaluateReading(7, '2024-03-01', 113, settings);
+
+    expect(result).toEqual({ previous_reading: 100, consumption: 13, trailing_average: 12, flags: [] });
+  });
+
+  it('flags a meter that reads lower than last time', async () => {
+    previousReading('2024-02-01', '100');
+
+    const result = await MeterReading.evaluateReading(7, '2024-03-01', 95, settings);
+
+    expect(result.consumption).toBe(-5);
+    expect(result.flags).toEqual(['reading_backwards']);
+  });
+
+  it('flags consumption above the multiple of the trailing average', async () => {
+    previousReading('2024-02-01', '100');
+    trailingConsumption(['10', '10', '10']);
+
+    const result = await MeterReading.evaluateReading(7, '2024-03-01', 131, settings);
+
+    expect(result.flags).toEqual(['abnormal_jump']);
+  });
+
+  it('flags skipped months that no estimated bill covered', async () => {
+    previousReading('2023-12-01', '100');
+    db.on(/SELECT COUNT\(\*\) as total FROM bills/, [{ total: 1 }]);
+
+    const result = await MeterReading.evaluateReading(7, '2024-03-01', 130, settings);
+
+    expect(result.flags).toEqual(['missing_period']);
+  });
+
+  it('allows for the months since the last reading when judging a jump', async () => {
+    previousReading('2023-12-01', '100');
+    db.on(/SELECT COUNT\(\*\) as total FROM bills/, [{ total: 2 }]);
+    trailingConsumption(['10', '10', '10']);
+
+    const result = await MeterReading.evaluateReading(7, '2024-03-01', 180, settings);
+
+    expect(result.flags).toEqual([]);
+  });
+});
+
+describe('MeterReading.bulkRecordReadings', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records good rows and reports bad ones by line number', async () => {
+    db.on(/FROM customers c\s+WHERE/, params => (params[0] === 'MTR-1'
+      ? [{ id: 7, account_number: 'NYJ-00123', meter_number: 'MTR-1', zone: params[1] }]
+      : []))
+      .on(/SELECT mr\.\*/, [{ id: 1, customer_id: 7, meter_number: 'MTR-1', account_number: 'NYJ-00123', reading_value: '120.00', status: 'valid', flags: null }]);
+
+    const rows = CsvUtils.parse([
+      'Meter Number,Reading,Reading Date',
+      'MTR-1,120,2024-03-05',
+      'MTR-404,88,2024-03-05',
+      'MTR-1,,2024-03-05',
+      'MTR-1,120,05/03/2024'
+    ].join('\n'));
+
+    const result = await MeterReading.bulkRecordReadings('Kiambu', rows, { recordedBy: 2 });
+
+    expect(result.recorded_count).toBe(1);
+    expect(result.errors).toEqual([
+      { line: 3, meter_number: 'MTR-404', error: 'No active customer found for meter MTR-404 in Kiambu' },
+      { line: 4, meter_number: 'MTR-1', error: 'Valid reading is required' },
+      { line: 5, meter_number: 'MTR-1', error: 'Reading date must be in YYYY-MM-DD format' }
+    ]);
+    expect(db.queries(/INSERT INTO meter_readings/)[0].params.slice(0, 2)).toEqual([7, '2024-03-01']);
+  });
+
+  it('refuses to change a reading that has been billed', async () => {
+    db.on(/FROM customers c\s+WHERE/, [{ id: 7, account_number: 'NYJ-00123', meter_number: 'MTR-1' }])
+      .on(/SELECT id, bill_id FROM meter_readings/, [{ id: 1, bill_id: 40 }]);
+
+    await expect(MeterReading.recordReading({ customer_id: 7, reading_value: 125, reading_period: '2024-03-01' }))
+      .rejects.toThrow('Reading for March 2024 has already been billed');
+    expect(db.queries(/UPDATE meter_readings|INSERT INTO meter_readings/)).toHaveLength(0);
+  });
+});
+
+describe('CsvUtils', () => {
+  it('keeps quoted commas and quotes inside a field', () => {
+    expect(CsvUtils.parseLine('MTR-1,"Kiambu, Ward 2","said ""hi"""')).toEqual(['MTR-1', 'Kiambu, Ward 2', 'said "hi"']);
+  });
+
+  it('escapes values that would break a row', () => {
+    expect(CsvUtils.escape('a,b')).toBe('"a,b"');
+    expect(CsvUtils.escape('say "x"')).toBe('"say ""x"""');
+    expect(CsvUtils.escape(null)).toBe('');
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+jest.mock('../services/NotificationService', () => ({
+  deliverQueuedMessage: jest.fn(),
+  logNotification: jest.fn().mockResolvedValue(undefined)
+}));
+
+const db = require('../config/database');
+const { NotificationOutbox } = require('../models');
+const NotificationService = require('../services/NotificationService');
+const SchedulerService = require('../services/SchedulerService');
+
+const queued = (id, overrides = {}) => ({
+  id,
+  recipient_id: 7,
+  channel: 'sms',
+  recipient: '254712345678',
+  notification_type: 'bill_generated',
+  variables: '{"amount":"1200.00"}',
+  options: null,
+  ...overrides
+});
+
+describe('NotificationOutbox', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('counts messages whose dedupe key is already queued as duplicates', async () => {
+    db.on(/INSERT INTO notification_outbox/, { affectedRows: 1 });
+
+    const summary = await NotificationOutbox.enqueue([
+      { dedupe_key: 'bill_generated:7:2024-04', channel: 'sms', recipient: '254712345678', notification_type: 'bill_generated' },
+      { dedupe_key: 'bill_generated:7:2024-04', channel: 'sms', recipient: '254712345678', notification_type: 'bill_generated' }
+    ], 3);
+
+    expect(summary).toEqual({ total: 2, queued: 1, duplicates: 1 });
+    expect(db.queries(/INSERT INTO notification_outbox/)[0].query).toMatch(/ON DUPLICATE KEY UPDATE id = id/);
+  });
+
+  it('frees messages stuck in processing before claiming due ones', async () => {
+    db.on(/SELECT id FROM notification_outbox/, [{ id: 1 }, { id: 2 }])
+      .on(/SELECT \* FROM notification_outbox/, [queued(1)]);
+
+    const claimed = await NotificationOutbox.claimDue(2);
+
+    expect(db.calls[0].query).toMatch(/SET status = 'pending', locked_at = NULL\s+WHERE status = 'processing'/);
+    expect(db.queries(/LIMIT 2/)).toHaveLength(1);
+    expect(claimed).toEqual([expect.objectContaining({ id: 1, variables: { amount: '1200.00' } })]);
+  });
+
+  it('claims nothing once the rate limit is used up', async () => {
+    expect(await NotificationOutbox.claimDue(0)).toEqual([]);
+    expect(db.queries(/SELECT id FROM notification_outbox/)).toHaveLength(0);
+  });
+
+  it('backs failed messages off exponentially and dead-letters them at the attempt limit', async () => {
+    db.on(/SELECT status FROM notification_outbox/, [{ status: 'dead' }]);
+
+    expect(await NotificationOutbox.markFailed(4, 'Network error', 30)).toBe('dead');
+
+    const [update] = db.queries(/SET attempts = attempts \+ 1/);
+    expect(update.query).toMatch(/IF\(attempts >= max_attempts, 'dead', 'pending'\)/);
+    expect(update.query).toMatch(/INTERVAL \? \* POW\(2, attempts - 1\) SECOND/);
+    expect(update.params).toEqual([30, 'Network error', 4]);
+  });
+});
+
+describe('SchedulerService.processOutbox', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    db.on(/FROM system_settings/, [
+      { setting_key: 'outbox_rate_limit_per_minute', setting_value: '10' },
+      { setting_key: 'outbox_retry_base_seconds', setting_value: '60' }
+    ])
+      .on(/SELECT COUNT\(\*\) as total FROM notification_outbox/, [{ total: 8 }])
+      .on(/SELECT id FROM notification_outbox/, [{ id: 1 }, { id: 2 }])
+      .on(/SELECT \* FROM notification_outbox/, [queued(1), queued(2), queued(3), queued(4)]);
+  });
+
+  it('only claims what is left of the per-minute limit', async () => {
+    NotificationService.deliverQueuedMessage.mockResolvedValue({ success: true });
+
+    await SchedulerService.processOutbox();
+
+    expect(db.queries(/SELECT id FROM notification_outbox/)[0].query).toMatch(/LIMIT 2/);
+  });
+
+  it('sends, retries, defers or suppresses each message by its outcome', async () => {
+    NotificationService.deliverQueuedMessage
+      .mockResolvedValueOnce({ success: true })
+      .mockRejectedValueOnce(new Error('Gateway timeout'))
+      .mockResolvedValueOnce({ success: false, deferred: true, send_after: '2024-04-02 06:00:00' })
+      .mockResolvedValueOnce({ success: false, suppressed: true, error: 'Customer opted out' });
+    db.on(/SELECT status FROM notification_outbox/, [{ status: 'pending' }]);
+
+    const result = await SchedulerService.processOutbox();
+
+    expect(result).toEqual({ processed: 4, sent: 1, retrying: 1, dead: 0, deferred: 1, suppressed: 1 });
+    expect(db.queries(/last_error = \?/)[0].params).toEqual([60, 'Gateway timeout', 2]);
+    expect(NotificationService.logNotification.mock.calls.map(call => call[4])).toEqual(['sent', 'suppressed']);
+  });
+
+  it('logs a message as failed once it is dead-lettered', async () => {
+    NotificationService.deliverQueuedMessage.mockResolvedValue({ success: false, error: 'Invalid phone number' });
+    db.on(/SELECT \* FROM notification_outbox/, [queued(1)])
+      .on(/SELECT status FROM notification_outbox/, [{ status: 'dead' }]);
+
+    const result = await SchedulerService.processOutbox();
+
+    expect(result.dead).toBe(1);
+    expect(NotificationService.logNotification).toHaveBeenCalledWith(
+      7, '254712345678', 'bill_generated', 'sms', 'failed', expect.objectContaining({ error: 'Invalid phone number' }), expect.anything()
+    );
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+jest.mock('../services/SMSService', () => ({
+  sendSMS: jest.fn().mockResolvedValue({ success: true, message_id: 'ATXid_1' })
+}));
+
+const moment = require('moment');
+const db = require('../config/database');
+const { NotificationPreference } = require('../models');
+const SMSService = require('../services/SMSService');
+const NotificationService = require('../services/NotificationService');
+
+const savedPreferences = overrides => db.on(/LEFT JOIN customer_notification_preferences p/, [{
+  customer_id: 7,
+  channel: 'both',
+  language: 'sw',
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  marketing_opt_out: 0,
+  announcements_opt_out: 0,
+  sms_opt_out: 0,
+  sms_opt_out_at: null,
+  ...overrides
+}]);
+
+describe('NotificationPreference quiet hours', () => {
+  const overnight = { quiet_hours_start: '21:00', quiet_hours_end: '07:00' };
+
+  it('covers a window that runs past midnight', () => {
+    expect(NotificationPreference.isQuietTime(overnight, moment('2024-04-02 23:30'))).toBe(true);
+    expect(NotificationPreference.isQuietTime(overnight, moment('2024-04-03 06:59'))).toBe(true);
+    expect(NotificationPreference.isQuietTime(overnight, moment('2024-04-03 07:00'))).toBe(false);
+  });
+
+  it('ends the quiet period the next morning', () => {
+    expect(NotificationPreference.quietHoursEnd(overnight, moment('2024-04-02 23:30')).format('YYYY-MM-DD HH:mm'))
+      .toBe('2024-04-03 07:00');
+  });
+
+  it('gives customers who never saved preferences the defaults in their own language', async () => {
+    db.reset();
+    db.on(/LEFT JOIN customer_notification_preferences p/, [{ channel: null, language: 'ki' }]);
+
+    expect(await NotificationPreference.getPreferences(7)).toEqual(expect.objectContaining({ channel: 'both', language: 'ki', sms_opt_out: false }));
+  });
+});
+
+describe('NotificationService.checkPreferences', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('always allows payment and fine notices', async () => {
+    savedPreferences({ sms_opt_out: 1 });
+
+    expect(await NotificationService.checkPreferences(7, 'payment_received', 'sms')).toEqual({ allowed: true });
+  });
+
+  it('suppresses SMS for a customer who replied STOP', async () => {
+    savedPreferences({ sms_opt_out: 1 });
+
+    expect(await NotificationService.checkPreferences(7, 'bill_generated', 'sms')).toEqual({ allowed: false, reason: 'sms_stop' });
+  });
+
+  it('honours the preferred channel', async () => {
+    savedPreferences({ channel: 'email' });
+
+    expect(await NotificationService.checkPreferences(7, 'bill_generated', 'sms')).toEqual({ allowed: false, reason: 'prefers_email' });
+  });
+
+  it('drops announcements for a customer who opted out of them', async () => {
+    savedPreferences({ announcements_opt_out: 1 });
+
+    expect(await NotificationService.checkPreferences(7, 'scheduled_campaign', 'email'))
+      .toEqual({ allowed: false, reason: 'announcements_opt_out' });
+  });
+
+  it('holds SMS until quiet hours end but lets email through', async () => {
+    const now = moment();
+    savedPreferences({ quiet_hours_start: now.clone().subtract(1, 'hour').format('HH:mm:ss'), quiet_hours_end: now.clone().add(1, 'hour').format('HH:mm:ss') });
+
+    const sms = await NotificationService.checkPreferences(7, 'bill_generated', 'sms');
+
+    expect(sms.allowed).toBe(false);
+    expect(sms.deferUntil.isAfter(now)).toBe(true);
+    expect(await NotificationService.checkPreferences(7, 'bill_generated', 'email')).toEqual({ allowed: true });
+  });
+});
+
+describe('NotificationService.handleInboundSms', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db.on(/FROM customers\s+WHERE RIGHT/, [{ id: 7 }, { id: 8 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('opts every account on the number out and confirms by SMS', async () => {
+    const result = await NotificationService.handleInboundSms({ id: 'in-1', from: '+254712345678', to: '22384', text: 'stop please' });
+
+    expect(result).toEqual({ keyword: 'STOP', customers: 2, duplicate: false });
+    expect(db.queries(/INSERT INTO customer_notification_preferences/).map(call => [call.params[0], call.params[6]]))
+      .toEqual([[7, true], [8, true]]);
+    expect(SMSService.sendSMS).toHaveBeenCalledWith('+254712345678', expect.stringContaining('Reply START to subscribe again'));
+  });
+
+  it('ignores a message the provider delivered twice', async () => {
+    db.on(/INSERT IGNORE INTO sms_inbound_messages/, { affectedRows: 0 });
+
+    const result = await NotificationService.handleInboundSms({ id: 'in-1', from: '+254712345678', text: 'STOP' });
+
+    expect(result.duplicate).toBe(true);
+    expect(db.queries(/INSERT INTO customer_notification_preferences/)).toHaveLength(0);
+    expect(SMSService.sendSMS).not.toHaveBeenCalled();
+  });
+
+  it('records other replies without changing anything', async () => {
+    const result = await NotificationService.handleInboundSms({ id: 'in-2', from: '+254712345678', text: 'Asante' });
+
+    expect(result.keyword).toBeNull();
+    expect(db.queries(/INSERT IGNORE INTO sms_inbound_messages/)).toHaveLength(1);
+    expect(SMSService.sendSMS).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { NotificationTemplate } = require('../models');
+
+const template = overrides => ({
+  id: 3,
+  name: 'Bill Generated SMS',
+  type: 'sms',
+  trigger_event: 'bill_generated',
+  language: 'en',
+  subject: null,
+  message_template: 'Dear {{customer_name}}, your bill is KES {{amount}}.',
+  is_active: 1,
+  version: 2,
+  ...overrides
+});
+
+describe('NotificationTemplate placeholders', () => {
+  it('flags placeholders the trigger event does not supply', () => {
+    expect(NotificationTemplate.getUnsupportedPlaceholders(
+      'bill_generated',
+      'Bill for {{ period }}',
+      'Dear {{customer_name}}, pay KES {{amount}} by {{due_date}} ref {{meter_number}}'
+    )).toEqual(['meter_number']);
+  });
+
+  it('does not judge templates for events no sender uses', () => {
+    expect(NotificationTemplate.getUnsupportedPlaceholders('custom_event', '{{anything}}')).toEqual([]);
+  });
+});
+
+describe('NotificationTemplate versions', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.on(/SELECT \* FROM notification_templates WHERE id = \?/, [template()]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves an edit as the next version and keeps it the only active template', async () => {
+    await NotificationTemplate.updateTemplate(3, { message_template: 'Hello {{customer_name}}', change_note: 'Shorter' }, 2);
+
+    const statements = db.calls.filter(call => call.transaction);
+    expect(new Set(statements.map(call => call.transaction)).size).toBe(1);
+    expect(statements[0].params.slice(3, 6)).toEqual([true, 3, 2]);
+    expect(statements[1].params).toEqual([3, 3, 'Bill Generated SMS', null, 'Hello {{customer_name}}', true, 'Shorter', 2]);
+    expect(statements[2].query).toMatch(/SET is_active = FALSE/);
+    expect(statements[2].params).toEqual(['bill_generated', 'sms', 'en', 3]);
+  });
+
+  it('leaves the other templates alone when the edit deactivates this one', async () => {
+    await NotificationTemplate.updateTemplate(3, { is_active: false }, 2);
+
+    expect(db.queries(/SET is_active = FALSE/)).toHaveLength(0);
+  });
+
+  it('restores an old version as a new one', async () => {
+    db.on(/FROM notification_template_versions\s+WHERE template_id = \? AND version = \?/, [
+      { name: 'Bill Generated SMS', subject: null, message_template: 'Original wording' }
+    ]);
+
+    await NotificationTemplate.restoreVersion(3, 1, 2);
+
+    const [version] = db.queries(/INSERT INTO notification_template_versions/);
+    expect(version.params.slice(0, 2)).toEqual([3, 3]);
+    expect(version.params.slice(4, 7)).toEqual(['Original wording', true, 'Restored version 1']);
+  });
+
+  it('refuses to delete a template senders are using', async () => {
+    await expect(NotificationTemplate.deleteTemplate(3)).rejects.toThrow('Deactivate the template before deleting it');
+    expect(db.queries(/DELETE FROM notification_templates/)).toHaveLength(0);
+  });
+
+  it('records the first version when a template is created', async () => {
+    db.on(/INSERT INTO notification_templates/, { insertId: 9, affectedRows: 1 });
+
+    await NotificationTemplate.createTemplate({
+      name: 'Bill Generated SMS (Gikuyu)', type: 'sms', trigger_event: 'bill_generated', language: 'ki', message_template: 'Thabu'
+    }, 2);
+
+    expect(db.queries(/INSERT INTO notification_template_versions/)[0].params.slice(0, 2)).toEqual([9, 1]);
+    expect(db.queries(/SET is_active = FALSE/)[0].params).toEqual(['bill_generated', 'sms', 'ki', 9]);
+  });
+});
@@ -0,0 +1,169 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+jest.mock('../services/SMSService', () => ({
+  sendPasswordResetCode: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const db = require('../config/database');
+const AuthUtils = require('../utils/auth');
+const PasswordResetController = require('../controllers/PasswordResetController');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+const openReset = (overrides = {}) => ({
+  id: 12,
+  customer_id: 7,
+  account_number: 'NYJ-00123',
+  code_hash: AuthUtils.hashToken('482913'),
+  attempts: 0,
+  ...overrides
+});
+
+const resetRequest = code => mockRequest({
+  body: { account_number: 'NYJ-00123', code, new_password: 'new-secret' }
+});
+
+describe('PasswordResetController.resetPassword', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/FROM customer_password_resets\s+WHERE account_number = \?/, [openReset()])
+      .on(/SELECT COUNT\(\*\) as count FROM customer_password_reset_checks/, [{ count: 1 }]);
+  });
+
+  it('sets the new password and signs the customer out everywhere', async () => {
+    const res = mockResponse();
+    await PasswordResetController.resetPassword(resetRequest('482913'), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(db.queries(/SET attempts = attempts \+ 1 WHERE id = \? AND attempts < \?/)[0].params).toEqual([12, 5]);
+    expect(db.queries(/SET used_at = NOW\(\)/)).toHaveLength(1);
+
+    const [passwordUpdate] = db.queries(/UPDATE customers SET password_hash = \?/);
+    expect(await AuthUtils.comparePassword('new-secret', passwordUpdate.params[0])).toBe(true);
+
+    const [revoke] = db.queries(/UPDATE auth_sessions SET revoked_at/);
+    expect(revoke.params).toEqual(['password_reset', 'customer', 7]);
+  });
+
+  it('uses up a try before comparing and reports the tries left', async () => {
+    db.on(/FROM customer_password_resets\s+WHERE account_number = \?/, [openReset({ attempts: 3 })]);
+    const res = mockResponse();
+
+    await PasswordResetController.resetPassword(resetRequest('000000'), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid code. 1 attempt left');
+    expect(db.queries(/SET attempts = attempts \+ 1/)).toHaveLength(1);
+    expect(db.queries(/UPDATE customers/)).toHaveLength(0);
+  });
+
+  it('rejects even the right code once a concurrent request took the last try', async () => {
+    db.on(/SET attempts = attempts \+ 1 WHERE id = \? AND attempts < \?/, { affectedRows: 0 });
+    const res = mockResponse();
+
+    await PasswordResetController.resetPassword(resetRequest('482913'), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(db.queries(/SET used_at/)).toHaveLength(0);
+    expect(db.queries(/UPDATE customers/)).toHaveLength(0);
+  });
+
+  it('stops code checks from one IP address past the hourly limit', async () => {
+    db.on(/SELECT COUNT\(\*\) as count FROM customer_password_reset_checks/, [{ count: 21 }]);
+    const res = mockResponse();
+
+    await PasswordResetController.resetPassword(resetRequest('482913'), res);
+
+    expect(res.statusCode).toBe(429);
+    expect(db.queries(/INSERT INTO customer_password_reset_checks/)[0].params).toEqual(['NYJ-00123', '203.0.113.10']);
+    expect(db.queries(/FROM customer_password_resets\s+WHERE/)).toHaveLength(0);
+  });
+
+  it('rejects a code that has expired or was replaced', async () => {
+    db.on(/FROM customer_password_resets\s+WHERE account_number = \?/, []);
+    const res = mockResponse();
+
+    await PasswordResetController.resetPassword(resetRequest('482913'), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(db.queries(/SET attempts/)).toHaveLength(0);
+  });
+});
+
+describe('PasswordResetController.requestCode limits', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('refuses more requests from one IP address than the hourly limit', async () => {
+    db.on(/WHERE ip_address = \? AND created_at/, [{ count: 10 }]);
+    const res = mockResponse();
+
+    await PasswordResetController.requestCode(mockRequest({ body: { account_number: 'NYJ-00123' } }), res);
+
+    expect(res.statusCode).toBe(429);
+    expect(db.queries(/INSERT INTO customer_password_resets/)).toHaveLength(0);
+  });
+
+  it('refuses more requests for one account than the hourly limit', async () => {
+    db.on(/WHERE ip_address = \? AND created_at/, [{ count: 0 }])
+      .on(/WHERE account_number = \? AND created_at/, [{ count: 3, last_requested_at: null }]);
+    const res = mockResponse();
+
+    await PasswordResetController.requestCode(mockRequest({ body: { account_number: 'NYJ-00123' } }), res);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.message).toMatch(/for this account/);
+  });
+
+  it('makes the account wait between codes', async () => {
+    db.on(/WHERE ip_address = \? AND created_at/, [{ count: 0 }])
+      .on(/WHERE account_number = \? AND created_at/, [{ count: 1, last_requested_at: new Date(Date.now() - 20000) }]);
+    const res = mockResponse();
+
+    await PasswordResetController.requestCode(mockRequest({ body: { account_number: 'NYJ-00123' } }), res);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.message).toMatch(/^Please wait 4\d seconds/);
+  });
+});
+
+describe('PasswordResetController.requestCode responses', () => {
+  const SMSService = require('../services/SMSService');
+  const customer = { id: 7, account_number: 'NYJ-00123', full_name: 'Jane Wanjiku', phone: '254712345678', is_active: 1 };
+
+  const request = async accountNumber => {
+    const res = mockResponse();
+    await PasswordResetController.requestCode(mockRequest({ body: { account_number: accountNumber } }), res);
+    return res;
+  };
+
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    db.on(/SELECT COUNT\(\*\) as count/, [{ count: 0, last_requested_at: null }])
+      .on(/SELECT \* FROM customers WHERE account_number = \?/, params => (params[0] === 'NYJ-00123' ? [customer] : []));
+  });
+
+  it('texts a code to a known account', async () => {
+    const res = await request('NYJ-00123');
+
+    expect(res.statusCode).toBe(200);
+    expect(SMSService.sendPasswordResetCode).toHaveBeenCalledWith(customer, expect.stringMatching(/^\d{6}$/), 10);
+  });
+
+  it('answers known, unknown and unreachable accounts the same way', async () => {
+    const known = await request('NYJ-00123');
+    const unknown = await request('NYJ-99999');
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    SMSService.sendPasswordResetCode.mockResolvedValueOnce({ success: false, error: 'SMS service not properly configured' });
+    const failedSend = await request('NYJ-00123');
+
+    for (const res of [unknown, failedSend]) {
+      expect(res.statusCode).toBe(known.statusCode);
+      expect(res.body.message).toBe(known.body.message);
+      expect(res.body.data).toEqual(known.body.data);
+    }
+    expect(SMSService.sendPasswordResetCode).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+});
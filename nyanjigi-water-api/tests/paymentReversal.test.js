@@ -0,0 +1,158 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+jest.mock('../services/NotificationService', () => ({
+  sendPaymentReversalMessage: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const db = require('../config/database');
+const { Payment } = require('../models');
+const EquityController = require('../controllers/EquityController');
+
+const payment = {
+  id: 31,
+  customer_id: 7,
+  transaction_id: 'EQ-778812',
+  amount: '1500.00',
+  status: 'completed',
+  notes: null
+};
+
+const allocations = [
+  { id: 1, allocation_type: 'bill_payment', bill_id: 40, amount: '600.00' },
+  { id: 2, allocation_type: 'bill_payment', bill_id: 40, amount: '200.00' },
+  { id: 3, allocation_type: 'fine', fine_id: 9, amount: '200.00' },
+  { id: 4, allocation_type: 'contribution', contribution_id: 5, amount: '500.00' }
+];
+
+const bill = {
+  id: 40,
+  current_charges: '800.00',
+  fines_applied: '0.00',
+  amount_paid: '800.00',
+  due_date: '2099-01-31',
+  status: 'paid'
+};
+
+describe('Payment.reversePayment', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.on(/SELECT \* FROM payments WHERE id = \?/, [payment])
+      .on(/SELECT \* FROM payment_allocations WHERE payment_id = \?/, allocations)
+      .on(/SELECT \* FROM bills WHERE id = \?/, [bill])
+      .on(/SELECT id, amount_paid, due_date FROM contributions/, [{ id: 5, amount_paid: '500.00', due_date: '2099-01-31' }])
+      .on(/SELECT debit_account FROM ledger_entries/, [{ debit_account: 'equity_collections' }])
+      .on(/INSERT INTO payment_reversals/, { insertId: 55, affectedRows: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies every change in one transaction', async () => {
+    const reversal = await Payment.reversePayment(31, { reason: 'Bounced', reversedBy: 2 });
+
+    const writes = db.calls.filter(call => !/^\s*SELECT/i.test(call.query));
+    expect(writes.length).toBeGreaterThan(0);
+    expect(writes.every(call => call.transaction === 1)).toBe(true);
+    expect(db.executeTransaction).toHaveBeenCalledTimes(1);
+
+    expect(writes.map(call => call.query.match(/^\s*(\w+ (?:INTO |FROM )?\w+)/)[1])).toEqual([
+      'UPDATE applied_fines',
+      'UPDATE contributions',
+      'UPDATE bills',
+      'DELETE FROM payment_allocations',
+      'UPDATE payments',
+      'INSERT INTO ledger_entries',
+      'INSERT INTO payment_reversals'
+    ]);
+    expect(reversal.reversal_id).toBe(55);
+  });
+
+  it('takes all of a bill\'s allocations off in one update', async () => {
+    const reversal = await Payment.reversePayment(31, { reason: 'Bounced' });
+
+    const [billUpdate] = db.queries(/UPDATE bills/);
+    expect(billUpdate.params.slice(0, 2)).toEqual([0, 'pending']);
+    expect(billUpdate.params[3]).toBe(40);
+    expect(reversal.reopened.bills).toEqual([{ bill_id: 40, amount: 800, new_status: 'pending' }]);
+  });
+
+  it('credits back the account the payment was collected into', async () => {
+    await Payment.reversePayment(31, { reason: 'Bounced', reversedBy: 2 });
+
+    const [posting] = db.queries(/INSERT INTO ledger_entries/);
+    expect(posting.params).toEqual(expect.arrayContaining([
+      7, 'reversal', 'customer_receivable', 'equity_collections', 1500, 'payment', 31, 2
+    ]));
+  });
+
+  it('leaves the payment and its allocations alone when a write fails', async () => {
+    db.on(/INSERT INTO payment_reversals/, new Error('Deadlock found when trying to get lock'));
+
+    await expect(Payment.reversePayment(31, { reason: 'Bounced' })).rejects.toThrow('Deadlock');
+
+    const writes = db.calls.filter(call => !/^\s*SELECT/i.test(call.query));
+    expect(writes.every(call => call.rolledBack)).toBe(true);
+    expect(db.executeQuery.mock.calls.filter(([query]) => !/^\s*SELECT/i.test(query))).toHaveLength(0);
+  });
+
+  it('refuses a payment that is already reversed', async () => {
+    db.on(/SELECT \* FROM payments WHERE id = \?/, [{ ...payment, status: 'reversed' }]);
+
+    await expect(Payment.reversePayment(31, { reason: 'Bounced' })).rejects.toThrow('already been reversed');
+    expect(db.executeTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('EquityController.processEquityReversal', () => {
+  const reversalCallback = amount => ({
+    transaction_id: 'REV-1',
+    original_transaction_id: '778812',
+    member_number: 'NYJ-00123',
+    amount,
+    payment_method: 'paybill',
+    status: 'reversed',
+    narrative: 'Cheque bounced'
+  });
+
+  const reviewLogs = () => db.queries(/INSERT INTO payment_logs/).filter(call => call.params[4] === 'review');
+
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Payment, 'reversePayment').mockResolvedValue({ amount: 1500, reason: 'Cheque bounced' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reverses the payment when Equity pulls back the whole amount', async () => {
+    db.on(/SELECT id, status, amount FROM payments/, [{ id: 31, status: 'completed', amount: '1500.00' }]);
+
+    await EquityController.processEquityReversal(reversalCallback('-1500'));
+
+    expect(Payment.reversePayment).toHaveBeenCalledWith(31, expect.objectContaining({ externalReference: 'REV-1' }));
+    expect(reviewLogs()).toHaveLength(0);
+  });
+
+  it('leaves the payment alone and logs a reversal of a different amount for review', async () => {
+    db.on(/SELECT id, status, amount FROM payments/, [{ id: 31, status: 'completed', amount: '1500.00' }]);
+
+    await EquityController.processEquityReversal(reversalCallback('500'));
+
+    expect(Payment.reversePayment).not.toHaveBeenCalled();
+    expect(reviewLogs().map(call => call.params[6])).toEqual([31]);
+  });
+
+  it('keeps a suspense payment in the queue when the reversal amount differs', async () => {
+    db.on(/SELECT \* FROM suspense_payments WHERE transaction_id = \?/, [{ id: 4, transaction_id: '778812', amount: '1500.00', status: 'unmatched' }]);
+
+    await EquityController.processEquityReversal(reversalCallback('900'));
+
+    expect(db.queries(/UPDATE suspense_payments/)).toHaveLength(0);
+    expect(reviewLogs()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,171 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const AuthUtils = require('../utils/auth');
+const { verifyAdmin, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLE_PERMISSIONS, hasPermission, getPermissions } = require('../utils/permissions');
+const AdminUserController = require('../controllers/AdminUserController');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+const paymentRoutes = require('../routes/payments');
+const equityRoutes = require('../routes/equity');
+
+describe('role permissions', () => {
+  it('gives the superadmin every permission', () => {
+    expect(ROLE_PERMISSIONS.superadmin).toEqual(Object.keys(PERMISSIONS));
+  });
+
+  it('keeps the auditor read-only', () => {
+    expect(getPermissions('auditor').length).toBeGreaterThan(0);
+    expect(getPermissions('auditor').every(permission => permission.endsWith('.view'))).toBe(true);
+  });
+
+  it('limits a meter reader to readings', () => {
+    expect(hasPermission('meter_reader', 'meter_readings.manage')).toBe(true);
+    expect(hasPermission('meter_reader', 'payments.view')).toBe(false);
+    expect(hasPermission('meter_reader', 'billing.manage')).toBe(false);
+  });
+
+  it('keeps user management with the superadmin', () => {
+    const holders = Object.keys(ROLE_PERMISSIONS).filter(role => hasPermission(role, 'users.manage'));
+    expect(holders).toEqual(['superadmin']);
+  });
+
+  it('grants nothing to a role it does not know', () => {
+    expect(getPermissions('chairman')).toEqual([]);
+  });
+
+  it('only grants permissions that exist', () => {
+    Object.values(ROLE_PERMISSIONS).flat().forEach(permission => {
+      expect(PERMISSIONS).toHaveProperty([permission]);
+    });
+  });
+});
+
+describe('permission middleware', () => {
+  const token = AuthUtils.generateToken({ id: 5, type: 'admin', sid: 'session-1' });
+
+  beforeEach(() => {
+    db.reset();
+    db.on(/FROM auth_sessions/, [{ id: 'session-1' }])
+      .on(/FROM admins WHERE id = \? AND is_active = TRUE/, [{ id: 5, username: 'reader', role: 'meter_reader', is_active: 1 }]);
+  });
+
+  it('loads the permissions of the admin\'s role onto the request', async () => {
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+    const next = jest.fn();
+
+    await verifyAdmin(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.admin.permissions).toEqual(ROLE_PERMISSIONS.meter_reader);
+  });
+
+  it('forbids an admin whose role lacks the permission', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requirePermission('payments.manage')(mockRequest({ admin: { permissions: ROLE_PERMISSIONS.meter_reader } }), res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('lets through an admin holding any one of the permissions', () => {
+    const next = jest.fn();
+
+    requirePermission('payments.manage', 'meter_readings.manage')(
+      mockRequest({ admin: { permissions: ROLE_PERMISSIONS.meter_reader } }), mockResponse(), next
+    );
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('forbids a request that never passed admin authentication', () => {
+    const res = mockResponse();
+
+    requirePermission('dashboard.view')(mockRequest(), res, jest.fn());
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('routes shared by admins and customers', () => {
+  const app = express();
+  app.use('/api/v1/payments', paymentRoutes);
+  app.use('/api/v1/equity', equityRoutes);
+
+  const readerToken = AuthUtils.generateToken({ id: 5, type: 'admin', sid: 'session-1' });
+  const customerToken = AuthUtils.generateToken({ id: 7, type: 'customer', sid: 'session-2' });
+
+  beforeEach(() => {
+    db.reset();
+    db.on(/FROM auth_sessions/, [{ id: 'session-1' }])
+      .on(/FROM admins WHERE id = \? AND is_active = TRUE/, [{ id: 5, username: 'reader', role: 'meter_reader', is_active: 1 }])
+      .on(/FROM customers\s+WHERE id = \? AND is_active = TRUE/, [{ id: 7, account_number: 'NYJ-00123', is_active: 1 }]);
+  });
+
+  it('keeps customers\' payments from admins without payments.view', async () => {
+    const details = await request(app).get('/api/v1/payments/31').set('Authorization', `Bearer ${readerToken}`);
+    const history = await request(app).get('/api/v1/equity/history/7').set('Authorization', `Bearer ${readerToken}`);
+
+    expect([details.status, history.status]).toEqual([403, 403]);
+    expect(db.queries(/FROM payments/)).toHaveLength(0);
+  });
+
+  it('serves the payment history of the signed-in customer only', async () => {
+    db.on(/SELECT COUNT\(\*\) as total FROM payments/, [{ total: 0 }]);
+
+    const own = await request(app).get('/api/v1/payments/history').set('Authorization', `Bearer ${customerToken}`);
+    const admin = await request(app).get('/api/v1/payments/history').set('Authorization', `Bearer ${readerToken}`);
+
+    expect(own.status).toBe(200);
+    expect(db.queries(/FROM payments/)[0].params).toEqual([7]);
+    expect(admin.status).toBe(401);
+  });
+});
+
+describe('AdminUserController role changes', () => {
+  const superadmin = { id: 9, username: 'chair', email: 'chair@example.com', role: 'superadmin', is_active: 1 };
+
+  beforeEach(() => {
+    db.reset();
+    db.on(/SELECT \* FROM admins WHERE id = \?/, [superadmin]);
+  });
+
+  it('refuses to let an admin change their own role', async () => {
+    const res = mockResponse();
+
+    await AdminUserController.updateUser(mockRequest({ params: { id: '9' }, body: { role: 'auditor' }, admin: { id: 9 } }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('You cannot change your own role');
+    expect(db.queries(/UPDATE admins/)).toHaveLength(0);
+  });
+
+  it('refuses to demote the last active superadmin', async () => {
+    db.on(/SELECT COUNT\(\*\) as count FROM admins/, [{ count: 0 }]);
+    const res = mockResponse();
+
+    await AdminUserController.updateUser(mockRequest({ params: { id: '9' }, body: { role: 'auditor' }, admin: { id: 1 } }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('At least one active superadmin is required');
+    expect(db.queries(/UPDATE admins/)).toHaveLength(0);
+  });
+
+  it('refuses to deactivate the last active superadmin', async () => {
+    db.on(/SELECT COUNT\(\*\) as count FROM admins/, [{ count: 0 }]);
+    const res = mockResponse();
+
+    await AdminUserController.toggleUserStatus(mockRequest({ params: { id: '9' }, admin: { id: 1 } }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(db.queries(/UPDATE admins/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const moment = require('moment');
+const db = require('../config/database');
+const { ScheduledNotification } = require('../models');
+
+const campaign = overrides => ({
+  id: 5,
+  title: 'Maintenance notice',
+  status: 'pending',
+  scheduled_time: '2024-01-31 08:00:00',
+  recurrence: 'monthly',
+  recurrence_end_date: null,
+  audience: {},
+  ...overrides
+});
+
+const format = value => value && value.format('YYYY-MM-DD HH:mm');
+
+describe('ScheduledNotification.nextOccurrence', () => {
+  it('keeps monthly runs on the original day instead of drifting', () => {
+    expect(format(ScheduledNotification.nextOccurrence(campaign(), moment('2024-02-29 08:00')))).toBe('2024-03-31 08:00');
+  });
+
+  it('skips runs missed while the server was down', () => {
+    expect(format(ScheduledNotification.nextOccurrence(
+      campaign({ scheduled_time: '2024-04-01 07:00:00', recurrence: 'weekly' }),
+      moment('2024-04-20 12:00')
+    ))).toBe('2024-04-22 07:00');
+  });
+
+  it('stops after the recurrence end date', () => {
+    expect(ScheduledNotification.nextOccurrence(
+      campaign({ scheduled_time: '2024-04-01 07:00:00', recurrence: 'daily', recurrence_end_date: '2024-04-03' }),
+      moment('2024-04-03 07:00')
+    )).toBeNull();
+  });
+
+  it('has no next run for a one-off campaign', () => {
+    expect(ScheduledNotification.nextOccurrence(campaign({ recurrence: 'none' }))).toBeNull();
+  });
+});
+
+describe('ScheduledNotification runs and edits', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves a recurring campaign on to its next occurrence after sending', async () => {
+    await ScheduledNotification.recordRun(campaign({ scheduled_time: moment().subtract(1, 'hour').format('YYYY-MM-DD HH:mm:ss') }), 'sent', { queued: 3 });
+
+    const [status, nextRun] = db.queries(/UPDATE scheduled_notifications/)[0].params;
+    expect(status).toBe('pending');
+    expect(moment(nextRun).isAfter(moment())).toBe(true);
+  });
+
+  it('closes a one-off campaign once sent and a failed run whatever its recurrence', async () => {
+    await ScheduledNotification.recordRun(campaign({ recurrence: 'none' }), 'sent', { queued: 3 });
+    await ScheduledNotification.recordRun(campaign(), 'failed', { error: 'No SMS credit' });
+
+    expect(db.queries(/UPDATE scheduled_notifications/).map(call => call.params.slice(0, 2))).toEqual([
+      ['sent', null],
+      ['failed', null]
+    ]);
+  });
+
+  it('refuses to edit a campaign that has already gone out', async () => {
+    db.on(/SELECT \* FROM scheduled_notifications WHERE id = \?/, [campaign({ status: 'sent', recurrence: 'none' })]);
+
+    await expect(ScheduledNotification.updateCampaign(5, { title: 'Changed' }))
+      .rejects.toThrow('Campaign is already sent and can no longer be edited');
+    expect(db.queries(/UPDATE scheduled_notifications/)).toHaveLength(0);
+  });
+
+  it('filters the audience by zone, customer type and arrears', async () => {
+    await ScheduledNotification.getAudience({ zones: ['Kiambu'], customer_types: ['institution'], arrears_buckets: ['31_60', '90_plus', 'bogus'] });
+
+    const [lookup] = db.queries(/FROM customers c/);
+    expect(lookup.params).toEqual(['Kiambu', 'institution']);
+    expect(lookup.query).toMatch(/\(arrears\.days_overdue BETWEEN 31 AND 60 OR arrears\.days_overdue > 90\)/);
+  });
+});
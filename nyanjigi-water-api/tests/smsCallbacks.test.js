@@ -0,0 +1,105 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+jest.mock('../services/NotificationService', () => ({
+  recordDeliveryReport: jest.fn().mockResolvedValue({ updated: true }),
+  handleInboundSms: jest.fn().mockResolvedValue({ action: 'opted_out' })
+}));
+
+const express = require('express');
+const request = require('supertest');
+const NotificationService = require('../services/NotificationService');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+const smsRoutes = require('../routes/sms');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/sms', smsRoutes);
+
+const stop = { from: '+254712345678', to: '22384', text: 'STOP', id: 'in-1' };
+const delivered = { id: 'ATXid_1', status: 'Success', phoneNumber: '+254712345678', networkCode: '63902' };
+
+describe('SMS callback token', () => {
+  const originalToken = process.env.AT_CALLBACK_TOKEN;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalToken === undefined) {
+      delete process.env.AT_CALLBACK_TOKEN;
+    } else {
+      process.env.AT_CALLBACK_TOKEN = originalToken;
+    }
+  });
+
+  describe('when AT_CALLBACK_TOKEN is not configured', () => {
+    beforeEach(() => {
+      delete process.env.AT_CALLBACK_TOKEN;
+    });
+
+    it('refuses a STOP reply instead of opting the number out', async () => {
+      const res = await request(app).post('/api/v1/sms/inbound').send(stop);
+
+      expect(res.status).toBe(503);
+      expect(NotificationService.handleInboundSms).not.toHaveBeenCalled();
+    });
+
+    it('refuses a delivery report instead of updating the message status', async () => {
+      const res = await request(app).post('/api/v1/sms/delivery-report').send(delivered);
+
+      expect(res.status).toBe(503);
+      expect(NotificationService.recordDeliveryReport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('when AT_CALLBACK_TOKEN is configured', () => {
+    beforeEach(() => {
+      process.env.AT_CALLBACK_TOKEN = 'callback-secret';
+    });
+
+    it('refuses a STOP reply without the token', async () => {
+      const res = await request(app).post('/api/v1/sms/inbound').send(stop);
+
+      expect(res.status).toBe(403);
+      expect(NotificationService.handleInboundSms).not.toHaveBeenCalled();
+    });
+
+    it('refuses a STOP reply with the wrong token', async () => {
+      const res = await request(app).post('/api/v1/sms/inbound?token=callback-secreT').send(stop);
+
+      expect(res.status).toBe(403);
+      expect(NotificationService.handleInboundSms).not.toHaveBeenCalled();
+    });
+
+    it('passes a STOP reply with the token on to be processed', async () => {
+      const res = await request(app).post('/api/v1/sms/inbound?token=callback-secret').send(stop);
+
+      expect(res.status).toBe(200);
+      expect(NotificationService.handleInboundSms).toHaveBeenCalledWith(expect.objectContaining({
+        from: '+254712345678',
+        text: 'STOP'
+      }));
+    });
+
+    it('refuses a forged delivery report', async () => {
+      const res = await request(app).post('/api/v1/sms/delivery-report?token=guess').send(delivered);
+
+      expect(res.status).toBe(403);
+      expect(NotificationService.recordDeliveryReport).not.toHaveBeenCalled();
+    });
+
+    it('records a delivery report with the token', async () => {
+      const res = await request(app).post('/api/v1/sms/delivery-report?token=callback-secret').send(delivered);
+
+      expect(res.status).toBe(200);
+      expect(NotificationService.recordDeliveryReport).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'ATXid_1',
+        status: 'Success'
+      }));
+    });
+  });
+});
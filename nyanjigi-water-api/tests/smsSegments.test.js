@@ -0,0 +1,92 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const SmsUtils = require('../utils/sms');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+const SMSService = require('../services/SMSService');
+
+describe('SmsUtils.countSegments', () => {
+  it('fits 160 GSM characters in one message', () => {
+    expect(SmsUtils.countSegments('a'.repeat(160))).toEqual({
+      encoding: 'GSM-7', length: 160, segments: 1, per_segment: 160, remaining: 0
+    });
+  });
+
+  it('splits longer GSM messages into 153-character parts', () => {
+    const result = SmsUtils.countSegments('a'.repeat(161));
+
+    expect(result.segments).toBe(2);
+    expect(result.per_segment).toBe(153);
+    expect(result.remaining).toBe(145);
+  });
+
+  it('counts extension characters as two', () => {
+    expect(SmsUtils.countSegments('€'.repeat(80))).toEqual(expect.objectContaining({ encoding: 'GSM-7', length: 160, segments: 1 }));
+  });
+
+  it('switches to UCS-2 for characters outside the GSM alphabet', () => {
+    const text = `Thabu yaku ${'ĩ'.repeat(60)}`;
+
+    expect(SmsUtils.countSegments(text)).toEqual(expect.objectContaining({ encoding: 'UCS-2', length: 71, segments: 2, per_segment: 67 }));
+  });
+
+  it('counts an empty message as nothing to send', () => {
+    expect(SmsUtils.countSegments('')).toEqual(expect.objectContaining({ segments: 0, remaining: 160 }));
+  });
+});
+
+describe('SmsUtils.truncateToSegments', () => {
+  it('leaves a message that fits alone', () => {
+    expect(SmsUtils.truncateToSegments('Short message', 1)).toBe('Short message');
+  });
+
+  it('shortens to the segment limit with an ellipsis', () => {
+    const result = SmsUtils.truncateToSegments('word '.repeat(100), 2);
+
+    expect(result.endsWith('...')).toBe(true);
+    expect(SmsUtils.getLength(result)).toBeLessThanOrEqual(306);
+    expect(SmsUtils.countSegments(result).segments).toBe(2);
+  });
+
+  it('does not split an extension character across the limit', () => {
+    const result = SmsUtils.truncateToSegments('€'.repeat(100), 1);
+
+    expect(SmsUtils.getLength(result)).toBeLessThanOrEqual(160);
+    expect(result).toBe(`${'€'.repeat(78)}...`);
+  });
+});
+
+describe('SMSService segment limit', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db.on(/FROM system_settings/, [
+      { setting_key: 'sms_max_segments', setting_value: '2' },
+      { setting_key: 'sms_cost_per_segment', setting_value: '0.80' }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends long messages whole up to the configured number of segments', () => {
+    SMSService.maxSegments = 3;
+    const message = 'a'.repeat(400);
+
+    expect(SMSService.fitToSegmentLimit(message)).toBe(message);
+  });
+
+  it('shortens messages past the configured number of segments', () => {
+    SMSService.maxSegments = 2;
+
+    expect(SmsUtils.countSegments(SMSService.fitToSegmentLimit('a'.repeat(400))).segments).toBe(2);
+  });
+
+  it('prices a preview by the segments that will actually be sent', async () => {
+    const preview = await SMSService.previewMessage('a'.repeat(400));
+
+    expect(preview).toEqual(expect.objectContaining({ segments: 3, max_segments: 2, exceeds_limit: true, estimated_cost: 1.6 }));
+  });
+});
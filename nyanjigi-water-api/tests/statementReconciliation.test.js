@@ -0,0 +1,118 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { StatementReconciliation } = require('../models');
+const StatementParser = require('../utils/statement');
+
+const csvStatement = [
+  'Account Name,NYANJIGI WATER PROJECT',
+  'Account Number,0123456789012',
+  '',
+  'Tran Date,Ref No,Narrative,Debit,Credit,Balance',
+  ',,Opening Balance,,,10000.00',
+  '02/04/2024,TXN100,MPESA PAYBILL NYJ-0123 JANE,,"1,500.00",11500.00',
+  '02/04/2024,CHG1,Ledger fee,35.00,,11465.00',
+  '03/04/2024,TXN101,AGENT DEPOSIT NYJ-0456,,800.00,12265.00',
+  ',,Closing Balance,,,12265.00'
+].join('\n');
+
+const mt940Statement = [
+  ':20:STMT240403',
+  ':25:0123456789012',
+  ':60F:C240402KES10000,00',
+  ':61:2404020402C1500,00NTRFTXN100//EQB998877',
+  ':86:MPESA PAYBILL NYJ-0123',
+  'JANE WANJIKU',
+  ':61:2404030403D35,00NCHGNONREF//EQB998878',
+  ':86:LEDGER FEE',
+  ':62F:C240403KES11465,00',
+  '-}'
+].join('\n');
+
+describe('StatementParser', () => {
+  it('finds the table below the account details of a CSV export', () => {
+    const { entries } = StatementParser.parseCsv(csvStatement);
+
+    expect(entries.map(entry => [entry.transaction_date, entry.reference, entry.amount, entry.direction])).toEqual([
+      ['2024-04-02', 'TXN100', 1500, 'credit'],
+      ['2024-04-02', 'CHG1', 35, 'debit'],
+      ['2024-04-03', 'TXN101', 800, 'credit']
+    ]);
+  });
+
+  it('refuses a CSV without a statement table', () => {
+    expect(() => StatementParser.parseCsv('Name,Phone\nJane,0712345678')).toThrow('Could not find the statement header row');
+  });
+
+  it('reads statement lines and their wrapped narratives from MT940', () => {
+    const result = StatementParser.parseMt940(mt940Statement);
+
+    expect(result.account_number).toBe('0123456789012');
+    expect(result.entries).toEqual([
+      expect.objectContaining({ transaction_date: '2024-04-02', reference: 'TXN100', amount: 1500, direction: 'credit', narrative: 'MPESA PAYBILL NYJ-0123 JANE WANJIKU' }),
+      expect.objectContaining({ reference: 'EQB998878', amount: 35, direction: 'debit' })
+    ]);
+  });
+
+  it('reports a malformed MT940 statement line', () => {
+    expect(() => StatementParser.parseMt940(':61:garbage')).toThrow('Invalid :61: statement line at line 1');
+  });
+
+  it('picks the account number and channel out of a narrative', () => {
+    expect(StatementParser.extractMemberNumber('MPESA PAYBILL NYJ-0123 JANE')).toBe('NYJ-0123');
+    expect(StatementParser.inferPaymentMethod('MPESA PAYBILL NYJ-0123')).toBe('mpesa');
+    expect(StatementParser.inferPaymentMethod('CASH DEPOSIT')).toBe('branch');
+  });
+});
+
+describe('StatementReconciliation.createImport', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/INSERT INTO statement_imports/, { insertId: 3, affectedRows: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const lineStatuses = () => {
+    const { params } = db.queries(/INSERT INTO statement_lines/)[0];
+    const rows = [];
+    for (let i = 0; i < params.length; i += 11) {
+      rows.push([params[i + 3], params[i + 7], params[i + 8], params[i + 9]]);
+    }
+    return rows;
+  };
+
+  it('matches credit lines to callbacks and flags the ones we never heard about', async () => {
+    db.on(/FROM payments\s+WHERE equity_reference IN/, [
+      { id: 501, transaction_id: 'EQ-TXN100', equity_reference: 'TXN100', amount: '1500.00', status: 'completed' }
+    ])
+      .on(/FROM suspense_payments\s+WHERE transaction_id IN/, [{ id: 12, transaction_id: 'TXN101', amount: '750.00', status: 'unmatched' }]);
+
+    await StatementReconciliation.createImport({
+      fileName: 'april.csv',
+      format: 'csv',
+      entries: [
+        ...StatementParser.parseCsv(csvStatement).entries,
+        { line_number: 9, transaction_date: '2024-04-03', reference: 'TXN102', narrative: null, amount: 200, direction: 'credit' }
+      ]
+    });
+
+    expect(lineStatuses()).toEqual([
+      ['TXN100', 'matched', 501, null],
+      ['TXN101', 'amount_mismatch', null, 12],
+      ['TXN102', 'missed', null, null]
+    ]);
+    expect(db.queries(/INSERT INTO statement_imports/)[0].params.slice(3, 8)).toEqual(['2024-04-02', '2024-04-03', 3, 2500, 1]);
+  });
+
+  it('refuses a statement with no credits', async () => {
+    await expect(StatementReconciliation.createImport({
+      format: 'csv',
+      entries: [{ transaction_date: '2024-04-02', amount: 35, direction: 'debit' }]
+    })).rejects.toThrow('Statement contains no credit lines');
+    expect(db.queries(/INSERT INTO statement_imports/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,100 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+
+const db = require('../config/database');
+const { SuspensePayment } = require('../models');
+const MatchingUtils = require('../utils/matching');
+
+const suspense = {
+  id: 12,
+  transaction_id: 'TXN777',
+  member_number: 'nyj 0123',
+  payer_name: 'Jane Wanjiku',
+  phone_number: '0712345678',
+  payment_method: 'paybill',
+  reference_type: 'general',
+  amount: '1500.00',
+  payment_date: '2024-04-02',
+  callback_data: '{}',
+  status: 'assigned'
+};
+
+describe('MatchingUtils.scoreCandidate', () => {
+  const customer = { account_number: 'NYJ-00123', full_name: 'Jane Wanjiku', phone: '254712345678' };
+
+  it('scores an exact account number, phone and name as a certain match', () => {
+    const result = MatchingUtils.scoreCandidate(
+      { member_number: 'nyj-00123', phone_number: '0712345678', payer_name: 'JANE WANJIKU' },
+      customer
+    );
+
+    expect(result).toEqual({ score: 100, reasons: ['account_number', 'phone', 'name'] });
+  });
+
+  it('gives partial credit to an account number with a typo', () => {
+    expect(MatchingUtils.scoreCandidate({ member_number: 'NYJ-0012' }, customer))
+      .toEqual({ score: 30, reasons: ['similar_account_number'] });
+  });
+
+  it('recognises a phone number keyed in as the account number', () => {
+    expect(MatchingUtils.scoreCandidate({ member_number: '+254 712 345 678' }, customer).reasons).toEqual(['phone']);
+  });
+
+  it('tolerates a misspelt name', () => {
+    expect(MatchingUtils.scoreCandidate({ payer_name: 'Jane Wanjku' }, customer).reasons).toEqual(['name']);
+  });
+
+  it('does not match a stranger', () => {
+    expect(MatchingUtils.scoreCandidate({ member_number: 'ABC-999', payer_name: 'Peter Kamau' }, customer).score).toBe(0);
+  });
+});
+
+describe('SuspensePayment', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks customers by match score and drops those with none', async () => {
+    db.on(/SELECT id, account_number, full_name, phone, zone, is_active\s+FROM customers/, [
+      { id: 1, account_number: 'NYJ-00999', full_name: 'Peter Kamau', phone: '254700000001', is_active: 1 },
+      { id: 2, account_number: 'NYJ-00124', full_name: 'John Mwangi', phone: '254700000002', is_active: 1 },
+      { id: 3, account_number: 'NYJ-00123', full_name: 'Jane Wanjiku', phone: '254712345678', is_active: 1 }
+    ]);
+
+    const candidates = await SuspensePayment.findCandidates(suspense);
+
+    expect(candidates.map(candidate => candidate.id)).toEqual([3, 2]);
+  });
+
+  it('creates the payment and credits the ledger when assigned', async () => {
+    db.on(/SELECT \* FROM suspense_payments WHERE id = \?/, [suspense])
+      .on(/INSERT INTO payments/, { insertId: 88, affectedRows: 1 });
+
+    const result = await SuspensePayment.assignToCustomer(12, 7, { assignedBy: 2 });
+
+    expect(result).toEqual(expect.objectContaining({ payment_id: 88, customer_id: 7, transaction_id: 'EQ-TXN777', amount: 1500 }));
+    expect(db.queries(/INSERT INTO ledger_entries/)[0].params).toEqual(expect.arrayContaining(['customer_receivable', 1500, 'payment', 88]));
+    expect(db.queries(/SET payment_id = \?/)[0].params).toEqual([88, 12]);
+  });
+
+  it('refuses to assign money someone else already assigned', async () => {
+    db.on(/SET status = 'assigned'/, { affectedRows: 0 })
+      .on(/SELECT \* FROM suspense_payments WHERE id = \?/, [suspense]);
+
+    await expect(SuspensePayment.assignToCustomer(12, 7)).rejects.toThrow('Suspense payment is already assigned');
+    expect(db.queries(/INSERT INTO payments/)).toHaveLength(0);
+  });
+
+  it('puts the payment back in the queue when recording it fails', async () => {
+    db.on(/SELECT \* FROM suspense_payments WHERE id = \?/, [suspense])
+      .on(/INSERT INTO payments/, new Error('Duplicate entry'));
+
+    await expect(SuspensePayment.assignToCustomer(12, 7)).rejects.toThrow('Duplicate entry');
+    expect(db.queries(/SET status = 'unmatched'/)[0].params).toEqual([12]);
+    expect(db.queries(/INSERT INTO ledger_entries/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,49 @@
+const TotpUtils = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 with the ASCII seed "12345678901234567890"; authenticator
+// apps show the last six digits of the eight-digit reference values
+const SEED = TotpUtils.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+describe('TotpUtils', () => {
+  it('encodes the RFC seed as the base32 secret apps are given', () => {
+    expect(SEED).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(TotpUtils.base32Decode(SEED).toString('ascii')).toBe('12345678901234567890');
+  });
+
+  it.each(VECTORS)('matches the reference code at %i seconds', (seconds, expected) => {
+    const step = TotpUtils.currentStep(seconds * 1000);
+
+    expect(TotpUtils.generate(SEED, step)).toBe(expected.slice(-6));
+  });
+
+  it('accepts a code one step either side of the current time and no further', () => {
+    const time = 1111111111 * 1000;
+    const step = TotpUtils.currentStep(time);
+
+    expect(TotpUtils.verify(SEED, '050471', 1, time)).toBe(step);
+    expect(TotpUtils.verify(SEED, TotpUtils.generate(SEED, step - 1), 1, time)).toBe(step - 1);
+    expect(TotpUtils.verify(SEED, TotpUtils.generate(SEED, step + 1), 1, time)).toBe(step + 1);
+    expect(TotpUtils.verify(SEED, TotpUtils.generate(SEED, step + 2), 1, time)).toBeNull();
+  });
+
+  it('rejects anything that is not six digits', () => {
+    expect(TotpUtils.verify(SEED, '', 1)).toBeNull();
+    expect(TotpUtils.verify(SEED, '12345', 1)).toBeNull();
+    expect(TotpUtils.verify(SEED, 'abcdef', 1)).toBeNull();
+  });
+
+  it('builds the otpauth link authenticator apps scan', () => {
+    expect(TotpUtils.keyUri('JBSWY3DPEHPK3PXP', 'treasurer1', 'Nyanjigi Waters')).toBe(
+      'otpauth://totp/Nyanjigi%20Waters:treasurer1?secret=JBSWY3DPEHPK3PXP&issuer=Nyanjigi%20Waters'
+      + '&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
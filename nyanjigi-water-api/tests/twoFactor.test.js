@@ -0,0 +1,175 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').create());
+jest.mock('../services/SMSService', () => ({
+  sendSMS: jest.fn().mockResolvedValue({ success: true })
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jsQR = require('jsqr');
+const { PNG } = require('pngjs');
+const db = require('../config/database');
+const { TwoFactor } = require('../models');
+const TotpUtils = require('../utils/totp');
+const TwoFactorController = require('../controllers/TwoFactorController');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+const SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+const admin = {
+  id: 4,
+  username: 'treasurer1',
+  full_name: 'Grace Njeri',
+  email: 'grace@nyanjigi.co.ke',
+  role: 'treasurer',
+  is_active: 1,
+  phone: null,
+  two_factor_enabled: 1
+};
+
+const challenge = (overrides = {}) => ({
+  id: 90,
+  admin_id: 4,
+  purpose: 'verify',
+  attempts: 0,
+  ...overrides
+});
+
+// Text a scanner reads from a PNG data URL
+const scanQrCode = dataUrl => {
+  const image = PNG.sync.read(Buffer.from(dataUrl.replace(/^data:image\/png;base64,/, ''), 'base64'));
+  const result = jsQR(new Uint8ClampedArray(image.data), image.width, image.height);
+  return result && result.data;
+};
+
+const verifyRequest = code => mockRequest({ body: { challenge_token: 'token', code, method: 'totp' } });
+
+describe('TwoFactorController.verifyLogin', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on(/FROM admin_login_challenges\s+WHERE token_hash = \?/, [challenge()])
+      .on(/SELECT \* FROM admins WHERE id = \?/, [{ ...admin, password_hash: 'hash', two_factor_secret: SECRET }])
+      .on(/SELECT two_factor_secret, two_factor_last_step FROM admins/, [{ two_factor_secret: SECRET, two_factor_last_step: null }]);
+  });
+
+  it('signs in with a current authenticator code', async () => {
+    const res = mockResponse();
+    await TwoFactorController.verifyLogin(verifyRequest(TotpUtils.generate(SECRET)), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.admin).toEqual(expect.objectContaining({ id: 4, two_factor_enabled: true }));
+    expect(res.body.data.refresh_token).toEqual(expect.any(String));
+    expect(res.body.data.admin.two_factor_secret).toBeUndefined();
+  });
+
+  it('uses up a try before the code is checked', async () => {
+    const res = mockResponse();
+    await TwoFactorController.verifyLogin(verifyRequest('000000'), res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Invalid code. 4 attempts left');
+
+    const claims = db.queries(/UPDATE admin_login_challenges SET attempts = attempts \+ 1 WHERE id = \? AND attempts < \?/);
+    expect(claims).toHaveLength(1);
+    expect(claims[0].params).toEqual([90, 5]);
+    expect(db.calls.indexOf(claims[0])).toBeLessThan(db.calls.indexOf(db.queries(/SELECT two_factor_secret/)[0]));
+  });
+
+  it('rejects even the right code once a concurrent request took the last try', async () => {
+    db.on(/SET attempts = attempts \+ 1 WHERE id = \? AND attempts < \?/, { affectedRows: 0 });
+    const res = mockResponse();
+
+    await TwoFactorController.verifyLogin(verifyRequest(TotpUtils.generate(SECRET)), res);
+
+    expect(res.statusCode).toBe(401);
+    expect(db.queries(/SELECT two_factor_secret/)).toHaveLength(0);
+    expect(db.queries(/INSERT INTO auth_sessions/)).toHaveLength(0);
+  });
+
+  it('does not accept the same authenticator code twice', async () => {
+    db.on(/UPDATE admins SET two_factor_last_step/, { affectedRows: 0 });
+    const res = mockResponse();
+
+    await TwoFactorController.verifyLogin(verifyRequest(TotpUtils.generate(SECRET)), res);
+
+    expect(res.statusCode).toBe(401);
+    expect(db.queries(/INSERT INTO auth_sessions/)).toHaveLength(0);
+  });
+
+  it('refuses a challenge that has expired or run out of tries', async () => {
+    db.on(/FROM admin_login_challenges\s+WHERE token_hash = \?/, []);
+    const res = mockResponse();
+
+    await TwoFactorController.verifyLogin(verifyRequest(TotpUtils.generate(SECRET)), res);
+
+    expect(res.statusCode).toBe(401);
+    expect(db.queries(/SET attempts/)).toHaveLength(0);
+  });
+});
+
+describe('TwoFactor.startLoginChallenge', () => {
+  const unenrolled = { ...admin, two_factor_enabled: 0 };
+
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('asks for a code when 2FA is on', async () => {
+    const result = await TwoFactor.startLoginChallenge(admin, '203.0.113.10');
+
+    expect(result).toEqual(expect.objectContaining({
+      two_factor_required: true,
+      methods: ['totp', 'backup_code'],
+      expires_in: 600
+    }));
+    expect(db.queries(/INSERT INTO admin_login_challenges/)[0].params).toEqual(
+      expect.arrayContaining([4, 'verify', '203.0.113.10'])
+    );
+  });
+
+  it('keeps the QR code an admin already scanned when they log in again', async () => {
+    db.on(/SELECT two_factor_secret FROM admins WHERE id = \? AND two_factor_enabled = FALSE/, [{ two_factor_secret: SECRET }]);
+
+    const result = await TwoFactor.startLoginChallenge(unenrolled);
+
+    expect(result.two_factor_setup_required).toBe(true);
+    expect(result.setup.secret).toBe(SECRET);
+    expect(result.setup.otpauth_url).toContain(`secret=${SECRET}`);
+    expect(scanQrCode(result.setup.qr_code)).toBe(result.setup.otpauth_url);
+    expect(db.queries(/UPDATE admins SET two_factor_secret/)).toHaveLength(0);
+  });
+
+  it('creates a secret for an admin who has none pending', async () => {
+    const result = await TwoFactor.startLoginChallenge(unenrolled);
+
+    const [stored] = db.queries(/UPDATE admins SET two_factor_secret = \?/);
+    expect(stored.params).toEqual([result.setup.secret, 4]);
+  });
+
+  it('replaces the pending secret only from the setup endpoint', async () => {
+    db.on(/SELECT two_factor_secret FROM admins WHERE id = \? AND two_factor_enabled = FALSE/, [{ two_factor_secret: SECRET }]);
+
+    const setup = await TwoFactor.beginSetup(unenrolled);
+
+    expect(setup.secret).not.toBe(SECRET);
+    expect(db.queries(/UPDATE admins SET two_factor_secret = \?/)[0].params).toEqual([setup.secret, 4]);
+  });
+});
+
+describe('TwoFactor.isRequired', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('follows the two_factor_required_roles setting', async () => {
+    db.on(/FROM system_settings WHERE setting_key = \?/, [{ setting_key: 'two_factor_required_roles', setting_value: 'superadmin' }]);
+
+    expect(await TwoFactor.isRequired('superadmin')).toBe(true);
+    expect(await TwoFactor.isRequired('treasurer')).toBe(false);
+  });
+
+  it('requires it for money and bulk SMS roles until the setting exists', async () => {
+    expect(await TwoFactor.isRequired('treasurer')).toBe(true);
+    expect(await TwoFactor.isRequired('sms_officer')).toBe(true);
+    expect(await TwoFactor.isRequired('meter_reader')).toBe(false);
+  });
+});
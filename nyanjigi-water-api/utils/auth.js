@@ -1,5 +1,6 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 /**
  * Authentication utility functions
@@ -17,10 +18,10 @@ class AuthUtils {
     return await bcrypt.compare(password, hashedPassword);
   }
 
-  // Generate JWT token
+  // Generate a short-lived JWT access token; sessions are kept alive with refresh tokens
   static generateToken(payload) {
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE || '24h',
+      expiresIn: process.env.JWT_EXPIRE || '15m',
       issuer: 'nyanjigi-water-api',
       audience: 'nyanjigi-water-client'
     });
@@ -35,6 +36,16 @@ class AuthUtils {
     }
   }
 
+  // Generate an opaque refresh token
+  static generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  // Hash a refresh token for storage and lookup
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
   // Generate random password (for customer auto-generation)
   static generateRandomPassword(length = 8) {
     const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -0,0 +1,73 @@
+/**
+ * Minimal CSV utilities for uploads and exports
+ */
+
+class CsvUtils {
+  // Split a single CSV line, honouring double-quoted fields
+  static parseLine(line, delimiter = ',') {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (inQuotes) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        fields.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    fields.push(current.trim());
+    return fields;
+  }
+
+  // Parse CSV text into row objects keyed by normalised header names
+  static parse(text, delimiter = ',') {
+    const lines = String(text || '')
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/)
+      .filter(line => line.trim() !== '');
+
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const headers = CsvUtils.parseLine(lines[0], delimiter)
+      .map(header => header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+
+    return lines.slice(1).map((line, index) => {
+      const values = CsvUtils.parseLine(line, delimiter);
+      const row = { _line: index + 2 };
+      headers.forEach((header, i) => {
+        row[header] = values[i] !== undefined ? values[i] : '';
+      });
+      return row;
+    });
+  }
+
+  // Escape a value for CSV output
+  static escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+}
+
+module.exports = CsvUtils;
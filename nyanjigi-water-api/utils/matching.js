@@ -0,0 +1,100 @@
+/**
+ * Fuzzy matching helpers for pairing unmatched payments with customers
+ */
+
+class MatchingUtils {
+  // Uppercase and strip separators so "nyws 001" and "NyWs-001" compare equal
+  static normalizeAccount(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Last 9 digits of a Kenyan mobile number, regardless of 0/254/+254 prefix
+  static normalizePhone(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 9 ? digits.slice(-9) : null;
+  }
+
+  static nameTokens(value) {
+    return String(value || '')
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(token => token.length > 1);
+  }
+
+  // Edit distance between two strings
+  static levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Share of name tokens in common (0-1), tolerating one typo per token
+  static nameSimilarity(a, b) {
+    const tokensA = MatchingUtils.nameTokens(a);
+    const tokensB = MatchingUtils.nameTokens(b);
+    if (!tokensA.length || !tokensB.length) return 0;
+
+    const matched = tokensA.filter(tokenA =>
+      tokensB.some(tokenB =>
+        tokenA === tokenB || (Math.min(tokenA.length, tokenB.length) > 3 && MatchingUtils.levenshtein(tokenA, tokenB) <= 1)
+      )
+    ).length;
+
+    return matched / Math.max(tokensA.length, tokensB.length);
+  }
+
+  /**
+   * Score a customer against what the payer entered.
+   * Returns { score, reasons } where score is 0-100.
+   */
+  static scoreCandidate(payment, customer) {
+    const reasons = [];
+    let score = 0;
+
+    const entered = MatchingUtils.normalizeAccount(payment.member_number);
+    const account = MatchingUtils.normalizeAccount(customer.account_number);
+    if (entered && account) {
+      const distance = entered === account ? 0 : MatchingUtils.levenshtein(entered, account);
+      if (distance === 0) {
+        score += 50;
+        reasons.push('account_number');
+      } else if (distance <= 2) {
+        score += 40 - distance * 10;
+        reasons.push('similar_account_number');
+      }
+    }
+
+    // Payers often key in their phone number instead of the account number
+    const customerPhone = MatchingUtils.normalizePhone(customer.phone);
+    if (customerPhone) {
+      const phones = [payment.phone_number, payment.member_number]
+        .map(MatchingUtils.normalizePhone)
+        .filter(Boolean);
+      if (phones.includes(customerPhone)) {
+        score += 45;
+        reasons.push('phone');
+      }
+    }
+
+    const nameScore = MatchingUtils.nameSimilarity(payment.payer_name, customer.full_name);
+    if (nameScore >= 0.5) {
+      score += Math.round(nameScore * 35);
+      reasons.push('name');
+    }
+
+    return { score: Math.min(score, 100), reasons };
+  }
+}
+
+module.exports = MatchingUtils;
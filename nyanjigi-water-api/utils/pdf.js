@@ -0,0 +1,170 @@
+/**
+ * PDF writer for printable bills, receipts and statements, drawn with PDFKit.
+ * Keeps a top-down cursor (y) and the small set of drawing calls the
+ * document layouts use; the built-in Helvetica fonts need no font files.
+ */
+
+const PDFKit = require('pdfkit');
+
+class PdfDocument {
+  constructor(options = {}) {
+    this.margin = options.margin || 40;
+    this.doc = new PDFKit({
+      size: options.size || 'A4',
+      margin: this.margin,
+      info: { Title: options.title || '', Author: options.author || '', Producer: 'Nyanjigi Waters' }
+    });
+    this.width = this.doc.page.width;
+    this.height = this.doc.page.height;
+    this.y = this.margin;
+
+    this.chunks = [];
+    this.doc.on('data', chunk => this.chunks.push(chunk));
+  }
+
+  addPage() {
+    this.doc.addPage();
+    this.y = this.margin;
+    return this;
+  }
+
+  // Start a new page when fewer than `space` points are left
+  ensureSpace(space) {
+    if (this.y + space > this.height - this.margin) {
+      this.addPage();
+    }
+    return this;
+  }
+
+  static toText(text) {
+    return String(text === null || text === undefined ? '' : text);
+  }
+
+  font(size, bold) {
+    return this.doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size);
+  }
+
+  textWidth(text, size = 10, bold = false) {
+    return this.font(size, bold).widthOfString(PdfDocument.toText(text));
+  }
+
+  /**
+   * Draw text with its top edge at y (measured from the top of the page).
+   * With a width, align 'right' or 'center' positions it inside x..x+width.
+   * Text is placed on a single line and never moves on to a new page by itself.
+   */
+  text(x, y, text, options = {}) {
+    const { size = 10, bold = false, color = '#000000', align = 'left', width = null } = options;
+    const value = PdfDocument.toText(text);
+
+    let left = x;
+    if (width && align !== 'left') {
+      const textWidth = this.textWidth(value, size, bold);
+      left = align === 'right' ? x + width - textWidth : x + (width - textWidth) / 2;
+    }
+
+    this.font(size, bold).fillColor(color).text(value, left, y, { lineBreak: false });
+    return this;
+  }
+
+  // Split text into lines that fit within maxWidth
+  wrap(text, maxWidth, size = 10, bold = false) {
+    const lines = [];
+    String(text || '').split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && this.textWidth(candidate, size, bold) > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  // Write wrapped text at the cursor and move the cursor below it
+  paragraph(text, options = {}) {
+    const { size = 10, bold = false, color, x = this.margin, width = this.width - this.margin * 2, lineGap = 4 } = options;
+    this.wrap(text, width, size, bold).forEach(line => {
+      this.ensureSpace(size + lineGap);
+      this.text(x, this.y, line, { size, bold, color });
+      this.y += size + lineGap;
+    });
+    return this;
+  }
+
+  line(x1, y1, x2, y2, options = {}) {
+    const { width = 0.5, color = '#999999' } = options;
+    this.doc.moveTo(x1, y1).lineTo(x2, y2).lineWidth(width).strokeColor(color).stroke();
+    return this;
+  }
+
+  rect(x, y, width, height, options = {}) {
+    const { fill = null, stroke = null, lineWidth = 0.5 } = options;
+    this.doc.rect(x, y, width, height).lineWidth(lineWidth);
+    if (fill && stroke) {
+      this.doc.fillAndStroke(fill, stroke);
+    } else if (fill) {
+      this.doc.fill(fill);
+    } else {
+      this.doc.stroke(stroke || '#000000');
+    }
+    return this;
+  }
+
+  /**
+   * Draw a simple table at the cursor. Columns are
+   * { header, key, width, align } and widths are in points.
+   */
+  table(columns, rows, options = {}) {
+    const { size = 9, headerFill = '#e8eef7', rowHeight = size + 8 } = options;
+    const x = options.x || this.margin;
+    const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+
+    const drawHeader = () => {
+      this.rect(x, this.y, totalWidth, rowHeight, { fill: headerFill });
+      let cellX = x;
+      columns.forEach(column => {
+        this.text(cellX + 4, this.y + 4, column.header, { size, bold: true, align: column.align, width: column.width - 8 });
+        cellX += column.width;
+      });
+      this.y += rowHeight;
+    };
+
+    this.ensureSpace(rowHeight * 2);
+    drawHeader();
+
+    rows.forEach(row => {
+      if (this.y + rowHeight > this.height - this.margin) {
+        this.addPage();
+        drawHeader();
+      }
+
+      let cellX = x;
+      columns.forEach(column => {
+        const value = typeof column.format === 'function' ? column.format(row[column.key], row) : row[column.key];
+        this.text(cellX + 4, this.y + 4, value, { size, bold: row._bold, align: column.align, width: column.width - 8 });
+        cellX += column.width;
+      });
+      this.y += rowHeight;
+      this.line(x, this.y, x + totalWidth, this.y, { color: '#dddddd' });
+    });
+
+    return this;
+  }
+
+  // Finish the document and resolve with its bytes
+  toBuffer() {
+    return new Promise((resolve, reject) => {
+      this.doc.on('end', () => resolve(Buffer.concat(this.chunks)));
+      this.doc.on('error', reject);
+      this.doc.end();
+    });
+  }
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,71 @@
+/**
+ * Admin roles and the permissions each one grants.
+ * Routes name the permission they need; requirePermission checks it against the admin's role.
+ */
+
+const ROLES = {
+  superadmin: 'Superadmin',
+  treasurer: 'Treasurer',
+  billing_clerk: 'Billing clerk',
+  meter_reader: 'Meter reader',
+  sms_officer: 'SMS officer',
+  auditor: 'Auditor'
+};
+
+const PERMISSIONS = {
+  'dashboard.view': 'View the dashboard and analytics',
+  'customers.view': 'View customers',
+  'customers.manage': 'Create and edit customers, reset their passwords',
+  'billing.view': 'View bills and billing rates',
+  'billing.manage': 'Generate, edit and cancel bills',
+  'meter_readings.view': 'View meter readings',
+  'meter_readings.manage': 'Record and review meter readings',
+  'payments.view': 'View payments, suspense and statement imports',
+  'payments.manage': 'Record, assign and reverse payments, reconcile statements',
+  'contributions.view': 'View contributions',
+  'contributions.manage': 'Generate contributions and mark them paid',
+  'fines.view': 'View fines',
+  'fines.manage': 'Apply and waive fines',
+  'notifications.view': 'View SMS status, templates, campaigns and the outbox',
+  'notifications.send': 'Send SMS and edit templates and campaigns',
+  'settings.view': 'View system settings and activity',
+  'settings.manage': 'Change system settings, billing rates and contribution amounts',
+  'users.manage': 'Manage admin users and their roles',
+  'audit.view': 'View and export the audit trail'
+};
+
+const VIEW_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission => permission.endsWith('.view'));
+
+const ROLE_PERMISSIONS = {
+  superadmin: Object.keys(PERMISSIONS),
+  treasurer: [
+    'dashboard.view', 'customers.view', 'billing.view', 'meter_readings.view',
+    'payments.view', 'payments.manage', 'contributions.view', 'contributions.manage',
+    'fines.view', 'fines.manage', 'notifications.view'
+  ],
+  billing_clerk: [
+    'dashboard.view', 'customers.view', 'customers.manage', 'billing.view', 'billing.manage',
+    'meter_readings.view', 'meter_readings.manage', 'payments.view', 'contributions.view',
+    'fines.view', 'fines.manage'
+  ],
+  meter_reader: [
+    'dashboard.view', 'customers.view', 'meter_readings.view', 'meter_readings.manage'
+  ],
+  sms_officer: [
+    'dashboard.view', 'customers.view', 'billing.view', 'notifications.view', 'notifications.send'
+  ],
+  // Read-only access to everything
+  auditor: VIEW_PERMISSIONS
+};
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,89 @@
+/**
+ * SMS segment counting for GSM-7 and UCS-2 messages
+ */
+
+// GSM 03.38 basic character set (one septet each)
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+  + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extension table characters (escape + character, two septets each)
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+class SmsUtils {
+  // GSM-7 unless any character is outside the GSM alphabet
+  static getEncoding(text) {
+    for (const char of String(text || '')) {
+      if (!GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)) {
+        return 'UCS-2';
+      }
+    }
+    return 'GSM-7';
+  }
+
+  // Length in encoding units: septets for GSM-7, UTF-16 code units for UCS-2
+  static getLength(text, encoding = SmsUtils.getEncoding(text)) {
+    const value = String(text || '');
+    if (encoding === 'UCS-2') {
+      return value.length;
+    }
+
+    let length = 0;
+    for (const char of value) {
+      length += GSM_EXTENDED.has(char) ? 2 : 1;
+    }
+    return length;
+  }
+
+  /**
+   * Count the segments a message is sent as.
+   * Returns { encoding, length, segments, per_segment, remaining }.
+   */
+  static countSegments(text) {
+    const encoding = SmsUtils.getEncoding(text);
+    const length = SmsUtils.getLength(text, encoding);
+    const limits = LIMITS[encoding];
+
+    const segments = length === 0 ? 0 : length <= limits.single ? 1 : Math.ceil(length / limits.multipart);
+    const perSegment = segments > 1 ? limits.multipart : limits.single;
+
+    return {
+      encoding,
+      length,
+      segments,
+      per_segment: perSegment,
+      remaining: segments === 0 ? limits.single : segments * perSegment - length
+    };
+  }
+
+  // Maximum encoded length that fits in the given number of segments
+  static maxLength(encoding, maxSegments) {
+    const limits = LIMITS[encoding];
+    return maxSegments <= 1 ? limits.single : limits.multipart * maxSegments;
+  }
+
+  // Shorten a message to fit maxSegments, ending with '...'
+  static truncateToSegments(text, maxSegments) {
+    const value = String(text || '');
+    const encoding = SmsUtils.getEncoding(value);
+    const limit = SmsUtils.maxLength(encoding, maxSegments);
+
+    if (SmsUtils.getLength(value, encoding) <= limit) {
+      return value;
+    }
+
+    const chars = Array.from(value);
+    while (chars.length > 0 && SmsUtils.getLength(`${chars.join('')}...`, encoding) > limit) {
+      chars.pop();
+    }
+    return `${chars.join('').trimEnd()}...`;
+  }
+}
+
+module.exports = SmsUtils;
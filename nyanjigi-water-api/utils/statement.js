@@ -0,0 +1,176 @@
+/**
+ * Equity Bank statement parsing (CSV exports and MT940)
+ */
+
+const moment = require('moment');
+const CsvUtils = require('./csv');
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD-MMM-YYYY', 'DD MMM YYYY', 'DD/MM/YY', 'YYYY/MM/DD'];
+
+// Header aliases seen across Equity online banking and branch exports
+const CSV_COLUMNS = {
+  date: ['transaction_date', 'tran_date', 'trans_date', 'posting_date', 'date', 'value_date'],
+  reference: ['transaction_reference', 'reference', 'reference_number', 'ref', 'ref_no', 'tran_ref', 'transaction_id', 'transaction_ref'],
+  narrative: ['narrative', 'description', 'details', 'transaction_details', 'particulars', 'remarks'],
+  credit: ['credit', 'credit_amount', 'credits', 'money_in', 'deposits', 'cr'],
+  debit: ['debit', 'debit_amount', 'debits', 'money_out', 'withdrawals', 'dr'],
+  amount: ['amount', 'transaction_amount']
+};
+
+class StatementParser {
+  static parse(text, format = 'csv') {
+    return format === 'mt940'
+      ? StatementParser.parseMt940(text)
+      : StatementParser.parseCsv(text);
+  }
+
+  static parseAmount(value) {
+    if (value === null || value === undefined) return null;
+    const cleaned = String(value).replace(/[^0-9.,-]/g, '').replace(/,/g, '');
+    if (cleaned === '' || cleaned === '-') return null;
+    const amount = parseFloat(cleaned);
+    return isNaN(amount) ? null : amount;
+  }
+
+  static parseDate(value) {
+    const date = moment(String(value || '').trim(), DATE_FORMATS, true);
+    return date.isValid() ? date.format('YYYY-MM-DD') : null;
+  }
+
+  // Account numbers as customers key them in: NyWs-001, G3-001, Githunguri-0001
+  static extractMemberNumber(narrative) {
+    const match = String(narrative || '').match(/\b([A-Za-z][A-Za-z0-9]*-\d{3,4})\b/);
+    return match ? match[1] : null;
+  }
+
+  // Map the channel named in the narrative onto our equity_* payment methods
+  static inferPaymentMethod(narrative) {
+    const text = String(narrative || '').toUpperCase();
+    if (text.includes('MPESA') || text.includes('M-PESA')) return 'mpesa';
+    if (text.includes('EQUITEL')) return 'equitel';
+    if (text.includes('AGENT')) return 'agent';
+    if (text.includes('USSD') || text.includes('*247#')) return 'ussd';
+    if (text.includes('APP') || text.includes('EAZZY')) return 'app';
+    return 'branch';
+  }
+
+  static pickColumn(headers, aliases) {
+    return aliases.find(alias => headers.includes(alias)) || null;
+  }
+
+  /**
+   * Parse a CSV statement export. Bank exports carry a few lines of account
+   * details above the table, so the header row is located first.
+   */
+  static parseCsv(text) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    const headerIndex = lines.findIndex(line => {
+      const lower = line.toLowerCase();
+      return lower.includes('date') && (lower.includes('credit') || lower.includes('amount') || lower.includes('money in'));
+    });
+
+    if (headerIndex === -1) {
+      throw new Error('Could not find the statement header row (expected date and credit/amount columns)');
+    }
+
+    const rows = CsvUtils.parse(lines.slice(headerIndex).join('\n'));
+    const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+    const columns = {};
+    Object.entries(CSV_COLUMNS).forEach(([key, aliases]) => {
+      columns[key] = StatementParser.pickColumn(headers, aliases);
+    });
+
+    if (!columns.credit && !columns.amount) {
+      throw new Error('Statement must have a credit or amount column');
+    }
+
+    const entries = [];
+    rows.forEach(row => {
+      const transactionDate = StatementParser.parseDate(row[columns.date]);
+      if (!transactionDate) return; // Opening/closing balance and total rows
+
+      let amount;
+      if (columns.credit) {
+        const credit = StatementParser.parseAmount(row[columns.credit]);
+        const debit = columns.debit ? StatementParser.parseAmount(row[columns.debit]) : null;
+        amount = credit ? Math.abs(credit) : (debit ? -Math.abs(debit) : null);
+      } else {
+        amount = StatementParser.parseAmount(row[columns.amount]);
+      }
+
+      if (!amount) return;
+
+      const narrative = columns.narrative ? row[columns.narrative] : '';
+      entries.push({
+        line_number: row._line + headerIndex,
+        transaction_date: transactionDate,
+        reference: columns.reference && row[columns.reference] ? row[columns.reference].trim() : null,
+        narrative: narrative || null,
+        amount: Math.abs(amount),
+        direction: amount > 0 ? 'credit' : 'debit'
+      });
+    });
+
+    return { account_number: null, entries };
+  }
+
+  /**
+   * Parse an MT940 statement. Each :61: statement line is followed by an
+   * optional :86: information field that may span several lines.
+   */
+  static parseMt940(text) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const entries = [];
+    let accountNumber = null;
+    let current = null;
+    let inInformation = false;
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+
+      if (line.startsWith(':25:')) {
+        accountNumber = line.slice(4).trim();
+        inInformation = false;
+      } else if (line.startsWith(':61:')) {
+        // YYMMDD[MMDD] (R)C|D [funds code] amount type-code customer-ref[//bank-ref]
+        const match = line.slice(4).match(/^(\d{6})(\d{4})?(R?[CD])([A-Z])?(\d+,\d*)([A-Z0-9]{4})([^/]*)(?:\/\/(.*))?$/);
+        if (!match) {
+          throw new Error(`Invalid :61: statement line at line ${index + 1}`);
+        }
+
+        const [, valueDate, , mark, , rawAmount, , customerRef, bankRef] = match;
+        const customerReference = customerRef.trim();
+        const isCredit = mark === 'C' || mark === 'RD';
+
+        current = {
+          line_number: index + 1,
+          transaction_date: moment(valueDate, 'YYMMDD').format('YYYY-MM-DD'),
+          reference: customerReference && customerReference !== 'NONREF'
+            ? customerReference
+            : (bankRef ? bankRef.trim() : null),
+          narrative: '',
+          amount: parseFloat(rawAmount.replace(',', '.')),
+          direction: isCredit ? 'credit' : 'debit'
+        };
+        entries.push(current);
+        inInformation = false;
+      } else if (line.startsWith(':86:')) {
+        if (current) current.narrative = line.slice(4).trim();
+        inInformation = true;
+      } else if (line.startsWith(':') || line.startsWith('-}') || line === '-') {
+        inInformation = false;
+      } else if (inInformation && current && line) {
+        current.narrative = `${current.narrative} ${line}`.trim();
+      }
+    });
+
+    return {
+      account_number: accountNumber,
+      entries: entries.map(entry => ({ ...entry, narrative: entry.narrative || null }))
+    };
+  }
+}
+
+module.exports = StatementParser;
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+class TotpUtils {
+  // Base32 without padding, the form authenticator apps accept for manual entry
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  static base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  // 160-bit secret, the size recommended for HMAC-SHA1
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  static currentStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+  }
+
+  // Code for a given time step (HOTP with the step as counter)
+  static generate(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+    counter.writeUInt32BE(step >>> 0, 4);
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = ((hmac[offset] & 127) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  // Step the code belongs to, allowing `window` steps of clock drift either way; null if it matches none
+  static verify(secret, code, window = 1, time = Date.now()) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(token)) {
+      return null;
+    }
+
+    const current = this.currentStep(time);
+    for (let offset = -window; offset <= window; offset++) {
+      const step = current + offset;
+      if (crypto.timingSafeEqual(Buffer.from(this.generate(secret, step)), Buffer.from(token))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // otpauth:// link encoded in the enrollment QR code
+  static keyUri(secret, accountName, issuer) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`
+      + `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  }
+}
+
+module.exports = TotpUtils;
@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const { ROLES } = require('./permissions');
 
 /**
  * Validation schemas for API endpoints
@@ -19,7 +20,8 @@ const ValidationSchemas = {
     body('location').trim().notEmpty().withMessage('Location is required'),
     body('zone').optional().isIn(['Nyakahura', 'G3', 'Githunguri']).withMessage('Zone must be one of: Nyakahura, G3, Githunguri'),
     body('connection_date').isISO8601().toDate().withMessage('Valid connection date is required'),
-    body('meter_number').optional().trim()
+    body('meter_number').optional().trim(),
+    body('language').optional().isIn(['en', 'sw', 'ki']).withMessage('Language must be en, sw or ki')
   ],
 
   updateCustomer: [
@@ -29,7 +31,8 @@ const ValidationSchemas = {
     body('email').optional().isEmail().withMessage('Valid email is required'),
     body('location').optional().trim().notEmpty().withMessage('Location cannot be empty'),
     body('meter_number').optional().trim(),
-    body('is_active').optional().isBoolean().withMessage('Active status must be boolean')
+    body('is_active').optional().isBoolean().withMessage('Active status must be boolean'),
+    body('language').optional().isIn(['en', 'sw', 'ki']).withMessage('Language must be en, sw or ki')
   ],
 
   customerLogin: [
@@ -37,6 +40,41 @@ const ValidationSchemas = {
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
   ],
 
+  // Customer forgot-password by SMS code
+  forgotPassword: [
+    body('account_number').trim().notEmpty().withMessage('Account number is required')
+  ],
+
+  resetPasswordWithCode: [
+    body('account_number').trim().notEmpty().withMessage('Account number is required'),
+    body('code').isString().trim().notEmpty().withMessage('Reset code is required'),
+    body('new_password').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  ],
+
+  refreshToken: [
+    body('refresh_token').isString().trim().notEmpty().withMessage('Refresh token is required')
+  ],
+
+  // Admin two-factor authentication
+  twoFactorLogin: [
+    body('challenge_token').isString().trim().notEmpty().withMessage('Sign-in challenge is required'),
+    body('code').isString().trim().notEmpty().withMessage('Verification code is required'),
+    body('method').optional().isIn(['totp', 'backup_code', 'sms']).withMessage('Method must be totp, backup_code or sms')
+  ],
+
+  twoFactorChallenge: [
+    body('challenge_token').isString().trim().notEmpty().withMessage('Sign-in challenge is required')
+  ],
+
+  twoFactorCode: [
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+  ],
+
+  disableTwoFactor: [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').isString().trim().notEmpty().withMessage('Authentication code or backup code is required')
+  ],
+
   // Payment validation
   initiatePayment: [
     body('customer_id').isInt({ min: 1 }).withMessage('Valid customer ID is required'),
@@ -102,9 +140,42 @@ const ValidationSchemas = {
   updateAdminProfile: [
     body('full_name').optional().trim().isLength({ min: 2 }).withMessage('Full name must be at least 2 characters'),
     body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('phone').optional({ checkFalsy: true }).isMobilePhone('any').withMessage('Valid phone number is required'),
     body('username').optional().trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters')
   ],
 
+  // Admin user management; roles come from utils/permissions
+  createAdminUser: [
+    body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('full_name').trim().isLength({ min: 2 }).withMessage('Full name must be at least 2 characters'),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('role').isIn(Object.keys(ROLES)).withMessage(`Role must be one of: ${Object.keys(ROLES).join(', ')}`)
+  ],
+
+  updateAdminUser: [
+    body('full_name').optional().trim().isLength({ min: 2 }).withMessage('Full name must be at least 2 characters'),
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('role').optional().isIn(Object.keys(ROLES)).withMessage(`Role must be one of: ${Object.keys(ROLES).join(', ')}`)
+  ],
+
+  // Customer notification preferences; quiet hours are HH:mm or empty to clear
+  notificationPreferences: [
+    body('channel').optional().isIn(['sms', 'email', 'both']).withMessage('Channel must be sms, email or both'),
+    body('language').optional().isIn(['en', 'sw', 'ki']).withMessage('Language must be en, sw or ki'),
+    body(['quiet_hours_start', 'quiet_hours_end'])
+      .optional({ nullable: true, checkFalsy: true })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Quiet hours must be in HH:mm format'),
+    body().custom(value => {
+      if (Boolean(value.quiet_hours_start) !== Boolean(value.quiet_hours_end)) {
+        throw new Error('Set both a start and an end for quiet hours, or neither');
+      }
+      return true;
+    }),
+    body(['marketing_opt_out', 'announcements_opt_out', 'sms_opt_out'])
+      .optional().isBoolean().withMessage('Opt-out settings must be true or false').toBoolean()
+  ],
+
   // ID parameter validation
   idParam: [
     param('id').isInt({ min: 1 }).withMessage('Valid ID is required')